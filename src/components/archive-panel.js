@@ -0,0 +1,309 @@
+/**
+ * ArchivePanel - 已归档任务浏览UI组件
+ *
+ * 负责：
+ * 1. 按完成日期分组展示已归档的任务，支持关键字搜索
+ * 2. 设置任务完成后自动归档的天数，或立即归档
+ * 3. 归档较多时分批渲染，避免一次生成过多节点
+ */
+
+class ArchivePanel {
+  constructor(container, taskService, eventBus) {
+    this.container = container;
+    this.taskService = taskService;
+    this.eventBus = eventBus;
+    this.isInitialized = false;
+
+    // 每批渲染的任务数量
+    this.PAGE_SIZE = 100;
+    this.visibleLimit = this.PAGE_SIZE;
+    this.searchText = "";
+
+    // UI元素引用
+    this.elements = null;
+
+    // 事件总线订阅：归档内容或设置变化时重新渲染
+    this.unsubscribeEvents = null;
+
+    this.initialize();
+  }
+
+  /**
+   * 初始化组件
+   */
+  initialize() {
+    if (this.isInitialized) {
+      return;
+    }
+
+    try {
+      this.createUI();
+      this.bindEvents();
+      this.unsubscribeEvents = this.eventBus.onMany(
+        [
+          EventBus.EVENTS.TASKS_ARCHIVED,
+          EventBus.EVENTS.TASKS_RELOADED,
+          EventBus.EVENTS.TASK_POMODORO_UPDATED,
+          EventBus.EVENTS.ARCHIVE_SETTINGS_CHANGED,
+        ],
+        () => this.render(),
+      );
+      this.render();
+
+      this.isInitialized = true;
+      console.log("[ArchivePanel] Initialized successfully");
+    } catch (error) {
+      console.error("[ArchivePanel] Failed to initialize:", error);
+    }
+  }
+
+  /**
+   * 创建UI界面
+   */
+  createUI() {
+    this.container.innerHTML = `
+            <div class="data-section">
+                <h4>自动归档</h4>
+                <p class="data-hint">完成超过指定天数的任务将移出待办列表，仍计入效率统计</p>
+                <div class="data-options">
+                    <label class="data-option" for="archive-days-input">完成后天数</label>
+                    <input
+                        type="number"
+                        id="archive-days-input"
+                        class="archive-days-input"
+                        min="1"
+                        max="365"
+                        step="1"
+                    />
+                    <button type="button" id="archive-days-save" class="data-button">
+                        保存
+                    </button>
+                    <button type="button" id="archive-now-button" class="data-button">
+                        立即归档
+                    </button>
+                </div>
+                <div class="input-feedback" id="archive-feedback" role="alert" aria-live="polite"></div>
+            </div>
+
+            <div class="data-section">
+                <div class="archive-header">
+                    <h4>归档历史 <span id="archive-count" class="archive-count"></span></h4>
+                </div>
+                <input
+                    type="search"
+                    id="archive-search"
+                    class="archive-search"
+                    placeholder="搜索标题、项目、标签、检查项或备注"
+                    aria-label="搜索已归档的任务"
+                />
+                <div class="archive-groups" id="archive-groups"></div>
+                <p class="data-hint hidden" id="archive-empty-state"></p>
+                <button type="button" id="archive-more-button" class="data-button hidden">
+                    显示更多
+                </button>
+            </div>
+        `;
+
+    this.elements = {
+      daysInput: this.container.querySelector("#archive-days-input"),
+      daysSave: this.container.querySelector("#archive-days-save"),
+      archiveNow: this.container.querySelector("#archive-now-button"),
+      feedback: this.container.querySelector("#archive-feedback"),
+      count: this.container.querySelector("#archive-count"),
+      search: this.container.querySelector("#archive-search"),
+      groups: this.container.querySelector("#archive-groups"),
+      emptyState: this.container.querySelector("#archive-empty-state"),
+      moreButton: this.container.querySelector("#archive-more-button"),
+    };
+  }
+
+  /**
+   * 绑定事件监听器
+   */
+  bindEvents() {
+    const { daysInput, daysSave, archiveNow, search, moreButton } = this.elements;
+
+    daysSave.addEventListener("click", () => this.handleDaysSave());
+    daysInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        this.handleDaysSave();
+      }
+    });
+    archiveNow.addEventListener("click", () => this.handleArchiveNow());
+
+    search.addEventListener("input", () => {
+      this.searchText = search.value;
+      this.visibleLimit = this.PAGE_SIZE;
+      this.render();
+    });
+
+    moreButton.addEventListener("click", () => {
+      this.visibleLimit += this.PAGE_SIZE;
+      this.render();
+    });
+  }
+
+  /**
+   * 渲染归档天数和按日期分组的任务
+   */
+  render() {
+    if (!this.elements) return;
+
+    const { daysInput, count, groups, emptyState, moreButton } = this.elements;
+
+    if (document.activeElement !== daysInput) {
+      daysInput.value = this.taskService.archiveAfterDays;
+    }
+
+    const total = this.taskService.archive.size;
+    count.textContent = total > 0 ? `(${total})` : "";
+
+    const archiveGroups = this.taskService.getArchiveGroups(this.searchText);
+    const matched = archiveGroups.reduce((sum, group) => sum + group.tasks.length, 0);
+
+    emptyState.textContent = total === 0 ? "暂无已归档的任务" : "没有匹配的任务";
+    emptyState.classList.toggle("hidden", matched > 0);
+    moreButton.classList.toggle("hidden", matched <= this.visibleLimit);
+
+    groups.innerHTML = "";
+    let remaining = this.visibleLimit;
+    for (const group of archiveGroups) {
+      if (remaining <= 0) break;
+      const tasks = group.tasks.slice(0, remaining);
+      remaining -= tasks.length;
+      groups.appendChild(this.createGroupElement(group.date, tasks, group.tasks.length));
+    }
+  }
+
+  /**
+   * 创建日期分组元素
+   * @param {string} date - 完成日期 "YYYY-MM-DD"
+   * @param {Array<Task>} tasks - 本组要显示的任务
+   * @param {number} total - 本组匹配的任务总数
+   * @returns {HTMLElement}
+   */
+  createGroupElement(date, tasks, total) {
+    const section = document.createElement("section");
+    section.className = "archive-group";
+
+    const heading = document.createElement("h5");
+    heading.className = "archive-group-title";
+    heading.textContent = `${date} · ${total} 个任务`;
+    section.appendChild(heading);
+
+    const list = document.createElement("ul");
+    list.className = "archive-list";
+    list.setAttribute("role", "list");
+    tasks.forEach((task) => list.appendChild(this.createArchiveItem(task)));
+    section.appendChild(list);
+
+    return section;
+  }
+
+  /**
+   * 创建归档任务元素
+   * @param {Task} task - 任务对象
+   * @returns {HTMLElement}
+   */
+  createArchiveItem(task) {
+    const li = document.createElement("li");
+    li.className = "archive-item";
+
+    const meta = [];
+    if (task.project) meta.push(`+${task.project}`);
+    (task.tags || []).forEach((tag) => meta.push(`#${tag}`));
+    if (task.pomodoroCount > 0) meta.push(`🍅 ${task.pomodoroCount}`);
+
+    li.innerHTML = `
+            <div class="archive-item-info">
+                <span class="archive-item-title">${this.escapeHtml(task.title)}</span>
+                <span class="archive-item-meta">${this.escapeHtml(meta.join(" · "))}</span>
+            </div>
+        `;
+    return li;
+  }
+
+  /**
+   * 保存自动归档天数
+   */
+  async handleDaysSave() {
+    const { daysInput } = this.elements;
+    const days = Number(daysInput.value);
+
+    try {
+      const success = await this.taskService.setArchiveAfterDays(days);
+      if (success) {
+        this.showFeedback(`任务完成 ${days} 天后自动归档`, "success");
+      } else {
+        this.showFeedback("保存失败，请重试", "error");
+      }
+    } catch (error) {
+      daysInput.value = this.taskService.archiveAfterDays;
+      this.showFeedback("天数必须是 1-365 之间的整数", "error");
+    }
+  }
+
+  /**
+   * 立即归档符合条件的已完成任务
+   */
+  async handleArchiveNow() {
+    const count = await this.taskService.archiveCompletedTasks();
+    this.showFeedback(
+      count > 0 ? `已归档 ${count} 个任务` : "没有需要归档的任务",
+      "success",
+    );
+  }
+
+  /**
+   * 显示反馈信息
+   * @param {string} message - 反馈消息
+   * @param {string} type - 消息类型（success | error）
+   */
+  showFeedback(message, type = "") {
+    const { feedback } = this.elements;
+    feedback.textContent = message;
+    feedback.className = `input-feedback ${type}`;
+
+    if (type === "success") {
+      setTimeout(() => {
+        if (feedback.textContent === message) {
+          feedback.textContent = "";
+          feedback.className = "input-feedback";
+        }
+      }, 3000);
+    }
+  }
+
+  /**
+   * HTML转义函数
+   */
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * 刷新组件
+   */
+  refresh() {
+    this.render();
+  }
+
+  /**
+   * 销毁组件
+   */
+  destroy() {
+    if (this.unsubscribeEvents) {
+      this.unsubscribeEvents();
+      this.unsubscribeEvents = null;
+    }
+
+    if (this.container) {
+      this.container.innerHTML = "";
+    }
+
+    console.log("[ArchivePanel] Destroyed");
+  }
+}
@@ -0,0 +1,665 @@
+/**
+ * DataPanel - 数据备份与恢复UI组件
+ *
+ * 负责：
+ * 1. 导出完整备份文件
+ * 2. 选择备份文件后按合并/替换模式预演导入结果
+ * 3. 确认后应用导入，并显示存储迁移失败提示
+ * 4. 导出任务/会话CSV和专注记录Markdown摘要，从纯文本列表批量添加任务
+ * 5. 导入（预览无法解析的行）和导出 todo.txt
+ */
+
+class DataPanel {
+  constructor(container, backupService, storage, taskService, todoTxtService, options = {}) {
+    this.container = container;
+    this.backupService = backupService;
+    this.storage = storage;
+    this.taskService = taskService;
+    this.todoTxtService = todoTxtService;
+    this.onRestored = options.onRestored || null;
+    this.isInitialized = false;
+
+    // 导入状态
+    this.pendingBackup = null;
+    this.pendingPlan = null;
+    this.pendingTodoTxtPlan = null;
+
+    // UI元素引用
+    this.elements = null;
+
+    // 报表导出的时间范围（天），0 表示全部
+    this.REPORT_RANGES = [
+      { days: 7, label: "最近7天" },
+      { days: 30, label: "最近30天" },
+      { days: 0, label: "全部" },
+    ];
+
+    // 设置字段的显示名称
+    this.SETTING_LABELS = {
+      pomodoroDuration: "番茄钟时长",
+      shortBreakDuration: "短休息时长",
+      longBreakDuration: "长休息时长",
+      longBreakInterval: "长休息间隔",
+      extendDuration: "延长专注时长",
+      blockingMode: "拦截模式",
+      whitelist: "白名单",
+      blacklist: "黑名单",
+      trashRetentionDays: "回收站保留天数",
+      archiveAfterDays: "自动归档天数",
+    };
+
+    this.initialize();
+  }
+
+  /**
+   * 初始化组件
+   */
+  initialize() {
+    if (this.isInitialized) {
+      return;
+    }
+
+    try {
+      this.createUI();
+      this.bindEvents();
+      this.renderMigrationWarning();
+
+      this.isInitialized = true;
+      console.log("[DataPanel] Initialized successfully");
+    } catch (error) {
+      console.error("[DataPanel] Failed to initialize:", error);
+    }
+  }
+
+  /**
+   * 创建UI界面
+   */
+  createUI() {
+    this.container.innerHTML = `
+            <div class="data-warning hidden" id="data-migration-warning" role="alert"></div>
+
+            <div class="data-section">
+                <h4>导出备份</h4>
+                <p class="data-hint">导出任务、设置（含黑白名单和计时偏好）和专注历史为 JSON 文件</p>
+                <button type="button" id="data-export-button" class="data-button primary">
+                    导出备份
+                </button>
+            </div>
+
+            <div class="data-section">
+                <h4>导出报表</h4>
+                <p class="data-hint">导出 CSV 用于电子表格，或导出按日期和任务汇总的 Markdown 用于周报</p>
+                <div class="data-options">
+                    <select id="data-report-range" class="rule-type-select" aria-label="专注记录时间范围">
+                        ${this.REPORT_RANGES.map(
+                          (range) => `<option value="${range.days}">${range.label}</option>`,
+                        ).join("")}
+                    </select>
+                    <button type="button" class="data-button" data-report="tasks-csv">任务 CSV</button>
+                    <button type="button" class="data-button" data-report="sessions-csv">专注记录 CSV</button>
+                    <button type="button" class="data-button" data-report="sessions-md">专注记录 Markdown</button>
+                </div>
+                <div class="input-feedback" id="data-report-feedback" role="alert" aria-live="polite"></div>
+            </div>
+
+            <div class="data-section">
+                <h4>从文本添加任务</h4>
+                <p class="data-hint">每行一个任务，可用 #标签、+项目 和 ~3（预估番茄钟数）</p>
+                <textarea
+                    id="data-text-import"
+                    class="data-text-import"
+                    rows="5"
+                    placeholder="写周报 #工作 ~2&#10;整理笔记 +学习"
+                    aria-label="任务列表文本"
+                ></textarea>
+                <button type="button" id="data-text-import-button" class="data-button primary" disabled>
+                    添加任务
+                </button>
+                <div class="input-feedback" id="data-text-feedback" role="alert" aria-live="polite"></div>
+            </div>
+
+            <div class="data-section">
+                <h4>Todo.txt</h4>
+                <p class="data-hint">支持 (A) 优先级、+项目、@情境（转为标签）、创建和完成日期以及 due:截止日期</p>
+                <button type="button" id="data-todotxt-export" class="data-button">
+                    导出 todo.txt
+                </button>
+                <input
+                    type="file"
+                    id="data-todotxt-file"
+                    class="data-file-input"
+                    accept=".txt,text/plain"
+                    aria-label="选择 todo.txt 文件"
+                />
+                <div class="data-preview" id="data-todotxt-preview" aria-live="polite"></div>
+                <div class="data-actions">
+                    <button type="button" id="data-todotxt-apply" class="data-button primary" disabled>
+                        导入任务
+                    </button>
+                    <button type="button" id="data-todotxt-cancel" class="data-button" disabled>
+                        取消
+                    </button>
+                </div>
+                <div class="input-feedback" id="data-todotxt-feedback" role="alert" aria-live="polite"></div>
+            </div>
+
+            <div class="data-section">
+                <h4>导入备份</h4>
+                <input
+                    type="file"
+                    id="data-import-file"
+                    class="data-file-input"
+                    accept=".json,application/json"
+                    aria-label="选择备份文件"
+                />
+                <div class="data-options">
+                    <label class="data-option">
+                        <input type="radio" name="tomato-monkey-restore-mode" value="merge" checked />
+                        合并到现有数据
+                    </label>
+                    <label class="data-option">
+                        <input type="radio" name="tomato-monkey-restore-mode" value="replace" />
+                        替换现有数据
+                    </label>
+                    <select id="data-conflict-strategy" class="rule-type-select" aria-label="冲突处理方式">
+                        <option value="backup">冲突时以备份为准</option>
+                        <option value="local">冲突时保留本地</option>
+                    </select>
+                </div>
+                <div class="data-preview" id="data-preview" aria-live="polite"></div>
+                <div class="data-actions">
+                    <button type="button" id="data-apply-button" class="data-button primary" disabled>
+                        确认导入
+                    </button>
+                    <button type="button" id="data-cancel-button" class="data-button" disabled>
+                        取消
+                    </button>
+                </div>
+                <div class="input-feedback" id="data-feedback" role="alert" aria-live="polite"></div>
+            </div>
+        `;
+
+    this.elements = {
+      warning: this.container.querySelector("#data-migration-warning"),
+      exportButton: this.container.querySelector("#data-export-button"),
+      fileInput: this.container.querySelector("#data-import-file"),
+      modeInputs: this.container.querySelectorAll(
+        'input[name="tomato-monkey-restore-mode"]',
+      ),
+      conflictStrategy: this.container.querySelector("#data-conflict-strategy"),
+      preview: this.container.querySelector("#data-preview"),
+      applyButton: this.container.querySelector("#data-apply-button"),
+      cancelButton: this.container.querySelector("#data-cancel-button"),
+      feedback: this.container.querySelector("#data-feedback"),
+      reportRange: this.container.querySelector("#data-report-range"),
+      reportButtons: this.container.querySelectorAll("button[data-report]"),
+      reportFeedback: this.container.querySelector("#data-report-feedback"),
+      textImport: this.container.querySelector("#data-text-import"),
+      textImportButton: this.container.querySelector("#data-text-import-button"),
+      textFeedback: this.container.querySelector("#data-text-feedback"),
+      todoTxtExport: this.container.querySelector("#data-todotxt-export"),
+      todoTxtFile: this.container.querySelector("#data-todotxt-file"),
+      todoTxtPreview: this.container.querySelector("#data-todotxt-preview"),
+      todoTxtApply: this.container.querySelector("#data-todotxt-apply"),
+      todoTxtCancel: this.container.querySelector("#data-todotxt-cancel"),
+      todoTxtFeedback: this.container.querySelector("#data-todotxt-feedback"),
+    };
+  }
+
+  /**
+   * 绑定事件
+   */
+  bindEvents() {
+    const {
+      exportButton,
+      fileInput,
+      modeInputs,
+      conflictStrategy,
+      applyButton,
+      cancelButton,
+      reportButtons,
+      textImport,
+      textImportButton,
+      todoTxtExport,
+      todoTxtFile,
+      todoTxtApply,
+      todoTxtCancel,
+    } = this.elements;
+
+    exportButton.addEventListener("click", () => this.handleExport());
+    fileInput.addEventListener("change", () => this.handleFileSelected());
+    modeInputs.forEach((radio) =>
+      radio.addEventListener("change", () => this.updatePreview()),
+    );
+    conflictStrategy.addEventListener("change", () => this.updatePreview());
+    applyButton.addEventListener("click", () => this.handleApply());
+    cancelButton.addEventListener("click", () => this.resetImport());
+    reportButtons.forEach((button) =>
+      button.addEventListener("click", () => this.handleReportExport(button.dataset.report)),
+    );
+    textImport.addEventListener("input", () => {
+      textImportButton.disabled = !textImport.value.trim() || !this.taskService;
+    });
+    textImportButton.addEventListener("click", () => this.handleTextImport());
+    todoTxtExport.addEventListener("click", () => this.handleTodoTxtExport());
+    todoTxtFile.addEventListener("change", () => this.handleTodoTxtSelected());
+    todoTxtApply.addEventListener("click", () => this.handleTodoTxtApply());
+    todoTxtCancel.addEventListener("click", () => this.resetTodoTxtImport());
+  }
+
+  /**
+   * 导出备份并下载
+   */
+  async handleExport() {
+    try {
+      const json = await this.backupService.exportBackup();
+      const date = new Date().toISOString().slice(0, 10);
+      this.downloadFile(json, `tomatomonkey-backup-${date}.json`);
+      this.showFeedback("备份已导出", "success");
+    } catch (error) {
+      console.error("[DataPanel] Failed to export backup:", error);
+      this.showFeedback("导出失败，请重试", "error");
+    }
+  }
+
+  /**
+   * 导出CSV或Markdown报表并下载
+   * @param {string} report - "tasks-csv" | "sessions-csv" | "sessions-md"
+   */
+  async handleReportExport(report) {
+    const { reportRange, reportFeedback } = this.elements;
+    const days = Number(reportRange.value);
+    const range = days > 0 ? { from: Date.now() - days * 24 * 60 * 60 * 1000 } : {};
+    const date = new Date().toISOString().slice(0, 10);
+
+    try {
+      if (report === "tasks-csv") {
+        const csv = await this.storage.exportTasksAsCSV();
+        // 加BOM，Excel 才能正确识别UTF-8中文
+        this.downloadFile(`\uFEFF${csv}`, `tomatomonkey-tasks-${date}.csv`, "text/csv");
+      } else if (report === "sessions-csv") {
+        const csv = await this.storage.exportSessionsAsCSV(range);
+        this.downloadFile(`\uFEFF${csv}`, `tomatomonkey-sessions-${date}.csv`, "text/csv");
+      } else {
+        const markdown = await this.storage.exportSessionsAsMarkdown(range);
+        this.downloadFile(markdown, `tomatomonkey-report-${date}.md`, "text/markdown");
+      }
+      this.showFeedback("报表已导出", "success", reportFeedback);
+    } catch (error) {
+      console.error("[DataPanel] Failed to export report:", error);
+      this.showFeedback("导出失败，请重试", "error", reportFeedback);
+    }
+  }
+
+  /**
+   * 从纯文本列表添加任务
+   */
+  async handleTextImport() {
+    const { textImport, textImportButton, textFeedback } = this.elements;
+    textImportButton.disabled = true;
+
+    try {
+      const { created, errors } = await this.taskService.importTasksFromText(textImport.value);
+
+      if (errors.length === 0) {
+        textImport.value = "";
+        this.showFeedback(`已添加 ${created.length} 个任务`, "success", textFeedback);
+        return;
+      }
+
+      // 只保留失败的行，便于修改后重试
+      textImport.value = errors.map((error) => error.text).join("\n");
+      const lines = errors.map((error) => error.line).join("、");
+      this.showFeedback(
+        `已添加 ${created.length} 个任务，第 ${lines} 行无效：${errors[0].message}`,
+        "error",
+        textFeedback,
+      );
+    } catch (error) {
+      console.error("[DataPanel] Failed to import tasks from text:", error);
+      this.showFeedback("添加失败，请重试", "error", textFeedback);
+    } finally {
+      textImportButton.disabled = !textImport.value.trim();
+    }
+  }
+
+  /**
+   * 导出 todo.txt 并下载
+   */
+  handleTodoTxtExport() {
+    const { todoTxtFeedback } = this.elements;
+    try {
+      const text = this.todoTxtService.exportTasks();
+      const date = new Date().toISOString().slice(0, 10);
+      this.downloadFile(text, `todo-${date}.txt`, "text/plain");
+      this.showFeedback("todo.txt 已导出", "success", todoTxtFeedback);
+    } catch (error) {
+      console.error("[DataPanel] Failed to export todo.txt:", error);
+      this.showFeedback("导出失败，请重试", "error", todoTxtFeedback);
+    }
+  }
+
+  /**
+   * 读取选择的 todo.txt 文件并生成预览
+   */
+  async handleTodoTxtSelected() {
+    const file = this.elements.todoTxtFile.files[0];
+    this.pendingTodoTxtPlan = null;
+
+    if (file) {
+      try {
+        this.pendingTodoTxtPlan = this.todoTxtService.previewImport(await file.text());
+      } catch (error) {
+        console.error("[DataPanel] Failed to read todo.txt:", error);
+        this.showFeedback("无法读取文件", "error", this.elements.todoTxtFeedback);
+      }
+    }
+    this.renderTodoTxtPreview();
+  }
+
+  /**
+   * 渲染 todo.txt 导入预览，列出无法解析的行
+   */
+  renderTodoTxtPreview() {
+    const { todoTxtPreview, todoTxtApply, todoTxtCancel } = this.elements;
+    const plan = this.pendingTodoTxtPlan;
+
+    todoTxtApply.disabled = !plan || plan.tasks.length === 0;
+    todoTxtCancel.disabled = !plan;
+
+    if (!plan) {
+      todoTxtPreview.innerHTML = "";
+      return;
+    }
+
+    const errorItems = plan.errors
+      .slice(0, 20)
+      .map(
+        (error) =>
+          `<li class="data-preview-detail">第 ${error.line} 行：${this.escapeHtml(error.text)}（${this.escapeHtml(error.message)}）</li>`,
+      )
+      .join("");
+    const moreErrors =
+      plan.errors.length > 20
+        ? `<li class="data-preview-detail">另有 ${plan.errors.length - 20} 行无法解析</li>`
+        : "";
+
+    todoTxtPreview.innerHTML = `
+            <ul class="data-preview-list">
+                <li>将导入 ${plan.tasks.length} 个任务（已完成 ${plan.tasks.filter((task) => task.isCompleted).length} 个）</li>
+                ${this.renderTaskTitles("导入", plan.tasks)}
+                <li>已存在而跳过：${plan.duplicates.length}</li>
+                <li>无法解析：${plan.errors.length}</li>
+                ${errorItems}${moreErrors}
+            </ul>
+        `;
+  }
+
+  /**
+   * 应用 todo.txt 导入
+   */
+  async handleTodoTxtApply() {
+    const plan = this.pendingTodoTxtPlan;
+    if (!plan) return;
+
+    const { todoTxtApply, todoTxtFeedback } = this.elements;
+    todoTxtApply.disabled = true;
+
+    try {
+      const added = await this.todoTxtService.applyImport(plan);
+      this.resetTodoTxtImport();
+      this.showFeedback(`已导入 ${added.length} 个任务`, "success", todoTxtFeedback);
+    } catch (error) {
+      console.error("[DataPanel] Failed to import todo.txt:", error);
+      this.showFeedback("导入失败，请重试", "error", todoTxtFeedback);
+      todoTxtApply.disabled = false;
+    }
+  }
+
+  /**
+   * 清除待导入的 todo.txt
+   */
+  resetTodoTxtImport() {
+    this.pendingTodoTxtPlan = null;
+    this.elements.todoTxtFile.value = "";
+    this.renderTodoTxtPreview();
+  }
+
+  /**
+   * 触发文件下载
+   * @param {string} content - 文件内容
+   * @param {string} filename - 文件名
+   * @param {string} type - MIME类型
+   */
+  downloadFile(content, filename, type = "application/json") {
+    const blob = new Blob([content], { type: `${type};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * 读取选择的备份文件并生成预览
+   */
+  async handleFileSelected() {
+    const file = this.elements.fileInput.files[0];
+    this.pendingBackup = null;
+    this.pendingPlan = null;
+
+    if (!file) {
+      this.renderPreview();
+      return;
+    }
+
+    try {
+      const text = await file.text();
+      this.pendingBackup = this.backupService.parseBackup(text);
+      await this.updatePreview();
+    } catch (error) {
+      console.error("[DataPanel] Invalid backup file:", error);
+      this.renderPreview();
+      this.showFeedback(`备份文件无效：${error.message}`, "error");
+    }
+  }
+
+  /**
+   * 获取当前选择的导入选项
+   * @returns {Object} {mode, conflictStrategy}
+   */
+  getRestoreOptions() {
+    const checked = Array.from(this.elements.modeInputs).find(
+      (radio) => radio.checked,
+    );
+    return {
+      mode: checked ? checked.value : "merge",
+      conflictStrategy: this.elements.conflictStrategy.value,
+    };
+  }
+
+  /**
+   * 按当前选项重新计算导入预演
+   */
+  async updatePreview() {
+    const options = this.getRestoreOptions();
+    this.elements.conflictStrategy.disabled = options.mode === "replace";
+
+    if (!this.pendingBackup) {
+      this.renderPreview();
+      return;
+    }
+
+    try {
+      this.pendingPlan = await this.backupService.previewRestore(
+        this.pendingBackup,
+        options,
+      );
+    } catch (error) {
+      console.error("[DataPanel] Failed to preview restore:", error);
+      this.pendingPlan = null;
+      this.showFeedback("无法生成导入预览", "error");
+    }
+    this.renderPreview();
+  }
+
+  /**
+   * 渲染导入预演结果
+   */
+  renderPreview() {
+    const { preview, applyButton, cancelButton } = this.elements;
+    const plan = this.pendingPlan;
+
+    applyButton.disabled = !plan;
+    cancelButton.disabled = !this.pendingBackup;
+
+    if (!plan) {
+      preview.innerHTML = "";
+      return;
+    }
+
+    const exportedAt = new Date(this.pendingBackup.exportedAt).toLocaleString();
+    const { tasks, sessions, settings } = plan;
+    const conflictNote =
+      plan.mode === "merge" && tasks.conflicts.length > 0
+        ? `（${plan.conflictStrategy === "local" ? "保留本地" : "以备份为准"}）`
+        : "";
+    const changedSettings = settings.changed.map(
+      (field) => this.SETTING_LABELS[field] || field,
+    );
+
+    preview.innerHTML = `
+            <p class="data-preview-title">备份时间：${this.escapeHtml(exportedAt)}</p>
+            <ul class="data-preview-list">
+                <li>任务：新增 ${tasks.added.length}，更新 ${tasks.updated.length}，删除 ${tasks.removed.length}，冲突 ${tasks.conflicts.length}${conflictNote}，未变 ${tasks.unchanged}</li>
+                ${this.renderTaskTitles("新增", tasks.added)}
+                ${this.renderTaskTitles("更新", tasks.updated)}
+                ${this.renderTaskTitles("删除", tasks.removed)}
+                <li>专注记录：新增 ${sessions.added}，删除 ${sessions.removed}</li>
+                <li>设置：${changedSettings.length > 0 ? this.escapeHtml(changedSettings.join("、")) : "无变化"}</li>
+            </ul>
+        `;
+  }
+
+  /**
+   * 渲染部分任务标题，便于确认变更
+   * @param {string} label - 变更类型
+   * @param {Array<Object>} tasks - 任务列表
+   * @returns {string} HTML片段
+   */
+  renderTaskTitles(label, tasks) {
+    if (tasks.length === 0) return "";
+
+    const titles = tasks
+      .slice(0, 5)
+      .map((task) => this.escapeHtml(task.title))
+      .join("、");
+    const more = tasks.length > 5 ? ` 等 ${tasks.length} 个` : "";
+    return `<li class="data-preview-detail">${label}：${titles}${more}</li>`;
+  }
+
+  /**
+   * 应用导入
+   */
+  async handleApply() {
+    if (!this.pendingPlan) return;
+
+    if (
+      this.pendingPlan.mode === "replace" &&
+      !confirm("替换将删除备份中不存在的本地任务和专注记录，确定继续吗？")
+    ) {
+      return;
+    }
+
+    const { applyButton } = this.elements;
+    applyButton.disabled = true;
+    applyButton.classList.add("loading");
+
+    try {
+      const success = await this.backupService.applyRestore(this.pendingPlan);
+      if (success) {
+        this.resetImport();
+        this.renderMigrationWarning();
+        this.showFeedback("导入完成", "success");
+        if (this.onRestored) {
+          await this.onRestored();
+        }
+      } else {
+        this.showFeedback("导入失败，现有数据未被修改", "error");
+      }
+    } finally {
+      applyButton.classList.remove("loading");
+      applyButton.disabled = !this.pendingPlan;
+    }
+  }
+
+  /**
+   * 清除待导入的备份
+   */
+  resetImport() {
+    this.pendingBackup = null;
+    this.pendingPlan = null;
+    this.elements.fileInput.value = "";
+    this.renderPreview();
+  }
+
+  /**
+   * 显示存储无法读取或迁移失败的提示
+   */
+  renderMigrationWarning() {
+    const { warning } = this.elements;
+    const failures = this.storage ? this.storage.getMigrationFailures() : [];
+
+    warning.classList.toggle("hidden", failures.length === 0);
+    warning.innerHTML = failures
+      .map(
+        (failure) => `
+            <p>
+                ${this.escapeHtml(failure.key)} ${failure.fromVersion === null ? "无法读取" : `从 v${failure.fromVersion} 升级失败`}（${this.escapeHtml(failure.error)}），
+                原始数据已保存在 ${this.escapeHtml(failure.backupKey)}，可导入备份进行恢复。
+            </p>
+        `,
+      )
+      .join("");
+  }
+
+  /**
+   * 显示反馈信息
+   */
+  showFeedback(message, type = "", feedback = this.elements.feedback) {
+    feedback.textContent = message;
+    feedback.className = `input-feedback ${type}`;
+
+    if (type === "success") {
+      setTimeout(() => {
+        if (feedback.textContent === message) {
+          feedback.textContent = "";
+          feedback.className = "input-feedback";
+        }
+      }, 3000);
+    }
+  }
+
+  /**
+   * HTML转义函数
+   */
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * 销毁组件
+   */
+  destroy() {
+    if (this.container) {
+      this.container.innerHTML = "";
+    }
+
+    console.log("[DataPanel] Destroyed");
+  }
+}
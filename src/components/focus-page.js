@@ -5,9 +5,13 @@
  * 1. 专注页面的UI渲染和布局
  * 2. 倒计时的实时显示更新
  * 3. 当前任务标题的展示
- * 4. 订阅TimerService的状态变化
+ * 4. 通过事件总线订阅TimerService的状态变化
  * 5. 极简无干扰的用户界面
  * 6. 页面生命周期管理
+ * 7. 休息阶段的休息模式展示
+ * 8. 展示当前任务的检查项，可在专注期间直接勾选
+ * 9. 只读展示当前任务的Markdown备注
+ * 10. 暂停、跳过拦截或提前结束时可选填写中断原因
  */
 
 class FocusPage {
@@ -15,18 +19,35 @@ class FocusPage {
     this.container = null;
     this.isInitialized = false;
     this.isVisible = false;
+    this.isBreakMode = false;
+    this.hideTimeout = null;
     
     // UI元素引用
     this.taskTitleElement = null;
     this.countdownElement = null;
     this.statusElement = null;
     this.progressElement = null;
+    this.checklistElement = null;
+    this.notesElement = null;
+
+    // 备注渲染器
+    this.markdownRenderer = new MarkdownRenderer();
+
+    // 中断原因对话框关闭时的回调
+    this.interruptionCallback = null;
+    this.INTERRUPTION_TITLES = {
+      pause: "为什么暂停？",
+      stop: "为什么提前结束？",
+      skipBlocking: "为什么跳过拦截？",
+    };
     
     // 计时器服务引用
     this.timerService = null;
     
-    // 观察者回调绑定
-    this.boundObserverCallback = this.handleTimerEvent.bind(this);
+    // 事件总线订阅
+    this.eventBus = null;
+    this.unsubscribeTimerEvents = null;
+    this.unsubscribeTaskEvents = null;
     
     console.log("[FocusPage] Created");
   }
@@ -36,8 +57,10 @@ class FocusPage {
    * @param {TimerService} timerService - 计时器服务实例
    * @param {TaskService} taskService - 任务服务实例
    * @param {BlockerFeature} blockerFeature - 拦截功能实例
+   * @param {StatsService} statsService - 统计服务实例，用于记录中断
+   * @param {EventBus} eventBus - 事件总线，订阅计时器和任务事件
    */
-  initialize(timerService, taskService, blockerFeature) {
+  initialize(timerService, taskService, blockerFeature, statsService, eventBus) {
     if (this.isInitialized) {
       return;
     }
@@ -45,9 +68,24 @@ class FocusPage {
     this.timerService = timerService;
     this.taskManager = taskService;
     this.blockerFeature = blockerFeature;
+    this.statsService = statsService;
+    this.eventBus = eventBus;
     this.createPageStructure();
     this.bindTimerService();
 
+    if (this.taskManager) {
+      this.unsubscribeTaskEvents = this.eventBus.onMany(
+        [
+          EventBus.EVENTS.TASK_UPDATED,
+          EventBus.EVENTS.TASK_CHECKLIST_UPDATED,
+          EventBus.EVENTS.TASK_DELETED,
+          EventBus.EVENTS.TASKS_RELOADED,
+          EventBus.EVENTS.TASKS_MERGED,
+        ],
+        (event, data) => this.handleTaskEvent(event, data),
+      );
+    }
+
     this.isInitialized = true;
     console.log("[FocusPage] Initialized successfully");
   }
@@ -56,6 +94,10 @@ class FocusPage {
    * 创建专注页面的DOM结构
    */
   createPageStructure() {
+    // 倒计时和增加时间的默认值来自计时设置，直接渲染，不先显示固定值再替换
+    const defaultSeconds = this.timerService ? this.timerService.getDefaultDuration() : 1500;
+    const extendMinutes = this.timerService ? this.timerService.getExtendDuration() / 60 : 15;
+
     // 创建专注页面容器
     this.container = document.createElement("div");
     this.container.id = "tomato-monkey-focus-page";
@@ -78,7 +120,7 @@ class FocusPage {
         
         <div class="focus-timer">
           <div class="countdown-display" id="countdown-display">
-            25:00
+            ${this.formatTime(defaultSeconds)}
           </div>
           <div class="countdown-progress" id="countdown-progress">
             <div class="progress-bar" id="progress-bar"></div>
@@ -89,6 +131,16 @@ class FocusPage {
           <div class="focus-hint">
             保持专注，距离完成还有一段时间
           </div>
+          <div class="focus-checklist hidden" id="focus-checklist">
+            <div class="focus-checklist-header">
+              检查项 <span class="focus-checklist-progress" id="focus-checklist-progress"></span>
+            </div>
+            <ul class="focus-checklist-items" id="focus-checklist-items" role="list"></ul>
+          </div>
+          <div class="focus-notes hidden" id="focus-notes">
+            <div class="focus-notes-header">备注</div>
+            <div class="focus-notes-content" id="focus-notes-content"></div>
+          </div>
         </div>
         
         <div class="focus-actions">
@@ -116,6 +168,11 @@ class FocusPage {
             ⏰ 增加时间
           </button>
           
+          <!-- 休息模式下的跳过休息按钮 -->
+          <button type="button" class="focus-action-btn skip-break-btn hidden" id="skip-break-btn">
+            ☕ 跳过休息
+          </button>
+          
           <!-- 拦截模式下的跳过按钮 -->
           <button type="button" class="focus-action-btn skip-btn hidden" id="skip-btn">
             ⏭️ 跳过拦截
@@ -142,10 +199,10 @@ class FocusPage {
                      min="0.1" max="120" step="0.1" placeholder="输入分钟数 (如: 25 或 1.5)">
             </div>
             <div class="time-presets">
-              <button type="button" class="preset-btn" data-minutes="25">25分钟</button>
-              <button type="button" class="preset-btn" data-minutes="30">30分钟</button>
-              <button type="button" class="preset-btn" data-minutes="45">45分钟</button>
-              <button type="button" class="preset-btn" data-minutes="60">60分钟</button>
+              ${this.timerService.DURATION_PRESETS.map(
+                (minutes) =>
+                  `<button type="button" class="preset-btn" data-minutes="${minutes}">${minutes}分钟</button>`,
+              ).join("")}
             </div>
           </div>
           <div class="modal-actions">
@@ -166,13 +223,13 @@ class FocusPage {
             <div class="time-input-group">
               <label for="extend-time-input">增加时长 (分钟)</label>
               <input type="number" id="extend-time-input" class="time-input" 
-                     min="0.1" max="60" step="0.1" value="5" placeholder="输入分钟数 (如: 5 或 2.5)">
+                     min="0.1" max="60" step="0.1" value="${extendMinutes}" placeholder="输入分钟数 (如: 5 或 2.5)">
             </div>
             <div class="time-presets">
-              <button type="button" class="preset-btn" data-minutes="5">5分钟</button>
-              <button type="button" class="preset-btn" data-minutes="10">10分钟</button>
-              <button type="button" class="preset-btn selected" data-minutes="15">15分钟</button>
-              <button type="button" class="preset-btn" data-minutes="30">30分钟</button>
+              ${[5, 10, 15, 30].map(
+                (minutes) =>
+                  `<button type="button" class="preset-btn ${minutes === extendMinutes ? "selected" : ""}" data-minutes="${minutes}">${minutes}分钟</button>`,
+              ).join("")}
             </div>
           </div>
           <div class="modal-actions">
@@ -181,6 +238,33 @@ class FocusPage {
           </div>
         </div>
       </div>
+
+      <!-- Interruption Modal -->
+      <div class="time-modify-modal hidden" id="interruption-modal">
+        <div class="modal-overlay"></div>
+        <div class="modal-content">
+          <div class="modal-header">
+            <h3 id="interruption-modal-title">为什么暂停？</h3>
+          </div>
+          <div class="modal-body">
+            <div class="time-presets" role="group" aria-label="中断类型">
+              <button type="button" class="preset-btn interruption-category-btn" data-category="internal"
+                      title="走神、想到别的事、主动切换任务">🧠 内部干扰</button>
+              <button type="button" class="preset-btn interruption-category-btn" data-category="external"
+                      title="他人打扰、消息、电话">📣 外部干扰</button>
+            </div>
+            <div class="time-input-group interruption-reason-group">
+              <label for="interruption-reason-input">原因（可选）</label>
+              <input type="text" id="interruption-reason-input" class="time-input"
+                     maxlength="200" placeholder="如：同事来问问题">
+            </div>
+          </div>
+          <div class="modal-actions">
+            <button type="button" class="modal-btn cancel-btn" id="skip-interruption-btn">不记录</button>
+            <button type="button" class="modal-btn confirm-btn" id="confirm-interruption-btn">记录</button>
+          </div>
+        </div>
+      </div>
     `;
 
     // 添加到页面
@@ -191,6 +275,8 @@ class FocusPage {
     this.countdownElement = this.container.querySelector("#countdown-display");
     this.statusElement = this.container.querySelector("#focus-status");
     this.progressElement = this.container.querySelector("#progress-bar");
+    this.checklistElement = this.container.querySelector("#focus-checklist");
+    this.notesElement = this.container.querySelector("#focus-notes");
     
     // 绑定事件
     this.setupEventListeners();
@@ -202,11 +288,7 @@ class FocusPage {
   setupEventListeners() {
     // 暂停按钮
     const pauseBtn = this.container.querySelector("#pause-btn");
-    pauseBtn.addEventListener("click", () => {
-      if (this.timerService) {
-        this.timerService.pauseTimer();
-      }
-    });
+    pauseBtn.addEventListener("click", () => this.handlePause());
 
     // 继续按钮
     const resumeBtn = this.container.querySelector("#resume-btn");
@@ -246,6 +328,16 @@ class FocusPage {
       extendTimeBtn.addEventListener("click", () => this.handleExtendTime());
     }
 
+    // 跳过休息按钮
+    const skipBreakBtn = this.container.querySelector("#skip-break-btn");
+    if (skipBreakBtn) {
+      skipBreakBtn.addEventListener("click", () => {
+        if (this.timerService) {
+          this.timerService.skipBreak();
+        }
+      });
+    }
+
     // 跳过拦截按钮
     const skipBtn = this.container.querySelector("#skip-btn");
     if (skipBtn) {
@@ -258,12 +350,23 @@ class FocusPage {
       endFocusBtn.addEventListener("click", () => this.handleEndFocus());
     }
 
+    // 勾选检查项
+    this.checklistElement.addEventListener("change", (e) => {
+      const itemElement = e.target.closest(".focus-checklist-item");
+      if (itemElement) {
+        this.handleChecklistToggle(itemElement.dataset.itemId);
+      }
+    });
+
     // 时间修改模态框事件
     this.setupModalEventListeners();
 
     // 增加时间模态框事件
     this.setupExtendTimeModalEventListeners();
 
+    // 中断原因模态框事件
+    this.setupInterruptionModalEventListeners();
+
     // 设置图标点击事件
     const settingsIcon = this.container.querySelector("#focus-settings-icon");
     if (settingsIcon) {
@@ -282,10 +385,15 @@ class FocusPage {
     document.addEventListener("keydown", (e) => {
       if (e.key === "Escape" && this.isVisible) {
         // 如果模态框打开，先关闭模态框
-        if (this.isTimeModalVisible()) {
+        if (this.isInterruptionModalVisible()) {
+          this.closeInterruptionModal(null);
+        } else if (this.isTimeModalVisible()) {
           this.hideTimeModificationModal();
         } else if (this.isExtendTimeModalVisible()) {
           this.hideExtendTimeModal();
+        } else if (this.isBreakMode) {
+          // 休息模式下直接收起页面，休息计时继续
+          this.hide();
         } else {
           this.showStopConfirmation();
         }
@@ -299,10 +407,34 @@ class FocusPage {
   showStopConfirmation() {
     const confirmed = confirm("确定要结束当前的专注时间吗？\n\n这将停止计时器并返回任务列表。");
     if (confirmed && this.timerService) {
-      this.timerService.stopTimer();
+      this.stopWithInterruption();
     }
   }
 
+  /**
+   * 暂停计时器并询问暂停原因
+   */
+  handlePause() {
+    if (!this.timerService || !this.timerService.pauseTimer()) return;
+
+    // 暂停本身已由 StatsService 记录，这里只补充原因
+    this.showInterruptionModal("pause", (details) => {
+      if (details) {
+        this.logInterruption(() => this.statsService.setInterruptionReason(details));
+      }
+    });
+  }
+
+  /**
+   * 询问提前结束的原因后停止计时器
+   */
+  stopWithInterruption() {
+    this.showInterruptionModal("stop", (details) => {
+      this.logInterruption(() => this.statsService.recordInterruption("stop", details || {}));
+      this.timerService.stopTimer();
+    });
+  }
+
   /**
    * 处理设置图标点击事件
    */
@@ -334,7 +466,7 @@ class FocusPage {
     
     if (confirmed && this.timerService) {
       console.log("[FocusPage] User confirmed end focus from blocking mode");
-      this.timerService.stopTimer();
+      this.stopWithInterruption();
     }
   }
 
@@ -351,12 +483,18 @@ class FocusPage {
     
     if (confirmed) {
       console.log("[FocusPage] User confirmed skip blocking");
-      
-      // 隐藏 focus-page，但不影响计时器状态
-      this.hide();
-      
-      // 通知 BlockerFeature 用户选择跳过当前页面
-      this.notifySkipBlocking();
+
+      this.showInterruptionModal("skipBlocking", (details) => {
+        this.logInterruption(() =>
+          this.statsService.recordInterruption("skipBlocking", details || {}),
+        );
+
+        // 隐藏 focus-page，但不影响计时器状态
+        this.hide();
+
+        // 通知 BlockerFeature 用户选择跳过当前页面
+        this.notifySkipBlocking();
+      });
     } else {
       console.log("[FocusPage] User cancelled skip blocking");
     }
@@ -382,8 +520,9 @@ class FocusPage {
     const cancelBtn = this.container.querySelector("#cancel-time-btn");
     const confirmBtn = this.container.querySelector("#confirm-time-btn");
     const timeInput = this.container.querySelector("#time-input");
-    const presetBtns = this.container.querySelectorAll(".preset-btn");
-    const modalOverlay = this.container.querySelector(".modal-overlay");
+    // 只取本模态框内的预设按钮，其他模态框也使用 .preset-btn 样式
+    const presetBtns = modal.querySelectorAll(".preset-btn");
+    const modalOverlay = modal.querySelector(".modal-overlay");
 
     // 取消按钮
     cancelBtn.addEventListener("click", () => {
@@ -484,13 +623,122 @@ class FocusPage {
     });
   }
 
+  /**
+   * 设置中断原因模态框事件监听器
+   */
+  setupInterruptionModalEventListeners() {
+    const modal = this.container.querySelector("#interruption-modal");
+    const categoryBtns = modal.querySelectorAll(".interruption-category-btn");
+    const reasonInput = modal.querySelector("#interruption-reason-input");
+
+    // 分类按钮单选，再次点击取消选择
+    categoryBtns.forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const wasSelected = btn.classList.contains("selected");
+        categoryBtns.forEach((b) => b.classList.remove("selected"));
+        btn.classList.toggle("selected", !wasSelected);
+      });
+    });
+
+    modal.querySelector("#confirm-interruption-btn").addEventListener("click", () => {
+      this.submitInterruptionModal();
+    });
+    modal.querySelector("#skip-interruption-btn").addEventListener("click", () => {
+      this.closeInterruptionModal(null);
+    });
+    modal.querySelector(".modal-overlay").addEventListener("click", () => {
+      this.closeInterruptionModal(null);
+    });
+
+    reasonInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        this.submitInterruptionModal();
+      }
+    });
+  }
+
+  /**
+   * 显示中断原因模态框
+   * 没有统计服务时直接执行回调；无论是否填写原因，关闭时都会执行回调
+   * @param {string} type - 中断类型：pause | stop | skipBlocking
+   * @param {Function} callback - 关闭时调用，参数为 {category, reason} 或 null
+   */
+  showInterruptionModal(type, callback) {
+    if (!this.statsService) {
+      callback(null);
+      return;
+    }
+
+    const modal = this.container.querySelector("#interruption-modal");
+    const reasonInput = modal.querySelector("#interruption-reason-input");
+
+    this.interruptionCallback = callback;
+    modal.querySelector("#interruption-modal-title").textContent =
+      this.INTERRUPTION_TITLES[type];
+    modal
+      .querySelectorAll(".interruption-category-btn")
+      .forEach((btn) => btn.classList.remove("selected"));
+    reasonInput.value = "";
+    modal.classList.remove("hidden");
+
+    setTimeout(() => reasonInput.focus(), 100);
+  }
+
+  /**
+   * 提交中断原因
+   */
+  submitInterruptionModal() {
+    const modal = this.container.querySelector("#interruption-modal");
+    const selected = modal.querySelector(".interruption-category-btn.selected");
+
+    this.closeInterruptionModal({
+      category: selected ? selected.dataset.category : null,
+      reason: modal.querySelector("#interruption-reason-input").value,
+    });
+  }
+
+  /**
+   * 关闭中断原因模态框并执行回调
+   * @param {Object|null} details - 填写的原因，不记录时为 null
+   */
+  closeInterruptionModal(details) {
+    const modal = this.container.querySelector("#interruption-modal");
+    modal.classList.add("hidden");
+
+    const callback = this.interruptionCallback;
+    this.interruptionCallback = null;
+    if (callback) {
+      callback(details);
+    }
+  }
+
+  /**
+   * 记录中断，失败时不影响后续的计时器操作
+   * @param {Function} record - 调用 StatsService 的记录方法
+   */
+  logInterruption(record) {
+    try {
+      record();
+    } catch (error) {
+      console.error("[FocusPage] Failed to record interruption:", error);
+    }
+  }
+
+  /**
+   * 检查中断原因模态框是否可见
+   */
+  isInterruptionModalVisible() {
+    const modal = this.container.querySelector("#interruption-modal");
+    return modal && !modal.classList.contains("hidden");
+  }
+
   /**
    * 显示时间修改模态框
    */
   showTimeModificationModal() {
     const modal = this.container.querySelector("#time-modify-modal");
     const timeInput = this.container.querySelector("#time-input");
-    const presetBtns = this.container.querySelectorAll(".preset-btn");
+    const presetBtns = modal.querySelectorAll(".preset-btn");
     
     if (!this.timerService) return;
 
@@ -562,48 +810,186 @@ class FocusPage {
    * 绑定计时器管理器事件
    */
   bindTimerService() {
-    if (!this.timerService) return;
-
-    this.timerService.addObserver(this.boundObserverCallback);
+    if (!this.timerService || this.unsubscribeTimerEvents) return;
+
+    this.unsubscribeTimerEvents = this.eventBus.onMany(
+      [
+        EventBus.EVENTS.TIMER_STARTED,
+        EventBus.EVENTS.TIMER_TICK,
+        EventBus.EVENTS.TIMER_PAUSED,
+        EventBus.EVENTS.TIMER_RESUMED,
+        EventBus.EVENTS.TIMER_COMPLETED,
+        EventBus.EVENTS.TIMER_STOPPED,
+        EventBus.EVENTS.TIMER_MODIFIED,
+        EventBus.EVENTS.BREAK_STARTED,
+        EventBus.EVENTS.BREAK_COMPLETED,
+      ],
+      (event, data) => this.handleTimerEvent(event, data),
+    );
   }
 
   /**
    * 解绑计时器管理器事件
    */
   unbindTimerService() {
-    if (!this.timerService) return;
+    if (!this.unsubscribeTimerEvents) return;
 
-    this.timerService.removeObserver(this.boundObserverCallback);
+    this.unsubscribeTimerEvents();
+    this.unsubscribeTimerEvents = null;
   }
 
   /**
    * 处理计时器事件
-   * @param {string} event - 事件类型
+   * @param {string} event - EventBus.EVENTS 中的事件名称
    * @param {Object} data - 事件数据
    */
   handleTimerEvent(event, data) {
+    const { EVENTS } = EventBus;
     switch (event) {
-      case "timerStarted":
+      case EVENTS.TIMER_STARTED:
         this.onTimerStarted(data);
         break;
-      case "timerTick":
+      case EVENTS.TIMER_TICK:
         this.onTimerTick(data);
         break;
-      case "timerPaused":
+      case EVENTS.TIMER_PAUSED:
         this.onTimerPaused(data);
         break;
-      case "timerResumed":
+      case EVENTS.TIMER_RESUMED:
         this.onTimerResumed(data);
         break;
-      case "timerCompleted":
+      case EVENTS.TIMER_COMPLETED:
         this.onTimerCompleted(data);
         break;
-      case "timerStopped":
+      case EVENTS.TIMER_STOPPED:
         this.onTimerStopped(data);
         break;
-      case "timerModified":
+      case EVENTS.TIMER_MODIFIED:
         this.onTimerModified(data);
         break;
+      case EVENTS.BREAK_STARTED:
+        this.onBreakStarted(data);
+        break;
+      case EVENTS.BREAK_COMPLETED:
+        this.onBreakCompleted(data);
+        break;
+    }
+  }
+
+  /**
+   * 处理任务服务事件 - 检查项、备注变化或其他标签页同步任务时刷新显示
+   * @param {string} event - EventBus.EVENTS 中的事件名称
+   * @param {Object} data - 事件数据
+   */
+  handleTaskEvent(event, data) {
+    const { EVENTS } = EventBus;
+    switch (event) {
+      case EVENTS.TASK_UPDATED:
+        if (this.isVisible && data && data.remote) {
+          this.renderTaskDetails();
+        } else if (this.isVisible && data && data.field === "notes") {
+          this.renderNotes();
+        }
+        break;
+      case EVENTS.TASK_CHECKLIST_UPDATED:
+      case EVENTS.TASK_DELETED:
+      case EVENTS.TASKS_RELOADED:
+      case EVENTS.TASKS_MERGED:
+        if (this.isVisible) {
+          this.renderTaskDetails();
+        }
+        break;
+    }
+  }
+
+  /**
+   * 获取当前专注的任务
+   * @returns {Task|null}
+   */
+  getCurrentTask() {
+    const taskInfo = this.timerService ? this.timerService.getTaskInfo() : null;
+    return this.taskManager && taskInfo && taskInfo.taskId
+      ? this.taskManager.getTaskById(taskInfo.taskId) || null
+      : null;
+  }
+
+  /**
+   * 渲染当前任务的检查项和备注
+   */
+  renderTaskDetails() {
+    this.renderChecklist();
+    this.renderNotes();
+  }
+
+  /**
+   * 渲染当前任务的备注（休息模式或无备注时隐藏）
+   */
+  renderNotes() {
+    if (!this.notesElement) return;
+
+    const task = this.getCurrentTask();
+    const notes = (task && task.notes) || "";
+
+    this.notesElement.classList.toggle("hidden", this.isBreakMode || !notes);
+
+    // MarkdownRenderer 会转义所有文本，只生成固定的标签
+    this.notesElement.querySelector("#focus-notes-content").innerHTML = notes
+      ? this.markdownRenderer.render(notes)
+      : "";
+  }
+
+  /**
+   * 渲染当前任务的检查项（休息模式或无检查项时隐藏）
+   */
+  renderChecklist() {
+    if (!this.checklistElement) return;
+
+    const task = this.getCurrentTask();
+    const checklist = (task && task.checklist) || [];
+
+    this.checklistElement.classList.toggle(
+      "hidden",
+      this.isBreakMode || checklist.length === 0,
+    );
+
+    const listElement = this.checklistElement.querySelector("#focus-checklist-items");
+    const progressElement = this.checklistElement.querySelector("#focus-checklist-progress");
+    const done = checklist.filter((item) => item.isCompleted).length;
+    progressElement.textContent = `${done}/${checklist.length}`;
+
+    // 使用textContent构建，防止XSS
+    listElement.innerHTML = "";
+    checklist.forEach((item) => {
+      const itemElement = document.createElement("li");
+      itemElement.className = `focus-checklist-item${item.isCompleted ? " completed" : ""}`;
+      itemElement.dataset.itemId = item.id;
+
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = item.isCompleted;
+      const title = document.createElement("span");
+      title.textContent = item.title;
+
+      label.appendChild(checkbox);
+      label.appendChild(title);
+      itemElement.appendChild(label);
+      listElement.appendChild(itemElement);
+    });
+  }
+
+  /**
+   * 切换当前任务的检查项
+   * @param {string} itemId - 检查项ID
+   */
+  async handleChecklistToggle(itemId) {
+    const taskInfo = this.timerService.getTaskInfo();
+    if (!this.taskManager || !taskInfo || !taskInfo.taskId) return;
+
+    try {
+      await this.taskManager.toggleChecklistItem(taskInfo.taskId, itemId);
+    } catch (error) {
+      console.error("[FocusPage] Failed to toggle checklist item:", error);
     }
   }
 
@@ -612,6 +998,7 @@ class FocusPage {
    * @param {Object} data - 事件数据
    */
   onTimerStarted(data) {
+    this.setBreakMode(false);
     this.updateTaskInfo(data.taskTitle);
     this.updateCountdown(data.remainingSeconds, data.totalSeconds);
     this.updateStatus("专注中", "running");
@@ -632,7 +1019,9 @@ class FocusPage {
   onTimerTick(data) {
     this.updateCountdown(data.remainingSeconds, data.totalSeconds);
     this.updateProgress(data.progress);
-    this.updateHint(data.remainingSeconds);
+    if (!this.isBreakMode) {
+      this.updateHint(data.remainingSeconds);
+    }
   }
 
   /**
@@ -677,6 +1066,69 @@ class FocusPage {
     console.log("[FocusPage] Timer stopped, hiding focus page");
   }
 
+  /**
+   * 处理休息开始事件 - 以休息模式替代拦截页面
+   * @param {Object} data - 事件数据
+   */
+  onBreakStarted(data) {
+    const isLongBreak = data.phase === "longBreak";
+
+    this.setBreakMode(true);
+    this.updateTaskInfo(isLongBreak ? "长休息" : "短休息");
+    this.updateCountdown(data.remainingSeconds, data.totalSeconds);
+    this.updateStatus("休息中 ☕", "break");
+    this.updateProgress(0);
+
+    const hintElement = this.container.querySelector(".focus-hint");
+    if (hintElement) {
+      hintElement.textContent = isLongBreak
+        ? `已完成一轮 ${data.completedPomodoros} 个番茄钟，好好休息一下吧`
+        : `已完成 ${data.completedPomodoros}/${data.longBreakInterval} 个番茄钟，起身活动一下吧`;
+    }
+
+    // 休息期间仍可标记刚完成的任务或继续专注
+    this.showActionButtons(false);
+    this.container.querySelector("#complete-btn").classList.remove("hidden");
+    this.container.querySelector("#extend-time-btn").classList.remove("hidden");
+    this.container.querySelector("#cancel-complete-btn").classList.add("hidden");
+
+    this.show();
+    console.log(`[FocusPage] ${data.phase} started, showing break mode`);
+  }
+
+  /**
+   * 处理休息结束事件
+   * @param {Object} data - 事件数据
+   */
+  onBreakCompleted(data) {
+    this.updateStatus(data.skipped ? "已跳过休息" : "休息结束", "completed");
+    this.hide();
+    console.log(`[FocusPage] ${data.phase} finished, hiding break mode`);
+  }
+
+  /**
+   * 切换休息模式
+   * @param {boolean} enabled - 是否启用休息模式
+   */
+  setBreakMode(enabled) {
+    this.isBreakMode = enabled;
+    if (!this.container) return;
+
+    if (enabled) {
+      this.container.setAttribute("data-break-mode", "true");
+      this.container.removeAttribute("data-blocking-mode");
+    } else {
+      this.container.removeAttribute("data-break-mode");
+    }
+
+    const skipBreakBtn = this.container.querySelector("#skip-break-btn");
+    if (skipBreakBtn) {
+      skipBreakBtn.classList.toggle("hidden", !enabled);
+    }
+
+    this.renderTaskDetails();
+  }
+
   /**
    * 处理计时器修改事件
    * @param {Object} data - 事件数据
@@ -710,7 +1162,12 @@ class FocusPage {
     const timeStr = this.formatTime(remainingSeconds);
     this.countdownElement.textContent = timeStr;
 
-    // 添加时间警告样式
+    // 添加时间警告样式（休息模式不需要催促）
+    if (this.isBreakMode) {
+      this.countdownElement.classList.remove("warning", "urgent");
+      return;
+    }
+
     if (remainingSeconds <= 300) { // 最后5分钟
       this.countdownElement.classList.add("warning");
     } else {
@@ -859,8 +1316,15 @@ class FocusPage {
   show() {
     if (!this.container) return;
 
+    // 取消尚未完成的隐藏动画，避免刚显示的页面被重置
+    if (this.hideTimeout) {
+      clearTimeout(this.hideTimeout);
+      this.hideTimeout = null;
+    }
+
     this.container.classList.remove("hidden");
     this.isVisible = true;
+    this.renderTaskDetails();
 
     // 添加显示动画
     setTimeout(() => {
@@ -880,8 +1344,14 @@ class FocusPage {
     this.container.classList.remove("show");
     this.isVisible = false;
 
+    // 未填写的中断原因按不记录处理
+    if (this.isInterruptionModalVisible()) {
+      this.closeInterruptionModal(null);
+    }
+
     // 动画完成后隐藏
-    setTimeout(() => {
+    this.hideTimeout = setTimeout(() => {
+      this.hideTimeout = null;
       this.container.classList.add("hidden");
       document.body.style.overflow = "";
       this.reset();
@@ -892,8 +1362,9 @@ class FocusPage {
    * 重置页面状态
    */
   reset() {
+    this.setBreakMode(false);
     this.updateTaskInfo("准备开始专注...");
-    this.updateCountdown(1500); // 重置为25分钟
+    this.updateCountdown(this.timerService ? this.timerService.getDefaultDuration() : 1500);
     this.updateStatus("就绪", "idle");
     this.updateProgress(0);
     this.showActionButtons(false);
@@ -965,10 +1436,8 @@ class FocusPage {
     if (this.taskManager && taskInfo && taskInfo.taskId) {
       try {
         const taskId = taskInfo.taskId;
-        // 标记任务为完成
+        // 标记任务为完成（番茄钟计数已在专注完成时由 StatsService 累加）
         await this.taskManager.toggleTaskCompletion(taskId);
-        // 增加番茄钟计数
-        await this.taskManager.incrementPomodoroCount(taskId);
         console.log(`[FocusPage] Task marked as completed`);
         
         // 显示成功提示
@@ -990,7 +1459,13 @@ class FocusPage {
   handleExtendTime() {
     const modal = this.container.querySelector("#extend-time-modal");
     const input = this.container.querySelector("#extend-time-input");
-    input.value = 15; // 默认15分钟
+    const minutes = this.timerService ? this.timerService.getExtendDuration() / 60 : 15;
+    input.value = minutes;
+
+    // 选中与默认时长一致的预设按钮
+    modal.querySelectorAll(".preset-btn").forEach((btn) => {
+      btn.classList.toggle("selected", parseFloat(btn.dataset.minutes) === minutes);
+    });
     modal.classList.remove("hidden");
     
     setTimeout(() => {
@@ -1028,8 +1503,10 @@ class FocusPage {
       const taskId = taskInfo.taskId;
       const taskTitle = taskInfo.taskTitle;
       
-      // 重新启动计时器
-      await this.timerService.startTimer(taskId, taskTitle, seconds);
+      // 重新启动计时器（记录为延长的专注会话）
+      await this.timerService.startTimer(taskId, taskTitle, seconds, {
+        isExtension: true,
+      });
       
       // 隐藏modal和完成按钮
       this.hideExtendTimeModal();
@@ -1053,6 +1530,16 @@ class FocusPage {
    */
   destroy() {
     this.unbindTimerService();
+
+    if (this.unsubscribeTaskEvents) {
+      this.unsubscribeTaskEvents();
+      this.unsubscribeTaskEvents = null;
+    }
+
+    if (this.hideTimeout) {
+      clearTimeout(this.hideTimeout);
+      this.hideTimeout = null;
+    }
     
     if (this.container && this.container.parentNode) {
       this.container.parentNode.removeChild(this.container);
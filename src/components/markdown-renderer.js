@@ -0,0 +1,207 @@
+/**
+ * MarkdownRenderer - 任务备注的安全Markdown子集渲染器
+ *
+ * 支持：
+ * 1. 段落与换行、# ~ ### 标题、> 引用、``` 代码块
+ * 2. 无序/有序列表，以及 - [ ] / - [x] 任务列表
+ * 3. 行内 `代码`、**粗体**、*斜体*、~~删除线~~、[链接](https://...) 和自动识别的网址
+ *
+ * 所有文本先按 escapeHtml 的规则转义（额外转义引号以便用于属性），
+ * 之后只插入固定的标签；链接只允许 http(s) 和 mailto 协议
+ */
+
+class MarkdownRenderer {
+  constructor() {
+    this.SAFE_URL_PATTERN = /^(?:https?:\/\/|mailto:)/i;
+    this.FENCE_PATTERN = /^\s*```/;
+  }
+
+  /**
+   * 渲染Markdown为HTML字符串
+   * @param {string} text - Markdown文本
+   * @returns {string} 安全的HTML
+   */
+  render(text) {
+    // \u0000 用作行内占位符的分隔符，不允许出现在输入中
+    const lines = String(text || "")
+      .replace(/\u0000/g, "")
+      .replace(/\r\n?/g, "\n")
+      .split("\n");
+
+    const html = [];
+    let paragraph = [];
+    let quote = [];
+    let list = null;
+    let code = null;
+
+    const flushParagraph = () => {
+      if (paragraph.length > 0) {
+        html.push(`<p>${paragraph.map((line) => this.renderInline(line)).join("<br>")}</p>`);
+        paragraph = [];
+      }
+    };
+    const flushQuote = () => {
+      if (quote.length > 0) {
+        html.push(
+          `<blockquote>${quote.map((line) => this.renderInline(line)).join("<br>")}</blockquote>`,
+        );
+        quote = [];
+      }
+    };
+    const flushList = () => {
+      if (list) {
+        const items = list.items.map((item) => `<li>${item}</li>`).join("");
+        html.push(`<${list.type}>${items}</${list.type}>`);
+        list = null;
+      }
+    };
+    const flushAll = () => {
+      flushParagraph();
+      flushQuote();
+      flushList();
+    };
+
+    for (const line of lines) {
+      if (code) {
+        if (this.FENCE_PATTERN.test(line)) {
+          html.push(`<pre><code>${this.escape(code.join("\n"))}</code></pre>`);
+          code = null;
+        } else {
+          code.push(line);
+        }
+        continue;
+      }
+
+      if (this.FENCE_PATTERN.test(line)) {
+        flushAll();
+        code = [];
+        continue;
+      }
+
+      if (!line.trim()) {
+        flushAll();
+        continue;
+      }
+
+      // 标题降三级显示（h4-h6），避免在小面板中过大
+      const heading = line.match(/^(#{1,3})\s+(.*)$/);
+      if (heading) {
+        flushAll();
+        const level = heading[1].length + 3;
+        html.push(`<h${level}>${this.renderInline(heading[2])}</h${level}>`);
+        continue;
+      }
+
+      const quoteLine = line.match(/^\s*>\s?(.*)$/);
+      if (quoteLine) {
+        flushParagraph();
+        flushList();
+        quote.push(quoteLine[1]);
+        continue;
+      }
+
+      const item = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.*)$/);
+      if (item) {
+        flushParagraph();
+        flushQuote();
+        const type = item[1] ? "ul" : "ol";
+        if (list && list.type !== type) flushList();
+        if (!list) list = { type, items: [] };
+        list.items.push(this.renderListItem(item[2]));
+        continue;
+      }
+
+      flushQuote();
+      flushList();
+      paragraph.push(line.trim());
+    }
+
+    // 未闭合的代码块按代码显示
+    if (code) {
+      html.push(`<pre><code>${this.escape(code.join("\n"))}</code></pre>`);
+    }
+    flushAll();
+
+    return html.join("");
+  }
+
+  /**
+   * 渲染列表项，识别任务列表标记
+   * @param {string} text - 列表项文本
+   * @returns {string} HTML
+   */
+  renderListItem(text) {
+    const task = text.match(/^\[([ xX])\]\s+(.*)$/);
+    if (!task) {
+      return this.renderInline(text);
+    }
+
+    const done = task[1] !== " ";
+    return `<span class="md-task-marker">${done ? "☑" : "☐"}</span> ${this.renderInline(task[2])}`;
+  }
+
+  /**
+   * 渲染行内格式
+   * 代码和链接先替换为占位符，避免其中的内容被再次格式化
+   * @param {string} text - 原始文本
+   * @returns {string} HTML
+   */
+  renderInline(text) {
+    const tokens = [];
+    const stash = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+
+    const withTokens = text
+      .replace(/`([^`]+)`/g, (match, code) => stash(`<code>${this.escape(code)}</code>`))
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) =>
+        this.SAFE_URL_PATTERN.test(url)
+          ? stash(this.renderLink(url, this.renderEmphasis(this.escape(label))))
+          : match,
+      )
+      .replace(/\bhttps?:\/\/[^\s<>"']*[^\s<>"'.,;:!?)\]]/g, (url) =>
+        stash(this.renderLink(url, this.escape(url))),
+      );
+
+    return this.renderEmphasis(this.escape(withTokens)).replace(
+      /\u0000(\d+)\u0000/g,
+      (match, index) => tokens[Number(index)],
+    );
+  }
+
+  /**
+   * 渲染粗体、斜体和删除线（输入必须已转义）
+   * @param {string} html - 已转义的文本
+   * @returns {string} HTML
+   */
+  renderEmphasis(html) {
+    return html
+      .replace(/\*\*(?=\S)(.+?)\*\*/g, "<strong>$1</strong>")
+      .replace(/__(?=\S)(.+?)__/g, "<strong>$1</strong>")
+      .replace(/~~(?=\S)(.+?)~~/g, "<del>$1</del>")
+      .replace(/(^|[^*\w])\*(?=\S)([^*]+?)\*(?!\w)/g, "$1<em>$2</em>")
+      .replace(/(^|[^_\w])_(?=\S)([^_]+?)_(?!\w)/g, "$1<em>$2</em>");
+  }
+
+  /**
+   * 渲染在新标签页打开的链接
+   * @param {string} url - 已通过协议检查的网址
+   * @param {string} labelHtml - 已转义的链接文本
+   * @returns {string} HTML
+   */
+  renderLink(url, labelHtml) {
+    return `<a href="${this.escape(url)}" target="_blank" rel="noopener noreferrer">${labelHtml}</a>`;
+  }
+
+  /**
+   * 转义HTML特殊字符（含引号，可用于属性值）
+   * @param {string} text - 原始文本
+   * @returns {string}
+   */
+  escape(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+}
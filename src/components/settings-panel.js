@@ -13,7 +13,18 @@
  * 设置面板类
  */
 class SettingsPanel {
-  constructor(taskService = null, timerService = null, storage = null, whitelistManager = null) {
+  constructor(
+    taskService = null,
+    timerService = null,
+    storage = null,
+    whitelistManager = null,
+    statsService = null,
+    blacklistManager = null,
+    blockerFeature = null,
+    backupService = null,
+    todoTxtService = null,
+    eventBus = null,
+  ) {
     this.isVisible = false;
     this.activeTab = "todo"; // 默认激活ToDo标签页
     this.panel = null;
@@ -25,10 +36,41 @@ class SettingsPanel {
     this.timerService = timerService;
     this.storage = storage;
     this.whitelistManager = whitelistManager;
+    this.statsService = statsService;
+    this.blacklistManager = blacklistManager;
+    this.blockerFeature = blockerFeature;
+    this.backupService = backupService;
+    this.todoTxtService = todoTxtService;
+    this.eventBus = eventBus; // 事件总线，子组件通过它订阅服务事件
+    this.unsubscribeRuleEvents = null;
     this.todoList = null; // TodoList组件实例
+    this.statisticsPanel = null; // StatisticsPanel组件实例
+    this.timerSettingsPanel = null; // TimerSettingsPanel组件实例
+    this.dataPanel = null; // DataPanel组件实例
+    this.archivePanel = null; // ArchivePanel组件实例
+    this.trashPanel = null; // TrashPanel组件实例
     this.whitelistElements = null;
     this.undoToast = null;
     this.undoTimeout = null;
+    this.blockingMode = "whitelist"; // 当前拦截模式，决定规则编辑区管理哪个列表
+
+    // 拦截模式对应的文案
+    this.blockingModeConfig = {
+      whitelist: {
+        title: "网站白名单",
+        description:
+          "专注期间拦截白名单以外的所有网站（支持精确域名、*.子域名通配、路径前缀和正则表达式）",
+        emptyTitle: "暂无白名单域名",
+        emptyHint: "添加规则后，专注期间将允许访问匹配这些规则的网站",
+      },
+      blacklist: {
+        title: "网站黑名单",
+        description:
+          "专注期间只拦截黑名单中的网站（支持精确域名、*.子域名通配、路径前缀和正则表达式）",
+        emptyTitle: "暂无黑名单域名",
+        emptyHint: "添加规则后，专注期间将拦截匹配这些规则的网站",
+      },
+    };
 
     // 标签页配置
     this.tabConfig = [
@@ -40,16 +82,40 @@ class SettingsPanel {
       },
       {
         id: "whitelist",
-        name: "网站白名单",
+        name: "网站拦截",
         icon: "🌐",
         component: null,
       },
+      {
+        id: "timer",
+        name: "计时设置",
+        icon: "⏱️",
+        component: null,
+      },
       {
         id: "statistics",
         name: "效率统计",
         icon: "📊",
         component: null,
       },
+      {
+        id: "archive",
+        name: "归档",
+        icon: "📦",
+        component: null,
+      },
+      {
+        id: "trash",
+        name: "回收站",
+        icon: "🗑️",
+        component: null,
+      },
+      {
+        id: "data",
+        name: "数据备份",
+        icon: "💾",
+        component: null,
+      },
     ];
 
     this.initialize();
@@ -65,6 +131,11 @@ class SettingsPanel {
     this.setupEventListeners();
     await this.initializeWhitelist(); // 初始化白名单功能
     this.createTodoList(); // 创建TodoList组件
+    this.createTimerSettingsPanel(); // 创建TimerSettingsPanel组件
+    this.createStatisticsPanel(); // 创建StatisticsPanel组件
+    this.createArchivePanel(); // 创建ArchivePanel组件
+    this.createTrashPanel(); // 创建TrashPanel组件
+    this.createDataPanel(); // 创建DataPanel组件
     this.activateTab(this.activeTab);
 
     console.log("[SettingsPanel] Initialized successfully");
@@ -207,12 +278,35 @@ class SettingsPanel {
         case "whitelist":
           contentPanel.innerHTML = `
                         <div class="panel-header">
-                            <h3>网站白名单</h3>
-                            <p>设置专注期间允许访问的网站（使用包含匹配）</p>
+                            <h3 id="whitelist-panel-title">网站白名单</h3>
+                            <p id="whitelist-panel-description">专注期间拦截白名单以外的所有网站（支持精确域名、*.子域名通配、路径前缀和正则表达式）</p>
                         </div>
                         <div class="whitelist-container">
+                            <div class="blocking-mode-section" role="radiogroup" aria-label="拦截模式">
+                                <label class="blocking-mode-option">
+                                    <input type="radio" name="tomato-monkey-blocking-mode" value="whitelist" checked />
+                                    <span class="blocking-mode-name">白名单模式</span>
+                                    <small>拦截白名单以外的所有网站</small>
+                                </label>
+                                <label class="blocking-mode-option">
+                                    <input type="radio" name="tomato-monkey-blocking-mode" value="blacklist" />
+                                    <span class="blocking-mode-name">黑名单模式</span>
+                                    <small>只拦截黑名单中的网站</small>
+                                </label>
+                            </div>
                             <div class="whitelist-input-section">
                                 <div class="input-group">
+                                    <select
+                                        id="whitelist-rule-type"
+                                        class="rule-type-select"
+                                        aria-label="规则类型"
+                                    >
+                                        <option value="auto">自动识别</option>
+                                        <option value="exact">精确域名</option>
+                                        <option value="wildcard">子域名通配</option>
+                                        <option value="path">路径前缀</option>
+                                        <option value="regex">正则表达式</option>
+                                    </select>
                                     <input 
                                         type="text" 
                                         id="whitelist-domain-input" 
@@ -224,7 +318,7 @@ class SettingsPanel {
                                         type="button" 
                                         id="whitelist-add-button" 
                                         class="add-domain-button"
-                                        aria-label="添加域名到白名单"
+                                        aria-label="添加域名到规则列表"
                                     >
                                         添加域名
                                     </button>
@@ -234,13 +328,13 @@ class SettingsPanel {
                             <div class="whitelist-list-section">
                                 <div class="list-header">
                                     <h4>已添加的域名</h4>
-                                    <span class="domain-count" id="whitelist-domain-count">0 个域名</span>
+                                    <span class="domain-count" id="whitelist-domain-count">0 条规则</span>
                                 </div>
                                 <div class="domain-list" id="whitelist-domain-list" role="list">
                                     <div class="empty-state" id="whitelist-empty-state">
                                         <div class="empty-icon">🌐</div>
-                                        <p>暂无白名单域名</p>
-                                        <small>添加域名后，专注期间将允许访问包含这些域名的网站</small>
+                                        <p id="whitelist-empty-title">暂无白名单域名</p>
+                                        <small id="whitelist-empty-hint">添加规则后，专注期间将允许访问匹配这些规则的网站</small>
                                     </div>
                                 </div>
                             </div>
@@ -248,15 +342,62 @@ class SettingsPanel {
                     `;
           break;
 
+        case "timer":
+          contentPanel.innerHTML = `
+                        <div class="panel-header">
+                            <h3>计时设置</h3>
+                            <p>设置专注、休息和延长专注的默认时长</p>
+                        </div>
+                        <div id="timer-settings-container" class="timer-settings-container">
+                            <!-- TimerSettingsPanel组件将插入这里 -->
+                        </div>
+                    `;
+          break;
+
         case "statistics":
           contentPanel.innerHTML = `
                         <div class="panel-header">
                             <h3>效率统计</h3>
                             <p>查看您的专注时间和任务完成统计</p>
                         </div>
-                        <div class="placeholder-content">
-                            <div class="placeholder-icon">📊</div>
-                            <p>统计功能即将上线</p>
+                        <div id="statistics-container" class="statistics-container">
+                            <!-- StatisticsPanel组件将插入这里 -->
+                        </div>
+                    `;
+          break;
+
+        case "archive":
+          contentPanel.innerHTML = `
+                        <div class="panel-header">
+                            <h3>归档</h3>
+                            <p>浏览和搜索已归档的已完成任务</p>
+                        </div>
+                        <div id="archive-container" class="archive-container">
+                            <!-- ArchivePanel组件将插入这里 -->
+                        </div>
+                    `;
+          break;
+
+        case "trash":
+          contentPanel.innerHTML = `
+                        <div class="panel-header">
+                            <h3>回收站</h3>
+                            <p>恢复或永久删除已删除的任务</p>
+                        </div>
+                        <div id="trash-container" class="trash-container">
+                            <!-- TrashPanel组件将插入这里 -->
+                        </div>
+                    `;
+          break;
+
+        case "data":
+          contentPanel.innerHTML = `
+                        <div class="panel-header">
+                            <h3>数据备份</h3>
+                            <p>导出或导入全部 TomatoMonkey 数据</p>
+                        </div>
+                        <div id="data-container" class="data-container">
+                            <!-- DataPanel组件将插入这里 -->
                         </div>
                     `;
           break;
@@ -364,6 +505,11 @@ class SettingsPanel {
 
     console.log(`[SettingsPanel] Activated tab: ${tabId}`);
 
+    // 统计数据依赖当前日期，切换时重新计算
+    if (tabId === "statistics" && this.statisticsPanel) {
+      this.statisticsPanel.refresh();
+    }
+
     // 触发标签页切换事件
     this.dispatchEvent("tabChanged", {
       activeTab: tabId,
@@ -461,6 +607,9 @@ class SettingsPanel {
       // 初始化 WhitelistManager（需要确保 WhitelistManager 和 Storage 已加载）
       if (this.whitelistManager && this.storage) {
         await this.whitelistManager.initialize(this.storage);
+        if (this.blacklistManager) {
+          await this.blacklistManager.initialize(this.storage);
+        }
 
         // 设置DOM元素引用
         this.setupWhitelistElements();
@@ -468,8 +617,8 @@ class SettingsPanel {
         // 绑定事件处理器
         this.setupWhitelistEventListeners();
 
-        // 加载并显示现有域名
-        await this.refreshWhitelistUI();
+        // 读取拦截模式并显示现有域名
+        await this.reloadBlockingMode();
 
         console.log("[SettingsPanel] Whitelist initialized successfully");
       } else {
@@ -491,21 +640,127 @@ class SettingsPanel {
 
     this.whitelistElements = {
       input: whitelistPanel.querySelector("#whitelist-domain-input"),
+      ruleType: whitelistPanel.querySelector("#whitelist-rule-type"),
       addButton: whitelistPanel.querySelector("#whitelist-add-button"),
       feedback: whitelistPanel.querySelector("#whitelist-input-feedback"),
       domainList: whitelistPanel.querySelector("#whitelist-domain-list"),
       domainCount: whitelistPanel.querySelector("#whitelist-domain-count"),
       emptyState: whitelistPanel.querySelector("#whitelist-empty-state"),
+      emptyTitle: whitelistPanel.querySelector("#whitelist-empty-title"),
+      emptyHint: whitelistPanel.querySelector("#whitelist-empty-hint"),
+      title: whitelistPanel.querySelector("#whitelist-panel-title"),
+      description: whitelistPanel.querySelector("#whitelist-panel-description"),
+      modeInputs: whitelistPanel.querySelectorAll(
+        'input[name="tomato-monkey-blocking-mode"]',
+      ),
     };
   }
 
+  /**
+   * 从设置重新读取拦截模式并刷新规则列表（初始化和导入备份后）
+   */
+  async reloadBlockingMode() {
+    const settings = await this.storage.loadSettings();
+    this.blockingMode =
+      settings.blockingMode === "blacklist" && this.blacklistManager
+        ? "blacklist"
+        : "whitelist";
+
+    this.updateBlockingModeUI();
+    await this.refreshWhitelistUI();
+  }
+
+  /**
+   * 获取当前拦截模式对应的规则列表管理器
+   * @returns {WhitelistManager|null} 白名单或黑名单管理器
+   */
+  getActiveListManager() {
+    return this.blockingMode === "blacklist"
+      ? this.blacklistManager
+      : this.whitelistManager;
+  }
+
+  /**
+   * 处理拦截模式切换
+   * @param {string} mode - "whitelist" 或 "blacklist"
+   */
+  async handleBlockingModeChange(mode) {
+    if (mode === this.blockingMode) return;
+
+    if (mode === "blacklist" && !this.blacklistManager) {
+      this.updateBlockingModeUI();
+      return;
+    }
+
+    const previousMode = this.blockingMode;
+    this.blockingMode = mode;
+
+    try {
+      let success;
+      if (this.blockerFeature) {
+        // 由拦截器持久化模式并立即重新检查当前页面
+        success = await this.blockerFeature.setBlockingMode(mode);
+      } else {
+        const settings = await this.storage.loadSettings();
+        settings.blockingMode = mode;
+        success = await this.storage.saveSettings(settings);
+      }
+
+      if (!success) {
+        throw new Error("Failed to save blocking mode");
+      }
+    } catch (error) {
+      console.error("[SettingsPanel] Failed to change blocking mode:", error);
+      this.blockingMode = previousMode;
+    }
+
+    this.updateBlockingModeUI();
+    await this.refreshWhitelistUI();
+
+    if (this.blockingMode === mode) {
+      const label = mode === "blacklist" ? "黑名单模式" : "白名单模式";
+      this.showFeedback(`已切换到${label}`, "success");
+    } else {
+      this.showFeedback("切换失败，请重试", "error");
+    }
+  }
+
+  /**
+   * 根据拦截模式更新标题、说明和单选按钮
+   */
+  updateBlockingModeUI() {
+    if (!this.whitelistElements) return;
+
+    const config = this.blockingModeConfig[this.blockingMode];
+    const { title, description, emptyTitle, emptyHint, modeInputs } =
+      this.whitelistElements;
+
+    title.textContent = config.title;
+    description.textContent = config.description;
+    emptyTitle.textContent = config.emptyTitle;
+    emptyHint.textContent = config.emptyHint;
+    modeInputs.forEach((radio) => {
+      radio.checked = radio.value === this.blockingMode;
+      radio.disabled = radio.value === "blacklist" && !this.blacklistManager;
+    });
+  }
+
   /**
    * 设置白名单事件监听器
    */
   setupWhitelistEventListeners() {
     if (!this.whitelistElements) return;
 
-    const { input, addButton } = this.whitelistElements;
+    const { input, addButton, ruleType, modeInputs } = this.whitelistElements;
+
+    // 拦截模式切换
+    modeInputs.forEach((radio) => {
+      radio.addEventListener("change", () => {
+        if (radio.checked) {
+          this.handleBlockingModeChange(radio.value);
+        }
+      });
+    });
 
     // 添加域名按钮点击事件
     addButton.addEventListener("click", () => this.handleAddDomain());
@@ -521,25 +776,41 @@ class SettingsPanel {
     // 输入实时验证
     input.addEventListener("input", () => this.validateDomainInput());
 
-    // 监听白名单变更事件
-    document.addEventListener("tomato-monkey-whitelist-domainAdded", () =>
-      this.refreshWhitelistUI(),
-    );
-    document.addEventListener("tomato-monkey-whitelist-domainRemoved", () =>
-      this.refreshWhitelistUI(),
-    );
-    document.addEventListener("tomato-monkey-whitelist-domainsCleared", () =>
-      this.refreshWhitelistUI(),
-    );
+    // 切换规则类型时更新提示并重新验证
+    ruleType.addEventListener("change", () => {
+      input.placeholder = this.getRuleInputPlaceholder(ruleType.value);
+      this.validateDomainInput();
+    });
+
+    // 监听白名单和黑名单变更，以及其他标签页切换拦截模式
+    if (this.eventBus && !this.unsubscribeRuleEvents) {
+      this.unsubscribeRuleEvents = this.eventBus.onMany(
+        [
+          EventBus.EVENTS.RULE_ADDED,
+          EventBus.EVENTS.RULE_REMOVED,
+          EventBus.EVENTS.RULES_CLEARED,
+          EventBus.EVENTS.RULES_RELOADED,
+          EventBus.EVENTS.BLOCKING_MODE_CHANGED,
+        ],
+        (event, data) => {
+          if (event !== EventBus.EVENTS.BLOCKING_MODE_CHANGED) {
+            this.refreshWhitelistUI();
+          } else if (data && data.remote) {
+            this.reloadBlockingMode();
+          }
+        },
+      );
+    }
   }
 
   /**
    * 处理添加域名操作
    */
   async handleAddDomain() {
-    if (!this.whitelistManager || !this.whitelistElements) return;
+    const listManager = this.getActiveListManager();
+    if (!listManager || !this.whitelistElements) return;
 
-    const { input, addButton, feedback } = this.whitelistElements;
+    const { input, addButton, ruleType } = this.whitelistElements;
     const domain = input.value.trim();
 
     if (!domain) {
@@ -552,14 +823,14 @@ class SettingsPanel {
     addButton.classList.add("loading");
 
     try {
-      const success = await this.whitelistManager.addDomain(domain);
+      const success = await listManager.addDomain(domain, ruleType.value);
 
       if (success) {
         input.value = "";
-        this.showFeedback("域名添加成功", "success");
+        this.showFeedback("规则添加成功", "success");
         input.focus();
       } else {
-        this.showFeedback("域名格式无效或已存在", "error");
+        this.showFeedback("规则格式无效或已存在", "error");
       }
     } catch (error) {
       console.error("[SettingsPanel] Failed to add domain:", error);
@@ -571,16 +842,19 @@ class SettingsPanel {
   }
 
   /**
-   * 处理删除域名操作（带撤销确认）
+   * 处理删除规则操作（带撤销确认）
+   * @param {string} ruleKey - 规则键
    */
-  async handleRemoveDomain(domain) {
-    if (!this.whitelistManager) return;
+  async handleRemoveDomain(ruleKey) {
+    const listManager = this.getActiveListManager();
+    if (!listManager) return;
 
     try {
-      const success = await this.whitelistManager.removeDomain(domain);
+      const rule = listManager.domains.get(ruleKey);
+      const success = await listManager.removeDomain(ruleKey);
 
       if (success) {
-        this.showUndoToast(domain);
+        this.showUndoToast(rule, listManager);
       } else {
         this.showFeedback("删除失败，请重试", "error");
       }
@@ -592,8 +866,12 @@ class SettingsPanel {
 
   /**
    * 显示撤销Toast
+   * @param {Object} deletedRule - 被删除的规则 {type, pattern}
+   * @param {WhitelistManager} listManager - 规则所属的列表管理器
    */
-  showUndoToast(deletedDomain) {
+  showUndoToast(deletedRule, listManager) {
+    const deletedDomain = deletedRule.pattern;
+
     // 清除现有的撤销Toast和定时器
     this.hideUndoToast();
 
@@ -624,7 +902,7 @@ class SettingsPanel {
     const closeButton = this.undoToast.querySelector(".toast-close-button");
 
     undoButton.addEventListener("click", () =>
-      this.handleUndoDelete(deletedDomain),
+      this.handleUndoDelete(deletedRule, listManager),
     );
     closeButton.addEventListener("click", () => this.hideUndoToast());
 
@@ -651,15 +929,17 @@ class SettingsPanel {
 
   /**
    * 处理撤销删除操作
+   * @param {Object} rule - 要恢复的规则 {type, pattern}
+   * @param {WhitelistManager} listManager - 规则所属的列表管理器
    */
-  async handleUndoDelete(domain) {
-    if (!this.whitelistManager) return;
+  async handleUndoDelete(rule, listManager) {
+    if (!listManager) return;
 
     try {
-      const success = await this.whitelistManager.addDomain(domain);
+      const success = await listManager.addDomain(rule);
 
       if (success) {
-        this.showFeedback(`已恢复域名: ${domain}`, "success");
+        this.showFeedback(`已恢复规则: ${rule.pattern}`, "success");
         this.hideUndoToast();
       } else {
         this.showFeedback("恢复失败，请重试", "error");
@@ -695,9 +975,10 @@ class SettingsPanel {
    * 验证域名输入
    */
   validateDomainInput() {
-    if (!this.whitelistManager || !this.whitelistElements) return;
+    const listManager = this.getActiveListManager();
+    if (!listManager || !this.whitelistElements) return;
 
-    const { input } = this.whitelistElements;
+    const { input, ruleType } = this.whitelistElements;
     const domain = input.value.trim();
 
     if (!domain) {
@@ -705,14 +986,31 @@ class SettingsPanel {
       return;
     }
 
-    const cleanDomain = this.whitelistManager.validateAndCleanDomain(domain);
-    if (cleanDomain) {
-      this.showFeedback("域名格式有效", "success");
+    const rule = listManager.validateAndCleanDomain(domain, ruleType.value);
+    if (rule) {
+      const label = listManager.getRuleTypeLabel(rule.type);
+      this.showFeedback(`规则有效（${label}）: ${rule.pattern}`, "success");
     } else {
-      this.showFeedback("域名格式无效", "error");
+      this.showFeedback("规则格式无效", "error");
     }
   }
 
+  /**
+   * 获取规则类型对应的输入提示
+   * @param {string} type - 规则类型
+   * @returns {string} 输入框占位文本
+   */
+  getRuleInputPlaceholder(type) {
+    const placeholders = {
+      auto: "输入域名，如：google.com",
+      exact: "精确域名，如：docs.google.com",
+      wildcard: "子域名通配，如：*.google.com",
+      path: "域名+路径，如：github.com/myorg/*",
+      regex: "正则表达式，如：^https://.*\\.wikipedia\\.org/",
+    };
+    return placeholders[type] || placeholders.auto;
+  }
+
   /**
    * 显示反馈信息
    */
@@ -738,25 +1036,26 @@ class SettingsPanel {
    * 刷新白名单UI显示
    */
   async refreshWhitelistUI() {
-    if (!this.whitelistManager || !this.whitelistElements) return;
+    const listManager = this.getActiveListManager();
+    if (!listManager || !this.whitelistElements) return;
 
     try {
-      const domains = this.whitelistManager.getDomains();
+      const rules = listManager.getRules();
       const { domainList, domainCount, emptyState } = this.whitelistElements;
 
-      // 更新域名数量
-      domainCount.textContent = `${domains.length} 个域名`;
+      // 更新规则数量
+      domainCount.textContent = `${rules.length} 条规则`;
 
       // 清空列表
       domainList.innerHTML = "";
 
-      if (domains.length === 0) {
+      if (rules.length === 0) {
         // 显示空状态
         domainList.appendChild(emptyState);
       } else {
-        // 显示域名列表
-        domains.forEach((domain) => {
-          const domainItem = this.createDomainItem(domain);
+        // 显示规则列表
+        rules.forEach((rule) => {
+          const domainItem = this.createDomainItem(rule);
           domainList.appendChild(domainItem);
         });
       }
@@ -766,21 +1065,27 @@ class SettingsPanel {
   }
 
   /**
-   * 创建域名列表项
+   * 创建规则列表项
+   * @param {Object} rule - 规则对象 {type, pattern}
    */
-  createDomainItem(domain) {
+  createDomainItem(rule) {
     const item = document.createElement("div");
     item.className = "domain-item";
     item.setAttribute("role", "listitem");
 
+    const domain = rule.pattern;
+    const listManager = this.getActiveListManager();
+    const ruleKey = listManager.getRuleKey(rule);
+    const typeLabel = listManager.getRuleTypeLabel(rule.type);
+
     item.innerHTML = `
+      <span class="rule-type-badge rule-type-${rule.type}">${this.escapeHtml(typeLabel)}</span>
       <span class="domain-text">${this.escapeHtml(domain)}</span>
       <div class="domain-actions">
         <button 
           type="button" 
           class="remove-domain-button" 
-          data-domain="${this.escapeHtml(domain)}"
-          aria-label="删除域名 ${this.escapeHtml(domain)}"
+          aria-label="删除规则 ${this.escapeHtml(domain)}"
         >
           删除
         </button>
@@ -788,7 +1093,9 @@ class SettingsPanel {
     `;
 
     // 绑定删除事件
+    // 通过DOM API设置规则键，正则规则可能包含无法安全拼接进属性的字符
     const removeButton = item.querySelector(".remove-domain-button");
+    removeButton.dataset.domain = ruleKey;
     removeButton.addEventListener("click", (e) => {
       e.stopPropagation();
       const domainToRemove = removeButton.dataset.domain;
@@ -898,7 +1205,12 @@ class SettingsPanel {
 
     try {
       // 创建TodoList实例 - 显式依赖注入
-      this.todoList = new TodoList(todoContainer, this.taskService, this.timerService);
+      this.todoList = new TodoList(
+        todoContainer,
+        this.taskService,
+        this.timerService,
+        this.eventBus,
+      );
       
       // 注册到tabConfig
       const todoTab = this.tabConfig.find(tab => tab.id === 'todo');
@@ -912,6 +1224,140 @@ class SettingsPanel {
     }
   }
 
+  /**
+   * 创建TimerSettingsPanel组件
+   */
+  createTimerSettingsPanel() {
+    if (!this.timerService) {
+      console.warn("[SettingsPanel] TimerService not available, skipping TimerSettingsPanel creation");
+      return;
+    }
+
+    const timerContainer = this.tabs.get("timer")?.querySelector("#timer-settings-container");
+    if (!timerContainer) {
+      console.warn("[SettingsPanel] Timer settings container not found, TimerSettingsPanel creation skipped");
+      return;
+    }
+
+    try {
+      this.timerSettingsPanel = new TimerSettingsPanel(timerContainer, this.timerService, this.eventBus);
+      this.registerTabComponent("timer", this.timerSettingsPanel);
+      console.log("[SettingsPanel] TimerSettingsPanel created and registered");
+    } catch (error) {
+      console.error("[SettingsPanel] Failed to create TimerSettingsPanel:", error);
+    }
+  }
+
+  /**
+   * 创建StatisticsPanel组件
+   */
+  createStatisticsPanel() {
+    if (!this.statsService) {
+      console.warn("[SettingsPanel] StatsService not available, skipping StatisticsPanel creation");
+      return;
+    }
+
+    const statisticsContainer = this.tabs
+      .get("statistics")
+      ?.querySelector("#statistics-container");
+    if (!statisticsContainer) {
+      console.warn("[SettingsPanel] Statistics container not found, StatisticsPanel creation skipped");
+      return;
+    }
+
+    try {
+      this.statisticsPanel = new StatisticsPanel(
+        statisticsContainer,
+        this.statsService,
+        this.taskService,
+        this.eventBus,
+      );
+      this.registerTabComponent("statistics", this.statisticsPanel);
+      console.log("[SettingsPanel] StatisticsPanel created and registered");
+    } catch (error) {
+      console.error("[SettingsPanel] Failed to create StatisticsPanel:", error);
+    }
+  }
+
+  /**
+   * 创建ArchivePanel组件
+   */
+  createArchivePanel() {
+    if (!this.taskService) {
+      console.warn("[SettingsPanel] TaskService not available, skipping ArchivePanel creation");
+      return;
+    }
+
+    const archiveContainer = this.tabs.get("archive")?.querySelector("#archive-container");
+    if (!archiveContainer) {
+      console.warn("[SettingsPanel] Archive container not found, ArchivePanel creation skipped");
+      return;
+    }
+
+    try {
+      this.archivePanel = new ArchivePanel(archiveContainer, this.taskService, this.eventBus);
+      this.registerTabComponent("archive", this.archivePanel);
+      console.log("[SettingsPanel] ArchivePanel created and registered");
+    } catch (error) {
+      console.error("[SettingsPanel] Failed to create ArchivePanel:", error);
+    }
+  }
+
+  /**
+   * 创建TrashPanel组件
+   */
+  createTrashPanel() {
+    if (!this.taskService) {
+      console.warn("[SettingsPanel] TaskService not available, skipping TrashPanel creation");
+      return;
+    }
+
+    const trashContainer = this.tabs.get("trash")?.querySelector("#trash-container");
+    if (!trashContainer) {
+      console.warn("[SettingsPanel] Trash container not found, TrashPanel creation skipped");
+      return;
+    }
+
+    try {
+      this.trashPanel = new TrashPanel(trashContainer, this.taskService, this.eventBus);
+      this.registerTabComponent("trash", this.trashPanel);
+      console.log("[SettingsPanel] TrashPanel created and registered");
+    } catch (error) {
+      console.error("[SettingsPanel] Failed to create TrashPanel:", error);
+    }
+  }
+
+  /**
+   * 创建DataPanel组件
+   */
+  createDataPanel() {
+    if (!this.backupService) {
+      console.warn("[SettingsPanel] BackupService not available, skipping DataPanel creation");
+      return;
+    }
+
+    const dataContainer = this.tabs.get("data")?.querySelector("#data-container");
+    if (!dataContainer) {
+      console.warn("[SettingsPanel] Data container not found, DataPanel creation skipped");
+      return;
+    }
+
+    try {
+      this.dataPanel = new DataPanel(
+        dataContainer,
+        this.backupService,
+        this.storage,
+        this.taskService,
+        this.todoTxtService,
+        { onRestored: () => this.reloadBlockingMode() },
+      );
+      this.registerTabComponent("data", this.dataPanel);
+      console.log("[SettingsPanel] DataPanel created and registered");
+    } catch (error) {
+      console.error("[SettingsPanel] Failed to create DataPanel:", error);
+    }
+  }
+
   /**
    * 销毁设置面板
    */
@@ -919,12 +1365,42 @@ class SettingsPanel {
     // 清理撤销Toast
     this.hideUndoToast();
 
+    if (this.unsubscribeRuleEvents) {
+      this.unsubscribeRuleEvents();
+      this.unsubscribeRuleEvents = null;
+    }
+
     // 销毁TodoList组件
     if (this.todoList) {
       this.todoList.destroy();
       this.todoList = null;
     }
 
+    if (this.timerSettingsPanel) {
+      this.timerSettingsPanel.destroy();
+      this.timerSettingsPanel = null;
+    }
+
+    if (this.statisticsPanel) {
+      this.statisticsPanel.destroy();
+      this.statisticsPanel = null;
+    }
+
+    if (this.archivePanel) {
+      this.archivePanel.destroy();
+      this.archivePanel = null;
+    }
+
+    if (this.trashPanel) {
+      this.trashPanel.destroy();
+      this.trashPanel = null;
+    }
+
+    if (this.dataPanel) {
+      this.dataPanel.destroy();
+      this.dataPanel = null;
+    }
+
     if (this.panel) {
       this.panel.remove();
     }
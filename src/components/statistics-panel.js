@@ -0,0 +1,352 @@
+/**
+ * StatisticsPanel - 效率统计UI组件
+ *
+ * 负责：
+ * 1. 今日/本周专注汇总和连续天数展示
+ * 2. 最近7天的每日专注时长与完成率趋势
+ * 3. 按任务统计的番茄钟数
+ * 4. 已完成任务的预估准确度
+ * 5. 本周专注中断（每次会话的中断次数、内部/外部分类、最近的原因）
+ * 6. 通过事件总线订阅StatsService和TaskService的数据变化
+ */
+
+class StatisticsPanel {
+  constructor(container, statsService, taskService, eventBus) {
+    this.container = container;
+    this.statsService = statsService;
+    this.taskService = taskService;
+    this.eventBus = eventBus;
+    this.isInitialized = false;
+
+    // UI元素引用
+    this.summaryElement = null;
+    this.trendElement = null;
+    this.taskListElement = null;
+    this.interruptionListElement = null;
+
+    this.INTERRUPTION_TYPE_LABELS = {
+      pause: "暂停",
+      stop: "提前结束",
+      skipBlocking: "跳过拦截",
+    };
+    this.INTERRUPTION_CATEGORY_LABELS = { internal: "内部", external: "外部" };
+
+    // 会话、中断或任务数据变化时重新渲染
+    this.REFRESH_EVENTS = [
+      EventBus.EVENTS.SESSIONS_LOADED,
+      EventBus.EVENTS.SESSIONS_RELOADED,
+      EventBus.EVENTS.SESSION_RECORDED,
+      EventBus.EVENTS.INTERRUPTION_RECORDED,
+      EventBus.EVENTS.TASKS_LOADED,
+      EventBus.EVENTS.TASKS_RELOADED,
+      EventBus.EVENTS.TASK_CREATED,
+      EventBus.EVENTS.TASK_UPDATED,
+      EventBus.EVENTS.TASK_TOGGLED,
+      EventBus.EVENTS.TASK_DELETED,
+      EventBus.EVENTS.TASK_RESTORED,
+      EventBus.EVENTS.TASK_PURGED,
+      EventBus.EVENTS.TASK_POMODORO_UPDATED,
+      EventBus.EVENTS.COMPLETED_TASKS_CLEARED,
+      EventBus.EVENTS.TASKS_IMPORTED,
+      EventBus.EVENTS.TASKS_ARCHIVED,
+      EventBus.EVENTS.TASKS_MERGED,
+    ];
+    this.unsubscribeEvents = null;
+
+    this.initialize();
+  }
+
+  /**
+   * 初始化组件
+   */
+  initialize() {
+    if (this.isInitialized) {
+      return;
+    }
+
+    try {
+      this.createUI();
+      this.bindServices();
+      this.render();
+
+      this.isInitialized = true;
+      console.log("[StatisticsPanel] Initialized successfully");
+    } catch (error) {
+      console.error("[StatisticsPanel] Failed to initialize:", error);
+    }
+  }
+
+  /**
+   * 创建UI界面
+   */
+  createUI() {
+    this.container.innerHTML = `
+            <div class="stats-summary" id="stats-summary"></div>
+
+            <div class="stats-section">
+                <h4>最近7天</h4>
+                <div class="stats-trend" id="stats-trend" role="list"></div>
+            </div>
+
+            <div class="stats-section">
+                <h4>任务番茄钟</h4>
+                <ul class="stats-task-list" id="stats-task-list" role="list"></ul>
+            </div>
+
+            <div class="stats-section">
+                <h4>项目统计</h4>
+                <ul class="stats-task-list" id="stats-project-list" role="list"></ul>
+            </div>
+
+            <div class="stats-section">
+                <h4>本周中断原因</h4>
+                <ul class="stats-task-list" id="stats-interruption-list" role="list"></ul>
+            </div>
+        `;
+
+    this.summaryElement = this.container.querySelector("#stats-summary");
+    this.trendElement = this.container.querySelector("#stats-trend");
+    this.taskListElement = this.container.querySelector("#stats-task-list");
+    this.projectListElement = this.container.querySelector("#stats-project-list");
+    this.interruptionListElement = this.container.querySelector("#stats-interruption-list");
+  }
+
+  /**
+   * 订阅服务事件
+   */
+  bindServices() {
+    this.unsubscribeEvents = this.eventBus.onMany(this.REFRESH_EVENTS, () => this.render());
+  }
+
+  /**
+   * 渲染全部统计内容
+   */
+  render() {
+    if (!this.statsService || !this.summaryElement) return;
+
+    const stats = this.statsService.getStatistics();
+    this.renderSummary(stats);
+    this.renderTrend(stats.daily);
+    this.renderTaskCounts(stats.perTask);
+    this.renderProjectSummary(stats.perProject);
+    this.renderInterruptions(stats.interruptions);
+  }
+
+  /**
+   * 渲染汇总卡片
+   * @param {Object} stats - 统计报告
+   */
+  renderSummary(stats) {
+    const taskStats = stats.tasks || { completionRate: 0, completed: 0, total: 0 };
+    const archived = taskStats.archived || 0;
+    const estimation = taskStats.estimation || { accuracy: null, taskCount: 0 };
+    const interruptions = stats.interruptions;
+
+    const cards = [
+      {
+        label: "今日专注",
+        value: this.formatDuration(stats.today.focusSeconds),
+        detail: `🍅 ${stats.today.pomodoros}`,
+      },
+      {
+        label: "本周专注",
+        value: this.formatDuration(stats.week.focusSeconds),
+        detail: `🍅 ${stats.week.pomodoros}`,
+      },
+      {
+        label: "连续专注",
+        value: `${stats.streak} 天`,
+        detail: stats.streak > 0 ? "继续保持" : "今天开始吧",
+      },
+      {
+        label: "任务完成率",
+        value: `${taskStats.completionRate}%`,
+        detail: `${taskStats.completed + archived}/${taskStats.total + archived} 个任务`,
+      },
+      {
+        label: "预估准确度",
+        value: estimation.accuracy === null ? "-" : `${estimation.accuracy}%`,
+        detail:
+          estimation.taskCount > 0
+            ? `实际 ${estimation.totalActual}/预估 ${estimation.totalEstimated} 🍅`
+            : "完成带预估的任务后显示",
+      },
+      {
+        label: "本周中断",
+        value: `${interruptions.perSession} 次/会话`,
+        detail:
+          interruptions.total > 0
+            ? `共 ${interruptions.total} 次 · 内部 ${interruptions.byCategory.internal} · 外部 ${interruptions.byCategory.external}`
+            : "本周专注没有中断",
+      },
+    ];
+
+    this.summaryElement.innerHTML = cards
+      .map(
+        (card) => `
+            <div class="stats-card">
+                <span class="stats-card-label">${card.label}</span>
+                <span class="stats-card-value">${this.escapeHtml(card.value)}</span>
+                <span class="stats-card-detail">${this.escapeHtml(card.detail)}</span>
+            </div>
+        `,
+      )
+      .join("");
+  }
+
+  /**
+   * 渲染每日趋势（柱高为专注时长，标注为会话完成率）
+   * @param {Array<Object>} daily - 每日汇总
+   */
+  renderTrend(daily) {
+    const maxSeconds = Math.max(1, ...daily.map((day) => day.focusSeconds));
+
+    this.trendElement.innerHTML = daily
+      .map((day) => {
+        const date = new Date(day.dayStart);
+        const label = `${date.getMonth() + 1}/${date.getDate()}`;
+        const height = Math.round((day.focusSeconds / maxSeconds) * 100);
+        const rate = day.sessions > 0 ? `${day.completionRate}%` : "-";
+
+        return `
+            <div class="stats-trend-day" role="listitem"
+                 title="${label}: ${this.formatDuration(day.focusSeconds)}, 完成率 ${rate}">
+                <span class="stats-trend-rate">${rate}</span>
+                <div class="stats-trend-bar-track">
+                    <div class="stats-trend-bar" style="height: ${height}%"></div>
+                </div>
+                <span class="stats-trend-label">${label}</span>
+            </div>
+        `;
+      })
+      .join("");
+  }
+
+  /**
+   * 渲染任务番茄钟统计
+   * @param {Array<Object>} perTask - 任务统计
+   */
+  renderTaskCounts(perTask) {
+    if (perTask.length === 0) {
+      this.taskListElement.innerHTML = `
+            <li class="stats-empty">完成一次专注后即可看到任务统计</li>
+        `;
+      return;
+    }
+
+    this.taskListElement.innerHTML = perTask
+      .slice(0, 10)
+      .map(
+        (entry) => `
+            <li class="stats-task-item" role="listitem">
+                <span class="stats-task-title">${this.escapeHtml(entry.taskTitle)}</span>
+                <span class="stats-task-duration">${this.formatDuration(entry.focusSeconds)}${entry.interruptions > 0 ? ` · 中断 ${entry.interruptionsPerSession} 次/会话` : ""}</span>
+                <span class="stats-task-count">🍅 ${entry.pomodoros}</span>
+            </li>
+        `,
+      )
+      .join("");
+  }
+
+  /**
+   * 渲染本周最近填写了原因的中断
+   * @param {Object} interruptions - StatsService.getInterruptionSummary 结果
+   */
+  renderInterruptions(interruptions) {
+    if (interruptions.recent.length === 0) {
+      this.interruptionListElement.innerHTML = `
+            <li class="stats-empty">暂停、跳过拦截或提前结束时填写原因后显示</li>
+        `;
+      return;
+    }
+
+    this.interruptionListElement.innerHTML = interruptions.recent
+      .map((interruption) => {
+        const date = new Date(interruption.at);
+        const time = `${date.getMonth() + 1}/${date.getDate()} ${String(date.getHours()).padStart(2, "0")}:${String(date.getMinutes()).padStart(2, "0")}`;
+        const labels = [
+          this.INTERRUPTION_TYPE_LABELS[interruption.type] || interruption.type,
+          this.INTERRUPTION_CATEGORY_LABELS[interruption.category],
+          interruption.taskTitle,
+        ].filter(Boolean);
+
+        return `
+            <li class="stats-task-item" role="listitem">
+                <span class="stats-task-title">${this.escapeHtml(interruption.reason)}</span>
+                <span class="stats-task-duration">${this.escapeHtml(labels.join(" · "))}</span>
+                <span class="stats-task-count">${time}</span>
+            </li>
+        `;
+      })
+      .join("");
+  }
+
+  /**
+   * 渲染项目统计
+   * @param {Array<Object>} perProject - 项目统计
+   */
+  renderProjectSummary(perProject) {
+    if (perProject.length === 0) {
+      this.projectListElement.innerHTML = `
+            <li class="stats-empty">添加任务后即可看到项目统计</li>
+        `;
+      return;
+    }
+
+    this.projectListElement.innerHTML = perProject
+      .map(
+        (entry) => `
+            <li class="stats-task-item" role="listitem">
+                <span class="stats-task-title">${entry.project ? this.escapeHtml(entry.project) : "未分配项目"}</span>
+                <span class="stats-task-duration">${entry.completed}/${entry.total} 个任务 · ${this.formatDuration(entry.focusSeconds)}</span>
+                <span class="stats-task-count">🍅 ${entry.pomodoros}</span>
+            </li>
+        `,
+      )
+      .join("");
+  }
+
+  /**
+   * 格式化时长显示
+   * @param {number} seconds - 秒数
+   * @returns {string} 如 "1小时25分" 或 "25分"
+   */
+  formatDuration(seconds) {
+    const totalMinutes = Math.round(seconds / 60);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}小时${minutes}分` : `${minutes}分`;
+  }
+
+  /**
+   * HTML转义函数
+   */
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * 刷新组件
+   */
+  refresh() {
+    this.render();
+  }
+
+  /**
+   * 销毁组件
+   */
+  destroy() {
+    if (this.unsubscribeEvents) {
+      this.unsubscribeEvents();
+      this.unsubscribeEvents = null;
+    }
+
+    if (this.container) {
+      this.container.innerHTML = "";
+    }
+
+    console.log("[StatisticsPanel] Destroyed");
+  }
+}
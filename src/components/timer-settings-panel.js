@@ -0,0 +1,199 @@
+/**
+ * TimerSettingsPanel - 计时设置UI组件
+ *
+ * 负责：
+ * 1. 设置默认专注时长、短/长休息时长、长休息间隔和延长专注的默认时长
+ * 2. 输入校验，保存后由 TimerService 在下一次计时开始时使用
+ * 3. 设置在其他地方变化（如导入备份）时刷新显示
+ */
+
+class TimerSettingsPanel {
+  constructor(container, timerService, eventBus) {
+    this.container = container;
+    this.timerService = timerService;
+    this.eventBus = eventBus;
+    this.isInitialized = false;
+
+    // 设置字段：与 Storage.validateSettingsData 的范围一致，界面只接受整数
+    this.FIELDS = [
+      { field: "pomodoroDuration", label: "专注时长", unit: "分钟", min: 1, max: 120 },
+      { field: "shortBreakDuration", label: "短休息时长", unit: "分钟", min: 1, max: 60 },
+      { field: "longBreakDuration", label: "长休息时长", unit: "分钟", min: 1, max: 120 },
+      { field: "longBreakInterval", label: "长休息间隔", unit: "个番茄钟", min: 1, max: 12 },
+      { field: "extendDuration", label: "延长专注时长", unit: "分钟", min: 1, max: 60 },
+    ];
+
+    // UI元素引用
+    this.elements = null;
+
+    // 事件总线订阅
+    this.unsubscribeEvents = null;
+
+    this.initialize();
+  }
+
+  /**
+   * 初始化组件
+   */
+  initialize() {
+    if (this.isInitialized) {
+      return;
+    }
+
+    try {
+      this.createUI();
+      this.bindEvents();
+      this.unsubscribeEvents = this.eventBus.on(
+        EventBus.EVENTS.TIMER_SETTINGS_CHANGED,
+        () => this.render(),
+      );
+      this.render();
+
+      this.isInitialized = true;
+      console.log("[TimerSettingsPanel] Initialized successfully");
+    } catch (error) {
+      console.error("[TimerSettingsPanel] Failed to initialize:", error);
+    }
+  }
+
+  /**
+   * 创建UI界面
+   */
+  createUI() {
+    const rows = this.FIELDS.map(
+      ({ field, label, unit, min, max }) => `
+                <div class="data-options timer-setting-row">
+                    <label class="data-option timer-setting-label" for="timer-setting-${field}">${label}</label>
+                    <input
+                        type="number"
+                        id="timer-setting-${field}"
+                        class="timer-setting-input"
+                        data-field="${field}"
+                        min="${min}"
+                        max="${max}"
+                        step="1"
+                    />
+                    <span class="timer-setting-unit">${unit}</span>
+                </div>
+            `,
+    ).join("");
+
+    this.container.innerHTML = `
+            <div class="data-section">
+                <h4>番茄钟时长</h4>
+                <p class="data-hint">修改在下一次开始计时时生效，正在进行的计时不受影响</p>
+                <form class="timer-settings-form" id="timer-settings-form" novalidate>
+                    ${rows}
+                    <div class="data-options">
+                        <button type="submit" class="data-button">保存</button>
+                    </div>
+                </form>
+                <div class="input-feedback" id="timer-settings-feedback" role="alert" aria-live="polite"></div>
+            </div>
+        `;
+
+    this.elements = {
+      form: this.container.querySelector("#timer-settings-form"),
+      inputs: Array.from(this.container.querySelectorAll(".timer-setting-input")),
+      feedback: this.container.querySelector("#timer-settings-feedback"),
+    };
+  }
+
+  /**
+   * 绑定事件监听器
+   */
+  bindEvents() {
+    this.elements.form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.handleSave();
+    });
+  }
+
+  /**
+   * 渲染当前设置
+   */
+  render() {
+    if (!this.elements) return;
+
+    const settings = this.timerService.getTimerSettings();
+    this.elements.inputs.forEach((input) => {
+      if (document.activeElement !== input) {
+        input.value = settings[input.dataset.field];
+      }
+    });
+  }
+
+  /**
+   * 校验并保存设置
+   */
+  async handleSave() {
+    const changes = {};
+
+    for (const { field, label, min, max } of this.FIELDS) {
+      const input = this.elements.inputs.find((el) => el.dataset.field === field);
+      const value = Number(input.value);
+
+      if (!Number.isInteger(value) || value < min || value > max) {
+        this.showFeedback(`${label}必须是 ${min}-${max} 之间的整数`, "error");
+        input.focus();
+        return;
+      }
+      changes[field] = value;
+    }
+
+    try {
+      const success = await this.timerService.updateTimerSettings(changes);
+      if (success) {
+        this.showFeedback("计时设置已保存", "success");
+      } else {
+        this.showFeedback("保存失败，请重试", "error");
+      }
+    } catch (error) {
+      console.error("[TimerSettingsPanel] Failed to save settings:", error);
+      this.showFeedback("保存失败，请检查输入", "error");
+    }
+  }
+
+  /**
+   * 显示反馈信息
+   * @param {string} message - 反馈消息
+   * @param {string} type - 消息类型（success | error）
+   */
+  showFeedback(message, type = "") {
+    const { feedback } = this.elements;
+    feedback.textContent = message;
+    feedback.className = `input-feedback ${type}`;
+
+    if (type === "success") {
+      setTimeout(() => {
+        if (feedback.textContent === message) {
+          feedback.textContent = "";
+          feedback.className = "input-feedback";
+        }
+      }, 3000);
+    }
+  }
+
+  /**
+   * 刷新组件
+   */
+  refresh() {
+    this.render();
+  }
+
+  /**
+   * 销毁组件
+   */
+  destroy() {
+    if (this.unsubscribeEvents) {
+      this.unsubscribeEvents();
+      this.unsubscribeEvents = null;
+    }
+
+    if (this.container) {
+      this.container.innerHTML = "";
+    }
+
+    console.log("[TimerSettingsPanel] Destroyed");
+  }
+}
@@ -4,23 +4,31 @@
  * 负责：
  * 1. 任务输入界面（输入框和添加按钮）
  * 2. 任务列表的渲染和更新
- * 3. 任务操作的用户界面（完成、删除）
+ * 3. 任务操作的用户界面（完成、删除、设置预估番茄钟数、检查项、标签和项目）
  * 4. 与TaskManager的集成和数据同步
  * 5. 用户交互和视觉反馈
+ * 6. 按关键字、状态、项目、标签和创建时间筛选任务
+ * 7. 优先级设置，以及拖动或键盘调整待完成任务的顺序
+ * 8. 截止日期、提醒时间和重复规则设置，今天/即将到期/已逾期视图
+ * 9. 任务备注编辑抽屉，支持Markdown子集并实时预览
+ * 10. 任务专注时长偏好，开始按钮旁的时长预设菜单（与专注页面修改时间的预设一致）
  */
 
 /**
  * ToDo列表组件类
  */
 class TodoList {
-  constructor(container, taskManager, timerService) {
+  constructor(container, taskManager, timerService, eventBus) {
     this.container = container;
     this.taskManager = taskManager;
     this.timerService = timerService;
+    this.eventBus = eventBus;
+    this.unsubscribeEvents = null;
     this.isInitialized = false;
 
     // UI元素引用
     this.inputField = null;
+    this.estimateField = null;
     this.addButton = null;
     this.taskList = null;
     this.statsDisplay = null;
@@ -29,6 +37,37 @@ class TodoList {
     // 状态
     this.tasks = [];
     this.isLoading = false;
+    this.expandedTaskIds = new Set(); // 展开检查项的任务
+    this.filters = { text: "", status: "all", project: "", tag: "", range: "all", due: "" };
+    this.scheduleEditingTaskId = null; // 正在编辑日程的任务
+    this.notesEditingTaskId = null; // 正在编辑备注的任务
+    this.notesDraft = ""; // 备注草稿，列表重新渲染时保留
+    this.focusMenuTaskId = null; // 展开时长预设菜单的任务
+
+    this.markdownRenderer = new MarkdownRenderer();
+
+    this.RECURRENCE_LABELS = {
+      daily: "每天",
+      weekdays: "工作日",
+      weekly: "每周",
+      monthly: "每月",
+    };
+    this.WEEKDAY_LABELS = ["日", "一", "二", "三", "四", "五", "六"];
+
+    this.DUE_VIEWS = [
+      { value: "", label: "全部" },
+      { value: "today", label: "今天" },
+      { value: "upcoming", label: "即将到期" },
+      { value: "overdue", label: "已逾期" },
+    ];
+
+    // 项目筛选中"未分配项目"选项的值
+    this.NO_PROJECT = "__none__";
+
+    // 拖动排序状态
+    this.dragState = null;
+
+    this.PRIORITY_LABELS = { high: "高", medium: "中", low: "低" };
 
     this.initialize();
   }
@@ -44,7 +83,7 @@ class TodoList {
     try {
       this.createUI();
       this.setupEventListeners();
-      this.bindTaskManager();
+      this.subscribeEvents();
       await this.loadTasks();
 
       this.isInitialized = true;
@@ -66,10 +105,21 @@ class TodoList {
                         type="text" 
                         id="todo-input" 
                         class="todo-input" 
-                        placeholder="输入新任务..." 
+                        placeholder="输入新任务，可用 #标签 +项目 ~预估" 
                         maxlength="200"
                         aria-label="新任务输入"
                     />
+                    <input
+                        type="number"
+                        id="todo-estimate-input"
+                        class="todo-input todo-estimate-input"
+                        placeholder="预估🍅"
+                        min="1"
+                        max="99"
+                        step="1"
+                        title="预估番茄钟数（可选）"
+                        aria-label="预估番茄钟数"
+                    />
                     <button 
                         type="button" 
                         id="add-task-btn" 
@@ -109,6 +159,42 @@ class TodoList {
                 </button>
             </div>
             
+            <div class="todo-filter-section">
+                <div class="todo-view-tabs" id="todo-view-tabs" role="tablist" aria-label="日程视图">
+                    ${this.DUE_VIEWS.map(
+                      ({ value, label }) => `
+                        <button type="button" class="todo-view-tab" role="tab" data-view="${value}">
+                            ${label}<span class="view-count"></span>
+                        </button>
+                    `,
+                    ).join("")}
+                </div>
+                <div class="filter-row">
+                    <input
+                        type="search"
+                        id="todo-filter-text"
+                        class="filter-input"
+                        placeholder="搜索任务..."
+                        aria-label="搜索任务"
+                    />
+                    <select id="todo-filter-status" class="filter-select" aria-label="按状态筛选">
+                        <option value="all">全部状态</option>
+                        <option value="pending">待完成</option>
+                        <option value="completed">已完成</option>
+                    </select>
+                    <select id="todo-filter-project" class="filter-select" aria-label="按项目筛选">
+                        <option value="">全部项目</option>
+                    </select>
+                    <select id="todo-filter-range" class="filter-select" aria-label="按创建时间筛选">
+                        <option value="all">全部时间</option>
+                        <option value="1">今天</option>
+                        <option value="7">最近7天</option>
+                        <option value="30">最近30天</option>
+                    </select>
+                </div>
+                <div class="tag-chips hidden" id="todo-tag-chips" aria-label="按标签筛选"></div>
+            </div>
+
             <div class="todo-list-section">
                 <div class="loading-indicator hidden" id="loading-indicator">
                     <span class="loading-spinner"></span>
@@ -119,12 +205,17 @@ class TodoList {
                     <h4>暂无任务</h4>
                     <p>添加您的第一个任务来开始管理待办事项</p>
                 </div>
+                <div class="empty-state hidden" id="filter-empty-state">
+                    <p>没有符合筛选条件的任务</p>
+                </div>
                 <ul class="task-list" id="task-list" role="list"></ul>
+                <div class="sr-only" id="todo-live-region" role="status" aria-live="polite"></div>
             </div>
         `;
 
     // 获取UI元素引用
     this.inputField = this.container.querySelector("#todo-input");
+    this.estimateField = this.container.querySelector("#todo-estimate-input");
     this.addButton = this.container.querySelector("#add-task-btn");
     this.taskList = this.container.querySelector("#task-list");
     this.statsDisplay = this.container.querySelector("#stats-display");
@@ -133,12 +224,22 @@ class TodoList {
     );
     this.loadingIndicator = this.container.querySelector("#loading-indicator");
     this.emptyState = this.container.querySelector("#empty-state");
+    this.filterEmptyState = this.container.querySelector("#filter-empty-state");
     this.inputError = this.container.querySelector("#input-error");
+    this.liveRegion = this.container.querySelector("#todo-live-region");
 
     // 统计元素
     this.totalCount = this.container.querySelector("#total-count");
     this.pendingCount = this.container.querySelector("#pending-count");
     this.completedCount = this.container.querySelector("#completed-count");
+
+    // 筛选元素
+    this.filterText = this.container.querySelector("#todo-filter-text");
+    this.filterStatus = this.container.querySelector("#todo-filter-status");
+    this.filterProject = this.container.querySelector("#todo-filter-project");
+    this.filterRange = this.container.querySelector("#todo-filter-range");
+    this.tagChips = this.container.querySelector("#todo-tag-chips");
+    this.viewTabs = this.container.querySelector("#todo-view-tabs");
   }
 
   /**
@@ -155,6 +256,12 @@ class TodoList {
         this.addTask();
       }
     });
+    this.estimateField.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        this.addTask();
+      }
+    });
 
     // 输入验证
     this.inputField.addEventListener("input", () => {
@@ -167,6 +274,32 @@ class TodoList {
       this.clearCompletedTasks();
     });
 
+    // 筛选条件变化
+    this.filterText.addEventListener("input", () => {
+      this.setFilter("text", this.filterText.value);
+    });
+    this.filterStatus.addEventListener("change", () => {
+      this.setFilter("status", this.filterStatus.value);
+    });
+    this.filterProject.addEventListener("change", () => {
+      this.setFilter("project", this.filterProject.value);
+    });
+    this.filterRange.addEventListener("change", () => {
+      this.setFilter("range", this.filterRange.value);
+    });
+    this.viewTabs.addEventListener("click", (e) => {
+      const tab = e.target.closest(".todo-view-tab");
+      if (tab) {
+        this.setFilter("due", tab.dataset.view);
+      }
+    });
+    this.tagChips.addEventListener("click", (e) => {
+      const chip = e.target.closest(".tag-chip");
+      if (chip) {
+        this.toggleTagFilter(chip.querySelector(".tag-chip-name").textContent);
+      }
+    });
+
     // 任务列表事件委托
     this.taskList.addEventListener("click", (e) => {
       this.handleTaskListClick(e);
@@ -176,36 +309,96 @@ class TodoList {
     this.taskList.addEventListener("keydown", (e) => {
       this.handleTaskListKeydown(e);
     });
+
+    // 备注输入时更新草稿和预览
+    this.taskList.addEventListener("input", (e) => {
+      if (!e.target.classList.contains("task-notes-input")) return;
+      this.notesDraft = e.target.value;
+      const preview = e.target
+        .closest(".task-notes-drawer")
+        .querySelector(".task-notes-preview");
+      preview.innerHTML = this.renderNotesPreview(this.notesDraft);
+    });
+
+    // 优先级选择、重复规则类型切换
+    this.taskList.addEventListener("change", (e) => {
+      const taskItem = e.target.closest(".task-item");
+      if (e.target.classList.contains("task-priority-select")) {
+        this.setPriority(taskItem.dataset.taskId, e.target.value);
+      } else if (e.target.classList.contains("schedule-recurrence-select")) {
+        taskItem
+          .querySelector(".schedule-weekdays")
+          .classList.toggle("hidden", e.target.value !== "weekly");
+      }
+    });
+
+    // 拖动排序
+    this.taskList.addEventListener("pointerdown", (e) => {
+      this.handleDragStart(e);
+    });
   }
 
   /**
-   * 绑定TaskManager事件
+   * 通过事件总线订阅任务变化和计时设置变化
    */
-  bindTaskManager() {
-    if (!this.taskManager) return;
-
-    // 监听TaskManager事件
-    this.taskManager.addObserver((event, data) => {
-      this.handleTaskManagerEvent(event, data);
-    });
+  subscribeEvents() {
+    const { EVENTS } = EventBus;
+    this.unsubscribeEvents = this.eventBus.onMany(
+      [
+        EVENTS.TASK_CREATED,
+        EVENTS.TASK_TOGGLED,
+        EVENTS.TASK_DELETED,
+        EVENTS.COMPLETED_TASKS_CLEARED,
+        EVENTS.TASKS_RELOADED,
+        EVENTS.TASK_UPDATED,
+        EVENTS.TASK_POMODORO_UPDATED,
+        EVENTS.TASK_CHECKLIST_UPDATED,
+        EVENTS.TASK_REORDERED,
+        EVENTS.TASK_RESTORED,
+        EVENTS.TASKS_ARCHIVED,
+        EVENTS.TASKS_IMPORTED,
+        EVENTS.TASKS_MERGED,
+        EVENTS.TASK_CONFLICT,
+        EVENTS.TIMER_SETTINGS_CHANGED,
+      ],
+      (event, data) => this.handleServiceEvent(event, data),
+    );
   }
 
   /**
-   * 处理TaskManager事件
-   * @param {string} event - 事件类型
+   * 处理任务服务和计时器服务事件
+   * @param {string} event - EventBus.EVENTS 中的事件名称
    * @param {Object} data - 事件数据
    */
-  handleTaskManagerEvent(event, data) {
+  handleServiceEvent(event, data) {
     switch (event) {
-      case "taskCreated":
-      case "taskToggled":
-      case "taskDeleted":
-      case "completedTasksCleared":
+      case EventBus.EVENTS.TASK_CONFLICT:
+        this.showConflict(data.conflicts);
+        break;
+      case EventBus.EVENTS.TIMER_SETTINGS_CHANGED:
+        // 默认专注时长变化时刷新开始按钮
+        this.renderTaskList();
+        break;
+      default:
         this.loadTasks();
         break;
     }
   }
 
+  /**
+   * 提示保存时与其他标签页的修改冲突
+   * @param {Array<Object>} conflicts - {type, taskId, title, fields}
+   */
+  showConflict(conflicts) {
+    const [first] = conflicts;
+    const more = conflicts.length > 1 ? `等 ${conflicts.length} 个任务` : "";
+    const message =
+      first.type === "deleted"
+        ? `任务「${first.title}」${more}已在其他标签页删除，修改未保留`
+        : `任务「${first.title}」${more}也在其他标签页修改过，已合并并保留本次修改`;
+    this.showError(message);
+  }
+
   /**
    * 加载任务数据
    */
@@ -216,7 +409,8 @@ class TodoList {
     this.showLoading(true);
 
     try {
-      this.tasks = this.taskManager.getAllTasks();
+      this.tasks = this.taskManager.filterTasks(this.getFilterCriteria());
+      this.renderFilterBar();
       this.renderTaskList();
       this.updateStats();
       this.updateUI();
@@ -229,22 +423,185 @@ class TodoList {
     }
   }
 
+  /**
+   * 设置筛选条件并刷新列表
+   * @param {string} key - 筛选字段
+   * @param {string} value - 筛选值
+   */
+  setFilter(key, value) {
+    this.filters[key] = value;
+    this.loadTasks();
+  }
+
+  /**
+   * 切换标签筛选（再次点击同一标签取消筛选）
+   * @param {string} tag - 标签
+   */
+  toggleTagFilter(tag) {
+    this.setFilter("tag", this.filters.tag === tag ? "" : tag);
+  }
+
+  /**
+   * 将界面筛选状态转换为 TaskService.filterTasks 的条件
+   * @returns {Object} 筛选条件
+   */
+  getFilterCriteria() {
+    const { text, status, project, tag, range, due } = this.filters;
+    const criteria = { text, status };
+
+    if (due) {
+      criteria.due = due;
+    }
+    if (tag) {
+      criteria.tag = tag;
+    }
+    if (project === this.NO_PROJECT) {
+      criteria.project = null;
+    } else if (project) {
+      criteria.project = project;
+    }
+    if (range !== "all") {
+      const from = new Date();
+      from.setHours(0, 0, 0, 0);
+      from.setDate(from.getDate() - (Number(range) - 1));
+      criteria.from = from.getTime();
+    }
+
+    return criteria;
+  }
+
+  /**
+   * 渲染筛选栏的项目选项和标签
+   */
+  renderFilterBar() {
+    const projects = this.taskManager.getAllProjects();
+    const tags = this.taskManager.getAllTags();
+
+    // 已选项目或标签不存在时（如任务被删除）取消该筛选
+    if (
+      this.filters.project &&
+      this.filters.project !== this.NO_PROJECT &&
+      !projects.includes(this.filters.project)
+    ) {
+      this.filters.project = "";
+    }
+    if (this.filters.tag && !tags.some((entry) => entry.tag === this.filters.tag)) {
+      this.filters.tag = "";
+    }
+
+    this.filterProject.innerHTML = `
+            <option value="">全部项目</option>
+            ${projects.map((project) => `<option>${this.escapeHtml(project)}</option>`).join("")}
+            <option value="${this.NO_PROJECT}">未分配项目</option>
+        `;
+    this.filterProject.value = this.filters.project;
+
+    const dueCounts = this.taskManager.getDueCounts();
+    this.viewTabs.querySelectorAll(".todo-view-tab").forEach((tab) => {
+      const view = tab.dataset.view;
+      const isActive = view === this.filters.due;
+      tab.classList.toggle("active", isActive);
+      tab.setAttribute("aria-selected", String(isActive));
+      tab.classList.toggle("has-overdue", view === "overdue" && dueCounts.overdue > 0);
+      tab.querySelector(".view-count").textContent = view && dueCounts[view] ? ` ${dueCounts[view]}` : "";
+    });
+
+    this.tagChips.classList.toggle("hidden", tags.length === 0);
+    this.tagChips.innerHTML = tags
+      .map(
+        ({ tag, count }) => `
+                <button type="button" class="tag-chip ${tag === this.filters.tag ? "active" : ""}" aria-pressed="${tag === this.filters.tag}">
+                    #<span class="tag-chip-name">${this.escapeHtml(tag)}</span>
+                    <span class="tag-chip-count">${count}</span>
+                </button>
+            `,
+      )
+      .join("");
+  }
+
+  /**
+   * 从输入文本中提取 #标签、+项目 和 ~预估番茄钟数
+   * 以数字开头的 #123 视为普通文本（如工单号）
+   * @param {string} text - 输入文本
+   * @returns {{title: string, project: string|null, tags: Array<string>, estimatedPomodoros: number|null}}
+   */
+  parseLabels(text) {
+    return this.taskManager.parseTaskLine(text);
+  }
+
+
+  /**
+   * 格式化任务的标签和项目，用于编辑
+   * @param {Task} task - 任务对象
+   * @returns {string} 如 "+工作 #bug #紧急"
+   */
+  formatLabels(task) {
+    return [
+      task.project ? `+${task.project}` : "",
+      ...(task.tags || []).map((tag) => `#${tag}`),
+    ]
+      .filter(Boolean)
+      .join(" ");
+  }
+
+  /**
+   * 编辑任务的标签和项目
+   * @param {string} taskId - 任务ID
+   */
+  async editLabels(taskId) {
+    const task = this.taskManager.getTaskById(taskId);
+    if (!task) return;
+
+    const input = prompt(
+      `设置 "${task.title}" 的项目和标签（如 +项目 #标签1 #标签2，留空清除）`,
+      this.formatLabels(task),
+    );
+    if (input === null) return;
+
+    const { project, tags } = this.parseLabels(` ${input}`);
+
+    try {
+      this.clearError();
+      await this.taskManager.updateTaskLabels(taskId, { project, tags });
+    } catch (error) {
+      console.error("[TodoList] Failed to update labels:", error);
+      this.showError(error.message || "更新标签失败，请重试");
+    }
+  }
+
   /**
    * 添加新任务
    */
   async addTask() {
-    const title = this.inputField.value.trim();
+    const { title, project, tags, estimatedPomodoros } = this.parseLabels(
+      this.inputField.value,
+    );
 
     if (!this.validateTaskTitle(title)) {
       return;
     }
 
+    // 预估输入框为空时使用标题中的 ~N 标记
+    const estimate = this.parseEstimate(
+      this.estimateField.value.trim() || estimatedPomodoros,
+    );
+    if (estimate === undefined) {
+      this.showError("预估番茄钟数需为 1-99 的整数");
+      this.estimateField.focus();
+      return;
+    }
+
     this.setButtonLoading(this.addButton, true);
     this.clearError();
 
     try {
-      await this.taskManager.createTask(title);
+      await this.taskManager.createTask(title, {
+        estimatedPomodoros: estimate,
+        project,
+        tags,
+      });
       this.inputField.value = "";
+      this.estimateField.value = "";
       this.updateAddButtonState();
       this.inputField.focus();
     } catch (error) {
@@ -255,6 +612,127 @@ class TodoList {
     }
   }
 
+  /**
+   * 解析预估番茄钟数输入
+   * @param {string} value - 输入值
+   * @returns {number|null|undefined} 预估数，留空为null，无效为undefined
+   */
+  parseEstimate(value) {
+    const trimmed = String(value ?? "").trim();
+    if (trimmed === "") {
+      return null;
+    }
+
+    const estimate = Number(trimmed);
+    return Number.isInteger(estimate) && estimate >= 1 && estimate <= 99
+      ? estimate
+      : undefined;
+  }
+
+  /**
+   * 解析专注时长输入（分钟）
+   * @param {string} value - 输入值
+   * @returns {number|null|undefined} 分钟数，留空为null，无效为undefined
+   */
+  parseFocusDuration(value) {
+    const trimmed = String(value ?? "").trim();
+    if (trimmed === "") {
+      return null;
+    }
+
+    const minutes = Number(trimmed);
+    return Number.isInteger(minutes) && minutes >= 1 && minutes <= 120
+      ? minutes
+      : undefined;
+  }
+
+  /**
+   * 编辑任务的专注时长偏好
+   * @param {string} taskId - 任务ID
+   */
+  async editFocusDuration(taskId) {
+    const task = this.taskManager.getTaskById(taskId);
+    if (!task) return;
+
+    const input = prompt(
+      `设置 "${task.title}" 每次专注的时长（1-120分钟，留空使用默认的 ${this.getDefaultMinutes()} 分钟）`,
+      task.focusDuration ?? "",
+    );
+    if (input === null) return;
+
+    const minutes = this.parseFocusDuration(input);
+    if (minutes === undefined) {
+      this.showError("专注时长需为 1-120 的整数分钟");
+      return;
+    }
+
+    try {
+      this.clearError();
+      await this.taskManager.updateTaskFocusDuration(taskId, minutes);
+    } catch (error) {
+      console.error("[TodoList] Failed to update focus duration:", error);
+      this.showError("更新专注时长失败，请重试");
+    }
+  }
+
+  /**
+   * 获取计时设置中的默认专注时长
+   * @returns {number} 分钟
+   */
+  getDefaultMinutes() {
+    return this.timerService ? this.timerService.getDefaultDuration() / 60 : 25;
+  }
+
+  /**
+   * 获取任务的专注时长：任务偏好优先，否则使用默认时长
+   * @param {Task} task - 任务对象
+   * @returns {number} 分钟
+   */
+  getFocusMinutes(task) {
+    return task.focusDuration || this.getDefaultMinutes();
+  }
+
+  /**
+   * 编辑任务的预估番茄钟数
+   * @param {string} taskId - 任务ID
+   */
+  async editEstimate(taskId) {
+    const task = this.taskManager.getTaskById(taskId);
+    if (!task) return;
+
+    const input = prompt(
+      `设置 "${task.title}" 的预估番茄钟数（1-99，留空清除）`,
+      task.estimatedPomodoros ?? "",
+    );
+    if (input === null) return;
+
+    const estimate = this.parseEstimate(input);
+    if (estimate === undefined) {
+      this.showError("预估番茄钟数需为 1-99 的整数");
+      return;
+    }
+
+    try {
+      this.clearError();
+      await this.taskManager.updateTaskEstimate(taskId, estimate);
+    } catch (error) {
+      console.error("[TodoList] Failed to update estimate:", error);
+      this.showError("更新预估失败，请重试");
+    }
+  }
+
+  /**
+   * 格式化任务的番茄钟进度
+   * @param {Task} task - 任务对象
+   * @returns {string} 如 "3/5 🍅"、"🍅 3"，无记录且未预估时为 "🍅 预估"
+   */
+  formatPomodoroProgress(task) {
+    if (task.estimatedPomodoros) {
+      return `${task.pomodoroCount}/${task.estimatedPomodoros} 🍅`;
+    }
+    return task.pomodoroCount > 0 ? `🍅 ${task.pomodoroCount}` : "🍅 预估";
+  }
+
   /**
    * 切换任务完成状态
    * @param {string} taskId - 任务ID
@@ -274,7 +752,7 @@ class TodoList {
    * @param {string} taskTitle - 任务标题（用于确认）
    */
   async deleteTask(taskId, taskTitle) {
-    const confirmed = confirm(`确定要删除任务 "${taskTitle}" 吗？`);
+    const confirmed = confirm(`确定要将任务 "${taskTitle}" 移到回收站吗？`);
     if (!confirmed) return;
 
     try {
@@ -289,8 +767,9 @@ class TodoList {
    * 开始专注会话
    * @param {string} taskId - 任务ID
    * @param {string} taskTitle - 任务标题
+   * @param {number|null} minutes - 本次专注时长（分钟），默认使用任务偏好或计时设置
    */
-  async startFocusSession(taskId, taskTitle) {
+  async startFocusSession(taskId, taskTitle, minutes = null) {
     try {
       // 使用依赖注入的 timerService
       if (!this.timerService) {
@@ -299,17 +778,21 @@ class TodoList {
         return;
       }
 
-      // 检查是否已有计时器在运行
+      // 检查是否已有计时器在运行（休息阶段可直接开始新的专注）
       const timerState = this.timerService.getTimerState();
-      if (timerState.status === "running") {
+      if (timerState.status === "running" && timerState.phase === "focus") {
         const confirmed = confirm("已有计时器在运行中，是否要停止当前计时器并开始新的专注会话？");
         if (!confirmed) return;
         
         this.timerService.stopTimer(true);
       }
 
-      // 启动计时器 (默认25分钟) - 现在是异步调用，会在此时请求通知权限
-      const started = await this.timerService.startTimer(taskId, taskTitle, 1500);
+      // 时长优先级：本次选择的预设 > 任务偏好 > 计时设置中的默认时长
+      const task = this.taskManager.getTaskById(taskId);
+      const duration = (minutes || (task ? this.getFocusMinutes(task) : this.getDefaultMinutes())) * 60;
+
+      // 启动计时器 - 异步调用，会在此时请求通知权限
+      const started = await this.timerService.startTimer(taskId, taskTitle, duration);
       
       if (started) {
         console.log(`[TodoList] Started focus session for task: ${taskTitle}`);
@@ -328,10 +811,10 @@ class TodoList {
    * 清除所有已完成任务
    */
   async clearCompletedTasks() {
-    const completedCount = this.tasks.filter((task) => task.isCompleted).length;
+    const completedCount = this.taskManager.getCompletedTasks().length;
     if (completedCount === 0) return;
 
-    const confirmed = confirm(`确定要清除 ${completedCount} 个已完成任务吗？`);
+    const confirmed = confirm(`确定要将 ${completedCount} 个已完成任务移到回收站吗？`);
     if (!confirmed) return;
 
     try {
@@ -367,10 +850,24 @@ class TodoList {
     const completedDate = task.completedAt
       ? new Date(task.completedAt).toLocaleDateString()
       : "";
+    const checklist = task.checklist || [];
+    const isExpanded = this.expandedTaskIds.has(task.id);
+    const priorityClass = task.priority ? `priority-${task.priority}` : "";
+    const isEditingSchedule = this.scheduleEditingTaskId === task.id;
+    const isEditingNotes = this.notesEditingTaskId === task.id;
+    const isFocusMenuOpen = this.focusMenuTaskId === task.id && !task.isCompleted;
 
     return `
-            <li class="task-item ${completedClass}" data-task-id="${task.id}" role="listitem">
+            <li class="task-item ${completedClass} ${priorityClass}" data-task-id="${this.escapeHtml(task.id)}" role="listitem">
                 <div class="task-content">
+                    ${!task.isCompleted ? `
+                        <button
+                            type="button"
+                            class="task-drag-handle"
+                            title="拖动或按 ↑/↓ 调整顺序"
+                            aria-label="调整顺序: ${this.escapeHtml(task.title)}，按上下方向键移动"
+                        >⋮⋮</button>
+                    ` : ""}
                     <label class="task-checkbox-label">
                         <input 
                             type="checkbox" 
@@ -382,12 +879,65 @@ class TodoList {
                     </label>
                     
                     <div class="task-details">
-                        <div class="task-title">${task.title}</div>
+                        <div class="task-title">${this.escapeHtml(task.title)}</div>
+                        ${this.createLabelsElement(task)}
                         <div class="task-meta">
                             <span class="task-date">创建于 ${createdDate}</span>
                             ${task.isCompleted ? `<span class="task-completed-date">完成于 ${completedDate}</span>` : ""}
-                            ${task.pomodoroCount > 0 ? `<span class="pomodoro-count">🍅 ${task.pomodoroCount}</span>` : ""}
+                            <button
+                                type="button"
+                                class="pomodoro-count ${task.estimatedPomodoros ? "has-estimate" : ""} ${task.estimatedPomodoros && task.pomodoroCount > task.estimatedPomodoros ? "over-estimate" : ""}"
+                                title="已完成/预估番茄钟数，点击设置预估"
+                                aria-label="设置预估番茄钟数"
+                            >${this.formatPomodoroProgress(task)}</button>
+                            ${task.focusDuration ? `
+                                <button
+                                    type="button"
+                                    class="task-focus-duration"
+                                    title="每次专注 ${task.focusDuration} 分钟，点击修改"
+                                    aria-label="设置专注时长"
+                                >⏱ ${task.focusDuration}分钟</button>
+                            ` : ""}
+                            <button
+                                type="button"
+                                class="checklist-toggle ${isExpanded ? "expanded" : ""}"
+                                title="${isExpanded ? "收起检查项" : "展开检查项"}"
+                                aria-expanded="${isExpanded}"
+                            >${this.formatChecklistProgress(checklist)}</button>
+                            <button
+                                type="button"
+                                class="task-labels-edit"
+                                title="设置项目和标签"
+                                aria-label="设置项目和标签"
+                            >🏷</button>
+                            ${this.createScheduleBadges(task)}
+                            <button
+                                type="button"
+                                class="task-schedule-toggle ${isEditingSchedule ? "expanded" : ""}"
+                                title="设置截止日期和提醒"
+                                aria-label="设置截止日期和提醒"
+                                aria-expanded="${isEditingSchedule}"
+                            >📅</button>
+                            <button
+                                type="button"
+                                class="task-notes-toggle ${task.notes ? "has-notes" : ""} ${isEditingNotes ? "expanded" : ""}"
+                                title="${task.notes ? "编辑备注" : "添加备注"}"
+                                aria-label="${task.notes ? "编辑备注" : "添加备注"}"
+                                aria-expanded="${isEditingNotes}"
+                            >📝</button>
+                            <select class="task-priority-select" aria-label="优先级">
+                                <option value="">无优先级</option>
+                                ${Object.entries(this.PRIORITY_LABELS)
+                                  .map(
+                                    ([value, label]) =>
+                                      `<option value="${value}" ${task.priority === value ? "selected" : ""}>优先级：${label}</option>`,
+                                  )
+                                  .join("")}
+                            </select>
                         </div>
+                        ${isEditingSchedule ? this.createScheduleEditor(task) : ""}
+                        ${isEditingNotes ? this.createNotesDrawer() : ""}
+                        ${isExpanded ? this.createChecklistElement(checklist) : ""}
                     </div>
                 </div>
                 
@@ -396,17 +946,26 @@ class TodoList {
                         <button 
                             type="button" 
                             class="start-focus-button" 
-                            title="开始专注"
-                            aria-label="开始专注: ${task.title}"
+                            title="开始专注（${this.getFocusMinutes(task)}分钟）"
+                            aria-label="开始专注${this.getFocusMinutes(task)}分钟: ${this.escapeHtml(task.title)}"
                         >
                             🍅
                         </button>
+                        <button
+                            type="button"
+                            class="start-focus-menu-button ${isFocusMenuOpen ? "expanded" : ""}"
+                            title="选择专注时长"
+                            aria-label="选择专注时长: ${this.escapeHtml(task.title)}"
+                            aria-haspopup="menu"
+                            aria-expanded="${isFocusMenuOpen}"
+                        >▾</button>
+                        ${isFocusMenuOpen ? this.createFocusPresetMenu(task) : ""}
                     ` : ""}
                     <button 
                         type="button" 
                         class="delete-task-button" 
                         title="删除任务"
-                        aria-label="删除任务: ${task.title}"
+                        aria-label="删除任务: ${this.escapeHtml(task.title)}"
                     >
                         🗑️
                     </button>
@@ -415,18 +974,561 @@ class TodoList {
         `;
   }
 
+  /**
+   * 创建专注时长预设菜单HTML
+   * 预设与专注页面"修改时间"的预设相同（TimerService.DURATION_PRESETS）
+   * @param {Task} task - 任务对象
+   * @returns {string} HTML字符串
+   */
+  createFocusPresetMenu(task) {
+    const current = this.getFocusMinutes(task);
+    const presets = this.timerService ? this.timerService.DURATION_PRESETS : [];
+
+    return `
+            <div class="focus-preset-menu" role="menu" aria-label="专注时长">
+                ${presets
+                  .map(
+                    (minutes) => `
+                        <button
+                            type="button"
+                            class="focus-preset-option ${minutes === current ? "current" : ""}"
+                            role="menuitem"
+                            data-minutes="${minutes}"
+                        >${minutes} 分钟</button>
+                    `,
+                  )
+                  .join("")}
+                <button type="button" class="focus-preset-custom" role="menuitem">自定义…</button>
+                <button type="button" class="focus-duration-edit" role="menuitem">设置任务时长…</button>
+            </div>
+        `;
+  }
+
+  /**
+   * 展开/收起任务的时长预设菜单
+   * @param {string} taskId - 任务ID
+   */
+  toggleFocusMenu(taskId) {
+    this.focusMenuTaskId = this.focusMenuTaskId === taskId ? null : taskId;
+    this.renderTaskList();
+
+    const option = this.taskList.querySelector(
+      `${this.getTaskSelector(taskId)} .focus-preset-menu button`,
+    );
+    if (option) option.focus();
+  }
+
+  /**
+   * 收起时长预设菜单（不重新渲染列表，避免打断其他输入）
+   */
+  closeFocusMenu() {
+    if (!this.focusMenuTaskId) return;
+
+    this.focusMenuTaskId = null;
+    this.taskList.querySelectorAll(".focus-preset-menu").forEach((menu) => menu.remove());
+    this.taskList
+      .querySelectorAll(".start-focus-menu-button.expanded")
+      .forEach((button) => {
+        button.classList.remove("expanded");
+        button.setAttribute("aria-expanded", "false");
+      });
+  }
+
+  /**
+   * 以自定义时长开始专注
+   * @param {string} taskId - 任务ID
+   * @param {string} taskTitle - 任务标题
+   */
+  startCustomFocusSession(taskId, taskTitle) {
+    const task = this.taskManager.getTaskById(taskId);
+    const input = prompt(
+      `本次专注 "${taskTitle}" 多少分钟？（1-120）`,
+      task ? this.getFocusMinutes(task) : this.getDefaultMinutes(),
+    );
+    if (input === null) return;
+
+    const minutes = this.parseFocusDuration(input);
+    if (!minutes) {
+      this.showError("专注时长需为 1-120 的整数分钟");
+      return;
+    }
+    this.startFocusSession(taskId, taskTitle, minutes);
+  }
+
+  /**
+   * 创建任务的项目和标签HTML
+   * @param {Task} task - 任务对象
+   * @returns {string} HTML字符串，没有项目和标签时为空
+   */
+  createLabelsElement(task) {
+    const tags = task.tags || [];
+    if (!task.project && tags.length === 0) {
+      return "";
+    }
+
+    return `
+            <div class="task-labels">
+                ${task.project ? `<span class="task-project">📁 ${this.escapeHtml(task.project)}</span>` : ""}
+                ${tags
+                  .map(
+                    (tag) => `<button type="button" class="task-tag ${tag === this.filters.tag ? "active" : ""}" title="按此标签筛选">#<span class="task-tag-name">${this.escapeHtml(tag)}</span></button>`,
+                  )
+                  .join("")}
+            </div>
+        `;
+  }
+
+  /**
+   * 创建截止日期和提醒标记HTML
+   * @param {Task} task - 任务对象
+   * @returns {string} HTML字符串
+   */
+  createScheduleBadges(task) {
+    const badges = [];
+
+    if (task.dueDate) {
+      const today = this.taskManager.getDateKey(Date.now());
+      let state = "";
+      if (!task.isCompleted && task.dueDate < today) {
+        state = "overdue";
+      } else if (task.dueDate === today) {
+        state = "due-today";
+      }
+      badges.push(
+        `<span class="task-due ${state}" title="截止日期 ${task.dueDate}">${state === "overdue" ? "已逾期 " : "截止 "}${this.formatDueDate(task.dueDate)}</span>`,
+      );
+    }
+
+    if (task.recurrence) {
+      badges.push(
+        `<span class="task-recurrence" title="重复任务">🔁 ${this.formatRecurrence(task.recurrence)}</span>`,
+      );
+    }
+
+    if (task.reminderAt && !task.reminderSent && !task.isCompleted) {
+      const time = new Date(task.reminderAt);
+      badges.push(
+        `<span class="task-reminder" title="提醒时间 ${time.toLocaleString()}">⏰ ${time.getMonth() + 1}/${time.getDate()} ${time.toTimeString().slice(0, 5)}</span>`,
+      );
+    }
+
+    return badges.join("");
+  }
+
+  /**
+   * 格式化重复规则
+   * @param {Object} recurrence - 重复规则
+   * @returns {string} 如 "每天"、"每周一、三"、"每月15日"
+   */
+  formatRecurrence(recurrence) {
+    switch (recurrence.type) {
+      case "weekly":
+        return `每周${recurrence.days.map((day) => this.WEEKDAY_LABELS[day]).join("、")}`;
+      case "monthly":
+        return `每月${recurrence.dayOfMonth}日`;
+      default:
+        return this.RECURRENCE_LABELS[recurrence.type];
+    }
+  }
+
+  /**
+   * 格式化截止日期
+   * @param {string} dueDate - YYYY-MM-DD
+   * @returns {string} "今天"、"明天" 或 "M/D"
+   */
+  formatDueDate(dueDate) {
+    const now = Date.now();
+    if (dueDate === this.taskManager.getDateKey(now)) return "今天";
+    if (dueDate === this.taskManager.getDateKey(now + 24 * 60 * 60 * 1000)) return "明天";
+
+    const [, month, day] = dueDate.split("-").map(Number);
+    return `${month}/${day}`;
+  }
+
+  /**
+   * 时间戳转换为 datetime-local 输入框的值
+   * @param {number|null} timestamp - 时间戳
+   * @returns {string} YYYY-MM-DDTHH:MM，无时间戳时为空
+   */
+  toDateTimeLocal(timestamp) {
+    if (!timestamp) return "";
+    const date = new Date(timestamp);
+    return `${this.taskManager.getDateKey(timestamp)}T${date.toTimeString().slice(0, 5)}`;
+  }
+
+  /**
+   * 创建日程编辑区HTML
+   * @param {Task} task - 任务对象
+   * @returns {string} HTML字符串
+   */
+  createScheduleEditor(task) {
+    const recurrenceType = task.recurrence ? task.recurrence.type : "";
+    const weeklyDays = recurrenceType === "weekly" ? task.recurrence.days : [];
+
+    return `
+            <div class="task-schedule-editor">
+                <label class="schedule-field">
+                    截止日期
+                    <input type="date" class="schedule-due-input" value="${task.dueDate || ""}" />
+                </label>
+                <label class="schedule-field">
+                    提醒时间
+                    <input type="datetime-local" class="schedule-reminder-input" value="${this.toDateTimeLocal(task.reminderAt)}" />
+                </label>
+                <label class="schedule-field">
+                    重复
+                    <select class="schedule-recurrence-select">
+                        <option value="">不重复</option>
+                        ${Object.entries(this.RECURRENCE_LABELS)
+                          .map(
+                            ([value, label]) =>
+                              `<option value="${value}" ${recurrenceType === value ? "selected" : ""}>${label}</option>`,
+                          )
+                          .join("")}
+                    </select>
+                </label>
+                <div class="schedule-weekdays ${recurrenceType === "weekly" ? "" : "hidden"}" role="group" aria-label="每周重复的日期">
+                    ${[1, 2, 3, 4, 5, 6, 0]
+                      .map(
+                        (day) => `
+                            <label class="schedule-weekday">
+                                <input type="checkbox" value="${day}" ${weeklyDays.includes(day) ? "checked" : ""} />
+                                ${this.WEEKDAY_LABELS[day]}
+                            </label>
+                        `,
+                      )
+                      .join("")}
+                </div>
+                <div class="schedule-actions">
+                    <button type="button" class="schedule-save-button">保存</button>
+                    <button type="button" class="schedule-clear-button">清除</button>
+                </div>
+            </div>
+        `;
+  }
+
+  /**
+   * 展开/收起任务的日程编辑区
+   * @param {string} taskId - 任务ID
+   */
+  toggleScheduleEditor(taskId) {
+    this.scheduleEditingTaskId = this.scheduleEditingTaskId === taskId ? null : taskId;
+    this.renderTaskList();
+
+    const input = this.taskList.querySelector(
+      `${this.getTaskSelector(taskId)} .schedule-due-input`,
+    );
+    if (input) input.focus();
+  }
+
+  /**
+   * 保存任务的截止日期和提醒时间
+   * @param {HTMLElement} taskItem - 任务元素
+   * @param {boolean} clear - 是否清除
+   */
+  async saveSchedule(taskItem, clear = false) {
+    const taskId = taskItem.dataset.taskId;
+    const dueValue = clear ? "" : taskItem.querySelector(".schedule-due-input").value;
+    const reminderValue = clear
+      ? ""
+      : taskItem.querySelector(".schedule-reminder-input").value;
+    const reminderAt = reminderValue ? new Date(reminderValue).getTime() : null;
+    const recurrenceType = clear
+      ? ""
+      : taskItem.querySelector(".schedule-recurrence-select").value;
+    const recurrence = recurrenceType
+      ? {
+          type: recurrenceType,
+          days: Array.from(
+            taskItem.querySelectorAll(".schedule-weekday input:checked"),
+          ).map((input) => Number(input.value)),
+        }
+      : null;
+
+    if (reminderValue && isNaN(reminderAt)) {
+      this.showError("提醒时间无效");
+      return;
+    }
+
+    try {
+      this.clearError();
+
+      // 设置提醒时请求通知权限（需要用户操作触发）
+      if (reminderAt && this.timerService) {
+        await this.timerService.checkNotificationPermission();
+      }
+
+      this.scheduleEditingTaskId = null;
+      await this.taskManager.updateTaskSchedule(taskId, {
+        dueDate: dueValue || null,
+        reminderAt,
+        recurrence,
+      });
+    } catch (error) {
+      console.error("[TodoList] Failed to update schedule:", error);
+      this.showError("保存日程失败，请重试");
+    }
+  }
+
+  /**
+   * 创建备注编辑抽屉HTML
+   * 内容取自 notesDraft，预览由 MarkdownRenderer 生成（已转义）
+   * @returns {string} HTML字符串
+   */
+  createNotesDrawer() {
+    return `
+            <div class="task-notes-drawer">
+                <textarea
+                    class="task-notes-input"
+                    rows="5"
+                    maxlength="${this.taskManager.MAX_NOTES_LENGTH}"
+                    placeholder="支持 Markdown：**粗体**、*斜体*、\`代码\`、- 列表、- [ ] 待办、[链接](https://...)"
+                    aria-label="任务备注"
+                >${this.escapeHtml(this.notesDraft)}</textarea>
+                <div class="task-notes-preview" aria-label="备注预览">${this.renderNotesPreview(this.notesDraft)}</div>
+                <div class="task-notes-actions">
+                    <span class="task-notes-hint">Ctrl+Enter 保存，Esc 取消</span>
+                    <button type="button" class="notes-save-button">保存</button>
+                    <button type="button" class="notes-cancel-button">取消</button>
+                </div>
+            </div>
+        `;
+  }
+
+  /**
+   * 渲染备注预览
+   * @param {string} notes - 备注文本
+   * @returns {string} HTML字符串
+   */
+  renderNotesPreview(notes) {
+    return notes.trim()
+      ? this.markdownRenderer.render(notes)
+      : '<p class="task-notes-empty">暂无备注</p>';
+  }
+
+  /**
+   * 展开/收起任务的备注编辑抽屉
+   * @param {string} taskId - 任务ID
+   */
+  toggleNotesEditor(taskId) {
+    if (this.notesEditingTaskId === taskId) {
+      this.notesEditingTaskId = null;
+    } else {
+      const task = this.taskManager.getTaskById(taskId);
+      this.notesEditingTaskId = taskId;
+      this.notesDraft = (task && task.notes) || "";
+    }
+    this.renderTaskList();
+
+    const input = this.taskList.querySelector(
+      `${this.getTaskSelector(taskId)} .task-notes-input`,
+    );
+    if (input) input.focus();
+  }
+
+  /**
+   * 保存任务备注
+   * @param {string} taskId - 任务ID
+   */
+  async saveNotes(taskId) {
+    try {
+      this.clearError();
+      const notes = this.notesDraft;
+      this.notesEditingTaskId = null;
+      this.notesDraft = "";
+      await this.taskManager.updateTaskNotes(taskId, notes);
+    } catch (error) {
+      console.error("[TodoList] Failed to update notes:", error);
+      this.showError("保存备注失败，请重试");
+    }
+  }
+
+  /**
+   * 格式化检查项进度
+   * @param {Array<Object>} checklist - 检查项列表
+   * @returns {string} 如 "☑ 2/5"，无检查项时为 "☑ 检查项"
+   */
+  formatChecklistProgress(checklist) {
+    if (checklist.length === 0) {
+      return "☑ 检查项";
+    }
+    const done = checklist.filter((item) => item.isCompleted).length;
+    return `☑ ${done}/${checklist.length}`;
+  }
+
+  /**
+   * 创建展开后的检查项列表HTML
+   * @param {Array<Object>} checklist - 检查项列表
+   * @returns {string} HTML字符串
+   */
+  createChecklistElement(checklist) {
+    const items = checklist
+      .map(
+        (item) => `
+                <li class="checklist-item ${item.isCompleted ? "completed" : ""}" data-item-id="${this.escapeHtml(item.id)}">
+                    <label class="checklist-item-label">
+                        <input
+                            type="checkbox"
+                            class="checklist-checkbox"
+                            ${item.isCompleted ? "checked" : ""}
+                        />
+                        <span class="checklist-item-title">${this.escapeHtml(item.title)}</span>
+                    </label>
+                    <button
+                        type="button"
+                        class="checklist-remove-button"
+                        title="删除检查项"
+                        aria-label="删除检查项"
+                    >×</button>
+                </li>
+            `,
+      )
+      .join("");
+
+    return `
+            <div class="task-checklist">
+                <ul class="checklist-items" role="list">${items}</ul>
+                <div class="checklist-add">
+                    <input
+                        type="text"
+                        class="checklist-input"
+                        placeholder="添加检查项..."
+                        maxlength="200"
+                        aria-label="新检查项"
+                    />
+                    <button type="button" class="checklist-add-button" title="添加检查项 (Enter)">+</button>
+                </div>
+            </div>
+        `;
+  }
+
+  /**
+   * 展开/收起任务的检查项
+   * @param {string} taskId - 任务ID
+   */
+  toggleChecklistExpanded(taskId) {
+    if (this.expandedTaskIds.has(taskId)) {
+      this.expandedTaskIds.delete(taskId);
+    } else {
+      this.expandedTaskIds.add(taskId);
+    }
+    this.renderTaskList();
+
+    const input = this.taskList.querySelector(
+      `${this.getTaskSelector(taskId)} .checklist-input`,
+    );
+    if (input) input.focus();
+  }
+
+  /**
+   * 从任务的输入框添加检查项
+   * @param {HTMLElement} taskItem - 任务元素
+   */
+  async addChecklistItem(taskItem) {
+    const input = taskItem.querySelector(".checklist-input");
+    const title = input ? input.value.trim() : "";
+    if (!title) return;
+
+    try {
+      this.clearError();
+      await this.taskManager.addChecklistItem(taskItem.dataset.taskId, title);
+
+      // 列表已重新渲染，焦点回到新的输入框以便连续添加
+      const newInput = this.taskList.querySelector(
+        `${this.getTaskSelector(taskItem.dataset.taskId)} .checklist-input`,
+      );
+      if (newInput) newInput.focus();
+    } catch (error) {
+      console.error("[TodoList] Failed to add checklist item:", error);
+      this.showError("添加检查项失败，请重试");
+    }
+  }
+
+  /**
+   * 处理检查项的勾选和删除
+   * @param {string} taskId - 任务ID
+   * @param {string} itemId - 检查项ID
+   * @param {boolean} remove - 是否删除
+   */
+  async updateChecklistItem(taskId, itemId, remove = false) {
+    try {
+      if (remove) {
+        await this.taskManager.removeChecklistItem(taskId, itemId);
+      } else {
+        await this.taskManager.toggleChecklistItem(taskId, itemId);
+      }
+    } catch (error) {
+      console.error("[TodoList] Failed to update checklist item:", error);
+      this.showError("操作失败，请重试");
+    }
+  }
+
   /**
    * 处理任务列表点击事件
    * @param {Event} e - 点击事件
    */
   handleTaskListClick(e) {
+    // 点击菜单以外的位置时收起时长预设菜单
+    if (!e.target.closest(".focus-preset-menu, .start-focus-menu-button")) {
+      this.closeFocusMenu();
+    }
+
     const taskItem = e.target.closest(".task-item");
     if (!taskItem) return;
 
     const taskId = taskItem.dataset.taskId;
+    const checklistItem = e.target.closest(".checklist-item");
+
+    // 检查项勾选/删除
+    if (checklistItem) {
+      if (e.target.classList.contains("checklist-checkbox")) {
+        this.updateChecklistItem(taskId, checklistItem.dataset.itemId);
+      } else if (e.target.classList.contains("checklist-remove-button")) {
+        this.updateChecklistItem(taskId, checklistItem.dataset.itemId, true);
+      }
+    }
+
+    // 添加检查项
+    else if (e.target.classList.contains("checklist-add-button")) {
+      this.addChecklistItem(taskItem);
+    }
+
+    // 标签点击 - 按标签筛选
+    else if (e.target.closest(".task-tag")) {
+      const tagName = e.target.closest(".task-tag").querySelector(".task-tag-name");
+      this.toggleTagFilter(tagName.textContent);
+    }
+
+    // 编辑项目和标签
+    else if (e.target.classList.contains("task-labels-edit")) {
+      this.editLabels(taskId);
+    }
+
+    // 截止日期和提醒
+    else if (e.target.classList.contains("task-schedule-toggle")) {
+      this.toggleScheduleEditor(taskId);
+    } else if (e.target.classList.contains("schedule-save-button")) {
+      this.saveSchedule(taskItem);
+    } else if (e.target.classList.contains("schedule-clear-button")) {
+      this.saveSchedule(taskItem, true);
+    }
+
+    // 备注
+    else if (e.target.classList.contains("task-notes-toggle")) {
+      this.toggleNotesEditor(taskId);
+    } else if (e.target.classList.contains("notes-save-button")) {
+      this.saveNotes(taskId);
+    } else if (e.target.classList.contains("notes-cancel-button")) {
+      this.toggleNotesEditor(taskId);
+    }
+
+    // 展开/收起检查项
+    else if (e.target.classList.contains("checklist-toggle")) {
+      this.toggleChecklistExpanded(taskId);
+    }
 
     // 复选框点击
-    if (e.target.classList.contains("task-checkbox")) {
+    else if (e.target.classList.contains("task-checkbox")) {
       this.toggleTask(taskId);
     }
 
@@ -436,11 +1538,36 @@ class TodoList {
       this.startFocusSession(taskId, taskTitle);
     }
 
+    // 专注时长预设菜单
+    else if (e.target.classList.contains("start-focus-menu-button")) {
+      this.toggleFocusMenu(taskId);
+    } else if (e.target.closest(".focus-preset-menu")) {
+      const taskTitle = taskItem.querySelector(".task-title").textContent;
+      this.closeFocusMenu();
+      if (e.target.classList.contains("focus-preset-option")) {
+        this.startFocusSession(taskId, taskTitle, Number(e.target.dataset.minutes));
+      } else if (e.target.classList.contains("focus-preset-custom")) {
+        this.startCustomFocusSession(taskId, taskTitle);
+      } else if (e.target.classList.contains("focus-duration-edit")) {
+        this.editFocusDuration(taskId);
+      }
+    }
+
+    // 专注时长标记点击 - 修改任务时长
+    else if (e.target.classList.contains("task-focus-duration")) {
+      this.editFocusDuration(taskId);
+    }
+
     // 删除按钮点击
     else if (e.target.classList.contains("delete-task-button")) {
       const taskTitle = taskItem.querySelector(".task-title").textContent;
       this.deleteTask(taskId, taskTitle);
     }
+
+    // 番茄钟进度点击 - 设置预估
+    else if (e.target.classList.contains("pomodoro-count")) {
+      this.editEstimate(taskId);
+    }
   }
 
   /**
@@ -453,6 +1580,41 @@ class TodoList {
 
     const taskId = taskItem.dataset.taskId;
 
+    if (
+      e.target.classList.contains("task-drag-handle") &&
+      (e.key === "ArrowUp" || e.key === "ArrowDown")
+    ) {
+      e.preventDefault();
+      this.moveTaskByOffset(taskId, e.key === "ArrowUp" ? -1 : 1);
+      return;
+    }
+
+    if (e.target.closest(".focus-preset-menu") && e.key === "Escape") {
+      e.preventDefault();
+      this.closeFocusMenu();
+      taskItem.querySelector(".start-focus-menu-button").focus();
+      return;
+    }
+
+    if (e.target.classList.contains("task-notes-input")) {
+      if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        this.saveNotes(taskId);
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        this.toggleNotesEditor(taskId);
+      }
+      return;
+    }
+
+    if (e.target.classList.contains("checklist-input")) {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        this.addChecklistItem(taskItem);
+      }
+      return;
+    }
+
     if (e.target.classList.contains("delete-task-button")) {
       if (e.key === "Enter" || e.key === " ") {
         e.preventDefault();
@@ -462,6 +1624,170 @@ class TodoList {
     }
   }
 
+  /**
+   * 设置任务优先级
+   * @param {string} taskId - 任务ID
+   * @param {string} priority - 优先级，空字符串表示无
+   */
+  async setPriority(taskId, priority) {
+    try {
+      this.clearError();
+      await this.taskManager.updateTaskPriority(taskId, priority || null);
+    } catch (error) {
+      console.error("[TodoList] Failed to update priority:", error);
+      this.showError("更新优先级失败，请重试");
+    }
+  }
+
+  /**
+   * 将任务与当前列表中相邻的待完成任务交换位置
+   * @param {string} taskId - 任务ID
+   * @param {number} offset - -1 上移，1 下移
+   */
+  async moveTaskByOffset(taskId, offset) {
+    const visible = this.tasks.filter((task) => !task.isCompleted);
+    const index = visible.findIndex((task) => task.id === taskId);
+    const neighbor = visible[index + offset];
+
+    if (index === -1 || !neighbor) {
+      this.announce(offset < 0 ? "已在最前" : "已在最后");
+      return;
+    }
+
+    await this.moveTaskRelative(taskId, neighbor.id, offset < 0 ? "before" : "after");
+  }
+
+  /**
+   * 将任务移动到另一个待完成任务的前面或后面
+   * 筛选时只显示部分任务，因此按完整的待完成列表计算目标位置
+   * @param {string} taskId - 要移动的任务ID
+   * @param {string} targetTaskId - 参照任务ID
+   * @param {string} position - "before" | "after"
+   */
+  async moveTaskRelative(taskId, targetTaskId, position) {
+    const pendingIds = this.taskManager
+      .getAllTasks()
+      .filter((task) => !task.isCompleted && task.id !== taskId)
+      .map((task) => task.id);
+    const targetIndex = pendingIds.indexOf(targetTaskId);
+    if (targetIndex === -1) return;
+
+    const newIndex = position === "after" ? targetIndex + 1 : targetIndex;
+
+    try {
+      const moved = await this.taskManager.reorderTask(taskId, newIndex);
+      if (!moved) return;
+
+      const task = this.taskManager.getTaskById(taskId);
+      this.announce(
+        `已将"${task.title}"移动到第 ${newIndex + 1} 位，共 ${pendingIds.length + 1} 个待完成任务`,
+      );
+
+      // 列表已重新渲染，焦点回到被移动任务的拖动手柄，便于连续移动
+      const handle = this.taskList.querySelector(
+        `${this.getTaskSelector(taskId)} .task-drag-handle`,
+      );
+      if (handle) handle.focus();
+    } catch (error) {
+      console.error("[TodoList] Failed to reorder task:", error);
+      this.showError("调整顺序失败，请重试");
+    }
+  }
+
+  /**
+   * 开始拖动排序（仅响应拖动手柄）
+   * @param {PointerEvent} e - 指针事件
+   */
+  handleDragStart(e) {
+    const handle = e.target.closest(".task-drag-handle");
+    if (!handle || e.button !== 0 || this.dragState) return;
+
+    e.preventDefault();
+    const taskItem = handle.closest(".task-item");
+    const onMove = (event) => this.handleDragMove(event);
+    const onUp = () => this.handleDragEnd(true);
+    const onCancel = () => this.handleDragEnd(false);
+
+    this.dragState = {
+      taskId: taskItem.dataset.taskId,
+      taskItem,
+      handle,
+      target: null,
+      position: null,
+      listeners: { pointermove: onMove, pointerup: onUp, pointercancel: onCancel },
+    };
+
+    taskItem.classList.add("dragging");
+    handle.setPointerCapture(e.pointerId);
+    Object.entries(this.dragState.listeners).forEach(([type, listener]) =>
+      handle.addEventListener(type, listener),
+    );
+  }
+
+  /**
+   * 拖动过程中标记放置位置
+   * @param {PointerEvent} e - 指针事件
+   */
+  handleDragMove(e) {
+    const state = this.dragState;
+    if (!state) return;
+
+    const element = document.elementFromPoint(e.clientX, e.clientY);
+    const target = element && element.closest(".task-item:not(.completed)");
+
+    this.clearDropIndicator();
+    if (!target || target === state.taskItem || !this.taskList.contains(target)) {
+      state.target = null;
+      return;
+    }
+
+    const rect = target.getBoundingClientRect();
+    state.target = target;
+    state.position = e.clientY < rect.top + rect.height / 2 ? "before" : "after";
+    target.classList.add(`drop-${state.position}`);
+  }
+
+  /**
+   * 结束拖动，必要时提交新的顺序
+   * @param {boolean} commit - 是否在当前位置放下
+   */
+  handleDragEnd(commit) {
+    const state = this.dragState;
+    if (!state) return;
+
+    this.dragState = null;
+    Object.entries(state.listeners).forEach(([type, listener]) =>
+      state.handle.removeEventListener(type, listener),
+    );
+    state.taskItem.classList.remove("dragging");
+    this.clearDropIndicator();
+
+    if (commit && state.target) {
+      this.moveTaskRelative(state.taskId, state.target.dataset.taskId, state.position);
+    }
+  }
+
+  /**
+   * 清除放置位置标记
+   */
+  clearDropIndicator() {
+    this.taskList
+      .querySelectorAll(".drop-before, .drop-after")
+      .forEach((item) => item.classList.remove("drop-before", "drop-after"));
+  }
+
+  /**
+   * 通过ARIA live区域播报信息
+   * @param {string} message - 播报内容
+   */
+  announce(message) {
+    // 先清空再写入，确保重复的内容也会被播报
+    this.liveRegion.textContent = "";
+    setTimeout(() => {
+      this.liveRegion.textContent = message;
+    }, 50);
+  }
+
   /**
    * 更新统计信息
    */
@@ -483,14 +1809,16 @@ class TodoList {
    * 更新UI状态
    */
   updateUI() {
-    const hasCompletedTasks = this.tasks.some((task) => task.isCompleted);
+    const hasCompletedTasks = this.taskManager.getCompletedTasks().length > 0;
+    const hasAnyTasks = this.taskManager.getAllTasks().length > 0;
     const hasTasks = this.tasks.length > 0;
 
     // 显示/隐藏清除已完成按钮
     this.clearCompletedButton.classList.toggle("hidden", !hasCompletedTasks);
 
-    // 显示/隐藏空状态
-    this.emptyState.classList.toggle("hidden", hasTasks);
+    // 显示/隐藏空状态（区分没有任务和筛选后没有结果）
+    this.emptyState.classList.toggle("hidden", hasAnyTasks);
+    this.filterEmptyState.classList.toggle("hidden", !hasAnyTasks || hasTasks);
     this.taskList.classList.toggle("hidden", !hasTasks);
 
     this.updateAddButtonState();
@@ -580,6 +1908,24 @@ class TodoList {
     }
   }
 
+  /**
+   * HTML转义函数（含引号，可用于属性值）
+   */
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+  }
+
+  /**
+   * 任务元素的选择器（任务ID可能来自导入的备份文件，需转义后才能放入选择器）
+   * @param {string} taskId - 任务ID
+   * @returns {string}
+   */
+  getTaskSelector(taskId) {
+    return `.task-item[data-task-id="${CSS.escape(taskId)}"]`;
+  }
+
   /**
    * 获取任务统计
    * @returns {Object} 统计信息
@@ -599,8 +1945,9 @@ class TodoList {
    * 销毁组件
    */
   destroy() {
-    if (this.taskManager) {
-      this.taskManager.removeObserver(this.handleTaskManagerEvent);
+    if (this.unsubscribeEvents) {
+      this.unsubscribeEvents();
+      this.unsubscribeEvents = null;
     }
 
     if (this.container) {
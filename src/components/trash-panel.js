@@ -0,0 +1,319 @@
+/**
+ * TrashPanel - 任务回收站UI组件
+ *
+ * 负责：
+ * 1. 列出回收站中的任务（删除时间、删除方式、已投入的番茄钟）
+ * 2. 恢复任务或永久删除单个任务、清空回收站
+ * 3. 设置回收站保留天数，超期任务由 TaskService 自动清理
+ */
+
+class TrashPanel {
+  constructor(container, taskService, eventBus) {
+    this.container = container;
+    this.taskService = taskService;
+    this.eventBus = eventBus;
+    this.isInitialized = false;
+
+    // UI元素引用
+    this.elements = null;
+
+    // 删除方式的显示名称
+    this.REASON_LABELS = {
+      deleted: "手动删除",
+      clearedCompleted: "清除已完成",
+    };
+
+    // 事件总线订阅：回收站内容或保留期限变化时重新渲染
+    this.unsubscribeEvents = null;
+
+    this.initialize();
+  }
+
+  /**
+   * 初始化组件
+   */
+  initialize() {
+    if (this.isInitialized) {
+      return;
+    }
+
+    try {
+      this.createUI();
+      this.bindEvents();
+      this.unsubscribeEvents = this.eventBus.onMany(
+        [
+          EventBus.EVENTS.TASK_DELETED,
+          EventBus.EVENTS.COMPLETED_TASKS_CLEARED,
+          EventBus.EVENTS.TASK_RESTORED,
+          EventBus.EVENTS.TASK_PURGED,
+          EventBus.EVENTS.TASKS_RELOADED,
+          EventBus.EVENTS.TRASH_RETENTION_CHANGED,
+        ],
+        () => this.render(),
+      );
+      this.render();
+
+      this.isInitialized = true;
+      console.log("[TrashPanel] Initialized successfully");
+    } catch (error) {
+      console.error("[TrashPanel] Failed to initialize:", error);
+    }
+  }
+
+  /**
+   * 创建UI界面
+   */
+  createUI() {
+    this.container.innerHTML = `
+            <div class="data-section">
+                <h4>保留期限</h4>
+                <p class="data-hint">超过保留期限的任务将被永久删除，其专注记录仍保留在统计中</p>
+                <div class="data-options">
+                    <label class="data-option" for="trash-retention-input">保留天数</label>
+                    <input
+                        type="number"
+                        id="trash-retention-input"
+                        class="trash-retention-input"
+                        min="1"
+                        max="365"
+                        step="1"
+                    />
+                    <button type="button" id="trash-retention-save" class="data-button">
+                        保存
+                    </button>
+                </div>
+            </div>
+
+            <div class="data-section">
+                <div class="trash-header">
+                    <h4>已删除的任务 <span id="trash-count" class="trash-count"></span></h4>
+                    <button type="button" id="trash-empty-button" class="data-button">
+                        清空回收站
+                    </button>
+                </div>
+                <ul class="trash-list" id="trash-list" role="list"></ul>
+                <p class="data-hint hidden" id="trash-empty-state">回收站是空的</p>
+                <div class="input-feedback" id="trash-feedback" role="alert" aria-live="polite"></div>
+            </div>
+        `;
+
+    this.elements = {
+      retentionInput: this.container.querySelector("#trash-retention-input"),
+      retentionSave: this.container.querySelector("#trash-retention-save"),
+      count: this.container.querySelector("#trash-count"),
+      emptyButton: this.container.querySelector("#trash-empty-button"),
+      list: this.container.querySelector("#trash-list"),
+      emptyState: this.container.querySelector("#trash-empty-state"),
+      feedback: this.container.querySelector("#trash-feedback"),
+    };
+  }
+
+  /**
+   * 绑定事件监听器
+   */
+  bindEvents() {
+    const { retentionInput, retentionSave, emptyButton, list } = this.elements;
+
+    retentionSave.addEventListener("click", () => this.handleRetentionSave());
+    retentionInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        this.handleRetentionSave();
+      }
+    });
+    emptyButton.addEventListener("click", () => this.handleEmptyTrash());
+
+    // 列表按钮使用事件委托，渲染后无需重新绑定
+    list.addEventListener("click", (e) => {
+      const button = e.target.closest("button[data-action]");
+      const item = button?.closest(".trash-item");
+      if (!item) return;
+
+      if (button.dataset.action === "restore") {
+        this.handleRestore(item.dataset.taskId);
+      } else if (button.dataset.action === "purge") {
+        this.handlePurge(item.dataset.taskId);
+      }
+    });
+  }
+
+  /**
+   * 渲染保留天数和回收站列表
+   */
+  render() {
+    if (!this.elements) return;
+
+    const { retentionInput, count, emptyButton, list, emptyState } = this.elements;
+    const entries = this.taskService.getTrashedTasks();
+
+    if (document.activeElement !== retentionInput) {
+      retentionInput.value = this.taskService.trashRetentionDays;
+    }
+    count.textContent = entries.length > 0 ? `(${entries.length})` : "";
+    emptyButton.disabled = entries.length === 0;
+    emptyState.classList.toggle("hidden", entries.length > 0);
+
+    list.innerHTML = "";
+    entries.forEach((entry) => list.appendChild(this.createTrashItem(entry)));
+  }
+
+  /**
+   * 创建回收站条目元素
+   * @param {Object} entry - 回收站条目 {task, deletedAt, reason}
+   * @returns {HTMLElement}
+   */
+  createTrashItem(entry) {
+    const { task } = entry;
+    const li = document.createElement("li");
+    li.className = "trash-item";
+    li.dataset.taskId = task.id;
+
+    const meta = [
+      this.formatDeletedAt(entry.deletedAt),
+      this.REASON_LABELS[entry.reason] || entry.reason,
+    ];
+    if (task.pomodoroCount > 0) {
+      meta.push(`🍅 ${task.pomodoroCount}`);
+    }
+
+    li.innerHTML = `
+            <div class="trash-item-info">
+                <span class="trash-item-title${task.isCompleted ? " completed" : ""}">${this.escapeHtml(task.title)}</span>
+                <span class="trash-item-meta">${this.escapeHtml(meta.join(" · "))}</span>
+            </div>
+            <div class="trash-item-actions">
+                <button type="button" class="data-button" data-action="restore">恢复</button>
+                <button type="button" class="data-button danger" data-action="purge">永久删除</button>
+            </div>
+        `;
+
+    li.querySelectorAll("button").forEach((button) =>
+      button.setAttribute("aria-label", `${button.textContent.trim()}：${task.title}`),
+    );
+    return li;
+  }
+
+  /**
+   * 格式化删除时间
+   * @param {number} timestamp - 时间戳
+   * @returns {string}
+   */
+  formatDeletedAt(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())} 删除`;
+  }
+
+  /**
+   * 保存保留天数
+   */
+  async handleRetentionSave() {
+    const { retentionInput } = this.elements;
+    const days = Number(retentionInput.value);
+
+    try {
+      const success = await this.taskService.setTrashRetention(days);
+      if (success) {
+        this.showFeedback(`回收站保留 ${days} 天`, "success");
+      } else {
+        this.showFeedback("保存失败，请重试", "error");
+      }
+    } catch (error) {
+      retentionInput.value = this.taskService.trashRetentionDays;
+      this.showFeedback("保留天数必须是 1-365 之间的整数", "error");
+    }
+  }
+
+  /**
+   * 恢复任务
+   * @param {string} taskId - 任务ID
+   */
+  async handleRestore(taskId) {
+    const success = await this.taskService.restoreTask(taskId);
+    this.showFeedback(
+      success ? "任务已恢复到待办列表" : "恢复失败，请重试",
+      success ? "success" : "error",
+    );
+  }
+
+  /**
+   * 永久删除单个任务
+   * @param {string} taskId - 任务ID
+   */
+  async handlePurge(taskId) {
+    if (!confirm("永久删除后无法恢复，确定继续吗？")) {
+      return;
+    }
+
+    const success = await this.taskService.purgeTask(taskId);
+    this.showFeedback(
+      success ? "任务已永久删除" : "删除失败，请重试",
+      success ? "success" : "error",
+    );
+  }
+
+  /**
+   * 清空回收站
+   */
+  async handleEmptyTrash() {
+    const count = this.taskService.getTrashedTasks().length;
+    if (count === 0 || !confirm(`确定永久删除回收站中的 ${count} 个任务吗？`)) {
+      return;
+    }
+
+    const removed = await this.taskService.emptyTrash();
+    this.showFeedback(`已永久删除 ${removed} 个任务`, "success");
+  }
+
+  /**
+   * 显示反馈信息
+   * @param {string} message - 反馈消息
+   * @param {string} type - 消息类型（success | error）
+   */
+  showFeedback(message, type = "") {
+    const { feedback } = this.elements;
+    feedback.textContent = message;
+    feedback.className = `input-feedback ${type}`;
+
+    if (type === "success") {
+      setTimeout(() => {
+        if (feedback.textContent === message) {
+          feedback.textContent = "";
+          feedback.className = "input-feedback";
+        }
+      }, 3000);
+    }
+  }
+
+  /**
+   * HTML转义函数
+   */
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * 刷新组件
+   */
+  refresh() {
+    this.render();
+  }
+
+  /**
+   * 销毁组件
+   */
+  destroy() {
+    if (this.unsubscribeEvents) {
+      this.unsubscribeEvents();
+      this.unsubscribeEvents = null;
+    }
+
+    if (this.container) {
+      this.container.innerHTML = "";
+    }
+
+    console.log("[TrashPanel] Destroyed");
+  }
+}
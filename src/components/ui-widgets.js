@@ -100,6 +100,11 @@ class UIWidgets {
       this.settingsPanel?.activateTab('todo');
     }, 'n');
     
+    GM_registerMenuCommand('💾 备份与恢复数据', () => {
+      this.settingsPanel?.show();
+      this.settingsPanel?.activateTab('data');
+    }, 'b');
+    
     console.log("[UIWidgets] GM menu commands registered");
   }
 
@@ -0,0 +1,453 @@
+/**
+ * BackupService - Linus式依赖注入备份服务
+ *
+ * 职责：
+ * 1. 导出完整备份：任务、设置（含黑白名单和计时偏好）、专注会话历史
+ * 2. 备份包带数据版本号和校验和，旧版本备份按 Storage 迁移注册表升级
+ * 3. 导入前生成预演计划（合并或替换，按任务ID解决冲突）
+ * 4. 按计划写入存储：先校验全部数据，写入前在内存中保存当前数据快照，任一部分写入失败时写回快照，
+ *    最后通知各服务重新加载
+ *
+ * 已归档的任务与活动任务一起导出和导入，导入后由 TaskService 重新归档
+ */
+
+class BackupService {
+  constructor(storage, services = {}) {
+    // 依赖注入 - 显式优于隐式
+    this.storage = storage;
+    this.taskService = services.taskService || null;
+    this.timerService = services.timerService || null;
+    this.whitelistManager = services.whitelistManager || null;
+    this.blacklistManager = services.blacklistManager || null;
+    this.statsService = services.statsService || null;
+    this.blockerFeature = services.blockerFeature || null;
+
+    this.APP_ID = "TomatoMonkey";
+
+    // 生成的任务ID：毫秒时间戳，可带以 - 分隔的字母数字后缀。
+    // 备份文件可被任意编辑（校验和可以重新计算），ID 会写入界面属性，不符合格式的备份直接拒绝
+    this.TASK_ID_PATTERN = /^\d+(?:-[a-z0-9]+)*$/;
+
+    console.log("[BackupService] Created");
+  }
+
+  // === 导出 ===
+
+  /**
+   * 创建完整备份包
+   * @returns {Promise<Object>} 备份包
+   */
+  async createBackup() {
+    const data = {
+      tasks: await this.loadAllTasks(),
+      settings: await this.storage.loadSettings(),
+      sessions: await this.storage.loadSessions(),
+    };
+
+    return {
+      app: this.APP_ID,
+      versions: this.getCurrentVersions(),
+      exportedAt: Date.now(),
+      checksum: this.computeChecksum(data),
+      data,
+    };
+  }
+
+  /**
+   * 备份各部分对应的存储键
+   * @returns {Object} {tasks, settings, sessions}
+   */
+  getSectionKeys() {
+    const keys = this.storage.STORAGE_KEYS;
+    return {
+      tasks: keys.TASKS,
+      settings: keys.SETTINGS,
+      sessions: keys.STATISTICS,
+    };
+  }
+
+  /**
+   * 获取备份各部分的当前数据版本
+   * @returns {Object} {tasks, settings, sessions}
+   */
+  getCurrentVersions() {
+    const versions = {};
+    for (const [section, key] of Object.entries(this.getSectionKeys())) {
+      versions[section] = this.storage.getDataVersion(key);
+    }
+    return versions;
+  }
+
+  /**
+   * 加载活动任务和已归档的任务
+   * @returns {Promise<Array<Task>>}
+   */
+  async loadAllTasks() {
+    const [tasks, archived] = await Promise.all([
+      this.storage.loadTasks(),
+      this.storage.loadArchive(),
+    ]);
+    const taskIds = new Set(tasks.map((task) => task.id));
+    return tasks.concat(archived.filter((task) => !taskIds.has(task.id)));
+  }
+
+  /**
+   * 创建备份并序列化为JSON
+   * @returns {Promise<string>} JSON字符串
+   */
+  async exportBackup() {
+    const backup = await this.createBackup();
+    console.log(
+      `[BackupService] Exported ${backup.data.tasks.length} tasks and ${backup.data.sessions.length} sessions`,
+    );
+    return JSON.stringify(backup, null, 2);
+  }
+
+  /**
+   * 计算备份数据的校验和（FNV-1a 32位）
+   * @param {Object} data - 备份数据
+   * @returns {string} 8位十六进制校验和
+   */
+  computeChecksum(data) {
+    const text = JSON.stringify(data);
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(16).padStart(8, "0");
+  }
+
+  // === 导入 ===
+
+  /**
+   * 解析并验证备份包
+   * @param {string} jsonText - 备份文件内容
+   * @returns {Object} 迁移到当前版本的备份包
+   * @throws {Error} 如果格式、版本或校验和无效
+   */
+  parseBackup(jsonText) {
+    let backup;
+    try {
+      backup = JSON.parse(jsonText);
+    } catch (error) {
+      throw new Error("Backup is not valid JSON");
+    }
+
+    if (!backup || backup.app !== this.APP_ID || !backup.data) {
+      throw new Error("Not a TomatoMonkey backup file");
+    }
+
+    // 各部分单独记录版本，与存储键的版本一致
+    const sectionKeys = this.getSectionKeys();
+    const versions = backup.versions || {};
+    for (const [section, key] of Object.entries(sectionKeys)) {
+      const version = versions[section];
+      if (typeof version !== "number" || version < 1) {
+        throw new Error(`Backup has an invalid ${section} version`);
+      }
+      if (version > this.storage.getDataVersion(key)) {
+        throw new Error(
+          `Backup ${section} v${version} is newer than supported v${this.storage.getDataVersion(key)}`,
+        );
+      }
+    }
+
+    if (this.computeChecksum(backup.data) !== backup.checksum) {
+      throw new Error("Backup checksum mismatch, the file may be corrupted");
+    }
+
+    const { tasks, settings, sessions } = backup.data;
+    if (!Array.isArray(tasks) || !Array.isArray(sessions) || !settings) {
+      throw new Error("Backup is missing tasks, settings or sessions");
+    }
+
+    // 旧版本备份复用存储迁移注册表，按各部分的版本分别升级
+    const migratedTasks = this.storage.migrateData(
+      { version: versions.tasks, tasks },
+      sectionKeys.tasks,
+    ).tasks;
+    const migratedSettings = this.storage.migrateData(
+      { version: versions.settings, settings },
+      sectionKeys.settings,
+    ).settings;
+    const migratedSessions = this.storage.migrateData(
+      { version: versions.sessions, sessions },
+      sectionKeys.sessions,
+    ).sessions;
+    const mergedSettings = {
+      ...this.storage.DEFAULT_SETTINGS,
+      ...migratedSettings,
+    };
+
+    this.storage.validateTasksData(migratedTasks);
+    const invalidTask = migratedTasks.find((task) => !this.TASK_ID_PATTERN.test(task.id));
+    if (invalidTask) {
+      throw new Error(`Backup contains an invalid task id: ${JSON.stringify(invalidTask.id)}`);
+    }
+    this.storage.validateSettingsData(mergedSettings);
+    this.storage.validateSessionsData(migratedSessions);
+
+    return {
+      ...backup,
+      versions: this.getCurrentVersions(),
+      data: {
+        tasks: migratedTasks,
+        settings: mergedSettings,
+        sessions: migratedSessions,
+      },
+    };
+  }
+
+  /**
+   * 预演导入：计算合并或替换后的结果和变更摘要，不写入存储
+   * @param {Object} backup - parseBackup 返回的备份包
+   * @param {Object} options - {mode: "merge"|"replace", conflictStrategy: "backup"|"local"}
+   * @returns {Promise<Object>} 导入计划
+   */
+  async previewRestore(backup, options = {}) {
+    const mode = options.mode === "replace" ? "replace" : "merge";
+    const conflictStrategy =
+      options.conflictStrategy === "local" ? "local" : "backup";
+
+    const local = {
+      tasks: await this.loadAllTasks(),
+      settings: await this.storage.loadSettings(),
+      sessions: await this.storage.loadSessions(),
+    };
+
+    return {
+      mode,
+      conflictStrategy,
+      tasks: this.planTasks(local.tasks, backup.data.tasks, mode, conflictStrategy),
+      sessions: this.planSessions(local.sessions, backup.data.sessions, mode),
+      settings: this.planSettings(
+        local.settings,
+        backup.data.settings,
+        mode,
+        conflictStrategy,
+      ),
+    };
+  }
+
+  /**
+   * 计算任务导入结果（按任务ID匹配）
+   * @returns {Object} {result, added, updated, conflicts, removed, unchanged}
+   */
+  planTasks(localTasks, backupTasks, mode, conflictStrategy) {
+    const localById = new Map(localTasks.map((task) => [task.id, task]));
+    const backupIds = new Set(backupTasks.map((task) => task.id));
+    const plan = {
+      result: [],
+      added: [],
+      updated: [],
+      conflicts: [],
+      removed: [],
+      unchanged: 0,
+    };
+
+    // 合并模式保留本地独有的任务，替换模式将其删除
+    for (const task of localTasks) {
+      if (backupIds.has(task.id)) continue;
+      if (mode === "merge") {
+        plan.result.push(task);
+      } else {
+        plan.removed.push(task);
+      }
+    }
+
+    for (const task of backupTasks) {
+      const localTask = localById.get(task.id);
+
+      if (!localTask) {
+        plan.added.push(task);
+        plan.result.push(task);
+      } else if (this.isSameRecord(localTask, task)) {
+        plan.unchanged++;
+        plan.result.push(localTask);
+      } else if (mode === "merge" && conflictStrategy === "local") {
+        plan.conflicts.push({ local: localTask, backup: task, winner: "local" });
+        plan.result.push(localTask);
+      } else {
+        if (mode === "merge") {
+          plan.conflicts.push({ local: localTask, backup: task, winner: "backup" });
+        }
+        plan.updated.push(task);
+        plan.result.push(task);
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * 计算会话历史导入结果（会话记录不可变，按ID去重）
+   * @returns {Object} {result, added, removed}
+   */
+  planSessions(localSessions, backupSessions, mode) {
+    const localIds = new Set(localSessions.map((session) => session.id));
+    const backupIds = new Set(backupSessions.map((session) => session.id));
+    const added = backupSessions.filter((session) => !localIds.has(session.id));
+
+    if (mode === "replace") {
+      return {
+        result: backupSessions.slice(),
+        added: added.length,
+        removed: localSessions.filter((session) => !backupIds.has(session.id))
+          .length,
+      };
+    }
+
+    const result = localSessions
+      .concat(added)
+      .sort((a, b) => a.startedAt - b.startedAt);
+    return { result, added: added.length, removed: 0 };
+  }
+
+  /**
+   * 计算设置导入结果
+   * 合并模式：黑白名单取并集，其余字段按冲突策略选择
+   * @returns {Object} {result, changed}
+   */
+  planSettings(localSettings, backupSettings, mode, conflictStrategy) {
+    let result;
+
+    if (mode === "replace") {
+      result = { ...backupSettings };
+    } else {
+      const [winner, other] =
+        conflictStrategy === "local"
+          ? [localSettings, backupSettings]
+          : [backupSettings, localSettings];
+
+      result = {
+        ...other,
+        ...winner,
+        whitelist: this.mergeRuleLists(winner.whitelist, other.whitelist),
+        blacklist: this.mergeRuleLists(winner.blacklist, other.blacklist),
+      };
+    }
+
+    const fields = new Set([
+      ...Object.keys(localSettings),
+      ...Object.keys(result),
+    ]);
+    const changed = Array.from(fields).filter(
+      (field) => !this.isSameRecord(localSettings[field], result[field]),
+    );
+
+    return { result, changed };
+  }
+
+  /**
+   * 合并两个规则列表并去重
+   * @param {Array} primary - 优先保留的规则
+   * @param {Array} secondary - 补充的规则
+   * @returns {Array} 合并后的规则
+   */
+  mergeRuleLists(primary = [], secondary = []) {
+    const seen = new Set();
+    const merged = [];
+
+    for (const rule of primary.concat(secondary)) {
+      const key =
+        typeof rule === "string" ? rule : `${rule.type}:${rule.pattern}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        merged.push(rule);
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * 比较两个记录的内容是否一致
+   */
+  isSameRecord(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * 按预演计划写入存储
+   * @param {Object} plan - previewRestore 返回的计划
+   * @returns {Promise<boolean>} 导入是否成功
+   */
+  async applyRestore(plan) {
+    try {
+      // 先校验全部数据，避免写到一半才发现某一部分无效
+      this.storage.validateTasksData(plan.tasks.result);
+      this.storage.validateSettingsData(plan.settings.result);
+      this.storage.validateSessionsData(plan.sessions.result);
+    } catch (error) {
+      console.error("[BackupService] Restore plan is invalid:", error);
+      return false;
+    }
+
+    try {
+      // 导入前的数据快照只保存在内存中，写入失败时据此回滚
+      const snapshot = await this.createBackup();
+
+      // 导入是显式的恢复操作，允许覆盖迁移失败的键（原始数据仍在迁移备份中）
+      this.storage.clearMigrationFailures();
+
+      // 导入结果全部写回活动列表，TaskService 重新加载时按归档天数再次归档
+      const saved = await this.writeData({
+        tasks: plan.tasks.result,
+        settings: plan.settings.result,
+        sessions: plan.sessions.result,
+      });
+
+      if (!saved) {
+        // 部分写入后失败：写回快照，避免留下新任务配旧设置之类的半完成状态
+        const rolledBack = await this.writeData(snapshot.data);
+        console.error(
+          `[BackupService] Failed to write restored data, ${rolledBack ? "rolled back to snapshot" : "rollback also failed"}`,
+        );
+        await this.reloadServices();
+        return false;
+      }
+
+      await this.reloadServices();
+
+      console.log(
+        `[BackupService] Restore applied (${plan.mode}): +${plan.tasks.added.length} tasks, ${plan.tasks.updated.length} updated, ${plan.tasks.removed.length} removed`,
+      );
+      return true;
+    } catch (error) {
+      console.error("[BackupService] Failed to apply restore:", error);
+      return false;
+    }
+  }
+
+  /**
+   * 依次写入任务（清空归档）、设置和会话历史
+   * @param {Object} data - {tasks, settings, sessions}
+   * @returns {Promise<boolean>} 是否全部写入成功
+   */
+  async writeData({ tasks, settings, sessions }) {
+    return (
+      (await this.storage.saveTasks(tasks)) &&
+      (await this.storage.saveArchive([])) &&
+      (await this.storage.saveSettings(settings)) &&
+      (await this.storage.saveSessions(sessions))
+    );
+  }
+
+  /**
+   * 通知各服务从存储重新加载数据
+   */
+  async reloadServices() {
+    if (this.taskService) await this.taskService.reload();
+    if (this.whitelistManager) await this.whitelistManager.reload();
+    if (this.blacklistManager) await this.blacklistManager.reload();
+    if (this.statsService) await this.statsService.reload();
+    if (this.timerService) await this.timerService.loadCycleSettings();
+    if (this.blockerFeature) {
+      await this.blockerFeature.loadBlockingMode();
+      this.blockerFeature.clearCache();
+    }
+  }
+}
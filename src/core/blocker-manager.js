@@ -3,27 +3,43 @@
  *
  * 职责：
  * 1. 网站拦截逻辑的核心处理
- * 2. URL匹配检查和白名单集成
+ * 2. URL匹配检查和白名单/黑名单集成（按拦截模式）
  * 3. 计时器状态同步和监听
  * 4. 专注页面显示控制
  * 5. 跨标签页拦截状态同步
  * 6. 页面加载拦截的生命周期管理
+ * 7. 通过事件总线订阅规则列表变化，并发布拦截器激活/停用和拦截模式变化
  */
 
 class BlockerFeature {
-  constructor(timerService, whitelistManager, focusPage, storage) {
+  constructor(
+    timerService,
+    whitelistManager,
+    focusPage,
+    storage,
+    blacklistManager = null,
+    eventBus = null,
+  ) {
     // 依赖注入 - 显式优于隐式
     this.timerService = timerService;
     this.whitelistManager = whitelistManager;
+    this.blacklistManager = blacklistManager;
     this.focusPage = focusPage;
     this.storage = storage;
+    this.eventBus = eventBus;
 
     // 拦截器状态
     this.isActive = false;
     this.isCurrentPageBlocked = false;
 
+    // 拦截模式：whitelist 拦截白名单以外的网站，blacklist 只拦截黑名单网站
+    this.BLOCKING_MODES = ["whitelist", "blacklist"];
+    this.blockingMode = "whitelist";
+
     // 观察者回调绑定
     this.boundTimerObserver = this.handleTimerEvent.bind(this);
+    this.boundRuleChangeHandler = this.handleRuleListChange.bind(this);
+    this.unsubscribeRuleEvents = null;
 
     // 初始化状态
     this.initialized = false;
@@ -32,6 +48,9 @@ class BlockerFeature {
     this.urlMatchCache = new Map();
     this.cacheExpiryTime = 5 * 60 * 1000; // 5分钟缓存过期
 
+    // 跨标签页同步：设置存储键的变化监听器ID
+    this.settingsListenerId = null;
+
     console.log("[BlockerFeature] Created");
   }
 
@@ -56,6 +75,10 @@ class BlockerFeature {
     // 监听计时器状态变化
     this.bindTimerService();
 
+    // 加载拦截模式并监听规则列表变化
+    await this.loadBlockingMode();
+    this.bindRuleListEvents(true);
+
     // 检查当前页面是否需要拦截
     await this.checkCurrentPageBlocking();
 
@@ -82,6 +105,122 @@ class BlockerFeature {
     this.timerService.removeObserver(this.boundTimerObserver);
   }
 
+  /**
+   * 绑定或解绑规则列表变更事件（白名单和黑名单共用的 RULE_* 事件）
+   * @param {boolean} bind - true 绑定，false 解绑
+   */
+  bindRuleListEvents(bind) {
+    if (this.unsubscribeRuleEvents) {
+      this.unsubscribeRuleEvents();
+      this.unsubscribeRuleEvents = null;
+    }
+    if (bind && this.eventBus) {
+      this.unsubscribeRuleEvents = this.eventBus.onMany(
+        [
+          EventBus.EVENTS.RULE_ADDED,
+          EventBus.EVENTS.RULE_REMOVED,
+          EventBus.EVENTS.RULES_CLEARED,
+          EventBus.EVENTS.RULES_RELOADED,
+        ],
+        this.boundRuleChangeHandler,
+      );
+    }
+  }
+
+  /**
+   * 在事件总线上发布事件（未注入事件总线时忽略）
+   * @param {string} event - EventBus.EVENTS 中的事件名称
+   * @param {Object} data - 事件数据
+   */
+  publish(event, data = {}) {
+    if (this.eventBus) {
+      this.eventBus.emit(event, data);
+    }
+  }
+
+  /**
+   * 规则列表变化后清除缓存并重新检查当前页面
+   */
+  async handleRuleListChange() {
+    this.clearCache();
+    await this.checkCurrentPageBlocking();
+  }
+
+  /**
+   * 从设置加载拦截模式
+   */
+  async loadBlockingMode() {
+    if (!this.storage) return;
+
+    try {
+      const settings = await this.storage.loadSettings();
+      this.blockingMode = this.BLOCKING_MODES.includes(settings.blockingMode)
+        ? settings.blockingMode
+        : "whitelist";
+      console.log(`[BlockerFeature] Blocking mode: ${this.blockingMode}`);
+    } catch (error) {
+      console.error("[BlockerFeature] Failed to load blocking mode:", error);
+    }
+  }
+
+  /**
+   * 切换拦截模式并持久化
+   * @param {string} mode - "whitelist" 或 "blacklist"
+   * @returns {Promise<boolean>} 切换是否成功
+   */
+  async setBlockingMode(mode) {
+    if (!this.BLOCKING_MODES.includes(mode)) {
+      console.warn("[BlockerFeature] Invalid blocking mode:", mode);
+      return false;
+    }
+
+    try {
+      const settings = await this.storage.loadSettings();
+      settings.blockingMode = mode;
+      const success = await this.storage.saveSettings(settings);
+      if (!success) {
+        return false;
+      }
+
+      this.blockingMode = mode;
+      console.log(`[BlockerFeature] Blocking mode changed to ${mode}`);
+
+      // 模式变化会改变所有URL的判断结果
+      this.clearCache();
+      await this.checkCurrentPageBlocking();
+      this.publish(EventBus.EVENTS.BLOCKING_MODE_CHANGED, { mode });
+      return true;
+    } catch (error) {
+      console.error("[BlockerFeature] Failed to change blocking mode:", error);
+      return false;
+    }
+  }
+
+  /**
+   * 获取当前拦截模式
+   * @returns {string} "whitelist" 或 "blacklist"
+   */
+  getBlockingMode() {
+    return this.blockingMode;
+  }
+
+  /**
+   * 按当前拦截模式判断URL是否命中拦截规则（不考虑激活状态和豁免）
+   * @param {string} url - 要检查的URL
+   * @returns {boolean} 是否应该拦截
+   */
+  isBlockedByRules(url) {
+    if (this.blockingMode === "blacklist") {
+      return this.blacklistManager
+        ? this.blacklistManager.findMatchingRule(url) !== null
+        : false;
+    }
+
+    return this.whitelistManager
+      ? !this.whitelistManager.isDomainAllowed(url)
+      : true;
+  }
+
   /**
    * 处理计时器事件
    * @param {string} event - 事件类型
@@ -98,9 +237,22 @@ class BlockerFeature {
       case "timerCompleted":
         this.deactivateBlocking();
         break;
+      case "breakStarted":
+        // 休息期间解除拦截
+        this.deactivateBlocking();
+        break;
     }
   }
 
+  /**
+   * 判断计时器状态是否为进行中的专注阶段（休息阶段不拦截）
+   * @param {Object} state - 计时器状态
+   * @returns {boolean} 是否处于专注中
+   */
+  isFocusRunning(state) {
+    return state?.status === "running" && (state.phase || "focus") === "focus";
+  }
+
   /**
    * 激活拦截器
    * @param {boolean} newSession - 是否为新的计时器会话（默认false）
@@ -126,6 +278,7 @@ class BlockerFeature {
 
     // 保存拦截器状态
     this.saveBlockerState();
+    this.publish(EventBus.EVENTS.BLOCKER_ACTIVATED, { newSession });
   }
 
   /**
@@ -157,6 +310,9 @@ class BlockerFeature {
 
     // 保存拦截器状态
     this.saveBlockerState();
+    if (wasActive) {
+      this.publish(EventBus.EVENTS.BLOCKER_DEACTIVATED);
+    }
     console.log(`🛑 [DeactivateBlocking] Deactivation complete`);
   }
 
@@ -302,11 +458,8 @@ class BlockerFeature {
         }
       }
 
-      // 检查白名单
-      const isAllowed = this.whitelistManager ? 
-        this.whitelistManager.isDomainAllowed(url) : false;
-
-      const shouldBlock = !isAllowed;
+      // 按拦截模式检查白名单或黑名单
+      const shouldBlock = this.isBlockedByRules(url);
 
       // 缓存结果
       this.urlMatchCache.set(cacheKey, {
@@ -330,13 +483,13 @@ class BlockerFeature {
     const currentUrl = window.location.href;
     
     // 获取必要状态
-    const timerState = this.storage.getData("timerState");
-    const blockerState = this.storage.getData("blockerState");
+    const timerState = this.storage.loadState("timerState");
+    const blockerState = this.storage.loadState("blockerState");
     
     // 三个条件，一个结果，没有特殊情况
-    return timerState?.status === 'running' && 
+    return this.isFocusRunning(timerState) && 
            blockerState?.isActive !== false &&
-           !this.whitelistManager.isDomainAllowed(currentUrl) && 
+           this.isBlockedByRules(currentUrl) && 
            !this.isExemptUrl(currentUrl);
   }
 
@@ -391,7 +544,7 @@ class BlockerFeature {
       timestamp: Date.now()
     };
 
-    this.storage.setData("blockerState", state);
+    this.storage.saveState("blockerState", state);
   }
 
   /**
@@ -401,7 +554,7 @@ class BlockerFeature {
     if (!this.storage) return;
 
     try {
-      const state = this.storage.getData("blockerState");
+      const state = this.storage.loadState("blockerState");
       if (state && typeof state.isActive === 'boolean') {
         this.isActive = state.isActive;
         
@@ -444,12 +597,47 @@ class BlockerFeature {
       console.warn('🎧 [Listener] GM_addValueChangeListener not available!');
     }
 
+    // 其他标签页切换拦截模式（规则列表的变化由 WhitelistManager 同步后派发 domainsReloaded）
+    if (this.storage && this.settingsListenerId === null && typeof GM_addValueChangeListener === 'function') {
+      this.settingsListenerId = GM_addValueChangeListener(
+        this.storage.STORAGE_KEYS.SETTINGS,
+        (name, old_value, new_value, remote) => {
+          if (remote) {
+            this.handleRemoteSettingsChange();
+          }
+        },
+      );
+    }
+
     // 备用方案：使用window事件
     window.addEventListener('focus', () => {
       this.handleWindowFocus();
     });
   }
 
+  /**
+   * 处理远程设置变化：拦截模式变化时清除缓存、立即重新检查当前页面，
+   * 并发布 BLOCKING_MODE_CHANGED 事件
+   */
+  async handleRemoteSettingsChange() {
+    try {
+      const settings = await this.storage.loadLatestSettings();
+      const mode = this.BLOCKING_MODES.includes(settings.blockingMode)
+        ? settings.blockingMode
+        : "whitelist";
+      if (mode === this.blockingMode) return;
+
+      this.blockingMode = mode;
+      console.log(`[BlockerFeature] Blocking mode synced from another tab: ${mode}`);
+
+      this.clearCache();
+      await this.checkCurrentPageBlocking();
+      this.publish(EventBus.EVENTS.BLOCKING_MODE_CHANGED, { mode, remote: true });
+    } catch (error) {
+      console.warn("[BlockerFeature] Ignored unreadable remote settings change:", error);
+    }
+  }
+
   /**
    * 处理远程计时器状态变化
    * @param {Object} newState - 新的计时器状态
@@ -463,7 +651,7 @@ class BlockerFeature {
         console.log('🔄 [RemoteStateChange] Parsed state:', newState);
       }
 
-      if (newState && newState.status === 'running') {
+      if (this.isFocusRunning(newState)) {
         console.log('🔄 [RemoteStateChange] Timer running - activating blocking');
         // 远程计时器开始运行，激活本标签页的拦截器（非新会话）
         if (!this.isActive) {
@@ -472,9 +660,9 @@ class BlockerFeature {
           // 已经激活，只需检查当前页面
           await this.checkCurrentPageBlocking();
         }
-      } else if (newState && (newState.status === 'idle' || newState.status === 'completed')) {
-        console.log(`🔄 [RemoteStateChange] Timer stopped (${newState.status}) - deactivating blocking`);
-        // 远程计时器停止，停用本标签页的拦截器
+      } else if (newState && newState.status !== 'paused') {
+        console.log(`🔄 [RemoteStateChange] Timer stopped or on break (${newState.status}/${newState.phase}) - deactivating blocking`);
+        // 远程计时器停止或进入休息，停用本标签页的拦截器
         this.deactivateBlocking();
       } else {
         console.log('🔄 [RemoteStateChange] No action needed for state:', newState);
@@ -491,9 +679,10 @@ class BlockerFeature {
     // 当标签页获得焦点时，检查拦截状态
     if (this.timerService) {
       const timerState = this.timerService.getTimerState();
-      if (timerState.status === 'running' && !this.isActive) {
+      const isFocusRunning = this.isFocusRunning(timerState);
+      if (isFocusRunning && !this.isActive) {
         this.activateBlocking(false); // 窗口焦点激活，保持临时跳过域名
-      } else if (timerState.status !== 'running' && this.isActive) {
+      } else if (!isFocusRunning && this.isActive) {
         this.deactivateBlocking();
       }
     }
@@ -588,6 +777,7 @@ class BlockerFeature {
       isCurrentPageBlocked: this.isCurrentPageBlocked,
       currentUrl: window.location.href,
       initialized: this.initialized,
+      blockingMode: this.blockingMode,
       cacheSize: this.urlMatchCache.size
     };
   }
@@ -597,13 +787,20 @@ class BlockerFeature {
    */
   destroy() {
     this.unbindTimerService();
+    this.bindRuleListEvents(false);
+    if (this.settingsListenerId !== null && typeof GM_removeValueChangeListener === "function") {
+      GM_removeValueChangeListener(this.settingsListenerId);
+    }
+    this.settingsListenerId = null;
     this.deactivateBlocking();
     this.clearCache();
     
     this.timerService = null;
     this.whitelistManager = null;
+    this.blacklistManager = null;
     this.focusPage = null;
     this.storage = null;
+    this.eventBus = null;
     
     console.log("[BlockerFeature] Destroyed");
   }
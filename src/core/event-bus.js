@@ -49,6 +49,17 @@ class EventBus {
     return () => this.off(event, listener);
   }
 
+  /**
+   * 用同一个监听器订阅多个事件
+   * @param {Array<string>} events - 事件名称列表
+   * @param {Function} listener - 监听器函数，通过第一个参数区分事件
+   * @returns {Function} 取消全部订阅的函数
+   */
+  onMany(events, listener) {
+    const unsubscribers = events.map((event) => this.on(event, listener));
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }
+
   /**
    * 取消订阅事件
    * @param {string} event - 事件名称
@@ -96,7 +107,6 @@ class EventBus {
   emit(event, data = null) {
     const eventListeners = this.listeners.get(event);
     if (!eventListeners || eventListeners.size === 0) {
-      console.log(`[EventBus] No listeners for '${event}'`);
       return;
     }
 
@@ -122,7 +132,10 @@ class EventBus {
       }
     }
 
-    console.log(`[EventBus] Emitted '${event}' to ${eventListeners.size} listeners${errorCount > 0 ? ` (${errorCount} failed)` : ''}`);
+    // 每秒一次的事件不记录日志，避免刷屏
+    if (!EventBus.QUIET_EVENTS.has(event) || errorCount > 0) {
+      console.log(`[EventBus] Emitted '${event}' to ${eventListeners.size} listeners${errorCount > 0 ? ` (${errorCount} failed)` : ''}`);
+    }
   }
 
   /**
@@ -190,26 +203,64 @@ class EventBus {
 }
 
 // 预定义事件类型 - 提供类型安全和文档
+// 各服务在 notifyObservers 时同时以这些名称发布到事件总线，监听器签名为 (event, data)；
+// 注释中为 data 的结构，remote: true 表示变化来自其他标签页
 EventBus.EVENTS = {
-  // 任务事件
-  TASK_CREATED: 'task:created',
-  TASK_UPDATED: 'task:updated',
-  TASK_DELETED: 'task:deleted',
-  TASK_COMPLETED: 'task:completed',
-  
-  // 计时器事件
-  TIMER_STARTED: 'timer:started',
-  TIMER_PAUSED: 'timer:paused',
-  TIMER_RESUMED: 'timer:resumed',
-  TIMER_STOPPED: 'timer:stopped',
-  TIMER_COMPLETED: 'timer:completed',
-  
-  // 拦截器事件
-  BLOCKER_ACTIVATED: 'blocker:activated',
-  BLOCKER_DEACTIVATED: 'blocker:deactivated',
-  
+  // 任务事件（TaskService）
+  TASKS_LOADED: 'tasks:loaded',                           // {}
+  TASKS_RELOADED: 'tasks:reloaded',                       // {remote?}（remote 时为回收站或归档在其他标签页变化）
+  TASK_CREATED: 'task:created',                           // {task, previousTaskId?, remote?}
+  TASK_UPDATED: 'task:updated',                           // {task, field, oldValue} | {task, fields, remote: true}
+  TASK_REORDERED: 'task:reordered',                       // {task, oldIndex, newIndex}
+  TASK_TOGGLED: 'task:toggled',                           // {task, wasCompleted}
+  TASK_COMPLETED: 'task:completed',                       // {task}
+  TASK_DELETED: 'task:deleted',                           // {task, trashed, remote?}
+  TASK_RESTORED: 'task:restored',                         // {task}
+  TASK_PURGED: 'task:purged',                             // {tasks, expired?}
+  TASK_POMODORO_UPDATED: 'task:pomodoroUpdated',          // {task, oldCount}
+  TASK_CHECKLIST_UPDATED: 'task:checklistUpdated',        // {task, item, action: "added"|"toggled"|"removed"}
+  COMPLETED_TASKS_CLEARED: 'tasks:completedCleared',      // {count}
+  TASKS_IMPORTED: 'tasks:imported',                       // {tasks}
+  TASKS_ARCHIVED: 'tasks:archived',                       // {tasks}
+  TASKS_MERGED: 'tasks:merged',                           // {taskIds}
+  TASK_CONFLICT: 'tasks:conflict',                        // {conflicts: [{type, taskId, title, fields}]}
+  TRASH_RETENTION_CHANGED: 'tasks:trashRetentionChanged', // {days, remote?}
+  ARCHIVE_SETTINGS_CHANGED: 'tasks:archiveSettingsChanged', // {days, remote?}
+
+  // 计时器事件（TimerService）
+  TIMER_STARTED: 'timer:started',                         // {taskId, taskTitle, phase, isExtension, totalSeconds, remainingSeconds, remote?}
+  TIMER_PAUSED: 'timer:paused',                           // {remainingSeconds, remote?}
+  TIMER_RESUMED: 'timer:resumed',                         // {remainingSeconds, remote?}
+  TIMER_STOPPED: 'timer:stopped',                         // {remote?}
+  TIMER_COMPLETED: 'timer:completed',                     // {taskId, taskTitle, completedPomodoros, completedAt, remote?}
+  TIMER_MODIFIED: 'timer:modified',                       // {taskId, taskTitle, oldDuration, newDuration, totalSeconds, remainingSeconds, remote?}
+  TIMER_TICK: 'timer:tick',                               // {phase, remainingSeconds, totalSeconds, progress}
+  BREAK_STARTED: 'break:started',                         // {phase, totalSeconds, remainingSeconds, completedPomodoros, longBreakInterval, remote?}
+  BREAK_COMPLETED: 'break:completed',                     // {phase, skipped, completedPomodoros, remote?}
+  TIMER_SETTINGS_CHANGED: 'timer:settingsChanged',        // TimerService.getTimerSettings() 的返回值
+  LEADER_CHANGED: 'leader:changed',                       // {isLeader, tabId}（LeaderService）
+
+  // 统计事件（StatsService）
+  SESSIONS_LOADED: 'stats:loaded',                        // {}
+  SESSIONS_RELOADED: 'stats:reloaded',                    // {remote?}
+  SESSION_RECORDED: 'stats:sessionRecorded',              // {session}
+  INTERRUPTION_RECORDED: 'stats:interruptionRecorded',    // {interruption}
+
+  // 拦截规则事件（WhitelistManager，白名单和黑名单共用，以 listKey 区分）
+  RULE_ADDED: 'rules:added',                              // {listKey, domain, rule, domains, rules, timestamp}
+  RULE_REMOVED: 'rules:removed',                          // {listKey, domain, rule, domains, rules, timestamp}
+  RULES_CLEARED: 'rules:cleared',                         // {listKey, domains, rules, timestamp}
+  RULES_RELOADED: 'rules:reloaded',                       // {listKey, domains, rules, timestamp, remote?}
+
+  // 拦截器事件（BlockerFeature）
+  BLOCKER_ACTIVATED: 'blocker:activated',                 // {newSession}
+  BLOCKER_DEACTIVATED: 'blocker:deactivated',             // {}
+  BLOCKING_MODE_CHANGED: 'blocker:modeChanged',           // {mode, remote?}
+
   // 应用事件
-  APP_INITIALIZED: 'app:initialized',
-  APP_DESTROYED: 'app:destroyed'
+  APP_INITIALIZED: 'app:initialized',                     // {}
+  APP_DESTROYED: 'app:destroyed'                          // {}
 };
 
+// 高频事件：发射时不记录日志
+EventBus.QUIET_EVENTS = new Set([EventBus.EVENTS.TIMER_TICK]);
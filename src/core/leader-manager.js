@@ -0,0 +1,203 @@
+/**
+ * LeaderService - Linus式依赖注入标签页选主服务
+ *
+ * 职责：
+ * 1. 在所有打开的标签页中选出唯一的主标签页，由它负责倒计时推进、计时完成和桌面通知
+ * 2. 主标签页定期写入心跳；心跳超时或主标签页关闭后，其他标签页接替
+ *    后台标签页的定时器会被浏览器节流到约每分钟一次，超时时间远大于节流间隔；
+ *    主标签页在完成计时、发送通知前还会调用 confirmLeadership() 重新确认
+ * 3. 计时到点时主标签页的心跳已停滞（后台节流或未经 pagehide 关闭），到点的标签页直接接替
+ * 4. 两个标签页同时声明时，标签页ID较小的一方保留，另一方让出
+ *
+ * 选主记录保存在 GM 存储的 timerLeader 键：{tabId, heartbeat}
+ */
+
+class LeaderService {
+  constructor(storage, eventBus = null) {
+    // 依赖注入 - 显式优于隐式
+    this.storage = storage;
+    this.eventBus = eventBus;
+
+    this.LEADER_KEY = "timerLeader";
+    this.HEARTBEAT_INTERVAL_MS = 2000;
+    // 后台标签页的 setInterval 可能被节流到每分钟一次，超时需远大于节流间隔，避免误判主标签页已关闭
+    this.LEADER_TIMEOUT_MS = 150000;
+    // 计时到点时主标签页超过3次心跳未更新，由到点的标签页接替完成，不必等待选主超时
+    this.TAKEOVER_AFTER_MS = this.HEARTBEAT_INTERVAL_MS * 3;
+
+    this.tabId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    this.isLeader = false;
+    this.lastHeartbeat = 0; // 本标签页最近一次写入心跳的时间
+    this.heartbeatInterval = null;
+    this.listenerId = null;
+    this.observers = new Set();
+    this.isInitialized = false;
+
+    this.boundRelease = this.release.bind(this);
+
+    console.log(`[LeaderService] Created (tab ${this.tabId})`);
+  }
+
+  /**
+   * 参与选主并开始心跳
+   */
+  initialize() {
+    if (this.isInitialized) return;
+
+    this.elect();
+    this.heartbeatInterval = setInterval(() => this.elect(), this.HEARTBEAT_INTERVAL_MS);
+
+    // 其他标签页声明或让出时立即重新选主，不必等待下一次心跳
+    if (typeof GM_addValueChangeListener === "function") {
+      this.listenerId = GM_addValueChangeListener(
+        this.LEADER_KEY,
+        (name, oldValue, newValue, remote) => {
+          if (remote) {
+            this.elect();
+          }
+        },
+      );
+    }
+
+    if (typeof window !== "undefined") {
+      window.addEventListener("pagehide", this.boundRelease);
+    }
+
+    this.isInitialized = true;
+    console.log(`[LeaderService] Initialized as ${this.isLeader ? "leader" : "follower"}`);
+  }
+
+  /**
+   * 选主：没有存活的主标签页时声明自己，自己是主标签页时续写心跳
+   * @param {number} now - 当前时间戳
+   */
+  elect(now = Date.now()) {
+    const record = this.storage.getData(this.LEADER_KEY, null);
+    const isAlive =
+      record && typeof record.heartbeat === "number" && now - record.heartbeat < this.LEADER_TIMEOUT_MS;
+
+    // 只有自己的心跳没有停滞时才按标签页ID比较（同时声明）；心跳停滞期间被接替的一方直接让出
+    const isContested =
+      isAlive &&
+      this.isLeader &&
+      now - this.lastHeartbeat < this.TAKEOVER_AFTER_MS &&
+      record.tabId > this.tabId;
+
+    const shouldLead = !isAlive || record.tabId === this.tabId || isContested;
+
+    if (shouldLead) {
+      this.writeHeartbeat(now);
+    }
+    this.setLeader(shouldLead);
+  }
+
+  /**
+   * 计时到点时接替心跳已停滞的主标签页
+   * @param {number} now - 当前时间戳
+   * @returns {boolean} 本标签页是否已是主标签页
+   */
+  takeOverIfStale(now = Date.now()) {
+    const record = this.storage.getData(this.LEADER_KEY, null);
+    const isStale =
+      !record || typeof record.heartbeat !== "number" || now - record.heartbeat >= this.TAKEOVER_AFTER_MS;
+
+    if (isStale || record.tabId === this.tabId) {
+      if (isStale) {
+        console.log(`[LeaderService] Leader heartbeat stalled, tab ${this.tabId} takes over`);
+      }
+      this.writeHeartbeat(now);
+      this.setLeader(true);
+    }
+    return this.isLeader;
+  }
+
+  /**
+   * 写入本标签页的心跳
+   * @param {number} now - 当前时间戳
+   */
+  writeHeartbeat(now) {
+    this.storage.setData(this.LEADER_KEY, { tabId: this.tabId, heartbeat: now });
+    this.lastHeartbeat = now;
+  }
+
+  /**
+   * 执行主标签页操作前重新选主，防止节流期间已被其他标签页接替
+   * @returns {boolean} 本标签页是否仍是主标签页
+   */
+  confirmLeadership() {
+    this.elect();
+    return this.isLeader;
+  }
+
+  /**
+   * 更新主标签页身份，变化时通知观察者
+   * @param {boolean} isLeader - 是否为主标签页
+   */
+  setLeader(isLeader) {
+    if (this.isLeader === isLeader) return;
+
+    this.isLeader = isLeader;
+    console.log(`[LeaderService] Tab ${this.tabId} is now ${isLeader ? "leader" : "follower"}`);
+    this.notifyObservers("leaderChanged", { isLeader, tabId: this.tabId });
+  }
+
+  /**
+   * 主标签页关闭时让出，其他标签页无需等待心跳超时
+   */
+  release() {
+    if (!this.isLeader) return;
+
+    const record = this.storage.getData(this.LEADER_KEY, null);
+    if (record && record.tabId === this.tabId) {
+      this.storage.removeData(this.LEADER_KEY);
+    }
+    this.setLeader(false);
+  }
+
+  // === 观察者模式API ===
+
+  addObserver(observer) {
+    if (typeof observer === "function") {
+      this.observers.add(observer);
+    }
+  }
+
+  removeObserver(observer) {
+    this.observers.delete(observer);
+  }
+
+  notifyObservers(event, data = {}) {
+    for (const observer of this.observers) {
+      try {
+        observer(event, data);
+      } catch (error) {
+        console.error("[LeaderService] Observer error:", error);
+      }
+    }
+    if (this.eventBus && event === "leaderChanged") {
+      this.eventBus.emit(EventBus.EVENTS.LEADER_CHANGED, data);
+    }
+  }
+
+  /**
+   * 停止心跳并让出主标签页
+   */
+  destroy() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+    if (this.listenerId !== null && typeof GM_removeValueChangeListener === "function") {
+      GM_removeValueChangeListener(this.listenerId);
+    }
+    this.listenerId = null;
+    if (typeof window !== "undefined") {
+      window.removeEventListener("pagehide", this.boundRelease);
+    }
+
+    this.release();
+    this.observers = new Set();
+    this.isInitialized = false;
+    console.log("[LeaderService] Destroyed");
+  }
+}
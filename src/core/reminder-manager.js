@@ -0,0 +1,127 @@
+/**
+ * ReminderService - Linus式依赖注入任务提醒服务
+ *
+ * 职责：
+ * 1. 定期检查到达提醒时间且未完成的任务
+ * 2. 通过 TimerService.sendNotification 发送提醒（无通知权限时使用页面内提示）
+ * 3. 发送前标记任务已提醒，避免重复提醒；脚本未运行期间错过的提醒在下次加载时补发
+ * 4. 打开多个标签页时只由主标签页发送提醒
+ */
+
+class ReminderService {
+  constructor(taskService, timerService) {
+    // 依赖注入 - 显式优于隐式
+    this.taskService = taskService;
+    this.timerService = timerService;
+
+    this.CHECK_INTERVAL_MS = 30000; // 每30秒检查一次
+    this.checkInterval = null;
+    this.isChecking = false;
+    this.isInitialized = false;
+
+    this.boundTaskObserver = this.handleTaskEvent.bind(this);
+
+    console.log("[ReminderService] Created");
+  }
+
+  /**
+   * 初始化服务并开始检查提醒
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    this.taskService.addObserver(this.boundTaskObserver);
+    this.checkInterval = setInterval(
+      () => this.checkReminders(),
+      this.CHECK_INTERVAL_MS,
+    );
+
+    this.isInitialized = true;
+    await this.checkReminders();
+    console.log("[ReminderService] Initialized");
+  }
+
+  /**
+   * 任务的提醒时间变化、重新加载或其他标签页同步任务后立即检查，已过期的提醒无需等待下一轮
+   * @param {string} event - 事件类型
+   * @param {Object} data - 事件数据
+   */
+  handleTaskEvent(event, data) {
+    if (
+      event === "tasksReloaded" ||
+      (event === "taskUpdated" && (data.field === "schedule" || data.remote)) ||
+      (event === "taskCreated" && data.remote)
+    ) {
+      this.checkReminders();
+    }
+  }
+
+  /**
+   * 获取已到提醒时间但尚未提醒的待完成任务
+   * @param {number} now - 当前时间戳
+   * @returns {Array<Task>} 需要提醒的任务
+   */
+  getDueReminders(now = Date.now()) {
+    return this.taskService
+      .getPendingTasks()
+      .filter((task) => task.reminderAt && task.reminderAt <= now && !task.reminderSent);
+  }
+
+  /**
+   * 检查并发送到期的提醒（只在主标签页检查，避免多个标签页重复提醒）
+   * @returns {Promise<number>} 发送的提醒数量
+   */
+  async checkReminders() {
+    if (this.isChecking || !this.timerService.confirmLeaderTab()) return 0;
+    this.isChecking = true;
+
+    try {
+      const dueTasks = this.getDueReminders();
+      for (const task of dueTasks) {
+        // 先标记再发送，标记失败时不发送，避免每轮重复提醒
+        const marked = await this.taskService.markReminderSent(task.id);
+        if (marked) {
+          this.sendReminder(task);
+        }
+      }
+      return dueTasks.length;
+    } catch (error) {
+      console.error("[ReminderService] Failed to check reminders:", error);
+      return 0;
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * 发送任务提醒
+   * @param {Task} task - 任务对象
+   */
+  sendReminder(task) {
+    const lateMinutes = Math.floor((Date.now() - task.reminderAt) / 60000);
+    const details = [];
+    if (task.dueDate) {
+      details.push(`截止日期：${task.dueDate}`);
+    }
+    if (lateMinutes >= 5) {
+      details.push(`（提醒时间已过 ${lateMinutes} 分钟）`);
+    }
+
+    const message = [task.title, ...details].join("\n");
+    this.timerService.sendNotification("⏰ 任务提醒", message);
+    console.log(`[ReminderService] Reminder sent for task: ${task.title}`);
+  }
+
+  /**
+   * 销毁服务
+   */
+  destroy() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    this.taskService.removeObserver(this.boundTaskObserver);
+    this.isInitialized = false;
+    console.log("[ReminderService] Destroyed");
+  }
+}
@@ -0,0 +1,693 @@
+/**
+ * StatsService - Linus式依赖注入统计服务
+ *
+ * 职责：
+ * 1. 记录每一次专注会话（完成、中途停止、延长），完成的会话累加到任务番茄钟数
+ * 2. 会话历史持久化到 TOMATO_MONKEY_STATISTICS
+ * 3. 计算每日/每周汇总、任务番茄钟数、连续天数和完成率趋势
+ * 4. 记录专注中断（暂停、跳过拦截、提前结束）及其原因，按会话和任务汇总
+ * 5. 观察者模式通知统计变化，并发布到事件总线
+ */
+
+class StatsService {
+  constructor(storage, timerService, taskService, eventBus = null) {
+    // 依赖注入 - 显式优于隐式
+    this.storage = storage;
+    this.timerService = timerService;
+    this.taskService = taskService;
+    this.eventBus = eventBus;
+
+    // 核心数据结构
+    this.sessions = [];
+    this.activeSession = null; // 正在进行的专注会话
+    this.observers = new Set();
+
+    // 会话历史上限，避免GM存储无限增长
+    this.MAX_SESSIONS = 5000;
+    this.ACTIVE_SESSION_KEY = "activeSession";
+
+    // 中断类型和原因分类
+    this.INTERRUPTION_TYPES = ["pause", "stop", "skipBlocking"];
+    this.INTERRUPTION_CATEGORIES = ["internal", "external"];
+    this.MAX_INTERRUPTION_REASON_LENGTH = 200;
+
+    // 观察者事件 -> 事件总线上的类型化事件
+    this.BUS_EVENTS = {
+      initialized: EventBus.EVENTS.SESSIONS_LOADED,
+      sessionsReloaded: EventBus.EVENTS.SESSIONS_RELOADED,
+      sessionRecorded: EventBus.EVENTS.SESSION_RECORDED,
+      interruptionRecorded: EventBus.EVENTS.INTERRUPTION_RECORDED,
+    };
+
+    this.boundTimerObserver = this.handleTimerEvent.bind(this);
+    this.statisticsListenerId = null;
+    this.initialized = false;
+
+    console.log("[StatsService] Created");
+  }
+
+  /**
+   * 初始化统计服务
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      this.sessions = await this.storage.loadSessions();
+
+      // 须在 TimerService 恢复计时器状态之前订阅：所有标签页关闭期间到时的计时在恢复时完成，
+      // 由这里的 timerCompleted 处理记录为完成的会话。页面刷新前未结束的会话保存在存储中，
+      // 各会话操作会先接管存储中的会话
+      if (this.timerService) {
+        this.timerService.addObserver(this.boundTimerObserver);
+      }
+      this.setupCrossTabSync();
+
+      this.initialized = true;
+      console.log(
+        `[StatsService] Initialized with ${this.sessions.length} sessions`,
+      );
+      this.notifyObservers("initialized");
+    } catch (error) {
+      console.error("[StatsService] Failed to initialize:", error);
+      this.sessions = [];
+    }
+  }
+
+  /**
+   * 从存储重新加载会话历史（如导入备份后，或其他标签页记录了会话）
+   * @param {Object} [data] - sessionsReloaded 事件数据，其他标签页的变化为 {remote: true}
+   */
+  async reload(data = {}) {
+    this.sessions = await this.storage.loadSessions();
+    console.log(`[StatsService] Reloaded ${this.sessions.length} sessions`);
+    this.notifyObservers("sessionsReloaded", data);
+  }
+
+  /**
+   * 监听其他标签页写入的会话历史：会话只由主标签页或操作计时器的标签页记录，
+   * 其他标签页的统计和中断列表随之刷新
+   */
+  setupCrossTabSync() {
+    if (this.statisticsListenerId !== null || typeof GM_addValueChangeListener !== "function") {
+      return;
+    }
+
+    this.statisticsListenerId = GM_addValueChangeListener(
+      this.storage.STORAGE_KEYS.STATISTICS,
+      (name, oldValue, newValue, remote) => {
+        if (remote) {
+          this.reload({ remote: true });
+        }
+      },
+    );
+  }
+
+  /**
+   * 处理计时器事件 - 只记录专注阶段
+   * @param {string} event - 事件类型
+   * @param {Object} data - 事件数据
+   */
+  handleTimerEvent(event, data) {
+    // 其他标签页的计时器操作由该标签页记录，计时完成由主标签页记录
+    if (data && data.remote) return;
+
+    switch (event) {
+      case "timerStarted":
+        this.openSession(data);
+        break;
+      case "timerPaused":
+        this.pauseSession();
+        break;
+      case "timerResumed":
+        this.resumeSession();
+        break;
+      case "timerModified":
+        this.updateActiveSession({ plannedSeconds: data.newDuration });
+        break;
+      case "timerCompleted":
+        this.closeSession("completed", data.completedAt);
+        break;
+      case "timerStopped":
+        this.closeSession("stopped");
+        break;
+    }
+  }
+
+  /**
+   * 开始记录新的专注会话
+   * @param {Object} data - timerStarted 事件数据
+   */
+  openSession(data) {
+    // 未正常结束的会话（如被新计时器替换）按中途停止记录
+    this.syncActiveSession(true);
+    if (this.activeSession) {
+      this.closeSession("stopped");
+    }
+
+    const now = Date.now();
+    this.activeSession = {
+      id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+      taskId: data.taskId || null,
+      taskTitle: data.taskTitle || "",
+      // 重复任务的会话关联到系列，历史在生成新实例后仍可汇总
+      seriesId: this.taskService?.getTaskById(data.taskId)?.seriesId || null,
+      startedAt: now,
+      plannedSeconds: data.totalSeconds,
+      isExtension: Boolean(data.isExtension),
+      interruptions: [],
+      accumulatedSeconds: 0,
+      runningSince: now,
+    };
+    this.saveActiveSession();
+  }
+
+  /**
+   * 暂停时累计已专注时间并记录一次中断（原因可之后通过 setInterruptionReason 补充）
+   */
+  pauseSession() {
+    this.syncActiveSession(true);
+    const session = this.activeSession;
+    if (!session || session.runningSince === null) return;
+
+    const now = Date.now();
+    session.accumulatedSeconds += Math.round((now - session.runningSince) / 1000);
+    session.runningSince = null;
+    session.interruptions.push({ type: "pause", at: now, category: null, reason: null });
+    this.saveActiveSession();
+  }
+
+  /**
+   * 恢复时重新开始计时
+   */
+  resumeSession() {
+    this.syncActiveSession(true);
+    const session = this.activeSession;
+    if (!session || session.runningSince !== null) return;
+
+    session.runningSince = Date.now();
+    this.saveActiveSession();
+  }
+
+  /**
+   * 更新正在进行的会话字段
+   * @param {Object} changes - 要更新的字段
+   */
+  updateActiveSession(changes) {
+    this.syncActiveSession(true);
+    if (!this.activeSession) return;
+
+    Object.assign(this.activeSession, changes);
+    this.saveActiveSession();
+  }
+
+  /**
+   * 为当前会话记录一次中断（跳过拦截、提前结束）
+   * @param {string} type - 中断类型：stop | skipBlocking
+   * @param {Object} [details] - {category: internal | external | null, reason}
+   * @returns {Object|null} 中断记录，没有进行中的会话时为 null
+   * @throws {Error} 类型、分类或原因无效时
+   */
+  recordInterruption(type, details = {}) {
+    if (!this.INTERRUPTION_TYPES.includes(type)) {
+      throw new Error(`Invalid interruption type: ${type}`);
+    }
+    const normalized = this.normalizeInterruptionDetails(details);
+
+    this.syncActiveSession(true);
+    if (!this.activeSession) return null;
+
+    const interruption = { type, at: Date.now(), ...normalized };
+    this.activeSession.interruptions.push(interruption);
+    this.saveActiveSession();
+    this.notifyObservers("interruptionRecorded", { interruption });
+    return interruption;
+  }
+
+  /**
+   * 为当前会话最近一次中断补充原因（如暂停后填写）
+   * @param {Object} details - {category: internal | external | null, reason}
+   * @returns {Object|null} 更新后的中断记录
+   * @throws {Error} 分类或原因无效时
+   */
+  setInterruptionReason(details) {
+    const normalized = this.normalizeInterruptionDetails(details);
+
+    this.syncActiveSession(true);
+    const interruptions = this.activeSession ? this.activeSession.interruptions : [];
+    const interruption = interruptions[interruptions.length - 1];
+    if (!interruption) return null;
+
+    Object.assign(interruption, normalized);
+    this.saveActiveSession();
+    this.notifyObservers("interruptionRecorded", { interruption });
+    return interruption;
+  }
+
+  /**
+   * 规范化中断原因
+   * @param {Object} details - {category, reason}
+   * @returns {Object} {category, reason}
+   * @throws {Error} 分类不支持或原因过长时
+   */
+  normalizeInterruptionDetails(details = {}) {
+    const category = details.category || null;
+    if (category !== null && !this.INTERRUPTION_CATEGORIES.includes(category)) {
+      throw new Error(`Invalid interruption category: ${category}`);
+    }
+
+    const reason = typeof details.reason === "string" ? details.reason.trim() : "";
+    if (reason.length > this.MAX_INTERRUPTION_REASON_LENGTH) {
+      throw new Error(
+        `Interruption reason must be at most ${this.MAX_INTERRUPTION_REASON_LENGTH} characters`,
+      );
+    }
+
+    return { category, reason: reason || null };
+  }
+
+  /**
+   * 以存储中的会话为准（中断可能在其他标签页记录，如被拦截的页面中跳过拦截）
+   * @param {boolean} adopt - 是否接管存储中的会话：会话可能由其他标签页开始，
+   *   计时也可能由主标签页完成，此时本标签页的会话为空或已过时
+   */
+  syncActiveSession(adopt = false) {
+    const stored = this.storage.getData(this.ACTIVE_SESSION_KEY, null);
+    if (!stored) return;
+
+    if (adopt || (this.activeSession && stored.id === this.activeSession.id)) {
+      this.activeSession = stored;
+    }
+  }
+
+  /**
+   * 结束并持久化当前会话
+   * @param {string} outcome - completed 或 stopped
+   * @param {number} endedAt - 结束时间，计时完成时为倒计时归零的时间
+   */
+  async closeSession(outcome, endedAt = Date.now()) {
+    this.syncActiveSession(true);
+    const session = this.activeSession;
+    if (!session) return;
+    this.activeSession = null;
+
+    // 其他标签页可能已经记录了同一个会话
+    const stored = this.storage.getData(this.ACTIVE_SESSION_KEY, null);
+    this.storage.removeData(this.ACTIVE_SESSION_KEY);
+    if (!stored || stored.id !== session.id) {
+      console.warn("[StatsService] Session already recorded by another tab");
+      return;
+    }
+
+    const runningSeconds =
+      session.runningSince !== null
+        ? Math.max(0, Math.round((endedAt - session.runningSince) / 1000))
+        : 0;
+
+    const record = {
+      id: session.id,
+      taskId: session.taskId,
+      taskTitle: session.taskTitle,
+      seriesId: session.seriesId || null,
+      startedAt: session.startedAt,
+      endedAt,
+      plannedSeconds: session.plannedSeconds,
+      actualSeconds: session.accumulatedSeconds + runningSeconds,
+      interruptions: session.interruptions,
+      outcome,
+      isExtension: session.isExtension,
+    };
+
+    await this.recordSession(record);
+  }
+
+  /**
+   * 追加会话记录（基于存储中的最新数据，避免覆盖其他标签页的记录）
+   * @param {Object} record - 会话记录
+   * @returns {Promise<boolean>} 是否保存成功
+   */
+  async recordSession(record) {
+    const sessions = await this.storage.loadSessions();
+    sessions.push(record);
+
+    // 超出上限时丢弃最旧的记录
+    const trimmed = sessions.slice(-this.MAX_SESSIONS);
+    const success = await this.storage.saveSessions(trimmed);
+
+    if (success) {
+      this.sessions = trimmed;
+      console.log(
+        `[StatsService] Recorded ${record.outcome} session for "${record.taskTitle}"`,
+      );
+      this.notifyObservers("sessionRecorded", { session: record });
+
+      // 每个完成的专注会话计入任务的实际番茄钟数（会话只由一个标签页记录，不会重复累加）
+      if (
+        record.outcome === "completed" &&
+        record.taskId &&
+        this.taskService?.findStoredTask(record.taskId)
+      ) {
+        await this.taskService.incrementPomodoroCount(record.taskId);
+      }
+    }
+    return success;
+  }
+
+  /**
+   * 持久化正在进行的会话，供页面刷新后恢复
+   */
+  saveActiveSession() {
+    if (this.activeSession) {
+      this.storage.setData(this.ACTIVE_SESSION_KEY, this.activeSession);
+    }
+  }
+
+  // === 查询API ===
+
+  /**
+   * 获取时间范围内的会话
+   * @param {number} from - 起始时间戳（含）
+   * @param {number} to - 结束时间戳（不含）
+   * @returns {Array<Object>} 会话记录
+   */
+  getSessions(from = 0, to = Infinity) {
+    return this.sessions.filter(
+      (session) => session.startedAt >= from && session.startedAt < to,
+    );
+  }
+
+  /**
+   * 汇总一组会话
+   * @param {Array<Object>} sessions - 会话记录
+   * @returns {Object} 汇总结果
+   */
+  summarize(sessions) {
+    const completed = sessions.filter((s) => s.outcome === "completed");
+    const focusSeconds = sessions.reduce((sum, s) => sum + s.actualSeconds, 0);
+    const interruptions = sessions.reduce((sum, s) => sum + s.interruptions.length, 0);
+
+    return {
+      sessions: sessions.length,
+      pomodoros: completed.length,
+      focusSeconds,
+      completionRate:
+        sessions.length > 0
+          ? Math.round((completed.length / sessions.length) * 100)
+          : 0,
+      interruptions,
+      interruptionsPerSession: this.getAverage(interruptions, sessions.length),
+    };
+  }
+
+  /**
+   * 获取最近N天的每日汇总（按日期升序）
+   * @param {number} days - 天数
+   * @returns {Array<Object>} 每日汇总
+   */
+  getDailySummary(days = 7) {
+    const today = this.getDayStart(Date.now());
+    const result = [];
+
+    for (let i = days - 1; i >= 0; i--) {
+      const dayStart = this.addDays(today, -i);
+      const dayEnd = this.addDays(dayStart, 1);
+      result.push({
+        dayStart,
+        ...this.summarize(this.getSessions(dayStart, dayEnd)),
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * 获取今日汇总
+   * @returns {Object} 汇总结果
+   */
+  getTodayTotals() {
+    const today = this.getDayStart(Date.now());
+    return this.summarize(this.getSessions(today, this.addDays(today, 1)));
+  }
+
+  /**
+   * 获取本周汇总（周一为一周的开始）
+   * @returns {Object} 汇总结果
+   */
+  getWeekTotals() {
+    const weekStart = this.getWeekStart(Date.now());
+    return this.summarize(this.getSessions(weekStart, this.addDays(weekStart, 7)));
+  }
+
+  /**
+   * 汇总时间范围内的中断
+   * @param {number} from - 起始时间戳（含）
+   * @param {number} to - 结束时间戳（不含）
+   * @param {number} recentLimit - 返回最近填写了原因的中断条数
+   * @returns {Object} {total, perSession, byType, byCategory, recent}
+   */
+  getInterruptionSummary(from = 0, to = Infinity, recentLimit = 10) {
+    const sessions = this.getSessions(from, to);
+    const byType = Object.fromEntries(this.INTERRUPTION_TYPES.map((type) => [type, 0]));
+    const byCategory = { internal: 0, external: 0, unspecified: 0 };
+    const recent = [];
+
+    for (const session of sessions) {
+      for (const interruption of session.interruptions) {
+        byType[interruption.type] = (byType[interruption.type] || 0) + 1;
+        byCategory[interruption.category || "unspecified"]++;
+        if (interruption.reason) {
+          recent.push({ ...interruption, taskTitle: session.taskTitle });
+        }
+      }
+    }
+
+    const total = Object.values(byCategory).reduce((sum, count) => sum + count, 0);
+    return {
+      total,
+      perSession: this.getAverage(total, sessions.length),
+      byType,
+      byCategory,
+      recent: recent.sort((a, b) => b.at - a.at).slice(0, recentLimit),
+    };
+  }
+
+  /**
+   * 计算连续专注天数（今天尚未专注时从昨天开始计算）
+   * @returns {number} 连续天数
+   */
+  getStreak() {
+    const activeDays = new Set(
+      this.sessions
+        .filter((s) => s.outcome === "completed")
+        .map((s) => this.getDayStart(s.startedAt)),
+    );
+
+    let day = this.getDayStart(Date.now());
+    if (!activeDays.has(day)) {
+      day = this.addDays(day, -1);
+    }
+
+    let streak = 0;
+    while (activeDays.has(day)) {
+      streak++;
+      day = this.addDays(day, -1);
+    }
+    return streak;
+  }
+
+  /**
+   * 按任务统计完成的番茄钟数
+   * @returns {Array<Object>} 按番茄钟数降序排列的任务统计
+   */
+  getTaskPomodoroCounts() {
+    const byTask = new Map();
+
+    for (const session of this.sessions) {
+      if (!session.taskId) continue;
+
+      const entry = byTask.get(session.taskId) || {
+        taskId: session.taskId,
+        taskTitle: session.taskTitle,
+        pomodoros: 0,
+        focusSeconds: 0,
+        sessions: 0,
+        interruptions: 0,
+      };
+      if (session.outcome === "completed") {
+        entry.pomodoros++;
+      }
+      entry.focusSeconds += session.actualSeconds;
+      entry.sessions++;
+      entry.interruptions += session.interruptions.length;
+      byTask.set(session.taskId, entry);
+    }
+
+    // 优先使用任务的当前标题（包括回收站和归档中的任务）
+    const entries = Array.from(byTask.values());
+    for (const entry of entries) {
+      entry.interruptionsPerSession = this.getAverage(entry.interruptions, entry.sessions);
+      const task = this.taskService?.findStoredTask(entry.taskId);
+      if (task) {
+        entry.taskTitle = task.title;
+      }
+    }
+
+    return entries.sort(
+      (a, b) => b.pomodoros - a.pomodoros || b.focusSeconds - a.focusSeconds,
+    );
+  }
+
+  /**
+   * 汇总重复任务系列的专注历史
+   * @param {string} seriesId - 系列ID
+   * @returns {Object} {seriesId, instances, completedInstances, ...summarize 结果, records}
+   */
+  getSeriesHistory(seriesId) {
+    const instances = this.taskService ? this.taskService.getSeriesTasks(seriesId) : [];
+    const instanceIds = new Set(instances.map((task) => task.id));
+
+    // 旧会话没有 seriesId，通过仍存在的实例ID关联
+    const sessions = this.sessions.filter(
+      (session) => session.seriesId === seriesId || instanceIds.has(session.taskId),
+    );
+
+    return {
+      seriesId,
+      instances: instances.length,
+      completedInstances: instances.filter((task) => task.isCompleted).length,
+      ...this.summarize(sessions),
+      records: sessions,
+    };
+  }
+
+  /**
+   * 按项目汇总专注时间和任务完成情况
+   * 永久删除任务的会话无法确定项目，归入未分配项目（project: null）
+   * @returns {Array<Object>} {project, pomodoros, focusSeconds, total, completed}，按番茄钟数降序
+   */
+  getProjectSummary() {
+    const byProject = new Map();
+    const getEntry = (project) => {
+      if (!byProject.has(project)) {
+        byProject.set(project, {
+          project,
+          pomodoros: 0,
+          focusSeconds: 0,
+          total: 0,
+          completed: 0,
+        });
+      }
+      return byProject.get(project);
+    };
+
+    for (const entry of this.getTaskPomodoroCounts()) {
+      const task = this.taskService?.findStoredTask(entry.taskId);
+      const projectEntry = getEntry(task?.project || null);
+      projectEntry.pomodoros += entry.pomodoros;
+      projectEntry.focusSeconds += entry.focusSeconds;
+    }
+
+    const taskGroups = this.taskService?.getProjectStatistics?.() || [];
+    for (const group of taskGroups) {
+      const projectEntry = getEntry(group.project);
+      projectEntry.total = group.total;
+      projectEntry.completed = group.completed;
+    }
+
+    return Array.from(byProject.values()).sort(
+      (a, b) => b.pomodoros - a.pomodoros || b.focusSeconds - a.focusSeconds,
+    );
+  }
+
+  /**
+   * 获取完整统计报告
+   * @returns {Object} 统计报告
+   */
+  getStatistics() {
+    return {
+      tasks: this.taskService ? this.taskService.getStatistics() : null,
+      today: this.getTodayTotals(),
+      week: this.getWeekTotals(),
+      interruptions: this.getInterruptionSummary(this.getWeekStart(Date.now())),
+      streak: this.getStreak(),
+      daily: this.getDailySummary(7),
+      perTask: this.getTaskPomodoroCounts(),
+      perProject: this.getProjectSummary(),
+    };
+  }
+
+  /**
+   * 计算平均值，保留一位小数
+   * @param {number} total - 总数
+   * @param {number} count - 数量
+   * @returns {number}
+   */
+  getAverage(total, count) {
+    return count > 0 ? Math.round((total / count) * 10) / 10 : 0;
+  }
+
+  // === 日期辅助方法 ===
+
+  /**
+   * 获取所在周的周一零点
+   * @param {number} timestamp - 时间戳
+   * @returns {number}
+   */
+  getWeekStart(timestamp) {
+    const today = this.getDayStart(timestamp);
+    const weekday = (new Date(today).getDay() + 6) % 7;
+    return this.addDays(today, -weekday);
+  }
+
+  getDayStart(timestamp) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+  }
+
+  addDays(dayStart, days) {
+    const date = new Date(dayStart);
+    date.setDate(date.getDate() + days);
+    return date.getTime();
+  }
+
+  // === 观察者模式API ===
+
+  addObserver(observer) {
+    if (typeof observer === "function") {
+      this.observers.add(observer);
+    }
+  }
+
+  removeObserver(observer) {
+    this.observers.delete(observer);
+  }
+
+  notifyObservers(event, data = {}) {
+    for (const observer of this.observers) {
+      try {
+        observer(event, data, this);
+      } catch (error) {
+        console.error("[StatsService] Observer error:", error);
+      }
+    }
+    if (this.eventBus && this.BUS_EVENTS[event]) {
+      this.eventBus.emit(this.BUS_EVENTS[event], data);
+    }
+  }
+
+  /**
+   * 销毁统计服务
+   */
+  destroy() {
+    if (this.timerService) {
+      this.timerService.removeObserver(this.boundTimerObserver);
+    }
+    if (this.statisticsListenerId !== null && typeof GM_removeValueChangeListener === "function") {
+      GM_removeValueChangeListener(this.statisticsListenerId);
+    }
+    this.statisticsListenerId = null;
+    this.observers = new Set();
+    console.log("[StatsService] Destroyed");
+  }
+}
@@ -5,7 +5,10 @@
  * 1. 封装 Tampermonkey 的 GM_setValue/GM_getValue API
  * 2. 数据序列化和反序列化（JSON）
  * 3. 数据验证（失败就失败）
+ *    任务、设置、专注会话历史、任务回收站与归档
  * 4. 简单直接的存储接口
+ * 5. 版本化数据迁移：按版本逐步升级，迁移前备份原始数据，失败时拒绝覆盖
+ * 6. 导出任务和专注记录为 JSON、CSV 和 Markdown 摘要
  */
 
 class Storage {
@@ -15,15 +18,57 @@ class Storage {
       TASKS: "TOMATO_MONKEY_TASKS",
       SETTINGS: "TOMATO_MONKEY_SETTINGS",
       STATISTICS: "TOMATO_MONKEY_STATISTICS",
+      TRASH: "TOMATO_MONKEY_TRASH",
+      ARCHIVE: "TOMATO_MONKEY_ARCHIVE",
+      TIMER_STATE: "timerState",
+      BLOCKER_STATE: "blockerState",
     };
 
-    // 数据版本管理
-    this.DATA_VERSION = 1;
+    // 数据版本管理：每个存储键单独记录版本，某个键的结构变化只迁移这一个键
+    // （计时器和拦截器状态在 v2 之前没有版本号，视为 v0）
+    this.DATA_VERSIONS = {
+      [this.STORAGE_KEYS.TASKS]: 4,
+      [this.STORAGE_KEYS.SETTINGS]: 2,
+      [this.STORAGE_KEYS.STATISTICS]: 1,
+      [this.STORAGE_KEYS.TRASH]: 1,
+      [this.STORAGE_KEYS.ARCHIVE]: 1,
+      [this.STORAGE_KEYS.TIMER_STATE]: 2,
+      [this.STORAGE_KEYS.BLOCKER_STATE]: 2,
+    };
+
+    // 迁移注册表：存储键 -> { 目标版本: 迁移函数 }，从旧版本逐步升级
+    this.MIGRATIONS = {
+      [this.STORAGE_KEYS.TASKS]: {
+        2: (data) => this.migrateTasksToV2(data),
+        3: (data) => this.migrateTasksToV3(data),
+        4: (data) => this.migrateTasksToV4(data),
+      },
+      [this.STORAGE_KEYS.SETTINGS]: {
+        2: (data) => this.migrateSettingsToV2(data),
+      },
+      [this.STORAGE_KEYS.TIMER_STATE]: {
+        2: (data) => this.migrateTimerStateToV2(data),
+      },
+      [this.STORAGE_KEYS.BLOCKER_STATE]: {
+        2: (data) => this.migrateBlockerStateToV2(data),
+      },
+    };
+
+    // 迁移失败记录：存储键 -> 失败详情，失败的键拒绝写入以保护原始数据
+    this.migrationFailures = new Map();
 
     // 默认设置
     this.DEFAULT_SETTINGS = {
       pomodoroDuration: 25, // 默认番茄钟时长（分钟）
+      shortBreakDuration: 5, // 短休息时长（分钟）
+      longBreakDuration: 15, // 长休息时长（分钟）
+      longBreakInterval: 4, // 每完成几个番茄钟进入一次长休息
+      extendDuration: 15, // 专注完成后"增加时间"的默认时长（分钟）
+      blockingMode: "whitelist", // 拦截模式：whitelist 拦截白名单以外的网站，blacklist 只拦截黑名单网站
       whitelist: [], // 默认空白名单
+      blacklist: [], // 默认空黑名单
+      trashRetentionDays: 30, // 回收站中任务的保留天数
+      archiveAfterDays: 7, // 任务完成多少天后移入归档
     };
   }
 
@@ -38,12 +83,14 @@ class Storage {
         throw new Error("Tasks must be an array");
       }
 
+      this.assertWritable(this.STORAGE_KEYS.TASKS);
+
       // 验证任务数据结构
       this.validateTasksData(tasks);
 
       // 创建存储数据对象
       const storageData = {
-        version: this.DATA_VERSION,
+        version: this.getDataVersion(this.STORAGE_KEYS.TASKS),
         timestamp: Date.now(),
         tasks: tasks,
       };
@@ -66,18 +113,16 @@ class Storage {
    */
   async loadTasks() {
     try {
-      const serializedData = GM_getValue(this.STORAGE_KEYS.TASKS, null);
+      // 解析存储数据（必要时迁移到当前版本）
+      const storageData = this.loadAndMigrate(this.STORAGE_KEYS.TASKS);
 
-      if (!serializedData) {
+      if (!storageData) {
         console.log(
           "[Storage] No tasks found in storage, returning empty array",
         );
         return [];
       }
 
-      // 解析存储数据
-      const storageData = JSON.parse(serializedData);
-
       // 检查数据版本和格式
       if (!this.validateStorageData(storageData)) {
         console.warn(
@@ -99,6 +144,29 @@ class Storage {
     }
   }
 
+  /**
+   * 读取存储中的最新任务列表（合并写入和跨标签页同步使用）
+   * 与 loadTasks 不同，数据无法读取时抛出错误而不是返回空列表，避免被当成"任务已全部删除"
+   * @returns {Promise<Array<Task>>} 任务列表
+   * @throws {Error} 如果数据迁移失败、格式无效或任务校验失败
+   */
+  async loadLatestTasks() {
+    const storageData = this.loadAndMigrate(this.STORAGE_KEYS.TASKS);
+
+    if (!storageData) {
+      this.assertWritable(this.STORAGE_KEYS.TASKS);
+      return [];
+    }
+
+    if (!this.validateStorageData(storageData)) {
+      throw new Error("Invalid tasks storage data format");
+    }
+
+    const tasks = storageData.tasks || [];
+    this.validateTasksData(tasks);
+    return tasks;
+  }
+
   /**
    * 清除所有任务数据
    * @returns {Promise<boolean>} 清除是否成功
@@ -125,12 +193,14 @@ class Storage {
         throw new Error("Settings must be an object");
       }
 
+      this.assertWritable(this.STORAGE_KEYS.SETTINGS);
+
       // 验证设置数据结构
       this.validateSettingsData(settings);
 
       // 创建存储数据对象
       const storageData = {
-        version: this.DATA_VERSION,
+        version: this.getDataVersion(this.STORAGE_KEYS.SETTINGS),
         timestamp: Date.now(),
         settings: settings,
       };
@@ -153,18 +223,16 @@ class Storage {
    */
   async loadSettings() {
     try {
-      const serializedData = GM_getValue(this.STORAGE_KEYS.SETTINGS, null);
+      // 解析存储数据（必要时迁移到当前版本）
+      const storageData = this.loadAndMigrate(this.STORAGE_KEYS.SETTINGS);
 
-      if (!serializedData) {
+      if (!storageData) {
         console.log(
           "[Storage] No settings found in storage, returning defaults",
         );
         return { ...this.DEFAULT_SETTINGS };
       }
 
-      // 解析存储数据
-      const storageData = JSON.parse(serializedData);
-
       // 检查数据版本和格式（使用设置专用的验证器）
       if (!this.validateSettingsStorageData(storageData)) {
         console.warn(
@@ -190,6 +258,29 @@ class Storage {
     }
   }
 
+  /**
+   * 读取存储中的最新设置（跨标签页同步使用）
+   * 与 loadSettings 不同，数据无法读取时抛出错误而不是返回默认设置，避免清空规则列表
+   * @returns {Promise<Object>} 设置对象
+   * @throws {Error} 如果数据迁移失败、格式无效或设置校验失败
+   */
+  async loadLatestSettings() {
+    const storageData = this.loadAndMigrate(this.STORAGE_KEYS.SETTINGS);
+
+    if (!storageData) {
+      this.assertWritable(this.STORAGE_KEYS.SETTINGS);
+      return { ...this.DEFAULT_SETTINGS };
+    }
+
+    if (!this.validateSettingsStorageData(storageData)) {
+      throw new Error("Invalid settings storage data format");
+    }
+
+    const settings = { ...this.DEFAULT_SETTINGS, ...storageData.settings };
+    this.validateSettingsData(settings);
+    return settings;
+  }
+
   /**
    * 重置设置为默认值
    * @returns {Promise<boolean>} 重置是否成功
@@ -207,6 +298,175 @@ class Storage {
     }
   }
 
+  /**
+   * 保存专注会话历史到存储
+   * @param {Array<Object>} sessions - 会话记录列表
+   * @returns {Promise<boolean>} 保存是否成功
+   */
+  async saveSessions(sessions) {
+    try {
+      if (!Array.isArray(sessions)) {
+        throw new Error("Sessions must be an array");
+      }
+
+      this.assertWritable(this.STORAGE_KEYS.STATISTICS);
+
+      // 验证会话数据结构
+      this.validateSessionsData(sessions);
+
+      const storageData = {
+        version: this.getDataVersion(this.STORAGE_KEYS.STATISTICS),
+        timestamp: Date.now(),
+        sessions: sessions,
+      };
+
+      GM_setValue(this.STORAGE_KEYS.STATISTICS, JSON.stringify(storageData));
+
+      console.log(`[Storage] Saved ${sessions.length} sessions to storage`);
+      return true;
+    } catch (error) {
+      console.error("[Storage] Failed to save sessions:", error);
+      return false;
+    }
+  }
+
+  /**
+   * 从存储加载专注会话历史
+   * @returns {Promise<Array<Object>>} 会话记录列表
+   */
+  async loadSessions() {
+    try {
+      const storageData = this.loadAndMigrate(this.STORAGE_KEYS.STATISTICS);
+
+      if (!storageData) {
+        return [];
+      }
+
+      if (
+        !storageData ||
+        typeof storageData.version !== "number" ||
+        !Array.isArray(storageData.sessions)
+      ) {
+        console.warn(
+          "[Storage] Invalid statistics storage data, returning empty array",
+        );
+        return [];
+      }
+
+      this.validateSessionsData(storageData.sessions);
+
+      console.log(
+        `[Storage] Loaded ${storageData.sessions.length} sessions from storage`,
+      );
+      return storageData.sessions;
+    } catch (error) {
+      console.error("[Storage] Failed to load sessions:", error);
+      return [];
+    }
+  }
+
+  /**
+   * 保存任务回收站到存储
+   * @param {Array<Object>} entries - 回收站条目 {task, deletedAt, reason}
+   * @returns {Promise<boolean>} 保存是否成功
+   */
+  async saveTrash(entries) {
+    try {
+      this.assertWritable(this.STORAGE_KEYS.TRASH);
+      this.validateTrashData(entries);
+
+      const storageData = {
+        version: this.getDataVersion(this.STORAGE_KEYS.TRASH),
+        timestamp: Date.now(),
+        trash: entries,
+      };
+
+      GM_setValue(this.STORAGE_KEYS.TRASH, JSON.stringify(storageData));
+
+      console.log(`[Storage] Saved ${entries.length} trashed tasks to storage`);
+      return true;
+    } catch (error) {
+      console.error("[Storage] Failed to save trash:", error);
+      return false;
+    }
+  }
+
+  /**
+   * 从存储加载任务回收站
+   * @returns {Promise<Array<Object>>} 回收站条目
+   */
+  async loadTrash() {
+    try {
+      const storageData = this.loadAndMigrate(this.STORAGE_KEYS.TRASH);
+
+      if (!storageData) {
+        return [];
+      }
+
+      if (typeof storageData.version !== "number" || !Array.isArray(storageData.trash)) {
+        console.warn("[Storage] Invalid trash storage data, returning empty array");
+        return [];
+      }
+
+      this.validateTrashData(storageData.trash);
+      return storageData.trash;
+    } catch (error) {
+      console.error("[Storage] Failed to load trash:", error);
+      return [];
+    }
+  }
+
+  /**
+   * 保存已归档的任务到存储
+   * @param {Array<Object>} tasks - 已归档的任务
+   * @returns {Promise<boolean>} 保存是否成功
+   */
+  async saveArchive(tasks) {
+    try {
+      this.assertWritable(this.STORAGE_KEYS.ARCHIVE);
+      this.validateTasksData(tasks);
+
+      const storageData = {
+        version: this.getDataVersion(this.STORAGE_KEYS.ARCHIVE),
+        timestamp: Date.now(),
+        archive: tasks,
+      };
+
+      GM_setValue(this.STORAGE_KEYS.ARCHIVE, JSON.stringify(storageData));
+
+      console.log(`[Storage] Saved ${tasks.length} archived tasks to storage`);
+      return true;
+    } catch (error) {
+      console.error("[Storage] Failed to save archive:", error);
+      return false;
+    }
+  }
+
+  /**
+   * 从存储加载已归档的任务
+   * @returns {Promise<Array<Object>>} 已归档的任务
+   */
+  async loadArchive() {
+    try {
+      const storageData = this.loadAndMigrate(this.STORAGE_KEYS.ARCHIVE);
+
+      if (!storageData) {
+        return [];
+      }
+
+      if (typeof storageData.version !== "number" || !Array.isArray(storageData.archive)) {
+        console.warn("[Storage] Invalid archive storage data, returning empty array");
+        return [];
+      }
+
+      this.validateTasksData(storageData.archive);
+      return storageData.archive;
+    } catch (error) {
+      console.error("[Storage] Failed to load archive:", error);
+      return [];
+    }
+  }
+
   /**
    * 通用方法：保存数据到存储
    * @param {string} key - 存储键
@@ -243,6 +503,32 @@ class Storage {
     }
   }
 
+  /**
+   * 保存带版本号的状态对象（计时器状态、拦截器状态）
+   * @param {string} key - 存储键
+   * @param {Object} state - 状态对象
+   * @returns {boolean} 保存是否成功
+   */
+  saveState(key, state) {
+    return this.setData(key, { ...state, version: this.getDataVersion(key) });
+  }
+
+  /**
+   * 读取状态对象，必要时迁移到当前版本
+   * @param {string} key - 存储键
+   * @param {any} defaultValue - 默认值
+   * @returns {Object|any} 状态对象或默认值
+   */
+  loadState(key, defaultValue = null) {
+    try {
+      const state = this.loadAndMigrate(key);
+      return state && typeof state === "object" ? state : defaultValue;
+    } catch (error) {
+      console.error(`[Storage] Failed to load state for key ${key}:`, error);
+      return defaultValue;
+    }
+  }
+
   /**
    * 通用方法：从存储删除数据
    * @param {string} key - 存储键
@@ -400,6 +686,306 @@ class Storage {
       ) {
         throw new Error(`Task at index ${i} has invalid completedAt`);
       }
+
+      if (
+        task.estimatedPomodoros !== undefined &&
+        task.estimatedPomodoros !== null &&
+        (!Number.isInteger(task.estimatedPomodoros) ||
+          task.estimatedPomodoros < 1 ||
+          task.estimatedPomodoros > 99)
+      ) {
+        throw new Error(`Task at index ${i} has invalid estimatedPomodoros`);
+      }
+
+      if (
+        task.focusDuration !== undefined &&
+        task.focusDuration !== null &&
+        (!Number.isInteger(task.focusDuration) ||
+          task.focusDuration < 1 ||
+          task.focusDuration > 120)
+      ) {
+        throw new Error(`Task at index ${i} has invalid focusDuration`);
+      }
+
+      if (
+        task.revision !== undefined &&
+        (!Number.isInteger(task.revision) || task.revision < 0)
+      ) {
+        throw new Error(`Task at index ${i} has invalid revision`);
+      }
+
+      if (
+        task.notes !== undefined &&
+        task.notes !== null &&
+        (typeof task.notes !== "string" || task.notes.length > 5000)
+      ) {
+        throw new Error(`Task at index ${i} has invalid notes`);
+      }
+
+      if (
+        task.project !== undefined &&
+        task.project !== null &&
+        (typeof task.project !== "string" ||
+          task.project.trim() === "" ||
+          task.project.length > 50)
+      ) {
+        throw new Error(`Task at index ${i} has invalid project`);
+      }
+
+      if (
+        task.tags !== undefined &&
+        (!Array.isArray(task.tags) ||
+          task.tags.some(
+            (tag) => typeof tag !== "string" || tag === "" || tag.length > 30,
+          ))
+      ) {
+        throw new Error(`Task at index ${i} has invalid tags`);
+      }
+
+      if (task.order !== undefined && !Number.isFinite(task.order)) {
+        throw new Error(`Task at index ${i} has invalid order`);
+      }
+
+      if (
+        task.priority !== undefined &&
+        task.priority !== null &&
+        !["high", "medium", "low"].includes(task.priority)
+      ) {
+        throw new Error(`Task at index ${i} has invalid priority`);
+      }
+
+      if (
+        task.dueDate !== undefined &&
+        task.dueDate !== null &&
+        !this.isValidDateString(task.dueDate)
+      ) {
+        throw new Error(`Task at index ${i} has invalid dueDate`);
+      }
+
+      if (
+        task.reminderAt !== undefined &&
+        task.reminderAt !== null &&
+        (typeof task.reminderAt !== "number" || task.reminderAt <= 0)
+      ) {
+        throw new Error(`Task at index ${i} has invalid reminderAt`);
+      }
+
+      if (task.reminderSent !== undefined && typeof task.reminderSent !== "boolean") {
+        throw new Error(`Task at index ${i} has invalid reminderSent`);
+      }
+
+      if (
+        task.recurrence !== undefined &&
+        task.recurrence !== null &&
+        !this.isValidRecurrence(task.recurrence)
+      ) {
+        throw new Error(`Task at index ${i} has invalid recurrence`);
+      }
+
+      for (const field of ["seriesId", "nextInstanceId"]) {
+        if (
+          task[field] !== undefined &&
+          task[field] !== null &&
+          (typeof task[field] !== "string" || task[field] === "")
+        ) {
+          throw new Error(`Task at index ${i} has invalid ${field}`);
+        }
+      }
+
+      if (task.checklist !== undefined) {
+        this.validateChecklistData(task.checklist, i);
+      }
+    }
+  }
+
+  /**
+   * 检查重复规则结构
+   * @param {Object} recurrence - 重复规则
+   * @returns {boolean} 是否有效
+   */
+  isValidRecurrence(recurrence) {
+    if (!recurrence || typeof recurrence !== "object") {
+      return false;
+    }
+
+    switch (recurrence.type) {
+      case "daily":
+      case "weekdays":
+        return true;
+      case "weekly":
+        return (
+          Array.isArray(recurrence.days) &&
+          recurrence.days.length > 0 &&
+          recurrence.days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+        );
+      case "monthly":
+        return (
+          Number.isInteger(recurrence.dayOfMonth) &&
+          recurrence.dayOfMonth >= 1 &&
+          recurrence.dayOfMonth <= 31
+        );
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * 检查 YYYY-MM-DD 日期字符串是否是真实存在的日期（拒绝 2026-02-30 之类会被 Date 进位的值）
+   * @param {string} value - 日期字符串
+   * @returns {boolean} 是否有效
+   */
+  isValidDateString(value) {
+    if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return false;
+    }
+    const [year, month, day] = value.split("-").map(Number);
+    const date = new Date(year, month - 1, day);
+    return (
+      date.getFullYear() === year &&
+      date.getMonth() === month - 1 &&
+      date.getDate() === day
+    );
+  }
+
+  /**
+   * 验证任务的检查项列表
+   * @param {Array<Object>} checklist - 检查项列表
+   * @param {number} taskIndex - 所属任务的索引（用于错误信息）
+   * @throws {Error} 如果数据结构无效
+   */
+  validateChecklistData(checklist, taskIndex) {
+    if (!Array.isArray(checklist)) {
+      throw new Error(`Task at index ${taskIndex} has invalid checklist`);
+    }
+
+    checklist.forEach((item, j) => {
+      if (!item || typeof item !== "object") {
+        throw new Error(
+          `Checklist item ${j} of task ${taskIndex} is not a valid object`,
+        );
+      }
+
+      if (typeof item.id !== "string" || item.id.trim() === "") {
+        throw new Error(`Checklist item ${j} of task ${taskIndex} has invalid id`);
+      }
+
+      if (
+        typeof item.title !== "string" ||
+        item.title.trim() === "" ||
+        item.title.length > 200
+      ) {
+        throw new Error(
+          `Checklist item ${j} of task ${taskIndex} has invalid title`,
+        );
+      }
+
+      if (typeof item.isCompleted !== "boolean") {
+        throw new Error(
+          `Checklist item ${j} of task ${taskIndex} has invalid isCompleted`,
+        );
+      }
+    });
+  }
+
+  /**
+   * 验证回收站数据结构
+   * @param {Array<Object>} entries - 回收站条目
+   * @throws {Error} 如果数据结构无效
+   */
+  validateTrashData(entries) {
+    if (!Array.isArray(entries)) {
+      throw new Error("Trash must be an array");
+    }
+
+    const reasons = ["deleted", "clearedCompleted"];
+    entries.forEach((entry, i) => {
+      if (!entry || typeof entry !== "object") {
+        throw new Error(`Trash entry at index ${i} is not a valid object`);
+      }
+      if (typeof entry.deletedAt !== "number" || entry.deletedAt <= 0) {
+        throw new Error(`Trash entry at index ${i} has invalid deletedAt`);
+      }
+      if (!reasons.includes(entry.reason)) {
+        throw new Error(`Trash entry at index ${i} has invalid reason`);
+      }
+    });
+
+    this.validateTasksData(entries.map((entry) => entry.task));
+  }
+
+  /**
+   * 验证专注会话数据结构
+   * @param {Array<Object>} sessions - 会话记录列表
+   * @throws {Error} 如果数据结构无效
+   */
+  validateSessionsData(sessions) {
+    if (!Array.isArray(sessions)) {
+      throw new Error("Sessions must be an array");
+    }
+
+    const outcomes = ["completed", "stopped"];
+
+    for (let i = 0; i < sessions.length; i++) {
+      const session = sessions[i];
+
+      if (!session || typeof session !== "object") {
+        throw new Error(`Session at index ${i} is not a valid object`);
+      }
+
+      if (typeof session.id !== "string" || session.id.trim() === "") {
+        throw new Error(`Session at index ${i} has invalid id`);
+      }
+
+      if (session.taskId !== null && typeof session.taskId !== "string") {
+        throw new Error(`Session at index ${i} has invalid taskId`);
+      }
+
+      if (
+        session.seriesId !== undefined &&
+        session.seriesId !== null &&
+        typeof session.seriesId !== "string"
+      ) {
+        throw new Error(`Session at index ${i} has invalid seriesId`);
+      }
+
+      if (typeof session.startedAt !== "number" || session.startedAt <= 0) {
+        throw new Error(`Session at index ${i} has invalid startedAt`);
+      }
+
+      if (
+        typeof session.endedAt !== "number" ||
+        session.endedAt < session.startedAt
+      ) {
+        throw new Error(`Session at index ${i} has invalid endedAt`);
+      }
+
+      for (const field of ["plannedSeconds", "actualSeconds"]) {
+        if (typeof session[field] !== "number" || session[field] < 0) {
+          throw new Error(`Session at index ${i} has invalid ${field}`);
+        }
+      }
+
+      if (!outcomes.includes(session.outcome)) {
+        throw new Error(`Session at index ${i} has invalid outcome`);
+      }
+
+      // 旧版本的中断记录只有 type 和 at，category 和 reason 可省略
+      const categories = ["internal", "external", null, undefined];
+      if (
+        !Array.isArray(session.interruptions) ||
+        !session.interruptions.every(
+          (interruption) =>
+            interruption &&
+            typeof interruption.type === "string" &&
+            typeof interruption.at === "number" &&
+            categories.includes(interruption.category) &&
+            (interruption.reason === undefined ||
+              interruption.reason === null ||
+              (typeof interruption.reason === "string" && interruption.reason.length <= 200)),
+        )
+      ) {
+        throw new Error(`Session at index ${i} has invalid interruptions`);
+      }
     }
   }
 
@@ -432,31 +1018,389 @@ class Storage {
       );
     }
 
-    // 验证 whitelist
-    if (!Array.isArray(settings.whitelist)) {
-      throw new Error("Settings whitelist must be an array");
+    // 验证休息周期配置（可选字段，旧数据由默认值补齐）
+    this.validateOptionalRange(settings, "shortBreakDuration", 1, 60);
+    this.validateOptionalRange(settings, "longBreakDuration", 1, 120);
+    this.validateOptionalRange(settings, "longBreakInterval", 1, 12);
+    this.validateOptionalRange(settings, "extendDuration", 1, 60);
+    this.validateOptionalRange(settings, "trashRetentionDays", 1, 365);
+    this.validateOptionalRange(settings, "archiveAfterDays", 1, 365);
+
+    // 验证拦截模式（可选字段，旧数据由默认值补齐）
+    if (
+      settings.blockingMode !== undefined &&
+      !["whitelist", "blacklist"].includes(settings.blockingMode)
+    ) {
+      throw new Error(
+        "Settings has invalid blockingMode (must be whitelist or blacklist)",
+      );
+    }
+
+    // 验证 whitelist 与 blacklist（旧版纯字符串条目由 WhitelistManager 迁移）
+    this.validateRuleList(settings.whitelist, "Whitelist");
+    if (settings.blacklist !== undefined) {
+      this.validateRuleList(settings.blacklist, "Blacklist");
     }
+  }
+
+  /**
+   * 验证网站规则列表
+   * @param {Array<string|Object>} rules - 规则列表
+   * @param {string} listName - 列表名称（用于错误信息）
+   * @throws {Error} 如果列表或其中的规则无效
+   */
+  validateRuleList(rules, listName) {
+    if (!Array.isArray(rules)) {
+      throw new Error(`Settings ${listName.toLowerCase()} must be an array`);
+    }
+
+    const ruleTypes = ["exact", "wildcard", "path", "regex"];
+    for (let i = 0; i < rules.length; i++) {
+      const rule = rules[i];
+      if (typeof rule === "string") {
+        if (rule.trim() === "") {
+          throw new Error(
+            `${listName} domain at index ${i} must be a non-empty string`,
+          );
+        }
+        continue;
+      }
 
-    // 验证白名单中的每个域名
-    for (let i = 0; i < settings.whitelist.length; i++) {
-      const domain = settings.whitelist[i];
-      if (typeof domain !== "string" || domain.trim() === "") {
+      if (
+        !rule ||
+        typeof rule !== "object" ||
+        !ruleTypes.includes(rule.type) ||
+        typeof rule.pattern !== "string" ||
+        rule.pattern.trim() === ""
+      ) {
         throw new Error(
-          `Whitelist domain at index ${i} must be a non-empty string`,
+          `${listName} rule at index ${i} must have a valid type and non-empty pattern`,
         );
       }
     }
   }
 
   /**
-   * 数据迁移 (为未来版本升级预留)
+   * 验证可选的数值设置字段
+   * @param {Object} settings - 设置对象
+   * @param {string} field - 字段名
+   * @param {number} min - 最小值
+   * @param {number} max - 最大值
+   * @throws {Error} 如果字段存在但超出范围
+   */
+  validateOptionalRange(settings, field, min, max) {
+    if (settings[field] === undefined) {
+      return;
+    }
+
+    const value = settings[field];
+    if (typeof value !== "number" || value < min || value > max) {
+      throw new Error(
+        `Settings has invalid ${field} (must be number between ${min}-${max})`,
+      );
+    }
+  }
+
+  /**
+   * 获取存储键的当前数据版本
+   * @param {string} key - 存储键
+   * @returns {number} 数据版本
+   */
+  getDataVersion(key) {
+    return this.DATA_VERSIONS[key];
+  }
+
+  /**
+   * 读取存储数据，版本落后时备份原始数据并逐步迁移
+   * 无法解析的数据同样备份并记录为失败，避免被下一次保存覆盖
+   * @param {string} key - 存储键
+   * @returns {Object|null} 当前版本的数据；不存在、无法解析或迁移失败时返回null
+   */
+  loadAndMigrate(key) {
+    const serializedData = GM_getValue(key, null);
+    if (serializedData === null || serializedData === undefined) {
+      return null;
+    }
+
+    let storageData;
+    try {
+      storageData = JSON.parse(serializedData);
+    } catch (error) {
+      const backupKey = this.backupRawData(key, serializedData, "UNREADABLE");
+      this.recordMigrationFailure(key, null, backupKey, error);
+      console.error(
+        `[Storage] ${key} is not valid JSON, original data kept in ${backupKey}:`,
+        error,
+      );
+      return null;
+    }
+    if (!storageData || typeof storageData !== "object") {
+      return storageData;
+    }
+
+    const targetVersion = this.getDataVersion(key);
+    const fromVersion =
+      typeof storageData.version === "number" ? storageData.version : 0;
+    if (fromVersion === targetVersion) {
+      return storageData;
+    }
+
+    const backupKey = this.backupRawData(key, serializedData, `V${fromVersion}`);
+
+    try {
+      const migrated = this.migrateData(storageData, key);
+      GM_setValue(key, JSON.stringify(migrated));
+      this.migrationFailures.delete(key);
+
+      console.log(
+        `[Storage] Migrated ${key} from v${fromVersion} to v${targetVersion}`,
+      );
+      return migrated;
+    } catch (error) {
+      this.recordMigrationFailure(key, fromVersion, backupKey, error);
+
+      console.error(
+        `[Storage] Failed to migrate ${key} from v${fromVersion}, original data kept in ${backupKey}:`,
+        error,
+      );
+      return null;
+    }
+  }
+
+  /**
+   * 数据迁移：按注册表逐个版本升级到该键的当前版本
    * @param {Object} storageData - 旧版本数据
+   * @param {string} key - 存储键
+   * @returns {Object} 迁移后的数据
+   * @throws {Error} 如果数据版本高于当前版本或某一步迁移失败
+   */
+  migrateData(storageData, key) {
+    const targetVersion = this.getDataVersion(key);
+    const fromVersion =
+      typeof storageData.version === "number" ? storageData.version : 0;
+
+    // 更高版本的数据来自更新的脚本，降级会丢失字段
+    if (fromVersion > targetVersion) {
+      throw new Error(
+        `Data version ${fromVersion} is newer than supported version ${targetVersion}`,
+      );
+    }
+
+    const steps = this.MIGRATIONS[key] || {};
+    let data = storageData;
+
+    for (let version = fromVersion + 1; version <= targetVersion; version++) {
+      if (steps[version]) {
+        data = steps[version](data);
+      }
+      data = { ...data, version };
+    }
+
+    return data;
+  }
+
+  /**
+   * 备份原始数据（同一个备份键只写一次，保留最早的原始数据）
+   * @param {string} key - 存储键
+   * @param {string} serializedData - 原始序列化数据
+   * @param {string} suffix - 备份键后缀：迁移前为 V<旧版本>，无法解析时为 UNREADABLE
+   * @returns {string} 备份键
+   */
+  backupRawData(key, serializedData, suffix) {
+    const backupKey = `${key}_BACKUP_${suffix}`;
+
+    if (GM_getValue(backupKey, null) === null) {
+      GM_setValue(backupKey, serializedData);
+      console.log(`[Storage] Backed up ${key} to ${backupKey}`);
+    }
+
+    return backupKey;
+  }
+
+  /**
+   * 记录无法读取或迁移的存储键，该键随后拒绝写入
+   * @param {string} key - 存储键
+   * @param {number|null} fromVersion - 原始数据版本，无法解析时为 null
+   * @param {string} backupKey - 原始数据的备份键
+   * @param {Error} error - 失败原因
+   */
+  recordMigrationFailure(key, fromVersion, backupKey, error) {
+    this.migrationFailures.set(key, {
+      key,
+      fromVersion,
+      toVersion: this.getDataVersion(key),
+      backupKey,
+      error: error.message,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * 检查存储键是否允许写入（无法读取或迁移失败的键不允许覆盖）
+   * @param {string} key - 存储键
+   * @throws {Error} 如果该键的数据无法读取或迁移失败
+   */
+  assertWritable(key) {
+    const failure = this.migrationFailures.get(key);
+    if (failure) {
+      const reason =
+        failure.fromVersion === null
+          ? "stored data is unreadable"
+          : `migration from v${failure.fromVersion} failed`;
+      throw new Error(`Refusing to overwrite ${key}: ${reason} (${failure.error})`);
+    }
+  }
+
+  /**
+   * 清除迁移失败记录，允许重新写入（用于用户显式恢复数据）
+   */
+  clearMigrationFailures() {
+    if (this.migrationFailures.size > 0) {
+      console.warn(
+        `[Storage] Clearing migration failures for: ${Array.from(this.migrationFailures.keys()).join(", ")}`,
+      );
+    }
+    this.migrationFailures.clear();
+  }
+
+  /**
+   * 获取迁移失败报告
+   * @returns {Array<Object>} 失败详情列表
+   */
+  getMigrationFailures() {
+    return Array.from(this.migrationFailures.values());
+  }
+
+  // === 版本迁移步骤 ===
+
+  /**
+   * 任务 v1 -> v2：补齐缺失的字段，结构损坏的任务视为迁移失败
+   * @param {Object} data - {tasks}
+   * @returns {Object} 迁移后的数据
+   */
+  migrateTasksToV2(data) {
+    if (!Array.isArray(data.tasks)) {
+      throw new Error("Tasks storage data has no tasks array");
+    }
+
+    const fallbackCreatedAt = data.timestamp || Date.now();
+    const tasks = data.tasks.map((task, index) => {
+      if (
+        !task ||
+        typeof task.id !== "string" ||
+        typeof task.title !== "string"
+      ) {
+        throw new Error(`Task at index ${index} cannot be migrated`);
+      }
+
+      return {
+        ...task,
+        isCompleted: Boolean(task.isCompleted),
+        createdAt:
+          typeof task.createdAt === "number" && task.createdAt > 0
+            ? task.createdAt
+            : fallbackCreatedAt,
+        completedAt: task.completedAt || null,
+        pomodoroCount:
+          typeof task.pomodoroCount === "number" && task.pomodoroCount >= 0
+            ? task.pomodoroCount
+            : 0,
+      };
+    });
+
+    return { ...data, tasks };
+  }
+
+  /**
+   * 任务 v2 -> v3：按创建时间写入手动排序值，优先级默认为无
+   * @param {Object} data - {tasks}
+   * @returns {Object} 迁移后的数据
+   */
+  migrateTasksToV3(data) {
+    const byCreation = data.tasks
+      .slice()
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((task) => task.id);
+
+    const tasks = data.tasks.map((task) => ({
+      ...task,
+      order: byCreation.indexOf(task.id),
+      priority: task.priority || null,
+    }));
+
+    return { ...data, tasks };
+  }
+
+  /**
+   * 任务 v3 -> v4：旧ID是毫秒时间戳，多个标签页同时创建时可能重复
+   * 重复的ID保留第一个任务，其余任务分配新ID；所有任务从修订号 1 开始
+   * 会话历史、回收站、归档和进行中的计时只记录任务ID，无法区分属于哪个重复任务，
+   * 这些引用不改写，仍归第一个任务
+   * @param {Object} data - {tasks}
    * @returns {Object} 迁移后的数据
    */
-  migrateData(storageData) {
-    // 当前版本为1，暂不需要迁移
-    // 未来版本可以在此处添加数据迁移逻辑
-    return storageData;
+  migrateTasksToV4(data) {
+    const seen = new Set(data.tasks.map((task) => task.id));
+    const kept = new Set();
+
+    const tasks = data.tasks.map((task) => {
+      let id = task.id;
+      if (kept.has(id)) {
+        for (let n = 1; seen.has(id); n++) {
+          id = `${task.id}-dup${n}`;
+        }
+        seen.add(id);
+        console.warn(`[Storage] Renamed duplicate task id ${task.id} to ${id}`);
+      }
+      kept.add(id);
+
+      return {
+        ...task,
+        id,
+        seriesId: task.seriesId === task.id ? id : task.seriesId,
+        revision: Number.isInteger(task.revision) ? task.revision : 1,
+      };
+    });
+
+    return { ...data, tasks };
+  }
+
+  /**
+   * 设置 v1 -> v2：写入休息周期、拦截模式和黑名单的默认值
+   * @param {Object} data - {settings}
+   * @returns {Object} 迁移后的数据
+   */
+  migrateSettingsToV2(data) {
+    if (!data.settings || typeof data.settings !== "object") {
+      throw new Error("Settings storage data has no settings object");
+    }
+
+    return {
+      ...data,
+      settings: { ...this.DEFAULT_SETTINGS, ...data.settings },
+    };
+  }
+
+  /**
+   * 计时器状态 v0 -> v2：补齐专注/休息周期字段
+   * @param {Object} state - 计时器状态
+   * @returns {Object} 迁移后的状态
+   */
+  migrateTimerStateToV2(state) {
+    return {
+      ...state,
+      phase: state.phase || "focus",
+      completedPomodoros: state.completedPomodoros || 0,
+    };
+  }
+
+  /**
+   * 拦截器状态 v0 -> v2：规范化激活标记
+   * @param {Object} state - 拦截器状态
+   * @returns {Object} 迁移后的状态
+   */
+  migrateBlockerStateToV2(state) {
+    return { ...state, isActive: state.isActive === true };
   }
 
   /**
@@ -468,7 +1412,7 @@ class Storage {
       const tasks = await this.loadTasks();
       const exportData = {
         exportTime: Date.now(),
-        version: this.DATA_VERSION,
+        version: this.getDataVersion(this.STORAGE_KEYS.TASKS),
         tasks: tasks,
       };
 
@@ -479,6 +1423,217 @@ class Storage {
     }
   }
 
+  /**
+   * 导出任务（含已归档的任务）为CSV
+   * @returns {Promise<string>} CSV文本
+   */
+  async exportTasksAsCSV() {
+    const tasks = (await this.loadTasks()).concat(await this.loadArchive());
+    const header = [
+      "id",
+      "title",
+      "status",
+      "project",
+      "tags",
+      "priority",
+      "estimatedPomodoros",
+      "pomodoroCount",
+      "dueDate",
+      "createdAt",
+      "completedAt",
+      "checklist",
+    ];
+
+    const rows = tasks.map((task) => {
+      const checklist = task.checklist || [];
+      return [
+        task.id,
+        task.title,
+        task.isCompleted ? "completed" : "pending",
+        task.project || "",
+        (task.tags || []).join(" "),
+        task.priority || "",
+        task.estimatedPomodoros ?? "",
+        task.pomodoroCount,
+        task.dueDate || "",
+        this.formatDateTime(task.createdAt),
+        this.formatDateTime(task.completedAt),
+        checklist.length > 0
+          ? `${checklist.filter((item) => item.isCompleted).length}/${checklist.length}`
+          : "",
+      ];
+    });
+
+    return this.toCSV([header, ...rows]);
+  }
+
+  /**
+   * 导出专注会话为CSV
+   * @param {Object} [range] - {from, to} 开始时间范围（毫秒时间戳，to 不含）
+   * @returns {Promise<string>} CSV文本
+   */
+  async exportSessionsAsCSV(range = {}) {
+    const sessions = this.filterSessionsByRange(await this.loadSessions(), range);
+    const header = [
+      "id",
+      "date",
+      "startedAt",
+      "endedAt",
+      "taskId",
+      "taskTitle",
+      "outcome",
+      "plannedMinutes",
+      "actualMinutes",
+      "interruptions",
+      "isExtension",
+    ];
+
+    const rows = sessions.map((session) => [
+      session.id,
+      this.formatDateTime(session.startedAt).slice(0, 10),
+      this.formatDateTime(session.startedAt),
+      this.formatDateTime(session.endedAt),
+      session.taskId || "",
+      session.taskTitle,
+      session.outcome,
+      Math.round(session.plannedSeconds / 60),
+      Math.round(session.actualSeconds / 60),
+      session.interruptions.length,
+      session.isExtension ? "yes" : "no",
+    ]);
+
+    return this.toCSV([header, ...rows]);
+  }
+
+  /**
+   * 导出专注会话的Markdown摘要，按日期分组后再按任务汇总
+   * 番茄钟数只统计正常完成的会话，专注时长包含中途停止的会话
+   * @param {Object} [range] - {from, to} 开始时间范围（毫秒时间戳，to 不含）
+   * @returns {Promise<string>} Markdown文本
+   */
+  async exportSessionsAsMarkdown(range = {}) {
+    const sessions = this.filterSessionsByRange(await this.loadSessions(), range);
+    const lines = ["# TomatoMonkey 专注记录", ""];
+
+    if (sessions.length === 0) {
+      lines.push("暂无专注记录", "");
+      return lines.join("\n");
+    }
+
+    // 按日期分组（最近的在前），每天内按任务汇总
+    const days = new Map();
+    for (const session of sessions) {
+      const date = this.formatDateTime(session.startedAt).slice(0, 10);
+      if (!days.has(date)) days.set(date, new Map());
+
+      const key = session.taskId || `title:${session.taskTitle}`;
+      const tasks = days.get(date);
+      const entry = tasks.get(key) || {
+        title: session.taskTitle || "未关联任务",
+        pomodoros: 0,
+        focusSeconds: 0,
+        interruptions: 0,
+      };
+      if (session.outcome === "completed") entry.pomodoros++;
+      entry.focusSeconds += session.actualSeconds;
+      entry.interruptions += session.interruptions.length;
+      tasks.set(key, entry);
+    }
+
+    const sortedDays = Array.from(days.entries()).sort((a, b) => b[0].localeCompare(a[0]));
+    for (const [date, tasks] of sortedDays) {
+      const entries = Array.from(tasks.values()).sort(
+        (a, b) => b.pomodoros - a.pomodoros || b.focusSeconds - a.focusSeconds,
+      );
+      const pomodoros = entries.reduce((sum, entry) => sum + entry.pomodoros, 0);
+      const focusSeconds = entries.reduce((sum, entry) => sum + entry.focusSeconds, 0);
+
+      lines.push(`## ${date}（🍅 ${pomodoros} · ${this.formatMinutes(focusSeconds)}）`, "");
+      for (const entry of entries) {
+        const details = [`🍅 ${entry.pomodoros}`, this.formatMinutes(entry.focusSeconds)];
+        if (entry.interruptions > 0) details.push(`中断 ${entry.interruptions} 次`);
+        lines.push(`- ${this.escapeMarkdown(entry.title)}：${details.join(" · ")}`);
+      }
+      lines.push("");
+    }
+
+    return lines.join("\n");
+  }
+
+  /**
+   * 按开始时间筛选会话，结果按开始时间升序
+   * @param {Array<Object>} sessions - 会话记录
+   * @param {Object} range - {from, to}
+   * @returns {Array<Object>}
+   */
+  filterSessionsByRange(sessions, { from, to } = {}) {
+    return sessions
+      .filter(
+        (session) =>
+          (from === undefined || session.startedAt >= from) &&
+          (to === undefined || session.startedAt < to),
+      )
+      .sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  /**
+   * 生成CSV文本（RFC 4180，CRLF换行）
+   * @param {Array<Array>} rows - 行数据，第一行为表头
+   * @returns {string}
+   */
+  toCSV(rows) {
+    return rows
+      .map((row) => row.map((value) => this.escapeCSVField(value)).join(","))
+      .join("\r\n");
+  }
+
+  /**
+   * 转义CSV字段
+   * 以 = + - @ 开头的文本加前缀单引号，避免电子表格将其当作公式执行
+   * @param {*} value - 字段值
+   * @returns {string}
+   */
+  escapeCSVField(value) {
+    let text = value === null || value === undefined ? "" : String(value);
+    if (typeof value === "string" && /^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * 转义Markdown中有特殊含义的字符
+   * @param {string} text - 原始文本
+   * @returns {string}
+   */
+  escapeMarkdown(text) {
+    return String(text).replace(/[\\`*_[\]<>|#]/g, "\\$&");
+  }
+
+  /**
+   * 格式化本地时间为 "YYYY-MM-DD HH:mm"
+   * @param {number|null} timestamp - 时间戳
+   * @returns {string} 空时间戳返回空字符串
+   */
+  formatDateTime(timestamp) {
+    if (!timestamp) return "";
+    const date = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  /**
+   * 格式化时长为 "X小时Y分钟"
+   * @param {number} seconds - 秒数
+   * @returns {string}
+   */
+  formatMinutes(seconds) {
+    const minutes = Math.round(seconds / 60);
+    const hours = Math.floor(minutes / 60);
+    if (hours === 0) return `${minutes}分钟`;
+    return minutes % 60 === 0 ? `${hours}小时` : `${hours}小时${minutes % 60}分钟`;
+  }
+
   /**
    * 从JSON导入任务数据
    * @param {string} jsonData - JSON字符串
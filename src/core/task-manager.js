@@ -9,14 +9,60 @@
  */
 
 class TaskService {
-  constructor(storage) {
+  constructor(storage, eventBus = null) {
     // 依赖注入 - 显式优于隐式
     this.storage = storage;
+    this.eventBus = eventBus;
     
     // 核心数据结构 - Linus方式
     this.tasks = new Map();
+    this.trash = new Map(); // 回收站：任务ID -> {task, deletedAt, reason}
+    this.trashRetentionDays = 30;
+    this.archive = new Map(); // 归档：完成超过 archiveAfterDays 天的任务
+    this.archiveAfterDays = 7;
     this.observers = new Set(); // 观察者用Set，避免重复
     this.isInitialized = false;
+
+    // 并发写入：任务ID -> 上次从存储读取或写入时的副本，保存时据此找出本标签页的修改
+    this.savedSnapshots = new Map();
+    this.saveQueue = Promise.resolve();
+
+    // 跨标签页同步：任务、回收站、归档和设置存储键的变化监听器ID
+    this.tasksListenerId = null;
+    this.trashListenerId = null;
+    this.archiveListenerId = null;
+    this.settingsListenerId = null;
+
+    // 优先级从高到低
+    this.PRIORITIES = ["high", "medium", "low"];
+
+    // 重复规则类型
+    this.RECURRENCE_TYPES = ["daily", "weekdays", "weekly", "monthly"];
+
+    // 备注最大长度（字符）
+    this.MAX_NOTES_LENGTH = 5000;
+
+    // 观察者事件 -> 事件总线上的类型化事件
+    this.BUS_EVENTS = {
+      initialized: EventBus.EVENTS.TASKS_LOADED,
+      tasksReloaded: EventBus.EVENTS.TASKS_RELOADED,
+      taskCreated: EventBus.EVENTS.TASK_CREATED,
+      taskUpdated: EventBus.EVENTS.TASK_UPDATED,
+      taskReordered: EventBus.EVENTS.TASK_REORDERED,
+      taskToggled: EventBus.EVENTS.TASK_TOGGLED,
+      taskDeleted: EventBus.EVENTS.TASK_DELETED,
+      taskRestored: EventBus.EVENTS.TASK_RESTORED,
+      taskPurged: EventBus.EVENTS.TASK_PURGED,
+      pomodoroUpdated: EventBus.EVENTS.TASK_POMODORO_UPDATED,
+      checklistUpdated: EventBus.EVENTS.TASK_CHECKLIST_UPDATED,
+      completedTasksCleared: EventBus.EVENTS.COMPLETED_TASKS_CLEARED,
+      tasksImported: EventBus.EVENTS.TASKS_IMPORTED,
+      tasksArchived: EventBus.EVENTS.TASKS_ARCHIVED,
+      tasksMerged: EventBus.EVENTS.TASKS_MERGED,
+      taskConflict: EventBus.EVENTS.TASK_CONFLICT,
+      trashRetentionChanged: EventBus.EVENTS.TRASH_RETENTION_CHANGED,
+      archiveSettingsChanged: EventBus.EVENTS.ARCHIVE_SETTINGS_CHANGED,
+    };
   }
 
   // === 兼容性API - 保持现有接口不变 ===
@@ -33,6 +79,10 @@ class TaskService {
       const data = await this.storage.loadTasks();
       // 内部用Map，但兼容数组输入
       this.tasks = new Map(data.map(t => [t.id, t]));
+      this.takeSnapshots();
+      await this.loadTrash();
+      await this.loadArchive();
+      this.setupCrossTabSync();
       
       this.isInitialized = true;
       console.log(`[TaskService] Initialized with ${this.tasks.size} tasks`);
@@ -43,26 +93,68 @@ class TaskService {
     }
   }
 
-  async createTask(title) {
+  /**
+   * 从存储重新加载任务（如导入备份后）
+   */
+  async reload() {
+    try {
+      const data = await this.storage.loadTasks();
+      this.tasks = new Map(data.map(t => [t.id, t]));
+      this.takeSnapshots();
+      await this.loadTrash();
+      await this.loadArchive();
+      console.log(`[TaskService] Reloaded ${this.tasks.size} tasks`);
+      this.notifyObservers("tasksReloaded");
+    } catch (error) {
+      console.error("[TaskService] Failed to reload tasks:", error);
+    }
+  }
+
+  async createTask(title, options = {}) {
+    const task = this.buildTask(title, options);
+
+    this.tasks.set(task.id, task);
+    await this.saveTasks();
+    
+    console.log(`[TaskManager] Created task: ${task.title}`);
+    this.notifyObservers("taskCreated", { task });
+    return task;
+  }
+
+  /**
+   * 按 createTask 的规则校验选项并构造新任务（不保存）
+   * @param {string} title - 任务标题
+   * @param {Object} options - 同 createTask
+   * @returns {Task} 新任务
+   * @throws {Error} 标题或选项无效时
+   */
+  buildTask(title, options = {}) {
     if (!title?.trim()) {
       throw new Error("Task title is required and must be a non-empty string");
     }
 
-    const task = {
-      id: Date.now().toString(),
+    const id = this.generateTaskId(Date.now());
+    const recurrence = this.normalizeRecurrence(options.recurrence, options.dueDate);
+    return {
+      id,
       title: title.trim(),
       isCompleted: false,
       createdAt: Date.now(),
       completedAt: null,
       pomodoroCount: 0,
+      order: this.getNextOrder(),
+      priority: this.normalizePriority(options.priority),
+      estimatedPomodoros: this.normalizeEstimate(options.estimatedPomodoros),
+      focusDuration: this.normalizeFocusDuration(options.focusDuration),
+      notes: this.normalizeNotes(options.notes),
+      project: this.normalizeProject(options.project),
+      tags: this.normalizeTags(options.tags),
+      dueDate: this.normalizeDueDate(options.dueDate),
+      reminderAt: this.normalizeReminder(options.reminderAt),
+      reminderSent: false,
+      recurrence,
+      seriesId: recurrence ? options.seriesId || id : null,
     };
-    
-    this.tasks.set(task.id, task);
-    await this.saveTasks();
-    
-    console.log(`[TaskManager] Created task: ${task.title}`);
-    this.notifyObservers("taskCreated", { task });
-    return task;
   }
 
   getAllTasks() {
@@ -74,10 +166,164 @@ class TaskService {
       if (a.isCompleted && b.isCompleted) {
         return (b.completedAt || 0) - (a.completedAt || 0);
       }
-      return a.createdAt - b.createdAt;
+      // 待完成任务按手动排序，排序值相同（如合并导入）时按创建时间
+      return (a.order ?? 0) - (b.order ?? 0) || a.createdAt - b.createdAt;
     });
   }
 
+  /**
+   * 按条件筛选任务，结果保持 getAllTasks 的排序
+   * @param {Object} criteria - 筛选条件
+   * @param {string} [criteria.text] - 匹配标题、项目、标签、检查项或备注（不区分大小写）
+   * @param {string} [criteria.tag] - 包含该标签
+   * @param {string|null} [criteria.project] - 所属项目，null 表示未分配项目
+   * @param {string} [criteria.status] - "all" | "pending" | "completed"
+   * @param {number} [criteria.from] - 创建时间下限（含）
+   * @param {number} [criteria.to] - 创建时间上限（不含）
+   * @param {string} [criteria.due] - "today" | "upcoming" | "overdue"，按截止日期升序排列
+   * @returns {Array<Task>} 筛选后的任务
+   */
+  filterTasks(criteria = {}) {
+    const text = (criteria.text || "").trim().toLowerCase();
+    const tag = criteria.tag ? this.normalizeTags([criteria.tag])[0] : null;
+    const status = criteria.status || "all";
+    const today = this.getDateKey(Date.now());
+
+    const tasks = this.getAllTasks().filter(task => {
+      if (criteria.due && !this.matchesDueView(task, criteria.due, today)) return false;
+      if (status === "pending" && task.isCompleted) return false;
+      if (status === "completed" && !task.isCompleted) return false;
+      if (tag && !(task.tags || []).includes(tag)) return false;
+      if (criteria.project !== undefined && (task.project || null) !== criteria.project) {
+        return false;
+      }
+      if (criteria.from !== undefined && task.createdAt < criteria.from) return false;
+      if (criteria.to !== undefined && task.createdAt >= criteria.to) return false;
+
+      if (text && !this.matchesText(task, text)) return false;
+      return true;
+    });
+
+    // 日程视图按截止日期排序，同一天内保持原有顺序（sort 是稳定的）
+    if (criteria.due) {
+      tasks.sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+    }
+    return tasks;
+  }
+
+  /**
+   * 标题、项目、标签、检查项或备注是否包含关键字
+   * @param {Task} task - 任务对象
+   * @param {string} text - 小写关键字
+   * @returns {boolean}
+   */
+  matchesText(task, text) {
+    const haystack = [
+      task.title,
+      task.project || "",
+      ...(task.tags || []),
+      ...(task.checklist || []).map(item => item.title),
+      task.notes || "",
+    ].join("\n").toLowerCase();
+    return haystack.includes(text);
+  }
+
+  /**
+   * 判断任务是否属于日程视图
+   * @param {Task} task - 任务对象
+   * @param {string} view - "today" | "upcoming" | "overdue"
+   * @param {string} today - 今天的日期（YYYY-MM-DD）
+   * @returns {boolean}
+   */
+  matchesDueView(task, view, today) {
+    if (!task.dueDate) return false;
+
+    switch (view) {
+      case "today":
+        return task.dueDate === today;
+      case "upcoming":
+        return task.dueDate > today && !task.isCompleted;
+      case "overdue":
+        return task.dueDate < today && !task.isCompleted;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * 各日程视图的任务数
+   * @returns {{today: number, upcoming: number, overdue: number}}
+   */
+  getDueCounts() {
+    const today = this.getDateKey(Date.now());
+    const counts = { today: 0, upcoming: 0, overdue: 0 };
+
+    for (const task of this.tasks.values()) {
+      for (const view of Object.keys(counts)) {
+        if (this.matchesDueView(task, view, today)) counts[view]++;
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * 所有标签及其任务数，按任务数降序
+   * @returns {Array<{tag: string, count: number}>}
+   */
+  getAllTags() {
+    const counts = new Map();
+    for (const task of this.tasks.values()) {
+      for (const tag of task.tags || []) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+    }
+    return Array.from(counts, ([tag, count]) => ({ tag, count })).sort(
+      (a, b) => b.count - a.count || a.tag.localeCompare(b.tag)
+    );
+  }
+
+  /**
+   * 所有项目名，按名称排序
+   * @returns {Array<string>}
+   */
+  getAllProjects() {
+    const projects = new Set();
+    for (const task of this.tasks.values()) {
+      if (task.project) projects.add(task.project);
+    }
+    return Array.from(projects).sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * 调整待完成任务的顺序
+   * @param {string} taskId - 任务ID
+   * @param {number} newIndex - 在待完成任务列表中的目标位置（从0开始）
+   * @returns {Promise<boolean>} 是否调整成功（已完成的任务不参与手动排序）
+   */
+  async reorderTask(taskId, newIndex) {
+    const task = this.tasks.get(taskId);
+    if (!task || task.isCompleted) {
+      console.warn(`[TaskManager] Pending task not found: ${taskId}`);
+      return false;
+    }
+
+    const pending = this.getAllTasks().filter(t => !t.isCompleted);
+    const oldIndex = pending.indexOf(task);
+    const targetIndex = Math.max(0, Math.min(pending.length - 1, Math.trunc(newIndex) || 0));
+    if (oldIndex === targetIndex) return true;
+
+    pending.splice(oldIndex, 1);
+    pending.splice(targetIndex, 0, task);
+    pending.forEach((t, index) => {
+      t.order = index;
+    });
+    await this.saveTasks();
+
+    console.log(`[TaskManager] Moved "${task.title}": ${oldIndex} -> ${targetIndex}`);
+    this.notifyObservers("taskReordered", { task, oldIndex, newIndex: targetIndex });
+    return true;
+  }
+
   getTaskById(taskId) {
     return this.tasks.get(taskId) || null;
   }
@@ -110,6 +356,141 @@ class TaskService {
     return true;
   }
 
+  async updateTaskEstimate(taskId, estimatedPomodoros) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      console.warn(`[TaskManager] Task not found: ${taskId}`);
+      return false;
+    }
+
+    const oldEstimate = task.estimatedPomodoros ?? null;
+    task.estimatedPomodoros = this.normalizeEstimate(estimatedPomodoros);
+    await this.saveTasks();
+
+    console.log(
+      `[TaskManager] Updated estimate for "${task.title}": ${oldEstimate} -> ${task.estimatedPomodoros}`,
+    );
+    this.notifyObservers("taskUpdated", {
+      task,
+      field: "estimatedPomodoros",
+      oldValue: oldEstimate,
+    });
+    return true;
+  }
+
+  async updateTaskFocusDuration(taskId, focusDuration) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      console.warn(`[TaskManager] Task not found: ${taskId}`);
+      return false;
+    }
+
+    const oldDuration = task.focusDuration ?? null;
+    task.focusDuration = this.normalizeFocusDuration(focusDuration);
+    await this.saveTasks();
+
+    console.log(
+      `[TaskManager] Updated focus duration for "${task.title}": ${oldDuration} -> ${task.focusDuration}`,
+    );
+    this.notifyObservers("taskUpdated", {
+      task,
+      field: "focusDuration",
+      oldValue: oldDuration,
+    });
+    return true;
+  }
+
+  async updateTaskNotes(taskId, notes) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      console.warn(`[TaskManager] Task not found: ${taskId}`);
+      return false;
+    }
+
+    const oldNotes = task.notes ?? null;
+    task.notes = this.normalizeNotes(notes);
+    await this.saveTasks();
+
+    console.log(`[TaskManager] Updated notes for "${task.title}"`);
+    this.notifyObservers("taskUpdated", { task, field: "notes", oldValue: oldNotes });
+    return true;
+  }
+
+  async updateTaskSchedule(taskId, { dueDate, reminderAt, recurrence } = {}) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      console.warn(`[TaskManager] Task not found: ${taskId}`);
+      return false;
+    }
+
+    const oldValue = {
+      dueDate: task.dueDate ?? null,
+      reminderAt: task.reminderAt ?? null,
+      recurrence: task.recurrence ?? null,
+    };
+    if (dueDate !== undefined) task.dueDate = this.normalizeDueDate(dueDate);
+    if (recurrence !== undefined) {
+      task.recurrence = this.normalizeRecurrence(recurrence, task.dueDate);
+      if (task.recurrence && !task.seriesId) task.seriesId = task.id;
+    }
+    if (reminderAt !== undefined) {
+      task.reminderAt = this.normalizeReminder(reminderAt);
+      // 修改提醒时间后重新提醒
+      if (task.reminderAt !== oldValue.reminderAt) task.reminderSent = false;
+    }
+    await this.saveTasks();
+
+    console.log(`[TaskManager] Updated schedule for "${task.title}"`);
+    this.notifyObservers("taskUpdated", { task, field: "schedule", oldValue });
+    return true;
+  }
+
+  async markReminderSent(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      console.warn(`[TaskManager] Task not found: ${taskId}`);
+      return false;
+    }
+
+    task.reminderSent = true;
+    const saved = await this.saveTasks();
+    this.notifyObservers("taskUpdated", { task, field: "reminderSent", oldValue: false });
+    return saved;
+  }
+
+  async updateTaskPriority(taskId, priority) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      console.warn(`[TaskManager] Task not found: ${taskId}`);
+      return false;
+    }
+
+    const oldPriority = task.priority ?? null;
+    task.priority = this.normalizePriority(priority);
+    await this.saveTasks();
+
+    console.log(`[TaskManager] Updated priority for "${task.title}": ${oldPriority} -> ${task.priority}`);
+    this.notifyObservers("taskUpdated", { task, field: "priority", oldValue: oldPriority });
+    return true;
+  }
+
+  async updateTaskLabels(taskId, { project, tags } = {}) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      console.warn(`[TaskManager] Task not found: ${taskId}`);
+      return false;
+    }
+
+    const oldValue = { project: task.project ?? null, tags: task.tags || [] };
+    if (project !== undefined) task.project = this.normalizeProject(project);
+    if (tags !== undefined) task.tags = this.normalizeTags(tags);
+    await this.saveTasks();
+
+    console.log(`[TaskManager] Updated labels for "${task.title}"`);
+    this.notifyObservers("taskUpdated", { task, field: "labels", oldValue });
+    return true;
+  }
+
   async toggleTaskCompletion(taskId) {
     const task = this.tasks.get(taskId);
     if (!task) {
@@ -121,14 +502,141 @@ class TaskService {
     task.isCompleted = !task.isCompleted;
     task.completedAt = task.isCompleted ? Date.now() : null;
 
+    // 重复任务完成后生成下一次实例（取消完成再完成不会重复生成）
+    const nextTask =
+      task.isCompleted && task.recurrence && !task.nextInstanceId
+        ? this.createNextInstance(task)
+        : null;
+
     await this.saveTasks();
 
     const action = task.isCompleted ? "completed" : "uncompleted";
     console.log(`[TaskManager] Task ${action}: ${task.title}`);
     this.notifyObservers("taskToggled", { task, wasCompleted });
+    if (task.isCompleted && this.eventBus) {
+      this.eventBus.emit(EventBus.EVENTS.TASK_COMPLETED, { task });
+    }
+
+    if (nextTask) {
+      console.log(`[TaskManager] Created next recurring task due ${nextTask.dueDate}`);
+      this.notifyObservers("taskCreated", { task: nextTask, previousTaskId: task.id });
+    }
     return true;
   }
 
+  /**
+   * 为已完成的重复任务生成下一次实例（调用方负责保存）
+   * 新实例沿用标题、标签、优先级和预估，检查项重置为未完成，番茄钟数从0开始
+   * @param {Task} task - 刚完成的重复任务
+   * @returns {Task} 新实例
+   */
+  createNextInstance(task) {
+    const today = this.getDateKey(Date.now());
+    const dueDate = this.getNextOccurrence(task.recurrence, task.dueDate || today, today);
+
+    // 提醒时间随截止日期顺延相同的天数
+    let reminderAt = null;
+    if (task.reminderAt) {
+      const fromDate = task.dueDate || this.getDateKey(task.reminderAt);
+      reminderAt = task.reminderAt + this.getDaysBetween(fromDate, dueDate) * 86400000;
+    }
+
+    const now = Date.now();
+    const nextTask = {
+      id: this.generateTaskId(now),
+      title: task.title,
+      isCompleted: false,
+      createdAt: now,
+      completedAt: null,
+      pomodoroCount: 0,
+      order: task.order ?? this.getNextOrder(),
+      priority: task.priority ?? null,
+      estimatedPomodoros: task.estimatedPomodoros ?? null,
+      focusDuration: task.focusDuration ?? null,
+      notes: task.notes ?? null,
+      project: task.project ?? null,
+      tags: (task.tags || []).slice(),
+      dueDate,
+      reminderAt,
+      reminderSent: false,
+      recurrence: { ...task.recurrence },
+      seriesId: task.seriesId || task.id,
+    };
+    if (task.checklist) {
+      nextTask.checklist = task.checklist.map((item, index) => ({
+        id: `${now}-${index}-${Math.random().toString(36).slice(2, 8)}`,
+        title: item.title,
+        isCompleted: false,
+      }));
+    }
+
+    task.nextInstanceId = nextTask.id;
+    this.tasks.set(nextTask.id, nextTask);
+    return nextTask;
+  }
+
+  /**
+   * 计算重复规则的下一个日期：严格晚于 fromDate，且不早于 today
+   * @param {Object} recurrence - 重复规则
+   * @param {string} fromDate - 起算日期（YYYY-MM-DD）
+   * @param {string} today - 今天（YYYY-MM-DD）
+   * @returns {string} 下一个日期（YYYY-MM-DD）
+   */
+  getNextOccurrence(recurrence, fromDate, today) {
+    const [year, month, day] = fromDate.split("-").map(Number);
+    const date = new Date(year, month - 1, day);
+
+    if (recurrence.type === "monthly") {
+      let monthIndex = date.getMonth();
+      let next;
+      do {
+        monthIndex++;
+        // 按原定日期计算，月份天数不足时取月末（如1月31日 -> 2月28日）
+        const lastDay = new Date(date.getFullYear(), monthIndex + 1, 0).getDate();
+        next = new Date(date.getFullYear(), monthIndex, Math.min(recurrence.dayOfMonth, lastDay));
+      } while (this.getDateKey(next.getTime()) < today);
+      return this.getDateKey(next.getTime());
+    }
+
+    do {
+      date.setDate(date.getDate() + 1);
+    } while (
+      !this.matchesRecurrenceDay(recurrence, date.getDay()) ||
+      this.getDateKey(date.getTime()) < today
+    );
+    return this.getDateKey(date.getTime());
+  }
+
+  matchesRecurrenceDay(recurrence, weekday) {
+    switch (recurrence.type) {
+      case "weekdays":
+        return weekday >= 1 && weekday <= 5;
+      case "weekly":
+        return recurrence.days.includes(weekday);
+      default:
+        return true;
+    }
+  }
+
+  getDaysBetween(fromDate, toDate) {
+    const toTime = (key) => {
+      const [year, month, day] = key.split("-").map(Number);
+      return new Date(year, month - 1, day).getTime();
+    };
+    return Math.round((toTime(toDate) - toTime(fromDate)) / 86400000);
+  }
+
+  /**
+   * 同一重复系列的所有任务（按创建时间升序）
+   * @param {string} seriesId - 系列ID
+   * @returns {Array<Task>}
+   */
+  getSeriesTasks(seriesId) {
+    return [...this.tasks.values(), ...this.archive.values()]
+      .filter(task => task.seriesId === seriesId)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
   async deleteTask(taskId) {
     const task = this.tasks.get(taskId);
     if (!task) {
@@ -136,16 +644,20 @@ class TaskService {
       return false;
     }
 
+    // 先写回收站再删任务，保存中断时最多出现重复而不会丢失任务
+    this.trash.set(taskId, { task, deletedAt: Date.now(), reason: "deleted" });
+    await this.saveTrash();
     this.tasks.delete(taskId);
     await this.saveTasks();
 
-    console.log(`[TaskManager] Deleted task: ${task.title}`);
-    this.notifyObservers("taskDeleted", { task });
+    console.log(`[TaskManager] Moved task to trash: ${task.title}`);
+    this.notifyObservers("taskDeleted", { task, trashed: true });
     return true;
   }
 
   async incrementPomodoroCount(taskId, count = 1) {
-    const task = this.tasks.get(taskId);
+    // 专注期间任务可能被移入回收站或归档，番茄钟仍记到该任务上
+    const task = this.findStoredTask(taskId);
     if (!task) {
       console.warn(`[TaskManager] Task not found: ${taskId}`);
       return false;
@@ -153,7 +665,13 @@ class TaskService {
 
     const oldCount = task.pomodoroCount;
     task.pomodoroCount += count;
-    await this.saveTasks();
+    if (this.tasks.has(taskId)) {
+      await this.saveTasks();
+    } else if (this.trash.has(taskId)) {
+      await this.saveTrash();
+    } else {
+      await this.saveArchive();
+    }
 
     console.log(
       `[TaskManager] Updated pomodoro count for "${task.title}": ${oldCount} -> ${task.pomodoroCount}`,
@@ -162,16 +680,88 @@ class TaskService {
     return true;
   }
 
-  async clearCompletedTasks() {
-    const completed = [];
-    for (const [id, task] of this.tasks) {
-      if (task.isCompleted) {
-        this.tasks.delete(id);
-        completed.push(task);
-      }
+  // === 检查项（子任务） ===
+
+  async addChecklistItem(taskId, title) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      console.warn(`[TaskManager] Task not found: ${taskId}`);
+      return null;
+    }
+
+    if (!title?.trim()) {
+      throw new Error("Checklist item title is required and must be a non-empty string");
     }
+    if (title.trim().length > 200) {
+      throw new Error("Checklist item title must be 200 characters or less");
+    }
+
+    const item = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      title: title.trim(),
+      isCompleted: false,
+    };
+
+    task.checklist = (task.checklist || []).concat(item);
+    await this.saveTasks();
+
+    console.log(`[TaskManager] Added checklist item to "${task.title}": ${item.title}`);
+    this.notifyObservers("checklistUpdated", { task, item, action: "added" });
+    return item;
+  }
+
+  async toggleChecklistItem(taskId, itemId) {
+    const task = this.tasks.get(taskId);
+    const item = task?.checklist?.find(entry => entry.id === itemId);
+    if (!item) {
+      console.warn(`[TaskManager] Checklist item not found: ${taskId}/${itemId}`);
+      return false;
+    }
+
+    item.isCompleted = !item.isCompleted;
+    await this.saveTasks();
+
+    this.notifyObservers("checklistUpdated", { task, item, action: "toggled" });
+    return true;
+  }
+
+  async removeChecklistItem(taskId, itemId) {
+    const task = this.tasks.get(taskId);
+    const item = task?.checklist?.find(entry => entry.id === itemId);
+    if (!item) {
+      console.warn(`[TaskManager] Checklist item not found: ${taskId}/${itemId}`);
+      return false;
+    }
+
+    task.checklist = task.checklist.filter(entry => entry.id !== itemId);
+    await this.saveTasks();
+
+    console.log(`[TaskManager] Removed checklist item from "${task.title}": ${item.title}`);
+    this.notifyObservers("checklistUpdated", { task, item, action: "removed" });
+    return true;
+  }
+
+  /**
+   * 检查项完成进度
+   * @returns {{done: number, total: number}}
+   */
+  getChecklistProgress(taskId) {
+    const checklist = this.tasks.get(taskId)?.checklist || [];
+    return {
+      done: checklist.filter(item => item.isCompleted).length,
+      total: checklist.length,
+    };
+  }
 
+  async clearCompletedTasks() {
+    const completed = this.getCompletedTasks();
     if (completed.length > 0) {
+      const deletedAt = Date.now();
+      completed.forEach(task =>
+        this.trash.set(task.id, { task, deletedAt, reason: "clearedCompleted" })
+      );
+      await this.saveTrash();
+      completed.forEach(task => this.tasks.delete(task.id));
       await this.saveTasks();
       console.log(`[TaskManager] Cleared ${completed.length} completed tasks`);
       this.notifyObservers("completedTasksCleared", { count: completed.length });
@@ -179,25 +769,610 @@ class TaskService {
     return completed.length;
   }
 
-  getStatistics() {
+  /**
+   * 任务统计：total/completed/pending 只计活动列表，
+   * 完成率、番茄钟数和平均值同时计入已归档的任务
+   */
+  getStatistics(options = {}) {
     const total = this.tasks.size;
     const completed = this.getCompletedTasks().length;
     const pending = total - completed;
-    const totalPomodoros = Array.from(this.tasks.values()).reduce(
-      (sum, task) => sum + task.pomodoroCount, 0
-    );
+    const archived = this.archive.size;
+    const sumPomodoros = tasks => tasks.reduce((sum, task) => sum + task.pomodoroCount, 0);
+    const taskPomodoros = sumPomodoros(Array.from(this.tasks.values()));
+    const archivedPomodoros = sumPomodoros(Array.from(this.archive.values()));
+    // 回收站中任务的番茄钟已经投入，仍计入总数
+    const trashedPomodoros = sumPomodoros(this.getTrashedTasks().map(entry => entry.task));
+    const allTotal = total + archived;
 
     return {
       total,
       completed,
       pending,
-      completionRate: total > 0 ? ((completed / total) * 100).toFixed(1) : 0,
-      totalPomodoros,
-      averagePomodoros: total > 0 ? (totalPomodoros / total).toFixed(1) : 0,
+      archived,
+      completionRate: allTotal > 0 ? (((completed + archived) / allTotal) * 100).toFixed(1) : 0,
+      totalPomodoros: taskPomodoros + archivedPomodoros + trashedPomodoros,
+      archivedPomodoros,
+      trashedPomodoros,
+      averagePomodoros:
+        allTotal > 0 ? ((taskPomodoros + archivedPomodoros) / allTotal).toFixed(1) : 0,
+      estimation: this.getEstimationStatistics(),
+      ...(options.groupBy === "project" && { byProject: this.getProjectStatistics() }),
+    };
+  }
+
+  /**
+   * 按项目分组的任务统计，未分配项目的任务归入 project: null
+   * 已归档的任务按已完成计入，回收站中的任务只计入番茄钟数
+   * @returns {Array<Object>} {project, total, completed, pomodoros}，按番茄钟数降序
+   */
+  getProjectStatistics() {
+    const groups = new Map();
+    const getGroup = (task) => {
+      const project = task.project || null;
+      if (!groups.has(project)) {
+        groups.set(project, { project, total: 0, completed: 0, pomodoros: 0 });
+      }
+      return groups.get(project);
+    };
+
+    for (const task of [...this.tasks.values(), ...this.archive.values()]) {
+      const group = getGroup(task);
+      group.total++;
+      if (task.isCompleted) group.completed++;
+      group.pomodoros += task.pomodoroCount;
+    }
+    for (const { task } of this.trash.values()) {
+      if (task.pomodoroCount > 0) {
+        getGroup(task).pomodoros += task.pomodoroCount;
+      }
+    }
+
+    return Array.from(groups.values()).sort(
+      (a, b) => b.pomodoros - a.pomodoros || b.total - a.total
+    );
+  }
+
+  /**
+   * 已完成任务的预估准确度
+   * 单个任务准确度 = min(预估, 实际) / max(预估, 实际)，没有专注记录的任务不计入
+   */
+  getEstimationStatistics() {
+    const samples = [...this.getCompletedTasks(), ...this.archive.values()].filter(
+      task => task.estimatedPomodoros > 0 && task.pomodoroCount > 0
+    );
+
+    const totalEstimated = samples.reduce((sum, task) => sum + task.estimatedPomodoros, 0);
+    const totalActual = samples.reduce((sum, task) => sum + task.pomodoroCount, 0);
+    const ratioSum = samples.reduce(
+      (sum, task) =>
+        sum +
+        Math.min(task.estimatedPomodoros, task.pomodoroCount) /
+          Math.max(task.estimatedPomodoros, task.pomodoroCount),
+      0
+    );
+
+    return {
+      taskCount: samples.length,
+      totalEstimated,
+      totalActual,
+      overrunCount: samples.filter(task => task.pomodoroCount > task.estimatedPomodoros).length,
+      accuracy: samples.length > 0 ? Math.round((ratioSum / samples.length) * 100) : null,
+    };
+  }
+
+  // === 纯文本导入 ===
+
+  /**
+   * 解析一行任务文本中的标记：#标签、+项目、~预估番茄钟数
+   * 标记需以空白分隔；以数字开头的 #、+ 视为标题的一部分（如 "#1"）
+   * @param {string} text - 任务文本
+   * @returns {Object} {title, project, tags, estimatedPomodoros}
+   */
+  parseTaskLine(text) {
+    const tags = [];
+    let project = null;
+    let estimatedPomodoros = null;
+
+    const title = text
+      .replace(/(^|\s)~(\d+)(?=\s|$)/g, (match, space, estimate) => {
+        estimatedPomodoros = Number(estimate);
+        return space;
+      })
+      .replace(/(^|\s)([#+])([^\s#+\d][^\s]*)/g, (match, space, marker, name) => {
+        if (marker === "#") {
+          tags.push(name);
+        } else {
+          project = name;
+        }
+        return space;
+      })
+      .replace(/\s+/g, " ")
+      .trim();
+
+    return { title, project, tags, estimatedPomodoros };
+  }
+
+  /**
+   * 从纯文本列表导入任务，每行一个任务
+   * 忽略空行，并去掉 "- "、"* "、"- [ ] "、"1. " 等列表前缀；
+   * 每个任务都按 createTask 的规则校验，无效的行记录到 errors 中而不中断导入，
+   * 有效的任务通过 addImportedTasks 一次写入
+   * @param {string} text - 纯文本内容
+   * @returns {Promise<Object>} {created: Task[], errors: [{line, text, message}]}
+   */
+  async importTasksFromText(text) {
+    const tasks = [];
+    const errors = [];
+    const lines = String(text || "").split(/\r?\n/);
+
+    for (let index = 0; index < lines.length; index++) {
+      const content = lines[index]
+        .replace(/^\s*(?:[-*•]\s+(?:\[[ xX]\]\s+)?|\d+[.)]\s+)/, "")
+        .trim();
+      if (!content) continue;
+
+      try {
+        const { title, ...options } = this.parseTaskLine(content);
+        tasks.push(this.buildTask(title, options));
+      } catch (error) {
+        errors.push({ line: index + 1, text: content, message: error.message });
+      }
+    }
+
+    const created = await this.addImportedTasks(tasks);
+    console.log(
+      `[TaskManager] Imported ${created.length} tasks from text (${errors.length} skipped)`,
+    );
+    return { created, errors };
+  }
+
+  /**
+   * 批量加入导入的任务（纯文本、Todo.txt），重新分配ID和排序值，只写入一次
+   * 已完成且超过归档天数的任务随后直接归档
+   * @param {Array<Task>} tasks - 已校验的任务
+   * @returns {Promise<Array<Task>>} 加入的任务
+   */
+  async addImportedTasks(tasks) {
+    if (tasks.length === 0) return [];
+
+    const now = Date.now();
+    const added = tasks.map(task => {
+      const imported = { ...task, id: this.generateTaskId(now), order: this.getNextOrder() };
+      this.tasks.set(imported.id, imported);
+      return imported;
+    });
+    await this.saveTasks();
+
+    console.log(`[TaskManager] Added ${added.length} imported tasks`);
+    this.notifyObservers("tasksImported", { tasks: added });
+    await this.archiveCompletedTasks();
+    return added;
+  }
+
+  // === 回收站 ===
+
+  /**
+   * 获取回收站中的任务，最近删除的在前
+   * @returns {Array<Object>} {task, deletedAt, reason}
+   */
+  getTrashedTasks() {
+    return Array.from(this.trash.values()).sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  /**
+   * 按ID查找任务，包括回收站和归档中的任务（用于统计历史会话）
+   * @param {string} taskId - 任务ID
+   * @returns {Task|null}
+   */
+  findStoredTask(taskId) {
+    return (
+      this.tasks.get(taskId) ||
+      this.trash.get(taskId)?.task ||
+      this.archive.get(taskId) ||
+      null
+    );
+  }
+
+  async restoreTask(taskId) {
+    const entry = this.trash.get(taskId);
+    if (!entry) {
+      console.warn(`[TaskManager] Trashed task not found: ${taskId}`);
+      return false;
+    }
+
+    // 恢复的待完成任务排到列表末尾，避免与现有排序冲突
+    const task = entry.task;
+    if (!task.isCompleted) {
+      task.order = this.getNextOrder();
+    }
+
+    this.tasks.set(taskId, task);
+    await this.saveTasks();
+    this.trash.delete(taskId);
+    await this.saveTrash();
+
+    console.log(`[TaskManager] Restored task: ${task.title}`);
+    this.notifyObservers("taskRestored", { task });
+    return true;
+  }
+
+  async purgeTask(taskId) {
+    const entry = this.trash.get(taskId);
+    if (!entry) {
+      console.warn(`[TaskManager] Trashed task not found: ${taskId}`);
+      return false;
+    }
+
+    this.trash.delete(taskId);
+    await this.saveTrash();
+
+    console.log(`[TaskManager] Permanently deleted task: ${entry.task.title}`);
+    this.notifyObservers("taskPurged", { tasks: [entry.task] });
+    return true;
+  }
+
+  async emptyTrash() {
+    const tasks = Array.from(this.trash.values()).map(entry => entry.task);
+    if (tasks.length === 0) return 0;
+
+    this.trash.clear();
+    await this.saveTrash();
+
+    console.log(`[TaskManager] Emptied trash (${tasks.length} tasks)`);
+    this.notifyObservers("taskPurged", { tasks });
+    return tasks.length;
+  }
+
+  /**
+   * 永久删除超过保留期限的回收站任务
+   * @param {number} now - 当前时间戳
+   * @returns {Promise<number>} 删除的任务数量
+   */
+  async purgeExpiredTrash(now = Date.now()) {
+    const cutoff = now - this.trashRetentionDays * 24 * 60 * 60 * 1000;
+    const expired = [];
+    for (const [id, entry] of this.trash) {
+      if (entry.deletedAt < cutoff) {
+        this.trash.delete(id);
+        expired.push(entry.task);
+      }
+    }
+
+    if (expired.length > 0) {
+      await this.saveTrash();
+      console.log(`[TaskManager] Purged ${expired.length} expired tasks from trash`);
+      this.notifyObservers("taskPurged", { tasks: expired, expired: true });
+    }
+    return expired.length;
+  }
+
+  /**
+   * 设置回收站保留天数，并立即清理超期任务
+   * @param {number} days - 保留天数（1-365）
+   */
+  async setTrashRetention(days) {
+    const value = Number(days);
+    if (!Number.isInteger(value) || value < 1 || value > 365) {
+      throw new Error("Trash retention must be an integer between 1 and 365 days");
+    }
+
+    const saved = await this.saveSetting("trashRetentionDays", value);
+    if (!saved) return false;
+
+    this.trashRetentionDays = value;
+    this.notifyObservers("trashRetentionChanged", { days: value });
+    await this.purgeExpiredTrash();
+    return true;
+  }
+
+  async loadTrash() {
+    const [entries, settings] = await Promise.all([
+      this.storage.loadTrash(),
+      this.storage.loadSettings(),
+    ]);
+    this.trash = new Map(entries.map(entry => [entry.task.id, entry]));
+    this.trashRetentionDays = settings.trashRetentionDays ?? this.trashRetentionDays;
+    await this.purgeExpiredTrash();
+  }
+
+  // === 归档 ===
+
+  /**
+   * 获取已归档的任务，最近完成的在前
+   * @param {string} [text] - 关键字，匹配标题、项目、标签、检查项或备注
+   * @returns {Array<Task>}
+   */
+  getArchivedTasks(text = "") {
+    const keyword = text.trim().toLowerCase();
+    return Array.from(this.archive.values())
+      .filter(task => !keyword || this.matchesText(task, keyword))
+      .sort((a, b) => b.completedAt - a.completedAt);
+  }
+
+  /**
+   * 按完成日期分组已归档的任务
+   * @param {string} [text] - 关键字
+   * @returns {Array<Object>} {date: "YYYY-MM-DD", tasks}，日期降序
+   */
+  getArchiveGroups(text = "") {
+    const groups = new Map();
+    for (const task of this.getArchivedTasks(text)) {
+      const date = this.getDateKey(task.completedAt);
+      if (!groups.has(date)) groups.set(date, []);
+      groups.get(date).push(task);
+    }
+    return Array.from(groups, ([date, tasks]) => ({ date, tasks }));
+  }
+
+  /**
+   * 将完成超过 archiveAfterDays 天的任务移出活动列表
+   * @param {number} now - 当前时间戳
+   * @returns {Promise<number>} 归档的任务数量
+   */
+  async archiveCompletedTasks(now = Date.now()) {
+    const cutoff = now - this.archiveAfterDays * 24 * 60 * 60 * 1000;
+    const tasks = this.getCompletedTasks().filter(task => (task.completedAt || 0) < cutoff);
+    if (tasks.length === 0) return 0;
+
+    // 先写归档再删任务，保存中断时最多出现重复而不会丢失任务
+    tasks.forEach(task => this.archive.set(task.id, task));
+    await this.saveArchive();
+    tasks.forEach(task => this.tasks.delete(task.id));
+    await this.saveTasks();
+
+    console.log(`[TaskManager] Archived ${tasks.length} completed tasks`);
+    this.notifyObservers("tasksArchived", { tasks });
+    return tasks.length;
+  }
+
+  /**
+   * 设置自动归档天数，并立即归档符合条件的任务
+   * @param {number} days - 完成多少天后归档（1-365）
+   */
+  async setArchiveAfterDays(days) {
+    const value = Number(days);
+    if (!Number.isInteger(value) || value < 1 || value > 365) {
+      throw new Error("Archive age must be an integer between 1 and 365 days");
+    }
+
+    const saved = await this.saveSetting("archiveAfterDays", value);
+    if (!saved) return false;
+
+    this.archiveAfterDays = value;
+    this.notifyObservers("archiveSettingsChanged", { days: value });
+    await this.archiveCompletedTasks();
+    return true;
+  }
+
+  async loadArchive() {
+    const [archived, settings] = await Promise.all([
+      this.storage.loadArchive(),
+      this.storage.loadSettings(),
+    ]);
+    // 同一任务同时出现在活动列表（如导入备份后）时以活动列表为准
+    this.archive = new Map(
+      archived.filter(task => !this.tasks.has(task.id)).map(task => [task.id, task])
+    );
+    this.archiveAfterDays = settings.archiveAfterDays ?? this.archiveAfterDays;
+    await this.archiveCompletedTasks();
+  }
+
+  async saveArchive() {
+    try {
+      return await this.storage.saveArchive(Array.from(this.archive.values()));
+    } catch (error) {
+      console.error("[TaskService] Failed to save archive:", error);
+      return false;
+    }
+  }
+
+  /**
+   * 修改单个设置字段并保存
+   * @param {string} field - 设置字段
+   * @param {*} value - 新值
+   * @returns {Promise<boolean>} 保存是否成功
+   */
+  async saveSetting(field, value) {
+    const settings = await this.storage.loadSettings();
+    settings[field] = value;
+    return this.storage.saveSettings(settings);
+  }
+
+  async saveTrash() {
+    try {
+      return await this.storage.saveTrash(Array.from(this.trash.values()));
+    } catch (error) {
+      console.error("[TaskService] Failed to save trash:", error);
+      return false;
+    }
+  }
+
+  // === 跨标签页同步 ===
+
+  /**
+   * 监听其他标签页对任务和设置的修改
+   */
+  setupCrossTabSync() {
+    if (this.tasksListenerId !== null || typeof GM_addValueChangeListener !== "function") {
+      return;
+    }
+
+    this.tasksListenerId = GM_addValueChangeListener(
+      this.storage.STORAGE_KEYS.TASKS,
+      (name, oldValue, newValue, remote) => {
+        if (remote) {
+          this.handleRemoteTasksChange();
+        }
+      },
+    );
+    // 恢复、永久删除和清理只写回收站或归档；不重新读取的话，本标签页下次整体写入会覆盖这些变化
+    const onRemoteTrashOrArchive = (name, oldValue, newValue, remote) => {
+      if (remote) {
+        this.handleRemoteTrashOrArchiveChange();
+      }
     };
+    this.trashListenerId = GM_addValueChangeListener(
+      this.storage.STORAGE_KEYS.TRASH,
+      onRemoteTrashOrArchive,
+    );
+    this.archiveListenerId = GM_addValueChangeListener(
+      this.storage.STORAGE_KEYS.ARCHIVE,
+      onRemoteTrashOrArchive,
+    );
+    this.settingsListenerId = GM_addValueChangeListener(
+      this.storage.STORAGE_KEYS.SETTINGS,
+      (name, oldValue, newValue, remote) => {
+        if (remote) {
+          this.handleRemoteSettingsChange();
+        }
+      },
+    );
+  }
+
+  /**
+   * 其他标签页写入回收站或归档后，排入保存队列重新读取两者，并发出 tasksReloaded 事件（带 remote: true）
+   * @returns {Promise<void>}
+   */
+  handleRemoteTrashOrArchiveChange() {
+    const result = this.saveQueue.then(async () => {
+      await this.reloadTrashAndArchive();
+      this.notifyObservers("tasksReloaded", { remote: true });
+    });
+    this.saveQueue = result.catch(() => false);
+    return result;
   }
 
-  // === 观察者模式API - 完全兼容 ===
+  /**
+   * 从存储重新读取回收站和归档（只读取，不在本标签页再次清理或归档，避免重复写入）
+   */
+  async reloadTrashAndArchive() {
+    this.trash = new Map((await this.storage.loadTrash()).map(entry => [entry.task.id, entry]));
+    this.archive = new Map(
+      (await this.storage.loadArchive())
+        .filter(task => !this.tasks.has(task.id))
+        .map(task => [task.id, task])
+    );
+  }
+
+  /**
+   * 同步其他标签页修改的回收站保留天数和自动归档天数
+   * 清理和归档由修改设置的标签页完成，这里只更新数值
+   */
+  async handleRemoteSettingsChange() {
+    try {
+      const settings = await this.storage.loadLatestSettings();
+
+      if (settings.trashRetentionDays !== this.trashRetentionDays) {
+        this.trashRetentionDays = settings.trashRetentionDays;
+        this.notifyObservers("trashRetentionChanged", { days: this.trashRetentionDays, remote: true });
+      }
+      if (settings.archiveAfterDays !== this.archiveAfterDays) {
+        this.archiveAfterDays = settings.archiveAfterDays;
+        this.notifyObservers("archiveSettingsChanged", { days: this.archiveAfterDays, remote: true });
+      }
+    } catch (error) {
+      console.warn("[TaskService] Ignored unreadable remote settings change:", error);
+    }
+  }
+
+  /**
+   * 其他标签页写入任务后排入保存队列，避免与本标签页正在进行的合并写入交错
+   * 事件中的新值可能已过时，应用时重新读取存储中的最新版本
+   * @returns {Promise<void>}
+   */
+  handleRemoteTasksChange() {
+    const result = this.saveQueue.then(() => this.applyRemoteTasks());
+    this.saveQueue = result.catch(() => false);
+    return result;
+  }
+
+  /**
+   * 将存储中的最新任务同步到本地，并按任务发出 taskCreated / taskUpdated / taskDeleted 事件（带 remote: true）
+   * 本地有尚未保存的修改的任务保持不变，由随后的合并写入处理
+   */
+  async applyRemoteTasks() {
+    let latest;
+    try {
+      latest = await this.storage.loadLatestTasks();
+    } catch (error) {
+      console.warn("[TaskService] Ignored unreadable remote task change:", error);
+      return;
+    }
+
+    const remote = new Map(latest.map(t => [t.id, t]));
+    const isDirty = (task) => {
+      const base = this.savedSnapshots.get(task.id);
+      return !base || this.getChangedFields(base, task).length > 0;
+    };
+    const created = [];
+    const updated = [];
+    const deleted = [];
+
+    for (const [id, task] of remote) {
+      const local = this.tasks.get(id);
+      if (!local) {
+        // 本地已删除但尚未保存的任务不再加回
+        if (this.savedSnapshots.has(id)) continue;
+        this.tasks.set(id, task);
+        created.push(task);
+      } else {
+        if (isDirty(local)) continue;
+        const fields = this.getChangedFields(local, task);
+        this.replaceTaskFields(local, task);
+        if (fields.length > 0) updated.push({ task: local, fields });
+      }
+      this.savedSnapshots.set(id, JSON.parse(JSON.stringify(task)));
+    }
+
+    for (const [id, local] of Array.from(this.tasks)) {
+      if (remote.has(id) || isDirty(local)) continue;
+      this.tasks.delete(id);
+      this.savedSnapshots.delete(id);
+      deleted.push(local);
+    }
+
+    if (deleted.length > 0) {
+      // 被删除的任务已由其他标签页移入回收站或归档
+      await this.reloadTrashAndArchive();
+    }
+
+    if (created.length + updated.length + deleted.length === 0) return;
+
+    console.log(
+      `[TaskService] Synced remote changes: +${created.length} ~${updated.length} -${deleted.length}`,
+    );
+    created.forEach(task => this.notifyObservers("taskCreated", { task, remote: true }));
+    updated.forEach(({ task, fields }) =>
+      this.notifyObservers("taskUpdated", { task, fields, remote: true })
+    );
+    deleted.forEach(task =>
+      this.notifyObservers("taskDeleted", { task, trashed: this.trash.has(task.id), remote: true })
+    );
+  }
+
+  /**
+   * 停止跨标签页同步
+   */
+  destroy() {
+    if (typeof GM_removeValueChangeListener === "function") {
+      for (const listenerId of [
+        this.tasksListenerId,
+        this.trashListenerId,
+        this.archiveListenerId,
+        this.settingsListenerId,
+      ]) {
+        if (listenerId !== null) GM_removeValueChangeListener(listenerId);
+      }
+    }
+    this.tasksListenerId = null;
+    this.trashListenerId = null;
+    this.archiveListenerId = null;
+    this.settingsListenerId = null;
+    console.log("[TaskService] Destroyed");
+  }
+
+  // === 观察者模式API - 完全兼容，同时发布到事件总线 ===
 
   addObserver(observer) {
     if (typeof observer === "function") {
@@ -217,25 +1392,390 @@ class TaskService {
         console.error("[TaskManager] Observer error:", error);
       }
     }
+    if (this.eventBus && this.BUS_EVENTS[event]) {
+      this.eventBus.emit(this.BUS_EVENTS[event], data);
+    }
   }
 
 
   // === 内部实现辅助方法 ===
 
+  /**
+   * 规范化任务备注（Markdown文本），空白备注视为无备注
+   * @param {string|null} value - 备注
+   * @returns {string|null}
+   */
+  normalizeNotes(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    if (typeof value !== "string") {
+      throw new Error("Task notes must be a string");
+    }
+
+    const notes = value.replace(/\s+$/, "");
+    if (notes.length > this.MAX_NOTES_LENGTH) {
+      throw new Error(`Task notes must be at most ${this.MAX_NOTES_LENGTH} characters`);
+    }
+    return notes.trim() ? notes : null;
+  }
+
+  /**
+   * 规范化任务的专注时长偏好（分钟），未设置时使用计时设置中的默认时长
+   * @param {number|string|null} value - 分钟数
+   * @returns {number|null}
+   */
+  normalizeFocusDuration(value) {
+    if (value === undefined || value === null || value === "") {
+      return null;
+    }
+
+    const minutes = Number(value);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > 120) {
+      throw new Error("Focus duration must be an integer between 1 and 120 minutes");
+    }
+    return minutes;
+  }
+
+  normalizeEstimate(value) {
+    if (value === undefined || value === null || value === "") {
+      return null;
+    }
+
+    const estimate = Number(value);
+    if (!Number.isInteger(estimate) || estimate < 1 || estimate > 99) {
+      throw new Error("Estimated pomodoros must be an integer between 1 and 99");
+    }
+    return estimate;
+  }
+
+  normalizePriority(value) {
+    if (value === undefined || value === null || value === "") {
+      return null;
+    }
+    if (!this.PRIORITIES.includes(value)) {
+      throw new Error(`Priority must be one of: ${this.PRIORITIES.join(", ")}`);
+    }
+    return value;
+  }
+
+  /**
+   * 规范化重复规则
+   * @param {Object|string|null} value - {type, days?, dayOfMonth?} 或类型字符串
+   * @param {string|null} dueDate - 截止日期，用于补齐每周的星期和每月的日期
+   * @returns {Object|null} 规范化的重复规则
+   */
+  normalizeRecurrence(value, dueDate = null) {
+    if (value === undefined || value === null || value === "") {
+      return null;
+    }
+
+    const rule = typeof value === "string" ? { type: value } : value;
+    if (!this.RECURRENCE_TYPES.includes(rule.type)) {
+      throw new Error(`Recurrence type must be one of: ${this.RECURRENCE_TYPES.join(", ")}`);
+    }
+
+    const anchor = dueDate
+      ? new Date(`${dueDate}T00:00:00`)
+      : new Date();
+
+    if (rule.type === "weekly") {
+      const days = Array.from(new Set(rule.days || [])).sort((a, b) => a - b);
+      if (days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        throw new Error("Weekly recurrence days must be integers between 0 and 6");
+      }
+      return { type: "weekly", days: days.length > 0 ? days : [anchor.getDay()] };
+    }
+
+    if (rule.type === "monthly") {
+      const dayOfMonth = rule.dayOfMonth ?? anchor.getDate();
+      if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+        throw new Error("Monthly recurrence day must be between 1 and 31");
+      }
+      return { type: "monthly", dayOfMonth };
+    }
+
+    return { type: rule.type };
+  }
+
+  normalizeDueDate(value) {
+    if (value === undefined || value === null || value === "") {
+      return null;
+    }
+    if (!this.storage.isValidDateString(value)) {
+      throw new Error("Due date must be a valid YYYY-MM-DD date");
+    }
+    return value;
+  }
+
+  normalizeReminder(value) {
+    if (value === undefined || value === null || value === "") {
+      return null;
+    }
+    const timestamp = Number(value);
+    if (!Number.isFinite(timestamp) || timestamp <= 0) {
+      throw new Error("Reminder time must be a valid timestamp");
+    }
+    return timestamp;
+  }
+
+  /**
+   * 时间戳对应的本地日期
+   * @param {number} timestamp - 时间戳
+   * @returns {string} YYYY-MM-DD
+   */
+  getDateKey(timestamp) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * 生成任务ID：时间戳加随机后缀，多个标签页在同一毫秒创建任务也不会重复
+   * @param {number} now - 当前时间戳
+   * @returns {string}
+   */
+  generateTaskId(now) {
+    let id;
+    do {
+      id = `${now}-${Math.random().toString(36).slice(2, 10)}`;
+    } while (this.findStoredTask(id));
+    return id;
+  }
+
+  getNextOrder() {
+    let max = -1;
+    for (const task of this.tasks.values()) {
+      if (typeof task.order === "number" && task.order > max) max = task.order;
+    }
+    return max + 1;
+  }
+
+  normalizeProject(value) {
+    const project = typeof value === "string" ? value.trim().replace(/^\+/, "") : "";
+    if (project.length > 50) {
+      throw new Error("Project name must be 50 characters or less");
+    }
+    return project || null;
+  }
+
+  /**
+   * 标签统一为去掉 # 前缀的小写形式，并去重
+   * @param {Array<string>|string} value - 标签数组或逗号/空格分隔的字符串
+   */
+  normalizeTags(value) {
+    const raw = Array.isArray(value) ? value : String(value ?? "").split(/[\s,，]+/);
+    const tags = [];
+
+    for (const entry of raw) {
+      const tag = String(entry).trim().replace(/^#/, "").toLowerCase();
+      if (!tag) continue;
+      if (tag.length > 30) {
+        throw new Error("Tags must be 30 characters or less");
+      }
+      if (!tags.includes(tag)) tags.push(tag);
+    }
+    return tags;
+  }
+
+  /**
+   * 保存任务：与存储中的最新版本合并后写入，而不是直接覆盖
+   * 同一标签页的保存依次执行，保证每次合并都基于上一次写入后的副本
+   * @returns {Promise<boolean>} 保存是否成功
+   */
   async saveTasks() {
     if (!this.storage) {
       console.error("[TaskService] Storage not initialized");
       return false;
     }
 
+    const result = this.saveQueue.then(() => this.mergeAndSaveTasks());
+    this.saveQueue = result.catch(() => false);
+    return result;
+  }
+
+  /**
+   * 合并写入
+   * 1. 本标签页修改过的任务：存储中的修订号未变时直接写入；
+   *    其他标签页也修改过时按字段合并，两边改了同一字段时以本次写入为准并报告冲突
+   * 2. 番茄钟计数按增量合并，两边的计数都保留
+   * 3. 删除优先：一边删除、另一边修改的任务最终删除，并报告冲突
+   * 4. 其他标签页新增或修改、本标签页未改动的任务原样保留
+   * 写入成功后本地任务更新为合并结果，冲突通过 taskConflict 事件通知，
+   * 其他标签页带来的变化通过 tasksMerged 事件通知
+   * @returns {Promise<boolean>} 保存是否成功
+   */
+  async mergeAndSaveTasks() {
     try {
-      // 转换Map为Array只在保存时
-      const data = Array.from(this.tasks.values());
-      return await this.storage.saveTasks(data);
+      const stored = new Map((await this.storage.loadLatestTasks()).map(t => [t.id, t]));
+      const merged = new Map(stored);
+      const conflicts = [];
+
+      for (const [id, task] of this.tasks) {
+        const base = this.savedSnapshots.get(id);
+        if (base && this.getChangedFields(base, task).length === 0) continue;
+
+        const latest = stored.get(id);
+        if (base && !latest) {
+          // 其他标签页已删除（移入回收站或归档），放弃本地修改
+          merged.delete(id);
+          conflicts.push({ type: "deleted", taskId: id, title: task.title, fields: [] });
+          continue;
+        }
+
+        const baseRevision = base ? base.revision || 0 : 0;
+        if (!latest || (base && (latest.revision || 0) === baseRevision)) {
+          merged.set(id, { ...task, revision: Math.max(baseRevision, task.revision || 0) + 1 });
+          continue;
+        }
+
+        const { result, fields } = this.mergeTask(base, task, latest);
+        merged.set(id, { ...result, revision: (latest.revision || 0) + 1 });
+        if (fields.length > 0) {
+          conflicts.push({ type: "modified", taskId: id, title: task.title, fields });
+        }
+      }
+
+      for (const [id, base] of this.savedSnapshots) {
+        if (this.tasks.has(id) || !stored.has(id)) continue;
+
+        const latest = stored.get(id);
+        merged.delete(id);
+        if ((latest.revision || 0) !== (base.revision || 0)) {
+          conflicts.push({
+            type: "deleted",
+            taskId: id,
+            title: latest.title,
+            fields: this.getChangedFields(base, latest),
+          });
+        }
+      }
+
+      const saved = await this.storage.saveTasks(Array.from(merged.values()));
+      if (!saved) return false;
+
+      const remoteIds = this.applyMergedTasks(merged);
+      this.takeSnapshots();
+
+      if (conflicts.length > 0) {
+        console.warn(`[TaskService] Resolved ${conflicts.length} task write conflicts`);
+        this.notifyObservers("taskConflict", { conflicts });
+      }
+      if (remoteIds.length > 0) {
+        this.notifyObservers("tasksMerged", { taskIds: remoteIds });
+      }
+      return true;
     } catch (error) {
       console.error("[TaskService] Failed to save tasks:", error);
       return false;
     }
   }
-}
 
+  /**
+   * 按字段合并同一任务的本地修改和其他标签页的修改
+   * @param {Task|undefined} base - 本地修改前的副本（本地新建时为空）
+   * @param {Task} local - 本地任务
+   * @param {Task} latest - 存储中的最新任务
+   * @returns {Object} {result: 合并后的任务, fields: 两边都修改过的字段}
+   */
+  mergeTask(base, local, latest) {
+    const result = { ...latest };
+    const fields = [];
+    const localFields = base ? this.getChangedFields(base, local) : Object.keys(local);
+
+    for (const field of localFields) {
+      if (field === "revision") continue;
+
+      if (field === "pomodoroCount" && base) {
+        result.pomodoroCount = Math.max(
+          0,
+          (latest.pomodoroCount || 0) + (local.pomodoroCount || 0) - (base.pomodoroCount || 0),
+        );
+        continue;
+      }
+
+      const remoteValue = JSON.stringify(latest[field]);
+      if (
+        (!base || remoteValue !== JSON.stringify(base[field])) &&
+        remoteValue !== JSON.stringify(local[field])
+      ) {
+        fields.push(field);
+      }
+
+      if (local[field] === undefined) {
+        delete result[field];
+      } else {
+        result[field] = local[field];
+      }
+    }
+
+    return { result, fields };
+  }
+
+  /**
+   * 列出两个任务副本中值不同的字段（忽略修订号）
+   * @param {Task} a - 任务
+   * @param {Task} b - 任务
+   * @returns {Array<string>}
+   */
+  getChangedFields(a, b) {
+    const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+    fields.delete("revision");
+    return [...fields].filter(field => JSON.stringify(a[field]) !== JSON.stringify(b[field]));
+  }
+
+  /**
+   * 用合并结果更新本地任务，保留已有任务对象的引用（组件可能持有）
+   * @param {Map<string, Task>} merged - 合并后的任务
+   * @returns {Array<string>} 因其他标签页的修改而变化的任务ID
+   */
+  applyMergedTasks(merged) {
+    const remoteIds = [];
+
+    for (const id of Array.from(this.tasks.keys())) {
+      if (!merged.has(id)) {
+        this.tasks.delete(id);
+        remoteIds.push(id);
+      }
+    }
+
+    for (const [id, task] of merged) {
+      const local = this.tasks.get(id);
+      if (!local) {
+        // 本地刚删除的任务已从合并结果中移除，这里只会是其他标签页新增的任务
+        this.tasks.set(id, task);
+        remoteIds.push(id);
+        continue;
+      }
+
+      if (this.getChangedFields(local, task).length > 0) {
+        remoteIds.push(id);
+      }
+      this.replaceTaskFields(local, task);
+    }
+
+    return remoteIds;
+  }
+
+  /**
+   * 用另一份任务数据原地替换任务对象的字段
+   * @param {Task} target - 被替换的任务对象
+   * @param {Task} source - 新的任务数据
+   */
+  replaceTaskFields(target, source) {
+    for (const field of Object.keys(target)) {
+      if (!(field in source)) delete target[field];
+    }
+    Object.assign(target, source);
+  }
+
+  /**
+   * 记录当前任务的副本，作为下一次合并写入的基准
+   */
+  takeSnapshots() {
+    this.savedSnapshots = new Map(
+      Array.from(this.tasks.values()).map(task => [task.id, JSON.parse(JSON.stringify(task))]),
+    );
+  }
+}
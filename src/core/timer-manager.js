@@ -4,17 +4,22 @@
  * 职责：
  * 1. 番茄钟计时器的核心逻辑
  * 2. 计时器状态管理（idle, running, paused, completed）
+ *    与番茄钟周期阶段管理（focus → shortBreak → ... → longBreak）
  * 3. 倒计时逻辑和实时更新
  * 4. 观察者模式事件通知
  * 5. 桌面通知集成
  * 6. 计时器状态持久化
- * 7. 跨标签页同步处理
+ * 7. 跨标签页同步处理：只有主标签页（LeaderService 选出）推进倒计时、完成计时和发送通知，
+ *    其他标签页按共享的计时器状态显示，并转发带 remote: true 的事件
+ * 8. 计时设置（专注、休息、延长时长和长休息间隔），所有启动入口共用
  */
 
 class TimerService {
-  constructor(storage) {
+  constructor(storage, leaderService = null, eventBus = null) {
     // 依赖注入 - 显式优于隐式
     this.storage = storage;
+    this.leaderService = leaderService; // 未注入时本标签页视为主标签页
+    this.eventBus = eventBus;
 
     // 计时器状态
     this.status = "idle"; // idle, running, paused, completed
@@ -25,9 +30,44 @@ class TimerService {
     this.totalSeconds = 1500; // 默认25分钟
     this.intervalId = null;
 
+    // 番茄钟周期状态
+    this.phase = "focus"; // focus, shortBreak, longBreak
+    this.completedPomodoros = 0; // 当前周期内已完成的番茄钟数
+
+    // 周期配置（秒），initialize时从设置加载
+    this.cycleSettings = {
+      focusSeconds: 1500,
+      extendSeconds: 900,
+      shortBreakSeconds: 300,
+      longBreakSeconds: 900,
+      longBreakInterval: 4,
+    };
+
+    // 修改时间模态框的专注时长预设（分钟），任务的快速开始菜单共用同一组
+    this.DURATION_PRESETS = [25, 30, 45, 60];
+
+    // 跨标签页同步：设置和计时器状态存储键的变化监听器ID
+    this.settingsListenerId = null;
+    this.timerStateListenerId = null;
+    this.boundLeaderObserver = this.handleLeaderEvent.bind(this);
+
     // 观察者列表 - 用Set避免重复
     this.observers = new Set();
 
+    // 观察者事件 -> 事件总线上的类型化事件
+    this.BUS_EVENTS = {
+      timerStarted: EventBus.EVENTS.TIMER_STARTED,
+      timerPaused: EventBus.EVENTS.TIMER_PAUSED,
+      timerResumed: EventBus.EVENTS.TIMER_RESUMED,
+      timerStopped: EventBus.EVENTS.TIMER_STOPPED,
+      timerCompleted: EventBus.EVENTS.TIMER_COMPLETED,
+      timerModified: EventBus.EVENTS.TIMER_MODIFIED,
+      timerTick: EventBus.EVENTS.TIMER_TICK,
+      breakStarted: EventBus.EVENTS.BREAK_STARTED,
+      breakCompleted: EventBus.EVENTS.BREAK_COMPLETED,
+      timerSettingsChanged: EventBus.EVENTS.TIMER_SETTINGS_CHANGED,
+    };
+
     // 通知权限状态
     this.notificationPermission = null;
 
@@ -59,14 +99,155 @@ class TimerService {
     
     // 初始化通知权限状态（不请求权限）
     this.initializeNotificationStatus();
+
+    // 加载番茄钟周期配置，并跟随其他标签页的修改
+    await this.loadCycleSettings();
+    this.setupSettingsSync();
     
-    // 恢复计时器状态
+    // 恢复计时器状态，并跟随其他标签页的计时器操作
     await this.restoreTimerState();
+    this.setupTimerStateSync();
+    if (this.leaderService) {
+      this.leaderService.addObserver(this.boundLeaderObserver);
+    }
 
     this.initialized = true;
     console.log("[TimerService] Initialized successfully");
   }
 
+  /**
+   * 从设置加载番茄钟周期配置
+   */
+  async loadCycleSettings() {
+    if (!this.storage) return;
+
+    try {
+      const settings = await this.storage.loadSettings();
+      this.applyCycleSettings(settings);
+    } catch (error) {
+      console.error("[TimerService] Failed to load cycle settings:", error);
+    }
+  }
+
+  /**
+   * 监听其他标签页保存的计时设置
+   */
+  setupSettingsSync() {
+    if (
+      !this.storage ||
+      this.settingsListenerId !== null ||
+      typeof GM_addValueChangeListener !== "function"
+    ) {
+      return;
+    }
+
+    this.settingsListenerId = GM_addValueChangeListener(
+      this.storage.STORAGE_KEYS.SETTINGS,
+      (name, oldValue, newValue, remote) => {
+        if (remote) {
+          this.handleRemoteSettingsChange();
+        }
+      },
+    );
+  }
+
+  /**
+   * 其他标签页保存设置后，计时设置有变化时重新应用（正在进行的计时不受影响）
+   */
+  async handleRemoteSettingsChange() {
+    try {
+      const settings = await this.storage.loadLatestSettings();
+      const current = this.getTimerSettings();
+      if (Object.keys(current).every((field) => current[field] === settings[field])) {
+        return;
+      }
+
+      this.applyCycleSettings(settings);
+      console.log("[TimerService] Timer settings synced from another tab");
+    } catch (error) {
+      console.warn("[TimerService] Ignored unreadable remote settings change:", error);
+    }
+  }
+
+  /**
+   * 将设置（分钟）转换为周期配置（秒）
+   * @param {Object} settings - 设置对象
+   */
+  applyCycleSettings(settings) {
+    this.cycleSettings = {
+      focusSeconds: Math.round(settings.pomodoroDuration * 60),
+      extendSeconds: settings.extendDuration * 60,
+      shortBreakSeconds: settings.shortBreakDuration * 60,
+      longBreakSeconds: settings.longBreakDuration * 60,
+      longBreakInterval: settings.longBreakInterval,
+    };
+
+    // 空闲时的显示时长跟随默认专注时长
+    if (this.status === "idle") {
+      this.totalSeconds = this.cycleSettings.focusSeconds;
+    }
+
+    this.notifyObservers("timerSettingsChanged", this.getTimerSettings());
+  }
+
+  /**
+   * 获取计时设置（分钟）
+   * @returns {Object} {pomodoroDuration, shortBreakDuration, longBreakDuration, longBreakInterval, extendDuration}
+   */
+  getTimerSettings() {
+    const { focusSeconds, extendSeconds, shortBreakSeconds, longBreakSeconds, longBreakInterval } =
+      this.cycleSettings;
+    return {
+      pomodoroDuration: focusSeconds / 60,
+      shortBreakDuration: shortBreakSeconds / 60,
+      longBreakDuration: longBreakSeconds / 60,
+      longBreakInterval,
+      extendDuration: extendSeconds / 60,
+    };
+  }
+
+  /**
+   * 更新并保存计时设置，下一次计时开始生效
+   * @param {Object} changes - 要修改的字段（分钟），同 getTimerSettings
+   * @returns {Promise<boolean>} 是否保存成功
+   * @throws {Error} 设置值超出范围时
+   */
+  async updateTimerSettings(changes) {
+    const settings = { ...(await this.storage.loadSettings()), ...changes };
+    this.storage.validateSettingsData(settings);
+
+    const success = await this.storage.saveSettings(settings);
+    if (success) {
+      this.applyCycleSettings(settings);
+      console.log("[TimerService] Timer settings updated");
+    }
+    return success;
+  }
+
+  /**
+   * 获取默认专注时长
+   * @returns {number} 秒
+   */
+  getDefaultDuration() {
+    return this.cycleSettings.focusSeconds;
+  }
+
+  /**
+   * 获取完成后延长专注的默认时长
+   * @returns {number} 秒
+   */
+  getExtendDuration() {
+    return this.cycleSettings.extendSeconds;
+  }
+
+  /**
+   * 判断当前是否处于休息阶段
+   * @returns {boolean} 是否为休息阶段
+   */
+  isBreakPhase() {
+    return this.phase === "shortBreak" || this.phase === "longBreak";
+  }
+
   /**
    * 初始化通知权限状态（不请求权限）
    */
@@ -123,9 +304,20 @@ class TimerService {
    * 启动计时器
    * @param {string} taskId - 任务ID
    * @param {string} taskTitle - 任务标题
-   * @param {number} duration - 计时时长（秒），默认25分钟
+   * @param {number} duration - 计时时长（秒），默认为设置中的专注时长
+   * @param {Object} options - 启动选项
+   * @param {boolean} options.isExtension - 是否为完成后的延长专注
    */
-  async startTimer(taskId, taskTitle, duration = 1500) {
+  async startTimer(taskId, taskTitle, duration = this.getDefaultDuration(), options = {}) {
+    // 休息期间开始专注视为跳过剩余的休息时间
+    if (this.isBreakPhase()) {
+      if (this.phase === "longBreak") {
+        this.completedPomodoros = 0;
+      }
+      this.clearCountdown();
+      this.resetTimer();
+    }
+
     if (this.status === "running") {
       console.warn("[TimerService] Timer is already running");
       return false;
@@ -140,12 +332,15 @@ class TimerService {
     this.remainingSeconds = duration;
     this.startTime = Date.now();
     this.status = "running";
+    this.phase = "focus";
 
     this.startCountdown();
     this.saveTimerState();
     this.notifyObservers("timerStarted", {
       taskId: this.taskId,
       taskTitle: this.taskTitle,
+      phase: this.phase,
+      isExtension: Boolean(options.isExtension),
       totalSeconds: this.totalSeconds,
       remainingSeconds: this.remainingSeconds,
     });
@@ -293,62 +488,211 @@ class TimerService {
 
     // 通知观察者
     this.notifyObservers("timerTick", {
+      phase: this.phase,
       remainingSeconds: this.remainingSeconds,
       totalSeconds: this.totalSeconds,
       progress: (this.totalSeconds - this.remainingSeconds) / this.totalSeconds,
     });
 
+    // 只有主标签页保存进度和完成计时，其他标签页只刷新显示；
+    // 到点时主标签页的心跳已停滞则接替，接替后由 handleLeaderEvent 立即完成计时
+    if (!this.isLeaderTab()) {
+      if (this.remainingSeconds <= 0) {
+        this.leaderService.takeOverIfStale();
+      }
+      return;
+    }
+
     // 保存状态
     this.saveTimerState();
 
-    // 检查是否完成
-    if (this.remainingSeconds <= 0) {
+    // 检查是否完成（完成前重新确认主标签页身份，避免与接替的标签页重复完成）
+    if (this.remainingSeconds <= 0 && this.confirmLeaderTab()) {
       this.completeTimer();
     }
   }
 
   /**
    * 完成计时器
+   * completedAt 为倒计时实际归零的时间：所有标签页都关闭期间到时的计时在下次打开时才完成，
+   * 据此判断随后的休息是否也已结束；统计据此计算专注时长，而不是把离开的时间也算进去
    */
   completeTimer() {
+    if (this.isBreakPhase()) {
+      this.completeBreak();
+      return;
+    }
+
+    const completedAt = this.startTime
+      ? Math.min(Date.now(), this.startTime + this.totalSeconds * 1000)
+      : Date.now();
+
     this.clearCountdown();
     this.status = "completed";
-    
-    // 发送桌面通知
-    this.sendNotification();
+    this.completedPomodoros++;
+
+    // 所有标签页都关闭期间到时、且随后的休息也早该结束：只记录完成，不再通知和开始休息
+    const nextBreak = this.getNextBreak();
+    const isBreakOver = Date.now() - completedAt > nextBreak.totalSeconds * 1000;
+
+    if (!isBreakOver) {
+      // 发送桌面通知
+      this.sendNotification();
+    }
 
     // 通知观察者
     this.notifyObservers("timerCompleted", {
       taskId: this.taskId,
       taskTitle: this.taskTitle,
+      completedPomodoros: this.completedPomodoros,
+      completedAt,
     });
 
     // 保存完成的任务信息到缓存（在重置前保存）
     this.lastCompletedTask = {
       taskId: this.taskId,
       taskTitle: this.taskTitle,
-      completedAt: Date.now()
+      completedAt
     };
 
-    // 重置计时器状态
+    // 重置计时器状态并进入休息阶段
     setTimeout(() => {
+      // 完成事件处理期间用户可能已开始新的专注
+      if (this.status !== "completed") return;
       this.resetTimer();
-      // 🚨 关键修复：保存idle状态到存储，而不是删除timerState
-      // 这样其他标签页的GM_addValueChangeListener能收到状态变化通知
-      this.saveTimerState();
+      if (isBreakOver) {
+        // 错过的休息按已结束处理，长休息结束后开始新的周期
+        if (nextBreak.phase === "longBreak") {
+          this.completedPomodoros = 0;
+        }
+        this.saveTimerState();
+      } else {
+        this.startBreak();
+      }
     }, 1000); // 给UI足够时间处理完成事件
 
     console.log(`[TimerService] Timer completed for task: ${this.taskTitle}`);
   }
 
+  /**
+   * 获取已完成的番茄钟之后的休息阶段（每完成longBreakInterval个番茄钟进入一次长休息）
+   * @returns {Object} {phase, totalSeconds}
+   */
+  getNextBreak() {
+    const { shortBreakSeconds, longBreakSeconds, longBreakInterval } =
+      this.cycleSettings;
+    const isLongBreak =
+      this.completedPomodoros > 0 &&
+      this.completedPomodoros % longBreakInterval === 0;
+
+    return isLongBreak
+      ? { phase: "longBreak", totalSeconds: longBreakSeconds }
+      : { phase: "shortBreak", totalSeconds: shortBreakSeconds };
+  }
+
+  /**
+   * 开始休息阶段
+   */
+  startBreak() {
+    const { longBreakInterval } = this.cycleSettings;
+    const nextBreak = this.getNextBreak();
+
+    this.phase = nextBreak.phase;
+    this.totalSeconds = nextBreak.totalSeconds;
+    this.remainingSeconds = this.totalSeconds;
+    this.startTime = Date.now();
+    this.status = "running";
+
+    this.startCountdown();
+    this.saveTimerState();
+    this.notifyObservers("breakStarted", {
+      phase: this.phase,
+      totalSeconds: this.totalSeconds,
+      remainingSeconds: this.remainingSeconds,
+      completedPomodoros: this.completedPomodoros,
+      longBreakInterval,
+    });
+
+    console.log(`[TimerService] ${this.phase} started (${this.totalSeconds}s)`);
+  }
+
+  /**
+   * 完成休息阶段
+   * @param {boolean} skipped - 是否由用户跳过（跳过时不发送通知）
+   */
+  completeBreak(skipped = false) {
+    const phase = this.phase;
+
+    this.clearCountdown();
+    this.status = "completed";
+
+    // 长休息结束后开始新的周期
+    if (phase === "longBreak") {
+      this.completedPomodoros = 0;
+    }
+
+    if (!skipped) {
+      this.sendNotification();
+    }
+
+    this.notifyObservers("breakCompleted", {
+      phase,
+      skipped,
+      completedPomodoros: this.completedPomodoros,
+    });
+
+    setTimeout(() => {
+      if (this.status !== "completed") return;
+      this.resetTimer();
+      this.saveTimerState();
+    }, 1000);
+
+    console.log(`[TimerService] ${phase} ${skipped ? "skipped" : "completed"}`);
+  }
+
+  /**
+   * 跳过当前休息
+   * @returns {boolean} 是否成功跳过
+   */
+  skipBreak() {
+    if (!this.isBreakPhase() || this.status === "idle") {
+      console.warn("[TimerService] No break in progress");
+      return false;
+    }
+
+    this.completeBreak(true);
+    return true;
+  }
+
+  /**
+   * 获取当前阶段的完成通知文案
+   * @returns {Object} 通知内容 {title, message}
+   */
+  getCompletionMessage() {
+    if (this.isBreakPhase()) {
+      return {
+        title: "休息结束 ☕",
+        message: "准备好开始下一个番茄钟了吗？",
+      };
+    }
+
+    return {
+      title: "专注时间结束 🍅",
+      message: this.taskTitle
+        ? `任务「${this.taskTitle}」的专注时间已完成`
+        : "专注时间已完成",
+    };
+  }
+
   /**
    * 发送桌面通知
+   * @param {string} title - 通知标题（默认为当前阶段的完成文案）
+   * @param {string} message - 通知消息
    */
-  sendNotification() {
-    const title = "专注时间结束 🍅";
-    const message = this.taskTitle 
-      ? `任务「${this.taskTitle}」的专注时间已完成`
-      : "专注时间已完成";
+  sendNotification(title = null, message = null) {
+    if (!title) {
+      ({ title, message } = this.getCompletionMessage());
+    }
 
     if (this.notificationPermission === "granted") {
       try {
@@ -452,7 +796,8 @@ class TimerService {
     this.taskTitle = null;
     this.startTime = null;
     this.remainingSeconds = 0;
-    this.totalSeconds = 1500;
+    this.totalSeconds = this.getDefaultDuration();
+    this.phase = "focus";
   }
 
   /**
@@ -468,10 +813,12 @@ class TimerService {
       startTime: this.startTime,
       remainingSeconds: this.remainingSeconds,
       totalSeconds: this.totalSeconds,
+      phase: this.phase,
+      completedPomodoros: this.completedPomodoros,
       timestamp: Date.now(),
     };
 
-    this.storage.setData("timerState", state);
+    this.storage.saveState("timerState", state);
   }
 
   /**
@@ -481,8 +828,15 @@ class TimerService {
     if (!this.storage) return;
 
     try {
-      const state = this.storage.getData("timerState");
-      if (!state || state.status === "idle") {
+      const state = this.storage.loadState("timerState");
+      if (!state) {
+        return;
+      }
+
+      // 周期进度在空闲时也需要保留
+      this.completedPomodoros = state.completedPomodoros || 0;
+
+      if (state.status === "idle") {
         return;
       }
 
@@ -494,18 +848,25 @@ class TimerService {
         const elapsed = Math.floor((now - state.startTime) / 1000);
         const remaining = Math.max(0, state.totalSeconds - elapsed);
 
-        if (remaining > 0) {
+        // 已到时的计时由主标签页完成，其他标签页先按0显示
+        if (remaining > 0 || !this.isLeaderTab()) {
           this.taskId = state.taskId;
           this.taskTitle = state.taskTitle;
           this.startTime = state.startTime;
           this.remainingSeconds = remaining;
           this.totalSeconds = state.totalSeconds;
+          this.phase = state.phase || "focus";
           this.status = "running";
 
           this.startCountdown();
           console.log("[TimerService] Timer state restored and resumed");
         } else {
           // 计时器应该已经完成了
+          this.taskId = state.taskId;
+          this.taskTitle = state.taskTitle;
+          this.startTime = state.startTime;
+          this.totalSeconds = state.totalSeconds;
+          this.phase = state.phase || "focus";
           this.completeTimer();
           console.log("[TimerService] Timer completed while away");
         }
@@ -514,6 +875,7 @@ class TimerService {
         this.taskTitle = state.taskTitle;
         this.remainingSeconds = state.remainingSeconds;
         this.totalSeconds = state.totalSeconds;
+        this.phase = state.phase || "focus";
         this.status = "paused";
         console.log("[TimerService] Timer state restored (paused)");
       }
@@ -523,6 +885,212 @@ class TimerService {
     }
   }
 
+  // === 主标签页与跨标签页同步 ===
+
+  /**
+   * 本标签页是否负责推进倒计时、完成计时和发送通知
+   * @returns {boolean}
+   */
+  isLeaderTab() {
+    return !this.leaderService || this.leaderService.isLeader;
+  }
+
+  /**
+   * 重新选主后判断本标签页是否仍是主标签页，用于完成计时、发送提醒等只能执行一次的操作
+   * @returns {boolean}
+   */
+  confirmLeaderTab() {
+    return !this.leaderService || this.leaderService.confirmLeadership();
+  }
+
+  /**
+   * 接替主标签页时立即检查进行中的计时（原主标签页可能在计时到点前后关闭）
+   * @param {string} event - 事件类型
+   * @param {Object} data - 事件数据
+   */
+  handleLeaderEvent(event, data) {
+    if (event === "leaderChanged" && data.isLeader && this.status === "running") {
+      console.log("[TimerService] Took over countdown as leader tab");
+      this.updateCountdown();
+    }
+  }
+
+  /**
+   * 监听其他标签页保存的计时器状态
+   */
+  setupTimerStateSync() {
+    if (
+      !this.storage ||
+      this.timerStateListenerId !== null ||
+      typeof GM_addValueChangeListener !== "function"
+    ) {
+      return;
+    }
+
+    this.timerStateListenerId = GM_addValueChangeListener(
+      this.storage.STORAGE_KEYS.TIMER_STATE,
+      (name, oldValue, newValue, remote) => {
+        if (remote) {
+          this.applyRemoteTimerState(newValue);
+        }
+      },
+    );
+  }
+
+  /**
+   * 采用其他标签页保存的计时器状态（开始、暂停、修改、主标签页完成计时等）
+   * 主标签页每秒保存的进度只更新剩余时间，不产生事件
+   * @param {string|Object} newValue - 存储中的计时器状态
+   */
+  applyRemoteTimerState(newValue) {
+    let state;
+    try {
+      state = typeof newValue === "string" ? JSON.parse(newValue) : newValue;
+    } catch (error) {
+      console.warn("[TimerService] Ignored unreadable remote timer state:", error);
+      return;
+    }
+    if (!state || typeof state !== "object") return;
+
+    const previous = {
+      status: this.status,
+      phase: this.phase,
+      taskId: this.taskId,
+      taskTitle: this.taskTitle,
+      startTime: this.startTime,
+      totalSeconds: this.totalSeconds,
+    };
+    const phase = state.phase || "focus";
+    const completedPomodoros = state.completedPomodoros || 0;
+
+    if (
+      state.status === previous.status &&
+      phase === previous.phase &&
+      state.taskId === previous.taskId &&
+      state.startTime === previous.startTime &&
+      state.totalSeconds === previous.totalSeconds &&
+      completedPomodoros === this.completedPomodoros
+    ) {
+      return;
+    }
+
+    this.status = state.status;
+    this.taskId = state.taskId;
+    this.taskTitle = state.taskTitle;
+    this.startTime = state.startTime;
+    this.totalSeconds = state.totalSeconds;
+    this.phase = phase;
+    this.completedPomodoros = completedPomodoros;
+    this.remainingSeconds =
+      state.status === "running"
+        ? Math.max(0, state.totalSeconds - Math.floor((Date.now() - state.startTime) / 1000))
+        : state.remainingSeconds;
+
+    if (this.status === "running") {
+      this.startCountdown();
+    } else {
+      this.clearCountdown();
+    }
+
+    for (const [event, data] of this.getRemoteTransitionEvents(previous)) {
+      this.notifyObservers(event, { ...data, remote: true });
+    }
+  }
+
+  /**
+   * 根据状态变化推断对应的计时器事件，供其他标签页的界面按相同事件更新
+   * @param {Object} previous - 变化前的状态 {status, phase, taskId, taskTitle, startTime, totalSeconds}
+   * @returns {Array<Array>} [事件类型, 事件数据]
+   */
+  getRemoteTransitionEvents(previous) {
+    const events = [];
+    const wasActive = previous.status === "running" || previous.status === "paused";
+    const wasFocus = wasActive && previous.phase === "focus";
+    const wasBreak = wasActive && previous.phase !== "focus";
+    const isBreak = this.isBreakPhase();
+
+    // 上一个阶段结束：专注进入休息（主标签页已完成计时），或休息结束/被跳过
+    if (wasFocus && isBreak) {
+      const completedAt = previous.startTime
+        ? Math.min(Date.now(), previous.startTime + previous.totalSeconds * 1000)
+        : Date.now();
+      this.lastCompletedTask = {
+        taskId: previous.taskId,
+        taskTitle: previous.taskTitle,
+        completedAt,
+      };
+      events.push([
+        "timerCompleted",
+        {
+          taskId: previous.taskId,
+          taskTitle: previous.taskTitle,
+          completedPomodoros: this.completedPomodoros,
+          completedAt,
+        },
+      ]);
+    } else if (wasBreak && !(isBreak && this.status === "running")) {
+      events.push([
+        "breakCompleted",
+        {
+          phase: previous.phase,
+          skipped: previous.startTime + previous.totalSeconds * 1000 > Date.now() + 1000,
+          completedPomodoros: this.completedPomodoros,
+        },
+      ]);
+    }
+
+    if (this.status === "running" && isBreak) {
+      if (!wasBreak || previous.phase !== this.phase) {
+        events.push([
+          "breakStarted",
+          {
+            phase: this.phase,
+            totalSeconds: this.totalSeconds,
+            remainingSeconds: this.remainingSeconds,
+            completedPomodoros: this.completedPomodoros,
+            longBreakInterval: this.cycleSettings.longBreakInterval,
+          },
+        ]);
+      }
+    } else if (this.status === "running" || this.status === "paused") {
+      const sameSession = wasFocus && previous.taskId === this.taskId;
+
+      if (sameSession && previous.status === "running" && this.status === "paused") {
+        events.push(["timerPaused", { remainingSeconds: this.remainingSeconds }]);
+      } else if (sameSession && previous.status === "paused" && this.status === "running") {
+        events.push(["timerResumed", { remainingSeconds: this.remainingSeconds }]);
+      } else if (sameSession) {
+        events.push([
+          "timerModified",
+          {
+            taskId: this.taskId,
+            taskTitle: this.taskTitle,
+            oldDuration: previous.totalSeconds,
+            newDuration: this.totalSeconds,
+            totalSeconds: this.totalSeconds,
+            remainingSeconds: this.remainingSeconds,
+          },
+        ]);
+      } else {
+        events.push([
+          "timerStarted",
+          {
+            taskId: this.taskId,
+            taskTitle: this.taskTitle,
+            phase: this.phase,
+            isExtension: false,
+            totalSeconds: this.totalSeconds,
+            remainingSeconds: this.remainingSeconds,
+          },
+        ]);
+      }
+    } else if (this.status === "idle" && wasFocus) {
+      events.push(["timerStopped", {}]);
+    }
+
+    return events;
+  }
+
   /**
    * 清除保存的计时器状态
    */
@@ -536,7 +1104,7 @@ class TimerService {
    * @param {Function} observer - 观察者回调函数
    */
   addObserver(observer) {
-    if (typeof observer === "function" && !this.observers.includes(observer)) {
+    if (typeof observer === "function" && !this.observers.has(observer)) {
       this.observers.add(observer);
     }
   }
@@ -551,7 +1119,7 @@ class TimerService {
   }
 
   /**
-   * 通知所有观察者
+   * 通知所有观察者，并在事件总线上发布对应的类型化事件
    * @param {string} event - 事件类型
    * @param {Object} data - 事件数据
    */
@@ -563,6 +1131,9 @@ class TimerService {
         console.error("[TimerService] Observer error:", error);
       }
     }
+    if (this.eventBus && this.BUS_EVENTS[event]) {
+      this.eventBus.emit(this.BUS_EVENTS[event], data);
+    }
   }
 
   /**
@@ -576,6 +1147,9 @@ class TimerService {
       taskTitle: this.taskTitle,
       remainingSeconds: this.remainingSeconds,
       totalSeconds: this.totalSeconds,
+      phase: this.phase,
+      completedPomodoros: this.completedPomodoros,
+      longBreakInterval: this.cycleSettings.longBreakInterval,
       progress: this.totalSeconds > 0 ? (this.totalSeconds - this.remainingSeconds) / this.totalSeconds : 0,
     };
   }
@@ -622,6 +1196,16 @@ class TimerService {
   destroy() {
     this.clearCountdown();
     this.clearTimerState();
+    if (typeof GM_removeValueChangeListener === "function") {
+      for (const listenerId of [this.settingsListenerId, this.timerStateListenerId]) {
+        if (listenerId !== null) GM_removeValueChangeListener(listenerId);
+      }
+    }
+    this.settingsListenerId = null;
+    this.timerStateListenerId = null;
+    if (this.leaderService) {
+      this.leaderService.removeObserver(this.boundLeaderObserver);
+    }
     this.observers = new Set();
     console.log("[TimerService] Destroyed");
   }
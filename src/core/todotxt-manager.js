@@ -0,0 +1,228 @@
+/**
+ * TodoTxtService - Linus式依赖注入 Todo.txt 导入导出服务
+ *
+ * 职责：
+ * 1. 解析 todo.txt 行：完成标记 x、优先级 (A)、完成/创建日期、+项目、@情境、due:截止日期
+ * 2. 每行转换后的任务通过 Storage.validateTasksData 校验，无法解析的行保留在预览中
+ * 3. 导入前生成预览（跳过标题和创建日期都相同的已有任务），确认后交给 TaskService 批量加入
+ * 4. 将活动和已归档的任务导出为 todo.txt 文本
+ *
+ * 字段映射：
+ * - (A)/(B)/(C) <-> high/medium/low，(D)-(Z) 导入为 low；已完成任务的优先级写为 pri:X
+ * - 第一个 +项目 为项目，其余 +项目 和所有 @情境 转为标签
+ */
+
+class TodoTxtService {
+  constructor(storage, taskService) {
+    // 依赖注入 - 显式优于隐式
+    this.storage = storage;
+    this.taskService = taskService;
+
+    this.PRIORITY_FROM_LETTER = { A: "high", B: "medium", C: "low" };
+    this.LETTER_FROM_PRIORITY = { high: "A", medium: "B", low: "C" };
+    this.DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+    console.log("[TodoTxtService] Created");
+  }
+
+  // === 导入 ===
+
+  /**
+   * 解析 todo.txt 文本
+   * @param {string} text - 文件内容
+   * @returns {Object} {tasks: Task[], errors: [{line, text, message}]}
+   */
+  parse(text) {
+    const tasks = [];
+    const errors = [];
+    const lines = String(text || "").split(/\r?\n/);
+
+    lines.forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line) return;
+
+      try {
+        const task = this.parseLine(line, index + 1);
+        this.storage.validateTasksData([task]);
+        tasks.push(task);
+      } catch (error) {
+        errors.push({ line: index + 1, text: line, message: error.message });
+      }
+    });
+
+    return { tasks, errors };
+  }
+
+  /**
+   * 解析单行 todo.txt 为任务对象
+   * ID 为占位值，加入任务列表时由 TaskService 重新分配
+   * @param {string} line - 去掉首尾空白的行
+   * @param {number} lineNumber - 行号
+   * @returns {Task}
+   * @throws {Error} 日期、优先级或标题无效时
+   */
+  parseLine(line, lineNumber) {
+    const tokens = line.split(/\s+/);
+    let isCompleted = false;
+    let completedDate = null;
+    let createdDate = null;
+    let letter = null;
+
+    if (tokens[0] === "x") {
+      isCompleted = true;
+      tokens.shift();
+      if (this.DATE_PATTERN.test(tokens[0])) completedDate = tokens.shift();
+      if (completedDate && this.DATE_PATTERN.test(tokens[0])) createdDate = tokens.shift();
+    } else {
+      if (/^\([A-Z]\)$/.test(tokens[0])) letter = tokens.shift()[1];
+      if (this.DATE_PATTERN.test(tokens[0])) createdDate = tokens.shift();
+    }
+
+    const words = [];
+    const projects = [];
+    const tags = [];
+    let dueDate = null;
+
+    for (const token of tokens) {
+      if (/^\+\S+$/.test(token)) {
+        projects.push(token.slice(1));
+      } else if (/^@\S+$/.test(token)) {
+        tags.push(token.slice(1));
+      } else if (/^due:/.test(token)) {
+        dueDate = this.taskService.normalizeDueDate(token.slice(4));
+      } else if (/^pri:[A-Z]$/.test(token)) {
+        letter = token[4];
+      } else {
+        words.push(token);
+      }
+    }
+
+    const title = words.join(" ");
+    if (!title) {
+      throw new Error("Line has no task title");
+    }
+
+    const createdAt = createdDate ? this.parseDate(createdDate) : Date.now();
+    const completedAt = isCompleted
+      ? completedDate
+        ? this.parseDate(completedDate)
+        : createdAt
+      : null;
+
+    return {
+      id: `todotxt-${lineNumber}`,
+      title,
+      isCompleted,
+      createdAt,
+      completedAt,
+      pomodoroCount: 0,
+      priority: letter ? this.PRIORITY_FROM_LETTER[letter] || "low" : null,
+      estimatedPomodoros: null,
+      project: this.taskService.normalizeProject(projects[0]),
+      tags: this.taskService.normalizeTags([...projects.slice(1), ...tags]),
+      dueDate,
+      reminderAt: null,
+      reminderSent: false,
+      recurrence: null,
+      seriesId: null,
+    };
+  }
+
+  /**
+   * 将 YYYY-MM-DD 转为当天零点的本地时间戳
+   * @param {string} value - 日期
+   * @returns {number}
+   * @throws {Error} 日期不存在时（如 2026-02-30）
+   */
+  parseDate(value) {
+    const [year, month, day] = value.split("-").map(Number);
+    const date = new Date(year, month - 1, day);
+    if (date.getMonth() !== month - 1 || date.getDate() !== day) {
+      throw new Error(`Invalid date: ${value}`);
+    }
+    return date.getTime();
+  }
+
+  /**
+   * 预览导入结果，不修改任务
+   * @param {string} text - 文件内容
+   * @returns {Object} {tasks, duplicates, errors}
+   */
+  previewImport(text) {
+    const { tasks, errors } = this.parse(text);
+    const existing = new Set(
+      [...this.taskService.getAllTasks(), ...this.taskService.getArchivedTasks()].map(
+        (task) => this.getDuplicateKey(task),
+      ),
+    );
+
+    const plan = { tasks: [], duplicates: [], errors };
+    for (const task of tasks) {
+      if (existing.has(this.getDuplicateKey(task))) {
+        plan.duplicates.push(task);
+      } else {
+        plan.tasks.push(task);
+      }
+    }
+    return plan;
+  }
+
+  /**
+   * 判断重复导入的依据：标题和创建日期
+   * @param {Task} task - 任务对象
+   * @returns {string}
+   */
+  getDuplicateKey(task) {
+    return `${this.taskService.getDateKey(task.createdAt)}|${task.title}`;
+  }
+
+  /**
+   * 按预览结果加入任务
+   * @param {Object} plan - previewImport 返回的预览
+   * @returns {Promise<Array<Task>>} 加入的任务
+   */
+  async applyImport(plan) {
+    const added = await this.taskService.addImportedTasks(plan.tasks);
+    console.log(`[TodoTxtService] Imported ${added.length} tasks from todo.txt`);
+    return added;
+  }
+
+  // === 导出 ===
+
+  /**
+   * 导出活动和已归档的任务为 todo.txt 文本
+   * @returns {string}
+   */
+  exportTasks() {
+    const tasks = [
+      ...this.taskService.getAllTasks(),
+      ...this.taskService.getArchivedTasks(),
+    ];
+    return tasks.map((task) => this.formatTask(task)).join("\n");
+  }
+
+  /**
+   * 将任务格式化为一行 todo.txt
+   * @param {Task} task - 任务对象
+   * @returns {string}
+   */
+  formatTask(task) {
+    const getDateKey = (timestamp) => this.taskService.getDateKey(timestamp);
+    const letter = this.LETTER_FROM_PRIORITY[task.priority] || null;
+    const parts = [];
+
+    if (task.isCompleted) {
+      parts.push("x", getDateKey(task.completedAt || task.createdAt));
+    } else if (letter) {
+      parts.push(`(${letter})`);
+    }
+    parts.push(getDateKey(task.createdAt), task.title.replace(/\s+/g, " ").trim());
+
+    if (task.project) parts.push(`+${task.project}`);
+    (task.tags || []).forEach((tag) => parts.push(`@${tag}`));
+    if (task.dueDate) parts.push(`due:${task.dueDate}`);
+    if (task.isCompleted && letter) parts.push(`pri:${letter}`);
+
+    return parts.join(" ");
+  }
+}
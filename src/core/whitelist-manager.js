@@ -1,21 +1,47 @@
 /**
- * WhitelistManager - 网站白名单管理器
+ * WhitelistManager - 网站规则列表管理器
  *
  * 负责：
- * 1. 管理允许访问的域名白名单
- * 2. 提供域名添加、删除和验证功能
- * 3. 实现包含匹配逻辑（contains matching）
- * 4. 与 StorageManager 集成进行数据持久化
- * 5. 提供域名格式验证和清理功能
+ * 1. 管理网站规则列表（白名单为放行规则，黑名单模式下同一实现管理拦截规则）
+ * 2. 提供规则添加、删除和验证功能
+ * 3. 实现类型化规则匹配：精确域名、*.子域名通配、域名+路径前缀、正则表达式
+ * 4. 与 StorageManager 集成进行数据持久化（含旧版纯字符串条目迁移）
+ * 5. 提供按规则类型的格式验证和清理功能
+ * 6. 其他标签页修改规则后同步到本标签页（GM_addValueChangeListener）
+ * 7. 规则变化发布到事件总线（RULE_* 事件），同时派发 tomato-monkey-<listKey>-* DOM事件
  */
 
 /**
  * 网站白名单管理器类
  */
 class WhitelistManager {
-  constructor() {
-    this.domains = new Set(); // 使用 Set 避免重复
+  /**
+   * @param {string} listKey - 设置中的列表字段："whitelist" 或 "blacklist"
+   * @param {EventBus} eventBus - 事件总线，规则变化时发布 RULE_* 事件
+   */
+  constructor(listKey = "whitelist", eventBus = null) {
+    this.listKey = listKey; // 同时用作设置字段名和DOM事件前缀
+    this.eventBus = eventBus;
+    this.domains = new Map(); // 规则键 -> 规则对象 {type, pattern}，避免重复
     this.storageManager = null; // 延迟初始化
+    this.regexCache = new Map(); // 正则规则编译缓存
+    this.settingsListenerId = null; // 跨标签页同步：设置存储键的变化监听器ID
+
+    // 规则类型及显示名称
+    this.RULE_TYPES = {
+      exact: "精确域名",
+      wildcard: "子域名通配",
+      path: "路径前缀",
+      regex: "正则表达式",
+    };
+
+    // DOM事件类型 -> 事件总线上的类型化事件
+    this.BUS_EVENTS = {
+      domainAdded: EventBus.EVENTS.RULE_ADDED,
+      domainRemoved: EventBus.EVENTS.RULE_REMOVED,
+      domainsCleared: EventBus.EVENTS.RULES_CLEARED,
+      domainsReloaded: EventBus.EVENTS.RULES_RELOADED,
+    };
   }
 
   /**
@@ -28,49 +54,164 @@ class WhitelistManager {
     try {
       // 从存储加载白名单数据
       const settings = await this.storageManager.loadSettings();
-      if (settings && Array.isArray(settings.whitelist)) {
-        this.domains = new Set(settings.whitelist);
+      if (settings && Array.isArray(settings[this.listKey])) {
+        const needsMigration = this.loadRules(settings[this.listKey]);
         console.log(
-          `[WhitelistManager] Loaded ${this.domains.size} domains from storage`,
+          `[WhitelistManager] Loaded ${this.domains.size} ${this.listKey} rules from storage`,
         );
+
+        if (needsMigration) {
+          await this.saveToStorage();
+          console.log(`[WhitelistManager] Migrated legacy ${this.listKey} entries`);
+        }
       }
     } catch (error) {
       console.error("[WhitelistManager] Failed to initialize:", error);
     }
+
+    this.setupCrossTabSync();
+  }
+
+  /**
+   * 监听其他标签页对设置的修改
+   */
+  setupCrossTabSync() {
+    if (
+      this.settingsListenerId !== null ||
+      typeof GM_addValueChangeListener !== "function"
+    ) {
+      return;
+    }
+
+    this.settingsListenerId = GM_addValueChangeListener(
+      this.storageManager.STORAGE_KEYS.SETTINGS,
+      (name, oldValue, newValue, remote) => {
+        if (remote) {
+          this.handleRemoteSettingsChange();
+        }
+      },
+    );
+  }
+
+  /**
+   * 其他标签页保存设置后，规则列表有变化时重新加载并派发 domainsReloaded 事件（detail.remote 为 true）
+   */
+  async handleRemoteSettingsChange() {
+    try {
+      const settings = await this.storageManager.loadLatestSettings();
+      const entries = Array.isArray(settings[this.listKey]) ? settings[this.listKey] : [];
+      if (JSON.stringify(entries) === JSON.stringify(this.getRules())) {
+        return;
+      }
+
+      this.loadRules(entries);
+      console.log(
+        `[WhitelistManager] Synced ${this.domains.size} ${this.listKey} rules from another tab`,
+      );
+      this.dispatchChangeEvent("domainsReloaded", { remote: true });
+    } catch (error) {
+      console.warn("[WhitelistManager] Ignored unreadable remote settings change:", error);
+    }
+  }
+
+  /**
+   * 停止跨标签页同步
+   */
+  destroy() {
+    if (
+      this.settingsListenerId !== null &&
+      typeof GM_removeValueChangeListener === "function"
+    ) {
+      GM_removeValueChangeListener(this.settingsListenerId);
+    }
+    this.settingsListenerId = null;
+  }
+
+  /**
+   * 从存储重新加载规则（如导入备份后）
+   */
+  async reload() {
+    await this.initialize(this.storageManager);
+    this.dispatchChangeEvent("domainsReloaded");
   }
 
   /**
-   * 添加域名到白名单
-   * @param {string} domain - 要添加的域名
+   * 从存储的白名单数组加载规则
+   * @param {Array<string|Object>} entries - 规则对象或旧版纯字符串条目
+   * @returns {boolean} 是否包含需要迁移的旧版条目
+   */
+  loadRules(entries) {
+    let needsMigration = false;
+    this.domains = new Map();
+    this.regexCache.clear();
+
+    for (const entry of entries) {
+      let rule = null;
+      if (typeof entry === "string") {
+        rule = this.migrateLegacyEntry(entry);
+        needsMigration = true;
+      } else if (entry && typeof entry === "object") {
+        rule = this.validateAndCleanDomain(entry.pattern, entry.type);
+      }
+
+      if (rule) {
+        this.domains.set(this.getRuleKey(rule), rule);
+      } else {
+        console.warn(`[WhitelistManager] Dropped invalid ${this.listKey} entry:`, entry);
+      }
+    }
+
+    return needsMigration;
+  }
+
+  /**
+   * 迁移旧版纯字符串条目
+   * 旧版使用包含匹配，"ab.com" 同时放行其子域名，迁移为 "*.ab.com" 以保持原意
+   * @param {string} entry - 旧版域名条目
+   * @returns {Object|null} 迁移后的规则
+   */
+  migrateLegacyEntry(entry) {
+    const host = this.cleanHost(entry);
+    return host ? { type: "wildcard", pattern: `*.${host}` } : null;
+  }
+
+  /**
+   * 添加规则到白名单
+   * @param {string|Object} domain - 规则输入，或 {type, pattern} 规则对象
+   * @param {string} type - 规则类型（auto 时按输入格式自动识别）
    * @returns {boolean} 添加是否成功
    */
-  async addDomain(domain) {
+  async addDomain(domain, type = "auto") {
     try {
-      // 验证域名格式
-      const cleanDomain = this.validateAndCleanDomain(domain);
-      if (!cleanDomain) {
-        console.warn("[WhitelistManager] Invalid domain format:", domain);
+      // 验证规则格式
+      const rule =
+        domain && typeof domain === "object"
+          ? this.validateAndCleanDomain(domain.pattern, domain.type)
+          : this.validateAndCleanDomain(domain, type);
+      if (!rule) {
+        console.warn("[WhitelistManager] Invalid rule format:", domain);
         return false;
       }
 
       // 检查是否已存在
-      if (this.domains.has(cleanDomain)) {
-        console.warn("[WhitelistManager] Domain already exists:", cleanDomain);
+      const key = this.getRuleKey(rule);
+      if (this.domains.has(key)) {
+        console.warn("[WhitelistManager] Rule already exists:", key);
         return false;
       }
 
       // 添加到内存
-      this.domains.add(cleanDomain);
+      this.domains.set(key, rule);
 
       // 持久化到存储
       const success = await this.saveToStorage();
       if (success) {
-        console.log("[WhitelistManager] Domain added:", cleanDomain);
-        this.dispatchChangeEvent("domainAdded", { domain: cleanDomain });
+        console.log("[WhitelistManager] Rule added:", key);
+        this.dispatchChangeEvent("domainAdded", { domain: rule.pattern, rule });
         return true;
       } else {
         // 如果保存失败，从内存中移除
-        this.domains.delete(cleanDomain);
+        this.domains.delete(key);
         return false;
       }
     } catch (error) {
@@ -80,30 +221,31 @@ class WhitelistManager {
   }
 
   /**
-   * 从白名单移除域名
-   * @param {string} domain - 要移除的域名
+   * 从白名单移除规则
+   * @param {string|Object} domain - 规则键、规则对象或规则输入
    * @returns {boolean} 移除是否成功
    */
   async removeDomain(domain) {
     try {
-      const cleanDomain = this.validateAndCleanDomain(domain);
-      if (!cleanDomain || !this.domains.has(cleanDomain)) {
-        console.warn("[WhitelistManager] Domain not found:", domain);
+      const key = this.resolveRuleKey(domain);
+      const rule = key ? this.domains.get(key) : null;
+      if (!rule) {
+        console.warn("[WhitelistManager] Rule not found:", domain);
         return false;
       }
 
       // 从内存移除
-      this.domains.delete(cleanDomain);
+      this.domains.delete(key);
 
       // 持久化到存储
       const success = await this.saveToStorage();
       if (success) {
-        console.log("[WhitelistManager] Domain removed:", cleanDomain);
-        this.dispatchChangeEvent("domainRemoved", { domain: cleanDomain });
+        console.log("[WhitelistManager] Rule removed:", key);
+        this.dispatchChangeEvent("domainRemoved", { domain: rule.pattern, rule });
         return true;
       } else {
         // 如果保存失败，重新添加到内存
-        this.domains.add(cleanDomain);
+        this.domains.set(key, rule);
         return false;
       }
     } catch (error) {
@@ -113,40 +255,170 @@ class WhitelistManager {
   }
 
   /**
-   * 检查URL对应的域名是否在白名单中
+   * 将各种形式的规则引用解析为规则键
+   * @param {string|Object} domain - 规则键、规则对象或规则输入
+   * @returns {string|null} 规则键
+   */
+  resolveRuleKey(domain) {
+    if (domain && typeof domain === "object") {
+      const rule = this.validateAndCleanDomain(domain.pattern, domain.type);
+      return rule ? this.getRuleKey(rule) : null;
+    }
+
+    if (this.domains.has(domain)) {
+      return domain;
+    }
+
+    const rule = this.validateAndCleanDomain(domain);
+    return rule ? this.getRuleKey(rule) : null;
+  }
+
+  /**
+   * 获取规则的唯一键
+   * @param {Object} rule - 规则对象
+   * @returns {string} 规则键
+   */
+  getRuleKey(rule) {
+    return `${rule.type}:${rule.pattern}`;
+  }
+
+  /**
+   * 检查URL是否被白名单规则放行
    * @param {string} url - 要检查的URL
-   * @returns {boolean} 域名是否被允许
+   * @returns {boolean} 是否被允许
    */
   isDomainAllowed(url) {
+    const rule = this.findMatchingRule(url);
+    if (rule) {
+      console.log(
+        `[WhitelistManager] URL allowed: ${url} (matched: ${this.getRuleKey(rule)})`,
+      );
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 查找第一条匹配URL的规则（黑名单模式下用于判断是否拦截）
+   * @param {string} url - 要检查的URL
+   * @returns {Object|null} 匹配的规则，无匹配返回null
+   */
+  findMatchingRule(url) {
     try {
-      const domain = this.extractDomainFromURL(url);
-      if (!domain) {
-        return false;
+      const target = this.parseTarget(url);
+      if (!target) {
+        return null;
       }
 
-      // 使用包含匹配逻辑
-      for (const whitelistDomain of this.domains) {
-        if (domain.includes(whitelistDomain)) {
-          console.log(
-            `[WhitelistManager] Domain allowed: ${domain} (matched: ${whitelistDomain})`,
-          );
-          return true;
+      for (const rule of this.domains.values()) {
+        if (this.matchesRule(rule, target)) {
+          return rule;
         }
       }
 
-      return false;
+      return null;
     } catch (error) {
       console.error("[WhitelistManager] Failed to check domain:", error);
-      return false;
+      return null;
     }
   }
 
   /**
-   * 获取所有白名单域名
-   * @returns {Array<string>} 域名数组
+   * 检查目标是否匹配单条规则
+   * @param {Object} rule - 规则对象
+   * @param {Object} target - parseTarget 的结果 {host, path, url}
+   * @returns {boolean} 是否匹配
+   */
+  matchesRule(rule, target) {
+    switch (rule.type) {
+      case "exact":
+        return target.host === rule.pattern;
+
+      case "wildcard": {
+        // "*.ab.com" 匹配 ab.com 及其所有子域名，但不匹配 crab.com
+        const base = rule.pattern.slice(2);
+        return target.host === base || target.host.endsWith(`.${base}`);
+      }
+
+      case "path": {
+        const slashIndex = rule.pattern.indexOf("/");
+        const host = rule.pattern.slice(0, slashIndex);
+        const prefix = rule.pattern.slice(slashIndex);
+        // 按路径段匹配："/myorg" 匹配 "/myorg/repo"，不匹配 "/myorgs"
+        return (
+          target.host === host &&
+          (target.path === prefix || target.path.startsWith(`${prefix}/`))
+        );
+      }
+
+      case "regex":
+        return this.getCompiledRegex(rule.pattern).test(target.url);
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * 获取编译后的正则表达式（带缓存）
+   * @param {string} pattern - 正则表达式源码
+   * @returns {RegExp} 正则对象
+   */
+  getCompiledRegex(pattern) {
+    if (!this.regexCache.has(pattern)) {
+      this.regexCache.set(pattern, new RegExp(pattern, "i"));
+    }
+    return this.regexCache.get(pattern);
+  }
+
+  /**
+   * 解析待检查的URL
+   * @param {string} url - URL或域名
+   * @returns {Object|null} {host, path, url}，解析失败返回null
+   */
+  parseTarget(url) {
+    const host = this.extractDomainFromURL(url);
+    if (!host) {
+      return null;
+    }
+
+    let path = "/";
+    try {
+      if (url.includes("://")) {
+        path = new URL(url).pathname.toLowerCase();
+      }
+    } catch (error) {
+      // 无法解析路径时按根路径处理
+    }
+
+    return { host, path, url };
+  }
+
+  /**
+   * 获取所有白名单规则（按模式排序）
+   * @returns {Array<Object>} 规则对象数组 {type, pattern}
+   */
+  getRules() {
+    return Array.from(this.domains.values()).sort((a, b) =>
+      a.pattern.localeCompare(b.pattern),
+    );
+  }
+
+  /**
+   * 获取所有白名单规则的模式字符串
+   * @returns {Array<string>} 模式数组
    */
   getDomains() {
-    return Array.from(this.domains).sort();
+    return this.getRules().map((rule) => rule.pattern);
+  }
+
+  /**
+   * 获取规则类型的显示名称
+   * @param {string} type - 规则类型
+   * @returns {string} 显示名称
+   */
+  getRuleTypeLabel(type) {
+    return this.RULE_TYPES[type] || type;
   }
 
   /**
@@ -156,6 +428,7 @@ class WhitelistManager {
   async clearDomains() {
     try {
       this.domains.clear();
+      this.regexCache.clear();
       const success = await this.saveToStorage();
 
       if (success) {
@@ -172,11 +445,94 @@ class WhitelistManager {
   }
 
   /**
-   * 验证并清理域名格式
+   * 按规则类型验证并清理规则输入
+   * @param {string} domain - 原始输入，如 "github.com"、"*.google.com"、"github.com/myorg/*"
+   * @param {string} type - 规则类型：auto、exact、wildcard、path、regex
+   * @returns {Object|null} 清理后的规则 {type, pattern}，无效时返回null
+   */
+  validateAndCleanDomain(domain, type = "auto") {
+    if (typeof domain !== "string" || domain.trim() === "") {
+      return null;
+    }
+
+    // 正则规则需显式选择，保留原始大小写
+    if (type === "regex") {
+      const pattern = domain.trim();
+      if (pattern.length > 500) {
+        return null;
+      }
+      try {
+        new RegExp(pattern, "i");
+      } catch (error) {
+        return null;
+      }
+      return { type: "regex", pattern };
+    }
+
+    const cleaned = domain
+      .trim()
+      .toLowerCase()
+      .replace(/^https?:\/\//, "");
+
+    // 自动识别：*.前缀为通配，带路径为路径前缀，否则为精确域名
+    let resolvedType = type;
+    if (type === "auto") {
+      const slashIndex = cleaned.indexOf("/");
+      const pathPart = slashIndex >= 0 ? this.cleanPathPrefix(cleaned.slice(slashIndex)) : "";
+      if (cleaned.startsWith("*.")) {
+        resolvedType = "wildcard";
+      } else if (pathPart) {
+        resolvedType = "path";
+      } else {
+        resolvedType = "exact";
+      }
+    }
+
+    switch (resolvedType) {
+      case "exact": {
+        const host = this.cleanHost(cleaned);
+        return host ? { type: "exact", pattern: host } : null;
+      }
+
+      case "wildcard": {
+        const host = this.cleanHost(cleaned.replace(/^\*\./, ""));
+        return host ? { type: "wildcard", pattern: `*.${host}` } : null;
+      }
+
+      case "path": {
+        const slashIndex = cleaned.indexOf("/");
+        if (slashIndex < 0) {
+          return null;
+        }
+        const host = this.cleanHost(cleaned.slice(0, slashIndex));
+        const prefix = this.cleanPathPrefix(cleaned.slice(slashIndex));
+        return host && prefix ? { type: "path", pattern: `${host}${prefix}` } : null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 清理路径前缀：去除查询参数、片段、末尾的 "*" 和 "/"
+   * @param {string} path - 以 "/" 开头的路径
+   * @returns {string} 清理后的路径前缀，根路径返回空字符串
+   */
+  cleanPathPrefix(path) {
+    return path
+      .split("?")[0]
+      .split("#")[0]
+      .replace(/\*+$/, "")
+      .replace(/\/+$/, "");
+  }
+
+  /**
+   * 验证并清理主机名
    * @param {string} domain - 原始域名
    * @returns {string|null} 清理后的域名，无效时返回null
    */
-  validateAndCleanDomain(domain) {
+  cleanHost(domain) {
     if (typeof domain !== "string") {
       return null;
     }
@@ -275,7 +631,7 @@ class WhitelistManager {
     try {
       // 如果不是完整URL，假设是域名
       if (!url.includes("://")) {
-        return this.validateAndCleanDomain(url);
+        return this.cleanHost(url);
       }
 
       const urlObj = new URL(url);
@@ -284,7 +640,7 @@ class WhitelistManager {
       // URL构造失败，尝试手动解析
       const cleaned = url.replace(/^https?:\/\//, "");
       const domain = cleaned.split("/")[0].split("?")[0].split("#")[0];
-      return this.validateAndCleanDomain(domain);
+      return this.cleanHost(domain);
     }
   }
 
@@ -303,8 +659,8 @@ class WhitelistManager {
       // 获取当前设置
       const settings = await this.storageManager.loadSettings();
 
-      // 更新白名单
-      settings.whitelist = Array.from(this.domains);
+      // 更新规则列表
+      settings[this.listKey] = this.getRules();
 
       // 保存设置
       return await this.storageManager.saveSettings(settings);
@@ -315,12 +671,23 @@ class WhitelistManager {
   }
 
   /**
-   * 触发白名单变更事件
+   * 触发白名单变更事件：在事件总线上发布，并保留原有的DOM事件
    * @param {string} eventType - 事件类型
    * @param {Object} detail - 事件详情
    * @private
    */
   dispatchChangeEvent(eventType, detail = {}) {
+    const payload = {
+      ...detail,
+      domains: this.getDomains(),
+      rules: this.getRules(),
+      timestamp: Date.now(),
+    };
+
+    if (this.eventBus && this.BUS_EVENTS[eventType]) {
+      this.eventBus.emit(this.BUS_EVENTS[eventType], { listKey: this.listKey, ...payload });
+    }
+
     // 检查是否在浏览器环境中
     if (
       typeof window !== "undefined" &&
@@ -328,12 +695,8 @@ class WhitelistManager {
       typeof CustomEvent !== "undefined"
     ) {
       try {
-        const event = new CustomEvent(`tomato-monkey-whitelist-${eventType}`, {
-          detail: {
-            ...detail,
-            domains: this.getDomains(),
-            timestamp: Date.now(),
-          },
+        const event = new CustomEvent(`tomato-monkey-${this.listKey}-${eventType}`, {
+          detail: payload,
           bubbles: false,
           cancelable: false,
         });
@@ -353,6 +716,7 @@ class WhitelistManager {
     return {
       totalDomains: this.domains.size,
       domains: this.getDomains(),
+      rules: this.getRules(),
       lastModified: Date.now(),
     };
   }
@@ -14,12 +14,18 @@ class Application {
     this.eventBus = null;
     
     // 业务服务层
+    this.leaderService = null;
     this.taskService = null;
     this.timerService = null;
     this.whitelistManager = null;
+    this.blacklistManager = null;
+    this.statsService = null;
+    this.reminderService = null;
     
     // 功能层
     this.blockerFeature = null;
+    this.backupService = null;
+    this.todoTxtService = null;
     
     // UI层
     this.settingsPanel = null;
@@ -55,6 +61,7 @@ class Application {
       await this.initializeServices();
       
       this.initialized = true;
+      this.eventBus.emit(EventBus.EVENTS.APP_INITIALIZED);
       console.log("[Application] DI container initialized successfully");
       
     } catch (error) {
@@ -72,7 +79,7 @@ class Application {
     // Storage - 数据持久化服务
     this.storage = new Storage();
     
-    // EventBus - 事件总线
+    // EventBus - 事件总线：各服务发布 EventBus.EVENTS 中的类型化事件，UI组件通过它订阅
     this.eventBus = new EventBus();
     
     console.log("[Application] Core services created");
@@ -85,13 +92,30 @@ class Application {
     console.log("[Application] Creating business services...");
     
     // TaskService - 任务管理服务
-    this.taskService = new TaskService(this.storage);
+    this.taskService = new TaskService(this.storage, this.eventBus);
     
-    // TimerService - 计时器服务
-    this.timerService = new TimerService(this.storage);
+    // LeaderService - 标签页选主，主标签页负责倒计时和通知
+    this.leaderService = new LeaderService(this.storage, this.eventBus);
     
-    // WhitelistManager - 白名单管理（暂时保持原样）
-    this.whitelistManager = new WhitelistManager();
+    // TimerService - 计时器服务（依赖选主服务）
+    this.timerService = new TimerService(this.storage, this.leaderService, this.eventBus);
+    
+    // WhitelistManager - 白名单管理
+    this.whitelistManager = new WhitelistManager("whitelist", this.eventBus);
+    
+    // BlacklistManager - 黑名单模式下的拦截规则（与白名单共用同一实现）
+    this.blacklistManager = new WhitelistManager("blacklist", this.eventBus);
+    
+    // StatsService - 专注会话统计（依赖计时器和任务服务）
+    this.statsService = new StatsService(
+      this.storage,
+      this.timerService,
+      this.taskService,
+      this.eventBus
+    );
+    
+    // ReminderService - 任务提醒（依赖任务服务，通过计时器服务发送通知）
+    this.reminderService = new ReminderService(this.taskService, this.timerService);
     
     console.log("[Application] Business services created");
   }
@@ -110,9 +134,24 @@ class Application {
       this.timerService,
       this.whitelistManager, 
       this.focusPage,
-      this.storage
+      this.storage,
+      this.blacklistManager,
+      this.eventBus
     );
     
+    // BackupService - 数据备份与恢复（导入后通知各服务重新加载）
+    this.backupService = new BackupService(this.storage, {
+      taskService: this.taskService,
+      timerService: this.timerService,
+      whitelistManager: this.whitelistManager,
+      blacklistManager: this.blacklistManager,
+      statsService: this.statsService,
+      blockerFeature: this.blockerFeature,
+    });
+    
+    // TodoTxtService - Todo.txt 导入导出（依赖任务服务）
+    this.todoTxtService = new TodoTxtService(this.storage, this.taskService);
+    
     console.log("[Application] Feature modules created");
   }
 
@@ -122,8 +161,19 @@ class Application {
   createUIComponents() {
     console.log("[Application] Creating UI components...");
     
-    // SettingsPanel - 设置面板（传入taskService、timerService、storage和whitelistManager依赖）
-    this.settingsPanel = new SettingsPanel(this.taskService, this.timerService, this.storage, this.whitelistManager);
+    // SettingsPanel - 设置面板（传入业务服务、黑白名单、blockerFeature、backupService和todoTxtService依赖）
+    this.settingsPanel = new SettingsPanel(
+      this.taskService,
+      this.timerService,
+      this.storage,
+      this.whitelistManager,
+      this.statsService,
+      this.blacklistManager,
+      this.blockerFeature,
+      this.backupService,
+      this.todoTxtService,
+      this.eventBus
+    );
     
     // UIWidgets - 全局UI小部件
     this.uiWidgets = new UIWidgets();
@@ -142,14 +192,25 @@ class Application {
     // 初始化核心服务
     // Storage 无需初始化
     
-    // 初始化业务服务
+    // 初始化业务服务（先选主，计时器恢复状态时据此决定是否完成到时的计时；
+    // 统计服务在计时器恢复前订阅，离开期间到时的计时才会记录为完成的会话并计入任务番茄钟数）
+    this.leaderService.initialize();
     await this.taskService.initialize();
+    await this.statsService.initialize();
     await this.timerService.initialize();
     await this.whitelistManager.initialize(this.storage);
+    await this.blacklistManager.initialize(this.storage);
+    await this.reminderService.initialize();
     
     // 初始化功能层
     await this.blockerFeature.initialize();
-    this.focusPage.initialize(this.timerService, this.taskService, this.blockerFeature);
+    this.focusPage.initialize(
+      this.timerService,
+      this.taskService,
+      this.blockerFeature,
+      this.statsService,
+      this.eventBus,
+    );
     
     // 初始化UI层
     this.uiWidgets.initialize(this.settingsPanel);
@@ -181,8 +242,20 @@ class Application {
     if (this.blockerFeature) this.blockerFeature.destroy();
     if (this.focusPage) this.focusPage.destroy();
     
+    if (this.whitelistManager) this.whitelistManager.destroy();
+    if (this.blacklistManager) this.blacklistManager.destroy();
+    
+    if (this.reminderService) this.reminderService.destroy();
+    if (this.statsService) this.statsService.destroy();
     if (this.timerService) this.timerService.destroy();
-    // TaskService 和 Storage 无需特殊销毁
+    if (this.taskService) this.taskService.destroy();
+    if (this.leaderService) this.leaderService.destroy();
+    // Storage 无需特殊销毁
+    
+    if (this.eventBus) {
+      this.eventBus.emit(EventBus.EVENTS.APP_DESTROYED);
+      this.eventBus.destroy();
+    }
     
     this.initialized = false;
     console.log("[Application] DI container destroyed");
@@ -8,6 +8,7 @@
 // @grant        GM_setValue
 // @grant        GM_getValue
 // @grant        GM_addValueChangeListener
+// @grant        GM_removeValueChangeListener
 // @grant        GM_addStyle
 // @grant        GM_notification
 // @grant        GM_registerMenuCommand
@@ -22,23 +23,482 @@
 
     // ========== 核心模块 ==========
     
+    /**
+     * BackupService - Linus式依赖注入备份服务
+     */
+    class BackupService {
+  constructor(storage, services = {}) {
+    // 依赖注入 - 显式优于隐式
+    this.storage = storage;
+    this.taskService = services.taskService || null;
+    this.timerService = services.timerService || null;
+    this.whitelistManager = services.whitelistManager || null;
+    this.blacklistManager = services.blacklistManager || null;
+    this.statsService = services.statsService || null;
+    this.blockerFeature = services.blockerFeature || null;
+
+    this.APP_ID = "TomatoMonkey";
+
+    // 生成的任务ID：毫秒时间戳，可带以 - 分隔的字母数字后缀。
+    // 备份文件可被任意编辑（校验和可以重新计算），ID 会写入界面属性，不符合格式的备份直接拒绝
+    this.TASK_ID_PATTERN = /^\d+(?:-[a-z0-9]+)*$/;
+
+    console.log("[BackupService] Created");
+  }
+
+  // === 导出 ===
+
+  /**
+   * 创建完整备份包
+   * @returns {Promise<Object>} 备份包
+   */
+  async createBackup() {
+    const data = {
+      tasks: await this.loadAllTasks(),
+      settings: await this.storage.loadSettings(),
+      sessions: await this.storage.loadSessions(),
+    };
+
+    return {
+      app: this.APP_ID,
+      versions: this.getCurrentVersions(),
+      exportedAt: Date.now(),
+      checksum: this.computeChecksum(data),
+      data,
+    };
+  }
+
+  /**
+   * 备份各部分对应的存储键
+   * @returns {Object} {tasks, settings, sessions}
+   */
+  getSectionKeys() {
+    const keys = this.storage.STORAGE_KEYS;
+    return {
+      tasks: keys.TASKS,
+      settings: keys.SETTINGS,
+      sessions: keys.STATISTICS,
+    };
+  }
+
+  /**
+   * 获取备份各部分的当前数据版本
+   * @returns {Object} {tasks, settings, sessions}
+   */
+  getCurrentVersions() {
+    const versions = {};
+    for (const [section, key] of Object.entries(this.getSectionKeys())) {
+      versions[section] = this.storage.getDataVersion(key);
+    }
+    return versions;
+  }
+
+  /**
+   * 加载活动任务和已归档的任务
+   * @returns {Promise<Array<Task>>}
+   */
+  async loadAllTasks() {
+    const [tasks, archived] = await Promise.all([
+      this.storage.loadTasks(),
+      this.storage.loadArchive(),
+    ]);
+    const taskIds = new Set(tasks.map((task) => task.id));
+    return tasks.concat(archived.filter((task) => !taskIds.has(task.id)));
+  }
+
+  /**
+   * 创建备份并序列化为JSON
+   * @returns {Promise<string>} JSON字符串
+   */
+  async exportBackup() {
+    const backup = await this.createBackup();
+    console.log(
+      `[BackupService] Exported ${backup.data.tasks.length} tasks and ${backup.data.sessions.length} sessions`,
+    );
+    return JSON.stringify(backup, null, 2);
+  }
+
+  /**
+   * 计算备份数据的校验和（FNV-1a 32位）
+   * @param {Object} data - 备份数据
+   * @returns {string} 8位十六进制校验和
+   */
+  computeChecksum(data) {
+    const text = JSON.stringify(data);
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(16).padStart(8, "0");
+  }
+
+  // === 导入 ===
+
+  /**
+   * 解析并验证备份包
+   * @param {string} jsonText - 备份文件内容
+   * @returns {Object} 迁移到当前版本的备份包
+   * @throws {Error} 如果格式、版本或校验和无效
+   */
+  parseBackup(jsonText) {
+    let backup;
+    try {
+      backup = JSON.parse(jsonText);
+    } catch (error) {
+      throw new Error("Backup is not valid JSON");
+    }
+
+    if (!backup || backup.app !== this.APP_ID || !backup.data) {
+      throw new Error("Not a TomatoMonkey backup file");
+    }
+
+    // 各部分单独记录版本，与存储键的版本一致
+    const sectionKeys = this.getSectionKeys();
+    const versions = backup.versions || {};
+    for (const [section, key] of Object.entries(sectionKeys)) {
+      const version = versions[section];
+      if (typeof version !== "number" || version < 1) {
+        throw new Error(`Backup has an invalid ${section} version`);
+      }
+      if (version > this.storage.getDataVersion(key)) {
+        throw new Error(
+          `Backup ${section} v${version} is newer than supported v${this.storage.getDataVersion(key)}`,
+        );
+      }
+    }
+
+    if (this.computeChecksum(backup.data) !== backup.checksum) {
+      throw new Error("Backup checksum mismatch, the file may be corrupted");
+    }
+
+    const { tasks, settings, sessions } = backup.data;
+    if (!Array.isArray(tasks) || !Array.isArray(sessions) || !settings) {
+      throw new Error("Backup is missing tasks, settings or sessions");
+    }
+
+    // 旧版本备份复用存储迁移注册表，按各部分的版本分别升级
+    const migratedTasks = this.storage.migrateData(
+      { version: versions.tasks, tasks },
+      sectionKeys.tasks,
+    ).tasks;
+    const migratedSettings = this.storage.migrateData(
+      { version: versions.settings, settings },
+      sectionKeys.settings,
+    ).settings;
+    const migratedSessions = this.storage.migrateData(
+      { version: versions.sessions, sessions },
+      sectionKeys.sessions,
+    ).sessions;
+    const mergedSettings = {
+      ...this.storage.DEFAULT_SETTINGS,
+      ...migratedSettings,
+    };
+
+    this.storage.validateTasksData(migratedTasks);
+    const invalidTask = migratedTasks.find((task) => !this.TASK_ID_PATTERN.test(task.id));
+    if (invalidTask) {
+      throw new Error(`Backup contains an invalid task id: ${JSON.stringify(invalidTask.id)}`);
+    }
+    this.storage.validateSettingsData(mergedSettings);
+    this.storage.validateSessionsData(migratedSessions);
+
+    return {
+      ...backup,
+      versions: this.getCurrentVersions(),
+      data: {
+        tasks: migratedTasks,
+        settings: mergedSettings,
+        sessions: migratedSessions,
+      },
+    };
+  }
+
+  /**
+   * 预演导入：计算合并或替换后的结果和变更摘要，不写入存储
+   * @param {Object} backup - parseBackup 返回的备份包
+   * @param {Object} options - {mode: "merge"|"replace", conflictStrategy: "backup"|"local"}
+   * @returns {Promise<Object>} 导入计划
+   */
+  async previewRestore(backup, options = {}) {
+    const mode = options.mode === "replace" ? "replace" : "merge";
+    const conflictStrategy =
+      options.conflictStrategy === "local" ? "local" : "backup";
+
+    const local = {
+      tasks: await this.loadAllTasks(),
+      settings: await this.storage.loadSettings(),
+      sessions: await this.storage.loadSessions(),
+    };
+
+    return {
+      mode,
+      conflictStrategy,
+      tasks: this.planTasks(local.tasks, backup.data.tasks, mode, conflictStrategy),
+      sessions: this.planSessions(local.sessions, backup.data.sessions, mode),
+      settings: this.planSettings(
+        local.settings,
+        backup.data.settings,
+        mode,
+        conflictStrategy,
+      ),
+    };
+  }
+
+  /**
+   * 计算任务导入结果（按任务ID匹配）
+   * @returns {Object} {result, added, updated, conflicts, removed, unchanged}
+   */
+  planTasks(localTasks, backupTasks, mode, conflictStrategy) {
+    const localById = new Map(localTasks.map((task) => [task.id, task]));
+    const backupIds = new Set(backupTasks.map((task) => task.id));
+    const plan = {
+      result: [],
+      added: [],
+      updated: [],
+      conflicts: [],
+      removed: [],
+      unchanged: 0,
+    };
+
+    // 合并模式保留本地独有的任务，替换模式将其删除
+    for (const task of localTasks) {
+      if (backupIds.has(task.id)) continue;
+      if (mode === "merge") {
+        plan.result.push(task);
+      } else {
+        plan.removed.push(task);
+      }
+    }
+
+    for (const task of backupTasks) {
+      const localTask = localById.get(task.id);
+
+      if (!localTask) {
+        plan.added.push(task);
+        plan.result.push(task);
+      } else if (this.isSameRecord(localTask, task)) {
+        plan.unchanged++;
+        plan.result.push(localTask);
+      } else if (mode === "merge" && conflictStrategy === "local") {
+        plan.conflicts.push({ local: localTask, backup: task, winner: "local" });
+        plan.result.push(localTask);
+      } else {
+        if (mode === "merge") {
+          plan.conflicts.push({ local: localTask, backup: task, winner: "backup" });
+        }
+        plan.updated.push(task);
+        plan.result.push(task);
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * 计算会话历史导入结果（会话记录不可变，按ID去重）
+   * @returns {Object} {result, added, removed}
+   */
+  planSessions(localSessions, backupSessions, mode) {
+    const localIds = new Set(localSessions.map((session) => session.id));
+    const backupIds = new Set(backupSessions.map((session) => session.id));
+    const added = backupSessions.filter((session) => !localIds.has(session.id));
+
+    if (mode === "replace") {
+      return {
+        result: backupSessions.slice(),
+        added: added.length,
+        removed: localSessions.filter((session) => !backupIds.has(session.id))
+          .length,
+      };
+    }
+
+    const result = localSessions
+      .concat(added)
+      .sort((a, b) => a.startedAt - b.startedAt);
+    return { result, added: added.length, removed: 0 };
+  }
+
+  /**
+   * 计算设置导入结果
+   * 合并模式：黑白名单取并集，其余字段按冲突策略选择
+   * @returns {Object} {result, changed}
+   */
+  planSettings(localSettings, backupSettings, mode, conflictStrategy) {
+    let result;
+
+    if (mode === "replace") {
+      result = { ...backupSettings };
+    } else {
+      const [winner, other] =
+        conflictStrategy === "local"
+          ? [localSettings, backupSettings]
+          : [backupSettings, localSettings];
+
+      result = {
+        ...other,
+        ...winner,
+        whitelist: this.mergeRuleLists(winner.whitelist, other.whitelist),
+        blacklist: this.mergeRuleLists(winner.blacklist, other.blacklist),
+      };
+    }
+
+    const fields = new Set([
+      ...Object.keys(localSettings),
+      ...Object.keys(result),
+    ]);
+    const changed = Array.from(fields).filter(
+      (field) => !this.isSameRecord(localSettings[field], result[field]),
+    );
+
+    return { result, changed };
+  }
+
+  /**
+   * 合并两个规则列表并去重
+   * @param {Array} primary - 优先保留的规则
+   * @param {Array} secondary - 补充的规则
+   * @returns {Array} 合并后的规则
+   */
+  mergeRuleLists(primary = [], secondary = []) {
+    const seen = new Set();
+    const merged = [];
+
+    for (const rule of primary.concat(secondary)) {
+      const key =
+        typeof rule === "string" ? rule : `${rule.type}:${rule.pattern}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        merged.push(rule);
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * 比较两个记录的内容是否一致
+   */
+  isSameRecord(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * 按预演计划写入存储
+   * @param {Object} plan - previewRestore 返回的计划
+   * @returns {Promise<boolean>} 导入是否成功
+   */
+  async applyRestore(plan) {
+    try {
+      // 先校验全部数据，避免写到一半才发现某一部分无效
+      this.storage.validateTasksData(plan.tasks.result);
+      this.storage.validateSettingsData(plan.settings.result);
+      this.storage.validateSessionsData(plan.sessions.result);
+    } catch (error) {
+      console.error("[BackupService] Restore plan is invalid:", error);
+      return false;
+    }
+
+    try {
+      // 导入前的数据快照只保存在内存中，写入失败时据此回滚
+      const snapshot = await this.createBackup();
+
+      // 导入是显式的恢复操作，允许覆盖迁移失败的键（原始数据仍在迁移备份中）
+      this.storage.clearMigrationFailures();
+
+      // 导入结果全部写回活动列表，TaskService 重新加载时按归档天数再次归档
+      const saved = await this.writeData({
+        tasks: plan.tasks.result,
+        settings: plan.settings.result,
+        sessions: plan.sessions.result,
+      });
+
+      if (!saved) {
+        // 部分写入后失败：写回快照，避免留下新任务配旧设置之类的半完成状态
+        const rolledBack = await this.writeData(snapshot.data);
+        console.error(
+          `[BackupService] Failed to write restored data, ${rolledBack ? "rolled back to snapshot" : "rollback also failed"}`,
+        );
+        await this.reloadServices();
+        return false;
+      }
+
+      await this.reloadServices();
+
+      console.log(
+        `[BackupService] Restore applied (${plan.mode}): +${plan.tasks.added.length} tasks, ${plan.tasks.updated.length} updated, ${plan.tasks.removed.length} removed`,
+      );
+      return true;
+    } catch (error) {
+      console.error("[BackupService] Failed to apply restore:", error);
+      return false;
+    }
+  }
+
+  /**
+   * 依次写入任务（清空归档）、设置和会话历史
+   * @param {Object} data - {tasks, settings, sessions}
+   * @returns {Promise<boolean>} 是否全部写入成功
+   */
+  async writeData({ tasks, settings, sessions }) {
+    return (
+      (await this.storage.saveTasks(tasks)) &&
+      (await this.storage.saveArchive([])) &&
+      (await this.storage.saveSettings(settings)) &&
+      (await this.storage.saveSessions(sessions))
+    );
+  }
+
+  /**
+   * 通知各服务从存储重新加载数据
+   */
+  async reloadServices() {
+    if (this.taskService) await this.taskService.reload();
+    if (this.whitelistManager) await this.whitelistManager.reload();
+    if (this.blacklistManager) await this.blacklistManager.reload();
+    if (this.statsService) await this.statsService.reload();
+    if (this.timerService) await this.timerService.loadCycleSettings();
+    if (this.blockerFeature) {
+      await this.blockerFeature.loadBlockingMode();
+      this.blockerFeature.clearCache();
+    }
+  }
+}
+
     /**
      * BlockerFeature - Linus式依赖注入拦截功能
      */
     class BlockerFeature {
-  constructor(timerService, whitelistManager, focusPage, storage) {
+  constructor(
+    timerService,
+    whitelistManager,
+    focusPage,
+    storage,
+    blacklistManager = null,
+    eventBus = null,
+  ) {
     // 依赖注入 - 显式优于隐式
     this.timerService = timerService;
     this.whitelistManager = whitelistManager;
+    this.blacklistManager = blacklistManager;
     this.focusPage = focusPage;
     this.storage = storage;
+    this.eventBus = eventBus;
 
     // 拦截器状态
     this.isActive = false;
     this.isCurrentPageBlocked = false;
 
+    // 拦截模式：whitelist 拦截白名单以外的网站，blacklist 只拦截黑名单网站
+    this.BLOCKING_MODES = ["whitelist", "blacklist"];
+    this.blockingMode = "whitelist";
+
     // 观察者回调绑定
     this.boundTimerObserver = this.handleTimerEvent.bind(this);
+    this.boundRuleChangeHandler = this.handleRuleListChange.bind(this);
+    this.unsubscribeRuleEvents = null;
 
     // 初始化状态
     this.initialized = false;
@@ -47,6 +507,9 @@
     this.urlMatchCache = new Map();
     this.cacheExpiryTime = 5 * 60 * 1000; // 5分钟缓存过期
 
+    // 跨标签页同步：设置存储键的变化监听器ID
+    this.settingsListenerId = null;
+
     console.log("[BlockerFeature] Created");
   }
 
@@ -71,6 +534,10 @@
     // 监听计时器状态变化
     this.bindTimerService();
 
+    // 加载拦截模式并监听规则列表变化
+    await this.loadBlockingMode();
+    this.bindRuleListEvents(true);
+
     // 检查当前页面是否需要拦截
     await this.checkCurrentPageBlocking();
 
@@ -97,6 +564,122 @@
     this.timerService.removeObserver(this.boundTimerObserver);
   }
 
+  /**
+   * 绑定或解绑规则列表变更事件（白名单和黑名单共用的 RULE_* 事件）
+   * @param {boolean} bind - true 绑定，false 解绑
+   */
+  bindRuleListEvents(bind) {
+    if (this.unsubscribeRuleEvents) {
+      this.unsubscribeRuleEvents();
+      this.unsubscribeRuleEvents = null;
+    }
+    if (bind && this.eventBus) {
+      this.unsubscribeRuleEvents = this.eventBus.onMany(
+        [
+          EventBus.EVENTS.RULE_ADDED,
+          EventBus.EVENTS.RULE_REMOVED,
+          EventBus.EVENTS.RULES_CLEARED,
+          EventBus.EVENTS.RULES_RELOADED,
+        ],
+        this.boundRuleChangeHandler,
+      );
+    }
+  }
+
+  /**
+   * 在事件总线上发布事件（未注入事件总线时忽略）
+   * @param {string} event - EventBus.EVENTS 中的事件名称
+   * @param {Object} data - 事件数据
+   */
+  publish(event, data = {}) {
+    if (this.eventBus) {
+      this.eventBus.emit(event, data);
+    }
+  }
+
+  /**
+   * 规则列表变化后清除缓存并重新检查当前页面
+   */
+  async handleRuleListChange() {
+    this.clearCache();
+    await this.checkCurrentPageBlocking();
+  }
+
+  /**
+   * 从设置加载拦截模式
+   */
+  async loadBlockingMode() {
+    if (!this.storage) return;
+
+    try {
+      const settings = await this.storage.loadSettings();
+      this.blockingMode = this.BLOCKING_MODES.includes(settings.blockingMode)
+        ? settings.blockingMode
+        : "whitelist";
+      console.log(`[BlockerFeature] Blocking mode: ${this.blockingMode}`);
+    } catch (error) {
+      console.error("[BlockerFeature] Failed to load blocking mode:", error);
+    }
+  }
+
+  /**
+   * 切换拦截模式并持久化
+   * @param {string} mode - "whitelist" 或 "blacklist"
+   * @returns {Promise<boolean>} 切换是否成功
+   */
+  async setBlockingMode(mode) {
+    if (!this.BLOCKING_MODES.includes(mode)) {
+      console.warn("[BlockerFeature] Invalid blocking mode:", mode);
+      return false;
+    }
+
+    try {
+      const settings = await this.storage.loadSettings();
+      settings.blockingMode = mode;
+      const success = await this.storage.saveSettings(settings);
+      if (!success) {
+        return false;
+      }
+
+      this.blockingMode = mode;
+      console.log(`[BlockerFeature] Blocking mode changed to ${mode}`);
+
+      // 模式变化会改变所有URL的判断结果
+      this.clearCache();
+      await this.checkCurrentPageBlocking();
+      this.publish(EventBus.EVENTS.BLOCKING_MODE_CHANGED, { mode });
+      return true;
+    } catch (error) {
+      console.error("[BlockerFeature] Failed to change blocking mode:", error);
+      return false;
+    }
+  }
+
+  /**
+   * 获取当前拦截模式
+   * @returns {string} "whitelist" 或 "blacklist"
+   */
+  getBlockingMode() {
+    return this.blockingMode;
+  }
+
+  /**
+   * 按当前拦截模式判断URL是否命中拦截规则（不考虑激活状态和豁免）
+   * @param {string} url - 要检查的URL
+   * @returns {boolean} 是否应该拦截
+   */
+  isBlockedByRules(url) {
+    if (this.blockingMode === "blacklist") {
+      return this.blacklistManager
+        ? this.blacklistManager.findMatchingRule(url) !== null
+        : false;
+    }
+
+    return this.whitelistManager
+      ? !this.whitelistManager.isDomainAllowed(url)
+      : true;
+  }
+
   /**
    * 处理计时器事件
    * @param {string} event - 事件类型
@@ -113,9 +696,22 @@
       case "timerCompleted":
         this.deactivateBlocking();
         break;
+      case "breakStarted":
+        // 休息期间解除拦截
+        this.deactivateBlocking();
+        break;
     }
   }
 
+  /**
+   * 判断计时器状态是否为进行中的专注阶段（休息阶段不拦截）
+   * @param {Object} state - 计时器状态
+   * @returns {boolean} 是否处于专注中
+   */
+  isFocusRunning(state) {
+    return state?.status === "running" && (state.phase || "focus") === "focus";
+  }
+
   /**
    * 激活拦截器
    * @param {boolean} newSession - 是否为新的计时器会话（默认false）
@@ -141,6 +737,7 @@
 
     // 保存拦截器状态
     this.saveBlockerState();
+    this.publish(EventBus.EVENTS.BLOCKER_ACTIVATED, { newSession });
   }
 
   /**
@@ -172,6 +769,9 @@
 
     // 保存拦截器状态
     this.saveBlockerState();
+    if (wasActive) {
+      this.publish(EventBus.EVENTS.BLOCKER_DEACTIVATED);
+    }
     console.log(`🛑 [DeactivateBlocking] Deactivation complete`);
   }
 
@@ -317,11 +917,8 @@
         }
       }
 
-      // 检查白名单
-      const isAllowed = this.whitelistManager ? 
-        this.whitelistManager.isDomainAllowed(url) : false;
-
-      const shouldBlock = !isAllowed;
+      // 按拦截模式检查白名单或黑名单
+      const shouldBlock = this.isBlockedByRules(url);
 
       // 缓存结果
       this.urlMatchCache.set(cacheKey, {
@@ -345,13 +942,13 @@
     const currentUrl = window.location.href;
     
     // 获取必要状态
-    const timerState = this.storage.getData("timerState");
-    const blockerState = this.storage.getData("blockerState");
+    const timerState = this.storage.loadState("timerState");
+    const blockerState = this.storage.loadState("blockerState");
     
     // 三个条件，一个结果，没有特殊情况
-    return timerState?.status === 'running' && 
+    return this.isFocusRunning(timerState) && 
            blockerState?.isActive !== false &&
-           !this.whitelistManager.isDomainAllowed(currentUrl) && 
+           this.isBlockedByRules(currentUrl) && 
            !this.isExemptUrl(currentUrl);
   }
 
@@ -406,7 +1003,7 @@
       timestamp: Date.now()
     };
 
-    this.storage.setData("blockerState", state);
+    this.storage.saveState("blockerState", state);
   }
 
   /**
@@ -416,7 +1013,7 @@
     if (!this.storage) return;
 
     try {
-      const state = this.storage.getData("blockerState");
+      const state = this.storage.loadState("blockerState");
       if (state && typeof state.isActive === 'boolean') {
         this.isActive = state.isActive;
         
@@ -459,12 +1056,47 @@
       console.warn('🎧 [Listener] GM_addValueChangeListener not available!');
     }
 
+    // 其他标签页切换拦截模式（规则列表的变化由 WhitelistManager 同步后派发 domainsReloaded）
+    if (this.storage && this.settingsListenerId === null && typeof GM_addValueChangeListener === 'function') {
+      this.settingsListenerId = GM_addValueChangeListener(
+        this.storage.STORAGE_KEYS.SETTINGS,
+        (name, old_value, new_value, remote) => {
+          if (remote) {
+            this.handleRemoteSettingsChange();
+          }
+        },
+      );
+    }
+
     // 备用方案：使用window事件
     window.addEventListener('focus', () => {
       this.handleWindowFocus();
     });
   }
 
+  /**
+   * 处理远程设置变化：拦截模式变化时清除缓存、立即重新检查当前页面，
+   * 并发布 BLOCKING_MODE_CHANGED 事件
+   */
+  async handleRemoteSettingsChange() {
+    try {
+      const settings = await this.storage.loadLatestSettings();
+      const mode = this.BLOCKING_MODES.includes(settings.blockingMode)
+        ? settings.blockingMode
+        : "whitelist";
+      if (mode === this.blockingMode) return;
+
+      this.blockingMode = mode;
+      console.log(`[BlockerFeature] Blocking mode synced from another tab: ${mode}`);
+
+      this.clearCache();
+      await this.checkCurrentPageBlocking();
+      this.publish(EventBus.EVENTS.BLOCKING_MODE_CHANGED, { mode, remote: true });
+    } catch (error) {
+      console.warn("[BlockerFeature] Ignored unreadable remote settings change:", error);
+    }
+  }
+
   /**
    * 处理远程计时器状态变化
    * @param {Object} newState - 新的计时器状态
@@ -478,7 +1110,7 @@
         console.log('🔄 [RemoteStateChange] Parsed state:', newState);
       }
 
-      if (newState && newState.status === 'running') {
+      if (this.isFocusRunning(newState)) {
         console.log('🔄 [RemoteStateChange] Timer running - activating blocking');
         // 远程计时器开始运行，激活本标签页的拦截器（非新会话）
         if (!this.isActive) {
@@ -487,9 +1119,9 @@
           // 已经激活，只需检查当前页面
           await this.checkCurrentPageBlocking();
         }
-      } else if (newState && (newState.status === 'idle' || newState.status === 'completed')) {
-        console.log(`🔄 [RemoteStateChange] Timer stopped (${newState.status}) - deactivating blocking`);
-        // 远程计时器停止，停用本标签页的拦截器
+      } else if (newState && newState.status !== 'paused') {
+        console.log(`🔄 [RemoteStateChange] Timer stopped or on break (${newState.status}/${newState.phase}) - deactivating blocking`);
+        // 远程计时器停止或进入休息，停用本标签页的拦截器
         this.deactivateBlocking();
       } else {
         console.log('🔄 [RemoteStateChange] No action needed for state:', newState);
@@ -506,9 +1138,10 @@
     // 当标签页获得焦点时，检查拦截状态
     if (this.timerService) {
       const timerState = this.timerService.getTimerState();
-      if (timerState.status === 'running' && !this.isActive) {
+      const isFocusRunning = this.isFocusRunning(timerState);
+      if (isFocusRunning && !this.isActive) {
         this.activateBlocking(false); // 窗口焦点激活，保持临时跳过域名
-      } else if (timerState.status !== 'running' && this.isActive) {
+      } else if (!isFocusRunning && this.isActive) {
         this.deactivateBlocking();
       }
     }
@@ -603,6 +1236,7 @@
       isCurrentPageBlocked: this.isCurrentPageBlocked,
       currentUrl: window.location.href,
       initialized: this.initialized,
+      blockingMode: this.blockingMode,
       cacheSize: this.urlMatchCache.size
     };
   }
@@ -612,13 +1246,20 @@
    */
   destroy() {
     this.unbindTimerService();
+    this.bindRuleListEvents(false);
+    if (this.settingsListenerId !== null && typeof GM_removeValueChangeListener === "function") {
+      GM_removeValueChangeListener(this.settingsListenerId);
+    }
+    this.settingsListenerId = null;
     this.deactivateBlocking();
     this.clearCache();
     
     this.timerService = null;
     this.whitelistManager = null;
+    this.blacklistManager = null;
     this.focusPage = null;
     this.storage = null;
+    this.eventBus = null;
     
     console.log("[BlockerFeature] Destroyed");
   }
@@ -668,6 +1309,17 @@
     return () => this.off(event, listener);
   }
 
+  /**
+   * 用同一个监听器订阅多个事件
+   * @param {Array<string>} events - 事件名称列表
+   * @param {Function} listener - 监听器函数，通过第一个参数区分事件
+   * @returns {Function} 取消全部订阅的函数
+   */
+  onMany(events, listener) {
+    const unsubscribers = events.map((event) => this.on(event, listener));
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }
+
   /**
    * 取消订阅事件
    * @param {string} event - 事件名称
@@ -715,7 +1367,6 @@
   emit(event, data = null) {
     const eventListeners = this.listeners.get(event);
     if (!eventListeners || eventListeners.size === 0) {
-      console.log(`[EventBus] No listeners for '${event}'`);
       return;
     }
 
@@ -741,7 +1392,10 @@
       }
     }
 
-    console.log(`[EventBus] Emitted '${event}' to ${eventListeners.size} listeners${errorCount > 0 ? ` (${errorCount} failed)` : ''}`);
+    // 每秒一次的事件不记录日志，避免刷屏
+    if (!EventBus.QUIET_EVENTS.has(event) || errorCount > 0) {
+      console.log(`[EventBus] Emitted '${event}' to ${eventListeners.size} listeners${errorCount > 0 ? ` (${errorCount} failed)` : ''}`);
+    }
   }
 
   /**
@@ -809,718 +1463,1028 @@
 }
 
 // 预定义事件类型 - 提供类型安全和文档
+// 各服务在 notifyObservers 时同时以这些名称发布到事件总线，监听器签名为 (event, data)；
+// 注释中为 data 的结构，remote: true 表示变化来自其他标签页
 EventBus.EVENTS = {
-  // 任务事件
-  TASK_CREATED: 'task:created',
-  TASK_UPDATED: 'task:updated',
-  TASK_DELETED: 'task:deleted',
-  TASK_COMPLETED: 'task:completed',
-  
-  // 计时器事件
-  TIMER_STARTED: 'timer:started',
-  TIMER_PAUSED: 'timer:paused',
-  TIMER_RESUMED: 'timer:resumed',
-  TIMER_STOPPED: 'timer:stopped',
-  TIMER_COMPLETED: 'timer:completed',
-  
-  // 拦截器事件
-  BLOCKER_ACTIVATED: 'blocker:activated',
-  BLOCKER_DEACTIVATED: 'blocker:deactivated',
-  
+  // 任务事件（TaskService）
+  TASKS_LOADED: 'tasks:loaded',                           // {}
+  TASKS_RELOADED: 'tasks:reloaded',                       // {remote?}（remote 时为回收站或归档在其他标签页变化）
+  TASK_CREATED: 'task:created',                           // {task, previousTaskId?, remote?}
+  TASK_UPDATED: 'task:updated',                           // {task, field, oldValue} | {task, fields, remote: true}
+  TASK_REORDERED: 'task:reordered',                       // {task, oldIndex, newIndex}
+  TASK_TOGGLED: 'task:toggled',                           // {task, wasCompleted}
+  TASK_COMPLETED: 'task:completed',                       // {task}
+  TASK_DELETED: 'task:deleted',                           // {task, trashed, remote?}
+  TASK_RESTORED: 'task:restored',                         // {task}
+  TASK_PURGED: 'task:purged',                             // {tasks, expired?}
+  TASK_POMODORO_UPDATED: 'task:pomodoroUpdated',          // {task, oldCount}
+  TASK_CHECKLIST_UPDATED: 'task:checklistUpdated',        // {task, item, action: "added"|"toggled"|"removed"}
+  COMPLETED_TASKS_CLEARED: 'tasks:completedCleared',      // {count}
+  TASKS_IMPORTED: 'tasks:imported',                       // {tasks}
+  TASKS_ARCHIVED: 'tasks:archived',                       // {tasks}
+  TASKS_MERGED: 'tasks:merged',                           // {taskIds}
+  TASK_CONFLICT: 'tasks:conflict',                        // {conflicts: [{type, taskId, title, fields}]}
+  TRASH_RETENTION_CHANGED: 'tasks:trashRetentionChanged', // {days, remote?}
+  ARCHIVE_SETTINGS_CHANGED: 'tasks:archiveSettingsChanged', // {days, remote?}
+
+  // 计时器事件（TimerService）
+  TIMER_STARTED: 'timer:started',                         // {taskId, taskTitle, phase, isExtension, totalSeconds, remainingSeconds, remote?}
+  TIMER_PAUSED: 'timer:paused',                           // {remainingSeconds, remote?}
+  TIMER_RESUMED: 'timer:resumed',                         // {remainingSeconds, remote?}
+  TIMER_STOPPED: 'timer:stopped',                         // {remote?}
+  TIMER_COMPLETED: 'timer:completed',                     // {taskId, taskTitle, completedPomodoros, completedAt, remote?}
+  TIMER_MODIFIED: 'timer:modified',                       // {taskId, taskTitle, oldDuration, newDuration, totalSeconds, remainingSeconds, remote?}
+  TIMER_TICK: 'timer:tick',                               // {phase, remainingSeconds, totalSeconds, progress}
+  BREAK_STARTED: 'break:started',                         // {phase, totalSeconds, remainingSeconds, completedPomodoros, longBreakInterval, remote?}
+  BREAK_COMPLETED: 'break:completed',                     // {phase, skipped, completedPomodoros, remote?}
+  TIMER_SETTINGS_CHANGED: 'timer:settingsChanged',        // TimerService.getTimerSettings() 的返回值
+  LEADER_CHANGED: 'leader:changed',                       // {isLeader, tabId}（LeaderService）
+
+  // 统计事件（StatsService）
+  SESSIONS_LOADED: 'stats:loaded',                        // {}
+  SESSIONS_RELOADED: 'stats:reloaded',                    // {remote?}
+  SESSION_RECORDED: 'stats:sessionRecorded',              // {session}
+  INTERRUPTION_RECORDED: 'stats:interruptionRecorded',    // {interruption}
+
+  // 拦截规则事件（WhitelistManager，白名单和黑名单共用，以 listKey 区分）
+  RULE_ADDED: 'rules:added',                              // {listKey, domain, rule, domains, rules, timestamp}
+  RULE_REMOVED: 'rules:removed',                          // {listKey, domain, rule, domains, rules, timestamp}
+  RULES_CLEARED: 'rules:cleared',                         // {listKey, domains, rules, timestamp}
+  RULES_RELOADED: 'rules:reloaded',                       // {listKey, domains, rules, timestamp, remote?}
+
+  // 拦截器事件（BlockerFeature）
+  BLOCKER_ACTIVATED: 'blocker:activated',                 // {newSession}
+  BLOCKER_DEACTIVATED: 'blocker:deactivated',             // {}
+  BLOCKING_MODE_CHANGED: 'blocker:modeChanged',           // {mode, remote?}
+
   // 应用事件
-  APP_INITIALIZED: 'app:initialized',
-  APP_DESTROYED: 'app:destroyed'
+  APP_INITIALIZED: 'app:initialized',                     // {}
+  APP_DESTROYED: 'app:destroyed'                          // {}
 };
 
+// 高频事件：发射时不记录日志
+EventBus.QUIET_EVENTS = new Set([EventBus.EVENTS.TIMER_TICK]);
+
     /**
-     * Storage - Linus式数据持久化服务
+     * LeaderService - Linus式依赖注入标签页选主服务
      */
-    class Storage {
-  constructor() {
-    // 存储键值常量
-    this.STORAGE_KEYS = {
-      TASKS: "TOMATO_MONKEY_TASKS",
-      SETTINGS: "TOMATO_MONKEY_SETTINGS",
-      STATISTICS: "TOMATO_MONKEY_STATISTICS",
-    };
+    class LeaderService {
+  constructor(storage, eventBus = null) {
+    // 依赖注入 - 显式优于隐式
+    this.storage = storage;
+    this.eventBus = eventBus;
+
+    this.LEADER_KEY = "timerLeader";
+    this.HEARTBEAT_INTERVAL_MS = 2000;
+    // 后台标签页的 setInterval 可能被节流到每分钟一次，超时需远大于节流间隔，避免误判主标签页已关闭
+    this.LEADER_TIMEOUT_MS = 150000;
+    // 计时到点时主标签页超过3次心跳未更新，由到点的标签页接替完成，不必等待选主超时
+    this.TAKEOVER_AFTER_MS = this.HEARTBEAT_INTERVAL_MS * 3;
+
+    this.tabId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    this.isLeader = false;
+    this.lastHeartbeat = 0; // 本标签页最近一次写入心跳的时间
+    this.heartbeatInterval = null;
+    this.listenerId = null;
+    this.observers = new Set();
+    this.isInitialized = false;
 
-    // 数据版本管理
-    this.DATA_VERSION = 1;
+    this.boundRelease = this.release.bind(this);
 
-    // 默认设置
-    this.DEFAULT_SETTINGS = {
-      pomodoroDuration: 25, // 默认番茄钟时长（分钟）
-      whitelist: [], // 默认空白名单
-    };
+    console.log(`[LeaderService] Created (tab ${this.tabId})`);
   }
 
   /**
-   * 保存任务列表到存储
-   * @param {Array<Task>} tasks - 任务列表
-   * @returns {Promise<boolean>} 保存是否成功
+   * 参与选主并开始心跳
    */
-  async saveTasks(tasks) {
-    try {
-      if (!Array.isArray(tasks)) {
-        throw new Error("Tasks must be an array");
-      }
-
-      // 验证任务数据结构
-      this.validateTasksData(tasks);
+  initialize() {
+    if (this.isInitialized) return;
 
-      // 创建存储数据对象
-      const storageData = {
-        version: this.DATA_VERSION,
-        timestamp: Date.now(),
-        tasks: tasks,
-      };
+    this.elect();
+    this.heartbeatInterval = setInterval(() => this.elect(), this.HEARTBEAT_INTERVAL_MS);
 
-      // 序列化并保存
-      const serializedData = JSON.stringify(storageData);
-      GM_setValue(this.STORAGE_KEYS.TASKS, serializedData);
+    // 其他标签页声明或让出时立即重新选主，不必等待下一次心跳
+    if (typeof GM_addValueChangeListener === "function") {
+      this.listenerId = GM_addValueChangeListener(
+        this.LEADER_KEY,
+        (name, oldValue, newValue, remote) => {
+          if (remote) {
+            this.elect();
+          }
+        },
+      );
+    }
 
-      console.log(`[Storage] Saved ${tasks.length} tasks to storage`);
-      return true;
-    } catch (error) {
-      console.error("[Storage] Failed to save tasks:", error);
-      return false;
+    if (typeof window !== "undefined") {
+      window.addEventListener("pagehide", this.boundRelease);
     }
+
+    this.isInitialized = true;
+    console.log(`[LeaderService] Initialized as ${this.isLeader ? "leader" : "follower"}`);
   }
 
   /**
-   * 从存储加载任务列表
-   * @returns {Promise<Array<Task>>} 任务列表
+   * 选主：没有存活的主标签页时声明自己，自己是主标签页时续写心跳
+   * @param {number} now - 当前时间戳
    */
-  async loadTasks() {
-    try {
-      const serializedData = GM_getValue(this.STORAGE_KEYS.TASKS, null);
-
-      if (!serializedData) {
-        console.log(
-          "[Storage] No tasks found in storage, returning empty array",
-        );
-        return [];
-      }
-
-      // 解析存储数据
-      const storageData = JSON.parse(serializedData);
+  elect(now = Date.now()) {
+    const record = this.storage.getData(this.LEADER_KEY, null);
+    const isAlive =
+      record && typeof record.heartbeat === "number" && now - record.heartbeat < this.LEADER_TIMEOUT_MS;
+
+    // 只有自己的心跳没有停滞时才按标签页ID比较（同时声明）；心跳停滞期间被接替的一方直接让出
+    const isContested =
+      isAlive &&
+      this.isLeader &&
+      now - this.lastHeartbeat < this.TAKEOVER_AFTER_MS &&
+      record.tabId > this.tabId;
+
+    const shouldLead = !isAlive || record.tabId === this.tabId || isContested;
+
+    if (shouldLead) {
+      this.writeHeartbeat(now);
+    }
+    this.setLeader(shouldLead);
+  }
 
-      // 检查数据版本和格式
-      if (!this.validateStorageData(storageData)) {
-        console.warn(
-          "[Storage] Invalid storage data format, returning empty array",
-        );
-        return [];
+  /**
+   * 计时到点时接替心跳已停滞的主标签页
+   * @param {number} now - 当前时间戳
+   * @returns {boolean} 本标签页是否已是主标签页
+   */
+  takeOverIfStale(now = Date.now()) {
+    const record = this.storage.getData(this.LEADER_KEY, null);
+    const isStale =
+      !record || typeof record.heartbeat !== "number" || now - record.heartbeat >= this.TAKEOVER_AFTER_MS;
+
+    if (isStale || record.tabId === this.tabId) {
+      if (isStale) {
+        console.log(`[LeaderService] Leader heartbeat stalled, tab ${this.tabId} takes over`);
       }
+      this.writeHeartbeat(now);
+      this.setLeader(true);
+    }
+    return this.isLeader;
+  }
 
-      const tasks = storageData.tasks || [];
-
-      // 验证任务数据结构
-      this.validateTasksData(tasks);
+  /**
+   * 写入本标签页的心跳
+   * @param {number} now - 当前时间戳
+   */
+  writeHeartbeat(now) {
+    this.storage.setData(this.LEADER_KEY, { tabId: this.tabId, heartbeat: now });
+    this.lastHeartbeat = now;
+  }
 
-      console.log(`[Storage] Loaded ${tasks.length} tasks from storage`);
-      return tasks;
-    } catch (error) {
-      console.error("[Storage] Failed to load tasks:", error);
-      return [];
-    }
+  /**
+   * 执行主标签页操作前重新选主，防止节流期间已被其他标签页接替
+   * @returns {boolean} 本标签页是否仍是主标签页
+   */
+  confirmLeadership() {
+    this.elect();
+    return this.isLeader;
   }
 
   /**
-   * 清除所有任务数据
-   * @returns {Promise<boolean>} 清除是否成功
+   * 更新主标签页身份，变化时通知观察者
+   * @param {boolean} isLeader - 是否为主标签页
    */
-  async clearTasks() {
-    try {
-      GM_setValue(this.STORAGE_KEYS.TASKS, null);
-      console.log("[Storage] Cleared all tasks from storage");
-      return true;
-    } catch (error) {
-      console.error("[Storage] Failed to clear tasks:", error);
-      return false;
-    }
+  setLeader(isLeader) {
+    if (this.isLeader === isLeader) return;
+
+    this.isLeader = isLeader;
+    console.log(`[LeaderService] Tab ${this.tabId} is now ${isLeader ? "leader" : "follower"}`);
+    this.notifyObservers("leaderChanged", { isLeader, tabId: this.tabId });
   }
 
   /**
-   * 保存设置到存储
-   * @param {Object} settings - 设置对象
-   * @returns {Promise<boolean>} 保存是否成功
+   * 主标签页关闭时让出，其他标签页无需等待心跳超时
    */
-  async saveSettings(settings) {
-    try {
-      if (!settings || typeof settings !== "object") {
-        throw new Error("Settings must be an object");
-      }
+  release() {
+    if (!this.isLeader) return;
 
-      // 验证设置数据结构
-      this.validateSettingsData(settings);
+    const record = this.storage.getData(this.LEADER_KEY, null);
+    if (record && record.tabId === this.tabId) {
+      this.storage.removeData(this.LEADER_KEY);
+    }
+    this.setLeader(false);
+  }
 
-      // 创建存储数据对象
-      const storageData = {
-        version: this.DATA_VERSION,
-        timestamp: Date.now(),
-        settings: settings,
-      };
+  // === 观察者模式API ===
 
-      // 序列化并保存
-      const serializedData = JSON.stringify(storageData);
-      GM_setValue(this.STORAGE_KEYS.SETTINGS, serializedData);
+  addObserver(observer) {
+    if (typeof observer === "function") {
+      this.observers.add(observer);
+    }
+  }
 
-      console.log("[Storage] Settings saved to storage");
-      return true;
-    } catch (error) {
-      console.error("[Storage] Failed to save settings:", error);
-      return false;
+  removeObserver(observer) {
+    this.observers.delete(observer);
+  }
+
+  notifyObservers(event, data = {}) {
+    for (const observer of this.observers) {
+      try {
+        observer(event, data);
+      } catch (error) {
+        console.error("[LeaderService] Observer error:", error);
+      }
+    }
+    if (this.eventBus && event === "leaderChanged") {
+      this.eventBus.emit(EventBus.EVENTS.LEADER_CHANGED, data);
     }
   }
 
   /**
-   * 从存储加载设置
-   * @returns {Promise<Object>} 设置对象
+   * 停止心跳并让出主标签页
    */
-  async loadSettings() {
-    try {
-      const serializedData = GM_getValue(this.STORAGE_KEYS.SETTINGS, null);
+  destroy() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+    if (this.listenerId !== null && typeof GM_removeValueChangeListener === "function") {
+      GM_removeValueChangeListener(this.listenerId);
+    }
+    this.listenerId = null;
+    if (typeof window !== "undefined") {
+      window.removeEventListener("pagehide", this.boundRelease);
+    }
 
-      if (!serializedData) {
-        console.log(
-          "[Storage] No settings found in storage, returning defaults",
-        );
-        return { ...this.DEFAULT_SETTINGS };
-      }
+    this.release();
+    this.observers = new Set();
+    this.isInitialized = false;
+    console.log("[LeaderService] Destroyed");
+  }
+}
 
-      // 解析存储数据
-      const storageData = JSON.parse(serializedData);
+    /**
+     * ReminderService - Linus式依赖注入任务提醒服务
+     */
+    class ReminderService {
+  constructor(taskService, timerService) {
+    // 依赖注入 - 显式优于隐式
+    this.taskService = taskService;
+    this.timerService = timerService;
 
-      // 检查数据版本和格式（使用设置专用的验证器）
-      if (!this.validateSettingsStorageData(storageData)) {
-        console.warn(
-          "[Storage] Invalid settings storage data, returning defaults",
-        );
-        return { ...this.DEFAULT_SETTINGS };
-      }
+    this.CHECK_INTERVAL_MS = 30000; // 每30秒检查一次
+    this.checkInterval = null;
+    this.isChecking = false;
+    this.isInitialized = false;
 
-      // 合并默认设置和存储的设置（确保新增字段有默认值）
-      const settings = {
-        ...this.DEFAULT_SETTINGS,
-        ...storageData.settings,
-      };
+    this.boundTaskObserver = this.handleTaskEvent.bind(this);
 
-      // 验证设置数据结构
-      this.validateSettingsData(settings);
+    console.log("[ReminderService] Created");
+  }
 
-      console.log("[Storage] Settings loaded from storage");
-      return settings;
-    } catch (error) {
-      console.error("[Storage] Failed to load settings:", error);
-      return { ...this.DEFAULT_SETTINGS };
-    }
+  /**
+   * 初始化服务并开始检查提醒
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    this.taskService.addObserver(this.boundTaskObserver);
+    this.checkInterval = setInterval(
+      () => this.checkReminders(),
+      this.CHECK_INTERVAL_MS,
+    );
+
+    this.isInitialized = true;
+    await this.checkReminders();
+    console.log("[ReminderService] Initialized");
   }
 
   /**
-   * 重置设置为默认值
-   * @returns {Promise<boolean>} 重置是否成功
+   * 任务的提醒时间变化、重新加载或其他标签页同步任务后立即检查，已过期的提醒无需等待下一轮
+   * @param {string} event - 事件类型
+   * @param {Object} data - 事件数据
    */
-  async resetSettings() {
-    try {
-      const success = await this.saveSettings({ ...this.DEFAULT_SETTINGS });
-      if (success) {
-        console.log("[Storage] Settings reset to defaults");
-      }
-      return success;
-    } catch (error) {
-      console.error("[Storage] Failed to reset settings:", error);
-      return false;
+  handleTaskEvent(event, data) {
+    if (
+      event === "tasksReloaded" ||
+      (event === "taskUpdated" && (data.field === "schedule" || data.remote)) ||
+      (event === "taskCreated" && data.remote)
+    ) {
+      this.checkReminders();
     }
   }
 
   /**
-   * 通用方法：保存数据到存储
-   * @param {string} key - 存储键
-   * @param {any} value - 要保存的值
-   * @returns {boolean} 保存是否成功
+   * 获取已到提醒时间但尚未提醒的待完成任务
+   * @param {number} now - 当前时间戳
+   * @returns {Array<Task>} 需要提醒的任务
    */
-  setData(key, value) {
-    try {
-      const serializedData = JSON.stringify(value);
-      GM_setValue(key, serializedData);
-      return true;
-    } catch (error) {
-      console.error(`[Storage] Failed to set data for key ${key}:`, error);
-      return false;
-    }
+  getDueReminders(now = Date.now()) {
+    return this.taskService
+      .getPendingTasks()
+      .filter((task) => task.reminderAt && task.reminderAt <= now && !task.reminderSent);
   }
 
   /**
-   * 通用方法：从存储获取数据
-   * @param {string} key - 存储键
-   * @param {any} defaultValue - 默认值
-   * @returns {any} 存储的值或默认值
+   * 检查并发送到期的提醒（只在主标签页检查，避免多个标签页重复提醒）
+   * @returns {Promise<number>} 发送的提醒数量
    */
-  getData(key, defaultValue = null) {
+  async checkReminders() {
+    if (this.isChecking || !this.timerService.confirmLeaderTab()) return 0;
+    this.isChecking = true;
+
     try {
-      const serializedData = GM_getValue(key, null);
-      if (serializedData === null || serializedData === undefined) {
-        return defaultValue;
+      const dueTasks = this.getDueReminders();
+      for (const task of dueTasks) {
+        // 先标记再发送，标记失败时不发送，避免每轮重复提醒
+        const marked = await this.taskService.markReminderSent(task.id);
+        if (marked) {
+          this.sendReminder(task);
+        }
       }
-      return JSON.parse(serializedData);
+      return dueTasks.length;
     } catch (error) {
-      console.error(`[Storage] Failed to get data for key ${key}:`, error);
-      return defaultValue;
+      console.error("[ReminderService] Failed to check reminders:", error);
+      return 0;
+    } finally {
+      this.isChecking = false;
     }
   }
 
   /**
-   * 通用方法：从存储删除数据
-   * @param {string} key - 存储键
-   * @returns {boolean} 删除是否成功
+   * 发送任务提醒
+   * @param {Task} task - 任务对象
    */
-  removeData(key) {
-    try {
-      GM_setValue(key, undefined);
-      return true;
-    } catch (error) {
-      console.error(`[Storage] Failed to remove data for key ${key}:`, error);
-      return false;
+  sendReminder(task) {
+    const lateMinutes = Math.floor((Date.now() - task.reminderAt) / 60000);
+    const details = [];
+    if (task.dueDate) {
+      details.push(`截止日期：${task.dueDate}`);
     }
+    if (lateMinutes >= 5) {
+      details.push(`（提醒时间已过 ${lateMinutes} 分钟）`);
+    }
+
+    const message = [task.title, ...details].join("\n");
+    this.timerService.sendNotification("⏰ 任务提醒", message);
+    console.log(`[ReminderService] Reminder sent for task: ${task.title}`);
   }
 
   /**
-   * 获取存储统计信息
-   * @returns {Object} 存储统计信息
+   * 销毁服务
    */
-  async getStorageStats() {
-    try {
-      const tasks = await this.loadTasks();
-      const serializedData = GM_getValue(this.STORAGE_KEYS.TASKS, "");
-
-      return {
-        taskCount: tasks.length,
-        completedTasks: tasks.filter((task) => task.isCompleted).length,
-        pendingTasks: tasks.filter((task) => !task.isCompleted).length,
-        storageSize: new Blob([serializedData]).size,
-        lastUpdated: this.getLastUpdateTime(),
-      };
-    } catch (error) {
-      console.error("[Storage] Failed to get storage stats:", error);
-      return null;
+  destroy() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
     }
+    this.taskService.removeObserver(this.boundTaskObserver);
+    this.isInitialized = false;
+    console.log("[ReminderService] Destroyed");
+  }
+}
+
+    /**
+     * StatsService - Linus式依赖注入统计服务
+     */
+    class StatsService {
+  constructor(storage, timerService, taskService, eventBus = null) {
+    // 依赖注入 - 显式优于隐式
+    this.storage = storage;
+    this.timerService = timerService;
+    this.taskService = taskService;
+    this.eventBus = eventBus;
+
+    // 核心数据结构
+    this.sessions = [];
+    this.activeSession = null; // 正在进行的专注会话
+    this.observers = new Set();
+
+    // 会话历史上限，避免GM存储无限增长
+    this.MAX_SESSIONS = 5000;
+    this.ACTIVE_SESSION_KEY = "activeSession";
+
+    // 中断类型和原因分类
+    this.INTERRUPTION_TYPES = ["pause", "stop", "skipBlocking"];
+    this.INTERRUPTION_CATEGORIES = ["internal", "external"];
+    this.MAX_INTERRUPTION_REASON_LENGTH = 200;
+
+    // 观察者事件 -> 事件总线上的类型化事件
+    this.BUS_EVENTS = {
+      initialized: EventBus.EVENTS.SESSIONS_LOADED,
+      sessionsReloaded: EventBus.EVENTS.SESSIONS_RELOADED,
+      sessionRecorded: EventBus.EVENTS.SESSION_RECORDED,
+      interruptionRecorded: EventBus.EVENTS.INTERRUPTION_RECORDED,
+    };
+
+    this.boundTimerObserver = this.handleTimerEvent.bind(this);
+    this.statisticsListenerId = null;
+    this.initialized = false;
+
+    console.log("[StatsService] Created");
   }
 
   /**
-   * 获取最后更新时间
-   * @returns {number|null} 时间戳
+   * 初始化统计服务
    */
-  getLastUpdateTime() {
+  async initialize() {
+    if (this.initialized) return;
+
     try {
-      const serializedData = GM_getValue(this.STORAGE_KEYS.TASKS, null);
-      if (!serializedData) return null;
+      this.sessions = await this.storage.loadSessions();
 
-      const storageData = JSON.parse(serializedData);
-      return storageData.timestamp || null;
+      // 须在 TimerService 恢复计时器状态之前订阅：所有标签页关闭期间到时的计时在恢复时完成，
+      // 由这里的 timerCompleted 处理记录为完成的会话。页面刷新前未结束的会话保存在存储中，
+      // 各会话操作会先接管存储中的会话
+      if (this.timerService) {
+        this.timerService.addObserver(this.boundTimerObserver);
+      }
+      this.setupCrossTabSync();
+
+      this.initialized = true;
+      console.log(
+        `[StatsService] Initialized with ${this.sessions.length} sessions`,
+      );
+      this.notifyObservers("initialized");
     } catch (error) {
-      return null;
+      console.error("[StatsService] Failed to initialize:", error);
+      this.sessions = [];
     }
   }
 
   /**
-   * 验证存储数据结构（用于任务数据）
-   * @param {Object} storageData - 存储数据对象
-   * @returns {boolean} 验证是否通过
+   * 从存储重新加载会话历史（如导入备份后，或其他标签页记录了会话）
+   * @param {Object} [data] - sessionsReloaded 事件数据，其他标签页的变化为 {remote: true}
    */
-  validateStorageData(storageData) {
-    if (!storageData || typeof storageData !== "object") {
-      return false;
-    }
-
-    if (typeof storageData.version !== "number" || storageData.version < 1) {
-      return false;
-    }
+  async reload(data = {}) {
+    this.sessions = await this.storage.loadSessions();
+    console.log(`[StatsService] Reloaded ${this.sessions.length} sessions`);
+    this.notifyObservers("sessionsReloaded", data);
+  }
 
-    if (!Array.isArray(storageData.tasks)) {
-      return false;
+  /**
+   * 监听其他标签页写入的会话历史：会话只由主标签页或操作计时器的标签页记录，
+   * 其他标签页的统计和中断列表随之刷新
+   */
+  setupCrossTabSync() {
+    if (this.statisticsListenerId !== null || typeof GM_addValueChangeListener !== "function") {
+      return;
     }
 
-    return true;
+    this.statisticsListenerId = GM_addValueChangeListener(
+      this.storage.STORAGE_KEYS.STATISTICS,
+      (name, oldValue, newValue, remote) => {
+        if (remote) {
+          this.reload({ remote: true });
+        }
+      },
+    );
   }
 
   /**
-   * 验证设置存储数据结构
-   * @param {Object} storageData - 设置存储数据对象
-   * @returns {boolean} 验证是否通过
+   * 处理计时器事件 - 只记录专注阶段
+   * @param {string} event - 事件类型
+   * @param {Object} data - 事件数据
    */
-  validateSettingsStorageData(storageData) {
-    if (!storageData || typeof storageData !== "object") {
-      return false;
-    }
-
-    if (typeof storageData.version !== "number" || storageData.version < 1) {
-      return false;
-    }
+  handleTimerEvent(event, data) {
+    // 其他标签页的计时器操作由该标签页记录，计时完成由主标签页记录
+    if (data && data.remote) return;
 
-    if (!storageData.settings || typeof storageData.settings !== "object") {
-      return false;
+    switch (event) {
+      case "timerStarted":
+        this.openSession(data);
+        break;
+      case "timerPaused":
+        this.pauseSession();
+        break;
+      case "timerResumed":
+        this.resumeSession();
+        break;
+      case "timerModified":
+        this.updateActiveSession({ plannedSeconds: data.newDuration });
+        break;
+      case "timerCompleted":
+        this.closeSession("completed", data.completedAt);
+        break;
+      case "timerStopped":
+        this.closeSession("stopped");
+        break;
     }
-
-    return true;
   }
 
   /**
-   * 验证任务数据结构
-   * @param {Array<Task>} tasks - 任务列表
-   * @throws {Error} 如果数据结构无效
+   * 开始记录新的专注会话
+   * @param {Object} data - timerStarted 事件数据
    */
-  validateTasksData(tasks) {
-    if (!Array.isArray(tasks)) {
-      throw new Error("Tasks must be an array");
+  openSession(data) {
+    // 未正常结束的会话（如被新计时器替换）按中途停止记录
+    this.syncActiveSession(true);
+    if (this.activeSession) {
+      this.closeSession("stopped");
     }
 
-    for (let i = 0; i < tasks.length; i++) {
-      const task = tasks[i];
+    const now = Date.now();
+    this.activeSession = {
+      id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+      taskId: data.taskId || null,
+      taskTitle: data.taskTitle || "",
+      // 重复任务的会话关联到系列，历史在生成新实例后仍可汇总
+      seriesId: this.taskService?.getTaskById(data.taskId)?.seriesId || null,
+      startedAt: now,
+      plannedSeconds: data.totalSeconds,
+      isExtension: Boolean(data.isExtension),
+      interruptions: [],
+      accumulatedSeconds: 0,
+      runningSince: now,
+    };
+    this.saveActiveSession();
+  }
 
-      if (!task || typeof task !== "object") {
-        throw new Error(`Task at index ${i} is not a valid object`);
-      }
+  /**
+   * 暂停时累计已专注时间并记录一次中断（原因可之后通过 setInterruptionReason 补充）
+   */
+  pauseSession() {
+    this.syncActiveSession(true);
+    const session = this.activeSession;
+    if (!session || session.runningSince === null) return;
+
+    const now = Date.now();
+    session.accumulatedSeconds += Math.round((now - session.runningSince) / 1000);
+    session.runningSince = null;
+    session.interruptions.push({ type: "pause", at: now, category: null, reason: null });
+    this.saveActiveSession();
+  }
 
-      // 验证必需字段
-      const requiredFields = [
-        "id",
-        "title",
-        "isCompleted",
-        "createdAt",
-        "pomodoroCount",
-      ];
-      for (const field of requiredFields) {
-        if (!(field in task)) {
-          throw new Error(
-            `Task at index ${i} is missing required field: ${field}`,
-          );
-        }
-      }
+  /**
+   * 恢复时重新开始计时
+   */
+  resumeSession() {
+    this.syncActiveSession(true);
+    const session = this.activeSession;
+    if (!session || session.runningSince !== null) return;
 
-      // 验证字段类型
-      if (typeof task.id !== "string" || task.id.trim() === "") {
-        throw new Error(`Task at index ${i} has invalid id`);
-      }
+    session.runningSince = Date.now();
+    this.saveActiveSession();
+  }
 
-      if (typeof task.title !== "string" || task.title.trim() === "") {
-        throw new Error(`Task at index ${i} has invalid title`);
-      }
+  /**
+   * 更新正在进行的会话字段
+   * @param {Object} changes - 要更新的字段
+   */
+  updateActiveSession(changes) {
+    this.syncActiveSession(true);
+    if (!this.activeSession) return;
 
-      if (typeof task.isCompleted !== "boolean") {
-        throw new Error(`Task at index ${i} has invalid isCompleted`);
-      }
+    Object.assign(this.activeSession, changes);
+    this.saveActiveSession();
+  }
 
-      if (typeof task.createdAt !== "number" || task.createdAt <= 0) {
-        throw new Error(`Task at index ${i} has invalid createdAt`);
-      }
+  /**
+   * 为当前会话记录一次中断（跳过拦截、提前结束）
+   * @param {string} type - 中断类型：stop | skipBlocking
+   * @param {Object} [details] - {category: internal | external | null, reason}
+   * @returns {Object|null} 中断记录，没有进行中的会话时为 null
+   * @throws {Error} 类型、分类或原因无效时
+   */
+  recordInterruption(type, details = {}) {
+    if (!this.INTERRUPTION_TYPES.includes(type)) {
+      throw new Error(`Invalid interruption type: ${type}`);
+    }
+    const normalized = this.normalizeInterruptionDetails(details);
 
-      if (typeof task.pomodoroCount !== "number" || task.pomodoroCount < 0) {
-        throw new Error(`Task at index ${i} has invalid pomodoroCount`);
-      }
+    this.syncActiveSession(true);
+    if (!this.activeSession) return null;
 
-      // 验证可选字段
-      if (
-        task.completedAt !== undefined &&
-        task.completedAt !== null &&
-        (typeof task.completedAt !== "number" || task.completedAt <= 0)
-      ) {
-        throw new Error(`Task at index ${i} has invalid completedAt`);
-      }
-    }
+    const interruption = { type, at: Date.now(), ...normalized };
+    this.activeSession.interruptions.push(interruption);
+    this.saveActiveSession();
+    this.notifyObservers("interruptionRecorded", { interruption });
+    return interruption;
   }
 
   /**
-   * 验证设置数据结构
-   * @param {Object} settings - 设置对象
-   * @throws {Error} 如果数据结构无效
+   * 为当前会话最近一次中断补充原因（如暂停后填写）
+   * @param {Object} details - {category: internal | external | null, reason}
+   * @returns {Object|null} 更新后的中断记录
+   * @throws {Error} 分类或原因无效时
    */
-  validateSettingsData(settings) {
-    if (!settings || typeof settings !== "object") {
-      throw new Error("Settings must be an object");
-    }
+  setInterruptionReason(details) {
+    const normalized = this.normalizeInterruptionDetails(details);
+
+    this.syncActiveSession(true);
+    const interruptions = this.activeSession ? this.activeSession.interruptions : [];
+    const interruption = interruptions[interruptions.length - 1];
+    if (!interruption) return null;
+
+    Object.assign(interruption, normalized);
+    this.saveActiveSession();
+    this.notifyObservers("interruptionRecorded", { interruption });
+    return interruption;
+  }
 
-    // 验证必需字段
-    const requiredFields = ["pomodoroDuration", "whitelist"];
-    for (const field of requiredFields) {
-      if (!(field in settings)) {
-        throw new Error(`Settings is missing required field: ${field}`);
-      }
+  /**
+   * 规范化中断原因
+   * @param {Object} details - {category, reason}
+   * @returns {Object} {category, reason}
+   * @throws {Error} 分类不支持或原因过长时
+   */
+  normalizeInterruptionDetails(details = {}) {
+    const category = details.category || null;
+    if (category !== null && !this.INTERRUPTION_CATEGORIES.includes(category)) {
+      throw new Error(`Invalid interruption category: ${category}`);
     }
 
-    // 验证 pomodoroDuration
-    if (
-      typeof settings.pomodoroDuration !== "number" ||
-      settings.pomodoroDuration <= 0 ||
-      settings.pomodoroDuration > 120
-    ) {
+    const reason = typeof details.reason === "string" ? details.reason.trim() : "";
+    if (reason.length > this.MAX_INTERRUPTION_REASON_LENGTH) {
       throw new Error(
-        "Settings has invalid pomodoroDuration (must be number between 1-120)",
+        `Interruption reason must be at most ${this.MAX_INTERRUPTION_REASON_LENGTH} characters`,
       );
     }
 
-    // 验证 whitelist
-    if (!Array.isArray(settings.whitelist)) {
-      throw new Error("Settings whitelist must be an array");
-    }
-
-    // 验证白名单中的每个域名
-    for (let i = 0; i < settings.whitelist.length; i++) {
-      const domain = settings.whitelist[i];
-      if (typeof domain !== "string" || domain.trim() === "") {
-        throw new Error(
-          `Whitelist domain at index ${i} must be a non-empty string`,
-        );
-      }
-    }
+    return { category, reason: reason || null };
   }
 
   /**
-   * 数据迁移 (为未来版本升级预留)
-   * @param {Object} storageData - 旧版本数据
-   * @returns {Object} 迁移后的数据
+   * 以存储中的会话为准（中断可能在其他标签页记录，如被拦截的页面中跳过拦截）
+   * @param {boolean} adopt - 是否接管存储中的会话：会话可能由其他标签页开始，
+   *   计时也可能由主标签页完成，此时本标签页的会话为空或已过时
    */
-  migrateData(storageData) {
-    // 当前版本为1，暂不需要迁移
-    // 未来版本可以在此处添加数据迁移逻辑
-    return storageData;
+  syncActiveSession(adopt = false) {
+    const stored = this.storage.getData(this.ACTIVE_SESSION_KEY, null);
+    if (!stored) return;
+
+    if (adopt || (this.activeSession && stored.id === this.activeSession.id)) {
+      this.activeSession = stored;
+    }
   }
 
   /**
-   * 导出任务数据为JSON
-   * @returns {Promise<string>} JSON字符串
+   * 结束并持久化当前会话
+   * @param {string} outcome - completed 或 stopped
+   * @param {number} endedAt - 结束时间，计时完成时为倒计时归零的时间
    */
-  async exportTasksAsJSON() {
-    try {
-      const tasks = await this.loadTasks();
-      const exportData = {
-        exportTime: Date.now(),
-        version: this.DATA_VERSION,
-        tasks: tasks,
-      };
-
-      return JSON.stringify(exportData, null, 2);
-    } catch (error) {
-      console.error("[Storage] Failed to export tasks:", error);
-      throw error;
+  async closeSession(outcome, endedAt = Date.now()) {
+    this.syncActiveSession(true);
+    const session = this.activeSession;
+    if (!session) return;
+    this.activeSession = null;
+
+    // 其他标签页可能已经记录了同一个会话
+    const stored = this.storage.getData(this.ACTIVE_SESSION_KEY, null);
+    this.storage.removeData(this.ACTIVE_SESSION_KEY);
+    if (!stored || stored.id !== session.id) {
+      console.warn("[StatsService] Session already recorded by another tab");
+      return;
     }
+
+    const runningSeconds =
+      session.runningSince !== null
+        ? Math.max(0, Math.round((endedAt - session.runningSince) / 1000))
+        : 0;
+
+    const record = {
+      id: session.id,
+      taskId: session.taskId,
+      taskTitle: session.taskTitle,
+      seriesId: session.seriesId || null,
+      startedAt: session.startedAt,
+      endedAt,
+      plannedSeconds: session.plannedSeconds,
+      actualSeconds: session.accumulatedSeconds + runningSeconds,
+      interruptions: session.interruptions,
+      outcome,
+      isExtension: session.isExtension,
+    };
+
+    await this.recordSession(record);
   }
 
   /**
-   * 从JSON导入任务数据
-   * @param {string} jsonData - JSON字符串
-   * @returns {Promise<boolean>} 导入是否成功
+   * 追加会话记录（基于存储中的最新数据，避免覆盖其他标签页的记录）
+   * @param {Object} record - 会话记录
+   * @returns {Promise<boolean>} 是否保存成功
    */
-  async importTasksFromJSON(jsonData) {
-    try {
-      const importData = JSON.parse(jsonData);
+  async recordSession(record) {
+    const sessions = await this.storage.loadSessions();
+    sessions.push(record);
+
+    // 超出上限时丢弃最旧的记录
+    const trimmed = sessions.slice(-this.MAX_SESSIONS);
+    const success = await this.storage.saveSessions(trimmed);
+
+    if (success) {
+      this.sessions = trimmed;
+      console.log(
+        `[StatsService] Recorded ${record.outcome} session for "${record.taskTitle}"`,
+      );
+      this.notifyObservers("sessionRecorded", { session: record });
 
-      if (!importData.tasks || !Array.isArray(importData.tasks)) {
-        throw new Error("Invalid import data format");
+      // 每个完成的专注会话计入任务的实际番茄钟数（会话只由一个标签页记录，不会重复累加）
+      if (
+        record.outcome === "completed" &&
+        record.taskId &&
+        this.taskService?.findStoredTask(record.taskId)
+      ) {
+        await this.taskService.incrementPomodoroCount(record.taskId);
       }
-
-      this.validateTasksData(importData.tasks);
-      return await this.saveTasks(importData.tasks);
-    } catch (error) {
-      console.error("[Storage] Failed to import tasks:", error);
-      return false;
     }
+    return success;
   }
-}
 
-    /**
-     * TaskService - Linus 式依赖注入任务服务
-     */
-    class TaskService {
-  constructor(storage) {
-    // 依赖注入 - 显式优于隐式
-    this.storage = storage;
-    
-    // 核心数据结构 - Linus方式
-    this.tasks = new Map();
-    this.observers = new Set(); // 观察者用Set，避免重复
-    this.isInitialized = false;
+  /**
+   * 持久化正在进行的会话，供页面刷新后恢复
+   */
+  saveActiveSession() {
+    if (this.activeSession) {
+      this.storage.setData(this.ACTIVE_SESSION_KEY, this.activeSession);
+    }
   }
 
-  // === 兼容性API - 保持现有接口不变 ===
+  // === 查询API ===
 
-  async initialize(storageManager = null) {
-    if (this.isInitialized) return;
+  /**
+   * 获取时间范围内的会话
+   * @param {number} from - 起始时间戳（含）
+   * @param {number} to - 结束时间戳（不含）
+   * @returns {Array<Object>} 会话记录
+   */
+  getSessions(from = 0, to = Infinity) {
+    return this.sessions.filter(
+      (session) => session.startedAt >= from && session.startedAt < to,
+    );
+  }
 
-    // 兼容旧API：如果传入storageManager，使用它；否则使用注入的storage
-    if (storageManager) {
-      this.storage = storageManager;
-    }
-    
-    try {
-      const data = await this.storage.loadTasks();
-      // 内部用Map，但兼容数组输入
-      this.tasks = new Map(data.map(t => [t.id, t]));
-      
-      this.isInitialized = true;
-      console.log(`[TaskService] Initialized with ${this.tasks.size} tasks`);
-      this.notifyObservers("initialized");
-    } catch (error) {
-      console.error("[TaskService] Failed to initialize:", error);
-      this.tasks = new Map();
-    }
-  }
-
-  async createTask(title) {
-    if (!title?.trim()) {
-      throw new Error("Task title is required and must be a non-empty string");
-    }
+  /**
+   * 汇总一组会话
+   * @param {Array<Object>} sessions - 会话记录
+   * @returns {Object} 汇总结果
+   */
+  summarize(sessions) {
+    const completed = sessions.filter((s) => s.outcome === "completed");
+    const focusSeconds = sessions.reduce((sum, s) => sum + s.actualSeconds, 0);
+    const interruptions = sessions.reduce((sum, s) => sum + s.interruptions.length, 0);
 
-    const task = {
-      id: Date.now().toString(),
-      title: title.trim(),
-      isCompleted: false,
-      createdAt: Date.now(),
-      completedAt: null,
-      pomodoroCount: 0,
+    return {
+      sessions: sessions.length,
+      pomodoros: completed.length,
+      focusSeconds,
+      completionRate:
+        sessions.length > 0
+          ? Math.round((completed.length / sessions.length) * 100)
+          : 0,
+      interruptions,
+      interruptionsPerSession: this.getAverage(interruptions, sessions.length),
     };
-    
-    this.tasks.set(task.id, task);
-    await this.saveTasks();
-    
-    console.log(`[TaskManager] Created task: ${task.title}`);
-    this.notifyObservers("taskCreated", { task });
-    return task;
   }
 
-  getAllTasks() {
-    // 返回排序后的数组，保持兼容
-    return Array.from(this.tasks.values()).sort((a, b) => {
-      if (a.isCompleted !== b.isCompleted) {
-        return a.isCompleted ? 1 : -1;
-      }
-      if (a.isCompleted && b.isCompleted) {
-        return (b.completedAt || 0) - (a.completedAt || 0);
-      }
-      return a.createdAt - b.createdAt;
-    });
-  }
+  /**
+   * 获取最近N天的每日汇总（按日期升序）
+   * @param {number} days - 天数
+   * @returns {Array<Object>} 每日汇总
+   */
+  getDailySummary(days = 7) {
+    const today = this.getDayStart(Date.now());
+    const result = [];
+
+    for (let i = days - 1; i >= 0; i--) {
+      const dayStart = this.addDays(today, -i);
+      const dayEnd = this.addDays(dayStart, 1);
+      result.push({
+        dayStart,
+        ...this.summarize(this.getSessions(dayStart, dayEnd)),
+      });
+    }
 
-  getTaskById(taskId) {
-    return this.tasks.get(taskId) || null;
+    return result;
   }
 
-  getPendingTasks() {
-    return Array.from(this.tasks.values()).filter(task => !task.isCompleted);
+  /**
+   * 获取今日汇总
+   * @returns {Object} 汇总结果
+   */
+  getTodayTotals() {
+    const today = this.getDayStart(Date.now());
+    return this.summarize(this.getSessions(today, this.addDays(today, 1)));
   }
 
-  getCompletedTasks() {
-    return Array.from(this.tasks.values()).filter(task => task.isCompleted);
+  /**
+   * 获取本周汇总（周一为一周的开始）
+   * @returns {Object} 汇总结果
+   */
+  getWeekTotals() {
+    const weekStart = this.getWeekStart(Date.now());
+    return this.summarize(this.getSessions(weekStart, this.addDays(weekStart, 7)));
   }
 
-  async updateTaskTitle(taskId, newTitle) {
-    const task = this.tasks.get(taskId);
-    if (!task) {
-      console.warn(`[TaskManager] Task not found: ${taskId}`);
-      return false;
-    }
-
-    if (!newTitle?.trim()) {
-      throw new Error("Task title is required and must be a non-empty string");
+  /**
+   * 汇总时间范围内的中断
+   * @param {number} from - 起始时间戳（含）
+   * @param {number} to - 结束时间戳（不含）
+   * @param {number} recentLimit - 返回最近填写了原因的中断条数
+   * @returns {Object} {total, perSession, byType, byCategory, recent}
+   */
+  getInterruptionSummary(from = 0, to = Infinity, recentLimit = 10) {
+    const sessions = this.getSessions(from, to);
+    const byType = Object.fromEntries(this.INTERRUPTION_TYPES.map((type) => [type, 0]));
+    const byCategory = { internal: 0, external: 0, unspecified: 0 };
+    const recent = [];
+
+    for (const session of sessions) {
+      for (const interruption of session.interruptions) {
+        byType[interruption.type] = (byType[interruption.type] || 0) + 1;
+        byCategory[interruption.category || "unspecified"]++;
+        if (interruption.reason) {
+          recent.push({ ...interruption, taskTitle: session.taskTitle });
+        }
+      }
     }
 
-    const oldTitle = task.title;
-    task.title = newTitle.trim();
-    await this.saveTasks();
-
-    console.log(`[TaskManager] Updated task title: "${oldTitle}" -> "${task.title}"`);
-    this.notifyObservers("taskUpdated", { task, field: "title", oldValue: oldTitle });
-    return true;
+    const total = Object.values(byCategory).reduce((sum, count) => sum + count, 0);
+    return {
+      total,
+      perSession: this.getAverage(total, sessions.length),
+      byType,
+      byCategory,
+      recent: recent.sort((a, b) => b.at - a.at).slice(0, recentLimit),
+    };
   }
 
-  async toggleTaskCompletion(taskId) {
-    const task = this.tasks.get(taskId);
-    if (!task) {
-      console.warn(`[TaskManager] Task not found: ${taskId}`);
-      return false;
-    }
-
-    const wasCompleted = task.isCompleted;
-    task.isCompleted = !task.isCompleted;
-    task.completedAt = task.isCompleted ? Date.now() : null;
+  /**
+   * 计算连续专注天数（今天尚未专注时从昨天开始计算）
+   * @returns {number} 连续天数
+   */
+  getStreak() {
+    const activeDays = new Set(
+      this.sessions
+        .filter((s) => s.outcome === "completed")
+        .map((s) => this.getDayStart(s.startedAt)),
+    );
 
-    await this.saveTasks();
+    let day = this.getDayStart(Date.now());
+    if (!activeDays.has(day)) {
+      day = this.addDays(day, -1);
+    }
 
-    const action = task.isCompleted ? "completed" : "uncompleted";
-    console.log(`[TaskManager] Task ${action}: ${task.title}`);
-    this.notifyObservers("taskToggled", { task, wasCompleted });
-    return true;
+    let streak = 0;
+    while (activeDays.has(day)) {
+      streak++;
+      day = this.addDays(day, -1);
+    }
+    return streak;
   }
 
-  async deleteTask(taskId) {
-    const task = this.tasks.get(taskId);
-    if (!task) {
-      console.warn(`[TaskManager] Task not found: ${taskId}`);
-      return false;
+  /**
+   * 按任务统计完成的番茄钟数
+   * @returns {Array<Object>} 按番茄钟数降序排列的任务统计
+   */
+  getTaskPomodoroCounts() {
+    const byTask = new Map();
+
+    for (const session of this.sessions) {
+      if (!session.taskId) continue;
+
+      const entry = byTask.get(session.taskId) || {
+        taskId: session.taskId,
+        taskTitle: session.taskTitle,
+        pomodoros: 0,
+        focusSeconds: 0,
+        sessions: 0,
+        interruptions: 0,
+      };
+      if (session.outcome === "completed") {
+        entry.pomodoros++;
+      }
+      entry.focusSeconds += session.actualSeconds;
+      entry.sessions++;
+      entry.interruptions += session.interruptions.length;
+      byTask.set(session.taskId, entry);
     }
 
-    this.tasks.delete(taskId);
-    await this.saveTasks();
+    // 优先使用任务的当前标题（包括回收站和归档中的任务）
+    const entries = Array.from(byTask.values());
+    for (const entry of entries) {
+      entry.interruptionsPerSession = this.getAverage(entry.interruptions, entry.sessions);
+      const task = this.taskService?.findStoredTask(entry.taskId);
+      if (task) {
+        entry.taskTitle = task.title;
+      }
+    }
 
-    console.log(`[TaskManager] Deleted task: ${task.title}`);
-    this.notifyObservers("taskDeleted", { task });
-    return true;
+    return entries.sort(
+      (a, b) => b.pomodoros - a.pomodoros || b.focusSeconds - a.focusSeconds,
+    );
   }
 
-  async incrementPomodoroCount(taskId, count = 1) {
-    const task = this.tasks.get(taskId);
-    if (!task) {
-      console.warn(`[TaskManager] Task not found: ${taskId}`);
-      return false;
-    }
-
-    const oldCount = task.pomodoroCount;
-    task.pomodoroCount += count;
-    await this.saveTasks();
+  /**
+   * 汇总重复任务系列的专注历史
+   * @param {string} seriesId - 系列ID
+   * @returns {Object} {seriesId, instances, completedInstances, ...summarize 结果, records}
+   */
+  getSeriesHistory(seriesId) {
+    const instances = this.taskService ? this.taskService.getSeriesTasks(seriesId) : [];
+    const instanceIds = new Set(instances.map((task) => task.id));
 
-    console.log(
-      `[TaskManager] Updated pomodoro count for "${task.title}": ${oldCount} -> ${task.pomodoroCount}`,
+    // 旧会话没有 seriesId，通过仍存在的实例ID关联
+    const sessions = this.sessions.filter(
+      (session) => session.seriesId === seriesId || instanceIds.has(session.taskId),
     );
-    this.notifyObservers("pomodoroUpdated", { task, oldCount });
-    return true;
+
+    return {
+      seriesId,
+      instances: instances.length,
+      completedInstances: instances.filter((task) => task.isCompleted).length,
+      ...this.summarize(sessions),
+      records: sessions,
+    };
   }
 
-  async clearCompletedTasks() {
-    const completed = [];
-    for (const [id, task] of this.tasks) {
-      if (task.isCompleted) {
-        this.tasks.delete(id);
-        completed.push(task);
+  /**
+   * 按项目汇总专注时间和任务完成情况
+   * 永久删除任务的会话无法确定项目，归入未分配项目（project: null）
+   * @returns {Array<Object>} {project, pomodoros, focusSeconds, total, completed}，按番茄钟数降序
+   */
+  getProjectSummary() {
+    const byProject = new Map();
+    const getEntry = (project) => {
+      if (!byProject.has(project)) {
+        byProject.set(project, {
+          project,
+          pomodoros: 0,
+          focusSeconds: 0,
+          total: 0,
+          completed: 0,
+        });
       }
+      return byProject.get(project);
+    };
+
+    for (const entry of this.getTaskPomodoroCounts()) {
+      const task = this.taskService?.findStoredTask(entry.taskId);
+      const projectEntry = getEntry(task?.project || null);
+      projectEntry.pomodoros += entry.pomodoros;
+      projectEntry.focusSeconds += entry.focusSeconds;
     }
 
-    if (completed.length > 0) {
-      await this.saveTasks();
-      console.log(`[TaskManager] Cleared ${completed.length} completed tasks`);
-      this.notifyObservers("completedTasksCleared", { count: completed.length });
+    const taskGroups = this.taskService?.getProjectStatistics?.() || [];
+    for (const group of taskGroups) {
+      const projectEntry = getEntry(group.project);
+      projectEntry.total = group.total;
+      projectEntry.completed = group.completed;
     }
-    return completed.length;
-  }
 
-  getStatistics() {
-    const total = this.tasks.size;
-    const completed = this.getCompletedTasks().length;
-    const pending = total - completed;
-    const totalPomodoros = Array.from(this.tasks.values()).reduce(
-      (sum, task) => sum + task.pomodoroCount, 0
+    return Array.from(byProject.values()).sort(
+      (a, b) => b.pomodoros - a.pomodoros || b.focusSeconds - a.focusSeconds,
     );
+  }
 
+  /**
+   * 获取完整统计报告
+   * @returns {Object} 统计报告
+   */
+  getStatistics() {
     return {
-      total,
-      completed,
-      pending,
-      completionRate: total > 0 ? ((completed / total) * 100).toFixed(1) : 0,
-      totalPomodoros,
-      averagePomodoros: total > 0 ? (totalPomodoros / total).toFixed(1) : 0,
+      tasks: this.taskService ? this.taskService.getStatistics() : null,
+      today: this.getTodayTotals(),
+      week: this.getWeekTotals(),
+      interruptions: this.getInterruptionSummary(this.getWeekStart(Date.now())),
+      streak: this.getStreak(),
+      daily: this.getDailySummary(7),
+      perTask: this.getTaskPomodoroCounts(),
+      perProject: this.getProjectSummary(),
     };
   }
 
-  // === 观察者模式API - 完全兼容 ===
+  /**
+   * 计算平均值，保留一位小数
+   * @param {number} total - 总数
+   * @param {number} count - 数量
+   * @returns {number}
+   */
+  getAverage(total, count) {
+    return count > 0 ? Math.round((total / count) * 10) / 10 : 0;
+  }
+
+  // === 日期辅助方法 ===
+
+  /**
+   * 获取所在周的周一零点
+   * @param {number} timestamp - 时间戳
+   * @returns {number}
+   */
+  getWeekStart(timestamp) {
+    const today = this.getDayStart(timestamp);
+    const weekday = (new Date(today).getDay() + 6) % 7;
+    return this.addDays(today, -weekday);
+  }
+
+  getDayStart(timestamp) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+  }
+
+  addDays(dayStart, days) {
+    const date = new Date(dayStart);
+    date.setDate(date.getDate() + days);
+    return date.getTime();
+  }
+
+  // === 观察者模式API ===
 
   addObserver(observer) {
     if (typeof observer === "function") {
@@ -1537,2204 +2501,8502 @@ EventBus.EVENTS = {
       try {
         observer(event, data, this);
       } catch (error) {
-        console.error("[TaskManager] Observer error:", error);
+        console.error("[StatsService] Observer error:", error);
       }
     }
+    if (this.eventBus && this.BUS_EVENTS[event]) {
+      this.eventBus.emit(this.BUS_EVENTS[event], data);
+    }
   }
 
-
-  // === 内部实现辅助方法 ===
-
-  async saveTasks() {
-    if (!this.storage) {
-      console.error("[TaskService] Storage not initialized");
-      return false;
+  /**
+   * 销毁统计服务
+   */
+  destroy() {
+    if (this.timerService) {
+      this.timerService.removeObserver(this.boundTimerObserver);
     }
-
-    try {
-      // 转换Map为Array只在保存时
-      const data = Array.from(this.tasks.values());
-      return await this.storage.saveTasks(data);
-    } catch (error) {
-      console.error("[TaskService] Failed to save tasks:", error);
-      return false;
+    if (this.statisticsListenerId !== null && typeof GM_removeValueChangeListener === "function") {
+      GM_removeValueChangeListener(this.statisticsListenerId);
     }
+    this.statisticsListenerId = null;
+    this.observers = new Set();
+    console.log("[StatsService] Destroyed");
   }
 }
 
     /**
-     * TimerService - Linus式依赖注入计时器服务
+     * Storage - Linus式数据持久化服务
      */
-    class TimerService {
-  constructor(storage) {
-    // 依赖注入 - 显式优于隐式
-    this.storage = storage;
-
-    // 计时器状态
-    this.status = "idle"; // idle, running, paused, completed
-    this.taskId = null;
-    this.taskTitle = null;
-    this.startTime = null;
-    this.remainingSeconds = 0;
-    this.totalSeconds = 1500; // 默认25分钟
-    this.intervalId = null;
-
-    // 观察者列表 - 用Set避免重复
-    this.observers = new Set();
+    class Storage {
+  constructor() {
+    // 存储键值常量
+    this.STORAGE_KEYS = {
+      TASKS: "TOMATO_MONKEY_TASKS",
+      SETTINGS: "TOMATO_MONKEY_SETTINGS",
+      STATISTICS: "TOMATO_MONKEY_STATISTICS",
+      TRASH: "TOMATO_MONKEY_TRASH",
+      ARCHIVE: "TOMATO_MONKEY_ARCHIVE",
+      TIMER_STATE: "timerState",
+      BLOCKER_STATE: "blockerState",
+    };
 
-    // 通知权限状态
-    this.notificationPermission = null;
+    // 数据版本管理：每个存储键单独记录版本，某个键的结构变化只迁移这一个键
+    // （计时器和拦截器状态在 v2 之前没有版本号，视为 v0）
+    this.DATA_VERSIONS = {
+      [this.STORAGE_KEYS.TASKS]: 4,
+      [this.STORAGE_KEYS.SETTINGS]: 2,
+      [this.STORAGE_KEYS.STATISTICS]: 1,
+      [this.STORAGE_KEYS.TRASH]: 1,
+      [this.STORAGE_KEYS.ARCHIVE]: 1,
+      [this.STORAGE_KEYS.TIMER_STATE]: 2,
+      [this.STORAGE_KEYS.BLOCKER_STATE]: 2,
+    };
 
-    // 完成任务缓存
-    this.lastCompletedTask = {
-      taskId: null,
-      taskTitle: null,
-      completedAt: null
+    // 迁移注册表：存储键 -> { 目标版本: 迁移函数 }，从旧版本逐步升级
+    this.MIGRATIONS = {
+      [this.STORAGE_KEYS.TASKS]: {
+        2: (data) => this.migrateTasksToV2(data),
+        3: (data) => this.migrateTasksToV3(data),
+        4: (data) => this.migrateTasksToV4(data),
+      },
+      [this.STORAGE_KEYS.SETTINGS]: {
+        2: (data) => this.migrateSettingsToV2(data),
+      },
+      [this.STORAGE_KEYS.TIMER_STATE]: {
+        2: (data) => this.migrateTimerStateToV2(data),
+      },
+      [this.STORAGE_KEYS.BLOCKER_STATE]: {
+        2: (data) => this.migrateBlockerStateToV2(data),
+      },
     };
 
-    this.initialized = false;
+    // 迁移失败记录：存储键 -> 失败详情，失败的键拒绝写入以保护原始数据
+    this.migrationFailures = new Map();
 
-    console.log("[TimerService] Created");
+    // 默认设置
+    this.DEFAULT_SETTINGS = {
+      pomodoroDuration: 25, // 默认番茄钟时长（分钟）
+      shortBreakDuration: 5, // 短休息时长（分钟）
+      longBreakDuration: 15, // 长休息时长（分钟）
+      longBreakInterval: 4, // 每完成几个番茄钟进入一次长休息
+      extendDuration: 15, // 专注完成后"增加时间"的默认时长（分钟）
+      blockingMode: "whitelist", // 拦截模式：whitelist 拦截白名单以外的网站，blacklist 只拦截黑名单网站
+      whitelist: [], // 默认空白名单
+      blacklist: [], // 默认空黑名单
+      trashRetentionDays: 30, // 回收站中任务的保留天数
+      archiveAfterDays: 7, // 任务完成多少天后移入归档
+    };
   }
 
   /**
-   * 初始化计时器服务
-   * @param {Storage} storageManager - 存储管理器实例（兼容参数）
+   * 保存任务列表到存储
+   * @param {Array<Task>} tasks - 任务列表
+   * @returns {Promise<boolean>} 保存是否成功
    */
-  async initialize(storageManager = null) {
-    if (this.initialized) {
-      return;
-    }
+  async saveTasks(tasks) {
+    try {
+      if (!Array.isArray(tasks)) {
+        throw new Error("Tasks must be an array");
+      }
 
-    // 兼容旧API：如果传入storageManager，使用它；否则使用注入的storage
-    if (storageManager) {
-      this.storage = storageManager;
-    }
-    
-    // 初始化通知权限状态（不请求权限）
-    this.initializeNotificationStatus();
-    
-    // 恢复计时器状态
-    await this.restoreTimerState();
+      this.assertWritable(this.STORAGE_KEYS.TASKS);
 
-    this.initialized = true;
-    console.log("[TimerService] Initialized successfully");
+      // 验证任务数据结构
+      this.validateTasksData(tasks);
+
+      // 创建存储数据对象
+      const storageData = {
+        version: this.getDataVersion(this.STORAGE_KEYS.TASKS),
+        timestamp: Date.now(),
+        tasks: tasks,
+      };
+
+      // 序列化并保存
+      const serializedData = JSON.stringify(storageData);
+      GM_setValue(this.STORAGE_KEYS.TASKS, serializedData);
+
+      console.log(`[Storage] Saved ${tasks.length} tasks to storage`);
+      return true;
+    } catch (error) {
+      console.error("[Storage] Failed to save tasks:", error);
+      return false;
+    }
   }
 
   /**
-   * 初始化通知权限状态（不请求权限）
+   * 从存储加载任务列表
+   * @returns {Promise<Array<Task>>} 任务列表
    */
-  initializeNotificationStatus() {
-    // 更健壮的 Notification API 检测
-    const NotificationAPI = (typeof window !== 'undefined' && window.Notification) 
-      ? window.Notification 
-      : (typeof Notification !== 'undefined' ? Notification : null);
-    
-    if (!NotificationAPI) {
-      this.notificationPermission = "unsupported";
-      console.warn("[TimerService] Browser does not support notifications");
-    } else {
-      this.notificationPermission = NotificationAPI.permission;
-      console.log(`[TimerService] Initial notification permission: ${this.notificationPermission}`);
+  async loadTasks() {
+    try {
+      // 解析存储数据（必要时迁移到当前版本）
+      const storageData = this.loadAndMigrate(this.STORAGE_KEYS.TASKS);
+
+      if (!storageData) {
+        console.log(
+          "[Storage] No tasks found in storage, returning empty array",
+        );
+        return [];
+      }
+
+      // 检查数据版本和格式
+      if (!this.validateStorageData(storageData)) {
+        console.warn(
+          "[Storage] Invalid storage data format, returning empty array",
+        );
+        return [];
+      }
+
+      const tasks = storageData.tasks || [];
+
+      // 验证任务数据结构
+      this.validateTasksData(tasks);
+
+      console.log(`[Storage] Loaded ${tasks.length} tasks from storage`);
+      return tasks;
+    } catch (error) {
+      console.error("[Storage] Failed to load tasks:", error);
+      return [];
     }
   }
 
   /**
-   * 检查并请求通知权限（延迟加载，仅在需要时请求）
+   * 读取存储中的最新任务列表（合并写入和跨标签页同步使用）
+   * 与 loadTasks 不同，数据无法读取时抛出错误而不是返回空列表，避免被当成"任务已全部删除"
+   * @returns {Promise<Array<Task>>} 任务列表
+   * @throws {Error} 如果数据迁移失败、格式无效或任务校验失败
    */
-  async checkNotificationPermission() {
-    // 更健壮的 Notification API 检测
-    const NotificationAPI = (typeof window !== 'undefined' && window.Notification) 
-      ? window.Notification 
-      : (typeof Notification !== 'undefined' ? Notification : null);
-    
-    if (!NotificationAPI) {
-      this.notificationPermission = "unsupported";
-      console.warn("[TimerService] Browser does not support notifications");
-      return;
+  async loadLatestTasks() {
+    const storageData = this.loadAndMigrate(this.STORAGE_KEYS.TASKS);
+
+    if (!storageData) {
+      this.assertWritable(this.STORAGE_KEYS.TASKS);
+      return [];
     }
 
-    // 更新当前权限状态
-    this.notificationPermission = NotificationAPI.permission;
-    
-    // 仅在权限为 default 时请求权限
-    if (this.notificationPermission === "default") {
-      try {
-        console.log("[TimerService] Requesting notification permission for focus session");
-        const permission = await NotificationAPI.requestPermission();
-        this.notificationPermission = permission;
-        console.log(`[TimerService] Notification permission result: ${permission}`);
-      } catch (error) {
-        console.error("[TimerService] Failed to request notification permission:", error);
-        this.notificationPermission = "denied";
-      }
-    } else {
-      console.log(`[TimerService] Using existing notification permission: ${this.notificationPermission}`);
+    if (!this.validateStorageData(storageData)) {
+      throw new Error("Invalid tasks storage data format");
     }
+
+    const tasks = storageData.tasks || [];
+    this.validateTasksData(tasks);
+    return tasks;
   }
 
   /**
-   * 启动计时器
-   * @param {string} taskId - 任务ID
-   * @param {string} taskTitle - 任务标题
-   * @param {number} duration - 计时时长（秒），默认25分钟
+   * 清除所有任务数据
+   * @returns {Promise<boolean>} 清除是否成功
    */
-  async startTimer(taskId, taskTitle, duration = 1500) {
-    if (this.status === "running") {
-      console.warn("[TimerService] Timer is already running");
+  async clearTasks() {
+    try {
+      GM_setValue(this.STORAGE_KEYS.TASKS, null);
+      console.log("[Storage] Cleared all tasks from storage");
+      return true;
+    } catch (error) {
+      console.error("[Storage] Failed to clear tasks:", error);
       return false;
     }
+  }
 
-    // 在启动计时器前检查和请求通知权限
-    await this.checkNotificationPermission();
+  /**
+   * 保存设置到存储
+   * @param {Object} settings - 设置对象
+   * @returns {Promise<boolean>} 保存是否成功
+   */
+  async saveSettings(settings) {
+    try {
+      if (!settings || typeof settings !== "object") {
+        throw new Error("Settings must be an object");
+      }
 
-    this.taskId = taskId;
-    this.taskTitle = taskTitle;
-    this.totalSeconds = duration;
-    this.remainingSeconds = duration;
-    this.startTime = Date.now();
-    this.status = "running";
+      this.assertWritable(this.STORAGE_KEYS.SETTINGS);
 
-    this.startCountdown();
-    this.saveTimerState();
-    this.notifyObservers("timerStarted", {
-      taskId: this.taskId,
-      taskTitle: this.taskTitle,
-      totalSeconds: this.totalSeconds,
-      remainingSeconds: this.remainingSeconds,
-    });
+      // 验证设置数据结构
+      this.validateSettingsData(settings);
 
-    console.log(`[TimerService] Timer started for task: ${taskTitle} (${duration}s)`);
-    return true;
-  }
+      // 创建存储数据对象
+      const storageData = {
+        version: this.getDataVersion(this.STORAGE_KEYS.SETTINGS),
+        timestamp: Date.now(),
+        settings: settings,
+      };
 
-  /**
-   * 暂停计时器
-   */
-  pauseTimer() {
-    if (this.status !== "running") {
-      console.warn("[TimerService] Timer is not running");
+      // 序列化并保存
+      const serializedData = JSON.stringify(storageData);
+      GM_setValue(this.STORAGE_KEYS.SETTINGS, serializedData);
+
+      console.log("[Storage] Settings saved to storage");
+      return true;
+    } catch (error) {
+      console.error("[Storage] Failed to save settings:", error);
       return false;
     }
-
-    this.status = "paused";
-    this.clearCountdown();
-    this.saveTimerState();
-    this.notifyObservers("timerPaused", {
-      remainingSeconds: this.remainingSeconds,
-    });
-
-    console.log("[TimerService] Timer paused");
-    return true;
   }
 
   /**
-   * 恢复计时器
+   * 从存储加载设置
+   * @returns {Promise<Object>} 设置对象
    */
-  resumeTimer() {
-    if (this.status !== "paused") {
-      console.warn("[TimerService] Timer is not paused");
-      return false;
-    }
+  async loadSettings() {
+    try {
+      // 解析存储数据（必要时迁移到当前版本）
+      const storageData = this.loadAndMigrate(this.STORAGE_KEYS.SETTINGS);
 
-    this.status = "running";
-    this.startTime = Date.now() - (this.totalSeconds - this.remainingSeconds) * 1000;
-    this.startCountdown();
-    this.saveTimerState();
-    this.notifyObservers("timerResumed", {
-      remainingSeconds: this.remainingSeconds,
-    });
+      if (!storageData) {
+        console.log(
+          "[Storage] No settings found in storage, returning defaults",
+        );
+        return { ...this.DEFAULT_SETTINGS };
+      }
 
-    console.log("[TimerService] Timer resumed");
-    return true;
+      // 检查数据版本和格式（使用设置专用的验证器）
+      if (!this.validateSettingsStorageData(storageData)) {
+        console.warn(
+          "[Storage] Invalid settings storage data, returning defaults",
+        );
+        return { ...this.DEFAULT_SETTINGS };
+      }
+
+      // 合并默认设置和存储的设置（确保新增字段有默认值）
+      const settings = {
+        ...this.DEFAULT_SETTINGS,
+        ...storageData.settings,
+      };
+
+      // 验证设置数据结构
+      this.validateSettingsData(settings);
+
+      console.log("[Storage] Settings loaded from storage");
+      return settings;
+    } catch (error) {
+      console.error("[Storage] Failed to load settings:", error);
+      return { ...this.DEFAULT_SETTINGS };
+    }
   }
 
   /**
-   * 停止计时器
+   * 读取存储中的最新设置（跨标签页同步使用）
+   * 与 loadSettings 不同，数据无法读取时抛出错误而不是返回默认设置，避免清空规则列表
+   * @returns {Promise<Object>} 设置对象
+   * @throws {Error} 如果数据迁移失败、格式无效或设置校验失败
    */
-  stopTimer(donotNotify) {
-    if (this.status === "idle") {
-      console.warn("[TimerService] Timer is already idle");
-      return false;
+  async loadLatestSettings() {
+    const storageData = this.loadAndMigrate(this.STORAGE_KEYS.SETTINGS);
+
+    if (!storageData) {
+      this.assertWritable(this.STORAGE_KEYS.SETTINGS);
+      return { ...this.DEFAULT_SETTINGS };
     }
 
-    this.clearCountdown();
-    this.resetTimer();
-    // 🚨 关键修复：保存idle状态到存储，而不是删除timerState
-    // 这样其他标签页的GM_addValueChangeListener能收到状态变化通知
-    this.saveTimerState();
-    if (!donotNotify) {
-      this.notifyObservers("timerStopped", {});
+    if (!this.validateSettingsStorageData(storageData)) {
+      throw new Error("Invalid settings storage data format");
     }
 
-    console.log("[TimerService] Timer stopped, state saved as idle");
-    return true;
+    const settings = { ...this.DEFAULT_SETTINGS, ...storageData.settings };
+    this.validateSettingsData(settings);
+    return settings;
   }
 
   /**
-   * 修改计时器时长
-   * @param {number} newDuration - 新的计时时长（秒）
-   * @returns {boolean} 修改是否成功
+   * 重置设置为默认值
+   * @returns {Promise<boolean>} 重置是否成功
    */
-  modifyTimer(newDuration) {
-    if (this.status !== "running" && this.status !== "paused") {
-      console.warn("[TimerService] Cannot modify timer when not running or paused");
-      return false;
-    }
-
-    // 验证新时长
-    if (!Number.isInteger(newDuration) || newDuration <= 0 || newDuration > 7200) {
-      console.error("[TimerService] Invalid duration. Must be between 1 and 7200 seconds");
+  async resetSettings() {
+    try {
+      const success = await this.saveSettings({ ...this.DEFAULT_SETTINGS });
+      if (success) {
+        console.log("[Storage] Settings reset to defaults");
+      }
+      return success;
+    } catch (error) {
+      console.error("[Storage] Failed to reset settings:", error);
       return false;
     }
+  }
 
-    const wasRunning = this.status === "running";
-    
-    // 如果正在运行，先停止倒计时
-    if (wasRunning) {
-      this.clearCountdown();
-    }
+  /**
+   * 保存专注会话历史到存储
+   * @param {Array<Object>} sessions - 会话记录列表
+   * @returns {Promise<boolean>} 保存是否成功
+   */
+  async saveSessions(sessions) {
+    try {
+      if (!Array.isArray(sessions)) {
+        throw new Error("Sessions must be an array");
+      }
 
-    // 更新时长
-    const oldDuration = this.totalSeconds;
-    this.totalSeconds = newDuration;
-    this.remainingSeconds = newDuration;
-    this.startTime = Date.now();
+      this.assertWritable(this.STORAGE_KEYS.STATISTICS);
 
-    // 如果之前是运行状态，重新开始倒计时
-    if (wasRunning) {
-      this.startCountdown();
-    }
+      // 验证会话数据结构
+      this.validateSessionsData(sessions);
 
-    // 保存状态
-    this.saveTimerState();
+      const storageData = {
+        version: this.getDataVersion(this.STORAGE_KEYS.STATISTICS),
+        timestamp: Date.now(),
+        sessions: sessions,
+      };
 
-    // 通知观察者
-    this.notifyObservers("timerModified", {
-      taskId: this.taskId,
-      taskTitle: this.taskTitle,
-      oldDuration: oldDuration,
-      newDuration: newDuration,
-      totalSeconds: this.totalSeconds,
-      remainingSeconds: this.remainingSeconds,
-    });
+      GM_setValue(this.STORAGE_KEYS.STATISTICS, JSON.stringify(storageData));
 
-    console.log(`[TimerService] Timer duration modified from ${oldDuration}s to ${newDuration}s`);
-    return true;
+      console.log(`[Storage] Saved ${sessions.length} sessions to storage`);
+      return true;
+    } catch (error) {
+      console.error("[Storage] Failed to save sessions:", error);
+      return false;
+    }
   }
 
   /**
-   * 开始倒计时
+   * 从存储加载专注会话历史
+   * @returns {Promise<Array<Object>>} 会话记录列表
    */
-  startCountdown() {
-    this.clearCountdown(); // 清除可能存在的计时器
-    
-    this.intervalId = setInterval(() => {
-      this.updateCountdown();
-    }, 1000);
+  async loadSessions() {
+    try {
+      const storageData = this.loadAndMigrate(this.STORAGE_KEYS.STATISTICS);
+
+      if (!storageData) {
+        return [];
+      }
+
+      if (
+        !storageData ||
+        typeof storageData.version !== "number" ||
+        !Array.isArray(storageData.sessions)
+      ) {
+        console.warn(
+          "[Storage] Invalid statistics storage data, returning empty array",
+        );
+        return [];
+      }
+
+      this.validateSessionsData(storageData.sessions);
+
+      console.log(
+        `[Storage] Loaded ${storageData.sessions.length} sessions from storage`,
+      );
+      return storageData.sessions;
+    } catch (error) {
+      console.error("[Storage] Failed to load sessions:", error);
+      return [];
+    }
   }
 
   /**
-   * 更新倒计时
+   * 保存任务回收站到存储
+   * @param {Array<Object>} entries - 回收站条目 {task, deletedAt, reason}
+   * @returns {Promise<boolean>} 保存是否成功
    */
-  updateCountdown() {
-    if (this.status !== "running") {
-      return;
-    }
-
-    const elapsed = Math.floor((Date.now() - this.startTime) / 1000);
-    this.remainingSeconds = Math.max(0, this.totalSeconds - elapsed);
+  async saveTrash(entries) {
+    try {
+      this.assertWritable(this.STORAGE_KEYS.TRASH);
+      this.validateTrashData(entries);
 
-    // 通知观察者
-    this.notifyObservers("timerTick", {
-      remainingSeconds: this.remainingSeconds,
-      totalSeconds: this.totalSeconds,
-      progress: (this.totalSeconds - this.remainingSeconds) / this.totalSeconds,
-    });
+      const storageData = {
+        version: this.getDataVersion(this.STORAGE_KEYS.TRASH),
+        timestamp: Date.now(),
+        trash: entries,
+      };
 
-    // 保存状态
-    this.saveTimerState();
+      GM_setValue(this.STORAGE_KEYS.TRASH, JSON.stringify(storageData));
 
-    // 检查是否完成
-    if (this.remainingSeconds <= 0) {
-      this.completeTimer();
+      console.log(`[Storage] Saved ${entries.length} trashed tasks to storage`);
+      return true;
+    } catch (error) {
+      console.error("[Storage] Failed to save trash:", error);
+      return false;
     }
   }
 
   /**
-   * 完成计时器
+   * 从存储加载任务回收站
+   * @returns {Promise<Array<Object>>} 回收站条目
    */
-  completeTimer() {
-    this.clearCountdown();
-    this.status = "completed";
-    
-    // 发送桌面通知
-    this.sendNotification();
-
-    // 通知观察者
-    this.notifyObservers("timerCompleted", {
-      taskId: this.taskId,
-      taskTitle: this.taskTitle,
-    });
+  async loadTrash() {
+    try {
+      const storageData = this.loadAndMigrate(this.STORAGE_KEYS.TRASH);
 
-    // 保存完成的任务信息到缓存（在重置前保存）
-    this.lastCompletedTask = {
-      taskId: this.taskId,
-      taskTitle: this.taskTitle,
-      completedAt: Date.now()
-    };
+      if (!storageData) {
+        return [];
+      }
 
-    // 重置计时器状态
-    setTimeout(() => {
-      this.resetTimer();
-      // 🚨 关键修复：保存idle状态到存储，而不是删除timerState
-      // 这样其他标签页的GM_addValueChangeListener能收到状态变化通知
-      this.saveTimerState();
-    }, 1000); // 给UI足够时间处理完成事件
+      if (typeof storageData.version !== "number" || !Array.isArray(storageData.trash)) {
+        console.warn("[Storage] Invalid trash storage data, returning empty array");
+        return [];
+      }
 
-    console.log(`[TimerService] Timer completed for task: ${this.taskTitle}`);
+      this.validateTrashData(storageData.trash);
+      return storageData.trash;
+    } catch (error) {
+      console.error("[Storage] Failed to load trash:", error);
+      return [];
+    }
   }
 
   /**
-   * 发送桌面通知
+   * 保存已归档的任务到存储
+   * @param {Array<Object>} tasks - 已归档的任务
+   * @returns {Promise<boolean>} 保存是否成功
    */
-  sendNotification() {
-    const title = "专注时间结束 🍅";
-    const message = this.taskTitle 
-      ? `任务「${this.taskTitle}」的专注时间已完成`
-      : "专注时间已完成";
-
-    if (this.notificationPermission === "granted") {
-      try {
-        // 更健壮的 Notification API 检测
-        const NotificationAPI = (typeof window !== 'undefined' && window.Notification) 
-          ? window.Notification 
-          : (typeof Notification !== 'undefined' ? Notification : null);
-        
-        if (!NotificationAPI) {
-          this.showFallbackNotification(title, message);
-          return;
-        }
-
-        const notification = new NotificationAPI(title, {
-          body: message,
-          icon: "data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjQiIGhlaWdodD0iMjQiIHZpZXdCb3g9IjAgMCAyNCAyNCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHBhdGggZD0iTTEyIDJMMTMuMDkgOC4yNkwyMCA5TDEzLjA5IDE1Ljc0TDEyIDIyTDEwLjkxIDE1Ljc0TDQgOUwxMC45MSA4LjI2TDEyIDJaIiBmaWxsPSIjRDk1NTUwIi8+Cjwvc3ZnPgo=",
-          requireInteraction: false,
-          silent: false,
-        });
+  async saveArchive(tasks) {
+    try {
+      this.assertWritable(this.STORAGE_KEYS.ARCHIVE);
+      this.validateTasksData(tasks);
 
-        // 自动关闭通知
-        setTimeout(() => {
-          notification.close();
-        }, 5000);
+      const storageData = {
+        version: this.getDataVersion(this.STORAGE_KEYS.ARCHIVE),
+        timestamp: Date.now(),
+        archive: tasks,
+      };
 
-        notification.onclick = () => {
-          window.focus();
-          notification.close();
-        };
+      GM_setValue(this.STORAGE_KEYS.ARCHIVE, JSON.stringify(storageData));
 
-      } catch (error) {
-        console.error("[TimerService] Failed to send notification:", error);
-        this.showFallbackNotification(title, message);
-      }
-    } else {
-      console.warn(`[TimerService] Notification permission: ${this.notificationPermission}`);
-      this.showFallbackNotification(title, message);
+      console.log(`[Storage] Saved ${tasks.length} archived tasks to storage`);
+      return true;
+    } catch (error) {
+      console.error("[Storage] Failed to save archive:", error);
+      return false;
     }
   }
 
   /**
-   * 显示降级通知（页面内提示）
-   * @param {string} title - 通知标题
-   * @param {string} message - 通知消息
+   * 从存储加载已归档的任务
+   * @returns {Promise<Array<Object>>} 已归档的任务
    */
-  showFallbackNotification(title, message) {
-    // 创建页面内通知
-    const notification = document.createElement("div");
-    notification.style.cssText = `
-      position: fixed;
-      top: 20px;
-      right: 20px;
-      max-width: 300px;
-      padding: 16px;
-      background: #D95550;
-      color: white;
-      border-radius: 8px;
-      box-shadow: 0 4px 12px rgba(217, 85, 80, 0.3);
-      z-index: 10002;
-      font-family: Inter, sans-serif;
-      font-size: 14px;
-      line-height: 1.4;
-    `;
-    
-    // 使用DOM操作创建内容（防止XSS）
-    const titleDiv = document.createElement("div");
-    titleDiv.style.cssText = "font-weight: 600; margin-bottom: 4px;";
-    titleDiv.textContent = title;
-    notification.appendChild(titleDiv);
-    
-    const messageDiv = document.createElement("div");
-    messageDiv.textContent = message;
-    notification.appendChild(messageDiv);
+  async loadArchive() {
+    try {
+      const storageData = this.loadAndMigrate(this.STORAGE_KEYS.ARCHIVE);
 
-    document.body.appendChild(notification);
+      if (!storageData) {
+        return [];
+      }
 
-    // 自动移除通知
-    setTimeout(() => {
-      if (notification.parentNode) {
-        notification.parentNode.removeChild(notification);
+      if (typeof storageData.version !== "number" || !Array.isArray(storageData.archive)) {
+        console.warn("[Storage] Invalid archive storage data, returning empty array");
+        return [];
       }
-    }, 5000);
+
+      this.validateTasksData(storageData.archive);
+      return storageData.archive;
+    } catch (error) {
+      console.error("[Storage] Failed to load archive:", error);
+      return [];
+    }
   }
 
   /**
-   * 清除倒计时间隔
+   * 通用方法：保存数据到存储
+   * @param {string} key - 存储键
+   * @param {any} value - 要保存的值
+   * @returns {boolean} 保存是否成功
    */
-  clearCountdown() {
-    if (this.intervalId) {
-      clearInterval(this.intervalId);
-      this.intervalId = null;
+  setData(key, value) {
+    try {
+      const serializedData = JSON.stringify(value);
+      GM_setValue(key, serializedData);
+      return true;
+    } catch (error) {
+      console.error(`[Storage] Failed to set data for key ${key}:`, error);
+      return false;
     }
   }
 
   /**
-   * 重置计时器状态
+   * 通用方法：从存储获取数据
+   * @param {string} key - 存储键
+   * @param {any} defaultValue - 默认值
+   * @returns {any} 存储的值或默认值
    */
-  resetTimer() {
-    this.status = "idle";
-    this.taskId = null;
-    this.taskTitle = null;
-    this.startTime = null;
-    this.remainingSeconds = 0;
-    this.totalSeconds = 1500;
+  getData(key, defaultValue = null) {
+    try {
+      const serializedData = GM_getValue(key, null);
+      if (serializedData === null || serializedData === undefined) {
+        return defaultValue;
+      }
+      return JSON.parse(serializedData);
+    } catch (error) {
+      console.error(`[Storage] Failed to get data for key ${key}:`, error);
+      return defaultValue;
+    }
   }
 
   /**
-   * 保存计时器状态
+   * 保存带版本号的状态对象（计时器状态、拦截器状态）
+   * @param {string} key - 存储键
+   * @param {Object} state - 状态对象
+   * @returns {boolean} 保存是否成功
    */
-  saveTimerState() {
-    if (!this.storage) return;
-
-    const state = {
-      status: this.status,
-      taskId: this.taskId,
-      taskTitle: this.taskTitle,
-      startTime: this.startTime,
-      remainingSeconds: this.remainingSeconds,
-      totalSeconds: this.totalSeconds,
-      timestamp: Date.now(),
-    };
-
-    this.storage.setData("timerState", state);
+  saveState(key, state) {
+    return this.setData(key, { ...state, version: this.getDataVersion(key) });
   }
 
   /**
-   * 恢复计时器状态
+   * 读取状态对象，必要时迁移到当前版本
+   * @param {string} key - 存储键
+   * @param {any} defaultValue - 默认值
+   * @returns {Object|any} 状态对象或默认值
    */
-  async restoreTimerState() {
-    if (!this.storage) return;
-
+  loadState(key, defaultValue = null) {
     try {
-      const state = this.storage.getData("timerState");
-      if (!state || state.status === "idle") {
-        return;
-      }
-
-      const now = Date.now();
-      const timeDiff = Math.floor((now - state.timestamp) / 1000);
-
-      // 如果状态是运行中，需要计算实际剩余时间
-      if (state.status === "running") {
-        const elapsed = Math.floor((now - state.startTime) / 1000);
-        const remaining = Math.max(0, state.totalSeconds - elapsed);
-
-        if (remaining > 0) {
-          this.taskId = state.taskId;
-          this.taskTitle = state.taskTitle;
-          this.startTime = state.startTime;
-          this.remainingSeconds = remaining;
-          this.totalSeconds = state.totalSeconds;
-          this.status = "running";
-
-          this.startCountdown();
-          console.log("[TimerService] Timer state restored and resumed");
-        } else {
-          // 计时器应该已经完成了
-          this.completeTimer();
-          console.log("[TimerService] Timer completed while away");
-        }
-      } else if (state.status === "paused") {
-        this.taskId = state.taskId;
-        this.taskTitle = state.taskTitle;
-        this.remainingSeconds = state.remainingSeconds;
-        this.totalSeconds = state.totalSeconds;
-        this.status = "paused";
-        console.log("[TimerService] Timer state restored (paused)");
-      }
-
+      const state = this.loadAndMigrate(key);
+      return state && typeof state === "object" ? state : defaultValue;
     } catch (error) {
-      console.error("[TimerService] Failed to restore timer state:", error);
+      console.error(`[Storage] Failed to load state for key ${key}:`, error);
+      return defaultValue;
     }
   }
 
   /**
-   * 清除保存的计时器状态
+   * 通用方法：从存储删除数据
+   * @param {string} key - 存储键
+   * @returns {boolean} 删除是否成功
    */
-  clearTimerState() {
-    if (!this.storage) return;
-    this.storage.removeData("timerState");
+  removeData(key) {
+    try {
+      GM_setValue(key, undefined);
+      return true;
+    } catch (error) {
+      console.error(`[Storage] Failed to remove data for key ${key}:`, error);
+      return false;
+    }
   }
 
   /**
-   * 添加观察者
-   * @param {Function} observer - 观察者回调函数
+   * 获取存储统计信息
+   * @returns {Object} 存储统计信息
    */
-  addObserver(observer) {
-    if (typeof observer === "function" && !this.observers.includes(observer)) {
-      this.observers.add(observer);
+  async getStorageStats() {
+    try {
+      const tasks = await this.loadTasks();
+      const serializedData = GM_getValue(this.STORAGE_KEYS.TASKS, "");
+
+      return {
+        taskCount: tasks.length,
+        completedTasks: tasks.filter((task) => task.isCompleted).length,
+        pendingTasks: tasks.filter((task) => !task.isCompleted).length,
+        storageSize: new Blob([serializedData]).size,
+        lastUpdated: this.getLastUpdateTime(),
+      };
+    } catch (error) {
+      console.error("[Storage] Failed to get storage stats:", error);
+      return null;
     }
   }
 
   /**
-   * 移除观察者
-   * @param {Function} observer - 观察者回调函数
+   * 获取最后更新时间
+   * @returns {number|null} 时间戳
    */
-  removeObserver(observer) {
-    this.observers.delete(observer);
-    // Observer removed using Set.delete() above
-  }
+  getLastUpdateTime() {
+    try {
+      const serializedData = GM_getValue(this.STORAGE_KEYS.TASKS, null);
+      if (!serializedData) return null;
 
-  /**
-   * 通知所有观察者
-   * @param {string} event - 事件类型
-   * @param {Object} data - 事件数据
-   */
-  notifyObservers(event, data) {
-    for (const observer of this.observers) {
-      try {
-        observer(event, data);
-      } catch (error) {
-        console.error("[TimerService] Observer error:", error);
-      }
+      const storageData = JSON.parse(serializedData);
+      return storageData.timestamp || null;
+    } catch (error) {
+      return null;
     }
   }
 
   /**
-   * 获取计时器当前状态
-   * @returns {Object} 计时器状态
+   * 验证存储数据结构（用于任务数据）
+   * @param {Object} storageData - 存储数据对象
+   * @returns {boolean} 验证是否通过
    */
-  getTimerState() {
-    return {
-      status: this.status,
-      taskId: this.taskId,
-      taskTitle: this.taskTitle,
-      remainingSeconds: this.remainingSeconds,
-      totalSeconds: this.totalSeconds,
-      progress: this.totalSeconds > 0 ? (this.totalSeconds - this.remainingSeconds) / this.totalSeconds : 0,
-    };
-  }
+  validateStorageData(storageData) {
+    if (!storageData || typeof storageData !== "object") {
+      return false;
+    }
 
-  /**
-   * 获取任务信息（优先返回当前任务，如果没有则返回缓存的完成任务）
-   * @returns {Object|null} 任务信息 {taskId, taskTitle} 或 null
-   */
-  getTaskInfo() {
-    // 优先返回当前任务
-    if (this.taskId) {
-      return {
-        taskId: this.taskId,
-        taskTitle: this.taskTitle
-      };
+    if (typeof storageData.version !== "number" || storageData.version < 1) {
+      return false;
     }
-    
-    // 如果没有当前任务，返回缓存的完成任务
-    if (this.lastCompletedTask.taskId) {
-      return {
-        taskId: this.lastCompletedTask.taskId,
-        taskTitle: this.lastCompletedTask.taskTitle
-      };
+
+    if (!Array.isArray(storageData.tasks)) {
+      return false;
     }
-    
-    // 都没有则返回 null
-    return null;
-  }
 
-  /**
-   * 格式化时间显示
-   * @param {number} seconds - 秒数
-   * @returns {string} 格式化的时间 (MM:SS)
-   */
-  formatTime(seconds) {
-    const minutes = Math.floor(seconds / 60);
-    const secs = seconds % 60;
-    return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    return true;
   }
 
   /**
-   * 销毁计时器服务
+   * 验证设置存储数据结构
+   * @param {Object} storageData - 设置存储数据对象
+   * @returns {boolean} 验证是否通过
    */
-  destroy() {
-    this.clearCountdown();
-    this.clearTimerState();
-    this.observers = new Set();
-    console.log("[TimerService] Destroyed");
-  }
-}
+  validateSettingsStorageData(storageData) {
+    if (!storageData || typeof storageData !== "object") {
+      return false;
+    }
 
-    /**
-     * WhitelistManager - 网站白名单管理器
-     */
-    /**
- * 网站白名单管理器类
- */
-class WhitelistManager {
-  constructor() {
-    this.domains = new Set(); // 使用 Set 避免重复
-    this.storageManager = null; // 延迟初始化
+    if (typeof storageData.version !== "number" || storageData.version < 1) {
+      return false;
+    }
+
+    if (!storageData.settings || typeof storageData.settings !== "object") {
+      return false;
+    }
+
+    return true;
   }
 
   /**
-   * 初始化白名单管理器
-   * @param {Storage} storageManager - 存储管理器实例
+   * 验证任务数据结构
+   * @param {Array<Task>} tasks - 任务列表
+   * @throws {Error} 如果数据结构无效
    */
-  async initialize(storageManager) {
-    this.storageManager = storageManager;
+  validateTasksData(tasks) {
+    if (!Array.isArray(tasks)) {
+      throw new Error("Tasks must be an array");
+    }
 
-    try {
-      // 从存储加载白名单数据
-      const settings = await this.storageManager.loadSettings();
-      if (settings && Array.isArray(settings.whitelist)) {
-        this.domains = new Set(settings.whitelist);
-        console.log(
-          `[WhitelistManager] Loaded ${this.domains.size} domains from storage`,
-        );
+    for (let i = 0; i < tasks.length; i++) {
+      const task = tasks[i];
+
+      if (!task || typeof task !== "object") {
+        throw new Error(`Task at index ${i} is not a valid object`);
       }
-    } catch (error) {
-      console.error("[WhitelistManager] Failed to initialize:", error);
-    }
-  }
 
-  /**
-   * 添加域名到白名单
-   * @param {string} domain - 要添加的域名
-   * @returns {boolean} 添加是否成功
-   */
-  async addDomain(domain) {
-    try {
-      // 验证域名格式
-      const cleanDomain = this.validateAndCleanDomain(domain);
-      if (!cleanDomain) {
-        console.warn("[WhitelistManager] Invalid domain format:", domain);
-        return false;
+      // 验证必需字段
+      const requiredFields = [
+        "id",
+        "title",
+        "isCompleted",
+        "createdAt",
+        "pomodoroCount",
+      ];
+      for (const field of requiredFields) {
+        if (!(field in task)) {
+          throw new Error(
+            `Task at index ${i} is missing required field: ${field}`,
+          );
+        }
       }
 
-      // 检查是否已存在
-      if (this.domains.has(cleanDomain)) {
-        console.warn("[WhitelistManager] Domain already exists:", cleanDomain);
-        return false;
+      // 验证字段类型
+      if (typeof task.id !== "string" || task.id.trim() === "") {
+        throw new Error(`Task at index ${i} has invalid id`);
       }
 
-      // 添加到内存
-      this.domains.add(cleanDomain);
+      if (typeof task.title !== "string" || task.title.trim() === "") {
+        throw new Error(`Task at index ${i} has invalid title`);
+      }
 
-      // 持久化到存储
-      const success = await this.saveToStorage();
-      if (success) {
-        console.log("[WhitelistManager] Domain added:", cleanDomain);
-        this.dispatchChangeEvent("domainAdded", { domain: cleanDomain });
-        return true;
-      } else {
-        // 如果保存失败，从内存中移除
-        this.domains.delete(cleanDomain);
-        return false;
+      if (typeof task.isCompleted !== "boolean") {
+        throw new Error(`Task at index ${i} has invalid isCompleted`);
       }
-    } catch (error) {
-      console.error("[WhitelistManager] Failed to add domain:", error);
-      return false;
-    }
-  }
 
-  /**
-   * 从白名单移除域名
-   * @param {string} domain - 要移除的域名
-   * @returns {boolean} 移除是否成功
-   */
-  async removeDomain(domain) {
-    try {
-      const cleanDomain = this.validateAndCleanDomain(domain);
-      if (!cleanDomain || !this.domains.has(cleanDomain)) {
-        console.warn("[WhitelistManager] Domain not found:", domain);
-        return false;
+      if (typeof task.createdAt !== "number" || task.createdAt <= 0) {
+        throw new Error(`Task at index ${i} has invalid createdAt`);
       }
 
-      // 从内存移除
-      this.domains.delete(cleanDomain);
+      if (typeof task.pomodoroCount !== "number" || task.pomodoroCount < 0) {
+        throw new Error(`Task at index ${i} has invalid pomodoroCount`);
+      }
 
-      // 持久化到存储
-      const success = await this.saveToStorage();
-      if (success) {
-        console.log("[WhitelistManager] Domain removed:", cleanDomain);
-        this.dispatchChangeEvent("domainRemoved", { domain: cleanDomain });
-        return true;
-      } else {
-        // 如果保存失败，重新添加到内存
-        this.domains.add(cleanDomain);
-        return false;
+      // 验证可选字段
+      if (
+        task.completedAt !== undefined &&
+        task.completedAt !== null &&
+        (typeof task.completedAt !== "number" || task.completedAt <= 0)
+      ) {
+        throw new Error(`Task at index ${i} has invalid completedAt`);
       }
-    } catch (error) {
-      console.error("[WhitelistManager] Failed to remove domain:", error);
-      return false;
-    }
-  }
 
-  /**
-   * 检查URL对应的域名是否在白名单中
-   * @param {string} url - 要检查的URL
-   * @returns {boolean} 域名是否被允许
-   */
-  isDomainAllowed(url) {
-    try {
-      const domain = this.extractDomainFromURL(url);
-      if (!domain) {
-        return false;
+      if (
+        task.estimatedPomodoros !== undefined &&
+        task.estimatedPomodoros !== null &&
+        (!Number.isInteger(task.estimatedPomodoros) ||
+          task.estimatedPomodoros < 1 ||
+          task.estimatedPomodoros > 99)
+      ) {
+        throw new Error(`Task at index ${i} has invalid estimatedPomodoros`);
       }
 
-      // 使用包含匹配逻辑
-      for (const whitelistDomain of this.domains) {
-        if (domain.includes(whitelistDomain)) {
-          console.log(
-            `[WhitelistManager] Domain allowed: ${domain} (matched: ${whitelistDomain})`,
-          );
-          return true;
+      if (
+        task.focusDuration !== undefined &&
+        task.focusDuration !== null &&
+        (!Number.isInteger(task.focusDuration) ||
+          task.focusDuration < 1 ||
+          task.focusDuration > 120)
+      ) {
+        throw new Error(`Task at index ${i} has invalid focusDuration`);
+      }
+
+      if (
+        task.revision !== undefined &&
+        (!Number.isInteger(task.revision) || task.revision < 0)
+      ) {
+        throw new Error(`Task at index ${i} has invalid revision`);
+      }
+
+      if (
+        task.notes !== undefined &&
+        task.notes !== null &&
+        (typeof task.notes !== "string" || task.notes.length > 5000)
+      ) {
+        throw new Error(`Task at index ${i} has invalid notes`);
+      }
+
+      if (
+        task.project !== undefined &&
+        task.project !== null &&
+        (typeof task.project !== "string" ||
+          task.project.trim() === "" ||
+          task.project.length > 50)
+      ) {
+        throw new Error(`Task at index ${i} has invalid project`);
+      }
+
+      if (
+        task.tags !== undefined &&
+        (!Array.isArray(task.tags) ||
+          task.tags.some(
+            (tag) => typeof tag !== "string" || tag === "" || tag.length > 30,
+          ))
+      ) {
+        throw new Error(`Task at index ${i} has invalid tags`);
+      }
+
+      if (task.order !== undefined && !Number.isFinite(task.order)) {
+        throw new Error(`Task at index ${i} has invalid order`);
+      }
+
+      if (
+        task.priority !== undefined &&
+        task.priority !== null &&
+        !["high", "medium", "low"].includes(task.priority)
+      ) {
+        throw new Error(`Task at index ${i} has invalid priority`);
+      }
+
+      if (
+        task.dueDate !== undefined &&
+        task.dueDate !== null &&
+        !this.isValidDateString(task.dueDate)
+      ) {
+        throw new Error(`Task at index ${i} has invalid dueDate`);
+      }
+
+      if (
+        task.reminderAt !== undefined &&
+        task.reminderAt !== null &&
+        (typeof task.reminderAt !== "number" || task.reminderAt <= 0)
+      ) {
+        throw new Error(`Task at index ${i} has invalid reminderAt`);
+      }
+
+      if (task.reminderSent !== undefined && typeof task.reminderSent !== "boolean") {
+        throw new Error(`Task at index ${i} has invalid reminderSent`);
+      }
+
+      if (
+        task.recurrence !== undefined &&
+        task.recurrence !== null &&
+        !this.isValidRecurrence(task.recurrence)
+      ) {
+        throw new Error(`Task at index ${i} has invalid recurrence`);
+      }
+
+      for (const field of ["seriesId", "nextInstanceId"]) {
+        if (
+          task[field] !== undefined &&
+          task[field] !== null &&
+          (typeof task[field] !== "string" || task[field] === "")
+        ) {
+          throw new Error(`Task at index ${i} has invalid ${field}`);
         }
       }
 
-      return false;
-    } catch (error) {
-      console.error("[WhitelistManager] Failed to check domain:", error);
-      return false;
+      if (task.checklist !== undefined) {
+        this.validateChecklistData(task.checklist, i);
+      }
     }
   }
 
   /**
-   * 获取所有白名单域名
-   * @returns {Array<string>} 域名数组
+   * 检查重复规则结构
+   * @param {Object} recurrence - 重复规则
+   * @returns {boolean} 是否有效
    */
-  getDomains() {
-    return Array.from(this.domains).sort();
+  isValidRecurrence(recurrence) {
+    if (!recurrence || typeof recurrence !== "object") {
+      return false;
+    }
+
+    switch (recurrence.type) {
+      case "daily":
+      case "weekdays":
+        return true;
+      case "weekly":
+        return (
+          Array.isArray(recurrence.days) &&
+          recurrence.days.length > 0 &&
+          recurrence.days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+        );
+      case "monthly":
+        return (
+          Number.isInteger(recurrence.dayOfMonth) &&
+          recurrence.dayOfMonth >= 1 &&
+          recurrence.dayOfMonth <= 31
+        );
+      default:
+        return false;
+    }
   }
 
   /**
-   * 清空所有白名单域名
-   * @returns {boolean} 清空是否成功
+   * 检查 YYYY-MM-DD 日期字符串是否是真实存在的日期（拒绝 2026-02-30 之类会被 Date 进位的值）
+   * @param {string} value - 日期字符串
+   * @returns {boolean} 是否有效
    */
-  async clearDomains() {
-    try {
-      this.domains.clear();
-      const success = await this.saveToStorage();
-
-      if (success) {
-        console.log("[WhitelistManager] All domains cleared");
-        this.dispatchChangeEvent("domainsCleared");
-        return true;
-      }
-
-      return false;
-    } catch (error) {
-      console.error("[WhitelistManager] Failed to clear domains:", error);
+  isValidDateString(value) {
+    if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
       return false;
     }
+    const [year, month, day] = value.split("-").map(Number);
+    const date = new Date(year, month - 1, day);
+    return (
+      date.getFullYear() === year &&
+      date.getMonth() === month - 1 &&
+      date.getDate() === day
+    );
   }
 
   /**
-   * 验证并清理域名格式
-   * @param {string} domain - 原始域名
-   * @returns {string|null} 清理后的域名，无效时返回null
+   * 验证任务的检查项列表
+   * @param {Array<Object>} checklist - 检查项列表
+   * @param {number} taskIndex - 所属任务的索引（用于错误信息）
+   * @throws {Error} 如果数据结构无效
    */
-  validateAndCleanDomain(domain) {
-    if (typeof domain !== "string") {
-      return null;
+  validateChecklistData(checklist, taskIndex) {
+    if (!Array.isArray(checklist)) {
+      throw new Error(`Task at index ${taskIndex} has invalid checklist`);
     }
 
-    // 清理空白字符和转换为小写
-    const cleaned = domain.trim().toLowerCase();
-
-    if (cleaned === "") {
-      return null;
-    }
+    checklist.forEach((item, j) => {
+      if (!item || typeof item !== "object") {
+        throw new Error(
+          `Checklist item ${j} of task ${taskIndex} is not a valid object`,
+        );
+      }
 
-    // 移除协议前缀
-    const withoutProtocol = cleaned.replace(/^https?:\/\//, "");
+      if (typeof item.id !== "string" || item.id.trim() === "") {
+        throw new Error(`Checklist item ${j} of task ${taskIndex} has invalid id`);
+      }
 
-    // 移除路径、查询参数和片段
-    const domainOnly = withoutProtocol
-      .split("/")[0]
-      .split("?")[0]
-      .split("#")[0];
+      if (
+        typeof item.title !== "string" ||
+        item.title.trim() === "" ||
+        item.title.length > 200
+      ) {
+        throw new Error(
+          `Checklist item ${j} of task ${taskIndex} has invalid title`,
+        );
+      }
 
-    // 移除端口号
-    const withoutPort = domainOnly.split(":")[0];
+      if (typeof item.isCompleted !== "boolean") {
+        throw new Error(
+          `Checklist item ${j} of task ${taskIndex} has invalid isCompleted`,
+        );
+      }
+    });
+  }
 
-    // 基础域名格式验证
-    if (!this.isValidDomainFormat(withoutPort)) {
-      return null;
+  /**
+   * 验证回收站数据结构
+   * @param {Array<Object>} entries - 回收站条目
+   * @throws {Error} 如果数据结构无效
+   */
+  validateTrashData(entries) {
+    if (!Array.isArray(entries)) {
+      throw new Error("Trash must be an array");
     }
 
-    return withoutPort;
+    const reasons = ["deleted", "clearedCompleted"];
+    entries.forEach((entry, i) => {
+      if (!entry || typeof entry !== "object") {
+        throw new Error(`Trash entry at index ${i} is not a valid object`);
+      }
+      if (typeof entry.deletedAt !== "number" || entry.deletedAt <= 0) {
+        throw new Error(`Trash entry at index ${i} has invalid deletedAt`);
+      }
+      if (!reasons.includes(entry.reason)) {
+        throw new Error(`Trash entry at index ${i} has invalid reason`);
+      }
+    });
+
+    this.validateTasksData(entries.map((entry) => entry.task));
   }
 
   /**
-   * 检查域名格式是否有效
-   * @param {string} domain - 域名
-   * @returns {boolean} 格式是否有效
+   * 验证专注会话数据结构
+   * @param {Array<Object>} sessions - 会话记录列表
+   * @throws {Error} 如果数据结构无效
    */
-  isValidDomainFormat(domain) {
-    // 空字符串检查
-    if (!domain || domain.length === 0) {
-      return false;
+  validateSessionsData(sessions) {
+    if (!Array.isArray(sessions)) {
+      throw new Error("Sessions must be an array");
     }
 
-    // 长度检查
-    if (domain.length > 253) {
-      return false;
-    }
+    const outcomes = ["completed", "stopped"];
 
-    // 基础字符检查：只允许字母、数字、点号和连字符
-    const domainRegex = /^[a-z0-9.-]+$/;
-    if (!domainRegex.test(domain)) {
-      return false;
-    }
+    for (let i = 0; i < sessions.length; i++) {
+      const session = sessions[i];
 
-    // 检查是否以点号开始或结束
-    if (domain.startsWith(".") || domain.endsWith(".")) {
-      return false;
-    }
+      if (!session || typeof session !== "object") {
+        throw new Error(`Session at index ${i} is not a valid object`);
+      }
 
-    // 检查是否包含连续的点号
-    if (domain.includes("..")) {
-      return false;
-    }
+      if (typeof session.id !== "string" || session.id.trim() === "") {
+        throw new Error(`Session at index ${i} has invalid id`);
+      }
 
-    // 检查各部分长度（每个标签不能超过63个字符）
-    const labels = domain.split(".");
-    for (const label of labels) {
-      if (label.length === 0 || label.length > 63) {
-        return false;
+      if (session.taskId !== null && typeof session.taskId !== "string") {
+        throw new Error(`Session at index ${i} has invalid taskId`);
       }
 
-      // 标签不能以连字符开始或结束
-      if (label.startsWith("-") || label.endsWith("-")) {
-        return false;
+      if (
+        session.seriesId !== undefined &&
+        session.seriesId !== null &&
+        typeof session.seriesId !== "string"
+      ) {
+        throw new Error(`Session at index ${i} has invalid seriesId`);
       }
 
-      // 检查标签是否只包含连字符（无效）
-      if (label === "-") {
-        return false;
+      if (typeof session.startedAt !== "number" || session.startedAt <= 0) {
+        throw new Error(`Session at index ${i} has invalid startedAt`);
       }
-    }
 
-    // 至少要有一个点号（排除纯localhost等）
-    if (!domain.includes(".")) {
-      return false;
-    }
+      if (
+        typeof session.endedAt !== "number" ||
+        session.endedAt < session.startedAt
+      ) {
+        throw new Error(`Session at index ${i} has invalid endedAt`);
+      }
 
-    return true;
-  }
+      for (const field of ["plannedSeconds", "actualSeconds"]) {
+        if (typeof session[field] !== "number" || session[field] < 0) {
+          throw new Error(`Session at index ${i} has invalid ${field}`);
+        }
+      }
 
-  /**
-   * 从URL提取域名
-   * @param {string} url - URL字符串
-   * @returns {string|null} 域名，提取失败返回null
-   */
-  extractDomainFromURL(url) {
-    try {
-      // 如果不是完整URL，假设是域名
-      if (!url.includes("://")) {
-        return this.validateAndCleanDomain(url);
+      if (!outcomes.includes(session.outcome)) {
+        throw new Error(`Session at index ${i} has invalid outcome`);
       }
 
-      const urlObj = new URL(url);
-      return urlObj.hostname.toLowerCase();
-    } catch (error) {
-      // URL构造失败，尝试手动解析
-      const cleaned = url.replace(/^https?:\/\//, "");
-      const domain = cleaned.split("/")[0].split("?")[0].split("#")[0];
-      return this.validateAndCleanDomain(domain);
+      // 旧版本的中断记录只有 type 和 at，category 和 reason 可省略
+      const categories = ["internal", "external", null, undefined];
+      if (
+        !Array.isArray(session.interruptions) ||
+        !session.interruptions.every(
+          (interruption) =>
+            interruption &&
+            typeof interruption.type === "string" &&
+            typeof interruption.at === "number" &&
+            categories.includes(interruption.category) &&
+            (interruption.reason === undefined ||
+              interruption.reason === null ||
+              (typeof interruption.reason === "string" && interruption.reason.length <= 200)),
+        )
+      ) {
+        throw new Error(`Session at index ${i} has invalid interruptions`);
+      }
     }
   }
 
   /**
-   * 保存白名单数据到存储
-   * @returns {boolean} 保存是否成功
-   * @private
+   * 验证设置数据结构
+   * @param {Object} settings - 设置对象
+   * @throws {Error} 如果数据结构无效
    */
-  async saveToStorage() {
-    if (!this.storageManager) {
-      console.error("[WhitelistManager] StorageManager not initialized");
-      return false;
-    }
+  validateSettingsData(settings) {
+    if (!settings || typeof settings !== "object") {
+      throw new Error("Settings must be an object");
+    }
+
+    // 验证必需字段
+    const requiredFields = ["pomodoroDuration", "whitelist"];
+    for (const field of requiredFields) {
+      if (!(field in settings)) {
+        throw new Error(`Settings is missing required field: ${field}`);
+      }
+    }
+
+    // 验证 pomodoroDuration
+    if (
+      typeof settings.pomodoroDuration !== "number" ||
+      settings.pomodoroDuration <= 0 ||
+      settings.pomodoroDuration > 120
+    ) {
+      throw new Error(
+        "Settings has invalid pomodoroDuration (must be number between 1-120)",
+      );
+    }
+
+    // 验证休息周期配置（可选字段，旧数据由默认值补齐）
+    this.validateOptionalRange(settings, "shortBreakDuration", 1, 60);
+    this.validateOptionalRange(settings, "longBreakDuration", 1, 120);
+    this.validateOptionalRange(settings, "longBreakInterval", 1, 12);
+    this.validateOptionalRange(settings, "extendDuration", 1, 60);
+    this.validateOptionalRange(settings, "trashRetentionDays", 1, 365);
+    this.validateOptionalRange(settings, "archiveAfterDays", 1, 365);
+
+    // 验证拦截模式（可选字段，旧数据由默认值补齐）
+    if (
+      settings.blockingMode !== undefined &&
+      !["whitelist", "blacklist"].includes(settings.blockingMode)
+    ) {
+      throw new Error(
+        "Settings has invalid blockingMode (must be whitelist or blacklist)",
+      );
+    }
+
+    // 验证 whitelist 与 blacklist（旧版纯字符串条目由 WhitelistManager 迁移）
+    this.validateRuleList(settings.whitelist, "Whitelist");
+    if (settings.blacklist !== undefined) {
+      this.validateRuleList(settings.blacklist, "Blacklist");
+    }
+  }
+
+  /**
+   * 验证网站规则列表
+   * @param {Array<string|Object>} rules - 规则列表
+   * @param {string} listName - 列表名称（用于错误信息）
+   * @throws {Error} 如果列表或其中的规则无效
+   */
+  validateRuleList(rules, listName) {
+    if (!Array.isArray(rules)) {
+      throw new Error(`Settings ${listName.toLowerCase()} must be an array`);
+    }
+
+    const ruleTypes = ["exact", "wildcard", "path", "regex"];
+    for (let i = 0; i < rules.length; i++) {
+      const rule = rules[i];
+      if (typeof rule === "string") {
+        if (rule.trim() === "") {
+          throw new Error(
+            `${listName} domain at index ${i} must be a non-empty string`,
+          );
+        }
+        continue;
+      }
+
+      if (
+        !rule ||
+        typeof rule !== "object" ||
+        !ruleTypes.includes(rule.type) ||
+        typeof rule.pattern !== "string" ||
+        rule.pattern.trim() === ""
+      ) {
+        throw new Error(
+          `${listName} rule at index ${i} must have a valid type and non-empty pattern`,
+        );
+      }
+    }
+  }
+
+  /**
+   * 验证可选的数值设置字段
+   * @param {Object} settings - 设置对象
+   * @param {string} field - 字段名
+   * @param {number} min - 最小值
+   * @param {number} max - 最大值
+   * @throws {Error} 如果字段存在但超出范围
+   */
+  validateOptionalRange(settings, field, min, max) {
+    if (settings[field] === undefined) {
+      return;
+    }
+
+    const value = settings[field];
+    if (typeof value !== "number" || value < min || value > max) {
+      throw new Error(
+        `Settings has invalid ${field} (must be number between ${min}-${max})`,
+      );
+    }
+  }
+
+  /**
+   * 获取存储键的当前数据版本
+   * @param {string} key - 存储键
+   * @returns {number} 数据版本
+   */
+  getDataVersion(key) {
+    return this.DATA_VERSIONS[key];
+  }
+
+  /**
+   * 读取存储数据，版本落后时备份原始数据并逐步迁移
+   * 无法解析的数据同样备份并记录为失败，避免被下一次保存覆盖
+   * @param {string} key - 存储键
+   * @returns {Object|null} 当前版本的数据；不存在、无法解析或迁移失败时返回null
+   */
+  loadAndMigrate(key) {
+    const serializedData = GM_getValue(key, null);
+    if (serializedData === null || serializedData === undefined) {
+      return null;
+    }
 
+    let storageData;
     try {
-      // 获取当前设置
-      const settings = await this.storageManager.loadSettings();
+      storageData = JSON.parse(serializedData);
+    } catch (error) {
+      const backupKey = this.backupRawData(key, serializedData, "UNREADABLE");
+      this.recordMigrationFailure(key, null, backupKey, error);
+      console.error(
+        `[Storage] ${key} is not valid JSON, original data kept in ${backupKey}:`,
+        error,
+      );
+      return null;
+    }
+    if (!storageData || typeof storageData !== "object") {
+      return storageData;
+    }
 
-      // 更新白名单
-      settings.whitelist = Array.from(this.domains);
+    const targetVersion = this.getDataVersion(key);
+    const fromVersion =
+      typeof storageData.version === "number" ? storageData.version : 0;
+    if (fromVersion === targetVersion) {
+      return storageData;
+    }
 
-      // 保存设置
-      return await this.storageManager.saveSettings(settings);
+    const backupKey = this.backupRawData(key, serializedData, `V${fromVersion}`);
+
+    try {
+      const migrated = this.migrateData(storageData, key);
+      GM_setValue(key, JSON.stringify(migrated));
+      this.migrationFailures.delete(key);
+
+      console.log(
+        `[Storage] Migrated ${key} from v${fromVersion} to v${targetVersion}`,
+      );
+      return migrated;
     } catch (error) {
-      console.error("[WhitelistManager] Failed to save to storage:", error);
-      return false;
+      this.recordMigrationFailure(key, fromVersion, backupKey, error);
+
+      console.error(
+        `[Storage] Failed to migrate ${key} from v${fromVersion}, original data kept in ${backupKey}:`,
+        error,
+      );
+      return null;
     }
   }
 
   /**
-   * 触发白名单变更事件
-   * @param {string} eventType - 事件类型
-   * @param {Object} detail - 事件详情
-   * @private
+   * 数据迁移：按注册表逐个版本升级到该键的当前版本
+   * @param {Object} storageData - 旧版本数据
+   * @param {string} key - 存储键
+   * @returns {Object} 迁移后的数据
+   * @throws {Error} 如果数据版本高于当前版本或某一步迁移失败
    */
-  dispatchChangeEvent(eventType, detail = {}) {
-    // 检查是否在浏览器环境中
-    if (
-      typeof window !== "undefined" &&
-      typeof document !== "undefined" &&
-      typeof CustomEvent !== "undefined"
-    ) {
-      try {
-        const event = new CustomEvent(`tomato-monkey-whitelist-${eventType}`, {
-          detail: {
-            ...detail,
-            domains: this.getDomains(),
-            timestamp: Date.now(),
-          },
-          bubbles: false,
-          cancelable: false,
-        });
+  migrateData(storageData, key) {
+    const targetVersion = this.getDataVersion(key);
+    const fromVersion =
+      typeof storageData.version === "number" ? storageData.version : 0;
 
-        document.dispatchEvent(event);
-      } catch (error) {
-        console.warn("[WhitelistManager] Failed to dispatch event:", error);
+    // 更高版本的数据来自更新的脚本，降级会丢失字段
+    if (fromVersion > targetVersion) {
+      throw new Error(
+        `Data version ${fromVersion} is newer than supported version ${targetVersion}`,
+      );
+    }
+
+    const steps = this.MIGRATIONS[key] || {};
+    let data = storageData;
+
+    for (let version = fromVersion + 1; version <= targetVersion; version++) {
+      if (steps[version]) {
+        data = steps[version](data);
       }
+      data = { ...data, version };
     }
+
+    return data;
   }
 
   /**
-   * 获取白名单统计信息
-   * @returns {Object} 统计信息
+   * 备份原始数据（同一个备份键只写一次，保留最早的原始数据）
+   * @param {string} key - 存储键
+   * @param {string} serializedData - 原始序列化数据
+   * @param {string} suffix - 备份键后缀：迁移前为 V<旧版本>，无法解析时为 UNREADABLE
+   * @returns {string} 备份键
    */
-  getStats() {
+  backupRawData(key, serializedData, suffix) {
+    const backupKey = `${key}_BACKUP_${suffix}`;
+
+    if (GM_getValue(backupKey, null) === null) {
+      GM_setValue(backupKey, serializedData);
+      console.log(`[Storage] Backed up ${key} to ${backupKey}`);
+    }
+
+    return backupKey;
+  }
+
+  /**
+   * 记录无法读取或迁移的存储键，该键随后拒绝写入
+   * @param {string} key - 存储键
+   * @param {number|null} fromVersion - 原始数据版本，无法解析时为 null
+   * @param {string} backupKey - 原始数据的备份键
+   * @param {Error} error - 失败原因
+   */
+  recordMigrationFailure(key, fromVersion, backupKey, error) {
+    this.migrationFailures.set(key, {
+      key,
+      fromVersion,
+      toVersion: this.getDataVersion(key),
+      backupKey,
+      error: error.message,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * 检查存储键是否允许写入（无法读取或迁移失败的键不允许覆盖）
+   * @param {string} key - 存储键
+   * @throws {Error} 如果该键的数据无法读取或迁移失败
+   */
+  assertWritable(key) {
+    const failure = this.migrationFailures.get(key);
+    if (failure) {
+      const reason =
+        failure.fromVersion === null
+          ? "stored data is unreadable"
+          : `migration from v${failure.fromVersion} failed`;
+      throw new Error(`Refusing to overwrite ${key}: ${reason} (${failure.error})`);
+    }
+  }
+
+  /**
+   * 清除迁移失败记录，允许重新写入（用于用户显式恢复数据）
+   */
+  clearMigrationFailures() {
+    if (this.migrationFailures.size > 0) {
+      console.warn(
+        `[Storage] Clearing migration failures for: ${Array.from(this.migrationFailures.keys()).join(", ")}`,
+      );
+    }
+    this.migrationFailures.clear();
+  }
+
+  /**
+   * 获取迁移失败报告
+   * @returns {Array<Object>} 失败详情列表
+   */
+  getMigrationFailures() {
+    return Array.from(this.migrationFailures.values());
+  }
+
+  // === 版本迁移步骤 ===
+
+  /**
+   * 任务 v1 -> v2：补齐缺失的字段，结构损坏的任务视为迁移失败
+   * @param {Object} data - {tasks}
+   * @returns {Object} 迁移后的数据
+   */
+  migrateTasksToV2(data) {
+    if (!Array.isArray(data.tasks)) {
+      throw new Error("Tasks storage data has no tasks array");
+    }
+
+    const fallbackCreatedAt = data.timestamp || Date.now();
+    const tasks = data.tasks.map((task, index) => {
+      if (
+        !task ||
+        typeof task.id !== "string" ||
+        typeof task.title !== "string"
+      ) {
+        throw new Error(`Task at index ${index} cannot be migrated`);
+      }
+
+      return {
+        ...task,
+        isCompleted: Boolean(task.isCompleted),
+        createdAt:
+          typeof task.createdAt === "number" && task.createdAt > 0
+            ? task.createdAt
+            : fallbackCreatedAt,
+        completedAt: task.completedAt || null,
+        pomodoroCount:
+          typeof task.pomodoroCount === "number" && task.pomodoroCount >= 0
+            ? task.pomodoroCount
+            : 0,
+      };
+    });
+
+    return { ...data, tasks };
+  }
+
+  /**
+   * 任务 v2 -> v3：按创建时间写入手动排序值，优先级默认为无
+   * @param {Object} data - {tasks}
+   * @returns {Object} 迁移后的数据
+   */
+  migrateTasksToV3(data) {
+    const byCreation = data.tasks
+      .slice()
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((task) => task.id);
+
+    const tasks = data.tasks.map((task) => ({
+      ...task,
+      order: byCreation.indexOf(task.id),
+      priority: task.priority || null,
+    }));
+
+    return { ...data, tasks };
+  }
+
+  /**
+   * 任务 v3 -> v4：旧ID是毫秒时间戳，多个标签页同时创建时可能重复
+   * 重复的ID保留第一个任务，其余任务分配新ID；所有任务从修订号 1 开始
+   * 会话历史、回收站、归档和进行中的计时只记录任务ID，无法区分属于哪个重复任务，
+   * 这些引用不改写，仍归第一个任务
+   * @param {Object} data - {tasks}
+   * @returns {Object} 迁移后的数据
+   */
+  migrateTasksToV4(data) {
+    const seen = new Set(data.tasks.map((task) => task.id));
+    const kept = new Set();
+
+    const tasks = data.tasks.map((task) => {
+      let id = task.id;
+      if (kept.has(id)) {
+        for (let n = 1; seen.has(id); n++) {
+          id = `${task.id}-dup${n}`;
+        }
+        seen.add(id);
+        console.warn(`[Storage] Renamed duplicate task id ${task.id} to ${id}`);
+      }
+      kept.add(id);
+
+      return {
+        ...task,
+        id,
+        seriesId: task.seriesId === task.id ? id : task.seriesId,
+        revision: Number.isInteger(task.revision) ? task.revision : 1,
+      };
+    });
+
+    return { ...data, tasks };
+  }
+
+  /**
+   * 设置 v1 -> v2：写入休息周期、拦截模式和黑名单的默认值
+   * @param {Object} data - {settings}
+   * @returns {Object} 迁移后的数据
+   */
+  migrateSettingsToV2(data) {
+    if (!data.settings || typeof data.settings !== "object") {
+      throw new Error("Settings storage data has no settings object");
+    }
+
     return {
-      totalDomains: this.domains.size,
-      domains: this.getDomains(),
-      lastModified: Date.now(),
+      ...data,
+      settings: { ...this.DEFAULT_SETTINGS, ...data.settings },
     };
   }
-}
 
-    /**
-     * FocusPage - 专注页面UI组件
-     */
-    class FocusPage {
-  constructor() {
-    this.container = null;
-    this.isInitialized = false;
-    this.isVisible = false;
-    
-    // UI元素引用
-    this.taskTitleElement = null;
-    this.countdownElement = null;
-    this.statusElement = null;
-    this.progressElement = null;
-    
-    // 计时器服务引用
-    this.timerService = null;
-    
-    // 观察者回调绑定
-    this.boundObserverCallback = this.handleTimerEvent.bind(this);
-    
-    console.log("[FocusPage] Created");
+  /**
+   * 计时器状态 v0 -> v2：补齐专注/休息周期字段
+   * @param {Object} state - 计时器状态
+   * @returns {Object} 迁移后的状态
+   */
+  migrateTimerStateToV2(state) {
+    return {
+      ...state,
+      phase: state.phase || "focus",
+      completedPomodoros: state.completedPomodoros || 0,
+    };
   }
 
   /**
-   * 初始化专注页面
-   * @param {TimerService} timerService - 计时器服务实例
-   * @param {TaskService} taskService - 任务服务实例
-   * @param {BlockerFeature} blockerFeature - 拦截功能实例
+   * 拦截器状态 v0 -> v2：规范化激活标记
+   * @param {Object} state - 拦截器状态
+   * @returns {Object} 迁移后的状态
    */
-  initialize(timerService, taskService, blockerFeature) {
-    if (this.isInitialized) {
-      return;
-    }
+  migrateBlockerStateToV2(state) {
+    return { ...state, isActive: state.isActive === true };
+  }
 
-    this.timerService = timerService;
-    this.taskManager = taskService;
-    this.blockerFeature = blockerFeature;
-    this.createPageStructure();
-    this.bindTimerService();
+  /**
+   * 导出任务数据为JSON
+   * @returns {Promise<string>} JSON字符串
+   */
+  async exportTasksAsJSON() {
+    try {
+      const tasks = await this.loadTasks();
+      const exportData = {
+        exportTime: Date.now(),
+        version: this.getDataVersion(this.STORAGE_KEYS.TASKS),
+        tasks: tasks,
+      };
 
-    this.isInitialized = true;
-    console.log("[FocusPage] Initialized successfully");
+      return JSON.stringify(exportData, null, 2);
+    } catch (error) {
+      console.error("[Storage] Failed to export tasks:", error);
+      throw error;
+    }
   }
 
   /**
-   * 创建专注页面的DOM结构
+   * 导出任务（含已归档的任务）为CSV
+   * @returns {Promise<string>} CSV文本
    */
-  createPageStructure() {
-    // 创建专注页面容器
-    this.container = document.createElement("div");
-    this.container.id = "tomato-monkey-focus-page";
-    this.container.className = "focus-page-container hidden";
-    
-    this.container.innerHTML = `
-      <div class="focus-page-overlay"></div>
-      <div class="focus-page-content">
-        <div class="focus-header">
-          <div class="focus-task-title" id="focus-task-title">
-            准备开始专注...
-          </div>
-          <div class="focus-status" id="focus-status">
-            就绪
-          </div>
-          <div class="focus-settings-icon" id="focus-settings-icon" title="打开设置面板">
-            ⚙️
-          </div>
-        </div>
-        
-        <div class="focus-timer">
-          <div class="countdown-display" id="countdown-display">
-            25:00
-          </div>
-          <div class="countdown-progress" id="countdown-progress">
-            <div class="progress-bar" id="progress-bar"></div>
-          </div>
-        </div>
-        
-        <div class="focus-info">
-          <div class="focus-hint">
-            保持专注，距离完成还有一段时间
-          </div>
-        </div>
-        
-        <div class="focus-actions">
-          <button type="button" class="focus-action-btn pause-btn hidden" id="pause-btn">
-            暂停
-          </button>
-          <button type="button" class="focus-action-btn resume-btn hidden" id="resume-btn">
-            继续
-          </button>
-          <button type="button" class="focus-action-btn modify-time-btn hidden" id="modify-time-btn">
-            修改时间
-          </button>
-          <button type="button" class="focus-action-btn stop-btn hidden" id="stop-btn">
-            结束专注
-          </button>
-          
-          <!-- 倒计时完成后的操作按钮 -->
-          <button type="button" class="focus-action-btn complete-btn hidden" id="complete-btn">
-            ✅ 任务完成
-          </button>
-          <button type="button" class="focus-action-btn cancel-complete-btn hidden" id="cancel-complete-btn">
-            ❌ 取消
-          </button>
-          <button type="button" class="focus-action-btn extend-time-btn hidden" id="extend-time-btn">
-            ⏰ 增加时间
-          </button>
-          
-          <!-- 拦截模式下的跳过按钮 -->
-          <button type="button" class="focus-action-btn skip-btn hidden" id="skip-btn">
-            ⏭️ 跳过拦截
-          </button>
-          
-          <!-- 拦截模式下的结束专注按钮 -->
-          <button type="button" class="focus-action-btn end-focus-btn hidden" id="end-focus-btn">
-            🛑 结束专注
-          </button>
-        </div>
-      </div>
-      
-      <!-- Time Modification Modal -->
-      <div class="time-modify-modal hidden" id="time-modify-modal">
-        <div class="modal-overlay"></div>
-        <div class="modal-content">
-          <div class="modal-header">
-            <h3>设置专注时间</h3>
-          </div>
-          <div class="modal-body">
-            <div class="time-input-group">
-              <label for="time-input">专注时长 (分钟)</label>
-              <input type="number" id="time-input" class="time-input" 
-                     min="0.1" max="120" step="0.1" placeholder="输入分钟数 (如: 25 或 1.5)">
-            </div>
-            <div class="time-presets">
-              <button type="button" class="preset-btn" data-minutes="25">25分钟</button>
-              <button type="button" class="preset-btn" data-minutes="30">30分钟</button>
-              <button type="button" class="preset-btn" data-minutes="45">45分钟</button>
-              <button type="button" class="preset-btn" data-minutes="60">60分钟</button>
-            </div>
-          </div>
-          <div class="modal-actions">
-            <button type="button" class="modal-btn cancel-btn" id="cancel-time-btn">取消</button>
-            <button type="button" class="modal-btn confirm-btn" id="confirm-time-btn">确定</button>
-          </div>
-        </div>
-      </div>
-      
-      <!-- Extend Time Modal -->
-      <div class="time-modify-modal hidden" id="extend-time-modal">
-        <div class="modal-overlay"></div>
-        <div class="modal-content">
-          <div class="modal-header">
-            <h3>增加专注时间</h3>
-          </div>
-          <div class="modal-body">
-            <div class="time-input-group">
-              <label for="extend-time-input">增加时长 (分钟)</label>
-              <input type="number" id="extend-time-input" class="time-input" 
-                     min="0.1" max="60" step="0.1" value="5" placeholder="输入分钟数 (如: 5 或 2.5)">
-            </div>
-            <div class="time-presets">
-              <button type="button" class="preset-btn" data-minutes="5">5分钟</button>
-              <button type="button" class="preset-btn" data-minutes="10">10分钟</button>
-              <button type="button" class="preset-btn selected" data-minutes="15">15分钟</button>
-              <button type="button" class="preset-btn" data-minutes="30">30分钟</button>
-            </div>
-          </div>
-          <div class="modal-actions">
-            <button type="button" class="modal-btn cancel-btn" id="cancel-extend-btn">取消</button>
-            <button type="button" class="modal-btn confirm-btn" id="confirm-extend-btn">确认</button>
-          </div>
-        </div>
-      </div>
-    `;
+  async exportTasksAsCSV() {
+    const tasks = (await this.loadTasks()).concat(await this.loadArchive());
+    const header = [
+      "id",
+      "title",
+      "status",
+      "project",
+      "tags",
+      "priority",
+      "estimatedPomodoros",
+      "pomodoroCount",
+      "dueDate",
+      "createdAt",
+      "completedAt",
+      "checklist",
+    ];
 
-    // 添加到页面
-    document.body.appendChild(this.container);
+    const rows = tasks.map((task) => {
+      const checklist = task.checklist || [];
+      return [
+        task.id,
+        task.title,
+        task.isCompleted ? "completed" : "pending",
+        task.project || "",
+        (task.tags || []).join(" "),
+        task.priority || "",
+        task.estimatedPomodoros ?? "",
+        task.pomodoroCount,
+        task.dueDate || "",
+        this.formatDateTime(task.createdAt),
+        this.formatDateTime(task.completedAt),
+        checklist.length > 0
+          ? `${checklist.filter((item) => item.isCompleted).length}/${checklist.length}`
+          : "",
+      ];
+    });
 
-    // 获取UI元素引用
-    this.taskTitleElement = this.container.querySelector("#focus-task-title");
-    this.countdownElement = this.container.querySelector("#countdown-display");
-    this.statusElement = this.container.querySelector("#focus-status");
-    this.progressElement = this.container.querySelector("#progress-bar");
-    
-    // 绑定事件
-    this.setupEventListeners();
+    return this.toCSV([header, ...rows]);
   }
 
   /**
-   * 设置事件监听器
+   * 导出专注会话为CSV
+   * @param {Object} [range] - {from, to} 开始时间范围（毫秒时间戳，to 不含）
+   * @returns {Promise<string>} CSV文本
    */
-  setupEventListeners() {
-    // 暂停按钮
-    const pauseBtn = this.container.querySelector("#pause-btn");
-    pauseBtn.addEventListener("click", () => {
-      if (this.timerService) {
-        this.timerService.pauseTimer();
-      }
-    });
-
-    // 继续按钮
-    const resumeBtn = this.container.querySelector("#resume-btn");
-    resumeBtn.addEventListener("click", () => {
-      if (this.timerService) {
-        this.timerService.resumeTimer();
-      }
-    });
-
-    // 停止按钮
-    const stopBtn = this.container.querySelector("#stop-btn");
-    stopBtn.addEventListener("click", () => {
-      this.showStopConfirmation();
-    });
+  async exportSessionsAsCSV(range = {}) {
+    const sessions = this.filterSessionsByRange(await this.loadSessions(), range);
+    const header = [
+      "id",
+      "date",
+      "startedAt",
+      "endedAt",
+      "taskId",
+      "taskTitle",
+      "outcome",
+      "plannedMinutes",
+      "actualMinutes",
+      "interruptions",
+      "isExtension",
+    ];
 
-    // 修改时间按钮
-    const modifyTimeBtn = this.container.querySelector("#modify-time-btn");
-    modifyTimeBtn.addEventListener("click", () => {
-      this.showTimeModificationModal();
-    });
+    const rows = sessions.map((session) => [
+      session.id,
+      this.formatDateTime(session.startedAt).slice(0, 10),
+      this.formatDateTime(session.startedAt),
+      this.formatDateTime(session.endedAt),
+      session.taskId || "",
+      session.taskTitle,
+      session.outcome,
+      Math.round(session.plannedSeconds / 60),
+      Math.round(session.actualSeconds / 60),
+      session.interruptions.length,
+      session.isExtension ? "yes" : "no",
+    ]);
+
+    return this.toCSV([header, ...rows]);
+  }
 
-    // 完成按钮
-    const completeBtn = this.container.querySelector("#complete-btn");
-    if (completeBtn) {
-      completeBtn.addEventListener("click", () => this.handleTaskComplete());
-    }
+  /**
+   * 导出专注会话的Markdown摘要，按日期分组后再按任务汇总
+   * 番茄钟数只统计正常完成的会话，专注时长包含中途停止的会话
+   * @param {Object} [range] - {from, to} 开始时间范围（毫秒时间戳，to 不含）
+   * @returns {Promise<string>} Markdown文本
+   */
+  async exportSessionsAsMarkdown(range = {}) {
+    const sessions = this.filterSessionsByRange(await this.loadSessions(), range);
+    const lines = ["# TomatoMonkey 专注记录", ""];
 
-    // 取消按钮
-    const cancelCompleteBtn = this.container.querySelector("#cancel-complete-btn");
-    if (cancelCompleteBtn) {
-      cancelCompleteBtn.addEventListener("click", () => this.hide());
+    if (sessions.length === 0) {
+      lines.push("暂无专注记录", "");
+      return lines.join("\n");
     }
 
-    // 增加时间按钮
-    const extendTimeBtn = this.container.querySelector("#extend-time-btn");
-    if (extendTimeBtn) {
-      extendTimeBtn.addEventListener("click", () => this.handleExtendTime());
+    // 按日期分组（最近的在前），每天内按任务汇总
+    const days = new Map();
+    for (const session of sessions) {
+      const date = this.formatDateTime(session.startedAt).slice(0, 10);
+      if (!days.has(date)) days.set(date, new Map());
+
+      const key = session.taskId || `title:${session.taskTitle}`;
+      const tasks = days.get(date);
+      const entry = tasks.get(key) || {
+        title: session.taskTitle || "未关联任务",
+        pomodoros: 0,
+        focusSeconds: 0,
+        interruptions: 0,
+      };
+      if (session.outcome === "completed") entry.pomodoros++;
+      entry.focusSeconds += session.actualSeconds;
+      entry.interruptions += session.interruptions.length;
+      tasks.set(key, entry);
     }
 
-    // 跳过拦截按钮
-    const skipBtn = this.container.querySelector("#skip-btn");
-    if (skipBtn) {
-      skipBtn.addEventListener("click", () => this.handleSkipBlocking());
+    const sortedDays = Array.from(days.entries()).sort((a, b) => b[0].localeCompare(a[0]));
+    for (const [date, tasks] of sortedDays) {
+      const entries = Array.from(tasks.values()).sort(
+        (a, b) => b.pomodoros - a.pomodoros || b.focusSeconds - a.focusSeconds,
+      );
+      const pomodoros = entries.reduce((sum, entry) => sum + entry.pomodoros, 0);
+      const focusSeconds = entries.reduce((sum, entry) => sum + entry.focusSeconds, 0);
+
+      lines.push(`## ${date}（🍅 ${pomodoros} · ${this.formatMinutes(focusSeconds)}）`, "");
+      for (const entry of entries) {
+        const details = [`🍅 ${entry.pomodoros}`, this.formatMinutes(entry.focusSeconds)];
+        if (entry.interruptions > 0) details.push(`中断 ${entry.interruptions} 次`);
+        lines.push(`- ${this.escapeMarkdown(entry.title)}：${details.join(" · ")}`);
+      }
+      lines.push("");
     }
 
-    // 结束专注按钮
-    const endFocusBtn = this.container.querySelector("#end-focus-btn");
-    if (endFocusBtn) {
-      endFocusBtn.addEventListener("click", () => this.handleEndFocus());
-    }
+    return lines.join("\n");
+  }
 
-    // 时间修改模态框事件
-    this.setupModalEventListeners();
+  /**
+   * 按开始时间筛选会话，结果按开始时间升序
+   * @param {Array<Object>} sessions - 会话记录
+   * @param {Object} range - {from, to}
+   * @returns {Array<Object>}
+   */
+  filterSessionsByRange(sessions, { from, to } = {}) {
+    return sessions
+      .filter(
+        (session) =>
+          (from === undefined || session.startedAt >= from) &&
+          (to === undefined || session.startedAt < to),
+      )
+      .sort((a, b) => a.startedAt - b.startedAt);
+  }
 
-    // 增加时间模态框事件
-    this.setupExtendTimeModalEventListeners();
+  /**
+   * 生成CSV文本（RFC 4180，CRLF换行）
+   * @param {Array<Array>} rows - 行数据，第一行为表头
+   * @returns {string}
+   */
+  toCSV(rows) {
+    return rows
+      .map((row) => row.map((value) => this.escapeCSVField(value)).join(","))
+      .join("\r\n");
+  }
 
-    // 设置图标点击事件
-    const settingsIcon = this.container.querySelector("#focus-settings-icon");
-    if (settingsIcon) {
-      settingsIcon.addEventListener("click", (e) => {
-        e.stopPropagation();
-        this.handleSettingsIconClick();
-      });
+  /**
+   * 转义CSV字段
+   * 以 = + - @ 开头的文本加前缀单引号，避免电子表格将其当作公式执行
+   * @param {*} value - 字段值
+   * @returns {string}
+   */
+  escapeCSVField(value) {
+    let text = value === null || value === undefined ? "" : String(value);
+    if (typeof value === "string" && /^[=+\-@]/.test(text)) {
+      text = `'${text}`;
     }
-
-    // 点击遮罩层不做任何操作（避免意外关闭）
-    this.container.querySelector(".focus-page-overlay").addEventListener("click", (e) => {
-      e.stopPropagation();
-    });
-
-    // ESC键处理
-    document.addEventListener("keydown", (e) => {
-      if (e.key === "Escape" && this.isVisible) {
-        // 如果模态框打开，先关闭模态框
-        if (this.isTimeModalVisible()) {
-          this.hideTimeModificationModal();
-        } else if (this.isExtendTimeModalVisible()) {
-          this.hideExtendTimeModal();
-        } else {
-          this.showStopConfirmation();
-        }
-      }
-    });
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
   }
 
   /**
-   * 显示停止确认对话框
+   * 转义Markdown中有特殊含义的字符
+   * @param {string} text - 原始文本
+   * @returns {string}
    */
-  showStopConfirmation() {
-    const confirmed = confirm("确定要结束当前的专注时间吗？\n\n这将停止计时器并返回任务列表。");
-    if (confirmed && this.timerService) {
-      this.timerService.stopTimer();
-    }
+  escapeMarkdown(text) {
+    return String(text).replace(/[\\`*_[\]<>|#]/g, "\\$&");
   }
 
   /**
-   * 处理设置图标点击事件
+   * 格式化本地时间为 "YYYY-MM-DD HH:mm"
+   * @param {number|null} timestamp - 时间戳
+   * @returns {string} 空时间戳返回空字符串
    */
-  handleSettingsIconClick() {
-    // 通过全局应用实例访问设置面板
-    if (typeof window !== "undefined") {
-      // 尝试通过 unsafeWindow 访问（Tampermonkey环境）
-      const app = window.unsafeWindow?.TomatoMonkeyApp || window.TomatoMonkeyApp;
-      
-      if (app && app.settingsPanel) {
-        app.settingsPanel.show();
-        console.log("[FocusPage] Settings panel opened via settings icon");
-      } else {
-        console.warn("[FocusPage] Could not access settings panel");
-        // 降级方案：显示提示消息
-        alert("设置面板暂不可用，请使用快捷键 Ctrl+Shift+T 或右上角番茄钟按钮打开设置。");
-      }
-    }
+  formatDateTime(timestamp) {
+    if (!timestamp) return "";
+    const date = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
   }
 
   /**
-   * 处理结束专注按钮点击事件 (拦截模式下)
+   * 格式化时长为 "X小时Y分钟"
+   * @param {number} seconds - 秒数
+   * @returns {string}
    */
-  handleEndFocus() {
-    const confirmed = confirm(
-      "确定要结束当前的专注时间吗？\n\n" +
-      "这将停止计时器并结束拦截，让您正常浏览网站。"
-    );
-    
-    if (confirmed && this.timerService) {
-      console.log("[FocusPage] User confirmed end focus from blocking mode");
-      this.timerService.stopTimer();
-    }
+  formatMinutes(seconds) {
+    const minutes = Math.round(seconds / 60);
+    const hours = Math.floor(minutes / 60);
+    if (hours === 0) return `${minutes}分钟`;
+    return minutes % 60 === 0 ? `${hours}小时` : `${hours}小时${minutes % 60}分钟`;
   }
 
   /**
-   * 处理跳过拦截按钮点击事件
+   * 从JSON导入任务数据
+   * @param {string} jsonData - JSON字符串
+   * @returns {Promise<boolean>} 导入是否成功
    */
-  handleSkipBlocking() {
-    // 显示确认对话框
-    const confirmed = confirm(
-      "确定要跳过拦截直接进入此网站吗？\n\n" +
-      "⚠️ 这可能会影响您的专注效果。\n" +
-      "计时器将继续运行，但此页面不会再被拦截。"
-    );
+  async importTasksFromJSON(jsonData) {
+    try {
+      const importData = JSON.parse(jsonData);
+
+      if (!importData.tasks || !Array.isArray(importData.tasks)) {
+        throw new Error("Invalid import data format");
+      }
+
+      this.validateTasksData(importData.tasks);
+      return await this.saveTasks(importData.tasks);
+    } catch (error) {
+      console.error("[Storage] Failed to import tasks:", error);
+      return false;
+    }
+  }
+}
+
+    /**
+     * TaskService - Linus 式依赖注入任务服务
+     */
+    class TaskService {
+  constructor(storage, eventBus = null) {
+    // 依赖注入 - 显式优于隐式
+    this.storage = storage;
+    this.eventBus = eventBus;
     
-    if (confirmed) {
-      console.log("[FocusPage] User confirmed skip blocking");
-      
-      // 隐藏 focus-page，但不影响计时器状态
-      this.hide();
+    // 核心数据结构 - Linus方式
+    this.tasks = new Map();
+    this.trash = new Map(); // 回收站：任务ID -> {task, deletedAt, reason}
+    this.trashRetentionDays = 30;
+    this.archive = new Map(); // 归档：完成超过 archiveAfterDays 天的任务
+    this.archiveAfterDays = 7;
+    this.observers = new Set(); // 观察者用Set，避免重复
+    this.isInitialized = false;
+
+    // 并发写入：任务ID -> 上次从存储读取或写入时的副本，保存时据此找出本标签页的修改
+    this.savedSnapshots = new Map();
+    this.saveQueue = Promise.resolve();
+
+    // 跨标签页同步：任务、回收站、归档和设置存储键的变化监听器ID
+    this.tasksListenerId = null;
+    this.trashListenerId = null;
+    this.archiveListenerId = null;
+    this.settingsListenerId = null;
+
+    // 优先级从高到低
+    this.PRIORITIES = ["high", "medium", "low"];
+
+    // 重复规则类型
+    this.RECURRENCE_TYPES = ["daily", "weekdays", "weekly", "monthly"];
+
+    // 备注最大长度（字符）
+    this.MAX_NOTES_LENGTH = 5000;
+
+    // 观察者事件 -> 事件总线上的类型化事件
+    this.BUS_EVENTS = {
+      initialized: EventBus.EVENTS.TASKS_LOADED,
+      tasksReloaded: EventBus.EVENTS.TASKS_RELOADED,
+      taskCreated: EventBus.EVENTS.TASK_CREATED,
+      taskUpdated: EventBus.EVENTS.TASK_UPDATED,
+      taskReordered: EventBus.EVENTS.TASK_REORDERED,
+      taskToggled: EventBus.EVENTS.TASK_TOGGLED,
+      taskDeleted: EventBus.EVENTS.TASK_DELETED,
+      taskRestored: EventBus.EVENTS.TASK_RESTORED,
+      taskPurged: EventBus.EVENTS.TASK_PURGED,
+      pomodoroUpdated: EventBus.EVENTS.TASK_POMODORO_UPDATED,
+      checklistUpdated: EventBus.EVENTS.TASK_CHECKLIST_UPDATED,
+      completedTasksCleared: EventBus.EVENTS.COMPLETED_TASKS_CLEARED,
+      tasksImported: EventBus.EVENTS.TASKS_IMPORTED,
+      tasksArchived: EventBus.EVENTS.TASKS_ARCHIVED,
+      tasksMerged: EventBus.EVENTS.TASKS_MERGED,
+      taskConflict: EventBus.EVENTS.TASK_CONFLICT,
+      trashRetentionChanged: EventBus.EVENTS.TRASH_RETENTION_CHANGED,
+      archiveSettingsChanged: EventBus.EVENTS.ARCHIVE_SETTINGS_CHANGED,
+    };
+  }
+
+  // === 兼容性API - 保持现有接口不变 ===
+
+  async initialize(storageManager = null) {
+    if (this.isInitialized) return;
+
+    // 兼容旧API：如果传入storageManager，使用它；否则使用注入的storage
+    if (storageManager) {
+      this.storage = storageManager;
+    }
+    
+    try {
+      const data = await this.storage.loadTasks();
+      // 内部用Map，但兼容数组输入
+      this.tasks = new Map(data.map(t => [t.id, t]));
+      this.takeSnapshots();
+      await this.loadTrash();
+      await this.loadArchive();
+      this.setupCrossTabSync();
       
-      // 通知 BlockerFeature 用户选择跳过当前页面
-      this.notifySkipBlocking();
-    } else {
-      console.log("[FocusPage] User cancelled skip blocking");
+      this.isInitialized = true;
+      console.log(`[TaskService] Initialized with ${this.tasks.size} tasks`);
+      this.notifyObservers("initialized");
+    } catch (error) {
+      console.error("[TaskService] Failed to initialize:", error);
+      this.tasks = new Map();
     }
   }
 
   /**
-   * 通知 BlockerFeature 用户选择跳过拦截
+   * 从存储重新加载任务（如导入备份后）
    */
-  notifySkipBlocking() {
-    // 使用依赖注入的 blockerFeature
-    if (this.blockerFeature && typeof this.blockerFeature.handleSkipBlocking === 'function') {
-      this.blockerFeature.handleSkipBlocking(window.location.href);
-    } else {
-      console.warn("[FocusPage] BlockerFeature not available for skip action");
+  async reload() {
+    try {
+      const data = await this.storage.loadTasks();
+      this.tasks = new Map(data.map(t => [t.id, t]));
+      this.takeSnapshots();
+      await this.loadTrash();
+      await this.loadArchive();
+      console.log(`[TaskService] Reloaded ${this.tasks.size} tasks`);
+      this.notifyObservers("tasksReloaded");
+    } catch (error) {
+      console.error("[TaskService] Failed to reload tasks:", error);
     }
   }
 
-  /**
-   * 设置模态框事件监听器
-   */
-  setupModalEventListeners() {
-    const modal = this.container.querySelector("#time-modify-modal");
-    const cancelBtn = this.container.querySelector("#cancel-time-btn");
-    const confirmBtn = this.container.querySelector("#confirm-time-btn");
-    const timeInput = this.container.querySelector("#time-input");
-    const presetBtns = this.container.querySelectorAll(".preset-btn");
-    const modalOverlay = this.container.querySelector(".modal-overlay");
-
-    // 取消按钮
-    cancelBtn.addEventListener("click", () => {
-      this.hideTimeModificationModal();
-    });
-
-    // 确认按钮
-    confirmBtn.addEventListener("click", () => {
-      this.handleTimeModification();
-    });
+  async createTask(title, options = {}) {
+    const task = this.buildTask(title, options);
 
-    // 点击遮罩层关闭模态框
-    modalOverlay.addEventListener("click", () => {
-      this.hideTimeModificationModal();
-    });
+    this.tasks.set(task.id, task);
+    await this.saveTasks();
+    
+    console.log(`[TaskManager] Created task: ${task.title}`);
+    this.notifyObservers("taskCreated", { task });
+    return task;
+  }
 
-    // 预设按钮
-    presetBtns.forEach(btn => {
-      btn.addEventListener("click", () => {
-        // 移除其他按钮的选中状态
-        presetBtns.forEach(b => b.classList.remove("selected"));
-        // 选中当前按钮
-        btn.classList.add("selected");
-        // 设置输入值
-        const minutes = parseFloat(btn.dataset.minutes);
-        timeInput.value = minutes;
-      });
-    });
+  /**
+   * 按 createTask 的规则校验选项并构造新任务（不保存）
+   * @param {string} title - 任务标题
+   * @param {Object} options - 同 createTask
+   * @returns {Task} 新任务
+   * @throws {Error} 标题或选项无效时
+   */
+  buildTask(title, options = {}) {
+    if (!title?.trim()) {
+      throw new Error("Task title is required and must be a non-empty string");
+    }
 
-    // 输入框变化时取消预设选择
-    timeInput.addEventListener("input", () => {
-      presetBtns.forEach(btn => btn.classList.remove("selected"));
-    });
+    const id = this.generateTaskId(Date.now());
+    const recurrence = this.normalizeRecurrence(options.recurrence, options.dueDate);
+    return {
+      id,
+      title: title.trim(),
+      isCompleted: false,
+      createdAt: Date.now(),
+      completedAt: null,
+      pomodoroCount: 0,
+      order: this.getNextOrder(),
+      priority: this.normalizePriority(options.priority),
+      estimatedPomodoros: this.normalizeEstimate(options.estimatedPomodoros),
+      focusDuration: this.normalizeFocusDuration(options.focusDuration),
+      notes: this.normalizeNotes(options.notes),
+      project: this.normalizeProject(options.project),
+      tags: this.normalizeTags(options.tags),
+      dueDate: this.normalizeDueDate(options.dueDate),
+      reminderAt: this.normalizeReminder(options.reminderAt),
+      reminderSent: false,
+      recurrence,
+      seriesId: recurrence ? options.seriesId || id : null,
+    };
+  }
 
-    // 回车键确认
-    timeInput.addEventListener("keydown", (e) => {
-      if (e.key === "Enter") {
-        this.handleTimeModification();
+  getAllTasks() {
+    // 返回排序后的数组，保持兼容
+    return Array.from(this.tasks.values()).sort((a, b) => {
+      if (a.isCompleted !== b.isCompleted) {
+        return a.isCompleted ? 1 : -1;
+      }
+      if (a.isCompleted && b.isCompleted) {
+        return (b.completedAt || 0) - (a.completedAt || 0);
       }
+      // 待完成任务按手动排序，排序值相同（如合并导入）时按创建时间
+      return (a.order ?? 0) - (b.order ?? 0) || a.createdAt - b.createdAt;
     });
   }
 
   /**
-   * 设置增加时间模态框事件监听器
+   * 按条件筛选任务，结果保持 getAllTasks 的排序
+   * @param {Object} criteria - 筛选条件
+   * @param {string} [criteria.text] - 匹配标题、项目、标签、检查项或备注（不区分大小写）
+   * @param {string} [criteria.tag] - 包含该标签
+   * @param {string|null} [criteria.project] - 所属项目，null 表示未分配项目
+   * @param {string} [criteria.status] - "all" | "pending" | "completed"
+   * @param {number} [criteria.from] - 创建时间下限（含）
+   * @param {number} [criteria.to] - 创建时间上限（不含）
+   * @param {string} [criteria.due] - "today" | "upcoming" | "overdue"，按截止日期升序排列
+   * @returns {Array<Task>} 筛选后的任务
    */
-  setupExtendTimeModalEventListeners() {
-    const modal = this.container.querySelector("#extend-time-modal");
-    const cancelBtn = this.container.querySelector("#cancel-extend-btn");
-    const confirmBtn = this.container.querySelector("#confirm-extend-btn");
-    const timeInput = this.container.querySelector("#extend-time-input");
-    const presetBtns = modal.querySelectorAll(".preset-btn");
-    const modalOverlay = modal.querySelector(".modal-overlay");
-
-    // 取消按钮
-    cancelBtn.addEventListener("click", () => {
-      this.hideExtendTimeModal();
-    });
-
-    // 确认按钮
-    confirmBtn.addEventListener("click", () => {
-      this.confirmExtendTime();
-    });
-
-    // 点击遮罩层关闭模态框
-    modalOverlay.addEventListener("click", () => {
-      this.hideExtendTimeModal();
-    });
+  filterTasks(criteria = {}) {
+    const text = (criteria.text || "").trim().toLowerCase();
+    const tag = criteria.tag ? this.normalizeTags([criteria.tag])[0] : null;
+    const status = criteria.status || "all";
+    const today = this.getDateKey(Date.now());
+
+    const tasks = this.getAllTasks().filter(task => {
+      if (criteria.due && !this.matchesDueView(task, criteria.due, today)) return false;
+      if (status === "pending" && task.isCompleted) return false;
+      if (status === "completed" && !task.isCompleted) return false;
+      if (tag && !(task.tags || []).includes(tag)) return false;
+      if (criteria.project !== undefined && (task.project || null) !== criteria.project) {
+        return false;
+      }
+      if (criteria.from !== undefined && task.createdAt < criteria.from) return false;
+      if (criteria.to !== undefined && task.createdAt >= criteria.to) return false;
 
-    // 预设按钮
-    presetBtns.forEach(btn => {
-      btn.addEventListener("click", () => {
-        // 移除其他按钮的选中状态
-        presetBtns.forEach(b => b.classList.remove("selected"));
-        // 选中当前按钮
-        btn.classList.add("selected");
-        // 设置输入值
-        const minutes = parseFloat(btn.dataset.minutes);
-        timeInput.value = minutes;
-      });
+      if (text && !this.matchesText(task, text)) return false;
+      return true;
     });
 
-    // 输入框变化时取消预设选择
-    timeInput.addEventListener("input", () => {
-      presetBtns.forEach(btn => btn.classList.remove("selected"));
-      // 找到匹配的预设按钮并选中
-      const value = parseFloat(timeInput.value);
-      const matchingBtn = Array.from(presetBtns).find(btn => parseFloat(btn.dataset.minutes) === value);
-      if (matchingBtn) {
-        matchingBtn.classList.add("selected");
-      }
-    });
+    // 日程视图按截止日期排序，同一天内保持原有顺序（sort 是稳定的）
+    if (criteria.due) {
+      tasks.sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+    }
+    return tasks;
+  }
 
-    // 回车键确认
-    timeInput.addEventListener("keydown", (e) => {
-      if (e.key === "Enter") {
-        this.confirmExtendTime();
-      }
-    });
+  /**
+   * 标题、项目、标签、检查项或备注是否包含关键字
+   * @param {Task} task - 任务对象
+   * @param {string} text - 小写关键字
+   * @returns {boolean}
+   */
+  matchesText(task, text) {
+    const haystack = [
+      task.title,
+      task.project || "",
+      ...(task.tags || []),
+      ...(task.checklist || []).map(item => item.title),
+      task.notes || "",
+    ].join("\n").toLowerCase();
+    return haystack.includes(text);
   }
 
   /**
-   * 显示时间修改模态框
+   * 判断任务是否属于日程视图
+   * @param {Task} task - 任务对象
+   * @param {string} view - "today" | "upcoming" | "overdue"
+   * @param {string} today - 今天的日期（YYYY-MM-DD）
+   * @returns {boolean}
    */
-  showTimeModificationModal() {
-    const modal = this.container.querySelector("#time-modify-modal");
-    const timeInput = this.container.querySelector("#time-input");
-    const presetBtns = this.container.querySelectorAll(".preset-btn");
-    
-    if (!this.timerService) return;
+  matchesDueView(task, view, today) {
+    if (!task.dueDate) return false;
+
+    switch (view) {
+      case "today":
+        return task.dueDate === today;
+      case "upcoming":
+        return task.dueDate > today && !task.isCompleted;
+      case "overdue":
+        return task.dueDate < today && !task.isCompleted;
+      default:
+        return true;
+    }
+  }
 
-    // 设置当前时间为默认值
-    const currentMinutes = Math.ceil(this.timerService.totalSeconds / 60);
-    timeInput.value = currentMinutes;
+  /**
+   * 各日程视图的任务数
+   * @returns {{today: number, upcoming: number, overdue: number}}
+   */
+  getDueCounts() {
+    const today = this.getDateKey(Date.now());
+    const counts = { today: 0, upcoming: 0, overdue: 0 };
 
-    // 检查是否有匹配的预设按钮
-    presetBtns.forEach(btn => {
-      btn.classList.remove("selected");
-      if (parseInt(btn.dataset.minutes) === currentMinutes) {
-        btn.classList.add("selected");
+    for (const task of this.tasks.values()) {
+      for (const view of Object.keys(counts)) {
+        if (this.matchesDueView(task, view, today)) counts[view]++;
       }
-    });
-
-    // 显示模态框
-    modal.classList.remove("hidden");
-    
-    // 聚焦输入框
-    setTimeout(() => {
-      timeInput.focus();
-      timeInput.select();
-    }, 100);
+    }
+    return counts;
   }
 
   /**
-   * 隐藏时间修改模态框
+   * 所有标签及其任务数，按任务数降序
+   * @returns {Array<{tag: string, count: number}>}
    */
-  hideTimeModificationModal() {
-    const modal = this.container.querySelector("#time-modify-modal");
-    modal.classList.add("hidden");
+  getAllTags() {
+    const counts = new Map();
+    for (const task of this.tasks.values()) {
+      for (const tag of task.tags || []) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+    }
+    return Array.from(counts, ([tag, count]) => ({ tag, count })).sort(
+      (a, b) => b.count - a.count || a.tag.localeCompare(b.tag)
+    );
   }
 
   /**
-   * 检查时间修改模态框是否可见
+   * 所有项目名，按名称排序
+   * @returns {Array<string>}
    */
-  isTimeModalVisible() {
-    const modal = this.container.querySelector("#time-modify-modal");
-    return modal && !modal.classList.contains("hidden");
+  getAllProjects() {
+    const projects = new Set();
+    for (const task of this.tasks.values()) {
+      if (task.project) projects.add(task.project);
+    }
+    return Array.from(projects).sort((a, b) => a.localeCompare(b));
   }
 
   /**
-   * 处理时间修改
+   * 调整待完成任务的顺序
+   * @param {string} taskId - 任务ID
+   * @param {number} newIndex - 在待完成任务列表中的目标位置（从0开始）
+   * @returns {Promise<boolean>} 是否调整成功（已完成的任务不参与手动排序）
    */
-  handleTimeModification() {
-    const timeInput = this.container.querySelector("#time-input");
-    const minutes = parseFloat(timeInput.value);
+  async reorderTask(taskId, newIndex) {
+    const task = this.tasks.get(taskId);
+    if (!task || task.isCompleted) {
+      console.warn(`[TaskManager] Pending task not found: ${taskId}`);
+      return false;
+    }
 
-    // 验证输入
-    if (isNaN(minutes) || minutes < 0.1 || minutes > 120) {
-      alert("请输入有效的时间（0.1-120分钟）");
-      timeInput.focus();
-      return;
-    }
+    const pending = this.getAllTasks().filter(t => !t.isCompleted);
+    const oldIndex = pending.indexOf(task);
+    const targetIndex = Math.max(0, Math.min(pending.length - 1, Math.trunc(newIndex) || 0));
+    if (oldIndex === targetIndex) return true;
 
-    // 转换为秒并向上取整
-    const seconds = Math.ceil(minutes * 60);
+    pending.splice(oldIndex, 1);
+    pending.splice(targetIndex, 0, task);
+    pending.forEach((t, index) => {
+      t.order = index;
+    });
+    await this.saveTasks();
 
-    // 调用TimerService修改时间
-    if (this.timerService && this.timerService.modifyTimer(seconds)) {
-      this.hideTimeModificationModal();
-      console.log(`[FocusPage] Timer modified to ${minutes} minutes`);
-    } else {
-      alert("修改时间失败，请重试");
-    }
+    console.log(`[TaskManager] Moved "${task.title}": ${oldIndex} -> ${targetIndex}`);
+    this.notifyObservers("taskReordered", { task, oldIndex, newIndex: targetIndex });
+    return true;
   }
 
-  /**
-   * 绑定计时器管理器事件
-   */
-  bindTimerService() {
-    if (!this.timerService) return;
-
-    this.timerService.addObserver(this.boundObserverCallback);
+  getTaskById(taskId) {
+    return this.tasks.get(taskId) || null;
   }
 
-  /**
-   * 解绑计时器管理器事件
-   */
-  unbindTimerService() {
-    if (!this.timerService) return;
+  getPendingTasks() {
+    return Array.from(this.tasks.values()).filter(task => !task.isCompleted);
+  }
 
-    this.timerService.removeObserver(this.boundObserverCallback);
+  getCompletedTasks() {
+    return Array.from(this.tasks.values()).filter(task => task.isCompleted);
   }
 
-  /**
-   * 处理计时器事件
-   * @param {string} event - 事件类型
-   * @param {Object} data - 事件数据
-   */
-  handleTimerEvent(event, data) {
-    switch (event) {
-      case "timerStarted":
-        this.onTimerStarted(data);
-        break;
-      case "timerTick":
-        this.onTimerTick(data);
-        break;
-      case "timerPaused":
-        this.onTimerPaused(data);
-        break;
-      case "timerResumed":
-        this.onTimerResumed(data);
-        break;
-      case "timerCompleted":
-        this.onTimerCompleted(data);
-        break;
-      case "timerStopped":
-        this.onTimerStopped(data);
-        break;
-      case "timerModified":
-        this.onTimerModified(data);
-        break;
+  async updateTaskTitle(taskId, newTitle) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      console.warn(`[TaskManager] Task not found: ${taskId}`);
+      return false;
     }
-  }
 
-  /**
-   * 处理计时器开始事件
-   * @param {Object} data - 事件数据
-   */
-  onTimerStarted(data) {
-    this.updateTaskInfo(data.taskTitle);
-    this.updateCountdown(data.remainingSeconds, data.totalSeconds);
-    this.updateStatus("专注中", "running");
-    this.updateProgress(0);
-    this.show();
-    this.showActionButtons(true);
-    
-    // 确保完成按钮在计时器开始时被隐藏
-    this.hideCompletionButtons();
-    
-    console.log("[FocusPage] Timer started, showing focus page");
-  }
+    if (!newTitle?.trim()) {
+      throw new Error("Task title is required and must be a non-empty string");
+    }
 
-  /**
-   * 处理计时器更新事件
-   * @param {Object} data - 事件数据
-   */
-  onTimerTick(data) {
-    this.updateCountdown(data.remainingSeconds, data.totalSeconds);
-    this.updateProgress(data.progress);
-    this.updateHint(data.remainingSeconds);
-  }
+    const oldTitle = task.title;
+    task.title = newTitle.trim();
+    await this.saveTasks();
 
-  /**
-   * 处理计时器暂停事件
-   * @param {Object} data - 事件数据
-   */
-  onTimerPaused(data) {
-    this.updateStatus("已暂停", "paused");
-    this.updateActionButtons("paused");
+    console.log(`[TaskManager] Updated task title: "${oldTitle}" -> "${task.title}"`);
+    this.notifyObservers("taskUpdated", { task, field: "title", oldValue: oldTitle });
+    return true;
   }
 
-  /**
-   * 处理计时器恢复事件
-   * @param {Object} data - 事件数据
-   */
-  onTimerResumed(data) {
-    this.updateStatus("专注中", "running");
-    this.updateActionButtons("running");
-  }
+  async updateTaskEstimate(taskId, estimatedPomodoros) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      console.warn(`[TaskManager] Task not found: ${taskId}`);
+      return false;
+    }
 
-  /**
-   * 处理计时器完成事件
-   * @param {Object} data - 事件数据
-   */
-  onTimerCompleted(data) {
-    this.updateStatus("已完成 🎉", "completed");
-    this.updateHint(0);
-    this.showCompletionMessage(data.taskTitle);
-    
-    // 显示完成后的操作按钮
-    this.showCompletionButtons();
-    
-    console.log("[FocusPage] Timer completed, showing completion buttons");
-  }
+    const oldEstimate = task.estimatedPomodoros ?? null;
+    task.estimatedPomodoros = this.normalizeEstimate(estimatedPomodoros);
+    await this.saveTasks();
 
-  /**
-   * 处理计时器停止事件
-   * @param {Object} data - 事件数据
-   */
-  onTimerStopped(data) {
-    this.hide();
-    console.log("[FocusPage] Timer stopped, hiding focus page");
+    console.log(
+      `[TaskManager] Updated estimate for "${task.title}": ${oldEstimate} -> ${task.estimatedPomodoros}`,
+    );
+    this.notifyObservers("taskUpdated", {
+      task,
+      field: "estimatedPomodoros",
+      oldValue: oldEstimate,
+    });
+    return true;
   }
 
-  /**
-   * 处理计时器修改事件
-   * @param {Object} data - 事件数据
-   */
-  onTimerModified(data) {
-    this.updateCountdown(data.remainingSeconds, data.totalSeconds);
-    this.updateProgress(0); // 重置进度条
-    this.updateHint(data.remainingSeconds);
-    
-    console.log(`[FocusPage] Timer modified from ${data.oldDuration}s to ${data.newDuration}s`);
+  async updateTaskFocusDuration(taskId, focusDuration) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      console.warn(`[TaskManager] Task not found: ${taskId}`);
+      return false;
+    }
+
+    const oldDuration = task.focusDuration ?? null;
+    task.focusDuration = this.normalizeFocusDuration(focusDuration);
+    await this.saveTasks();
+
+    console.log(
+      `[TaskManager] Updated focus duration for "${task.title}": ${oldDuration} -> ${task.focusDuration}`,
+    );
+    this.notifyObservers("taskUpdated", {
+      task,
+      field: "focusDuration",
+      oldValue: oldDuration,
+    });
+    return true;
   }
 
-  /**
-   * 更新任务信息
-   * @param {string} taskTitle - 任务标题
-   */
-  updateTaskInfo(taskTitle) {
-    if (this.taskTitleElement) {
-      this.taskTitleElement.textContent = taskTitle || "未知任务";
+  async updateTaskNotes(taskId, notes) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      console.warn(`[TaskManager] Task not found: ${taskId}`);
+      return false;
     }
-  }
 
-  /**
-   * 更新倒计时显示
-   * @param {number} remainingSeconds - 剩余秒数
-   * @param {number} totalSeconds - 总秒数
-   */
-  updateCountdown(remainingSeconds, totalSeconds = null) {
-    if (!this.countdownElement) return;
+    const oldNotes = task.notes ?? null;
+    task.notes = this.normalizeNotes(notes);
+    await this.saveTasks();
 
-    const timeStr = this.formatTime(remainingSeconds);
-    this.countdownElement.textContent = timeStr;
+    console.log(`[TaskManager] Updated notes for "${task.title}"`);
+    this.notifyObservers("taskUpdated", { task, field: "notes", oldValue: oldNotes });
+    return true;
+  }
 
-    // 添加时间警告样式
-    if (remainingSeconds <= 300) { // 最后5分钟
-      this.countdownElement.classList.add("warning");
-    } else {
-      this.countdownElement.classList.remove("warning");
+  async updateTaskSchedule(taskId, { dueDate, reminderAt, recurrence } = {}) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      console.warn(`[TaskManager] Task not found: ${taskId}`);
+      return false;
     }
 
-    if (remainingSeconds <= 60) { // 最后1分钟
-      this.countdownElement.classList.add("urgent");
-    } else {
-      this.countdownElement.classList.remove("urgent");
+    const oldValue = {
+      dueDate: task.dueDate ?? null,
+      reminderAt: task.reminderAt ?? null,
+      recurrence: task.recurrence ?? null,
+    };
+    if (dueDate !== undefined) task.dueDate = this.normalizeDueDate(dueDate);
+    if (recurrence !== undefined) {
+      task.recurrence = this.normalizeRecurrence(recurrence, task.dueDate);
+      if (task.recurrence && !task.seriesId) task.seriesId = task.id;
     }
+    if (reminderAt !== undefined) {
+      task.reminderAt = this.normalizeReminder(reminderAt);
+      // 修改提醒时间后重新提醒
+      if (task.reminderAt !== oldValue.reminderAt) task.reminderSent = false;
+    }
+    await this.saveTasks();
+
+    console.log(`[TaskManager] Updated schedule for "${task.title}"`);
+    this.notifyObservers("taskUpdated", { task, field: "schedule", oldValue });
+    return true;
   }
 
-  /**
-   * 更新状态显示
-   * @param {string} statusText - 状态文本
-   * @param {string} statusClass - 状态样式类
-   */
-  updateStatus(statusText, statusClass) {
-    if (!this.statusElement) return;
+  async markReminderSent(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      console.warn(`[TaskManager] Task not found: ${taskId}`);
+      return false;
+    }
 
-    this.statusElement.textContent = statusText;
-    this.statusElement.className = `focus-status ${statusClass}`;
+    task.reminderSent = true;
+    const saved = await this.saveTasks();
+    this.notifyObservers("taskUpdated", { task, field: "reminderSent", oldValue: false });
+    return saved;
   }
 
-  /**
-   * 更新进度条
-   * @param {number} progress - 进度（0-1）
-   */
-  updateProgress(progress) {
-    if (!this.progressElement) return;
+  async updateTaskPriority(taskId, priority) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      console.warn(`[TaskManager] Task not found: ${taskId}`);
+      return false;
+    }
 
-    const percentage = Math.min(100, Math.max(0, progress * 100));
-    this.progressElement.style.width = `${percentage}%`;
+    const oldPriority = task.priority ?? null;
+    task.priority = this.normalizePriority(priority);
+    await this.saveTasks();
+
+    console.log(`[TaskManager] Updated priority for "${task.title}": ${oldPriority} -> ${task.priority}`);
+    this.notifyObservers("taskUpdated", { task, field: "priority", oldValue: oldPriority });
+    return true;
   }
 
-  /**
-   * 更新提示信息
-   * @param {number} remainingSeconds - 剩余秒数
-   */
-  updateHint(remainingSeconds) {
-    const hintElement = this.container.querySelector(".focus-hint");
-    if (!hintElement) return;
+  async updateTaskLabels(taskId, { project, tags } = {}) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      console.warn(`[TaskManager] Task not found: ${taskId}`);
+      return false;
+    }
 
-    let hintText = "保持专注，距离完成还有一段时间";
+    const oldValue = { project: task.project ?? null, tags: task.tags || [] };
+    if (project !== undefined) task.project = this.normalizeProject(project);
+    if (tags !== undefined) task.tags = this.normalizeTags(tags);
+    await this.saveTasks();
 
-    if (remainingSeconds <= 0) {
-      hintText = "恭喜！本次专注时间已完成 🎉";
-    } else if (remainingSeconds <= 60) {
-      hintText = "最后冲刺！还有不到1分钟";
-    } else if (remainingSeconds <= 300) {
-      hintText = "进入最后阶段，坚持住！";
-    } else if (remainingSeconds <= 900) {
-      hintText = "已经过半，继续保持专注";
+    console.log(`[TaskManager] Updated labels for "${task.title}"`);
+    this.notifyObservers("taskUpdated", { task, field: "labels", oldValue });
+    return true;
+  }
+
+  async toggleTaskCompletion(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      console.warn(`[TaskManager] Task not found: ${taskId}`);
+      return false;
     }
 
-    hintElement.textContent = hintText;
-  }
+    const wasCompleted = task.isCompleted;
+    task.isCompleted = !task.isCompleted;
+    task.completedAt = task.isCompleted ? Date.now() : null;
 
-  /**
-   * 显示完成消息
-   * @param {string} taskTitle - 任务标题
-   */
-  showCompletionMessage(taskTitle) {
-    const messageElement = this.container.querySelector(".focus-hint");
-    if (messageElement) {
-      // 清空现有内容
-      messageElement.innerHTML = '';
-      
-      // 创建完成消息容器
-      const completionDiv = document.createElement('div');
-      completionDiv.className = 'completion-message';
-      
-      // 创建图标元素
-      const iconDiv = document.createElement('div');
-      iconDiv.className = 'completion-icon';
-      iconDiv.textContent = '🍅';
-      completionDiv.appendChild(iconDiv);
-      
-      // 创建文本元素
-      const textDiv = document.createElement('div');
-      textDiv.className = 'completion-text';
-      textDiv.textContent = '专注时间完成！';
-      completionDiv.appendChild(textDiv);
-      
-      // 创建任务标题元素（使用textContent防止XSS）
-      const taskDiv = document.createElement('div');
-      taskDiv.className = 'completion-task';
-      taskDiv.textContent = taskTitle || '';
-      completionDiv.appendChild(taskDiv);
-      
-      messageElement.appendChild(completionDiv);
+    // 重复任务完成后生成下一次实例（取消完成再完成不会重复生成）
+    const nextTask =
+      task.isCompleted && task.recurrence && !task.nextInstanceId
+        ? this.createNextInstance(task)
+        : null;
+
+    await this.saveTasks();
+
+    const action = task.isCompleted ? "completed" : "uncompleted";
+    console.log(`[TaskManager] Task ${action}: ${task.title}`);
+    this.notifyObservers("taskToggled", { task, wasCompleted });
+    if (task.isCompleted && this.eventBus) {
+      this.eventBus.emit(EventBus.EVENTS.TASK_COMPLETED, { task });
     }
+
+    if (nextTask) {
+      console.log(`[TaskManager] Created next recurring task due ${nextTask.dueDate}`);
+      this.notifyObservers("taskCreated", { task: nextTask, previousTaskId: task.id });
+    }
+    return true;
   }
 
   /**
-   * 显示/隐藏操作按钮
-   * @param {boolean} show - 是否显示
+   * 为已完成的重复任务生成下一次实例（调用方负责保存）
+   * 新实例沿用标题、标签、优先级和预估，检查项重置为未完成，番茄钟数从0开始
+   * @param {Task} task - 刚完成的重复任务
+   * @returns {Task} 新实例
    */
-  showActionButtons(show) {
-    // 只选择常规操作按钮，排除完成后的操作按钮
-    const regularButtons = this.container.querySelectorAll("#pause-btn, #resume-btn, #modify-time-btn, #stop-btn");
-    regularButtons.forEach(btn => {
-      btn.classList.toggle("hidden", !show);
-    });
+  createNextInstance(task) {
+    const today = this.getDateKey(Date.now());
+    const dueDate = this.getNextOccurrence(task.recurrence, task.dueDate || today, today);
+
+    // 提醒时间随截止日期顺延相同的天数
+    let reminderAt = null;
+    if (task.reminderAt) {
+      const fromDate = task.dueDate || this.getDateKey(task.reminderAt);
+      reminderAt = task.reminderAt + this.getDaysBetween(fromDate, dueDate) * 86400000;
+    }
 
-    if (show) {
-      this.updateActionButtons("running");
+    const now = Date.now();
+    const nextTask = {
+      id: this.generateTaskId(now),
+      title: task.title,
+      isCompleted: false,
+      createdAt: now,
+      completedAt: null,
+      pomodoroCount: 0,
+      order: task.order ?? this.getNextOrder(),
+      priority: task.priority ?? null,
+      estimatedPomodoros: task.estimatedPomodoros ?? null,
+      focusDuration: task.focusDuration ?? null,
+      notes: task.notes ?? null,
+      project: task.project ?? null,
+      tags: (task.tags || []).slice(),
+      dueDate,
+      reminderAt,
+      reminderSent: false,
+      recurrence: { ...task.recurrence },
+      seriesId: task.seriesId || task.id,
+    };
+    if (task.checklist) {
+      nextTask.checklist = task.checklist.map((item, index) => ({
+        id: `${now}-${index}-${Math.random().toString(36).slice(2, 8)}`,
+        title: item.title,
+        isCompleted: false,
+      }));
     }
+
+    task.nextInstanceId = nextTask.id;
+    this.tasks.set(nextTask.id, nextTask);
+    return nextTask;
   }
 
   /**
-   * 更新操作按钮状态
-   * @param {string} status - 计时器状态
+   * 计算重复规则的下一个日期：严格晚于 fromDate，且不早于 today
+   * @param {Object} recurrence - 重复规则
+   * @param {string} fromDate - 起算日期（YYYY-MM-DD）
+   * @param {string} today - 今天（YYYY-MM-DD）
+   * @returns {string} 下一个日期（YYYY-MM-DD）
    */
-  updateActionButtons(status) {
-    const pauseBtn = this.container.querySelector("#pause-btn");
-    const resumeBtn = this.container.querySelector("#resume-btn");
-    const modifyTimeBtn = this.container.querySelector("#modify-time-btn");
-    const stopBtn = this.container.querySelector("#stop-btn");
+  getNextOccurrence(recurrence, fromDate, today) {
+    const [year, month, day] = fromDate.split("-").map(Number);
+    const date = new Date(year, month - 1, day);
+
+    if (recurrence.type === "monthly") {
+      let monthIndex = date.getMonth();
+      let next;
+      do {
+        monthIndex++;
+        // 按原定日期计算，月份天数不足时取月末（如1月31日 -> 2月28日）
+        const lastDay = new Date(date.getFullYear(), monthIndex + 1, 0).getDate();
+        next = new Date(date.getFullYear(), monthIndex, Math.min(recurrence.dayOfMonth, lastDay));
+      } while (this.getDateKey(next.getTime()) < today);
+      return this.getDateKey(next.getTime());
+    }
 
-    switch (status) {
-      case "running":
-        pauseBtn.classList.remove("hidden");
-        resumeBtn.classList.add("hidden");
-        modifyTimeBtn.classList.remove("hidden");
-        stopBtn.classList.remove("hidden");
-        break;
-      case "paused":
-        pauseBtn.classList.add("hidden");
-        resumeBtn.classList.remove("hidden");
-        modifyTimeBtn.classList.remove("hidden");
-        stopBtn.classList.remove("hidden");
-        break;
+    do {
+      date.setDate(date.getDate() + 1);
+    } while (
+      !this.matchesRecurrenceDay(recurrence, date.getDay()) ||
+      this.getDateKey(date.getTime()) < today
+    );
+    return this.getDateKey(date.getTime());
+  }
+
+  matchesRecurrenceDay(recurrence, weekday) {
+    switch (recurrence.type) {
+      case "weekdays":
+        return weekday >= 1 && weekday <= 5;
+      case "weekly":
+        return recurrence.days.includes(weekday);
       default:
-        pauseBtn.classList.add("hidden");
-        resumeBtn.classList.add("hidden");
-        modifyTimeBtn.classList.add("hidden");
-        stopBtn.classList.add("hidden");
+        return true;
     }
   }
 
+  getDaysBetween(fromDate, toDate) {
+    const toTime = (key) => {
+      const [year, month, day] = key.split("-").map(Number);
+      return new Date(year, month - 1, day).getTime();
+    };
+    return Math.round((toTime(toDate) - toTime(fromDate)) / 86400000);
+  }
+
   /**
-   * 显示专注页面
+   * 同一重复系列的所有任务（按创建时间升序）
+   * @param {string} seriesId - 系列ID
+   * @returns {Array<Task>}
    */
-  show() {
-    if (!this.container) return;
+  getSeriesTasks(seriesId) {
+    return [...this.tasks.values(), ...this.archive.values()]
+      .filter(task => task.seriesId === seriesId)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
 
-    this.container.classList.remove("hidden");
-    this.isVisible = true;
+  async deleteTask(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      console.warn(`[TaskManager] Task not found: ${taskId}`);
+      return false;
+    }
 
-    // 添加显示动画
-    setTimeout(() => {
-      this.container.classList.add("show");
-    }, 10);
+    // 先写回收站再删任务，保存中断时最多出现重复而不会丢失任务
+    this.trash.set(taskId, { task, deletedAt: Date.now(), reason: "deleted" });
+    await this.saveTrash();
+    this.tasks.delete(taskId);
+    await this.saveTasks();
 
-    // 阻止页面滚动
-    document.body.style.overflow = "hidden";
+    console.log(`[TaskManager] Moved task to trash: ${task.title}`);
+    this.notifyObservers("taskDeleted", { task, trashed: true });
+    return true;
   }
 
-  /**
-   * 隐藏专注页面
-   */
-  hide() {
-    if (!this.container) return;
+  async incrementPomodoroCount(taskId, count = 1) {
+    // 专注期间任务可能被移入回收站或归档，番茄钟仍记到该任务上
+    const task = this.findStoredTask(taskId);
+    if (!task) {
+      console.warn(`[TaskManager] Task not found: ${taskId}`);
+      return false;
+    }
 
-    this.container.classList.remove("show");
-    this.isVisible = false;
+    const oldCount = task.pomodoroCount;
+    task.pomodoroCount += count;
+    if (this.tasks.has(taskId)) {
+      await this.saveTasks();
+    } else if (this.trash.has(taskId)) {
+      await this.saveTrash();
+    } else {
+      await this.saveArchive();
+    }
 
-    // 动画完成后隐藏
-    setTimeout(() => {
-      this.container.classList.add("hidden");
-      document.body.style.overflow = "";
-      this.reset();
-    }, 300);
+    console.log(
+      `[TaskManager] Updated pomodoro count for "${task.title}": ${oldCount} -> ${task.pomodoroCount}`,
+    );
+    this.notifyObservers("pomodoroUpdated", { task, oldCount });
+    return true;
+  }
+
+  // === 检查项（子任务） ===
+
+  async addChecklistItem(taskId, title) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      console.warn(`[TaskManager] Task not found: ${taskId}`);
+      return null;
+    }
+
+    if (!title?.trim()) {
+      throw new Error("Checklist item title is required and must be a non-empty string");
+    }
+    if (title.trim().length > 200) {
+      throw new Error("Checklist item title must be 200 characters or less");
+    }
+
+    const item = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      title: title.trim(),
+      isCompleted: false,
+    };
+
+    task.checklist = (task.checklist || []).concat(item);
+    await this.saveTasks();
+
+    console.log(`[TaskManager] Added checklist item to "${task.title}": ${item.title}`);
+    this.notifyObservers("checklistUpdated", { task, item, action: "added" });
+    return item;
+  }
+
+  async toggleChecklistItem(taskId, itemId) {
+    const task = this.tasks.get(taskId);
+    const item = task?.checklist?.find(entry => entry.id === itemId);
+    if (!item) {
+      console.warn(`[TaskManager] Checklist item not found: ${taskId}/${itemId}`);
+      return false;
+    }
+
+    item.isCompleted = !item.isCompleted;
+    await this.saveTasks();
+
+    this.notifyObservers("checklistUpdated", { task, item, action: "toggled" });
+    return true;
+  }
+
+  async removeChecklistItem(taskId, itemId) {
+    const task = this.tasks.get(taskId);
+    const item = task?.checklist?.find(entry => entry.id === itemId);
+    if (!item) {
+      console.warn(`[TaskManager] Checklist item not found: ${taskId}/${itemId}`);
+      return false;
+    }
+
+    task.checklist = task.checklist.filter(entry => entry.id !== itemId);
+    await this.saveTasks();
+
+    console.log(`[TaskManager] Removed checklist item from "${task.title}": ${item.title}`);
+    this.notifyObservers("checklistUpdated", { task, item, action: "removed" });
+    return true;
   }
 
   /**
-   * 重置页面状态
+   * 检查项完成进度
+   * @returns {{done: number, total: number}}
    */
-  reset() {
-    this.updateTaskInfo("准备开始专注...");
-    this.updateCountdown(1500); // 重置为25分钟
-    this.updateStatus("就绪", "idle");
-    this.updateProgress(0);
-    this.showActionButtons(false);
-    
-    // 确保完成按钮也被隐藏
-    this.hideCompletionButtons();
-    
-    // 重置提示
-    const hintElement = this.container.querySelector(".focus-hint");
-    if (hintElement) {
-      hintElement.textContent = "保持专注，距离完成还有一段时间";
+  getChecklistProgress(taskId) {
+    const checklist = this.tasks.get(taskId)?.checklist || [];
+    return {
+      done: checklist.filter(item => item.isCompleted).length,
+      total: checklist.length,
+    };
+  }
+
+  async clearCompletedTasks() {
+    const completed = this.getCompletedTasks();
+    if (completed.length > 0) {
+      const deletedAt = Date.now();
+      completed.forEach(task =>
+        this.trash.set(task.id, { task, deletedAt, reason: "clearedCompleted" })
+      );
+      await this.saveTrash();
+      completed.forEach(task => this.tasks.delete(task.id));
+      await this.saveTasks();
+      console.log(`[TaskManager] Cleared ${completed.length} completed tasks`);
+      this.notifyObservers("completedTasksCleared", { count: completed.length });
     }
+    return completed.length;
   }
 
   /**
-   * 格式化时间显示
-   * @param {number} seconds - 秒数
-   * @returns {string} 格式化的时间 (MM:SS)
+   * 任务统计：total/completed/pending 只计活动列表，
+   * 完成率、番茄钟数和平均值同时计入已归档的任务
    */
-  formatTime(seconds) {
-    const minutes = Math.floor(seconds / 60);
-    const secs = seconds % 60;
-    return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  getStatistics(options = {}) {
+    const total = this.tasks.size;
+    const completed = this.getCompletedTasks().length;
+    const pending = total - completed;
+    const archived = this.archive.size;
+    const sumPomodoros = tasks => tasks.reduce((sum, task) => sum + task.pomodoroCount, 0);
+    const taskPomodoros = sumPomodoros(Array.from(this.tasks.values()));
+    const archivedPomodoros = sumPomodoros(Array.from(this.archive.values()));
+    // 回收站中任务的番茄钟已经投入，仍计入总数
+    const trashedPomodoros = sumPomodoros(this.getTrashedTasks().map(entry => entry.task));
+    const allTotal = total + archived;
+
+    return {
+      total,
+      completed,
+      pending,
+      archived,
+      completionRate: allTotal > 0 ? (((completed + archived) / allTotal) * 100).toFixed(1) : 0,
+      totalPomodoros: taskPomodoros + archivedPomodoros + trashedPomodoros,
+      archivedPomodoros,
+      trashedPomodoros,
+      averagePomodoros:
+        allTotal > 0 ? ((taskPomodoros + archivedPomodoros) / allTotal).toFixed(1) : 0,
+      estimation: this.getEstimationStatistics(),
+      ...(options.groupBy === "project" && { byProject: this.getProjectStatistics() }),
+    };
   }
 
   /**
-   * 检查页面是否可见
-   * @returns {boolean} 是否可见
+   * 按项目分组的任务统计，未分配项目的任务归入 project: null
+   * 已归档的任务按已完成计入，回收站中的任务只计入番茄钟数
+   * @returns {Array<Object>} {project, total, completed, pomodoros}，按番茄钟数降序
    */
-  isPageVisible() {
-    return this.isVisible;
+  getProjectStatistics() {
+    const groups = new Map();
+    const getGroup = (task) => {
+      const project = task.project || null;
+      if (!groups.has(project)) {
+        groups.set(project, { project, total: 0, completed: 0, pomodoros: 0 });
+      }
+      return groups.get(project);
+    };
+
+    for (const task of [...this.tasks.values(), ...this.archive.values()]) {
+      const group = getGroup(task);
+      group.total++;
+      if (task.isCompleted) group.completed++;
+      group.pomodoros += task.pomodoroCount;
+    }
+    for (const { task } of this.trash.values()) {
+      if (task.pomodoroCount > 0) {
+        getGroup(task).pomodoros += task.pomodoroCount;
+      }
+    }
+
+    return Array.from(groups.values()).sort(
+      (a, b) => b.pomodoros - a.pomodoros || b.total - a.total
+    );
   }
 
   /**
-   * 显示完成后的操作按钮
+   * 已完成任务的预估准确度
+   * 单个任务准确度 = min(预估, 实际) / max(预估, 实际)，没有专注记录的任务不计入
    */
-  showCompletionButtons() {
-    const completeBtn = this.container.querySelector("#complete-btn");
-    const cancelBtn = this.container.querySelector("#cancel-complete-btn");
-    const extendBtn = this.container.querySelector("#extend-time-btn");
-    
-    // 隐藏其他按钮
-    this.showActionButtons(false);
-    
-    // 显示完成操作按钮
-    completeBtn.classList.remove("hidden");
-    cancelBtn.classList.remove("hidden");
-    extendBtn.classList.remove("hidden");
+  getEstimationStatistics() {
+    const samples = [...this.getCompletedTasks(), ...this.archive.values()].filter(
+      task => task.estimatedPomodoros > 0 && task.pomodoroCount > 0
+    );
+
+    const totalEstimated = samples.reduce((sum, task) => sum + task.estimatedPomodoros, 0);
+    const totalActual = samples.reduce((sum, task) => sum + task.pomodoroCount, 0);
+    const ratioSum = samples.reduce(
+      (sum, task) =>
+        sum +
+        Math.min(task.estimatedPomodoros, task.pomodoroCount) /
+          Math.max(task.estimatedPomodoros, task.pomodoroCount),
+      0
+    );
+
+    return {
+      taskCount: samples.length,
+      totalEstimated,
+      totalActual,
+      overrunCount: samples.filter(task => task.pomodoroCount > task.estimatedPomodoros).length,
+      accuracy: samples.length > 0 ? Math.round((ratioSum / samples.length) * 100) : null,
+    };
   }
 
+  // === 纯文本导入 ===
+
   /**
-   * 隐藏完成后的操作按钮
+   * 解析一行任务文本中的标记：#标签、+项目、~预估番茄钟数
+   * 标记需以空白分隔；以数字开头的 #、+ 视为标题的一部分（如 "#1"）
+   * @param {string} text - 任务文本
+   * @returns {Object} {title, project, tags, estimatedPomodoros}
    */
-  hideCompletionButtons() {
-    const completeBtn = this.container.querySelector("#complete-btn");
-    const cancelBtn = this.container.querySelector("#cancel-complete-btn");
-    const extendBtn = this.container.querySelector("#extend-time-btn");
-    
-    completeBtn.classList.add("hidden");
-    cancelBtn.classList.add("hidden");
-    extendBtn.classList.add("hidden");
+  parseTaskLine(text) {
+    const tags = [];
+    let project = null;
+    let estimatedPomodoros = null;
+
+    const title = text
+      .replace(/(^|\s)~(\d+)(?=\s|$)/g, (match, space, estimate) => {
+        estimatedPomodoros = Number(estimate);
+        return space;
+      })
+      .replace(/(^|\s)([#+])([^\s#+\d][^\s]*)/g, (match, space, marker, name) => {
+        if (marker === "#") {
+          tags.push(name);
+        } else {
+          project = name;
+        }
+        return space;
+      })
+      .replace(/\s+/g, " ")
+      .trim();
+
+    return { title, project, tags, estimatedPomodoros };
   }
 
   /**
-   * 处理任务完成
+   * 从纯文本列表导入任务，每行一个任务
+   * 忽略空行，并去掉 "- "、"* "、"- [ ] "、"1. " 等列表前缀；
+   * 每个任务都按 createTask 的规则校验，无效的行记录到 errors 中而不中断导入，
+   * 有效的任务通过 addImportedTasks 一次写入
+   * @param {string} text - 纯文本内容
+   * @returns {Promise<Object>} {created: Task[], errors: [{line, text, message}]}
    */
-  async handleTaskComplete() {
-    const taskInfo = this.timerService.getTaskInfo();
-    if (this.taskManager && taskInfo && taskInfo.taskId) {
+  async importTasksFromText(text) {
+    const tasks = [];
+    const errors = [];
+    const lines = String(text || "").split(/\r?\n/);
+
+    for (let index = 0; index < lines.length; index++) {
+      const content = lines[index]
+        .replace(/^\s*(?:[-*•]\s+(?:\[[ xX]\]\s+)?|\d+[.)]\s+)/, "")
+        .trim();
+      if (!content) continue;
+
       try {
-        const taskId = taskInfo.taskId;
-        // 标记任务为完成
-        await this.taskManager.toggleTaskCompletion(taskId);
-        // 增加番茄钟计数
-        await this.taskManager.incrementPomodoroCount(taskId);
-        console.log(`[FocusPage] Task marked as completed`);
-        
-        // 显示成功提示
-        this.updateStatus("任务已标记完成 ✅", "completed");
-        
-        // 1秒后隐藏页面
-        setTimeout(() => {
-          this.hide();
-        }, 1000);
+        const { title, ...options } = this.parseTaskLine(content);
+        tasks.push(this.buildTask(title, options));
       } catch (error) {
-        console.error("[FocusPage] Failed to complete task:", error);
+        errors.push({ line: index + 1, text: content, message: error.message });
       }
     }
-  }
 
-  /**
-   * 处理增加时间
-   */
-  handleExtendTime() {
-    const modal = this.container.querySelector("#extend-time-modal");
-    const input = this.container.querySelector("#extend-time-input");
-    input.value = 15; // 默认15分钟
-    modal.classList.remove("hidden");
-    
-    setTimeout(() => {
-      input.focus();
-      input.select();
-    }, 100);
+    const created = await this.addImportedTasks(tasks);
+    console.log(
+      `[TaskManager] Imported ${created.length} tasks from text (${errors.length} skipped)`,
+    );
+    return { created, errors };
   }
 
   /**
-   * 隐藏增加时间模态框
+   * 批量加入导入的任务（纯文本、Todo.txt），重新分配ID和排序值，只写入一次
+   * 已完成且超过归档天数的任务随后直接归档
+   * @param {Array<Task>} tasks - 已校验的任务
+   * @returns {Promise<Array<Task>>} 加入的任务
    */
-  hideExtendTimeModal() {
-    const modal = this.container.querySelector("#extend-time-modal");
-    modal.classList.add("hidden");
+  async addImportedTasks(tasks) {
+    if (tasks.length === 0) return [];
+
+    const now = Date.now();
+    const added = tasks.map(task => {
+      const imported = { ...task, id: this.generateTaskId(now), order: this.getNextOrder() };
+      this.tasks.set(imported.id, imported);
+      return imported;
+    });
+    await this.saveTasks();
+
+    console.log(`[TaskManager] Added ${added.length} imported tasks`);
+    this.notifyObservers("tasksImported", { tasks: added });
+    await this.archiveCompletedTasks();
+    return added;
   }
 
+  // === 回收站 ===
+
   /**
-   * 确认增加时间
+   * 获取回收站中的任务，最近删除的在前
+   * @returns {Array<Object>} {task, deletedAt, reason}
    */
-  async confirmExtendTime() {
-    const input = this.container.querySelector("#extend-time-input");
-    const minutes = parseFloat(input.value);
-    
-    if (isNaN(minutes) || minutes < 0.1 || minutes > 60) {
-      alert("请输入有效的时间（0.1-60分钟）");
-      input.focus();
-      return;
-    }
-    
-    const seconds = Math.ceil(minutes * 60);
-    
-    // 使用 TimerService 重新启动计时器
-    const taskInfo = this.timerService.getTaskInfo();
-    if (this.timerService && taskInfo) {
-      const taskId = taskInfo.taskId;
-      const taskTitle = taskInfo.taskTitle;
-      
-      // 重新启动计时器
-      await this.timerService.startTimer(taskId, taskTitle, seconds);
-      
-      // 隐藏modal和完成按钮
-      this.hideExtendTimeModal();
-      this.hideCompletionButtons();
-      
-      console.log(`[FocusPage] Extended timer by ${minutes} minutes`);
-    }
+  getTrashedTasks() {
+    return Array.from(this.trash.values()).sort((a, b) => b.deletedAt - a.deletedAt);
   }
 
   /**
-   * 检查增加时间模态框是否可见
-   * @returns {boolean} 是否可见
+   * 按ID查找任务，包括回收站和归档中的任务（用于统计历史会话）
+   * @param {string} taskId - 任务ID
+   * @returns {Task|null}
    */
-  isExtendTimeModalVisible() {
-    const modal = this.container.querySelector("#extend-time-modal");
-    return modal && !modal.classList.contains("hidden");
+  findStoredTask(taskId) {
+    return (
+      this.tasks.get(taskId) ||
+      this.trash.get(taskId)?.task ||
+      this.archive.get(taskId) ||
+      null
+    );
   }
 
-  /**
-   * 销毁专注页面
-   */
-  destroy() {
-    this.unbindTimerService();
-    
-    if (this.container && this.container.parentNode) {
-      this.container.parentNode.removeChild(this.container);
+  async restoreTask(taskId) {
+    const entry = this.trash.get(taskId);
+    if (!entry) {
+      console.warn(`[TaskManager] Trashed task not found: ${taskId}`);
+      return false;
     }
 
-    // 恢复页面滚动
-    document.body.style.overflow = "";
+    // 恢复的待完成任务排到列表末尾，避免与现有排序冲突
+    const task = entry.task;
+    if (!task.isCompleted) {
+      task.order = this.getNextOrder();
+    }
 
-    this.container = null;
-    this.isInitialized = false;
-    this.isVisible = false;
+    this.tasks.set(taskId, task);
+    await this.saveTasks();
+    this.trash.delete(taskId);
+    await this.saveTrash();
 
-    console.log("[FocusPage] Destroyed");
+    console.log(`[TaskManager] Restored task: ${task.title}`);
+    this.notifyObservers("taskRestored", { task });
+    return true;
   }
-}
 
-    /**
-     * SettingsPanel - 设置面板UI组件
-     */
-    /**
- * 设置面板类
- */
-class SettingsPanel {
-  constructor(taskService = null, timerService = null, storage = null, whitelistManager = null) {
-    this.isVisible = false;
-    this.activeTab = "todo"; // 默认激活ToDo标签页
-    this.panel = null;
-    this.contentArea = null;
-    this.tabs = new Map(); // 存储标签页组件
+  async purgeTask(taskId) {
+    const entry = this.trash.get(taskId);
+    if (!entry) {
+      console.warn(`[TaskManager] Trashed task not found: ${taskId}`);
+      return false;
+    }
 
-    // 依赖注入 - Linus式显式依赖
-    this.taskService = taskService;
-    this.timerService = timerService;
-    this.storage = storage;
-    this.whitelistManager = whitelistManager;
-    this.todoList = null; // TodoList组件实例
-    this.whitelistElements = null;
-    this.undoToast = null;
-    this.undoTimeout = null;
+    this.trash.delete(taskId);
+    await this.saveTrash();
 
-    // 标签页配置
-    this.tabConfig = [
-      {
-        id: "todo",
-        name: "ToDo列表",
-        icon: "✅",
-        component: null, // 将在后续设置
-      },
-      {
-        id: "whitelist",
-        name: "网站白名单",
-        icon: "🌐",
-        component: null,
-      },
-      {
-        id: "statistics",
-        name: "效率统计",
-        icon: "📊",
-        component: null,
-      },
-    ];
+    console.log(`[TaskManager] Permanently deleted task: ${entry.task.title}`);
+    this.notifyObservers("taskPurged", { tasks: [entry.task] });
+    return true;
+  }
 
-    this.initialize();
+  async emptyTrash() {
+    const tasks = Array.from(this.trash.values()).map(entry => entry.task);
+    if (tasks.length === 0) return 0;
+
+    this.trash.clear();
+    await this.saveTrash();
+
+    console.log(`[TaskManager] Emptied trash (${tasks.length} tasks)`);
+    this.notifyObservers("taskPurged", { tasks });
+    return tasks.length;
   }
 
   /**
-   * 初始化设置面板
+   * 永久删除超过保留期限的回收站任务
+   * @param {number} now - 当前时间戳
+   * @returns {Promise<number>} 删除的任务数量
    */
-  async initialize() {
-    this.createPanelStructure();
-    this.createNavigation();
-    this.createContentArea();
-    this.setupEventListeners();
-    await this.initializeWhitelist(); // 初始化白名单功能
-    this.createTodoList(); // 创建TodoList组件
-    this.activateTab(this.activeTab);
+  async purgeExpiredTrash(now = Date.now()) {
+    const cutoff = now - this.trashRetentionDays * 24 * 60 * 60 * 1000;
+    const expired = [];
+    for (const [id, entry] of this.trash) {
+      if (entry.deletedAt < cutoff) {
+        this.trash.delete(id);
+        expired.push(entry.task);
+      }
+    }
 
-    console.log("[SettingsPanel] Initialized successfully");
+    if (expired.length > 0) {
+      await this.saveTrash();
+      console.log(`[TaskManager] Purged ${expired.length} expired tasks from trash`);
+      this.notifyObservers("taskPurged", { tasks: expired, expired: true });
+    }
+    return expired.length;
   }
 
   /**
-   * 创建面板基础结构
+   * 设置回收站保留天数，并立即清理超期任务
+   * @param {number} days - 保留天数（1-365）
    */
-  createPanelStructure() {
-    // 创建遮罩层
-    const overlay = document.createElement("div");
-    overlay.id = "tomato-monkey-overlay";
-    overlay.className = "tomato-monkey-overlay tomato-monkey-hidden";
-
-    // 创建主面板
-    this.panel = document.createElement("div");
-    this.panel.id = "tomato-monkey-settings-panel";
-    this.panel.className = "tomato-monkey-settings-panel tomato-monkey-hidden";
+  async setTrashRetention(days) {
+    const value = Number(days);
+    if (!Number.isInteger(value) || value < 1 || value > 365) {
+      throw new Error("Trash retention must be an integer between 1 and 365 days");
+    }
 
-    // 设置基础样式
-    this.applyBaseStyles();
+    const saved = await this.saveSetting("trashRetentionDays", value);
+    if (!saved) return false;
 
-    // 创建面板头部
-    const header = document.createElement("div");
-    header.className = "settings-header";
-    header.innerHTML = `
-            <div class="header-title">
-                <span class="header-icon">🍅</span>
-                <h2>TomatoMonkey 设置</h2>
-            </div>
-            <button class="close-button" type="button" title="关闭设置面板 (Ctrl+Shift+T)">
-                ✕
-            </button>
-        `;
+    this.trashRetentionDays = value;
+    this.notifyObservers("trashRetentionChanged", { days: value });
+    await this.purgeExpiredTrash();
+    return true;
+  }
 
-    // 创建面板主体
-    const body = document.createElement("div");
-    body.className = "settings-body";
+  async loadTrash() {
+    const [entries, settings] = await Promise.all([
+      this.storage.loadTrash(),
+      this.storage.loadSettings(),
+    ]);
+    this.trash = new Map(entries.map(entry => [entry.task.id, entry]));
+    this.trashRetentionDays = settings.trashRetentionDays ?? this.trashRetentionDays;
+    await this.purgeExpiredTrash();
+  }
 
-    // 创建左侧导航区域
-    const navigation = document.createElement("nav");
-    navigation.className = "settings-navigation";
+  // === 归档 ===
 
-    // 创建右侧内容区域
-    this.contentArea = document.createElement("main");
-    this.contentArea.className = "settings-content";
+  /**
+   * 获取已归档的任务，最近完成的在前
+   * @param {string} [text] - 关键字，匹配标题、项目、标签、检查项或备注
+   * @returns {Array<Task>}
+   */
+  getArchivedTasks(text = "") {
+    const keyword = text.trim().toLowerCase();
+    return Array.from(this.archive.values())
+      .filter(task => !keyword || this.matchesText(task, keyword))
+      .sort((a, b) => b.completedAt - a.completedAt);
+  }
 
-    // 组装面板结构
-    body.appendChild(navigation);
-    body.appendChild(this.contentArea);
-    this.panel.appendChild(header);
-    this.panel.appendChild(body);
+  /**
+   * 按完成日期分组已归档的任务
+   * @param {string} [text] - 关键字
+   * @returns {Array<Object>} {date: "YYYY-MM-DD", tasks}，日期降序
+   */
+  getArchiveGroups(text = "") {
+    const groups = new Map();
+    for (const task of this.getArchivedTasks(text)) {
+      const date = this.getDateKey(task.completedAt);
+      if (!groups.has(date)) groups.set(date, []);
+      groups.get(date).push(task);
+    }
+    return Array.from(groups, ([date, tasks]) => ({ date, tasks }));
+  }
 
-    // 添加到页面
-    document.body.appendChild(overlay);
-    document.body.appendChild(this.panel);
+  /**
+   * 将完成超过 archiveAfterDays 天的任务移出活动列表
+   * @param {number} now - 当前时间戳
+   * @returns {Promise<number>} 归档的任务数量
+   */
+  async archiveCompletedTasks(now = Date.now()) {
+    const cutoff = now - this.archiveAfterDays * 24 * 60 * 60 * 1000;
+    const tasks = this.getCompletedTasks().filter(task => (task.completedAt || 0) < cutoff);
+    if (tasks.length === 0) return 0;
+
+    // 先写归档再删任务，保存中断时最多出现重复而不会丢失任务
+    tasks.forEach(task => this.archive.set(task.id, task));
+    await this.saveArchive();
+    tasks.forEach(task => this.tasks.delete(task.id));
+    await this.saveTasks();
 
-    // 存储引用
-    this.overlay = overlay;
-    this.navigation = navigation;
-    this.headerElement = header;
+    console.log(`[TaskManager] Archived ${tasks.length} completed tasks`);
+    this.notifyObservers("tasksArchived", { tasks });
+    return tasks.length;
   }
 
   /**
-   * 创建导航标签页
+   * 设置自动归档天数，并立即归档符合条件的任务
+   * @param {number} days - 完成多少天后归档（1-365）
    */
-  createNavigation() {
-    const tabList = document.createElement("ul");
-    tabList.className = "tab-list";
-    tabList.setAttribute("role", "tablist");
+  async setArchiveAfterDays(days) {
+    const value = Number(days);
+    if (!Number.isInteger(value) || value < 1 || value > 365) {
+      throw new Error("Archive age must be an integer between 1 and 365 days");
+    }
 
-    this.tabConfig.forEach((tab, index) => {
-      const tabItem = document.createElement("li");
-      tabItem.className = "tab-item";
+    const saved = await this.saveSetting("archiveAfterDays", value);
+    if (!saved) return false;
 
-      const tabButton = document.createElement("button");
-      tabButton.type = "button";
-      tabButton.className = `tab-button ${tab.id === this.activeTab ? "active" : ""}`;
-      tabButton.setAttribute("role", "tab");
-      tabButton.setAttribute("aria-controls", `${tab.id}-panel`);
-      tabButton.setAttribute(
+    this.archiveAfterDays = value;
+    this.notifyObservers("archiveSettingsChanged", { days: value });
+    await this.archiveCompletedTasks();
+    return true;
+  }
+
+  async loadArchive() {
+    const [archived, settings] = await Promise.all([
+      this.storage.loadArchive(),
+      this.storage.loadSettings(),
+    ]);
+    // 同一任务同时出现在活动列表（如导入备份后）时以活动列表为准
+    this.archive = new Map(
+      archived.filter(task => !this.tasks.has(task.id)).map(task => [task.id, task])
+    );
+    this.archiveAfterDays = settings.archiveAfterDays ?? this.archiveAfterDays;
+    await this.archiveCompletedTasks();
+  }
+
+  async saveArchive() {
+    try {
+      return await this.storage.saveArchive(Array.from(this.archive.values()));
+    } catch (error) {
+      console.error("[TaskService] Failed to save archive:", error);
+      return false;
+    }
+  }
+
+  /**
+   * 修改单个设置字段并保存
+   * @param {string} field - 设置字段
+   * @param {*} value - 新值
+   * @returns {Promise<boolean>} 保存是否成功
+   */
+  async saveSetting(field, value) {
+    const settings = await this.storage.loadSettings();
+    settings[field] = value;
+    return this.storage.saveSettings(settings);
+  }
+
+  async saveTrash() {
+    try {
+      return await this.storage.saveTrash(Array.from(this.trash.values()));
+    } catch (error) {
+      console.error("[TaskService] Failed to save trash:", error);
+      return false;
+    }
+  }
+
+  // === 跨标签页同步 ===
+
+  /**
+   * 监听其他标签页对任务和设置的修改
+   */
+  setupCrossTabSync() {
+    if (this.tasksListenerId !== null || typeof GM_addValueChangeListener !== "function") {
+      return;
+    }
+
+    this.tasksListenerId = GM_addValueChangeListener(
+      this.storage.STORAGE_KEYS.TASKS,
+      (name, oldValue, newValue, remote) => {
+        if (remote) {
+          this.handleRemoteTasksChange();
+        }
+      },
+    );
+    // 恢复、永久删除和清理只写回收站或归档；不重新读取的话，本标签页下次整体写入会覆盖这些变化
+    const onRemoteTrashOrArchive = (name, oldValue, newValue, remote) => {
+      if (remote) {
+        this.handleRemoteTrashOrArchiveChange();
+      }
+    };
+    this.trashListenerId = GM_addValueChangeListener(
+      this.storage.STORAGE_KEYS.TRASH,
+      onRemoteTrashOrArchive,
+    );
+    this.archiveListenerId = GM_addValueChangeListener(
+      this.storage.STORAGE_KEYS.ARCHIVE,
+      onRemoteTrashOrArchive,
+    );
+    this.settingsListenerId = GM_addValueChangeListener(
+      this.storage.STORAGE_KEYS.SETTINGS,
+      (name, oldValue, newValue, remote) => {
+        if (remote) {
+          this.handleRemoteSettingsChange();
+        }
+      },
+    );
+  }
+
+  /**
+   * 其他标签页写入回收站或归档后，排入保存队列重新读取两者，并发出 tasksReloaded 事件（带 remote: true）
+   * @returns {Promise<void>}
+   */
+  handleRemoteTrashOrArchiveChange() {
+    const result = this.saveQueue.then(async () => {
+      await this.reloadTrashAndArchive();
+      this.notifyObservers("tasksReloaded", { remote: true });
+    });
+    this.saveQueue = result.catch(() => false);
+    return result;
+  }
+
+  /**
+   * 从存储重新读取回收站和归档（只读取，不在本标签页再次清理或归档，避免重复写入）
+   */
+  async reloadTrashAndArchive() {
+    this.trash = new Map((await this.storage.loadTrash()).map(entry => [entry.task.id, entry]));
+    this.archive = new Map(
+      (await this.storage.loadArchive())
+        .filter(task => !this.tasks.has(task.id))
+        .map(task => [task.id, task])
+    );
+  }
+
+  /**
+   * 同步其他标签页修改的回收站保留天数和自动归档天数
+   * 清理和归档由修改设置的标签页完成，这里只更新数值
+   */
+  async handleRemoteSettingsChange() {
+    try {
+      const settings = await this.storage.loadLatestSettings();
+
+      if (settings.trashRetentionDays !== this.trashRetentionDays) {
+        this.trashRetentionDays = settings.trashRetentionDays;
+        this.notifyObservers("trashRetentionChanged", { days: this.trashRetentionDays, remote: true });
+      }
+      if (settings.archiveAfterDays !== this.archiveAfterDays) {
+        this.archiveAfterDays = settings.archiveAfterDays;
+        this.notifyObservers("archiveSettingsChanged", { days: this.archiveAfterDays, remote: true });
+      }
+    } catch (error) {
+      console.warn("[TaskService] Ignored unreadable remote settings change:", error);
+    }
+  }
+
+  /**
+   * 其他标签页写入任务后排入保存队列，避免与本标签页正在进行的合并写入交错
+   * 事件中的新值可能已过时，应用时重新读取存储中的最新版本
+   * @returns {Promise<void>}
+   */
+  handleRemoteTasksChange() {
+    const result = this.saveQueue.then(() => this.applyRemoteTasks());
+    this.saveQueue = result.catch(() => false);
+    return result;
+  }
+
+  /**
+   * 将存储中的最新任务同步到本地，并按任务发出 taskCreated / taskUpdated / taskDeleted 事件（带 remote: true）
+   * 本地有尚未保存的修改的任务保持不变，由随后的合并写入处理
+   */
+  async applyRemoteTasks() {
+    let latest;
+    try {
+      latest = await this.storage.loadLatestTasks();
+    } catch (error) {
+      console.warn("[TaskService] Ignored unreadable remote task change:", error);
+      return;
+    }
+
+    const remote = new Map(latest.map(t => [t.id, t]));
+    const isDirty = (task) => {
+      const base = this.savedSnapshots.get(task.id);
+      return !base || this.getChangedFields(base, task).length > 0;
+    };
+    const created = [];
+    const updated = [];
+    const deleted = [];
+
+    for (const [id, task] of remote) {
+      const local = this.tasks.get(id);
+      if (!local) {
+        // 本地已删除但尚未保存的任务不再加回
+        if (this.savedSnapshots.has(id)) continue;
+        this.tasks.set(id, task);
+        created.push(task);
+      } else {
+        if (isDirty(local)) continue;
+        const fields = this.getChangedFields(local, task);
+        this.replaceTaskFields(local, task);
+        if (fields.length > 0) updated.push({ task: local, fields });
+      }
+      this.savedSnapshots.set(id, JSON.parse(JSON.stringify(task)));
+    }
+
+    for (const [id, local] of Array.from(this.tasks)) {
+      if (remote.has(id) || isDirty(local)) continue;
+      this.tasks.delete(id);
+      this.savedSnapshots.delete(id);
+      deleted.push(local);
+    }
+
+    if (deleted.length > 0) {
+      // 被删除的任务已由其他标签页移入回收站或归档
+      await this.reloadTrashAndArchive();
+    }
+
+    if (created.length + updated.length + deleted.length === 0) return;
+
+    console.log(
+      `[TaskService] Synced remote changes: +${created.length} ~${updated.length} -${deleted.length}`,
+    );
+    created.forEach(task => this.notifyObservers("taskCreated", { task, remote: true }));
+    updated.forEach(({ task, fields }) =>
+      this.notifyObservers("taskUpdated", { task, fields, remote: true })
+    );
+    deleted.forEach(task =>
+      this.notifyObservers("taskDeleted", { task, trashed: this.trash.has(task.id), remote: true })
+    );
+  }
+
+  /**
+   * 停止跨标签页同步
+   */
+  destroy() {
+    if (typeof GM_removeValueChangeListener === "function") {
+      for (const listenerId of [
+        this.tasksListenerId,
+        this.trashListenerId,
+        this.archiveListenerId,
+        this.settingsListenerId,
+      ]) {
+        if (listenerId !== null) GM_removeValueChangeListener(listenerId);
+      }
+    }
+    this.tasksListenerId = null;
+    this.trashListenerId = null;
+    this.archiveListenerId = null;
+    this.settingsListenerId = null;
+    console.log("[TaskService] Destroyed");
+  }
+
+  // === 观察者模式API - 完全兼容，同时发布到事件总线 ===
+
+  addObserver(observer) {
+    if (typeof observer === "function") {
+      this.observers.add(observer);
+    }
+  }
+
+  removeObserver(observer) {
+    this.observers.delete(observer);
+  }
+
+  notifyObservers(event, data = {}) {
+    for (const observer of this.observers) {
+      try {
+        observer(event, data, this);
+      } catch (error) {
+        console.error("[TaskManager] Observer error:", error);
+      }
+    }
+    if (this.eventBus && this.BUS_EVENTS[event]) {
+      this.eventBus.emit(this.BUS_EVENTS[event], data);
+    }
+  }
+
+
+  // === 内部实现辅助方法 ===
+
+  /**
+   * 规范化任务备注（Markdown文本），空白备注视为无备注
+   * @param {string|null} value - 备注
+   * @returns {string|null}
+   */
+  normalizeNotes(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    if (typeof value !== "string") {
+      throw new Error("Task notes must be a string");
+    }
+
+    const notes = value.replace(/\s+$/, "");
+    if (notes.length > this.MAX_NOTES_LENGTH) {
+      throw new Error(`Task notes must be at most ${this.MAX_NOTES_LENGTH} characters`);
+    }
+    return notes.trim() ? notes : null;
+  }
+
+  /**
+   * 规范化任务的专注时长偏好（分钟），未设置时使用计时设置中的默认时长
+   * @param {number|string|null} value - 分钟数
+   * @returns {number|null}
+   */
+  normalizeFocusDuration(value) {
+    if (value === undefined || value === null || value === "") {
+      return null;
+    }
+
+    const minutes = Number(value);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > 120) {
+      throw new Error("Focus duration must be an integer between 1 and 120 minutes");
+    }
+    return minutes;
+  }
+
+  normalizeEstimate(value) {
+    if (value === undefined || value === null || value === "") {
+      return null;
+    }
+
+    const estimate = Number(value);
+    if (!Number.isInteger(estimate) || estimate < 1 || estimate > 99) {
+      throw new Error("Estimated pomodoros must be an integer between 1 and 99");
+    }
+    return estimate;
+  }
+
+  normalizePriority(value) {
+    if (value === undefined || value === null || value === "") {
+      return null;
+    }
+    if (!this.PRIORITIES.includes(value)) {
+      throw new Error(`Priority must be one of: ${this.PRIORITIES.join(", ")}`);
+    }
+    return value;
+  }
+
+  /**
+   * 规范化重复规则
+   * @param {Object|string|null} value - {type, days?, dayOfMonth?} 或类型字符串
+   * @param {string|null} dueDate - 截止日期，用于补齐每周的星期和每月的日期
+   * @returns {Object|null} 规范化的重复规则
+   */
+  normalizeRecurrence(value, dueDate = null) {
+    if (value === undefined || value === null || value === "") {
+      return null;
+    }
+
+    const rule = typeof value === "string" ? { type: value } : value;
+    if (!this.RECURRENCE_TYPES.includes(rule.type)) {
+      throw new Error(`Recurrence type must be one of: ${this.RECURRENCE_TYPES.join(", ")}`);
+    }
+
+    const anchor = dueDate
+      ? new Date(`${dueDate}T00:00:00`)
+      : new Date();
+
+    if (rule.type === "weekly") {
+      const days = Array.from(new Set(rule.days || [])).sort((a, b) => a - b);
+      if (days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        throw new Error("Weekly recurrence days must be integers between 0 and 6");
+      }
+      return { type: "weekly", days: days.length > 0 ? days : [anchor.getDay()] };
+    }
+
+    if (rule.type === "monthly") {
+      const dayOfMonth = rule.dayOfMonth ?? anchor.getDate();
+      if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+        throw new Error("Monthly recurrence day must be between 1 and 31");
+      }
+      return { type: "monthly", dayOfMonth };
+    }
+
+    return { type: rule.type };
+  }
+
+  normalizeDueDate(value) {
+    if (value === undefined || value === null || value === "") {
+      return null;
+    }
+    if (!this.storage.isValidDateString(value)) {
+      throw new Error("Due date must be a valid YYYY-MM-DD date");
+    }
+    return value;
+  }
+
+  normalizeReminder(value) {
+    if (value === undefined || value === null || value === "") {
+      return null;
+    }
+    const timestamp = Number(value);
+    if (!Number.isFinite(timestamp) || timestamp <= 0) {
+      throw new Error("Reminder time must be a valid timestamp");
+    }
+    return timestamp;
+  }
+
+  /**
+   * 时间戳对应的本地日期
+   * @param {number} timestamp - 时间戳
+   * @returns {string} YYYY-MM-DD
+   */
+  getDateKey(timestamp) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * 生成任务ID：时间戳加随机后缀，多个标签页在同一毫秒创建任务也不会重复
+   * @param {number} now - 当前时间戳
+   * @returns {string}
+   */
+  generateTaskId(now) {
+    let id;
+    do {
+      id = `${now}-${Math.random().toString(36).slice(2, 10)}`;
+    } while (this.findStoredTask(id));
+    return id;
+  }
+
+  getNextOrder() {
+    let max = -1;
+    for (const task of this.tasks.values()) {
+      if (typeof task.order === "number" && task.order > max) max = task.order;
+    }
+    return max + 1;
+  }
+
+  normalizeProject(value) {
+    const project = typeof value === "string" ? value.trim().replace(/^\+/, "") : "";
+    if (project.length > 50) {
+      throw new Error("Project name must be 50 characters or less");
+    }
+    return project || null;
+  }
+
+  /**
+   * 标签统一为去掉 # 前缀的小写形式，并去重
+   * @param {Array<string>|string} value - 标签数组或逗号/空格分隔的字符串
+   */
+  normalizeTags(value) {
+    const raw = Array.isArray(value) ? value : String(value ?? "").split(/[\s,，]+/);
+    const tags = [];
+
+    for (const entry of raw) {
+      const tag = String(entry).trim().replace(/^#/, "").toLowerCase();
+      if (!tag) continue;
+      if (tag.length > 30) {
+        throw new Error("Tags must be 30 characters or less");
+      }
+      if (!tags.includes(tag)) tags.push(tag);
+    }
+    return tags;
+  }
+
+  /**
+   * 保存任务：与存储中的最新版本合并后写入，而不是直接覆盖
+   * 同一标签页的保存依次执行，保证每次合并都基于上一次写入后的副本
+   * @returns {Promise<boolean>} 保存是否成功
+   */
+  async saveTasks() {
+    if (!this.storage) {
+      console.error("[TaskService] Storage not initialized");
+      return false;
+    }
+
+    const result = this.saveQueue.then(() => this.mergeAndSaveTasks());
+    this.saveQueue = result.catch(() => false);
+    return result;
+  }
+
+  /**
+   * 合并写入
+   * 1. 本标签页修改过的任务：存储中的修订号未变时直接写入；
+   *    其他标签页也修改过时按字段合并，两边改了同一字段时以本次写入为准并报告冲突
+   * 2. 番茄钟计数按增量合并，两边的计数都保留
+   * 3. 删除优先：一边删除、另一边修改的任务最终删除，并报告冲突
+   * 4. 其他标签页新增或修改、本标签页未改动的任务原样保留
+   * 写入成功后本地任务更新为合并结果，冲突通过 taskConflict 事件通知，
+   * 其他标签页带来的变化通过 tasksMerged 事件通知
+   * @returns {Promise<boolean>} 保存是否成功
+   */
+  async mergeAndSaveTasks() {
+    try {
+      const stored = new Map((await this.storage.loadLatestTasks()).map(t => [t.id, t]));
+      const merged = new Map(stored);
+      const conflicts = [];
+
+      for (const [id, task] of this.tasks) {
+        const base = this.savedSnapshots.get(id);
+        if (base && this.getChangedFields(base, task).length === 0) continue;
+
+        const latest = stored.get(id);
+        if (base && !latest) {
+          // 其他标签页已删除（移入回收站或归档），放弃本地修改
+          merged.delete(id);
+          conflicts.push({ type: "deleted", taskId: id, title: task.title, fields: [] });
+          continue;
+        }
+
+        const baseRevision = base ? base.revision || 0 : 0;
+        if (!latest || (base && (latest.revision || 0) === baseRevision)) {
+          merged.set(id, { ...task, revision: Math.max(baseRevision, task.revision || 0) + 1 });
+          continue;
+        }
+
+        const { result, fields } = this.mergeTask(base, task, latest);
+        merged.set(id, { ...result, revision: (latest.revision || 0) + 1 });
+        if (fields.length > 0) {
+          conflicts.push({ type: "modified", taskId: id, title: task.title, fields });
+        }
+      }
+
+      for (const [id, base] of this.savedSnapshots) {
+        if (this.tasks.has(id) || !stored.has(id)) continue;
+
+        const latest = stored.get(id);
+        merged.delete(id);
+        if ((latest.revision || 0) !== (base.revision || 0)) {
+          conflicts.push({
+            type: "deleted",
+            taskId: id,
+            title: latest.title,
+            fields: this.getChangedFields(base, latest),
+          });
+        }
+      }
+
+      const saved = await this.storage.saveTasks(Array.from(merged.values()));
+      if (!saved) return false;
+
+      const remoteIds = this.applyMergedTasks(merged);
+      this.takeSnapshots();
+
+      if (conflicts.length > 0) {
+        console.warn(`[TaskService] Resolved ${conflicts.length} task write conflicts`);
+        this.notifyObservers("taskConflict", { conflicts });
+      }
+      if (remoteIds.length > 0) {
+        this.notifyObservers("tasksMerged", { taskIds: remoteIds });
+      }
+      return true;
+    } catch (error) {
+      console.error("[TaskService] Failed to save tasks:", error);
+      return false;
+    }
+  }
+
+  /**
+   * 按字段合并同一任务的本地修改和其他标签页的修改
+   * @param {Task|undefined} base - 本地修改前的副本（本地新建时为空）
+   * @param {Task} local - 本地任务
+   * @param {Task} latest - 存储中的最新任务
+   * @returns {Object} {result: 合并后的任务, fields: 两边都修改过的字段}
+   */
+  mergeTask(base, local, latest) {
+    const result = { ...latest };
+    const fields = [];
+    const localFields = base ? this.getChangedFields(base, local) : Object.keys(local);
+
+    for (const field of localFields) {
+      if (field === "revision") continue;
+
+      if (field === "pomodoroCount" && base) {
+        result.pomodoroCount = Math.max(
+          0,
+          (latest.pomodoroCount || 0) + (local.pomodoroCount || 0) - (base.pomodoroCount || 0),
+        );
+        continue;
+      }
+
+      const remoteValue = JSON.stringify(latest[field]);
+      if (
+        (!base || remoteValue !== JSON.stringify(base[field])) &&
+        remoteValue !== JSON.stringify(local[field])
+      ) {
+        fields.push(field);
+      }
+
+      if (local[field] === undefined) {
+        delete result[field];
+      } else {
+        result[field] = local[field];
+      }
+    }
+
+    return { result, fields };
+  }
+
+  /**
+   * 列出两个任务副本中值不同的字段（忽略修订号）
+   * @param {Task} a - 任务
+   * @param {Task} b - 任务
+   * @returns {Array<string>}
+   */
+  getChangedFields(a, b) {
+    const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+    fields.delete("revision");
+    return [...fields].filter(field => JSON.stringify(a[field]) !== JSON.stringify(b[field]));
+  }
+
+  /**
+   * 用合并结果更新本地任务，保留已有任务对象的引用（组件可能持有）
+   * @param {Map<string, Task>} merged - 合并后的任务
+   * @returns {Array<string>} 因其他标签页的修改而变化的任务ID
+   */
+  applyMergedTasks(merged) {
+    const remoteIds = [];
+
+    for (const id of Array.from(this.tasks.keys())) {
+      if (!merged.has(id)) {
+        this.tasks.delete(id);
+        remoteIds.push(id);
+      }
+    }
+
+    for (const [id, task] of merged) {
+      const local = this.tasks.get(id);
+      if (!local) {
+        // 本地刚删除的任务已从合并结果中移除，这里只会是其他标签页新增的任务
+        this.tasks.set(id, task);
+        remoteIds.push(id);
+        continue;
+      }
+
+      if (this.getChangedFields(local, task).length > 0) {
+        remoteIds.push(id);
+      }
+      this.replaceTaskFields(local, task);
+    }
+
+    return remoteIds;
+  }
+
+  /**
+   * 用另一份任务数据原地替换任务对象的字段
+   * @param {Task} target - 被替换的任务对象
+   * @param {Task} source - 新的任务数据
+   */
+  replaceTaskFields(target, source) {
+    for (const field of Object.keys(target)) {
+      if (!(field in source)) delete target[field];
+    }
+    Object.assign(target, source);
+  }
+
+  /**
+   * 记录当前任务的副本，作为下一次合并写入的基准
+   */
+  takeSnapshots() {
+    this.savedSnapshots = new Map(
+      Array.from(this.tasks.values()).map(task => [task.id, JSON.parse(JSON.stringify(task))]),
+    );
+  }
+}
+
+    /**
+     * TimerService - Linus式依赖注入计时器服务
+     */
+    class TimerService {
+  constructor(storage, leaderService = null, eventBus = null) {
+    // 依赖注入 - 显式优于隐式
+    this.storage = storage;
+    this.leaderService = leaderService; // 未注入时本标签页视为主标签页
+    this.eventBus = eventBus;
+
+    // 计时器状态
+    this.status = "idle"; // idle, running, paused, completed
+    this.taskId = null;
+    this.taskTitle = null;
+    this.startTime = null;
+    this.remainingSeconds = 0;
+    this.totalSeconds = 1500; // 默认25分钟
+    this.intervalId = null;
+
+    // 番茄钟周期状态
+    this.phase = "focus"; // focus, shortBreak, longBreak
+    this.completedPomodoros = 0; // 当前周期内已完成的番茄钟数
+
+    // 周期配置（秒），initialize时从设置加载
+    this.cycleSettings = {
+      focusSeconds: 1500,
+      extendSeconds: 900,
+      shortBreakSeconds: 300,
+      longBreakSeconds: 900,
+      longBreakInterval: 4,
+    };
+
+    // 修改时间模态框的专注时长预设（分钟），任务的快速开始菜单共用同一组
+    this.DURATION_PRESETS = [25, 30, 45, 60];
+
+    // 跨标签页同步：设置和计时器状态存储键的变化监听器ID
+    this.settingsListenerId = null;
+    this.timerStateListenerId = null;
+    this.boundLeaderObserver = this.handleLeaderEvent.bind(this);
+
+    // 观察者列表 - 用Set避免重复
+    this.observers = new Set();
+
+    // 观察者事件 -> 事件总线上的类型化事件
+    this.BUS_EVENTS = {
+      timerStarted: EventBus.EVENTS.TIMER_STARTED,
+      timerPaused: EventBus.EVENTS.TIMER_PAUSED,
+      timerResumed: EventBus.EVENTS.TIMER_RESUMED,
+      timerStopped: EventBus.EVENTS.TIMER_STOPPED,
+      timerCompleted: EventBus.EVENTS.TIMER_COMPLETED,
+      timerModified: EventBus.EVENTS.TIMER_MODIFIED,
+      timerTick: EventBus.EVENTS.TIMER_TICK,
+      breakStarted: EventBus.EVENTS.BREAK_STARTED,
+      breakCompleted: EventBus.EVENTS.BREAK_COMPLETED,
+      timerSettingsChanged: EventBus.EVENTS.TIMER_SETTINGS_CHANGED,
+    };
+
+    // 通知权限状态
+    this.notificationPermission = null;
+
+    // 完成任务缓存
+    this.lastCompletedTask = {
+      taskId: null,
+      taskTitle: null,
+      completedAt: null
+    };
+
+    this.initialized = false;
+
+    console.log("[TimerService] Created");
+  }
+
+  /**
+   * 初始化计时器服务
+   * @param {Storage} storageManager - 存储管理器实例（兼容参数）
+   */
+  async initialize(storageManager = null) {
+    if (this.initialized) {
+      return;
+    }
+
+    // 兼容旧API：如果传入storageManager，使用它；否则使用注入的storage
+    if (storageManager) {
+      this.storage = storageManager;
+    }
+    
+    // 初始化通知权限状态（不请求权限）
+    this.initializeNotificationStatus();
+
+    // 加载番茄钟周期配置，并跟随其他标签页的修改
+    await this.loadCycleSettings();
+    this.setupSettingsSync();
+    
+    // 恢复计时器状态，并跟随其他标签页的计时器操作
+    await this.restoreTimerState();
+    this.setupTimerStateSync();
+    if (this.leaderService) {
+      this.leaderService.addObserver(this.boundLeaderObserver);
+    }
+
+    this.initialized = true;
+    console.log("[TimerService] Initialized successfully");
+  }
+
+  /**
+   * 从设置加载番茄钟周期配置
+   */
+  async loadCycleSettings() {
+    if (!this.storage) return;
+
+    try {
+      const settings = await this.storage.loadSettings();
+      this.applyCycleSettings(settings);
+    } catch (error) {
+      console.error("[TimerService] Failed to load cycle settings:", error);
+    }
+  }
+
+  /**
+   * 监听其他标签页保存的计时设置
+   */
+  setupSettingsSync() {
+    if (
+      !this.storage ||
+      this.settingsListenerId !== null ||
+      typeof GM_addValueChangeListener !== "function"
+    ) {
+      return;
+    }
+
+    this.settingsListenerId = GM_addValueChangeListener(
+      this.storage.STORAGE_KEYS.SETTINGS,
+      (name, oldValue, newValue, remote) => {
+        if (remote) {
+          this.handleRemoteSettingsChange();
+        }
+      },
+    );
+  }
+
+  /**
+   * 其他标签页保存设置后，计时设置有变化时重新应用（正在进行的计时不受影响）
+   */
+  async handleRemoteSettingsChange() {
+    try {
+      const settings = await this.storage.loadLatestSettings();
+      const current = this.getTimerSettings();
+      if (Object.keys(current).every((field) => current[field] === settings[field])) {
+        return;
+      }
+
+      this.applyCycleSettings(settings);
+      console.log("[TimerService] Timer settings synced from another tab");
+    } catch (error) {
+      console.warn("[TimerService] Ignored unreadable remote settings change:", error);
+    }
+  }
+
+  /**
+   * 将设置（分钟）转换为周期配置（秒）
+   * @param {Object} settings - 设置对象
+   */
+  applyCycleSettings(settings) {
+    this.cycleSettings = {
+      focusSeconds: Math.round(settings.pomodoroDuration * 60),
+      extendSeconds: settings.extendDuration * 60,
+      shortBreakSeconds: settings.shortBreakDuration * 60,
+      longBreakSeconds: settings.longBreakDuration * 60,
+      longBreakInterval: settings.longBreakInterval,
+    };
+
+    // 空闲时的显示时长跟随默认专注时长
+    if (this.status === "idle") {
+      this.totalSeconds = this.cycleSettings.focusSeconds;
+    }
+
+    this.notifyObservers("timerSettingsChanged", this.getTimerSettings());
+  }
+
+  /**
+   * 获取计时设置（分钟）
+   * @returns {Object} {pomodoroDuration, shortBreakDuration, longBreakDuration, longBreakInterval, extendDuration}
+   */
+  getTimerSettings() {
+    const { focusSeconds, extendSeconds, shortBreakSeconds, longBreakSeconds, longBreakInterval } =
+      this.cycleSettings;
+    return {
+      pomodoroDuration: focusSeconds / 60,
+      shortBreakDuration: shortBreakSeconds / 60,
+      longBreakDuration: longBreakSeconds / 60,
+      longBreakInterval,
+      extendDuration: extendSeconds / 60,
+    };
+  }
+
+  /**
+   * 更新并保存计时设置，下一次计时开始生效
+   * @param {Object} changes - 要修改的字段（分钟），同 getTimerSettings
+   * @returns {Promise<boolean>} 是否保存成功
+   * @throws {Error} 设置值超出范围时
+   */
+  async updateTimerSettings(changes) {
+    const settings = { ...(await this.storage.loadSettings()), ...changes };
+    this.storage.validateSettingsData(settings);
+
+    const success = await this.storage.saveSettings(settings);
+    if (success) {
+      this.applyCycleSettings(settings);
+      console.log("[TimerService] Timer settings updated");
+    }
+    return success;
+  }
+
+  /**
+   * 获取默认专注时长
+   * @returns {number} 秒
+   */
+  getDefaultDuration() {
+    return this.cycleSettings.focusSeconds;
+  }
+
+  /**
+   * 获取完成后延长专注的默认时长
+   * @returns {number} 秒
+   */
+  getExtendDuration() {
+    return this.cycleSettings.extendSeconds;
+  }
+
+  /**
+   * 判断当前是否处于休息阶段
+   * @returns {boolean} 是否为休息阶段
+   */
+  isBreakPhase() {
+    return this.phase === "shortBreak" || this.phase === "longBreak";
+  }
+
+  /**
+   * 初始化通知权限状态（不请求权限）
+   */
+  initializeNotificationStatus() {
+    // 更健壮的 Notification API 检测
+    const NotificationAPI = (typeof window !== 'undefined' && window.Notification) 
+      ? window.Notification 
+      : (typeof Notification !== 'undefined' ? Notification : null);
+    
+    if (!NotificationAPI) {
+      this.notificationPermission = "unsupported";
+      console.warn("[TimerService] Browser does not support notifications");
+    } else {
+      this.notificationPermission = NotificationAPI.permission;
+      console.log(`[TimerService] Initial notification permission: ${this.notificationPermission}`);
+    }
+  }
+
+  /**
+   * 检查并请求通知权限（延迟加载，仅在需要时请求）
+   */
+  async checkNotificationPermission() {
+    // 更健壮的 Notification API 检测
+    const NotificationAPI = (typeof window !== 'undefined' && window.Notification) 
+      ? window.Notification 
+      : (typeof Notification !== 'undefined' ? Notification : null);
+    
+    if (!NotificationAPI) {
+      this.notificationPermission = "unsupported";
+      console.warn("[TimerService] Browser does not support notifications");
+      return;
+    }
+
+    // 更新当前权限状态
+    this.notificationPermission = NotificationAPI.permission;
+    
+    // 仅在权限为 default 时请求权限
+    if (this.notificationPermission === "default") {
+      try {
+        console.log("[TimerService] Requesting notification permission for focus session");
+        const permission = await NotificationAPI.requestPermission();
+        this.notificationPermission = permission;
+        console.log(`[TimerService] Notification permission result: ${permission}`);
+      } catch (error) {
+        console.error("[TimerService] Failed to request notification permission:", error);
+        this.notificationPermission = "denied";
+      }
+    } else {
+      console.log(`[TimerService] Using existing notification permission: ${this.notificationPermission}`);
+    }
+  }
+
+  /**
+   * 启动计时器
+   * @param {string} taskId - 任务ID
+   * @param {string} taskTitle - 任务标题
+   * @param {number} duration - 计时时长（秒），默认为设置中的专注时长
+   * @param {Object} options - 启动选项
+   * @param {boolean} options.isExtension - 是否为完成后的延长专注
+   */
+  async startTimer(taskId, taskTitle, duration = this.getDefaultDuration(), options = {}) {
+    // 休息期间开始专注视为跳过剩余的休息时间
+    if (this.isBreakPhase()) {
+      if (this.phase === "longBreak") {
+        this.completedPomodoros = 0;
+      }
+      this.clearCountdown();
+      this.resetTimer();
+    }
+
+    if (this.status === "running") {
+      console.warn("[TimerService] Timer is already running");
+      return false;
+    }
+
+    // 在启动计时器前检查和请求通知权限
+    await this.checkNotificationPermission();
+
+    this.taskId = taskId;
+    this.taskTitle = taskTitle;
+    this.totalSeconds = duration;
+    this.remainingSeconds = duration;
+    this.startTime = Date.now();
+    this.status = "running";
+    this.phase = "focus";
+
+    this.startCountdown();
+    this.saveTimerState();
+    this.notifyObservers("timerStarted", {
+      taskId: this.taskId,
+      taskTitle: this.taskTitle,
+      phase: this.phase,
+      isExtension: Boolean(options.isExtension),
+      totalSeconds: this.totalSeconds,
+      remainingSeconds: this.remainingSeconds,
+    });
+
+    console.log(`[TimerService] Timer started for task: ${taskTitle} (${duration}s)`);
+    return true;
+  }
+
+  /**
+   * 暂停计时器
+   */
+  pauseTimer() {
+    if (this.status !== "running") {
+      console.warn("[TimerService] Timer is not running");
+      return false;
+    }
+
+    this.status = "paused";
+    this.clearCountdown();
+    this.saveTimerState();
+    this.notifyObservers("timerPaused", {
+      remainingSeconds: this.remainingSeconds,
+    });
+
+    console.log("[TimerService] Timer paused");
+    return true;
+  }
+
+  /**
+   * 恢复计时器
+   */
+  resumeTimer() {
+    if (this.status !== "paused") {
+      console.warn("[TimerService] Timer is not paused");
+      return false;
+    }
+
+    this.status = "running";
+    this.startTime = Date.now() - (this.totalSeconds - this.remainingSeconds) * 1000;
+    this.startCountdown();
+    this.saveTimerState();
+    this.notifyObservers("timerResumed", {
+      remainingSeconds: this.remainingSeconds,
+    });
+
+    console.log("[TimerService] Timer resumed");
+    return true;
+  }
+
+  /**
+   * 停止计时器
+   */
+  stopTimer(donotNotify) {
+    if (this.status === "idle") {
+      console.warn("[TimerService] Timer is already idle");
+      return false;
+    }
+
+    this.clearCountdown();
+    this.resetTimer();
+    // 🚨 关键修复：保存idle状态到存储，而不是删除timerState
+    // 这样其他标签页的GM_addValueChangeListener能收到状态变化通知
+    this.saveTimerState();
+    if (!donotNotify) {
+      this.notifyObservers("timerStopped", {});
+    }
+
+    console.log("[TimerService] Timer stopped, state saved as idle");
+    return true;
+  }
+
+  /**
+   * 修改计时器时长
+   * @param {number} newDuration - 新的计时时长（秒）
+   * @returns {boolean} 修改是否成功
+   */
+  modifyTimer(newDuration) {
+    if (this.status !== "running" && this.status !== "paused") {
+      console.warn("[TimerService] Cannot modify timer when not running or paused");
+      return false;
+    }
+
+    // 验证新时长
+    if (!Number.isInteger(newDuration) || newDuration <= 0 || newDuration > 7200) {
+      console.error("[TimerService] Invalid duration. Must be between 1 and 7200 seconds");
+      return false;
+    }
+
+    const wasRunning = this.status === "running";
+    
+    // 如果正在运行，先停止倒计时
+    if (wasRunning) {
+      this.clearCountdown();
+    }
+
+    // 更新时长
+    const oldDuration = this.totalSeconds;
+    this.totalSeconds = newDuration;
+    this.remainingSeconds = newDuration;
+    this.startTime = Date.now();
+
+    // 如果之前是运行状态，重新开始倒计时
+    if (wasRunning) {
+      this.startCountdown();
+    }
+
+    // 保存状态
+    this.saveTimerState();
+
+    // 通知观察者
+    this.notifyObservers("timerModified", {
+      taskId: this.taskId,
+      taskTitle: this.taskTitle,
+      oldDuration: oldDuration,
+      newDuration: newDuration,
+      totalSeconds: this.totalSeconds,
+      remainingSeconds: this.remainingSeconds,
+    });
+
+    console.log(`[TimerService] Timer duration modified from ${oldDuration}s to ${newDuration}s`);
+    return true;
+  }
+
+  /**
+   * 开始倒计时
+   */
+  startCountdown() {
+    this.clearCountdown(); // 清除可能存在的计时器
+    
+    this.intervalId = setInterval(() => {
+      this.updateCountdown();
+    }, 1000);
+  }
+
+  /**
+   * 更新倒计时
+   */
+  updateCountdown() {
+    if (this.status !== "running") {
+      return;
+    }
+
+    const elapsed = Math.floor((Date.now() - this.startTime) / 1000);
+    this.remainingSeconds = Math.max(0, this.totalSeconds - elapsed);
+
+    // 通知观察者
+    this.notifyObservers("timerTick", {
+      phase: this.phase,
+      remainingSeconds: this.remainingSeconds,
+      totalSeconds: this.totalSeconds,
+      progress: (this.totalSeconds - this.remainingSeconds) / this.totalSeconds,
+    });
+
+    // 只有主标签页保存进度和完成计时，其他标签页只刷新显示；
+    // 到点时主标签页的心跳已停滞则接替，接替后由 handleLeaderEvent 立即完成计时
+    if (!this.isLeaderTab()) {
+      if (this.remainingSeconds <= 0) {
+        this.leaderService.takeOverIfStale();
+      }
+      return;
+    }
+
+    // 保存状态
+    this.saveTimerState();
+
+    // 检查是否完成（完成前重新确认主标签页身份，避免与接替的标签页重复完成）
+    if (this.remainingSeconds <= 0 && this.confirmLeaderTab()) {
+      this.completeTimer();
+    }
+  }
+
+  /**
+   * 完成计时器
+   * completedAt 为倒计时实际归零的时间：所有标签页都关闭期间到时的计时在下次打开时才完成，
+   * 据此判断随后的休息是否也已结束；统计据此计算专注时长，而不是把离开的时间也算进去
+   */
+  completeTimer() {
+    if (this.isBreakPhase()) {
+      this.completeBreak();
+      return;
+    }
+
+    const completedAt = this.startTime
+      ? Math.min(Date.now(), this.startTime + this.totalSeconds * 1000)
+      : Date.now();
+
+    this.clearCountdown();
+    this.status = "completed";
+    this.completedPomodoros++;
+
+    // 所有标签页都关闭期间到时、且随后的休息也早该结束：只记录完成，不再通知和开始休息
+    const nextBreak = this.getNextBreak();
+    const isBreakOver = Date.now() - completedAt > nextBreak.totalSeconds * 1000;
+
+    if (!isBreakOver) {
+      // 发送桌面通知
+      this.sendNotification();
+    }
+
+    // 通知观察者
+    this.notifyObservers("timerCompleted", {
+      taskId: this.taskId,
+      taskTitle: this.taskTitle,
+      completedPomodoros: this.completedPomodoros,
+      completedAt,
+    });
+
+    // 保存完成的任务信息到缓存（在重置前保存）
+    this.lastCompletedTask = {
+      taskId: this.taskId,
+      taskTitle: this.taskTitle,
+      completedAt
+    };
+
+    // 重置计时器状态并进入休息阶段
+    setTimeout(() => {
+      // 完成事件处理期间用户可能已开始新的专注
+      if (this.status !== "completed") return;
+      this.resetTimer();
+      if (isBreakOver) {
+        // 错过的休息按已结束处理，长休息结束后开始新的周期
+        if (nextBreak.phase === "longBreak") {
+          this.completedPomodoros = 0;
+        }
+        this.saveTimerState();
+      } else {
+        this.startBreak();
+      }
+    }, 1000); // 给UI足够时间处理完成事件
+
+    console.log(`[TimerService] Timer completed for task: ${this.taskTitle}`);
+  }
+
+  /**
+   * 获取已完成的番茄钟之后的休息阶段（每完成longBreakInterval个番茄钟进入一次长休息）
+   * @returns {Object} {phase, totalSeconds}
+   */
+  getNextBreak() {
+    const { shortBreakSeconds, longBreakSeconds, longBreakInterval } =
+      this.cycleSettings;
+    const isLongBreak =
+      this.completedPomodoros > 0 &&
+      this.completedPomodoros % longBreakInterval === 0;
+
+    return isLongBreak
+      ? { phase: "longBreak", totalSeconds: longBreakSeconds }
+      : { phase: "shortBreak", totalSeconds: shortBreakSeconds };
+  }
+
+  /**
+   * 开始休息阶段
+   */
+  startBreak() {
+    const { longBreakInterval } = this.cycleSettings;
+    const nextBreak = this.getNextBreak();
+
+    this.phase = nextBreak.phase;
+    this.totalSeconds = nextBreak.totalSeconds;
+    this.remainingSeconds = this.totalSeconds;
+    this.startTime = Date.now();
+    this.status = "running";
+
+    this.startCountdown();
+    this.saveTimerState();
+    this.notifyObservers("breakStarted", {
+      phase: this.phase,
+      totalSeconds: this.totalSeconds,
+      remainingSeconds: this.remainingSeconds,
+      completedPomodoros: this.completedPomodoros,
+      longBreakInterval,
+    });
+
+    console.log(`[TimerService] ${this.phase} started (${this.totalSeconds}s)`);
+  }
+
+  /**
+   * 完成休息阶段
+   * @param {boolean} skipped - 是否由用户跳过（跳过时不发送通知）
+   */
+  completeBreak(skipped = false) {
+    const phase = this.phase;
+
+    this.clearCountdown();
+    this.status = "completed";
+
+    // 长休息结束后开始新的周期
+    if (phase === "longBreak") {
+      this.completedPomodoros = 0;
+    }
+
+    if (!skipped) {
+      this.sendNotification();
+    }
+
+    this.notifyObservers("breakCompleted", {
+      phase,
+      skipped,
+      completedPomodoros: this.completedPomodoros,
+    });
+
+    setTimeout(() => {
+      if (this.status !== "completed") return;
+      this.resetTimer();
+      this.saveTimerState();
+    }, 1000);
+
+    console.log(`[TimerService] ${phase} ${skipped ? "skipped" : "completed"}`);
+  }
+
+  /**
+   * 跳过当前休息
+   * @returns {boolean} 是否成功跳过
+   */
+  skipBreak() {
+    if (!this.isBreakPhase() || this.status === "idle") {
+      console.warn("[TimerService] No break in progress");
+      return false;
+    }
+
+    this.completeBreak(true);
+    return true;
+  }
+
+  /**
+   * 获取当前阶段的完成通知文案
+   * @returns {Object} 通知内容 {title, message}
+   */
+  getCompletionMessage() {
+    if (this.isBreakPhase()) {
+      return {
+        title: "休息结束 ☕",
+        message: "准备好开始下一个番茄钟了吗？",
+      };
+    }
+
+    return {
+      title: "专注时间结束 🍅",
+      message: this.taskTitle
+        ? `任务「${this.taskTitle}」的专注时间已完成`
+        : "专注时间已完成",
+    };
+  }
+
+  /**
+   * 发送桌面通知
+   * @param {string} title - 通知标题（默认为当前阶段的完成文案）
+   * @param {string} message - 通知消息
+   */
+  sendNotification(title = null, message = null) {
+    if (!title) {
+      ({ title, message } = this.getCompletionMessage());
+    }
+
+    if (this.notificationPermission === "granted") {
+      try {
+        // 更健壮的 Notification API 检测
+        const NotificationAPI = (typeof window !== 'undefined' && window.Notification) 
+          ? window.Notification 
+          : (typeof Notification !== 'undefined' ? Notification : null);
+        
+        if (!NotificationAPI) {
+          this.showFallbackNotification(title, message);
+          return;
+        }
+
+        const notification = new NotificationAPI(title, {
+          body: message,
+          icon: "data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjQiIGhlaWdodD0iMjQiIHZpZXdCb3g9IjAgMCAyNCAyNCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHBhdGggZD0iTTEyIDJMMTMuMDkgOC4yNkwyMCA5TDEzLjA5IDE1Ljc0TDEyIDIyTDEwLjkxIDE1Ljc0TDQgOUwxMC45MSA4LjI2TDEyIDJaIiBmaWxsPSIjRDk1NTUwIi8+Cjwvc3ZnPgo=",
+          requireInteraction: false,
+          silent: false,
+        });
+
+        // 自动关闭通知
+        setTimeout(() => {
+          notification.close();
+        }, 5000);
+
+        notification.onclick = () => {
+          window.focus();
+          notification.close();
+        };
+
+      } catch (error) {
+        console.error("[TimerService] Failed to send notification:", error);
+        this.showFallbackNotification(title, message);
+      }
+    } else {
+      console.warn(`[TimerService] Notification permission: ${this.notificationPermission}`);
+      this.showFallbackNotification(title, message);
+    }
+  }
+
+  /**
+   * 显示降级通知（页面内提示）
+   * @param {string} title - 通知标题
+   * @param {string} message - 通知消息
+   */
+  showFallbackNotification(title, message) {
+    // 创建页面内通知
+    const notification = document.createElement("div");
+    notification.style.cssText = `
+      position: fixed;
+      top: 20px;
+      right: 20px;
+      max-width: 300px;
+      padding: 16px;
+      background: #D95550;
+      color: white;
+      border-radius: 8px;
+      box-shadow: 0 4px 12px rgba(217, 85, 80, 0.3);
+      z-index: 10002;
+      font-family: Inter, sans-serif;
+      font-size: 14px;
+      line-height: 1.4;
+    `;
+    
+    // 使用DOM操作创建内容（防止XSS）
+    const titleDiv = document.createElement("div");
+    titleDiv.style.cssText = "font-weight: 600; margin-bottom: 4px;";
+    titleDiv.textContent = title;
+    notification.appendChild(titleDiv);
+    
+    const messageDiv = document.createElement("div");
+    messageDiv.textContent = message;
+    notification.appendChild(messageDiv);
+
+    document.body.appendChild(notification);
+
+    // 自动移除通知
+    setTimeout(() => {
+      if (notification.parentNode) {
+        notification.parentNode.removeChild(notification);
+      }
+    }, 5000);
+  }
+
+  /**
+   * 清除倒计时间隔
+   */
+  clearCountdown() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  /**
+   * 重置计时器状态
+   */
+  resetTimer() {
+    this.status = "idle";
+    this.taskId = null;
+    this.taskTitle = null;
+    this.startTime = null;
+    this.remainingSeconds = 0;
+    this.totalSeconds = this.getDefaultDuration();
+    this.phase = "focus";
+  }
+
+  /**
+   * 保存计时器状态
+   */
+  saveTimerState() {
+    if (!this.storage) return;
+
+    const state = {
+      status: this.status,
+      taskId: this.taskId,
+      taskTitle: this.taskTitle,
+      startTime: this.startTime,
+      remainingSeconds: this.remainingSeconds,
+      totalSeconds: this.totalSeconds,
+      phase: this.phase,
+      completedPomodoros: this.completedPomodoros,
+      timestamp: Date.now(),
+    };
+
+    this.storage.saveState("timerState", state);
+  }
+
+  /**
+   * 恢复计时器状态
+   */
+  async restoreTimerState() {
+    if (!this.storage) return;
+
+    try {
+      const state = this.storage.loadState("timerState");
+      if (!state) {
+        return;
+      }
+
+      // 周期进度在空闲时也需要保留
+      this.completedPomodoros = state.completedPomodoros || 0;
+
+      if (state.status === "idle") {
+        return;
+      }
+
+      const now = Date.now();
+      const timeDiff = Math.floor((now - state.timestamp) / 1000);
+
+      // 如果状态是运行中，需要计算实际剩余时间
+      if (state.status === "running") {
+        const elapsed = Math.floor((now - state.startTime) / 1000);
+        const remaining = Math.max(0, state.totalSeconds - elapsed);
+
+        // 已到时的计时由主标签页完成，其他标签页先按0显示
+        if (remaining > 0 || !this.isLeaderTab()) {
+          this.taskId = state.taskId;
+          this.taskTitle = state.taskTitle;
+          this.startTime = state.startTime;
+          this.remainingSeconds = remaining;
+          this.totalSeconds = state.totalSeconds;
+          this.phase = state.phase || "focus";
+          this.status = "running";
+
+          this.startCountdown();
+          console.log("[TimerService] Timer state restored and resumed");
+        } else {
+          // 计时器应该已经完成了
+          this.taskId = state.taskId;
+          this.taskTitle = state.taskTitle;
+          this.startTime = state.startTime;
+          this.totalSeconds = state.totalSeconds;
+          this.phase = state.phase || "focus";
+          this.completeTimer();
+          console.log("[TimerService] Timer completed while away");
+        }
+      } else if (state.status === "paused") {
+        this.taskId = state.taskId;
+        this.taskTitle = state.taskTitle;
+        this.remainingSeconds = state.remainingSeconds;
+        this.totalSeconds = state.totalSeconds;
+        this.phase = state.phase || "focus";
+        this.status = "paused";
+        console.log("[TimerService] Timer state restored (paused)");
+      }
+
+    } catch (error) {
+      console.error("[TimerService] Failed to restore timer state:", error);
+    }
+  }
+
+  // === 主标签页与跨标签页同步 ===
+
+  /**
+   * 本标签页是否负责推进倒计时、完成计时和发送通知
+   * @returns {boolean}
+   */
+  isLeaderTab() {
+    return !this.leaderService || this.leaderService.isLeader;
+  }
+
+  /**
+   * 重新选主后判断本标签页是否仍是主标签页，用于完成计时、发送提醒等只能执行一次的操作
+   * @returns {boolean}
+   */
+  confirmLeaderTab() {
+    return !this.leaderService || this.leaderService.confirmLeadership();
+  }
+
+  /**
+   * 接替主标签页时立即检查进行中的计时（原主标签页可能在计时到点前后关闭）
+   * @param {string} event - 事件类型
+   * @param {Object} data - 事件数据
+   */
+  handleLeaderEvent(event, data) {
+    if (event === "leaderChanged" && data.isLeader && this.status === "running") {
+      console.log("[TimerService] Took over countdown as leader tab");
+      this.updateCountdown();
+    }
+  }
+
+  /**
+   * 监听其他标签页保存的计时器状态
+   */
+  setupTimerStateSync() {
+    if (
+      !this.storage ||
+      this.timerStateListenerId !== null ||
+      typeof GM_addValueChangeListener !== "function"
+    ) {
+      return;
+    }
+
+    this.timerStateListenerId = GM_addValueChangeListener(
+      this.storage.STORAGE_KEYS.TIMER_STATE,
+      (name, oldValue, newValue, remote) => {
+        if (remote) {
+          this.applyRemoteTimerState(newValue);
+        }
+      },
+    );
+  }
+
+  /**
+   * 采用其他标签页保存的计时器状态（开始、暂停、修改、主标签页完成计时等）
+   * 主标签页每秒保存的进度只更新剩余时间，不产生事件
+   * @param {string|Object} newValue - 存储中的计时器状态
+   */
+  applyRemoteTimerState(newValue) {
+    let state;
+    try {
+      state = typeof newValue === "string" ? JSON.parse(newValue) : newValue;
+    } catch (error) {
+      console.warn("[TimerService] Ignored unreadable remote timer state:", error);
+      return;
+    }
+    if (!state || typeof state !== "object") return;
+
+    const previous = {
+      status: this.status,
+      phase: this.phase,
+      taskId: this.taskId,
+      taskTitle: this.taskTitle,
+      startTime: this.startTime,
+      totalSeconds: this.totalSeconds,
+    };
+    const phase = state.phase || "focus";
+    const completedPomodoros = state.completedPomodoros || 0;
+
+    if (
+      state.status === previous.status &&
+      phase === previous.phase &&
+      state.taskId === previous.taskId &&
+      state.startTime === previous.startTime &&
+      state.totalSeconds === previous.totalSeconds &&
+      completedPomodoros === this.completedPomodoros
+    ) {
+      return;
+    }
+
+    this.status = state.status;
+    this.taskId = state.taskId;
+    this.taskTitle = state.taskTitle;
+    this.startTime = state.startTime;
+    this.totalSeconds = state.totalSeconds;
+    this.phase = phase;
+    this.completedPomodoros = completedPomodoros;
+    this.remainingSeconds =
+      state.status === "running"
+        ? Math.max(0, state.totalSeconds - Math.floor((Date.now() - state.startTime) / 1000))
+        : state.remainingSeconds;
+
+    if (this.status === "running") {
+      this.startCountdown();
+    } else {
+      this.clearCountdown();
+    }
+
+    for (const [event, data] of this.getRemoteTransitionEvents(previous)) {
+      this.notifyObservers(event, { ...data, remote: true });
+    }
+  }
+
+  /**
+   * 根据状态变化推断对应的计时器事件，供其他标签页的界面按相同事件更新
+   * @param {Object} previous - 变化前的状态 {status, phase, taskId, taskTitle, startTime, totalSeconds}
+   * @returns {Array<Array>} [事件类型, 事件数据]
+   */
+  getRemoteTransitionEvents(previous) {
+    const events = [];
+    const wasActive = previous.status === "running" || previous.status === "paused";
+    const wasFocus = wasActive && previous.phase === "focus";
+    const wasBreak = wasActive && previous.phase !== "focus";
+    const isBreak = this.isBreakPhase();
+
+    // 上一个阶段结束：专注进入休息（主标签页已完成计时），或休息结束/被跳过
+    if (wasFocus && isBreak) {
+      const completedAt = previous.startTime
+        ? Math.min(Date.now(), previous.startTime + previous.totalSeconds * 1000)
+        : Date.now();
+      this.lastCompletedTask = {
+        taskId: previous.taskId,
+        taskTitle: previous.taskTitle,
+        completedAt,
+      };
+      events.push([
+        "timerCompleted",
+        {
+          taskId: previous.taskId,
+          taskTitle: previous.taskTitle,
+          completedPomodoros: this.completedPomodoros,
+          completedAt,
+        },
+      ]);
+    } else if (wasBreak && !(isBreak && this.status === "running")) {
+      events.push([
+        "breakCompleted",
+        {
+          phase: previous.phase,
+          skipped: previous.startTime + previous.totalSeconds * 1000 > Date.now() + 1000,
+          completedPomodoros: this.completedPomodoros,
+        },
+      ]);
+    }
+
+    if (this.status === "running" && isBreak) {
+      if (!wasBreak || previous.phase !== this.phase) {
+        events.push([
+          "breakStarted",
+          {
+            phase: this.phase,
+            totalSeconds: this.totalSeconds,
+            remainingSeconds: this.remainingSeconds,
+            completedPomodoros: this.completedPomodoros,
+            longBreakInterval: this.cycleSettings.longBreakInterval,
+          },
+        ]);
+      }
+    } else if (this.status === "running" || this.status === "paused") {
+      const sameSession = wasFocus && previous.taskId === this.taskId;
+
+      if (sameSession && previous.status === "running" && this.status === "paused") {
+        events.push(["timerPaused", { remainingSeconds: this.remainingSeconds }]);
+      } else if (sameSession && previous.status === "paused" && this.status === "running") {
+        events.push(["timerResumed", { remainingSeconds: this.remainingSeconds }]);
+      } else if (sameSession) {
+        events.push([
+          "timerModified",
+          {
+            taskId: this.taskId,
+            taskTitle: this.taskTitle,
+            oldDuration: previous.totalSeconds,
+            newDuration: this.totalSeconds,
+            totalSeconds: this.totalSeconds,
+            remainingSeconds: this.remainingSeconds,
+          },
+        ]);
+      } else {
+        events.push([
+          "timerStarted",
+          {
+            taskId: this.taskId,
+            taskTitle: this.taskTitle,
+            phase: this.phase,
+            isExtension: false,
+            totalSeconds: this.totalSeconds,
+            remainingSeconds: this.remainingSeconds,
+          },
+        ]);
+      }
+    } else if (this.status === "idle" && wasFocus) {
+      events.push(["timerStopped", {}]);
+    }
+
+    return events;
+  }
+
+  /**
+   * 清除保存的计时器状态
+   */
+  clearTimerState() {
+    if (!this.storage) return;
+    this.storage.removeData("timerState");
+  }
+
+  /**
+   * 添加观察者
+   * @param {Function} observer - 观察者回调函数
+   */
+  addObserver(observer) {
+    if (typeof observer === "function" && !this.observers.has(observer)) {
+      this.observers.add(observer);
+    }
+  }
+
+  /**
+   * 移除观察者
+   * @param {Function} observer - 观察者回调函数
+   */
+  removeObserver(observer) {
+    this.observers.delete(observer);
+    // Observer removed using Set.delete() above
+  }
+
+  /**
+   * 通知所有观察者，并在事件总线上发布对应的类型化事件
+   * @param {string} event - 事件类型
+   * @param {Object} data - 事件数据
+   */
+  notifyObservers(event, data) {
+    for (const observer of this.observers) {
+      try {
+        observer(event, data);
+      } catch (error) {
+        console.error("[TimerService] Observer error:", error);
+      }
+    }
+    if (this.eventBus && this.BUS_EVENTS[event]) {
+      this.eventBus.emit(this.BUS_EVENTS[event], data);
+    }
+  }
+
+  /**
+   * 获取计时器当前状态
+   * @returns {Object} 计时器状态
+   */
+  getTimerState() {
+    return {
+      status: this.status,
+      taskId: this.taskId,
+      taskTitle: this.taskTitle,
+      remainingSeconds: this.remainingSeconds,
+      totalSeconds: this.totalSeconds,
+      phase: this.phase,
+      completedPomodoros: this.completedPomodoros,
+      longBreakInterval: this.cycleSettings.longBreakInterval,
+      progress: this.totalSeconds > 0 ? (this.totalSeconds - this.remainingSeconds) / this.totalSeconds : 0,
+    };
+  }
+
+  /**
+   * 获取任务信息（优先返回当前任务，如果没有则返回缓存的完成任务）
+   * @returns {Object|null} 任务信息 {taskId, taskTitle} 或 null
+   */
+  getTaskInfo() {
+    // 优先返回当前任务
+    if (this.taskId) {
+      return {
+        taskId: this.taskId,
+        taskTitle: this.taskTitle
+      };
+    }
+    
+    // 如果没有当前任务，返回缓存的完成任务
+    if (this.lastCompletedTask.taskId) {
+      return {
+        taskId: this.lastCompletedTask.taskId,
+        taskTitle: this.lastCompletedTask.taskTitle
+      };
+    }
+    
+    // 都没有则返回 null
+    return null;
+  }
+
+  /**
+   * 格式化时间显示
+   * @param {number} seconds - 秒数
+   * @returns {string} 格式化的时间 (MM:SS)
+   */
+  formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const secs = seconds % 60;
+    return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  }
+
+  /**
+   * 销毁计时器服务
+   */
+  destroy() {
+    this.clearCountdown();
+    this.clearTimerState();
+    if (typeof GM_removeValueChangeListener === "function") {
+      for (const listenerId of [this.settingsListenerId, this.timerStateListenerId]) {
+        if (listenerId !== null) GM_removeValueChangeListener(listenerId);
+      }
+    }
+    this.settingsListenerId = null;
+    this.timerStateListenerId = null;
+    if (this.leaderService) {
+      this.leaderService.removeObserver(this.boundLeaderObserver);
+    }
+    this.observers = new Set();
+    console.log("[TimerService] Destroyed");
+  }
+}
+
+    /**
+     * TodoTxtService - Linus式依赖注入 Todo.txt 导入导出服务
+     */
+    class TodoTxtService {
+  constructor(storage, taskService) {
+    // 依赖注入 - 显式优于隐式
+    this.storage = storage;
+    this.taskService = taskService;
+
+    this.PRIORITY_FROM_LETTER = { A: "high", B: "medium", C: "low" };
+    this.LETTER_FROM_PRIORITY = { high: "A", medium: "B", low: "C" };
+    this.DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+    console.log("[TodoTxtService] Created");
+  }
+
+  // === 导入 ===
+
+  /**
+   * 解析 todo.txt 文本
+   * @param {string} text - 文件内容
+   * @returns {Object} {tasks: Task[], errors: [{line, text, message}]}
+   */
+  parse(text) {
+    const tasks = [];
+    const errors = [];
+    const lines = String(text || "").split(/\r?\n/);
+
+    lines.forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line) return;
+
+      try {
+        const task = this.parseLine(line, index + 1);
+        this.storage.validateTasksData([task]);
+        tasks.push(task);
+      } catch (error) {
+        errors.push({ line: index + 1, text: line, message: error.message });
+      }
+    });
+
+    return { tasks, errors };
+  }
+
+  /**
+   * 解析单行 todo.txt 为任务对象
+   * ID 为占位值，加入任务列表时由 TaskService 重新分配
+   * @param {string} line - 去掉首尾空白的行
+   * @param {number} lineNumber - 行号
+   * @returns {Task}
+   * @throws {Error} 日期、优先级或标题无效时
+   */
+  parseLine(line, lineNumber) {
+    const tokens = line.split(/\s+/);
+    let isCompleted = false;
+    let completedDate = null;
+    let createdDate = null;
+    let letter = null;
+
+    if (tokens[0] === "x") {
+      isCompleted = true;
+      tokens.shift();
+      if (this.DATE_PATTERN.test(tokens[0])) completedDate = tokens.shift();
+      if (completedDate && this.DATE_PATTERN.test(tokens[0])) createdDate = tokens.shift();
+    } else {
+      if (/^\([A-Z]\)$/.test(tokens[0])) letter = tokens.shift()[1];
+      if (this.DATE_PATTERN.test(tokens[0])) createdDate = tokens.shift();
+    }
+
+    const words = [];
+    const projects = [];
+    const tags = [];
+    let dueDate = null;
+
+    for (const token of tokens) {
+      if (/^\+\S+$/.test(token)) {
+        projects.push(token.slice(1));
+      } else if (/^@\S+$/.test(token)) {
+        tags.push(token.slice(1));
+      } else if (/^due:/.test(token)) {
+        dueDate = this.taskService.normalizeDueDate(token.slice(4));
+      } else if (/^pri:[A-Z]$/.test(token)) {
+        letter = token[4];
+      } else {
+        words.push(token);
+      }
+    }
+
+    const title = words.join(" ");
+    if (!title) {
+      throw new Error("Line has no task title");
+    }
+
+    const createdAt = createdDate ? this.parseDate(createdDate) : Date.now();
+    const completedAt = isCompleted
+      ? completedDate
+        ? this.parseDate(completedDate)
+        : createdAt
+      : null;
+
+    return {
+      id: `todotxt-${lineNumber}`,
+      title,
+      isCompleted,
+      createdAt,
+      completedAt,
+      pomodoroCount: 0,
+      priority: letter ? this.PRIORITY_FROM_LETTER[letter] || "low" : null,
+      estimatedPomodoros: null,
+      project: this.taskService.normalizeProject(projects[0]),
+      tags: this.taskService.normalizeTags([...projects.slice(1), ...tags]),
+      dueDate,
+      reminderAt: null,
+      reminderSent: false,
+      recurrence: null,
+      seriesId: null,
+    };
+  }
+
+  /**
+   * 将 YYYY-MM-DD 转为当天零点的本地时间戳
+   * @param {string} value - 日期
+   * @returns {number}
+   * @throws {Error} 日期不存在时（如 2026-02-30）
+   */
+  parseDate(value) {
+    const [year, month, day] = value.split("-").map(Number);
+    const date = new Date(year, month - 1, day);
+    if (date.getMonth() !== month - 1 || date.getDate() !== day) {
+      throw new Error(`Invalid date: ${value}`);
+    }
+    return date.getTime();
+  }
+
+  /**
+   * 预览导入结果，不修改任务
+   * @param {string} text - 文件内容
+   * @returns {Object} {tasks, duplicates, errors}
+   */
+  previewImport(text) {
+    const { tasks, errors } = this.parse(text);
+    const existing = new Set(
+      [...this.taskService.getAllTasks(), ...this.taskService.getArchivedTasks()].map(
+        (task) => this.getDuplicateKey(task),
+      ),
+    );
+
+    const plan = { tasks: [], duplicates: [], errors };
+    for (const task of tasks) {
+      if (existing.has(this.getDuplicateKey(task))) {
+        plan.duplicates.push(task);
+      } else {
+        plan.tasks.push(task);
+      }
+    }
+    return plan;
+  }
+
+  /**
+   * 判断重复导入的依据：标题和创建日期
+   * @param {Task} task - 任务对象
+   * @returns {string}
+   */
+  getDuplicateKey(task) {
+    return `${this.taskService.getDateKey(task.createdAt)}|${task.title}`;
+  }
+
+  /**
+   * 按预览结果加入任务
+   * @param {Object} plan - previewImport 返回的预览
+   * @returns {Promise<Array<Task>>} 加入的任务
+   */
+  async applyImport(plan) {
+    const added = await this.taskService.addImportedTasks(plan.tasks);
+    console.log(`[TodoTxtService] Imported ${added.length} tasks from todo.txt`);
+    return added;
+  }
+
+  // === 导出 ===
+
+  /**
+   * 导出活动和已归档的任务为 todo.txt 文本
+   * @returns {string}
+   */
+  exportTasks() {
+    const tasks = [
+      ...this.taskService.getAllTasks(),
+      ...this.taskService.getArchivedTasks(),
+    ];
+    return tasks.map((task) => this.formatTask(task)).join("\n");
+  }
+
+  /**
+   * 将任务格式化为一行 todo.txt
+   * @param {Task} task - 任务对象
+   * @returns {string}
+   */
+  formatTask(task) {
+    const getDateKey = (timestamp) => this.taskService.getDateKey(timestamp);
+    const letter = this.LETTER_FROM_PRIORITY[task.priority] || null;
+    const parts = [];
+
+    if (task.isCompleted) {
+      parts.push("x", getDateKey(task.completedAt || task.createdAt));
+    } else if (letter) {
+      parts.push(`(${letter})`);
+    }
+    parts.push(getDateKey(task.createdAt), task.title.replace(/\s+/g, " ").trim());
+
+    if (task.project) parts.push(`+${task.project}`);
+    (task.tags || []).forEach((tag) => parts.push(`@${tag}`));
+    if (task.dueDate) parts.push(`due:${task.dueDate}`);
+    if (task.isCompleted && letter) parts.push(`pri:${letter}`);
+
+    return parts.join(" ");
+  }
+}
+
+    /**
+     * WhitelistManager - 网站规则列表管理器
+     */
+    /**
+ * 网站白名单管理器类
+ */
+class WhitelistManager {
+  /**
+   * @param {string} listKey - 设置中的列表字段："whitelist" 或 "blacklist"
+   * @param {EventBus} eventBus - 事件总线，规则变化时发布 RULE_* 事件
+   */
+  constructor(listKey = "whitelist", eventBus = null) {
+    this.listKey = listKey; // 同时用作设置字段名和DOM事件前缀
+    this.eventBus = eventBus;
+    this.domains = new Map(); // 规则键 -> 规则对象 {type, pattern}，避免重复
+    this.storageManager = null; // 延迟初始化
+    this.regexCache = new Map(); // 正则规则编译缓存
+    this.settingsListenerId = null; // 跨标签页同步：设置存储键的变化监听器ID
+
+    // 规则类型及显示名称
+    this.RULE_TYPES = {
+      exact: "精确域名",
+      wildcard: "子域名通配",
+      path: "路径前缀",
+      regex: "正则表达式",
+    };
+
+    // DOM事件类型 -> 事件总线上的类型化事件
+    this.BUS_EVENTS = {
+      domainAdded: EventBus.EVENTS.RULE_ADDED,
+      domainRemoved: EventBus.EVENTS.RULE_REMOVED,
+      domainsCleared: EventBus.EVENTS.RULES_CLEARED,
+      domainsReloaded: EventBus.EVENTS.RULES_RELOADED,
+    };
+  }
+
+  /**
+   * 初始化白名单管理器
+   * @param {Storage} storageManager - 存储管理器实例
+   */
+  async initialize(storageManager) {
+    this.storageManager = storageManager;
+
+    try {
+      // 从存储加载白名单数据
+      const settings = await this.storageManager.loadSettings();
+      if (settings && Array.isArray(settings[this.listKey])) {
+        const needsMigration = this.loadRules(settings[this.listKey]);
+        console.log(
+          `[WhitelistManager] Loaded ${this.domains.size} ${this.listKey} rules from storage`,
+        );
+
+        if (needsMigration) {
+          await this.saveToStorage();
+          console.log(`[WhitelistManager] Migrated legacy ${this.listKey} entries`);
+        }
+      }
+    } catch (error) {
+      console.error("[WhitelistManager] Failed to initialize:", error);
+    }
+
+    this.setupCrossTabSync();
+  }
+
+  /**
+   * 监听其他标签页对设置的修改
+   */
+  setupCrossTabSync() {
+    if (
+      this.settingsListenerId !== null ||
+      typeof GM_addValueChangeListener !== "function"
+    ) {
+      return;
+    }
+
+    this.settingsListenerId = GM_addValueChangeListener(
+      this.storageManager.STORAGE_KEYS.SETTINGS,
+      (name, oldValue, newValue, remote) => {
+        if (remote) {
+          this.handleRemoteSettingsChange();
+        }
+      },
+    );
+  }
+
+  /**
+   * 其他标签页保存设置后，规则列表有变化时重新加载并派发 domainsReloaded 事件（detail.remote 为 true）
+   */
+  async handleRemoteSettingsChange() {
+    try {
+      const settings = await this.storageManager.loadLatestSettings();
+      const entries = Array.isArray(settings[this.listKey]) ? settings[this.listKey] : [];
+      if (JSON.stringify(entries) === JSON.stringify(this.getRules())) {
+        return;
+      }
+
+      this.loadRules(entries);
+      console.log(
+        `[WhitelistManager] Synced ${this.domains.size} ${this.listKey} rules from another tab`,
+      );
+      this.dispatchChangeEvent("domainsReloaded", { remote: true });
+    } catch (error) {
+      console.warn("[WhitelistManager] Ignored unreadable remote settings change:", error);
+    }
+  }
+
+  /**
+   * 停止跨标签页同步
+   */
+  destroy() {
+    if (
+      this.settingsListenerId !== null &&
+      typeof GM_removeValueChangeListener === "function"
+    ) {
+      GM_removeValueChangeListener(this.settingsListenerId);
+    }
+    this.settingsListenerId = null;
+  }
+
+  /**
+   * 从存储重新加载规则（如导入备份后）
+   */
+  async reload() {
+    await this.initialize(this.storageManager);
+    this.dispatchChangeEvent("domainsReloaded");
+  }
+
+  /**
+   * 从存储的白名单数组加载规则
+   * @param {Array<string|Object>} entries - 规则对象或旧版纯字符串条目
+   * @returns {boolean} 是否包含需要迁移的旧版条目
+   */
+  loadRules(entries) {
+    let needsMigration = false;
+    this.domains = new Map();
+    this.regexCache.clear();
+
+    for (const entry of entries) {
+      let rule = null;
+      if (typeof entry === "string") {
+        rule = this.migrateLegacyEntry(entry);
+        needsMigration = true;
+      } else if (entry && typeof entry === "object") {
+        rule = this.validateAndCleanDomain(entry.pattern, entry.type);
+      }
+
+      if (rule) {
+        this.domains.set(this.getRuleKey(rule), rule);
+      } else {
+        console.warn(`[WhitelistManager] Dropped invalid ${this.listKey} entry:`, entry);
+      }
+    }
+
+    return needsMigration;
+  }
+
+  /**
+   * 迁移旧版纯字符串条目
+   * 旧版使用包含匹配，"ab.com" 同时放行其子域名，迁移为 "*.ab.com" 以保持原意
+   * @param {string} entry - 旧版域名条目
+   * @returns {Object|null} 迁移后的规则
+   */
+  migrateLegacyEntry(entry) {
+    const host = this.cleanHost(entry);
+    return host ? { type: "wildcard", pattern: `*.${host}` } : null;
+  }
+
+  /**
+   * 添加规则到白名单
+   * @param {string|Object} domain - 规则输入，或 {type, pattern} 规则对象
+   * @param {string} type - 规则类型（auto 时按输入格式自动识别）
+   * @returns {boolean} 添加是否成功
+   */
+  async addDomain(domain, type = "auto") {
+    try {
+      // 验证规则格式
+      const rule =
+        domain && typeof domain === "object"
+          ? this.validateAndCleanDomain(domain.pattern, domain.type)
+          : this.validateAndCleanDomain(domain, type);
+      if (!rule) {
+        console.warn("[WhitelistManager] Invalid rule format:", domain);
+        return false;
+      }
+
+      // 检查是否已存在
+      const key = this.getRuleKey(rule);
+      if (this.domains.has(key)) {
+        console.warn("[WhitelistManager] Rule already exists:", key);
+        return false;
+      }
+
+      // 添加到内存
+      this.domains.set(key, rule);
+
+      // 持久化到存储
+      const success = await this.saveToStorage();
+      if (success) {
+        console.log("[WhitelistManager] Rule added:", key);
+        this.dispatchChangeEvent("domainAdded", { domain: rule.pattern, rule });
+        return true;
+      } else {
+        // 如果保存失败，从内存中移除
+        this.domains.delete(key);
+        return false;
+      }
+    } catch (error) {
+      console.error("[WhitelistManager] Failed to add domain:", error);
+      return false;
+    }
+  }
+
+  /**
+   * 从白名单移除规则
+   * @param {string|Object} domain - 规则键、规则对象或规则输入
+   * @returns {boolean} 移除是否成功
+   */
+  async removeDomain(domain) {
+    try {
+      const key = this.resolveRuleKey(domain);
+      const rule = key ? this.domains.get(key) : null;
+      if (!rule) {
+        console.warn("[WhitelistManager] Rule not found:", domain);
+        return false;
+      }
+
+      // 从内存移除
+      this.domains.delete(key);
+
+      // 持久化到存储
+      const success = await this.saveToStorage();
+      if (success) {
+        console.log("[WhitelistManager] Rule removed:", key);
+        this.dispatchChangeEvent("domainRemoved", { domain: rule.pattern, rule });
+        return true;
+      } else {
+        // 如果保存失败，重新添加到内存
+        this.domains.set(key, rule);
+        return false;
+      }
+    } catch (error) {
+      console.error("[WhitelistManager] Failed to remove domain:", error);
+      return false;
+    }
+  }
+
+  /**
+   * 将各种形式的规则引用解析为规则键
+   * @param {string|Object} domain - 规则键、规则对象或规则输入
+   * @returns {string|null} 规则键
+   */
+  resolveRuleKey(domain) {
+    if (domain && typeof domain === "object") {
+      const rule = this.validateAndCleanDomain(domain.pattern, domain.type);
+      return rule ? this.getRuleKey(rule) : null;
+    }
+
+    if (this.domains.has(domain)) {
+      return domain;
+    }
+
+    const rule = this.validateAndCleanDomain(domain);
+    return rule ? this.getRuleKey(rule) : null;
+  }
+
+  /**
+   * 获取规则的唯一键
+   * @param {Object} rule - 规则对象
+   * @returns {string} 规则键
+   */
+  getRuleKey(rule) {
+    return `${rule.type}:${rule.pattern}`;
+  }
+
+  /**
+   * 检查URL是否被白名单规则放行
+   * @param {string} url - 要检查的URL
+   * @returns {boolean} 是否被允许
+   */
+  isDomainAllowed(url) {
+    const rule = this.findMatchingRule(url);
+    if (rule) {
+      console.log(
+        `[WhitelistManager] URL allowed: ${url} (matched: ${this.getRuleKey(rule)})`,
+      );
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 查找第一条匹配URL的规则（黑名单模式下用于判断是否拦截）
+   * @param {string} url - 要检查的URL
+   * @returns {Object|null} 匹配的规则，无匹配返回null
+   */
+  findMatchingRule(url) {
+    try {
+      const target = this.parseTarget(url);
+      if (!target) {
+        return null;
+      }
+
+      for (const rule of this.domains.values()) {
+        if (this.matchesRule(rule, target)) {
+          return rule;
+        }
+      }
+
+      return null;
+    } catch (error) {
+      console.error("[WhitelistManager] Failed to check domain:", error);
+      return null;
+    }
+  }
+
+  /**
+   * 检查目标是否匹配单条规则
+   * @param {Object} rule - 规则对象
+   * @param {Object} target - parseTarget 的结果 {host, path, url}
+   * @returns {boolean} 是否匹配
+   */
+  matchesRule(rule, target) {
+    switch (rule.type) {
+      case "exact":
+        return target.host === rule.pattern;
+
+      case "wildcard": {
+        // "*.ab.com" 匹配 ab.com 及其所有子域名，但不匹配 crab.com
+        const base = rule.pattern.slice(2);
+        return target.host === base || target.host.endsWith(`.${base}`);
+      }
+
+      case "path": {
+        const slashIndex = rule.pattern.indexOf("/");
+        const host = rule.pattern.slice(0, slashIndex);
+        const prefix = rule.pattern.slice(slashIndex);
+        // 按路径段匹配："/myorg" 匹配 "/myorg/repo"，不匹配 "/myorgs"
+        return (
+          target.host === host &&
+          (target.path === prefix || target.path.startsWith(`${prefix}/`))
+        );
+      }
+
+      case "regex":
+        return this.getCompiledRegex(rule.pattern).test(target.url);
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * 获取编译后的正则表达式（带缓存）
+   * @param {string} pattern - 正则表达式源码
+   * @returns {RegExp} 正则对象
+   */
+  getCompiledRegex(pattern) {
+    if (!this.regexCache.has(pattern)) {
+      this.regexCache.set(pattern, new RegExp(pattern, "i"));
+    }
+    return this.regexCache.get(pattern);
+  }
+
+  /**
+   * 解析待检查的URL
+   * @param {string} url - URL或域名
+   * @returns {Object|null} {host, path, url}，解析失败返回null
+   */
+  parseTarget(url) {
+    const host = this.extractDomainFromURL(url);
+    if (!host) {
+      return null;
+    }
+
+    let path = "/";
+    try {
+      if (url.includes("://")) {
+        path = new URL(url).pathname.toLowerCase();
+      }
+    } catch (error) {
+      // 无法解析路径时按根路径处理
+    }
+
+    return { host, path, url };
+  }
+
+  /**
+   * 获取所有白名单规则（按模式排序）
+   * @returns {Array<Object>} 规则对象数组 {type, pattern}
+   */
+  getRules() {
+    return Array.from(this.domains.values()).sort((a, b) =>
+      a.pattern.localeCompare(b.pattern),
+    );
+  }
+
+  /**
+   * 获取所有白名单规则的模式字符串
+   * @returns {Array<string>} 模式数组
+   */
+  getDomains() {
+    return this.getRules().map((rule) => rule.pattern);
+  }
+
+  /**
+   * 获取规则类型的显示名称
+   * @param {string} type - 规则类型
+   * @returns {string} 显示名称
+   */
+  getRuleTypeLabel(type) {
+    return this.RULE_TYPES[type] || type;
+  }
+
+  /**
+   * 清空所有白名单域名
+   * @returns {boolean} 清空是否成功
+   */
+  async clearDomains() {
+    try {
+      this.domains.clear();
+      this.regexCache.clear();
+      const success = await this.saveToStorage();
+
+      if (success) {
+        console.log("[WhitelistManager] All domains cleared");
+        this.dispatchChangeEvent("domainsCleared");
+        return true;
+      }
+
+      return false;
+    } catch (error) {
+      console.error("[WhitelistManager] Failed to clear domains:", error);
+      return false;
+    }
+  }
+
+  /**
+   * 按规则类型验证并清理规则输入
+   * @param {string} domain - 原始输入，如 "github.com"、"*.google.com"、"github.com/myorg/*"
+   * @param {string} type - 规则类型：auto、exact、wildcard、path、regex
+   * @returns {Object|null} 清理后的规则 {type, pattern}，无效时返回null
+   */
+  validateAndCleanDomain(domain, type = "auto") {
+    if (typeof domain !== "string" || domain.trim() === "") {
+      return null;
+    }
+
+    // 正则规则需显式选择，保留原始大小写
+    if (type === "regex") {
+      const pattern = domain.trim();
+      if (pattern.length > 500) {
+        return null;
+      }
+      try {
+        new RegExp(pattern, "i");
+      } catch (error) {
+        return null;
+      }
+      return { type: "regex", pattern };
+    }
+
+    const cleaned = domain
+      .trim()
+      .toLowerCase()
+      .replace(/^https?:\/\//, "");
+
+    // 自动识别：*.前缀为通配，带路径为路径前缀，否则为精确域名
+    let resolvedType = type;
+    if (type === "auto") {
+      const slashIndex = cleaned.indexOf("/");
+      const pathPart = slashIndex >= 0 ? this.cleanPathPrefix(cleaned.slice(slashIndex)) : "";
+      if (cleaned.startsWith("*.")) {
+        resolvedType = "wildcard";
+      } else if (pathPart) {
+        resolvedType = "path";
+      } else {
+        resolvedType = "exact";
+      }
+    }
+
+    switch (resolvedType) {
+      case "exact": {
+        const host = this.cleanHost(cleaned);
+        return host ? { type: "exact", pattern: host } : null;
+      }
+
+      case "wildcard": {
+        const host = this.cleanHost(cleaned.replace(/^\*\./, ""));
+        return host ? { type: "wildcard", pattern: `*.${host}` } : null;
+      }
+
+      case "path": {
+        const slashIndex = cleaned.indexOf("/");
+        if (slashIndex < 0) {
+          return null;
+        }
+        const host = this.cleanHost(cleaned.slice(0, slashIndex));
+        const prefix = this.cleanPathPrefix(cleaned.slice(slashIndex));
+        return host && prefix ? { type: "path", pattern: `${host}${prefix}` } : null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 清理路径前缀：去除查询参数、片段、末尾的 "*" 和 "/"
+   * @param {string} path - 以 "/" 开头的路径
+   * @returns {string} 清理后的路径前缀，根路径返回空字符串
+   */
+  cleanPathPrefix(path) {
+    return path
+      .split("?")[0]
+      .split("#")[0]
+      .replace(/\*+$/, "")
+      .replace(/\/+$/, "");
+  }
+
+  /**
+   * 验证并清理主机名
+   * @param {string} domain - 原始域名
+   * @returns {string|null} 清理后的域名，无效时返回null
+   */
+  cleanHost(domain) {
+    if (typeof domain !== "string") {
+      return null;
+    }
+
+    // 清理空白字符和转换为小写
+    const cleaned = domain.trim().toLowerCase();
+
+    if (cleaned === "") {
+      return null;
+    }
+
+    // 移除协议前缀
+    const withoutProtocol = cleaned.replace(/^https?:\/\//, "");
+
+    // 移除路径、查询参数和片段
+    const domainOnly = withoutProtocol
+      .split("/")[0]
+      .split("?")[0]
+      .split("#")[0];
+
+    // 移除端口号
+    const withoutPort = domainOnly.split(":")[0];
+
+    // 基础域名格式验证
+    if (!this.isValidDomainFormat(withoutPort)) {
+      return null;
+    }
+
+    return withoutPort;
+  }
+
+  /**
+   * 检查域名格式是否有效
+   * @param {string} domain - 域名
+   * @returns {boolean} 格式是否有效
+   */
+  isValidDomainFormat(domain) {
+    // 空字符串检查
+    if (!domain || domain.length === 0) {
+      return false;
+    }
+
+    // 长度检查
+    if (domain.length > 253) {
+      return false;
+    }
+
+    // 基础字符检查：只允许字母、数字、点号和连字符
+    const domainRegex = /^[a-z0-9.-]+$/;
+    if (!domainRegex.test(domain)) {
+      return false;
+    }
+
+    // 检查是否以点号开始或结束
+    if (domain.startsWith(".") || domain.endsWith(".")) {
+      return false;
+    }
+
+    // 检查是否包含连续的点号
+    if (domain.includes("..")) {
+      return false;
+    }
+
+    // 检查各部分长度（每个标签不能超过63个字符）
+    const labels = domain.split(".");
+    for (const label of labels) {
+      if (label.length === 0 || label.length > 63) {
+        return false;
+      }
+
+      // 标签不能以连字符开始或结束
+      if (label.startsWith("-") || label.endsWith("-")) {
+        return false;
+      }
+
+      // 检查标签是否只包含连字符（无效）
+      if (label === "-") {
+        return false;
+      }
+    }
+
+    // 至少要有一个点号（排除纯localhost等）
+    if (!domain.includes(".")) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * 从URL提取域名
+   * @param {string} url - URL字符串
+   * @returns {string|null} 域名，提取失败返回null
+   */
+  extractDomainFromURL(url) {
+    try {
+      // 如果不是完整URL，假设是域名
+      if (!url.includes("://")) {
+        return this.cleanHost(url);
+      }
+
+      const urlObj = new URL(url);
+      return urlObj.hostname.toLowerCase();
+    } catch (error) {
+      // URL构造失败，尝试手动解析
+      const cleaned = url.replace(/^https?:\/\//, "");
+      const domain = cleaned.split("/")[0].split("?")[0].split("#")[0];
+      return this.cleanHost(domain);
+    }
+  }
+
+  /**
+   * 保存白名单数据到存储
+   * @returns {boolean} 保存是否成功
+   * @private
+   */
+  async saveToStorage() {
+    if (!this.storageManager) {
+      console.error("[WhitelistManager] StorageManager not initialized");
+      return false;
+    }
+
+    try {
+      // 获取当前设置
+      const settings = await this.storageManager.loadSettings();
+
+      // 更新规则列表
+      settings[this.listKey] = this.getRules();
+
+      // 保存设置
+      return await this.storageManager.saveSettings(settings);
+    } catch (error) {
+      console.error("[WhitelistManager] Failed to save to storage:", error);
+      return false;
+    }
+  }
+
+  /**
+   * 触发白名单变更事件：在事件总线上发布，并保留原有的DOM事件
+   * @param {string} eventType - 事件类型
+   * @param {Object} detail - 事件详情
+   * @private
+   */
+  dispatchChangeEvent(eventType, detail = {}) {
+    const payload = {
+      ...detail,
+      domains: this.getDomains(),
+      rules: this.getRules(),
+      timestamp: Date.now(),
+    };
+
+    if (this.eventBus && this.BUS_EVENTS[eventType]) {
+      this.eventBus.emit(this.BUS_EVENTS[eventType], { listKey: this.listKey, ...payload });
+    }
+
+    // 检查是否在浏览器环境中
+    if (
+      typeof window !== "undefined" &&
+      typeof document !== "undefined" &&
+      typeof CustomEvent !== "undefined"
+    ) {
+      try {
+        const event = new CustomEvent(`tomato-monkey-${this.listKey}-${eventType}`, {
+          detail: payload,
+          bubbles: false,
+          cancelable: false,
+        });
+
+        document.dispatchEvent(event);
+      } catch (error) {
+        console.warn("[WhitelistManager] Failed to dispatch event:", error);
+      }
+    }
+  }
+
+  /**
+   * 获取白名单统计信息
+   * @returns {Object} 统计信息
+   */
+  getStats() {
+    return {
+      totalDomains: this.domains.size,
+      domains: this.getDomains(),
+      rules: this.getRules(),
+      lastModified: Date.now(),
+    };
+  }
+}
+
+    /**
+     * ArchivePanel - 已归档任务浏览UI组件
+     */
+    class ArchivePanel {
+  constructor(container, taskService, eventBus) {
+    this.container = container;
+    this.taskService = taskService;
+    this.eventBus = eventBus;
+    this.isInitialized = false;
+
+    // 每批渲染的任务数量
+    this.PAGE_SIZE = 100;
+    this.visibleLimit = this.PAGE_SIZE;
+    this.searchText = "";
+
+    // UI元素引用
+    this.elements = null;
+
+    // 事件总线订阅：归档内容或设置变化时重新渲染
+    this.unsubscribeEvents = null;
+
+    this.initialize();
+  }
+
+  /**
+   * 初始化组件
+   */
+  initialize() {
+    if (this.isInitialized) {
+      return;
+    }
+
+    try {
+      this.createUI();
+      this.bindEvents();
+      this.unsubscribeEvents = this.eventBus.onMany(
+        [
+          EventBus.EVENTS.TASKS_ARCHIVED,
+          EventBus.EVENTS.TASKS_RELOADED,
+          EventBus.EVENTS.TASK_POMODORO_UPDATED,
+          EventBus.EVENTS.ARCHIVE_SETTINGS_CHANGED,
+        ],
+        () => this.render(),
+      );
+      this.render();
+
+      this.isInitialized = true;
+      console.log("[ArchivePanel] Initialized successfully");
+    } catch (error) {
+      console.error("[ArchivePanel] Failed to initialize:", error);
+    }
+  }
+
+  /**
+   * 创建UI界面
+   */
+  createUI() {
+    this.container.innerHTML = `
+            <div class="data-section">
+                <h4>自动归档</h4>
+                <p class="data-hint">完成超过指定天数的任务将移出待办列表，仍计入效率统计</p>
+                <div class="data-options">
+                    <label class="data-option" for="archive-days-input">完成后天数</label>
+                    <input
+                        type="number"
+                        id="archive-days-input"
+                        class="archive-days-input"
+                        min="1"
+                        max="365"
+                        step="1"
+                    />
+                    <button type="button" id="archive-days-save" class="data-button">
+                        保存
+                    </button>
+                    <button type="button" id="archive-now-button" class="data-button">
+                        立即归档
+                    </button>
+                </div>
+                <div class="input-feedback" id="archive-feedback" role="alert" aria-live="polite"></div>
+            </div>
+
+            <div class="data-section">
+                <div class="archive-header">
+                    <h4>归档历史 <span id="archive-count" class="archive-count"></span></h4>
+                </div>
+                <input
+                    type="search"
+                    id="archive-search"
+                    class="archive-search"
+                    placeholder="搜索标题、项目、标签、检查项或备注"
+                    aria-label="搜索已归档的任务"
+                />
+                <div class="archive-groups" id="archive-groups"></div>
+                <p class="data-hint hidden" id="archive-empty-state"></p>
+                <button type="button" id="archive-more-button" class="data-button hidden">
+                    显示更多
+                </button>
+            </div>
+        `;
+
+    this.elements = {
+      daysInput: this.container.querySelector("#archive-days-input"),
+      daysSave: this.container.querySelector("#archive-days-save"),
+      archiveNow: this.container.querySelector("#archive-now-button"),
+      feedback: this.container.querySelector("#archive-feedback"),
+      count: this.container.querySelector("#archive-count"),
+      search: this.container.querySelector("#archive-search"),
+      groups: this.container.querySelector("#archive-groups"),
+      emptyState: this.container.querySelector("#archive-empty-state"),
+      moreButton: this.container.querySelector("#archive-more-button"),
+    };
+  }
+
+  /**
+   * 绑定事件监听器
+   */
+  bindEvents() {
+    const { daysInput, daysSave, archiveNow, search, moreButton } = this.elements;
+
+    daysSave.addEventListener("click", () => this.handleDaysSave());
+    daysInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        this.handleDaysSave();
+      }
+    });
+    archiveNow.addEventListener("click", () => this.handleArchiveNow());
+
+    search.addEventListener("input", () => {
+      this.searchText = search.value;
+      this.visibleLimit = this.PAGE_SIZE;
+      this.render();
+    });
+
+    moreButton.addEventListener("click", () => {
+      this.visibleLimit += this.PAGE_SIZE;
+      this.render();
+    });
+  }
+
+  /**
+   * 渲染归档天数和按日期分组的任务
+   */
+  render() {
+    if (!this.elements) return;
+
+    const { daysInput, count, groups, emptyState, moreButton } = this.elements;
+
+    if (document.activeElement !== daysInput) {
+      daysInput.value = this.taskService.archiveAfterDays;
+    }
+
+    const total = this.taskService.archive.size;
+    count.textContent = total > 0 ? `(${total})` : "";
+
+    const archiveGroups = this.taskService.getArchiveGroups(this.searchText);
+    const matched = archiveGroups.reduce((sum, group) => sum + group.tasks.length, 0);
+
+    emptyState.textContent = total === 0 ? "暂无已归档的任务" : "没有匹配的任务";
+    emptyState.classList.toggle("hidden", matched > 0);
+    moreButton.classList.toggle("hidden", matched <= this.visibleLimit);
+
+    groups.innerHTML = "";
+    let remaining = this.visibleLimit;
+    for (const group of archiveGroups) {
+      if (remaining <= 0) break;
+      const tasks = group.tasks.slice(0, remaining);
+      remaining -= tasks.length;
+      groups.appendChild(this.createGroupElement(group.date, tasks, group.tasks.length));
+    }
+  }
+
+  /**
+   * 创建日期分组元素
+   * @param {string} date - 完成日期 "YYYY-MM-DD"
+   * @param {Array<Task>} tasks - 本组要显示的任务
+   * @param {number} total - 本组匹配的任务总数
+   * @returns {HTMLElement}
+   */
+  createGroupElement(date, tasks, total) {
+    const section = document.createElement("section");
+    section.className = "archive-group";
+
+    const heading = document.createElement("h5");
+    heading.className = "archive-group-title";
+    heading.textContent = `${date} · ${total} 个任务`;
+    section.appendChild(heading);
+
+    const list = document.createElement("ul");
+    list.className = "archive-list";
+    list.setAttribute("role", "list");
+    tasks.forEach((task) => list.appendChild(this.createArchiveItem(task)));
+    section.appendChild(list);
+
+    return section;
+  }
+
+  /**
+   * 创建归档任务元素
+   * @param {Task} task - 任务对象
+   * @returns {HTMLElement}
+   */
+  createArchiveItem(task) {
+    const li = document.createElement("li");
+    li.className = "archive-item";
+
+    const meta = [];
+    if (task.project) meta.push(`+${task.project}`);
+    (task.tags || []).forEach((tag) => meta.push(`#${tag}`));
+    if (task.pomodoroCount > 0) meta.push(`🍅 ${task.pomodoroCount}`);
+
+    li.innerHTML = `
+            <div class="archive-item-info">
+                <span class="archive-item-title">${this.escapeHtml(task.title)}</span>
+                <span class="archive-item-meta">${this.escapeHtml(meta.join(" · "))}</span>
+            </div>
+        `;
+    return li;
+  }
+
+  /**
+   * 保存自动归档天数
+   */
+  async handleDaysSave() {
+    const { daysInput } = this.elements;
+    const days = Number(daysInput.value);
+
+    try {
+      const success = await this.taskService.setArchiveAfterDays(days);
+      if (success) {
+        this.showFeedback(`任务完成 ${days} 天后自动归档`, "success");
+      } else {
+        this.showFeedback("保存失败，请重试", "error");
+      }
+    } catch (error) {
+      daysInput.value = this.taskService.archiveAfterDays;
+      this.showFeedback("天数必须是 1-365 之间的整数", "error");
+    }
+  }
+
+  /**
+   * 立即归档符合条件的已完成任务
+   */
+  async handleArchiveNow() {
+    const count = await this.taskService.archiveCompletedTasks();
+    this.showFeedback(
+      count > 0 ? `已归档 ${count} 个任务` : "没有需要归档的任务",
+      "success",
+    );
+  }
+
+  /**
+   * 显示反馈信息
+   * @param {string} message - 反馈消息
+   * @param {string} type - 消息类型（success | error）
+   */
+  showFeedback(message, type = "") {
+    const { feedback } = this.elements;
+    feedback.textContent = message;
+    feedback.className = `input-feedback ${type}`;
+
+    if (type === "success") {
+      setTimeout(() => {
+        if (feedback.textContent === message) {
+          feedback.textContent = "";
+          feedback.className = "input-feedback";
+        }
+      }, 3000);
+    }
+  }
+
+  /**
+   * HTML转义函数
+   */
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * 刷新组件
+   */
+  refresh() {
+    this.render();
+  }
+
+  /**
+   * 销毁组件
+   */
+  destroy() {
+    if (this.unsubscribeEvents) {
+      this.unsubscribeEvents();
+      this.unsubscribeEvents = null;
+    }
+
+    if (this.container) {
+      this.container.innerHTML = "";
+    }
+
+    console.log("[ArchivePanel] Destroyed");
+  }
+}
+
+    /**
+     * DataPanel - 数据备份与恢复UI组件
+     */
+    class DataPanel {
+  constructor(container, backupService, storage, taskService, todoTxtService, options = {}) {
+    this.container = container;
+    this.backupService = backupService;
+    this.storage = storage;
+    this.taskService = taskService;
+    this.todoTxtService = todoTxtService;
+    this.onRestored = options.onRestored || null;
+    this.isInitialized = false;
+
+    // 导入状态
+    this.pendingBackup = null;
+    this.pendingPlan = null;
+    this.pendingTodoTxtPlan = null;
+
+    // UI元素引用
+    this.elements = null;
+
+    // 报表导出的时间范围（天），0 表示全部
+    this.REPORT_RANGES = [
+      { days: 7, label: "最近7天" },
+      { days: 30, label: "最近30天" },
+      { days: 0, label: "全部" },
+    ];
+
+    // 设置字段的显示名称
+    this.SETTING_LABELS = {
+      pomodoroDuration: "番茄钟时长",
+      shortBreakDuration: "短休息时长",
+      longBreakDuration: "长休息时长",
+      longBreakInterval: "长休息间隔",
+      extendDuration: "延长专注时长",
+      blockingMode: "拦截模式",
+      whitelist: "白名单",
+      blacklist: "黑名单",
+      trashRetentionDays: "回收站保留天数",
+      archiveAfterDays: "自动归档天数",
+    };
+
+    this.initialize();
+  }
+
+  /**
+   * 初始化组件
+   */
+  initialize() {
+    if (this.isInitialized) {
+      return;
+    }
+
+    try {
+      this.createUI();
+      this.bindEvents();
+      this.renderMigrationWarning();
+
+      this.isInitialized = true;
+      console.log("[DataPanel] Initialized successfully");
+    } catch (error) {
+      console.error("[DataPanel] Failed to initialize:", error);
+    }
+  }
+
+  /**
+   * 创建UI界面
+   */
+  createUI() {
+    this.container.innerHTML = `
+            <div class="data-warning hidden" id="data-migration-warning" role="alert"></div>
+
+            <div class="data-section">
+                <h4>导出备份</h4>
+                <p class="data-hint">导出任务、设置（含黑白名单和计时偏好）和专注历史为 JSON 文件</p>
+                <button type="button" id="data-export-button" class="data-button primary">
+                    导出备份
+                </button>
+            </div>
+
+            <div class="data-section">
+                <h4>导出报表</h4>
+                <p class="data-hint">导出 CSV 用于电子表格，或导出按日期和任务汇总的 Markdown 用于周报</p>
+                <div class="data-options">
+                    <select id="data-report-range" class="rule-type-select" aria-label="专注记录时间范围">
+                        ${this.REPORT_RANGES.map(
+                          (range) => `<option value="${range.days}">${range.label}</option>`,
+                        ).join("")}
+                    </select>
+                    <button type="button" class="data-button" data-report="tasks-csv">任务 CSV</button>
+                    <button type="button" class="data-button" data-report="sessions-csv">专注记录 CSV</button>
+                    <button type="button" class="data-button" data-report="sessions-md">专注记录 Markdown</button>
+                </div>
+                <div class="input-feedback" id="data-report-feedback" role="alert" aria-live="polite"></div>
+            </div>
+
+            <div class="data-section">
+                <h4>从文本添加任务</h4>
+                <p class="data-hint">每行一个任务，可用 #标签、+项目 和 ~3（预估番茄钟数）</p>
+                <textarea
+                    id="data-text-import"
+                    class="data-text-import"
+                    rows="5"
+                    placeholder="写周报 #工作 ~2&#10;整理笔记 +学习"
+                    aria-label="任务列表文本"
+                ></textarea>
+                <button type="button" id="data-text-import-button" class="data-button primary" disabled>
+                    添加任务
+                </button>
+                <div class="input-feedback" id="data-text-feedback" role="alert" aria-live="polite"></div>
+            </div>
+
+            <div class="data-section">
+                <h4>Todo.txt</h4>
+                <p class="data-hint">支持 (A) 优先级、+项目、@情境（转为标签）、创建和完成日期以及 due:截止日期</p>
+                <button type="button" id="data-todotxt-export" class="data-button">
+                    导出 todo.txt
+                </button>
+                <input
+                    type="file"
+                    id="data-todotxt-file"
+                    class="data-file-input"
+                    accept=".txt,text/plain"
+                    aria-label="选择 todo.txt 文件"
+                />
+                <div class="data-preview" id="data-todotxt-preview" aria-live="polite"></div>
+                <div class="data-actions">
+                    <button type="button" id="data-todotxt-apply" class="data-button primary" disabled>
+                        导入任务
+                    </button>
+                    <button type="button" id="data-todotxt-cancel" class="data-button" disabled>
+                        取消
+                    </button>
+                </div>
+                <div class="input-feedback" id="data-todotxt-feedback" role="alert" aria-live="polite"></div>
+            </div>
+
+            <div class="data-section">
+                <h4>导入备份</h4>
+                <input
+                    type="file"
+                    id="data-import-file"
+                    class="data-file-input"
+                    accept=".json,application/json"
+                    aria-label="选择备份文件"
+                />
+                <div class="data-options">
+                    <label class="data-option">
+                        <input type="radio" name="tomato-monkey-restore-mode" value="merge" checked />
+                        合并到现有数据
+                    </label>
+                    <label class="data-option">
+                        <input type="radio" name="tomato-monkey-restore-mode" value="replace" />
+                        替换现有数据
+                    </label>
+                    <select id="data-conflict-strategy" class="rule-type-select" aria-label="冲突处理方式">
+                        <option value="backup">冲突时以备份为准</option>
+                        <option value="local">冲突时保留本地</option>
+                    </select>
+                </div>
+                <div class="data-preview" id="data-preview" aria-live="polite"></div>
+                <div class="data-actions">
+                    <button type="button" id="data-apply-button" class="data-button primary" disabled>
+                        确认导入
+                    </button>
+                    <button type="button" id="data-cancel-button" class="data-button" disabled>
+                        取消
+                    </button>
+                </div>
+                <div class="input-feedback" id="data-feedback" role="alert" aria-live="polite"></div>
+            </div>
+        `;
+
+    this.elements = {
+      warning: this.container.querySelector("#data-migration-warning"),
+      exportButton: this.container.querySelector("#data-export-button"),
+      fileInput: this.container.querySelector("#data-import-file"),
+      modeInputs: this.container.querySelectorAll(
+        'input[name="tomato-monkey-restore-mode"]',
+      ),
+      conflictStrategy: this.container.querySelector("#data-conflict-strategy"),
+      preview: this.container.querySelector("#data-preview"),
+      applyButton: this.container.querySelector("#data-apply-button"),
+      cancelButton: this.container.querySelector("#data-cancel-button"),
+      feedback: this.container.querySelector("#data-feedback"),
+      reportRange: this.container.querySelector("#data-report-range"),
+      reportButtons: this.container.querySelectorAll("button[data-report]"),
+      reportFeedback: this.container.querySelector("#data-report-feedback"),
+      textImport: this.container.querySelector("#data-text-import"),
+      textImportButton: this.container.querySelector("#data-text-import-button"),
+      textFeedback: this.container.querySelector("#data-text-feedback"),
+      todoTxtExport: this.container.querySelector("#data-todotxt-export"),
+      todoTxtFile: this.container.querySelector("#data-todotxt-file"),
+      todoTxtPreview: this.container.querySelector("#data-todotxt-preview"),
+      todoTxtApply: this.container.querySelector("#data-todotxt-apply"),
+      todoTxtCancel: this.container.querySelector("#data-todotxt-cancel"),
+      todoTxtFeedback: this.container.querySelector("#data-todotxt-feedback"),
+    };
+  }
+
+  /**
+   * 绑定事件
+   */
+  bindEvents() {
+    const {
+      exportButton,
+      fileInput,
+      modeInputs,
+      conflictStrategy,
+      applyButton,
+      cancelButton,
+      reportButtons,
+      textImport,
+      textImportButton,
+      todoTxtExport,
+      todoTxtFile,
+      todoTxtApply,
+      todoTxtCancel,
+    } = this.elements;
+
+    exportButton.addEventListener("click", () => this.handleExport());
+    fileInput.addEventListener("change", () => this.handleFileSelected());
+    modeInputs.forEach((radio) =>
+      radio.addEventListener("change", () => this.updatePreview()),
+    );
+    conflictStrategy.addEventListener("change", () => this.updatePreview());
+    applyButton.addEventListener("click", () => this.handleApply());
+    cancelButton.addEventListener("click", () => this.resetImport());
+    reportButtons.forEach((button) =>
+      button.addEventListener("click", () => this.handleReportExport(button.dataset.report)),
+    );
+    textImport.addEventListener("input", () => {
+      textImportButton.disabled = !textImport.value.trim() || !this.taskService;
+    });
+    textImportButton.addEventListener("click", () => this.handleTextImport());
+    todoTxtExport.addEventListener("click", () => this.handleTodoTxtExport());
+    todoTxtFile.addEventListener("change", () => this.handleTodoTxtSelected());
+    todoTxtApply.addEventListener("click", () => this.handleTodoTxtApply());
+    todoTxtCancel.addEventListener("click", () => this.resetTodoTxtImport());
+  }
+
+  /**
+   * 导出备份并下载
+   */
+  async handleExport() {
+    try {
+      const json = await this.backupService.exportBackup();
+      const date = new Date().toISOString().slice(0, 10);
+      this.downloadFile(json, `tomatomonkey-backup-${date}.json`);
+      this.showFeedback("备份已导出", "success");
+    } catch (error) {
+      console.error("[DataPanel] Failed to export backup:", error);
+      this.showFeedback("导出失败，请重试", "error");
+    }
+  }
+
+  /**
+   * 导出CSV或Markdown报表并下载
+   * @param {string} report - "tasks-csv" | "sessions-csv" | "sessions-md"
+   */
+  async handleReportExport(report) {
+    const { reportRange, reportFeedback } = this.elements;
+    const days = Number(reportRange.value);
+    const range = days > 0 ? { from: Date.now() - days * 24 * 60 * 60 * 1000 } : {};
+    const date = new Date().toISOString().slice(0, 10);
+
+    try {
+      if (report === "tasks-csv") {
+        const csv = await this.storage.exportTasksAsCSV();
+        // 加BOM，Excel 才能正确识别UTF-8中文
+        this.downloadFile(`\uFEFF${csv}`, `tomatomonkey-tasks-${date}.csv`, "text/csv");
+      } else if (report === "sessions-csv") {
+        const csv = await this.storage.exportSessionsAsCSV(range);
+        this.downloadFile(`\uFEFF${csv}`, `tomatomonkey-sessions-${date}.csv`, "text/csv");
+      } else {
+        const markdown = await this.storage.exportSessionsAsMarkdown(range);
+        this.downloadFile(markdown, `tomatomonkey-report-${date}.md`, "text/markdown");
+      }
+      this.showFeedback("报表已导出", "success", reportFeedback);
+    } catch (error) {
+      console.error("[DataPanel] Failed to export report:", error);
+      this.showFeedback("导出失败，请重试", "error", reportFeedback);
+    }
+  }
+
+  /**
+   * 从纯文本列表添加任务
+   */
+  async handleTextImport() {
+    const { textImport, textImportButton, textFeedback } = this.elements;
+    textImportButton.disabled = true;
+
+    try {
+      const { created, errors } = await this.taskService.importTasksFromText(textImport.value);
+
+      if (errors.length === 0) {
+        textImport.value = "";
+        this.showFeedback(`已添加 ${created.length} 个任务`, "success", textFeedback);
+        return;
+      }
+
+      // 只保留失败的行，便于修改后重试
+      textImport.value = errors.map((error) => error.text).join("\n");
+      const lines = errors.map((error) => error.line).join("、");
+      this.showFeedback(
+        `已添加 ${created.length} 个任务，第 ${lines} 行无效：${errors[0].message}`,
+        "error",
+        textFeedback,
+      );
+    } catch (error) {
+      console.error("[DataPanel] Failed to import tasks from text:", error);
+      this.showFeedback("添加失败，请重试", "error", textFeedback);
+    } finally {
+      textImportButton.disabled = !textImport.value.trim();
+    }
+  }
+
+  /**
+   * 导出 todo.txt 并下载
+   */
+  handleTodoTxtExport() {
+    const { todoTxtFeedback } = this.elements;
+    try {
+      const text = this.todoTxtService.exportTasks();
+      const date = new Date().toISOString().slice(0, 10);
+      this.downloadFile(text, `todo-${date}.txt`, "text/plain");
+      this.showFeedback("todo.txt 已导出", "success", todoTxtFeedback);
+    } catch (error) {
+      console.error("[DataPanel] Failed to export todo.txt:", error);
+      this.showFeedback("导出失败，请重试", "error", todoTxtFeedback);
+    }
+  }
+
+  /**
+   * 读取选择的 todo.txt 文件并生成预览
+   */
+  async handleTodoTxtSelected() {
+    const file = this.elements.todoTxtFile.files[0];
+    this.pendingTodoTxtPlan = null;
+
+    if (file) {
+      try {
+        this.pendingTodoTxtPlan = this.todoTxtService.previewImport(await file.text());
+      } catch (error) {
+        console.error("[DataPanel] Failed to read todo.txt:", error);
+        this.showFeedback("无法读取文件", "error", this.elements.todoTxtFeedback);
+      }
+    }
+    this.renderTodoTxtPreview();
+  }
+
+  /**
+   * 渲染 todo.txt 导入预览，列出无法解析的行
+   */
+  renderTodoTxtPreview() {
+    const { todoTxtPreview, todoTxtApply, todoTxtCancel } = this.elements;
+    const plan = this.pendingTodoTxtPlan;
+
+    todoTxtApply.disabled = !plan || plan.tasks.length === 0;
+    todoTxtCancel.disabled = !plan;
+
+    if (!plan) {
+      todoTxtPreview.innerHTML = "";
+      return;
+    }
+
+    const errorItems = plan.errors
+      .slice(0, 20)
+      .map(
+        (error) =>
+          `<li class="data-preview-detail">第 ${error.line} 行：${this.escapeHtml(error.text)}（${this.escapeHtml(error.message)}）</li>`,
+      )
+      .join("");
+    const moreErrors =
+      plan.errors.length > 20
+        ? `<li class="data-preview-detail">另有 ${plan.errors.length - 20} 行无法解析</li>`
+        : "";
+
+    todoTxtPreview.innerHTML = `
+            <ul class="data-preview-list">
+                <li>将导入 ${plan.tasks.length} 个任务（已完成 ${plan.tasks.filter((task) => task.isCompleted).length} 个）</li>
+                ${this.renderTaskTitles("导入", plan.tasks)}
+                <li>已存在而跳过：${plan.duplicates.length}</li>
+                <li>无法解析：${plan.errors.length}</li>
+                ${errorItems}${moreErrors}
+            </ul>
+        `;
+  }
+
+  /**
+   * 应用 todo.txt 导入
+   */
+  async handleTodoTxtApply() {
+    const plan = this.pendingTodoTxtPlan;
+    if (!plan) return;
+
+    const { todoTxtApply, todoTxtFeedback } = this.elements;
+    todoTxtApply.disabled = true;
+
+    try {
+      const added = await this.todoTxtService.applyImport(plan);
+      this.resetTodoTxtImport();
+      this.showFeedback(`已导入 ${added.length} 个任务`, "success", todoTxtFeedback);
+    } catch (error) {
+      console.error("[DataPanel] Failed to import todo.txt:", error);
+      this.showFeedback("导入失败，请重试", "error", todoTxtFeedback);
+      todoTxtApply.disabled = false;
+    }
+  }
+
+  /**
+   * 清除待导入的 todo.txt
+   */
+  resetTodoTxtImport() {
+    this.pendingTodoTxtPlan = null;
+    this.elements.todoTxtFile.value = "";
+    this.renderTodoTxtPreview();
+  }
+
+  /**
+   * 触发文件下载
+   * @param {string} content - 文件内容
+   * @param {string} filename - 文件名
+   * @param {string} type - MIME类型
+   */
+  downloadFile(content, filename, type = "application/json") {
+    const blob = new Blob([content], { type: `${type};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * 读取选择的备份文件并生成预览
+   */
+  async handleFileSelected() {
+    const file = this.elements.fileInput.files[0];
+    this.pendingBackup = null;
+    this.pendingPlan = null;
+
+    if (!file) {
+      this.renderPreview();
+      return;
+    }
+
+    try {
+      const text = await file.text();
+      this.pendingBackup = this.backupService.parseBackup(text);
+      await this.updatePreview();
+    } catch (error) {
+      console.error("[DataPanel] Invalid backup file:", error);
+      this.renderPreview();
+      this.showFeedback(`备份文件无效：${error.message}`, "error");
+    }
+  }
+
+  /**
+   * 获取当前选择的导入选项
+   * @returns {Object} {mode, conflictStrategy}
+   */
+  getRestoreOptions() {
+    const checked = Array.from(this.elements.modeInputs).find(
+      (radio) => radio.checked,
+    );
+    return {
+      mode: checked ? checked.value : "merge",
+      conflictStrategy: this.elements.conflictStrategy.value,
+    };
+  }
+
+  /**
+   * 按当前选项重新计算导入预演
+   */
+  async updatePreview() {
+    const options = this.getRestoreOptions();
+    this.elements.conflictStrategy.disabled = options.mode === "replace";
+
+    if (!this.pendingBackup) {
+      this.renderPreview();
+      return;
+    }
+
+    try {
+      this.pendingPlan = await this.backupService.previewRestore(
+        this.pendingBackup,
+        options,
+      );
+    } catch (error) {
+      console.error("[DataPanel] Failed to preview restore:", error);
+      this.pendingPlan = null;
+      this.showFeedback("无法生成导入预览", "error");
+    }
+    this.renderPreview();
+  }
+
+  /**
+   * 渲染导入预演结果
+   */
+  renderPreview() {
+    const { preview, applyButton, cancelButton } = this.elements;
+    const plan = this.pendingPlan;
+
+    applyButton.disabled = !plan;
+    cancelButton.disabled = !this.pendingBackup;
+
+    if (!plan) {
+      preview.innerHTML = "";
+      return;
+    }
+
+    const exportedAt = new Date(this.pendingBackup.exportedAt).toLocaleString();
+    const { tasks, sessions, settings } = plan;
+    const conflictNote =
+      plan.mode === "merge" && tasks.conflicts.length > 0
+        ? `（${plan.conflictStrategy === "local" ? "保留本地" : "以备份为准"}）`
+        : "";
+    const changedSettings = settings.changed.map(
+      (field) => this.SETTING_LABELS[field] || field,
+    );
+
+    preview.innerHTML = `
+            <p class="data-preview-title">备份时间：${this.escapeHtml(exportedAt)}</p>
+            <ul class="data-preview-list">
+                <li>任务：新增 ${tasks.added.length}，更新 ${tasks.updated.length}，删除 ${tasks.removed.length}，冲突 ${tasks.conflicts.length}${conflictNote}，未变 ${tasks.unchanged}</li>
+                ${this.renderTaskTitles("新增", tasks.added)}
+                ${this.renderTaskTitles("更新", tasks.updated)}
+                ${this.renderTaskTitles("删除", tasks.removed)}
+                <li>专注记录：新增 ${sessions.added}，删除 ${sessions.removed}</li>
+                <li>设置：${changedSettings.length > 0 ? this.escapeHtml(changedSettings.join("、")) : "无变化"}</li>
+            </ul>
+        `;
+  }
+
+  /**
+   * 渲染部分任务标题，便于确认变更
+   * @param {string} label - 变更类型
+   * @param {Array<Object>} tasks - 任务列表
+   * @returns {string} HTML片段
+   */
+  renderTaskTitles(label, tasks) {
+    if (tasks.length === 0) return "";
+
+    const titles = tasks
+      .slice(0, 5)
+      .map((task) => this.escapeHtml(task.title))
+      .join("、");
+    const more = tasks.length > 5 ? ` 等 ${tasks.length} 个` : "";
+    return `<li class="data-preview-detail">${label}：${titles}${more}</li>`;
+  }
+
+  /**
+   * 应用导入
+   */
+  async handleApply() {
+    if (!this.pendingPlan) return;
+
+    if (
+      this.pendingPlan.mode === "replace" &&
+      !confirm("替换将删除备份中不存在的本地任务和专注记录，确定继续吗？")
+    ) {
+      return;
+    }
+
+    const { applyButton } = this.elements;
+    applyButton.disabled = true;
+    applyButton.classList.add("loading");
+
+    try {
+      const success = await this.backupService.applyRestore(this.pendingPlan);
+      if (success) {
+        this.resetImport();
+        this.renderMigrationWarning();
+        this.showFeedback("导入完成", "success");
+        if (this.onRestored) {
+          await this.onRestored();
+        }
+      } else {
+        this.showFeedback("导入失败，现有数据未被修改", "error");
+      }
+    } finally {
+      applyButton.classList.remove("loading");
+      applyButton.disabled = !this.pendingPlan;
+    }
+  }
+
+  /**
+   * 清除待导入的备份
+   */
+  resetImport() {
+    this.pendingBackup = null;
+    this.pendingPlan = null;
+    this.elements.fileInput.value = "";
+    this.renderPreview();
+  }
+
+  /**
+   * 显示存储无法读取或迁移失败的提示
+   */
+  renderMigrationWarning() {
+    const { warning } = this.elements;
+    const failures = this.storage ? this.storage.getMigrationFailures() : [];
+
+    warning.classList.toggle("hidden", failures.length === 0);
+    warning.innerHTML = failures
+      .map(
+        (failure) => `
+            <p>
+                ${this.escapeHtml(failure.key)} ${failure.fromVersion === null ? "无法读取" : `从 v${failure.fromVersion} 升级失败`}（${this.escapeHtml(failure.error)}），
+                原始数据已保存在 ${this.escapeHtml(failure.backupKey)}，可导入备份进行恢复。
+            </p>
+        `,
+      )
+      .join("");
+  }
+
+  /**
+   * 显示反馈信息
+   */
+  showFeedback(message, type = "", feedback = this.elements.feedback) {
+    feedback.textContent = message;
+    feedback.className = `input-feedback ${type}`;
+
+    if (type === "success") {
+      setTimeout(() => {
+        if (feedback.textContent === message) {
+          feedback.textContent = "";
+          feedback.className = "input-feedback";
+        }
+      }, 3000);
+    }
+  }
+
+  /**
+   * HTML转义函数
+   */
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * 销毁组件
+   */
+  destroy() {
+    if (this.container) {
+      this.container.innerHTML = "";
+    }
+
+    console.log("[DataPanel] Destroyed");
+  }
+}
+
+    /**
+     * FocusPage - 专注页面UI组件
+     */
+    class FocusPage {
+  constructor() {
+    this.container = null;
+    this.isInitialized = false;
+    this.isVisible = false;
+    this.isBreakMode = false;
+    this.hideTimeout = null;
+    
+    // UI元素引用
+    this.taskTitleElement = null;
+    this.countdownElement = null;
+    this.statusElement = null;
+    this.progressElement = null;
+    this.checklistElement = null;
+    this.notesElement = null;
+
+    // 备注渲染器
+    this.markdownRenderer = new MarkdownRenderer();
+
+    // 中断原因对话框关闭时的回调
+    this.interruptionCallback = null;
+    this.INTERRUPTION_TITLES = {
+      pause: "为什么暂停？",
+      stop: "为什么提前结束？",
+      skipBlocking: "为什么跳过拦截？",
+    };
+    
+    // 计时器服务引用
+    this.timerService = null;
+    
+    // 事件总线订阅
+    this.eventBus = null;
+    this.unsubscribeTimerEvents = null;
+    this.unsubscribeTaskEvents = null;
+    
+    console.log("[FocusPage] Created");
+  }
+
+  /**
+   * 初始化专注页面
+   * @param {TimerService} timerService - 计时器服务实例
+   * @param {TaskService} taskService - 任务服务实例
+   * @param {BlockerFeature} blockerFeature - 拦截功能实例
+   * @param {StatsService} statsService - 统计服务实例，用于记录中断
+   * @param {EventBus} eventBus - 事件总线，订阅计时器和任务事件
+   */
+  initialize(timerService, taskService, blockerFeature, statsService, eventBus) {
+    if (this.isInitialized) {
+      return;
+    }
+
+    this.timerService = timerService;
+    this.taskManager = taskService;
+    this.blockerFeature = blockerFeature;
+    this.statsService = statsService;
+    this.eventBus = eventBus;
+    this.createPageStructure();
+    this.bindTimerService();
+
+    if (this.taskManager) {
+      this.unsubscribeTaskEvents = this.eventBus.onMany(
+        [
+          EventBus.EVENTS.TASK_UPDATED,
+          EventBus.EVENTS.TASK_CHECKLIST_UPDATED,
+          EventBus.EVENTS.TASK_DELETED,
+          EventBus.EVENTS.TASKS_RELOADED,
+          EventBus.EVENTS.TASKS_MERGED,
+        ],
+        (event, data) => this.handleTaskEvent(event, data),
+      );
+    }
+
+    this.isInitialized = true;
+    console.log("[FocusPage] Initialized successfully");
+  }
+
+  /**
+   * 创建专注页面的DOM结构
+   */
+  createPageStructure() {
+    // 倒计时和增加时间的默认值来自计时设置，直接渲染，不先显示固定值再替换
+    const defaultSeconds = this.timerService ? this.timerService.getDefaultDuration() : 1500;
+    const extendMinutes = this.timerService ? this.timerService.getExtendDuration() / 60 : 15;
+
+    // 创建专注页面容器
+    this.container = document.createElement("div");
+    this.container.id = "tomato-monkey-focus-page";
+    this.container.className = "focus-page-container hidden";
+    
+    this.container.innerHTML = `
+      <div class="focus-page-overlay"></div>
+      <div class="focus-page-content">
+        <div class="focus-header">
+          <div class="focus-task-title" id="focus-task-title">
+            准备开始专注...
+          </div>
+          <div class="focus-status" id="focus-status">
+            就绪
+          </div>
+          <div class="focus-settings-icon" id="focus-settings-icon" title="打开设置面板">
+            ⚙️
+          </div>
+        </div>
+        
+        <div class="focus-timer">
+          <div class="countdown-display" id="countdown-display">
+            ${this.formatTime(defaultSeconds)}
+          </div>
+          <div class="countdown-progress" id="countdown-progress">
+            <div class="progress-bar" id="progress-bar"></div>
+          </div>
+        </div>
+        
+        <div class="focus-info">
+          <div class="focus-hint">
+            保持专注，距离完成还有一段时间
+          </div>
+          <div class="focus-checklist hidden" id="focus-checklist">
+            <div class="focus-checklist-header">
+              检查项 <span class="focus-checklist-progress" id="focus-checklist-progress"></span>
+            </div>
+            <ul class="focus-checklist-items" id="focus-checklist-items" role="list"></ul>
+          </div>
+          <div class="focus-notes hidden" id="focus-notes">
+            <div class="focus-notes-header">备注</div>
+            <div class="focus-notes-content" id="focus-notes-content"></div>
+          </div>
+        </div>
+        
+        <div class="focus-actions">
+          <button type="button" class="focus-action-btn pause-btn hidden" id="pause-btn">
+            暂停
+          </button>
+          <button type="button" class="focus-action-btn resume-btn hidden" id="resume-btn">
+            继续
+          </button>
+          <button type="button" class="focus-action-btn modify-time-btn hidden" id="modify-time-btn">
+            修改时间
+          </button>
+          <button type="button" class="focus-action-btn stop-btn hidden" id="stop-btn">
+            结束专注
+          </button>
+          
+          <!-- 倒计时完成后的操作按钮 -->
+          <button type="button" class="focus-action-btn complete-btn hidden" id="complete-btn">
+            ✅ 任务完成
+          </button>
+          <button type="button" class="focus-action-btn cancel-complete-btn hidden" id="cancel-complete-btn">
+            ❌ 取消
+          </button>
+          <button type="button" class="focus-action-btn extend-time-btn hidden" id="extend-time-btn">
+            ⏰ 增加时间
+          </button>
+          
+          <!-- 休息模式下的跳过休息按钮 -->
+          <button type="button" class="focus-action-btn skip-break-btn hidden" id="skip-break-btn">
+            ☕ 跳过休息
+          </button>
+          
+          <!-- 拦截模式下的跳过按钮 -->
+          <button type="button" class="focus-action-btn skip-btn hidden" id="skip-btn">
+            ⏭️ 跳过拦截
+          </button>
+          
+          <!-- 拦截模式下的结束专注按钮 -->
+          <button type="button" class="focus-action-btn end-focus-btn hidden" id="end-focus-btn">
+            🛑 结束专注
+          </button>
+        </div>
+      </div>
+      
+      <!-- Time Modification Modal -->
+      <div class="time-modify-modal hidden" id="time-modify-modal">
+        <div class="modal-overlay"></div>
+        <div class="modal-content">
+          <div class="modal-header">
+            <h3>设置专注时间</h3>
+          </div>
+          <div class="modal-body">
+            <div class="time-input-group">
+              <label for="time-input">专注时长 (分钟)</label>
+              <input type="number" id="time-input" class="time-input" 
+                     min="0.1" max="120" step="0.1" placeholder="输入分钟数 (如: 25 或 1.5)">
+            </div>
+            <div class="time-presets">
+              ${this.timerService.DURATION_PRESETS.map(
+                (minutes) =>
+                  `<button type="button" class="preset-btn" data-minutes="${minutes}">${minutes}分钟</button>`,
+              ).join("")}
+            </div>
+          </div>
+          <div class="modal-actions">
+            <button type="button" class="modal-btn cancel-btn" id="cancel-time-btn">取消</button>
+            <button type="button" class="modal-btn confirm-btn" id="confirm-time-btn">确定</button>
+          </div>
+        </div>
+      </div>
+      
+      <!-- Extend Time Modal -->
+      <div class="time-modify-modal hidden" id="extend-time-modal">
+        <div class="modal-overlay"></div>
+        <div class="modal-content">
+          <div class="modal-header">
+            <h3>增加专注时间</h3>
+          </div>
+          <div class="modal-body">
+            <div class="time-input-group">
+              <label for="extend-time-input">增加时长 (分钟)</label>
+              <input type="number" id="extend-time-input" class="time-input" 
+                     min="0.1" max="60" step="0.1" value="${extendMinutes}" placeholder="输入分钟数 (如: 5 或 2.5)">
+            </div>
+            <div class="time-presets">
+              ${[5, 10, 15, 30].map(
+                (minutes) =>
+                  `<button type="button" class="preset-btn ${minutes === extendMinutes ? "selected" : ""}" data-minutes="${minutes}">${minutes}分钟</button>`,
+              ).join("")}
+            </div>
+          </div>
+          <div class="modal-actions">
+            <button type="button" class="modal-btn cancel-btn" id="cancel-extend-btn">取消</button>
+            <button type="button" class="modal-btn confirm-btn" id="confirm-extend-btn">确认</button>
+          </div>
+        </div>
+      </div>
+
+      <!-- Interruption Modal -->
+      <div class="time-modify-modal hidden" id="interruption-modal">
+        <div class="modal-overlay"></div>
+        <div class="modal-content">
+          <div class="modal-header">
+            <h3 id="interruption-modal-title">为什么暂停？</h3>
+          </div>
+          <div class="modal-body">
+            <div class="time-presets" role="group" aria-label="中断类型">
+              <button type="button" class="preset-btn interruption-category-btn" data-category="internal"
+                      title="走神、想到别的事、主动切换任务">🧠 内部干扰</button>
+              <button type="button" class="preset-btn interruption-category-btn" data-category="external"
+                      title="他人打扰、消息、电话">📣 外部干扰</button>
+            </div>
+            <div class="time-input-group interruption-reason-group">
+              <label for="interruption-reason-input">原因（可选）</label>
+              <input type="text" id="interruption-reason-input" class="time-input"
+                     maxlength="200" placeholder="如：同事来问问题">
+            </div>
+          </div>
+          <div class="modal-actions">
+            <button type="button" class="modal-btn cancel-btn" id="skip-interruption-btn">不记录</button>
+            <button type="button" class="modal-btn confirm-btn" id="confirm-interruption-btn">记录</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    // 添加到页面
+    document.body.appendChild(this.container);
+
+    // 获取UI元素引用
+    this.taskTitleElement = this.container.querySelector("#focus-task-title");
+    this.countdownElement = this.container.querySelector("#countdown-display");
+    this.statusElement = this.container.querySelector("#focus-status");
+    this.progressElement = this.container.querySelector("#progress-bar");
+    this.checklistElement = this.container.querySelector("#focus-checklist");
+    this.notesElement = this.container.querySelector("#focus-notes");
+    
+    // 绑定事件
+    this.setupEventListeners();
+  }
+
+  /**
+   * 设置事件监听器
+   */
+  setupEventListeners() {
+    // 暂停按钮
+    const pauseBtn = this.container.querySelector("#pause-btn");
+    pauseBtn.addEventListener("click", () => this.handlePause());
+
+    // 继续按钮
+    const resumeBtn = this.container.querySelector("#resume-btn");
+    resumeBtn.addEventListener("click", () => {
+      if (this.timerService) {
+        this.timerService.resumeTimer();
+      }
+    });
+
+    // 停止按钮
+    const stopBtn = this.container.querySelector("#stop-btn");
+    stopBtn.addEventListener("click", () => {
+      this.showStopConfirmation();
+    });
+
+    // 修改时间按钮
+    const modifyTimeBtn = this.container.querySelector("#modify-time-btn");
+    modifyTimeBtn.addEventListener("click", () => {
+      this.showTimeModificationModal();
+    });
+
+    // 完成按钮
+    const completeBtn = this.container.querySelector("#complete-btn");
+    if (completeBtn) {
+      completeBtn.addEventListener("click", () => this.handleTaskComplete());
+    }
+
+    // 取消按钮
+    const cancelCompleteBtn = this.container.querySelector("#cancel-complete-btn");
+    if (cancelCompleteBtn) {
+      cancelCompleteBtn.addEventListener("click", () => this.hide());
+    }
+
+    // 增加时间按钮
+    const extendTimeBtn = this.container.querySelector("#extend-time-btn");
+    if (extendTimeBtn) {
+      extendTimeBtn.addEventListener("click", () => this.handleExtendTime());
+    }
+
+    // 跳过休息按钮
+    const skipBreakBtn = this.container.querySelector("#skip-break-btn");
+    if (skipBreakBtn) {
+      skipBreakBtn.addEventListener("click", () => {
+        if (this.timerService) {
+          this.timerService.skipBreak();
+        }
+      });
+    }
+
+    // 跳过拦截按钮
+    const skipBtn = this.container.querySelector("#skip-btn");
+    if (skipBtn) {
+      skipBtn.addEventListener("click", () => this.handleSkipBlocking());
+    }
+
+    // 结束专注按钮
+    const endFocusBtn = this.container.querySelector("#end-focus-btn");
+    if (endFocusBtn) {
+      endFocusBtn.addEventListener("click", () => this.handleEndFocus());
+    }
+
+    // 勾选检查项
+    this.checklistElement.addEventListener("change", (e) => {
+      const itemElement = e.target.closest(".focus-checklist-item");
+      if (itemElement) {
+        this.handleChecklistToggle(itemElement.dataset.itemId);
+      }
+    });
+
+    // 时间修改模态框事件
+    this.setupModalEventListeners();
+
+    // 增加时间模态框事件
+    this.setupExtendTimeModalEventListeners();
+
+    // 中断原因模态框事件
+    this.setupInterruptionModalEventListeners();
+
+    // 设置图标点击事件
+    const settingsIcon = this.container.querySelector("#focus-settings-icon");
+    if (settingsIcon) {
+      settingsIcon.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.handleSettingsIconClick();
+      });
+    }
+
+    // 点击遮罩层不做任何操作（避免意外关闭）
+    this.container.querySelector(".focus-page-overlay").addEventListener("click", (e) => {
+      e.stopPropagation();
+    });
+
+    // ESC键处理
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && this.isVisible) {
+        // 如果模态框打开，先关闭模态框
+        if (this.isInterruptionModalVisible()) {
+          this.closeInterruptionModal(null);
+        } else if (this.isTimeModalVisible()) {
+          this.hideTimeModificationModal();
+        } else if (this.isExtendTimeModalVisible()) {
+          this.hideExtendTimeModal();
+        } else if (this.isBreakMode) {
+          // 休息模式下直接收起页面，休息计时继续
+          this.hide();
+        } else {
+          this.showStopConfirmation();
+        }
+      }
+    });
+  }
+
+  /**
+   * 显示停止确认对话框
+   */
+  showStopConfirmation() {
+    const confirmed = confirm("确定要结束当前的专注时间吗？\n\n这将停止计时器并返回任务列表。");
+    if (confirmed && this.timerService) {
+      this.stopWithInterruption();
+    }
+  }
+
+  /**
+   * 暂停计时器并询问暂停原因
+   */
+  handlePause() {
+    if (!this.timerService || !this.timerService.pauseTimer()) return;
+
+    // 暂停本身已由 StatsService 记录，这里只补充原因
+    this.showInterruptionModal("pause", (details) => {
+      if (details) {
+        this.logInterruption(() => this.statsService.setInterruptionReason(details));
+      }
+    });
+  }
+
+  /**
+   * 询问提前结束的原因后停止计时器
+   */
+  stopWithInterruption() {
+    this.showInterruptionModal("stop", (details) => {
+      this.logInterruption(() => this.statsService.recordInterruption("stop", details || {}));
+      this.timerService.stopTimer();
+    });
+  }
+
+  /**
+   * 处理设置图标点击事件
+   */
+  handleSettingsIconClick() {
+    // 通过全局应用实例访问设置面板
+    if (typeof window !== "undefined") {
+      // 尝试通过 unsafeWindow 访问（Tampermonkey环境）
+      const app = window.unsafeWindow?.TomatoMonkeyApp || window.TomatoMonkeyApp;
+      
+      if (app && app.settingsPanel) {
+        app.settingsPanel.show();
+        console.log("[FocusPage] Settings panel opened via settings icon");
+      } else {
+        console.warn("[FocusPage] Could not access settings panel");
+        // 降级方案：显示提示消息
+        alert("设置面板暂不可用，请使用快捷键 Ctrl+Shift+T 或右上角番茄钟按钮打开设置。");
+      }
+    }
+  }
+
+  /**
+   * 处理结束专注按钮点击事件 (拦截模式下)
+   */
+  handleEndFocus() {
+    const confirmed = confirm(
+      "确定要结束当前的专注时间吗？\n\n" +
+      "这将停止计时器并结束拦截，让您正常浏览网站。"
+    );
+    
+    if (confirmed && this.timerService) {
+      console.log("[FocusPage] User confirmed end focus from blocking mode");
+      this.stopWithInterruption();
+    }
+  }
+
+  /**
+   * 处理跳过拦截按钮点击事件
+   */
+  handleSkipBlocking() {
+    // 显示确认对话框
+    const confirmed = confirm(
+      "确定要跳过拦截直接进入此网站吗？\n\n" +
+      "⚠️ 这可能会影响您的专注效果。\n" +
+      "计时器将继续运行，但此页面不会再被拦截。"
+    );
+    
+    if (confirmed) {
+      console.log("[FocusPage] User confirmed skip blocking");
+
+      this.showInterruptionModal("skipBlocking", (details) => {
+        this.logInterruption(() =>
+          this.statsService.recordInterruption("skipBlocking", details || {}),
+        );
+
+        // 隐藏 focus-page，但不影响计时器状态
+        this.hide();
+
+        // 通知 BlockerFeature 用户选择跳过当前页面
+        this.notifySkipBlocking();
+      });
+    } else {
+      console.log("[FocusPage] User cancelled skip blocking");
+    }
+  }
+
+  /**
+   * 通知 BlockerFeature 用户选择跳过拦截
+   */
+  notifySkipBlocking() {
+    // 使用依赖注入的 blockerFeature
+    if (this.blockerFeature && typeof this.blockerFeature.handleSkipBlocking === 'function') {
+      this.blockerFeature.handleSkipBlocking(window.location.href);
+    } else {
+      console.warn("[FocusPage] BlockerFeature not available for skip action");
+    }
+  }
+
+  /**
+   * 设置模态框事件监听器
+   */
+  setupModalEventListeners() {
+    const modal = this.container.querySelector("#time-modify-modal");
+    const cancelBtn = this.container.querySelector("#cancel-time-btn");
+    const confirmBtn = this.container.querySelector("#confirm-time-btn");
+    const timeInput = this.container.querySelector("#time-input");
+    // 只取本模态框内的预设按钮，其他模态框也使用 .preset-btn 样式
+    const presetBtns = modal.querySelectorAll(".preset-btn");
+    const modalOverlay = modal.querySelector(".modal-overlay");
+
+    // 取消按钮
+    cancelBtn.addEventListener("click", () => {
+      this.hideTimeModificationModal();
+    });
+
+    // 确认按钮
+    confirmBtn.addEventListener("click", () => {
+      this.handleTimeModification();
+    });
+
+    // 点击遮罩层关闭模态框
+    modalOverlay.addEventListener("click", () => {
+      this.hideTimeModificationModal();
+    });
+
+    // 预设按钮
+    presetBtns.forEach(btn => {
+      btn.addEventListener("click", () => {
+        // 移除其他按钮的选中状态
+        presetBtns.forEach(b => b.classList.remove("selected"));
+        // 选中当前按钮
+        btn.classList.add("selected");
+        // 设置输入值
+        const minutes = parseFloat(btn.dataset.minutes);
+        timeInput.value = minutes;
+      });
+    });
+
+    // 输入框变化时取消预设选择
+    timeInput.addEventListener("input", () => {
+      presetBtns.forEach(btn => btn.classList.remove("selected"));
+    });
+
+    // 回车键确认
+    timeInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        this.handleTimeModification();
+      }
+    });
+  }
+
+  /**
+   * 设置增加时间模态框事件监听器
+   */
+  setupExtendTimeModalEventListeners() {
+    const modal = this.container.querySelector("#extend-time-modal");
+    const cancelBtn = this.container.querySelector("#cancel-extend-btn");
+    const confirmBtn = this.container.querySelector("#confirm-extend-btn");
+    const timeInput = this.container.querySelector("#extend-time-input");
+    const presetBtns = modal.querySelectorAll(".preset-btn");
+    const modalOverlay = modal.querySelector(".modal-overlay");
+
+    // 取消按钮
+    cancelBtn.addEventListener("click", () => {
+      this.hideExtendTimeModal();
+    });
+
+    // 确认按钮
+    confirmBtn.addEventListener("click", () => {
+      this.confirmExtendTime();
+    });
+
+    // 点击遮罩层关闭模态框
+    modalOverlay.addEventListener("click", () => {
+      this.hideExtendTimeModal();
+    });
+
+    // 预设按钮
+    presetBtns.forEach(btn => {
+      btn.addEventListener("click", () => {
+        // 移除其他按钮的选中状态
+        presetBtns.forEach(b => b.classList.remove("selected"));
+        // 选中当前按钮
+        btn.classList.add("selected");
+        // 设置输入值
+        const minutes = parseFloat(btn.dataset.minutes);
+        timeInput.value = minutes;
+      });
+    });
+
+    // 输入框变化时取消预设选择
+    timeInput.addEventListener("input", () => {
+      presetBtns.forEach(btn => btn.classList.remove("selected"));
+      // 找到匹配的预设按钮并选中
+      const value = parseFloat(timeInput.value);
+      const matchingBtn = Array.from(presetBtns).find(btn => parseFloat(btn.dataset.minutes) === value);
+      if (matchingBtn) {
+        matchingBtn.classList.add("selected");
+      }
+    });
+
+    // 回车键确认
+    timeInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        this.confirmExtendTime();
+      }
+    });
+  }
+
+  /**
+   * 设置中断原因模态框事件监听器
+   */
+  setupInterruptionModalEventListeners() {
+    const modal = this.container.querySelector("#interruption-modal");
+    const categoryBtns = modal.querySelectorAll(".interruption-category-btn");
+    const reasonInput = modal.querySelector("#interruption-reason-input");
+
+    // 分类按钮单选，再次点击取消选择
+    categoryBtns.forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const wasSelected = btn.classList.contains("selected");
+        categoryBtns.forEach((b) => b.classList.remove("selected"));
+        btn.classList.toggle("selected", !wasSelected);
+      });
+    });
+
+    modal.querySelector("#confirm-interruption-btn").addEventListener("click", () => {
+      this.submitInterruptionModal();
+    });
+    modal.querySelector("#skip-interruption-btn").addEventListener("click", () => {
+      this.closeInterruptionModal(null);
+    });
+    modal.querySelector(".modal-overlay").addEventListener("click", () => {
+      this.closeInterruptionModal(null);
+    });
+
+    reasonInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        this.submitInterruptionModal();
+      }
+    });
+  }
+
+  /**
+   * 显示中断原因模态框
+   * 没有统计服务时直接执行回调；无论是否填写原因，关闭时都会执行回调
+   * @param {string} type - 中断类型：pause | stop | skipBlocking
+   * @param {Function} callback - 关闭时调用，参数为 {category, reason} 或 null
+   */
+  showInterruptionModal(type, callback) {
+    if (!this.statsService) {
+      callback(null);
+      return;
+    }
+
+    const modal = this.container.querySelector("#interruption-modal");
+    const reasonInput = modal.querySelector("#interruption-reason-input");
+
+    this.interruptionCallback = callback;
+    modal.querySelector("#interruption-modal-title").textContent =
+      this.INTERRUPTION_TITLES[type];
+    modal
+      .querySelectorAll(".interruption-category-btn")
+      .forEach((btn) => btn.classList.remove("selected"));
+    reasonInput.value = "";
+    modal.classList.remove("hidden");
+
+    setTimeout(() => reasonInput.focus(), 100);
+  }
+
+  /**
+   * 提交中断原因
+   */
+  submitInterruptionModal() {
+    const modal = this.container.querySelector("#interruption-modal");
+    const selected = modal.querySelector(".interruption-category-btn.selected");
+
+    this.closeInterruptionModal({
+      category: selected ? selected.dataset.category : null,
+      reason: modal.querySelector("#interruption-reason-input").value,
+    });
+  }
+
+  /**
+   * 关闭中断原因模态框并执行回调
+   * @param {Object|null} details - 填写的原因，不记录时为 null
+   */
+  closeInterruptionModal(details) {
+    const modal = this.container.querySelector("#interruption-modal");
+    modal.classList.add("hidden");
+
+    const callback = this.interruptionCallback;
+    this.interruptionCallback = null;
+    if (callback) {
+      callback(details);
+    }
+  }
+
+  /**
+   * 记录中断，失败时不影响后续的计时器操作
+   * @param {Function} record - 调用 StatsService 的记录方法
+   */
+  logInterruption(record) {
+    try {
+      record();
+    } catch (error) {
+      console.error("[FocusPage] Failed to record interruption:", error);
+    }
+  }
+
+  /**
+   * 检查中断原因模态框是否可见
+   */
+  isInterruptionModalVisible() {
+    const modal = this.container.querySelector("#interruption-modal");
+    return modal && !modal.classList.contains("hidden");
+  }
+
+  /**
+   * 显示时间修改模态框
+   */
+  showTimeModificationModal() {
+    const modal = this.container.querySelector("#time-modify-modal");
+    const timeInput = this.container.querySelector("#time-input");
+    const presetBtns = modal.querySelectorAll(".preset-btn");
+    
+    if (!this.timerService) return;
+
+    // 设置当前时间为默认值
+    const currentMinutes = Math.ceil(this.timerService.totalSeconds / 60);
+    timeInput.value = currentMinutes;
+
+    // 检查是否有匹配的预设按钮
+    presetBtns.forEach(btn => {
+      btn.classList.remove("selected");
+      if (parseInt(btn.dataset.minutes) === currentMinutes) {
+        btn.classList.add("selected");
+      }
+    });
+
+    // 显示模态框
+    modal.classList.remove("hidden");
+    
+    // 聚焦输入框
+    setTimeout(() => {
+      timeInput.focus();
+      timeInput.select();
+    }, 100);
+  }
+
+  /**
+   * 隐藏时间修改模态框
+   */
+  hideTimeModificationModal() {
+    const modal = this.container.querySelector("#time-modify-modal");
+    modal.classList.add("hidden");
+  }
+
+  /**
+   * 检查时间修改模态框是否可见
+   */
+  isTimeModalVisible() {
+    const modal = this.container.querySelector("#time-modify-modal");
+    return modal && !modal.classList.contains("hidden");
+  }
+
+  /**
+   * 处理时间修改
+   */
+  handleTimeModification() {
+    const timeInput = this.container.querySelector("#time-input");
+    const minutes = parseFloat(timeInput.value);
+
+    // 验证输入
+    if (isNaN(minutes) || minutes < 0.1 || minutes > 120) {
+      alert("请输入有效的时间（0.1-120分钟）");
+      timeInput.focus();
+      return;
+    }
+
+    // 转换为秒并向上取整
+    const seconds = Math.ceil(minutes * 60);
+
+    // 调用TimerService修改时间
+    if (this.timerService && this.timerService.modifyTimer(seconds)) {
+      this.hideTimeModificationModal();
+      console.log(`[FocusPage] Timer modified to ${minutes} minutes`);
+    } else {
+      alert("修改时间失败，请重试");
+    }
+  }
+
+  /**
+   * 绑定计时器管理器事件
+   */
+  bindTimerService() {
+    if (!this.timerService || this.unsubscribeTimerEvents) return;
+
+    this.unsubscribeTimerEvents = this.eventBus.onMany(
+      [
+        EventBus.EVENTS.TIMER_STARTED,
+        EventBus.EVENTS.TIMER_TICK,
+        EventBus.EVENTS.TIMER_PAUSED,
+        EventBus.EVENTS.TIMER_RESUMED,
+        EventBus.EVENTS.TIMER_COMPLETED,
+        EventBus.EVENTS.TIMER_STOPPED,
+        EventBus.EVENTS.TIMER_MODIFIED,
+        EventBus.EVENTS.BREAK_STARTED,
+        EventBus.EVENTS.BREAK_COMPLETED,
+      ],
+      (event, data) => this.handleTimerEvent(event, data),
+    );
+  }
+
+  /**
+   * 解绑计时器管理器事件
+   */
+  unbindTimerService() {
+    if (!this.unsubscribeTimerEvents) return;
+
+    this.unsubscribeTimerEvents();
+    this.unsubscribeTimerEvents = null;
+  }
+
+  /**
+   * 处理计时器事件
+   * @param {string} event - EventBus.EVENTS 中的事件名称
+   * @param {Object} data - 事件数据
+   */
+  handleTimerEvent(event, data) {
+    const { EVENTS } = EventBus;
+    switch (event) {
+      case EVENTS.TIMER_STARTED:
+        this.onTimerStarted(data);
+        break;
+      case EVENTS.TIMER_TICK:
+        this.onTimerTick(data);
+        break;
+      case EVENTS.TIMER_PAUSED:
+        this.onTimerPaused(data);
+        break;
+      case EVENTS.TIMER_RESUMED:
+        this.onTimerResumed(data);
+        break;
+      case EVENTS.TIMER_COMPLETED:
+        this.onTimerCompleted(data);
+        break;
+      case EVENTS.TIMER_STOPPED:
+        this.onTimerStopped(data);
+        break;
+      case EVENTS.TIMER_MODIFIED:
+        this.onTimerModified(data);
+        break;
+      case EVENTS.BREAK_STARTED:
+        this.onBreakStarted(data);
+        break;
+      case EVENTS.BREAK_COMPLETED:
+        this.onBreakCompleted(data);
+        break;
+    }
+  }
+
+  /**
+   * 处理任务服务事件 - 检查项、备注变化或其他标签页同步任务时刷新显示
+   * @param {string} event - EventBus.EVENTS 中的事件名称
+   * @param {Object} data - 事件数据
+   */
+  handleTaskEvent(event, data) {
+    const { EVENTS } = EventBus;
+    switch (event) {
+      case EVENTS.TASK_UPDATED:
+        if (this.isVisible && data && data.remote) {
+          this.renderTaskDetails();
+        } else if (this.isVisible && data && data.field === "notes") {
+          this.renderNotes();
+        }
+        break;
+      case EVENTS.TASK_CHECKLIST_UPDATED:
+      case EVENTS.TASK_DELETED:
+      case EVENTS.TASKS_RELOADED:
+      case EVENTS.TASKS_MERGED:
+        if (this.isVisible) {
+          this.renderTaskDetails();
+        }
+        break;
+    }
+  }
+
+  /**
+   * 获取当前专注的任务
+   * @returns {Task|null}
+   */
+  getCurrentTask() {
+    const taskInfo = this.timerService ? this.timerService.getTaskInfo() : null;
+    return this.taskManager && taskInfo && taskInfo.taskId
+      ? this.taskManager.getTaskById(taskInfo.taskId) || null
+      : null;
+  }
+
+  /**
+   * 渲染当前任务的检查项和备注
+   */
+  renderTaskDetails() {
+    this.renderChecklist();
+    this.renderNotes();
+  }
+
+  /**
+   * 渲染当前任务的备注（休息模式或无备注时隐藏）
+   */
+  renderNotes() {
+    if (!this.notesElement) return;
+
+    const task = this.getCurrentTask();
+    const notes = (task && task.notes) || "";
+
+    this.notesElement.classList.toggle("hidden", this.isBreakMode || !notes);
+
+    // MarkdownRenderer 会转义所有文本，只生成固定的标签
+    this.notesElement.querySelector("#focus-notes-content").innerHTML = notes
+      ? this.markdownRenderer.render(notes)
+      : "";
+  }
+
+  /**
+   * 渲染当前任务的检查项（休息模式或无检查项时隐藏）
+   */
+  renderChecklist() {
+    if (!this.checklistElement) return;
+
+    const task = this.getCurrentTask();
+    const checklist = (task && task.checklist) || [];
+
+    this.checklistElement.classList.toggle(
+      "hidden",
+      this.isBreakMode || checklist.length === 0,
+    );
+
+    const listElement = this.checklistElement.querySelector("#focus-checklist-items");
+    const progressElement = this.checklistElement.querySelector("#focus-checklist-progress");
+    const done = checklist.filter((item) => item.isCompleted).length;
+    progressElement.textContent = `${done}/${checklist.length}`;
+
+    // 使用textContent构建，防止XSS
+    listElement.innerHTML = "";
+    checklist.forEach((item) => {
+      const itemElement = document.createElement("li");
+      itemElement.className = `focus-checklist-item${item.isCompleted ? " completed" : ""}`;
+      itemElement.dataset.itemId = item.id;
+
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = item.isCompleted;
+      const title = document.createElement("span");
+      title.textContent = item.title;
+
+      label.appendChild(checkbox);
+      label.appendChild(title);
+      itemElement.appendChild(label);
+      listElement.appendChild(itemElement);
+    });
+  }
+
+  /**
+   * 切换当前任务的检查项
+   * @param {string} itemId - 检查项ID
+   */
+  async handleChecklistToggle(itemId) {
+    const taskInfo = this.timerService.getTaskInfo();
+    if (!this.taskManager || !taskInfo || !taskInfo.taskId) return;
+
+    try {
+      await this.taskManager.toggleChecklistItem(taskInfo.taskId, itemId);
+    } catch (error) {
+      console.error("[FocusPage] Failed to toggle checklist item:", error);
+    }
+  }
+
+  /**
+   * 处理计时器开始事件
+   * @param {Object} data - 事件数据
+   */
+  onTimerStarted(data) {
+    this.setBreakMode(false);
+    this.updateTaskInfo(data.taskTitle);
+    this.updateCountdown(data.remainingSeconds, data.totalSeconds);
+    this.updateStatus("专注中", "running");
+    this.updateProgress(0);
+    this.show();
+    this.showActionButtons(true);
+    
+    // 确保完成按钮在计时器开始时被隐藏
+    this.hideCompletionButtons();
+    
+    console.log("[FocusPage] Timer started, showing focus page");
+  }
+
+  /**
+   * 处理计时器更新事件
+   * @param {Object} data - 事件数据
+   */
+  onTimerTick(data) {
+    this.updateCountdown(data.remainingSeconds, data.totalSeconds);
+    this.updateProgress(data.progress);
+    if (!this.isBreakMode) {
+      this.updateHint(data.remainingSeconds);
+    }
+  }
+
+  /**
+   * 处理计时器暂停事件
+   * @param {Object} data - 事件数据
+   */
+  onTimerPaused(data) {
+    this.updateStatus("已暂停", "paused");
+    this.updateActionButtons("paused");
+  }
+
+  /**
+   * 处理计时器恢复事件
+   * @param {Object} data - 事件数据
+   */
+  onTimerResumed(data) {
+    this.updateStatus("专注中", "running");
+    this.updateActionButtons("running");
+  }
+
+  /**
+   * 处理计时器完成事件
+   * @param {Object} data - 事件数据
+   */
+  onTimerCompleted(data) {
+    this.updateStatus("已完成 🎉", "completed");
+    this.updateHint(0);
+    this.showCompletionMessage(data.taskTitle);
+    
+    // 显示完成后的操作按钮
+    this.showCompletionButtons();
+    
+    console.log("[FocusPage] Timer completed, showing completion buttons");
+  }
+
+  /**
+   * 处理计时器停止事件
+   * @param {Object} data - 事件数据
+   */
+  onTimerStopped(data) {
+    this.hide();
+    console.log("[FocusPage] Timer stopped, hiding focus page");
+  }
+
+  /**
+   * 处理休息开始事件 - 以休息模式替代拦截页面
+   * @param {Object} data - 事件数据
+   */
+  onBreakStarted(data) {
+    const isLongBreak = data.phase === "longBreak";
+
+    this.setBreakMode(true);
+    this.updateTaskInfo(isLongBreak ? "长休息" : "短休息");
+    this.updateCountdown(data.remainingSeconds, data.totalSeconds);
+    this.updateStatus("休息中 ☕", "break");
+    this.updateProgress(0);
+
+    const hintElement = this.container.querySelector(".focus-hint");
+    if (hintElement) {
+      hintElement.textContent = isLongBreak
+        ? `已完成一轮 ${data.completedPomodoros} 个番茄钟，好好休息一下吧`
+        : `已完成 ${data.completedPomodoros}/${data.longBreakInterval} 个番茄钟，起身活动一下吧`;
+    }
+
+    // 休息期间仍可标记刚完成的任务或继续专注
+    this.showActionButtons(false);
+    this.container.querySelector("#complete-btn").classList.remove("hidden");
+    this.container.querySelector("#extend-time-btn").classList.remove("hidden");
+    this.container.querySelector("#cancel-complete-btn").classList.add("hidden");
+
+    this.show();
+    console.log(`[FocusPage] ${data.phase} started, showing break mode`);
+  }
+
+  /**
+   * 处理休息结束事件
+   * @param {Object} data - 事件数据
+   */
+  onBreakCompleted(data) {
+    this.updateStatus(data.skipped ? "已跳过休息" : "休息结束", "completed");
+    this.hide();
+    console.log(`[FocusPage] ${data.phase} finished, hiding break mode`);
+  }
+
+  /**
+   * 切换休息模式
+   * @param {boolean} enabled - 是否启用休息模式
+   */
+  setBreakMode(enabled) {
+    this.isBreakMode = enabled;
+    if (!this.container) return;
+
+    if (enabled) {
+      this.container.setAttribute("data-break-mode", "true");
+      this.container.removeAttribute("data-blocking-mode");
+    } else {
+      this.container.removeAttribute("data-break-mode");
+    }
+
+    const skipBreakBtn = this.container.querySelector("#skip-break-btn");
+    if (skipBreakBtn) {
+      skipBreakBtn.classList.toggle("hidden", !enabled);
+    }
+
+    this.renderTaskDetails();
+  }
+
+  /**
+   * 处理计时器修改事件
+   * @param {Object} data - 事件数据
+   */
+  onTimerModified(data) {
+    this.updateCountdown(data.remainingSeconds, data.totalSeconds);
+    this.updateProgress(0); // 重置进度条
+    this.updateHint(data.remainingSeconds);
+    
+    console.log(`[FocusPage] Timer modified from ${data.oldDuration}s to ${data.newDuration}s`);
+  }
+
+  /**
+   * 更新任务信息
+   * @param {string} taskTitle - 任务标题
+   */
+  updateTaskInfo(taskTitle) {
+    if (this.taskTitleElement) {
+      this.taskTitleElement.textContent = taskTitle || "未知任务";
+    }
+  }
+
+  /**
+   * 更新倒计时显示
+   * @param {number} remainingSeconds - 剩余秒数
+   * @param {number} totalSeconds - 总秒数
+   */
+  updateCountdown(remainingSeconds, totalSeconds = null) {
+    if (!this.countdownElement) return;
+
+    const timeStr = this.formatTime(remainingSeconds);
+    this.countdownElement.textContent = timeStr;
+
+    // 添加时间警告样式（休息模式不需要催促）
+    if (this.isBreakMode) {
+      this.countdownElement.classList.remove("warning", "urgent");
+      return;
+    }
+
+    if (remainingSeconds <= 300) { // 最后5分钟
+      this.countdownElement.classList.add("warning");
+    } else {
+      this.countdownElement.classList.remove("warning");
+    }
+
+    if (remainingSeconds <= 60) { // 最后1分钟
+      this.countdownElement.classList.add("urgent");
+    } else {
+      this.countdownElement.classList.remove("urgent");
+    }
+  }
+
+  /**
+   * 更新状态显示
+   * @param {string} statusText - 状态文本
+   * @param {string} statusClass - 状态样式类
+   */
+  updateStatus(statusText, statusClass) {
+    if (!this.statusElement) return;
+
+    this.statusElement.textContent = statusText;
+    this.statusElement.className = `focus-status ${statusClass}`;
+  }
+
+  /**
+   * 更新进度条
+   * @param {number} progress - 进度（0-1）
+   */
+  updateProgress(progress) {
+    if (!this.progressElement) return;
+
+    const percentage = Math.min(100, Math.max(0, progress * 100));
+    this.progressElement.style.width = `${percentage}%`;
+  }
+
+  /**
+   * 更新提示信息
+   * @param {number} remainingSeconds - 剩余秒数
+   */
+  updateHint(remainingSeconds) {
+    const hintElement = this.container.querySelector(".focus-hint");
+    if (!hintElement) return;
+
+    let hintText = "保持专注，距离完成还有一段时间";
+
+    if (remainingSeconds <= 0) {
+      hintText = "恭喜！本次专注时间已完成 🎉";
+    } else if (remainingSeconds <= 60) {
+      hintText = "最后冲刺！还有不到1分钟";
+    } else if (remainingSeconds <= 300) {
+      hintText = "进入最后阶段，坚持住！";
+    } else if (remainingSeconds <= 900) {
+      hintText = "已经过半，继续保持专注";
+    }
+
+    hintElement.textContent = hintText;
+  }
+
+  /**
+   * 显示完成消息
+   * @param {string} taskTitle - 任务标题
+   */
+  showCompletionMessage(taskTitle) {
+    const messageElement = this.container.querySelector(".focus-hint");
+    if (messageElement) {
+      // 清空现有内容
+      messageElement.innerHTML = '';
+      
+      // 创建完成消息容器
+      const completionDiv = document.createElement('div');
+      completionDiv.className = 'completion-message';
+      
+      // 创建图标元素
+      const iconDiv = document.createElement('div');
+      iconDiv.className = 'completion-icon';
+      iconDiv.textContent = '🍅';
+      completionDiv.appendChild(iconDiv);
+      
+      // 创建文本元素
+      const textDiv = document.createElement('div');
+      textDiv.className = 'completion-text';
+      textDiv.textContent = '专注时间完成！';
+      completionDiv.appendChild(textDiv);
+      
+      // 创建任务标题元素（使用textContent防止XSS）
+      const taskDiv = document.createElement('div');
+      taskDiv.className = 'completion-task';
+      taskDiv.textContent = taskTitle || '';
+      completionDiv.appendChild(taskDiv);
+      
+      messageElement.appendChild(completionDiv);
+    }
+  }
+
+  /**
+   * 显示/隐藏操作按钮
+   * @param {boolean} show - 是否显示
+   */
+  showActionButtons(show) {
+    // 只选择常规操作按钮，排除完成后的操作按钮
+    const regularButtons = this.container.querySelectorAll("#pause-btn, #resume-btn, #modify-time-btn, #stop-btn");
+    regularButtons.forEach(btn => {
+      btn.classList.toggle("hidden", !show);
+    });
+
+    if (show) {
+      this.updateActionButtons("running");
+    }
+  }
+
+  /**
+   * 更新操作按钮状态
+   * @param {string} status - 计时器状态
+   */
+  updateActionButtons(status) {
+    const pauseBtn = this.container.querySelector("#pause-btn");
+    const resumeBtn = this.container.querySelector("#resume-btn");
+    const modifyTimeBtn = this.container.querySelector("#modify-time-btn");
+    const stopBtn = this.container.querySelector("#stop-btn");
+
+    switch (status) {
+      case "running":
+        pauseBtn.classList.remove("hidden");
+        resumeBtn.classList.add("hidden");
+        modifyTimeBtn.classList.remove("hidden");
+        stopBtn.classList.remove("hidden");
+        break;
+      case "paused":
+        pauseBtn.classList.add("hidden");
+        resumeBtn.classList.remove("hidden");
+        modifyTimeBtn.classList.remove("hidden");
+        stopBtn.classList.remove("hidden");
+        break;
+      default:
+        pauseBtn.classList.add("hidden");
+        resumeBtn.classList.add("hidden");
+        modifyTimeBtn.classList.add("hidden");
+        stopBtn.classList.add("hidden");
+    }
+  }
+
+  /**
+   * 显示专注页面
+   */
+  show() {
+    if (!this.container) return;
+
+    // 取消尚未完成的隐藏动画，避免刚显示的页面被重置
+    if (this.hideTimeout) {
+      clearTimeout(this.hideTimeout);
+      this.hideTimeout = null;
+    }
+
+    this.container.classList.remove("hidden");
+    this.isVisible = true;
+    this.renderTaskDetails();
+
+    // 添加显示动画
+    setTimeout(() => {
+      this.container.classList.add("show");
+    }, 10);
+
+    // 阻止页面滚动
+    document.body.style.overflow = "hidden";
+  }
+
+  /**
+   * 隐藏专注页面
+   */
+  hide() {
+    if (!this.container) return;
+
+    this.container.classList.remove("show");
+    this.isVisible = false;
+
+    // 未填写的中断原因按不记录处理
+    if (this.isInterruptionModalVisible()) {
+      this.closeInterruptionModal(null);
+    }
+
+    // 动画完成后隐藏
+    this.hideTimeout = setTimeout(() => {
+      this.hideTimeout = null;
+      this.container.classList.add("hidden");
+      document.body.style.overflow = "";
+      this.reset();
+    }, 300);
+  }
+
+  /**
+   * 重置页面状态
+   */
+  reset() {
+    this.setBreakMode(false);
+    this.updateTaskInfo("准备开始专注...");
+    this.updateCountdown(this.timerService ? this.timerService.getDefaultDuration() : 1500);
+    this.updateStatus("就绪", "idle");
+    this.updateProgress(0);
+    this.showActionButtons(false);
+    
+    // 确保完成按钮也被隐藏
+    this.hideCompletionButtons();
+    
+    // 重置提示
+    const hintElement = this.container.querySelector(".focus-hint");
+    if (hintElement) {
+      hintElement.textContent = "保持专注，距离完成还有一段时间";
+    }
+  }
+
+  /**
+   * 格式化时间显示
+   * @param {number} seconds - 秒数
+   * @returns {string} 格式化的时间 (MM:SS)
+   */
+  formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const secs = seconds % 60;
+    return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  }
+
+  /**
+   * 检查页面是否可见
+   * @returns {boolean} 是否可见
+   */
+  isPageVisible() {
+    return this.isVisible;
+  }
+
+  /**
+   * 显示完成后的操作按钮
+   */
+  showCompletionButtons() {
+    const completeBtn = this.container.querySelector("#complete-btn");
+    const cancelBtn = this.container.querySelector("#cancel-complete-btn");
+    const extendBtn = this.container.querySelector("#extend-time-btn");
+    
+    // 隐藏其他按钮
+    this.showActionButtons(false);
+    
+    // 显示完成操作按钮
+    completeBtn.classList.remove("hidden");
+    cancelBtn.classList.remove("hidden");
+    extendBtn.classList.remove("hidden");
+  }
+
+  /**
+   * 隐藏完成后的操作按钮
+   */
+  hideCompletionButtons() {
+    const completeBtn = this.container.querySelector("#complete-btn");
+    const cancelBtn = this.container.querySelector("#cancel-complete-btn");
+    const extendBtn = this.container.querySelector("#extend-time-btn");
+    
+    completeBtn.classList.add("hidden");
+    cancelBtn.classList.add("hidden");
+    extendBtn.classList.add("hidden");
+  }
+
+  /**
+   * 处理任务完成
+   */
+  async handleTaskComplete() {
+    const taskInfo = this.timerService.getTaskInfo();
+    if (this.taskManager && taskInfo && taskInfo.taskId) {
+      try {
+        const taskId = taskInfo.taskId;
+        // 标记任务为完成（番茄钟计数已在专注完成时由 StatsService 累加）
+        await this.taskManager.toggleTaskCompletion(taskId);
+        console.log(`[FocusPage] Task marked as completed`);
+        
+        // 显示成功提示
+        this.updateStatus("任务已标记完成 ✅", "completed");
+        
+        // 1秒后隐藏页面
+        setTimeout(() => {
+          this.hide();
+        }, 1000);
+      } catch (error) {
+        console.error("[FocusPage] Failed to complete task:", error);
+      }
+    }
+  }
+
+  /**
+   * 处理增加时间
+   */
+  handleExtendTime() {
+    const modal = this.container.querySelector("#extend-time-modal");
+    const input = this.container.querySelector("#extend-time-input");
+    const minutes = this.timerService ? this.timerService.getExtendDuration() / 60 : 15;
+    input.value = minutes;
+
+    // 选中与默认时长一致的预设按钮
+    modal.querySelectorAll(".preset-btn").forEach((btn) => {
+      btn.classList.toggle("selected", parseFloat(btn.dataset.minutes) === minutes);
+    });
+    modal.classList.remove("hidden");
+    
+    setTimeout(() => {
+      input.focus();
+      input.select();
+    }, 100);
+  }
+
+  /**
+   * 隐藏增加时间模态框
+   */
+  hideExtendTimeModal() {
+    const modal = this.container.querySelector("#extend-time-modal");
+    modal.classList.add("hidden");
+  }
+
+  /**
+   * 确认增加时间
+   */
+  async confirmExtendTime() {
+    const input = this.container.querySelector("#extend-time-input");
+    const minutes = parseFloat(input.value);
+    
+    if (isNaN(minutes) || minutes < 0.1 || minutes > 60) {
+      alert("请输入有效的时间（0.1-60分钟）");
+      input.focus();
+      return;
+    }
+    
+    const seconds = Math.ceil(minutes * 60);
+    
+    // 使用 TimerService 重新启动计时器
+    const taskInfo = this.timerService.getTaskInfo();
+    if (this.timerService && taskInfo) {
+      const taskId = taskInfo.taskId;
+      const taskTitle = taskInfo.taskTitle;
+      
+      // 重新启动计时器（记录为延长的专注会话）
+      await this.timerService.startTimer(taskId, taskTitle, seconds, {
+        isExtension: true,
+      });
+      
+      // 隐藏modal和完成按钮
+      this.hideExtendTimeModal();
+      this.hideCompletionButtons();
+      
+      console.log(`[FocusPage] Extended timer by ${minutes} minutes`);
+    }
+  }
+
+  /**
+   * 检查增加时间模态框是否可见
+   * @returns {boolean} 是否可见
+   */
+  isExtendTimeModalVisible() {
+    const modal = this.container.querySelector("#extend-time-modal");
+    return modal && !modal.classList.contains("hidden");
+  }
+
+  /**
+   * 销毁专注页面
+   */
+  destroy() {
+    this.unbindTimerService();
+
+    if (this.unsubscribeTaskEvents) {
+      this.unsubscribeTaskEvents();
+      this.unsubscribeTaskEvents = null;
+    }
+
+    if (this.hideTimeout) {
+      clearTimeout(this.hideTimeout);
+      this.hideTimeout = null;
+    }
+    
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+
+    // 恢复页面滚动
+    document.body.style.overflow = "";
+
+    this.container = null;
+    this.isInitialized = false;
+    this.isVisible = false;
+
+    console.log("[FocusPage] Destroyed");
+  }
+}
+
+    /**
+     * MarkdownRenderer - 任务备注的安全Markdown子集渲染器
+     */
+    class MarkdownRenderer {
+  constructor() {
+    this.SAFE_URL_PATTERN = /^(?:https?:\/\/|mailto:)/i;
+    this.FENCE_PATTERN = /^\s*```/;
+  }
+
+  /**
+   * 渲染Markdown为HTML字符串
+   * @param {string} text - Markdown文本
+   * @returns {string} 安全的HTML
+   */
+  render(text) {
+    // \u0000 用作行内占位符的分隔符，不允许出现在输入中
+    const lines = String(text || "")
+      .replace(/\u0000/g, "")
+      .replace(/\r\n?/g, "\n")
+      .split("\n");
+
+    const html = [];
+    let paragraph = [];
+    let quote = [];
+    let list = null;
+    let code = null;
+
+    const flushParagraph = () => {
+      if (paragraph.length > 0) {
+        html.push(`<p>${paragraph.map((line) => this.renderInline(line)).join("<br>")}</p>`);
+        paragraph = [];
+      }
+    };
+    const flushQuote = () => {
+      if (quote.length > 0) {
+        html.push(
+          `<blockquote>${quote.map((line) => this.renderInline(line)).join("<br>")}</blockquote>`,
+        );
+        quote = [];
+      }
+    };
+    const flushList = () => {
+      if (list) {
+        const items = list.items.map((item) => `<li>${item}</li>`).join("");
+        html.push(`<${list.type}>${items}</${list.type}>`);
+        list = null;
+      }
+    };
+    const flushAll = () => {
+      flushParagraph();
+      flushQuote();
+      flushList();
+    };
+
+    for (const line of lines) {
+      if (code) {
+        if (this.FENCE_PATTERN.test(line)) {
+          html.push(`<pre><code>${this.escape(code.join("\n"))}</code></pre>`);
+          code = null;
+        } else {
+          code.push(line);
+        }
+        continue;
+      }
+
+      if (this.FENCE_PATTERN.test(line)) {
+        flushAll();
+        code = [];
+        continue;
+      }
+
+      if (!line.trim()) {
+        flushAll();
+        continue;
+      }
+
+      // 标题降三级显示（h4-h6），避免在小面板中过大
+      const heading = line.match(/^(#{1,3})\s+(.*)$/);
+      if (heading) {
+        flushAll();
+        const level = heading[1].length + 3;
+        html.push(`<h${level}>${this.renderInline(heading[2])}</h${level}>`);
+        continue;
+      }
+
+      const quoteLine = line.match(/^\s*>\s?(.*)$/);
+      if (quoteLine) {
+        flushParagraph();
+        flushList();
+        quote.push(quoteLine[1]);
+        continue;
+      }
+
+      const item = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.*)$/);
+      if (item) {
+        flushParagraph();
+        flushQuote();
+        const type = item[1] ? "ul" : "ol";
+        if (list && list.type !== type) flushList();
+        if (!list) list = { type, items: [] };
+        list.items.push(this.renderListItem(item[2]));
+        continue;
+      }
+
+      flushQuote();
+      flushList();
+      paragraph.push(line.trim());
+    }
+
+    // 未闭合的代码块按代码显示
+    if (code) {
+      html.push(`<pre><code>${this.escape(code.join("\n"))}</code></pre>`);
+    }
+    flushAll();
+
+    return html.join("");
+  }
+
+  /**
+   * 渲染列表项，识别任务列表标记
+   * @param {string} text - 列表项文本
+   * @returns {string} HTML
+   */
+  renderListItem(text) {
+    const task = text.match(/^\[([ xX])\]\s+(.*)$/);
+    if (!task) {
+      return this.renderInline(text);
+    }
+
+    const done = task[1] !== " ";
+    return `<span class="md-task-marker">${done ? "☑" : "☐"}</span> ${this.renderInline(task[2])}`;
+  }
+
+  /**
+   * 渲染行内格式
+   * 代码和链接先替换为占位符，避免其中的内容被再次格式化
+   * @param {string} text - 原始文本
+   * @returns {string} HTML
+   */
+  renderInline(text) {
+    const tokens = [];
+    const stash = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+
+    const withTokens = text
+      .replace(/`([^`]+)`/g, (match, code) => stash(`<code>${this.escape(code)}</code>`))
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) =>
+        this.SAFE_URL_PATTERN.test(url)
+          ? stash(this.renderLink(url, this.renderEmphasis(this.escape(label))))
+          : match,
+      )
+      .replace(/\bhttps?:\/\/[^\s<>"']*[^\s<>"'.,;:!?)\]]/g, (url) =>
+        stash(this.renderLink(url, this.escape(url))),
+      );
+
+    return this.renderEmphasis(this.escape(withTokens)).replace(
+      /\u0000(\d+)\u0000/g,
+      (match, index) => tokens[Number(index)],
+    );
+  }
+
+  /**
+   * 渲染粗体、斜体和删除线（输入必须已转义）
+   * @param {string} html - 已转义的文本
+   * @returns {string} HTML
+   */
+  renderEmphasis(html) {
+    return html
+      .replace(/\*\*(?=\S)(.+?)\*\*/g, "<strong>$1</strong>")
+      .replace(/__(?=\S)(.+?)__/g, "<strong>$1</strong>")
+      .replace(/~~(?=\S)(.+?)~~/g, "<del>$1</del>")
+      .replace(/(^|[^*\w])\*(?=\S)([^*]+?)\*(?!\w)/g, "$1<em>$2</em>")
+      .replace(/(^|[^_\w])_(?=\S)([^_]+?)_(?!\w)/g, "$1<em>$2</em>");
+  }
+
+  /**
+   * 渲染在新标签页打开的链接
+   * @param {string} url - 已通过协议检查的网址
+   * @param {string} labelHtml - 已转义的链接文本
+   * @returns {string} HTML
+   */
+  renderLink(url, labelHtml) {
+    return `<a href="${this.escape(url)}" target="_blank" rel="noopener noreferrer">${labelHtml}</a>`;
+  }
+
+  /**
+   * 转义HTML特殊字符（含引号，可用于属性值）
+   * @param {string} text - 原始文本
+   * @returns {string}
+   */
+  escape(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+}
+
+    /**
+     * SettingsPanel - 设置面板UI组件
+     */
+    /**
+ * 设置面板类
+ */
+class SettingsPanel {
+  constructor(
+    taskService = null,
+    timerService = null,
+    storage = null,
+    whitelistManager = null,
+    statsService = null,
+    blacklistManager = null,
+    blockerFeature = null,
+    backupService = null,
+    todoTxtService = null,
+    eventBus = null,
+  ) {
+    this.isVisible = false;
+    this.activeTab = "todo"; // 默认激活ToDo标签页
+    this.panel = null;
+    this.contentArea = null;
+    this.tabs = new Map(); // 存储标签页组件
+
+    // 依赖注入 - Linus式显式依赖
+    this.taskService = taskService;
+    this.timerService = timerService;
+    this.storage = storage;
+    this.whitelistManager = whitelistManager;
+    this.statsService = statsService;
+    this.blacklistManager = blacklistManager;
+    this.blockerFeature = blockerFeature;
+    this.backupService = backupService;
+    this.todoTxtService = todoTxtService;
+    this.eventBus = eventBus; // 事件总线，子组件通过它订阅服务事件
+    this.unsubscribeRuleEvents = null;
+    this.todoList = null; // TodoList组件实例
+    this.statisticsPanel = null; // StatisticsPanel组件实例
+    this.timerSettingsPanel = null; // TimerSettingsPanel组件实例
+    this.dataPanel = null; // DataPanel组件实例
+    this.archivePanel = null; // ArchivePanel组件实例
+    this.trashPanel = null; // TrashPanel组件实例
+    this.whitelistElements = null;
+    this.undoToast = null;
+    this.undoTimeout = null;
+    this.blockingMode = "whitelist"; // 当前拦截模式，决定规则编辑区管理哪个列表
+
+    // 拦截模式对应的文案
+    this.blockingModeConfig = {
+      whitelist: {
+        title: "网站白名单",
+        description:
+          "专注期间拦截白名单以外的所有网站（支持精确域名、*.子域名通配、路径前缀和正则表达式）",
+        emptyTitle: "暂无白名单域名",
+        emptyHint: "添加规则后，专注期间将允许访问匹配这些规则的网站",
+      },
+      blacklist: {
+        title: "网站黑名单",
+        description:
+          "专注期间只拦截黑名单中的网站（支持精确域名、*.子域名通配、路径前缀和正则表达式）",
+        emptyTitle: "暂无黑名单域名",
+        emptyHint: "添加规则后，专注期间将拦截匹配这些规则的网站",
+      },
+    };
+
+    // 标签页配置
+    this.tabConfig = [
+      {
+        id: "todo",
+        name: "ToDo列表",
+        icon: "✅",
+        component: null, // 将在后续设置
+      },
+      {
+        id: "whitelist",
+        name: "网站拦截",
+        icon: "🌐",
+        component: null,
+      },
+      {
+        id: "timer",
+        name: "计时设置",
+        icon: "⏱️",
+        component: null,
+      },
+      {
+        id: "statistics",
+        name: "效率统计",
+        icon: "📊",
+        component: null,
+      },
+      {
+        id: "archive",
+        name: "归档",
+        icon: "📦",
+        component: null,
+      },
+      {
+        id: "trash",
+        name: "回收站",
+        icon: "🗑️",
+        component: null,
+      },
+      {
+        id: "data",
+        name: "数据备份",
+        icon: "💾",
+        component: null,
+      },
+    ];
+
+    this.initialize();
+  }
+
+  /**
+   * 初始化设置面板
+   */
+  async initialize() {
+    this.createPanelStructure();
+    this.createNavigation();
+    this.createContentArea();
+    this.setupEventListeners();
+    await this.initializeWhitelist(); // 初始化白名单功能
+    this.createTodoList(); // 创建TodoList组件
+    this.createTimerSettingsPanel(); // 创建TimerSettingsPanel组件
+    this.createStatisticsPanel(); // 创建StatisticsPanel组件
+    this.createArchivePanel(); // 创建ArchivePanel组件
+    this.createTrashPanel(); // 创建TrashPanel组件
+    this.createDataPanel(); // 创建DataPanel组件
+    this.activateTab(this.activeTab);
+
+    console.log("[SettingsPanel] Initialized successfully");
+  }
+
+  /**
+   * 创建面板基础结构
+   */
+  createPanelStructure() {
+    // 创建遮罩层
+    const overlay = document.createElement("div");
+    overlay.id = "tomato-monkey-overlay";
+    overlay.className = "tomato-monkey-overlay tomato-monkey-hidden";
+
+    // 创建主面板
+    this.panel = document.createElement("div");
+    this.panel.id = "tomato-monkey-settings-panel";
+    this.panel.className = "tomato-monkey-settings-panel tomato-monkey-hidden";
+
+    // 设置基础样式
+    this.applyBaseStyles();
+
+    // 创建面板头部
+    const header = document.createElement("div");
+    header.className = "settings-header";
+    header.innerHTML = `
+            <div class="header-title">
+                <span class="header-icon">🍅</span>
+                <h2>TomatoMonkey 设置</h2>
+            </div>
+            <button class="close-button" type="button" title="关闭设置面板 (Ctrl+Shift+T)">
+                ✕
+            </button>
+        `;
+
+    // 创建面板主体
+    const body = document.createElement("div");
+    body.className = "settings-body";
+
+    // 创建左侧导航区域
+    const navigation = document.createElement("nav");
+    navigation.className = "settings-navigation";
+
+    // 创建右侧内容区域
+    this.contentArea = document.createElement("main");
+    this.contentArea.className = "settings-content";
+
+    // 组装面板结构
+    body.appendChild(navigation);
+    body.appendChild(this.contentArea);
+    this.panel.appendChild(header);
+    this.panel.appendChild(body);
+
+    // 添加到页面
+    document.body.appendChild(overlay);
+    document.body.appendChild(this.panel);
+
+    // 存储引用
+    this.overlay = overlay;
+    this.navigation = navigation;
+    this.headerElement = header;
+  }
+
+  /**
+   * 创建导航标签页
+   */
+  createNavigation() {
+    const tabList = document.createElement("ul");
+    tabList.className = "tab-list";
+    tabList.setAttribute("role", "tablist");
+
+    this.tabConfig.forEach((tab, index) => {
+      const tabItem = document.createElement("li");
+      tabItem.className = "tab-item";
+
+      const tabButton = document.createElement("button");
+      tabButton.type = "button";
+      tabButton.className = `tab-button ${tab.id === this.activeTab ? "active" : ""}`;
+      tabButton.setAttribute("role", "tab");
+      tabButton.setAttribute("aria-controls", `${tab.id}-panel`);
+      tabButton.setAttribute(
         "aria-selected",
         tab.id === this.activeTab ? "true" : "false",
       );
@@ -3744,785 +11006,1728 @@ class SettingsPanel {
       );
       tabButton.dataset.tabId = tab.id;
 
-      tabButton.innerHTML = `
-                <span class="tab-icon">${tab.icon}</span>
-                <span class="tab-name">${tab.name}</span>
-            `;
+      tabButton.innerHTML = `
+                <span class="tab-icon">${tab.icon}</span>
+                <span class="tab-name">${tab.name}</span>
+            `;
+
+      // 添加事件监听
+      tabButton.addEventListener("click", (e) => {
+        this.activateTab(tab.id);
+      });
+
+      // 键盘导航支持
+      tabButton.addEventListener("keydown", (e) => {
+        this.handleTabKeydown(e, index);
+      });
+
+      tabItem.appendChild(tabButton);
+      tabList.appendChild(tabItem);
+    });
+
+    this.navigation.appendChild(tabList);
+    this.tabButtons = this.navigation.querySelectorAll(".tab-button");
+  }
+
+  /**
+   * 创建内容区域
+   */
+  createContentArea() {
+    // 为每个标签页创建内容面板
+    this.tabConfig.forEach((tab) => {
+      const contentPanel = document.createElement("div");
+      contentPanel.id = `${tab.id}-panel`;
+      contentPanel.className = `content-panel ${tab.id === this.activeTab ? "active" : "hidden"}`;
+      contentPanel.setAttribute("role", "tabpanel");
+      contentPanel.setAttribute("aria-labelledby", `${tab.id}-tab`);
+
+      // 根据标签页类型创建不同的内容
+      switch (tab.id) {
+        case "todo":
+          contentPanel.innerHTML = `
+                        <div class="panel-header">
+                            <h3>任务管理</h3>
+                            <p>管理您的待办事项列表</p>
+                        </div>
+                        <div id="todo-container" class="todo-container">
+                            <!-- ToDo List组件将插入这里 -->
+                        </div>
+                    `;
+          break;
+
+        case "whitelist":
+          contentPanel.innerHTML = `
+                        <div class="panel-header">
+                            <h3 id="whitelist-panel-title">网站白名单</h3>
+                            <p id="whitelist-panel-description">专注期间拦截白名单以外的所有网站（支持精确域名、*.子域名通配、路径前缀和正则表达式）</p>
+                        </div>
+                        <div class="whitelist-container">
+                            <div class="blocking-mode-section" role="radiogroup" aria-label="拦截模式">
+                                <label class="blocking-mode-option">
+                                    <input type="radio" name="tomato-monkey-blocking-mode" value="whitelist" checked />
+                                    <span class="blocking-mode-name">白名单模式</span>
+                                    <small>拦截白名单以外的所有网站</small>
+                                </label>
+                                <label class="blocking-mode-option">
+                                    <input type="radio" name="tomato-monkey-blocking-mode" value="blacklist" />
+                                    <span class="blocking-mode-name">黑名单模式</span>
+                                    <small>只拦截黑名单中的网站</small>
+                                </label>
+                            </div>
+                            <div class="whitelist-input-section">
+                                <div class="input-group">
+                                    <select
+                                        id="whitelist-rule-type"
+                                        class="rule-type-select"
+                                        aria-label="规则类型"
+                                    >
+                                        <option value="auto">自动识别</option>
+                                        <option value="exact">精确域名</option>
+                                        <option value="wildcard">子域名通配</option>
+                                        <option value="path">路径前缀</option>
+                                        <option value="regex">正则表达式</option>
+                                    </select>
+                                    <input 
+                                        type="text" 
+                                        id="whitelist-domain-input" 
+                                        class="domain-input" 
+                                        placeholder="输入域名，如：google.com"
+                                        aria-label="域名输入"
+                                    />
+                                    <button 
+                                        type="button" 
+                                        id="whitelist-add-button" 
+                                        class="add-domain-button"
+                                        aria-label="添加域名到规则列表"
+                                    >
+                                        添加域名
+                                    </button>
+                                </div>
+                                <div class="input-feedback" id="whitelist-input-feedback" role="alert" aria-live="polite"></div>
+                            </div>
+                            <div class="whitelist-list-section">
+                                <div class="list-header">
+                                    <h4>已添加的域名</h4>
+                                    <span class="domain-count" id="whitelist-domain-count">0 条规则</span>
+                                </div>
+                                <div class="domain-list" id="whitelist-domain-list" role="list">
+                                    <div class="empty-state" id="whitelist-empty-state">
+                                        <div class="empty-icon">🌐</div>
+                                        <p id="whitelist-empty-title">暂无白名单域名</p>
+                                        <small id="whitelist-empty-hint">添加规则后，专注期间将允许访问匹配这些规则的网站</small>
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+                    `;
+          break;
+
+        case "timer":
+          contentPanel.innerHTML = `
+                        <div class="panel-header">
+                            <h3>计时设置</h3>
+                            <p>设置专注、休息和延长专注的默认时长</p>
+                        </div>
+                        <div id="timer-settings-container" class="timer-settings-container">
+                            <!-- TimerSettingsPanel组件将插入这里 -->
+                        </div>
+                    `;
+          break;
+
+        case "statistics":
+          contentPanel.innerHTML = `
+                        <div class="panel-header">
+                            <h3>效率统计</h3>
+                            <p>查看您的专注时间和任务完成统计</p>
+                        </div>
+                        <div id="statistics-container" class="statistics-container">
+                            <!-- StatisticsPanel组件将插入这里 -->
+                        </div>
+                    `;
+          break;
+
+        case "archive":
+          contentPanel.innerHTML = `
+                        <div class="panel-header">
+                            <h3>归档</h3>
+                            <p>浏览和搜索已归档的已完成任务</p>
+                        </div>
+                        <div id="archive-container" class="archive-container">
+                            <!-- ArchivePanel组件将插入这里 -->
+                        </div>
+                    `;
+          break;
+
+        case "trash":
+          contentPanel.innerHTML = `
+                        <div class="panel-header">
+                            <h3>回收站</h3>
+                            <p>恢复或永久删除已删除的任务</p>
+                        </div>
+                        <div id="trash-container" class="trash-container">
+                            <!-- TrashPanel组件将插入这里 -->
+                        </div>
+                    `;
+          break;
+
+        case "data":
+          contentPanel.innerHTML = `
+                        <div class="panel-header">
+                            <h3>数据备份</h3>
+                            <p>导出或导入全部 TomatoMonkey 数据</p>
+                        </div>
+                        <div id="data-container" class="data-container">
+                            <!-- DataPanel组件将插入这里 -->
+                        </div>
+                    `;
+          break;
+      }
+
+      this.contentArea.appendChild(contentPanel);
+      this.tabs.set(tab.id, contentPanel);
+    });
+  }
+
+  /**
+   * 设置事件监听器
+   */
+  setupEventListeners() {
+    // 关闭按钮
+    const closeButton = this.headerElement.querySelector(".close-button");
+    closeButton.addEventListener("click", () => this.hide());
+
+    // 遮罩层点击关闭
+    this.overlay.addEventListener("click", () => this.hide());
+
+    // ESC键关闭
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && this.isVisible) {
+        this.hide();
+      }
+    });
+
+    // 防止面板内点击冒泡到遮罩层
+    this.panel.addEventListener("click", (e) => e.stopPropagation());
+  }
+
+  /**
+   * 处理标签页键盘导航
+   * @param {KeyboardEvent} e - 键盘事件
+   * @param {number} currentIndex - 当前标签页索引
+   */
+  handleTabKeydown(e, currentIndex) {
+    let targetIndex = currentIndex;
+
+    switch (e.key) {
+      case "ArrowLeft":
+      case "ArrowUp":
+        targetIndex =
+          currentIndex > 0 ? currentIndex - 1 : this.tabConfig.length - 1;
+        e.preventDefault();
+        break;
+
+      case "ArrowRight":
+      case "ArrowDown":
+        targetIndex =
+          currentIndex < this.tabConfig.length - 1 ? currentIndex + 1 : 0;
+        e.preventDefault();
+        break;
+
+      case "Home":
+        targetIndex = 0;
+        e.preventDefault();
+        break;
+
+      case "End":
+        targetIndex = this.tabConfig.length - 1;
+        e.preventDefault();
+        break;
+
+      case "Enter":
+      case " ":
+        this.activateTab(this.tabConfig[currentIndex].id);
+        e.preventDefault();
+        break;
+    }
+
+    if (targetIndex !== currentIndex) {
+      this.tabButtons[targetIndex].focus();
+    }
+  }
+
+  /**
+   * 激活指定标签页
+   * @param {string} tabId - 标签页ID
+   */
+  activateTab(tabId) {
+    if (!this.tabs.has(tabId)) {
+      console.warn(`[SettingsPanel] Tab not found: ${tabId}`);
+      return;
+    }
+
+    const previousTab = this.activeTab;
+    this.activeTab = tabId;
+
+    // 更新标签页按钮状态
+    this.tabButtons.forEach((button) => {
+      const isActive = button.dataset.tabId === tabId;
+      button.classList.toggle("active", isActive);
+      button.setAttribute("aria-selected", isActive ? "true" : "false");
+      button.setAttribute("tabindex", isActive ? "0" : "-1");
+    });
+
+    // 更新内容面板显示
+    this.tabs.forEach((panel, id) => {
+      const isActive = id === tabId;
+      panel.classList.toggle("active", isActive);
+      panel.classList.toggle("hidden", !isActive);
+    });
+
+    console.log(`[SettingsPanel] Activated tab: ${tabId}`);
+
+    // 统计数据依赖当前日期，切换时重新计算
+    if (tabId === "statistics" && this.statisticsPanel) {
+      this.statisticsPanel.refresh();
+    }
+
+    // 触发标签页切换事件
+    this.dispatchEvent("tabChanged", {
+      activeTab: tabId,
+      previousTab,
+      panel: this.tabs.get(tabId),
+    });
+  }
+
+  /**
+   * 显示设置面板
+   */
+  show() {
+    if (this.isVisible) return;
+
+    this.overlay.classList.remove("tomato-monkey-hidden");
+    this.panel.classList.remove("tomato-monkey-hidden");
+
+    // 添加显示动画类
+    setTimeout(() => {
+      this.overlay.classList.add("show");
+      this.panel.classList.add("show");
+    }, 10);
+
+    // 聚焦到活动标签页
+    const activeTabButton = this.navigation.querySelector(".tab-button.active");
+    if (activeTabButton) {
+      activeTabButton.focus();
+    }
+
+    this.isVisible = true;
+    console.log("[SettingsPanel] Panel shown");
+
+    this.dispatchEvent("panelShown");
+  }
+
+  /**
+   * 隐藏设置面板
+   */
+  hide() {
+    if (!this.isVisible) return;
+
+    this.overlay.classList.remove("show");
+    this.panel.classList.remove("show");
+
+    // 等待动画结束后完全隐藏
+    setTimeout(() => {
+      this.overlay.classList.add("tomato-monkey-hidden");
+      this.panel.classList.add("tomato-monkey-hidden");
+    }, 300);
+
+    this.isVisible = false;
+    console.log("[SettingsPanel] Panel hidden");
+
+    this.dispatchEvent("panelHidden");
+  }
+
+  /**
+   * 切换设置面板显示状态
+   */
+  toggle() {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * 获取指定标签页的容器元素
+   * @param {string} tabId - 标签页ID
+   * @returns {HTMLElement|null} 容器元素
+   */
+  getTabContainer(tabId) {
+    return this.tabs.get(tabId) || null;
+  }
+
+  /**
+   * 注册标签页组件
+   * @param {string} tabId - 标签页ID
+   * @param {Object} component - 组件实例
+   */
+  registerTabComponent(tabId, component) {
+    const tabConfig = this.tabConfig.find((tab) => tab.id === tabId);
+    if (tabConfig) {
+      tabConfig.component = component;
+      console.log(`[SettingsPanel] Registered component for tab: ${tabId}`);
+    }
+  }
+
+  /**
+   * 初始化白名单功能
+   */
+  async initializeWhitelist() {
+    try {
+      // 初始化 WhitelistManager（需要确保 WhitelistManager 和 Storage 已加载）
+      if (this.whitelistManager && this.storage) {
+        await this.whitelistManager.initialize(this.storage);
+        if (this.blacklistManager) {
+          await this.blacklistManager.initialize(this.storage);
+        }
+
+        // 设置DOM元素引用
+        this.setupWhitelistElements();
+
+        // 绑定事件处理器
+        this.setupWhitelistEventListeners();
+
+        // 读取拦截模式并显示现有域名
+        await this.reloadBlockingMode();
+
+        console.log("[SettingsPanel] Whitelist initialized successfully");
+      } else {
+        console.warn(
+          "[SettingsPanel] WhitelistManager or StorageManager not available",
+        );
+      }
+    } catch (error) {
+      console.error("[SettingsPanel] Failed to initialize whitelist:", error);
+    }
+  }
+
+  /**
+   * 设置白名单DOM元素引用
+   */
+  setupWhitelistElements() {
+    const whitelistPanel = this.tabs.get("whitelist");
+    if (!whitelistPanel) return;
+
+    this.whitelistElements = {
+      input: whitelistPanel.querySelector("#whitelist-domain-input"),
+      ruleType: whitelistPanel.querySelector("#whitelist-rule-type"),
+      addButton: whitelistPanel.querySelector("#whitelist-add-button"),
+      feedback: whitelistPanel.querySelector("#whitelist-input-feedback"),
+      domainList: whitelistPanel.querySelector("#whitelist-domain-list"),
+      domainCount: whitelistPanel.querySelector("#whitelist-domain-count"),
+      emptyState: whitelistPanel.querySelector("#whitelist-empty-state"),
+      emptyTitle: whitelistPanel.querySelector("#whitelist-empty-title"),
+      emptyHint: whitelistPanel.querySelector("#whitelist-empty-hint"),
+      title: whitelistPanel.querySelector("#whitelist-panel-title"),
+      description: whitelistPanel.querySelector("#whitelist-panel-description"),
+      modeInputs: whitelistPanel.querySelectorAll(
+        'input[name="tomato-monkey-blocking-mode"]',
+      ),
+    };
+  }
+
+  /**
+   * 从设置重新读取拦截模式并刷新规则列表（初始化和导入备份后）
+   */
+  async reloadBlockingMode() {
+    const settings = await this.storage.loadSettings();
+    this.blockingMode =
+      settings.blockingMode === "blacklist" && this.blacklistManager
+        ? "blacklist"
+        : "whitelist";
+
+    this.updateBlockingModeUI();
+    await this.refreshWhitelistUI();
+  }
+
+  /**
+   * 获取当前拦截模式对应的规则列表管理器
+   * @returns {WhitelistManager|null} 白名单或黑名单管理器
+   */
+  getActiveListManager() {
+    return this.blockingMode === "blacklist"
+      ? this.blacklistManager
+      : this.whitelistManager;
+  }
+
+  /**
+   * 处理拦截模式切换
+   * @param {string} mode - "whitelist" 或 "blacklist"
+   */
+  async handleBlockingModeChange(mode) {
+    if (mode === this.blockingMode) return;
+
+    if (mode === "blacklist" && !this.blacklistManager) {
+      this.updateBlockingModeUI();
+      return;
+    }
+
+    const previousMode = this.blockingMode;
+    this.blockingMode = mode;
+
+    try {
+      let success;
+      if (this.blockerFeature) {
+        // 由拦截器持久化模式并立即重新检查当前页面
+        success = await this.blockerFeature.setBlockingMode(mode);
+      } else {
+        const settings = await this.storage.loadSettings();
+        settings.blockingMode = mode;
+        success = await this.storage.saveSettings(settings);
+      }
+
+      if (!success) {
+        throw new Error("Failed to save blocking mode");
+      }
+    } catch (error) {
+      console.error("[SettingsPanel] Failed to change blocking mode:", error);
+      this.blockingMode = previousMode;
+    }
+
+    this.updateBlockingModeUI();
+    await this.refreshWhitelistUI();
 
-      // 添加事件监听
-      tabButton.addEventListener("click", (e) => {
-        this.activateTab(tab.id);
-      });
+    if (this.blockingMode === mode) {
+      const label = mode === "blacklist" ? "黑名单模式" : "白名单模式";
+      this.showFeedback(`已切换到${label}`, "success");
+    } else {
+      this.showFeedback("切换失败，请重试", "error");
+    }
+  }
 
-      // 键盘导航支持
-      tabButton.addEventListener("keydown", (e) => {
-        this.handleTabKeydown(e, index);
+  /**
+   * 根据拦截模式更新标题、说明和单选按钮
+   */
+  updateBlockingModeUI() {
+    if (!this.whitelistElements) return;
+
+    const config = this.blockingModeConfig[this.blockingMode];
+    const { title, description, emptyTitle, emptyHint, modeInputs } =
+      this.whitelistElements;
+
+    title.textContent = config.title;
+    description.textContent = config.description;
+    emptyTitle.textContent = config.emptyTitle;
+    emptyHint.textContent = config.emptyHint;
+    modeInputs.forEach((radio) => {
+      radio.checked = radio.value === this.blockingMode;
+      radio.disabled = radio.value === "blacklist" && !this.blacklistManager;
+    });
+  }
+
+  /**
+   * 设置白名单事件监听器
+   */
+  setupWhitelistEventListeners() {
+    if (!this.whitelistElements) return;
+
+    const { input, addButton, ruleType, modeInputs } = this.whitelistElements;
+
+    // 拦截模式切换
+    modeInputs.forEach((radio) => {
+      radio.addEventListener("change", () => {
+        if (radio.checked) {
+          this.handleBlockingModeChange(radio.value);
+        }
       });
+    });
 
-      tabItem.appendChild(tabButton);
-      tabList.appendChild(tabItem);
+    // 添加域名按钮点击事件
+    addButton.addEventListener("click", () => this.handleAddDomain());
+
+    // 输入框回车事件
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        this.handleAddDomain();
+      }
     });
 
-    this.navigation.appendChild(tabList);
-    this.tabButtons = this.navigation.querySelectorAll(".tab-button");
+    // 输入实时验证
+    input.addEventListener("input", () => this.validateDomainInput());
+
+    // 切换规则类型时更新提示并重新验证
+    ruleType.addEventListener("change", () => {
+      input.placeholder = this.getRuleInputPlaceholder(ruleType.value);
+      this.validateDomainInput();
+    });
+
+    // 监听白名单和黑名单变更，以及其他标签页切换拦截模式
+    if (this.eventBus && !this.unsubscribeRuleEvents) {
+      this.unsubscribeRuleEvents = this.eventBus.onMany(
+        [
+          EventBus.EVENTS.RULE_ADDED,
+          EventBus.EVENTS.RULE_REMOVED,
+          EventBus.EVENTS.RULES_CLEARED,
+          EventBus.EVENTS.RULES_RELOADED,
+          EventBus.EVENTS.BLOCKING_MODE_CHANGED,
+        ],
+        (event, data) => {
+          if (event !== EventBus.EVENTS.BLOCKING_MODE_CHANGED) {
+            this.refreshWhitelistUI();
+          } else if (data && data.remote) {
+            this.reloadBlockingMode();
+          }
+        },
+      );
+    }
   }
 
   /**
-   * 创建内容区域
+   * 处理添加域名操作
    */
-  createContentArea() {
-    // 为每个标签页创建内容面板
-    this.tabConfig.forEach((tab) => {
-      const contentPanel = document.createElement("div");
-      contentPanel.id = `${tab.id}-panel`;
-      contentPanel.className = `content-panel ${tab.id === this.activeTab ? "active" : "hidden"}`;
-      contentPanel.setAttribute("role", "tabpanel");
-      contentPanel.setAttribute("aria-labelledby", `${tab.id}-tab`);
+  async handleAddDomain() {
+    const listManager = this.getActiveListManager();
+    if (!listManager || !this.whitelistElements) return;
 
-      // 根据标签页类型创建不同的内容
-      switch (tab.id) {
-        case "todo":
-          contentPanel.innerHTML = `
-                        <div class="panel-header">
-                            <h3>任务管理</h3>
-                            <p>管理您的待办事项列表</p>
-                        </div>
-                        <div id="todo-container" class="todo-container">
-                            <!-- ToDo List组件将插入这里 -->
-                        </div>
-                    `;
-          break;
+    const { input, addButton, ruleType } = this.whitelistElements;
+    const domain = input.value.trim();
 
-        case "whitelist":
-          contentPanel.innerHTML = `
-                        <div class="panel-header">
-                            <h3>网站白名单</h3>
-                            <p>设置专注期间允许访问的网站（使用包含匹配）</p>
-                        </div>
-                        <div class="whitelist-container">
-                            <div class="whitelist-input-section">
-                                <div class="input-group">
-                                    <input 
-                                        type="text" 
-                                        id="whitelist-domain-input" 
-                                        class="domain-input" 
-                                        placeholder="输入域名，如：google.com"
-                                        aria-label="域名输入"
-                                    />
-                                    <button 
-                                        type="button" 
-                                        id="whitelist-add-button" 
-                                        class="add-domain-button"
-                                        aria-label="添加域名到白名单"
-                                    >
-                                        添加域名
-                                    </button>
-                                </div>
-                                <div class="input-feedback" id="whitelist-input-feedback" role="alert" aria-live="polite"></div>
-                            </div>
-                            <div class="whitelist-list-section">
-                                <div class="list-header">
-                                    <h4>已添加的域名</h4>
-                                    <span class="domain-count" id="whitelist-domain-count">0 个域名</span>
-                                </div>
-                                <div class="domain-list" id="whitelist-domain-list" role="list">
-                                    <div class="empty-state" id="whitelist-empty-state">
-                                        <div class="empty-icon">🌐</div>
-                                        <p>暂无白名单域名</p>
-                                        <small>添加域名后，专注期间将允许访问包含这些域名的网站</small>
-                                    </div>
-                                </div>
-                            </div>
-                        </div>
-                    `;
-          break;
+    if (!domain) {
+      this.showFeedback("请输入域名", "error");
+      return;
+    }
 
-        case "statistics":
-          contentPanel.innerHTML = `
-                        <div class="panel-header">
-                            <h3>效率统计</h3>
-                            <p>查看您的专注时间和任务完成统计</p>
-                        </div>
-                        <div class="placeholder-content">
-                            <div class="placeholder-icon">📊</div>
-                            <p>统计功能即将上线</p>
-                        </div>
-                    `;
-          break;
+    // 禁用按钮防止重复提交
+    addButton.disabled = true;
+    addButton.classList.add("loading");
+
+    try {
+      const success = await listManager.addDomain(domain, ruleType.value);
+
+      if (success) {
+        input.value = "";
+        this.showFeedback("规则添加成功", "success");
+        input.focus();
+      } else {
+        this.showFeedback("规则格式无效或已存在", "error");
       }
+    } catch (error) {
+      console.error("[SettingsPanel] Failed to add domain:", error);
+      this.showFeedback("添加失败，请重试", "error");
+    } finally {
+      addButton.disabled = false;
+      addButton.classList.remove("loading");
+    }
+  }
 
-      this.contentArea.appendChild(contentPanel);
-      this.tabs.set(tab.id, contentPanel);
+  /**
+   * 处理删除规则操作（带撤销确认）
+   * @param {string} ruleKey - 规则键
+   */
+  async handleRemoveDomain(ruleKey) {
+    const listManager = this.getActiveListManager();
+    if (!listManager) return;
+
+    try {
+      const rule = listManager.domains.get(ruleKey);
+      const success = await listManager.removeDomain(ruleKey);
+
+      if (success) {
+        this.showUndoToast(rule, listManager);
+      } else {
+        this.showFeedback("删除失败，请重试", "error");
+      }
+    } catch (error) {
+      console.error("[SettingsPanel] Failed to remove domain:", error);
+      this.showFeedback("删除失败，请重试", "error");
+    }
+  }
+
+  /**
+   * 显示撤销Toast
+   * @param {Object} deletedRule - 被删除的规则 {type, pattern}
+   * @param {WhitelistManager} listManager - 规则所属的列表管理器
+   */
+  showUndoToast(deletedRule, listManager) {
+    const deletedDomain = deletedRule.pattern;
+
+    // 清除现有的撤销Toast和定时器
+    this.hideUndoToast();
+
+    // 创建Toast元素
+    this.undoToast = document.createElement("div");
+    this.undoToast.className = "undo-toast";
+    this.undoToast.setAttribute("role", "alert");
+    this.undoToast.setAttribute("aria-live", "polite");
+
+    this.undoToast.innerHTML = `
+      <div class="undo-toast-content">
+        <span class="undo-message">已删除域名: ${this.escapeHtml(deletedDomain)}</span>
+        <button type="button" class="undo-button" aria-label="撤销删除域名 ${this.escapeHtml(deletedDomain)}">
+          撤销
+        </button>
+        <button type="button" class="toast-close-button" aria-label="关闭撤销提示">
+          ✕
+        </button>
+      </div>
+      <div class="undo-progress" aria-hidden="true"></div>
+    `;
+
+    // 添加到页面
+    document.body.appendChild(this.undoToast);
+
+    // 绑定撤销按钮事件
+    const undoButton = this.undoToast.querySelector(".undo-button");
+    const closeButton = this.undoToast.querySelector(".toast-close-button");
+
+    undoButton.addEventListener("click", () =>
+      this.handleUndoDelete(deletedRule, listManager),
+    );
+    closeButton.addEventListener("click", () => this.hideUndoToast());
+
+    // 键盘支持
+    this.undoToast.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        this.hideUndoToast();
+      }
     });
+
+    // 聚焦到撤销按钮以便键盘导航
+    setTimeout(() => undoButton.focus(), 100);
+
+    // 显示动画
+    setTimeout(() => {
+      this.undoToast.classList.add("show");
+    }, 10);
+
+    // 5秒后自动隐藏
+    this.undoTimeout = setTimeout(() => {
+      this.hideUndoToast();
+    }, 5000);
+  }
+
+  /**
+   * 处理撤销删除操作
+   * @param {Object} rule - 要恢复的规则 {type, pattern}
+   * @param {WhitelistManager} listManager - 规则所属的列表管理器
+   */
+  async handleUndoDelete(rule, listManager) {
+    if (!listManager) return;
+
+    try {
+      const success = await listManager.addDomain(rule);
+
+      if (success) {
+        this.showFeedback(`已恢复规则: ${rule.pattern}`, "success");
+        this.hideUndoToast();
+      } else {
+        this.showFeedback("恢复失败，请重试", "error");
+      }
+    } catch (error) {
+      console.error("[SettingsPanel] Failed to undo delete:", error);
+      this.showFeedback("恢复失败，请重试", "error");
+    }
+  }
+
+  /**
+   * 隐藏撤销Toast
+   */
+  hideUndoToast() {
+    if (this.undoTimeout) {
+      clearTimeout(this.undoTimeout);
+      this.undoTimeout = null;
+    }
+
+    if (this.undoToast) {
+      this.undoToast.classList.remove("show");
+
+      setTimeout(() => {
+        if (this.undoToast && this.undoToast.parentNode) {
+          this.undoToast.parentNode.removeChild(this.undoToast);
+        }
+        this.undoToast = null;
+      }, 300);
+    }
   }
 
   /**
-   * 设置事件监听器
+   * 验证域名输入
    */
-  setupEventListeners() {
-    // 关闭按钮
-    const closeButton = this.headerElement.querySelector(".close-button");
-    closeButton.addEventListener("click", () => this.hide());
+  validateDomainInput() {
+    const listManager = this.getActiveListManager();
+    if (!listManager || !this.whitelistElements) return;
 
-    // 遮罩层点击关闭
-    this.overlay.addEventListener("click", () => this.hide());
+    const { input, ruleType } = this.whitelistElements;
+    const domain = input.value.trim();
 
-    // ESC键关闭
-    document.addEventListener("keydown", (e) => {
-      if (e.key === "Escape" && this.isVisible) {
-        this.hide();
-      }
-    });
+    if (!domain) {
+      this.showFeedback("", "");
+      return;
+    }
 
-    // 防止面板内点击冒泡到遮罩层
-    this.panel.addEventListener("click", (e) => e.stopPropagation());
+    const rule = listManager.validateAndCleanDomain(domain, ruleType.value);
+    if (rule) {
+      const label = listManager.getRuleTypeLabel(rule.type);
+      this.showFeedback(`规则有效（${label}）: ${rule.pattern}`, "success");
+    } else {
+      this.showFeedback("规则格式无效", "error");
+    }
   }
 
   /**
-   * 处理标签页键盘导航
-   * @param {KeyboardEvent} e - 键盘事件
-   * @param {number} currentIndex - 当前标签页索引
+   * 获取规则类型对应的输入提示
+   * @param {string} type - 规则类型
+   * @returns {string} 输入框占位文本
    */
-  handleTabKeydown(e, currentIndex) {
-    let targetIndex = currentIndex;
+  getRuleInputPlaceholder(type) {
+    const placeholders = {
+      auto: "输入域名，如：google.com",
+      exact: "精确域名，如：docs.google.com",
+      wildcard: "子域名通配，如：*.google.com",
+      path: "域名+路径，如：github.com/myorg/*",
+      regex: "正则表达式，如：^https://.*\\.wikipedia\\.org/",
+    };
+    return placeholders[type] || placeholders.auto;
+  }
 
-    switch (e.key) {
-      case "ArrowLeft":
-      case "ArrowUp":
-        targetIndex =
-          currentIndex > 0 ? currentIndex - 1 : this.tabConfig.length - 1;
-        e.preventDefault();
-        break;
+  /**
+   * 显示反馈信息
+   */
+  showFeedback(message, type = "") {
+    if (!this.whitelistElements) return;
 
-      case "ArrowRight":
-      case "ArrowDown":
-        targetIndex =
-          currentIndex < this.tabConfig.length - 1 ? currentIndex + 1 : 0;
-        e.preventDefault();
-        break;
+    const { feedback } = this.whitelistElements;
+    feedback.textContent = message;
+    feedback.className = `input-feedback ${type}`;
 
-      case "Home":
-        targetIndex = 0;
-        e.preventDefault();
-        break;
+    // 自动清除成功信息
+    if (type === "success") {
+      setTimeout(() => {
+        if (feedback.textContent === message) {
+          feedback.textContent = "";
+          feedback.className = "input-feedback";
+        }
+      }, 3000);
+    }
+  }
 
-      case "End":
-        targetIndex = this.tabConfig.length - 1;
-        e.preventDefault();
-        break;
+  /**
+   * 刷新白名单UI显示
+   */
+  async refreshWhitelistUI() {
+    const listManager = this.getActiveListManager();
+    if (!listManager || !this.whitelistElements) return;
 
-      case "Enter":
-      case " ":
-        this.activateTab(this.tabConfig[currentIndex].id);
-        e.preventDefault();
-        break;
-    }
+    try {
+      const rules = listManager.getRules();
+      const { domainList, domainCount, emptyState } = this.whitelistElements;
 
-    if (targetIndex !== currentIndex) {
-      this.tabButtons[targetIndex].focus();
+      // 更新规则数量
+      domainCount.textContent = `${rules.length} 条规则`;
+
+      // 清空列表
+      domainList.innerHTML = "";
+
+      if (rules.length === 0) {
+        // 显示空状态
+        domainList.appendChild(emptyState);
+      } else {
+        // 显示规则列表
+        rules.forEach((rule) => {
+          const domainItem = this.createDomainItem(rule);
+          domainList.appendChild(domainItem);
+        });
+      }
+    } catch (error) {
+      console.error("[SettingsPanel] Failed to refresh whitelist UI:", error);
     }
   }
 
   /**
-   * 激活指定标签页
-   * @param {string} tabId - 标签页ID
+   * 创建规则列表项
+   * @param {Object} rule - 规则对象 {type, pattern}
    */
-  activateTab(tabId) {
-    if (!this.tabs.has(tabId)) {
-      console.warn(`[SettingsPanel] Tab not found: ${tabId}`);
-      return;
-    }
+  createDomainItem(rule) {
+    const item = document.createElement("div");
+    item.className = "domain-item";
+    item.setAttribute("role", "listitem");
 
-    const previousTab = this.activeTab;
-    this.activeTab = tabId;
+    const domain = rule.pattern;
+    const listManager = this.getActiveListManager();
+    const ruleKey = listManager.getRuleKey(rule);
+    const typeLabel = listManager.getRuleTypeLabel(rule.type);
 
-    // 更新标签页按钮状态
-    this.tabButtons.forEach((button) => {
-      const isActive = button.dataset.tabId === tabId;
-      button.classList.toggle("active", isActive);
-      button.setAttribute("aria-selected", isActive ? "true" : "false");
-      button.setAttribute("tabindex", isActive ? "0" : "-1");
-    });
+    item.innerHTML = `
+      <span class="rule-type-badge rule-type-${rule.type}">${this.escapeHtml(typeLabel)}</span>
+      <span class="domain-text">${this.escapeHtml(domain)}</span>
+      <div class="domain-actions">
+        <button 
+          type="button" 
+          class="remove-domain-button" 
+          aria-label="删除规则 ${this.escapeHtml(domain)}"
+        >
+          删除
+        </button>
+      </div>
+    `;
 
-    // 更新内容面板显示
-    this.tabs.forEach((panel, id) => {
-      const isActive = id === tabId;
-      panel.classList.toggle("active", isActive);
-      panel.classList.toggle("hidden", !isActive);
+    // 绑定删除事件
+    // 通过DOM API设置规则键，正则规则可能包含无法安全拼接进属性的字符
+    const removeButton = item.querySelector(".remove-domain-button");
+    removeButton.dataset.domain = ruleKey;
+    removeButton.addEventListener("click", (e) => {
+      e.stopPropagation();
+      const domainToRemove = removeButton.dataset.domain;
+      this.handleRemoveDomain(domainToRemove);
     });
 
-    console.log(`[SettingsPanel] Activated tab: ${tabId}`);
+    return item;
+  }
 
-    // 触发标签页切换事件
-    this.dispatchEvent("tabChanged", {
-      activeTab: tabId,
-      previousTab,
-      panel: this.tabs.get(tabId),
-    });
+  /**
+   * HTML转义函数
+   */
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
   }
 
   /**
-   * 显示设置面板
+   * 应用基础样式
    */
-  show() {
-    if (this.isVisible) return;
+  applyBaseStyles() {
+    const styles = `
+            .tomato-monkey-overlay {
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100vw;
+                height: 100vh;
+                background: rgba(0, 0, 0, 0.5);
+                z-index: 9999;
+                opacity: 0;
+                transition: opacity 0.3s ease;
+            }
+            
+            .tomato-monkey-overlay.show {
+                opacity: 1;
+            }
+            
+            .tomato-monkey-settings-panel {
+                position: fixed;
+                top: 50%;
+                left: 50%;
+                transform: translate(-50%, -50%) scale(0.9);
+                width: 90vw;
+                max-width: 800px;
+                height: 80vh;
+                max-height: 600px;
+                background: white;
+                border-radius: 12px;
+                box-shadow: 0 20px 40px rgba(0, 0, 0, 0.15);
+                z-index: 10000;
+                display: flex;
+                flex-direction: column;
+                opacity: 0;
+                transition: all 0.3s ease;
+            }
+            
+            .tomato-monkey-settings-panel.show {
+                transform: translate(-50%, -50%) scale(1);
+                opacity: 1;
+            }
+            
+            .tomato-monkey-hidden {
+                display: none !important;
+            }
+        `;
 
-    this.overlay.classList.remove("tomato-monkey-hidden");
-    this.panel.classList.remove("tomato-monkey-hidden");
+    GM_addStyle(styles);
+  }
 
-    // 添加显示动画类
-    setTimeout(() => {
-      this.overlay.classList.add("show");
-      this.panel.classList.add("show");
-    }, 10);
+  /**
+   * 触发自定义事件
+   * @param {string} eventType - 事件类型
+   * @param {Object} detail - 事件详情
+   */
+  dispatchEvent(eventType, detail = {}) {
+    const event = new CustomEvent(`tomato-monkey-${eventType}`, {
+      detail,
+      bubbles: false,
+      cancelable: false,
+    });
 
-    // 聚焦到活动标签页
-    const activeTabButton = this.navigation.querySelector(".tab-button.active");
-    if (activeTabButton) {
-      activeTabButton.focus();
+    document.dispatchEvent(event);
+  }
+
+  /**
+   * 创建TodoList组件 - Linus式直接方式
+   */
+  createTodoList() {
+    // 如果没有taskService或timerService，无法创建TodoList
+    if (!this.taskService) {
+      console.warn("[SettingsPanel] TaskService not available, skipping TodoList creation");
+      return;
+    }
+    if (!this.timerService) {
+      console.warn("[SettingsPanel] TimerService not available, skipping TodoList creation");
+      return;
     }
 
-    this.isVisible = true;
-    console.log("[SettingsPanel] Panel shown");
+    // 直接获取容器，不使用setTimeout
+    const todoContainer = document.getElementById('todo-container');
+    if (!todoContainer) {
+      console.warn("[SettingsPanel] Todo container not found, TodoList creation skipped");
+      return;
+    }
+
+    try {
+      // 创建TodoList实例 - 显式依赖注入
+      this.todoList = new TodoList(
+        todoContainer,
+        this.taskService,
+        this.timerService,
+        this.eventBus,
+      );
+      
+      // 注册到tabConfig
+      const todoTab = this.tabConfig.find(tab => tab.id === 'todo');
+      if (todoTab) {
+        todoTab.component = this.todoList;
+      }
 
-    this.dispatchEvent("panelShown");
+      console.log("[SettingsPanel] TodoList created and registered");
+    } catch (error) {
+      console.error("[SettingsPanel] Failed to create TodoList:", error);
+    }
   }
 
   /**
-   * 隐藏设置面板
+   * 创建TimerSettingsPanel组件
    */
-  hide() {
-    if (!this.isVisible) return;
-
-    this.overlay.classList.remove("show");
-    this.panel.classList.remove("show");
-
-    // 等待动画结束后完全隐藏
-    setTimeout(() => {
-      this.overlay.classList.add("tomato-monkey-hidden");
-      this.panel.classList.add("tomato-monkey-hidden");
-    }, 300);
+  createTimerSettingsPanel() {
+    if (!this.timerService) {
+      console.warn("[SettingsPanel] TimerService not available, skipping TimerSettingsPanel creation");
+      return;
+    }
 
-    this.isVisible = false;
-    console.log("[SettingsPanel] Panel hidden");
+    const timerContainer = this.tabs.get("timer")?.querySelector("#timer-settings-container");
+    if (!timerContainer) {
+      console.warn("[SettingsPanel] Timer settings container not found, TimerSettingsPanel creation skipped");
+      return;
+    }
 
-    this.dispatchEvent("panelHidden");
+    try {
+      this.timerSettingsPanel = new TimerSettingsPanel(timerContainer, this.timerService, this.eventBus);
+      this.registerTabComponent("timer", this.timerSettingsPanel);
+      console.log("[SettingsPanel] TimerSettingsPanel created and registered");
+    } catch (error) {
+      console.error("[SettingsPanel] Failed to create TimerSettingsPanel:", error);
+    }
   }
 
   /**
-   * 切换设置面板显示状态
+   * 创建StatisticsPanel组件
    */
-  toggle() {
-    if (this.isVisible) {
-      this.hide();
-    } else {
-      this.show();
+  createStatisticsPanel() {
+    if (!this.statsService) {
+      console.warn("[SettingsPanel] StatsService not available, skipping StatisticsPanel creation");
+      return;
     }
-  }
 
-  /**
-   * 获取指定标签页的容器元素
-   * @param {string} tabId - 标签页ID
-   * @returns {HTMLElement|null} 容器元素
-   */
-  getTabContainer(tabId) {
-    return this.tabs.get(tabId) || null;
+    const statisticsContainer = this.tabs
+      .get("statistics")
+      ?.querySelector("#statistics-container");
+    if (!statisticsContainer) {
+      console.warn("[SettingsPanel] Statistics container not found, StatisticsPanel creation skipped");
+      return;
+    }
+
+    try {
+      this.statisticsPanel = new StatisticsPanel(
+        statisticsContainer,
+        this.statsService,
+        this.taskService,
+        this.eventBus,
+      );
+      this.registerTabComponent("statistics", this.statisticsPanel);
+      console.log("[SettingsPanel] StatisticsPanel created and registered");
+    } catch (error) {
+      console.error("[SettingsPanel] Failed to create StatisticsPanel:", error);
+    }
   }
 
   /**
-   * 注册标签页组件
-   * @param {string} tabId - 标签页ID
-   * @param {Object} component - 组件实例
+   * 创建ArchivePanel组件
    */
-  registerTabComponent(tabId, component) {
-    const tabConfig = this.tabConfig.find((tab) => tab.id === tabId);
-    if (tabConfig) {
-      tabConfig.component = component;
-      console.log(`[SettingsPanel] Registered component for tab: ${tabId}`);
+  createArchivePanel() {
+    if (!this.taskService) {
+      console.warn("[SettingsPanel] TaskService not available, skipping ArchivePanel creation");
+      return;
+    }
+
+    const archiveContainer = this.tabs.get("archive")?.querySelector("#archive-container");
+    if (!archiveContainer) {
+      console.warn("[SettingsPanel] Archive container not found, ArchivePanel creation skipped");
+      return;
+    }
+
+    try {
+      this.archivePanel = new ArchivePanel(archiveContainer, this.taskService, this.eventBus);
+      this.registerTabComponent("archive", this.archivePanel);
+      console.log("[SettingsPanel] ArchivePanel created and registered");
+    } catch (error) {
+      console.error("[SettingsPanel] Failed to create ArchivePanel:", error);
     }
   }
 
   /**
-   * 初始化白名单功能
+   * 创建TrashPanel组件
    */
-  async initializeWhitelist() {
-    try {
-      // 初始化 WhitelistManager（需要确保 WhitelistManager 和 Storage 已加载）
-      if (this.whitelistManager && this.storage) {
-        await this.whitelistManager.initialize(this.storage);
-
-        // 设置DOM元素引用
-        this.setupWhitelistElements();
-
-        // 绑定事件处理器
-        this.setupWhitelistEventListeners();
+  createTrashPanel() {
+    if (!this.taskService) {
+      console.warn("[SettingsPanel] TaskService not available, skipping TrashPanel creation");
+      return;
+    }
 
-        // 加载并显示现有域名
-        await this.refreshWhitelistUI();
+    const trashContainer = this.tabs.get("trash")?.querySelector("#trash-container");
+    if (!trashContainer) {
+      console.warn("[SettingsPanel] Trash container not found, TrashPanel creation skipped");
+      return;
+    }
 
-        console.log("[SettingsPanel] Whitelist initialized successfully");
-      } else {
-        console.warn(
-          "[SettingsPanel] WhitelistManager or StorageManager not available",
-        );
-      }
+    try {
+      this.trashPanel = new TrashPanel(trashContainer, this.taskService, this.eventBus);
+      this.registerTabComponent("trash", this.trashPanel);
+      console.log("[SettingsPanel] TrashPanel created and registered");
     } catch (error) {
-      console.error("[SettingsPanel] Failed to initialize whitelist:", error);
+      console.error("[SettingsPanel] Failed to create TrashPanel:", error);
     }
   }
 
   /**
-   * 设置白名单DOM元素引用
+   * 创建DataPanel组件
    */
-  setupWhitelistElements() {
-    const whitelistPanel = this.tabs.get("whitelist");
-    if (!whitelistPanel) return;
+  createDataPanel() {
+    if (!this.backupService) {
+      console.warn("[SettingsPanel] BackupService not available, skipping DataPanel creation");
+      return;
+    }
 
-    this.whitelistElements = {
-      input: whitelistPanel.querySelector("#whitelist-domain-input"),
-      addButton: whitelistPanel.querySelector("#whitelist-add-button"),
-      feedback: whitelistPanel.querySelector("#whitelist-input-feedback"),
-      domainList: whitelistPanel.querySelector("#whitelist-domain-list"),
-      domainCount: whitelistPanel.querySelector("#whitelist-domain-count"),
-      emptyState: whitelistPanel.querySelector("#whitelist-empty-state"),
-    };
+    const dataContainer = this.tabs.get("data")?.querySelector("#data-container");
+    if (!dataContainer) {
+      console.warn("[SettingsPanel] Data container not found, DataPanel creation skipped");
+      return;
+    }
+
+    try {
+      this.dataPanel = new DataPanel(
+        dataContainer,
+        this.backupService,
+        this.storage,
+        this.taskService,
+        this.todoTxtService,
+        { onRestored: () => this.reloadBlockingMode() },
+      );
+      this.registerTabComponent("data", this.dataPanel);
+      console.log("[SettingsPanel] DataPanel created and registered");
+    } catch (error) {
+      console.error("[SettingsPanel] Failed to create DataPanel:", error);
+    }
   }
 
   /**
-   * 设置白名单事件监听器
+   * 销毁设置面板
    */
-  setupWhitelistEventListeners() {
-    if (!this.whitelistElements) return;
+  destroy() {
+    // 清理撤销Toast
+    this.hideUndoToast();
 
-    const { input, addButton } = this.whitelistElements;
+    if (this.unsubscribeRuleEvents) {
+      this.unsubscribeRuleEvents();
+      this.unsubscribeRuleEvents = null;
+    }
 
-    // 添加域名按钮点击事件
-    addButton.addEventListener("click", () => this.handleAddDomain());
+    // 销毁TodoList组件
+    if (this.todoList) {
+      this.todoList.destroy();
+      this.todoList = null;
+    }
 
-    // 输入框回车事件
-    input.addEventListener("keydown", (e) => {
-      if (e.key === "Enter") {
-        e.preventDefault();
-        this.handleAddDomain();
-      }
-    });
+    if (this.timerSettingsPanel) {
+      this.timerSettingsPanel.destroy();
+      this.timerSettingsPanel = null;
+    }
 
-    // 输入实时验证
-    input.addEventListener("input", () => this.validateDomainInput());
+    if (this.statisticsPanel) {
+      this.statisticsPanel.destroy();
+      this.statisticsPanel = null;
+    }
 
-    // 监听白名单变更事件
-    document.addEventListener("tomato-monkey-whitelist-domainAdded", () =>
-      this.refreshWhitelistUI(),
-    );
-    document.addEventListener("tomato-monkey-whitelist-domainRemoved", () =>
-      this.refreshWhitelistUI(),
-    );
-    document.addEventListener("tomato-monkey-whitelist-domainsCleared", () =>
-      this.refreshWhitelistUI(),
-    );
-  }
+    if (this.archivePanel) {
+      this.archivePanel.destroy();
+      this.archivePanel = null;
+    }
 
-  /**
-   * 处理添加域名操作
-   */
-  async handleAddDomain() {
-    if (!this.whitelistManager || !this.whitelistElements) return;
+    if (this.trashPanel) {
+      this.trashPanel.destroy();
+      this.trashPanel = null;
+    }
 
-    const { input, addButton, feedback } = this.whitelistElements;
-    const domain = input.value.trim();
+    if (this.dataPanel) {
+      this.dataPanel.destroy();
+      this.dataPanel = null;
+    }
 
-    if (!domain) {
-      this.showFeedback("请输入域名", "error");
-      return;
+    if (this.panel) {
+      this.panel.remove();
+    }
+    if (this.overlay) {
+      this.overlay.remove();
     }
 
-    // 禁用按钮防止重复提交
-    addButton.disabled = true;
-    addButton.classList.add("loading");
+    this.tabs.clear();
+    console.log("[SettingsPanel] Destroyed");
+  }
+}
 
-    try {
-      const success = await this.whitelistManager.addDomain(domain);
+    /**
+     * StatisticsPanel - 效率统计UI组件
+     */
+    class StatisticsPanel {
+  constructor(container, statsService, taskService, eventBus) {
+    this.container = container;
+    this.statsService = statsService;
+    this.taskService = taskService;
+    this.eventBus = eventBus;
+    this.isInitialized = false;
 
-      if (success) {
-        input.value = "";
-        this.showFeedback("域名添加成功", "success");
-        input.focus();
-      } else {
-        this.showFeedback("域名格式无效或已存在", "error");
-      }
-    } catch (error) {
-      console.error("[SettingsPanel] Failed to add domain:", error);
-      this.showFeedback("添加失败，请重试", "error");
-    } finally {
-      addButton.disabled = false;
-      addButton.classList.remove("loading");
-    }
+    // UI元素引用
+    this.summaryElement = null;
+    this.trendElement = null;
+    this.taskListElement = null;
+    this.interruptionListElement = null;
+
+    this.INTERRUPTION_TYPE_LABELS = {
+      pause: "暂停",
+      stop: "提前结束",
+      skipBlocking: "跳过拦截",
+    };
+    this.INTERRUPTION_CATEGORY_LABELS = { internal: "内部", external: "外部" };
+
+    // 会话、中断或任务数据变化时重新渲染
+    this.REFRESH_EVENTS = [
+      EventBus.EVENTS.SESSIONS_LOADED,
+      EventBus.EVENTS.SESSIONS_RELOADED,
+      EventBus.EVENTS.SESSION_RECORDED,
+      EventBus.EVENTS.INTERRUPTION_RECORDED,
+      EventBus.EVENTS.TASKS_LOADED,
+      EventBus.EVENTS.TASKS_RELOADED,
+      EventBus.EVENTS.TASK_CREATED,
+      EventBus.EVENTS.TASK_UPDATED,
+      EventBus.EVENTS.TASK_TOGGLED,
+      EventBus.EVENTS.TASK_DELETED,
+      EventBus.EVENTS.TASK_RESTORED,
+      EventBus.EVENTS.TASK_PURGED,
+      EventBus.EVENTS.TASK_POMODORO_UPDATED,
+      EventBus.EVENTS.COMPLETED_TASKS_CLEARED,
+      EventBus.EVENTS.TASKS_IMPORTED,
+      EventBus.EVENTS.TASKS_ARCHIVED,
+      EventBus.EVENTS.TASKS_MERGED,
+    ];
+    this.unsubscribeEvents = null;
+
+    this.initialize();
   }
 
   /**
-   * 处理删除域名操作（带撤销确认）
+   * 初始化组件
    */
-  async handleRemoveDomain(domain) {
-    if (!this.whitelistManager) return;
+  initialize() {
+    if (this.isInitialized) {
+      return;
+    }
 
     try {
-      const success = await this.whitelistManager.removeDomain(domain);
+      this.createUI();
+      this.bindServices();
+      this.render();
 
-      if (success) {
-        this.showUndoToast(domain);
-      } else {
-        this.showFeedback("删除失败，请重试", "error");
-      }
+      this.isInitialized = true;
+      console.log("[StatisticsPanel] Initialized successfully");
     } catch (error) {
-      console.error("[SettingsPanel] Failed to remove domain:", error);
-      this.showFeedback("删除失败，请重试", "error");
+      console.error("[StatisticsPanel] Failed to initialize:", error);
     }
   }
 
   /**
-   * 显示撤销Toast
+   * 创建UI界面
    */
-  showUndoToast(deletedDomain) {
-    // 清除现有的撤销Toast和定时器
-    this.hideUndoToast();
-
-    // 创建Toast元素
-    this.undoToast = document.createElement("div");
-    this.undoToast.className = "undo-toast";
-    this.undoToast.setAttribute("role", "alert");
-    this.undoToast.setAttribute("aria-live", "polite");
-
-    this.undoToast.innerHTML = `
-      <div class="undo-toast-content">
-        <span class="undo-message">已删除域名: ${this.escapeHtml(deletedDomain)}</span>
-        <button type="button" class="undo-button" aria-label="撤销删除域名 ${this.escapeHtml(deletedDomain)}">
-          撤销
-        </button>
-        <button type="button" class="toast-close-button" aria-label="关闭撤销提示">
-          ✕
-        </button>
-      </div>
-      <div class="undo-progress" aria-hidden="true"></div>
-    `;
-
-    // 添加到页面
-    document.body.appendChild(this.undoToast);
-
-    // 绑定撤销按钮事件
-    const undoButton = this.undoToast.querySelector(".undo-button");
-    const closeButton = this.undoToast.querySelector(".toast-close-button");
+  createUI() {
+    this.container.innerHTML = `
+            <div class="stats-summary" id="stats-summary"></div>
 
-    undoButton.addEventListener("click", () =>
-      this.handleUndoDelete(deletedDomain),
-    );
-    closeButton.addEventListener("click", () => this.hideUndoToast());
+            <div class="stats-section">
+                <h4>最近7天</h4>
+                <div class="stats-trend" id="stats-trend" role="list"></div>
+            </div>
 
-    // 键盘支持
-    this.undoToast.addEventListener("keydown", (e) => {
-      if (e.key === "Escape") {
-        this.hideUndoToast();
-      }
-    });
+            <div class="stats-section">
+                <h4>任务番茄钟</h4>
+                <ul class="stats-task-list" id="stats-task-list" role="list"></ul>
+            </div>
 
-    // 聚焦到撤销按钮以便键盘导航
-    setTimeout(() => undoButton.focus(), 100);
+            <div class="stats-section">
+                <h4>项目统计</h4>
+                <ul class="stats-task-list" id="stats-project-list" role="list"></ul>
+            </div>
 
-    // 显示动画
-    setTimeout(() => {
-      this.undoToast.classList.add("show");
-    }, 10);
+            <div class="stats-section">
+                <h4>本周中断原因</h4>
+                <ul class="stats-task-list" id="stats-interruption-list" role="list"></ul>
+            </div>
+        `;
 
-    // 5秒后自动隐藏
-    this.undoTimeout = setTimeout(() => {
-      this.hideUndoToast();
-    }, 5000);
+    this.summaryElement = this.container.querySelector("#stats-summary");
+    this.trendElement = this.container.querySelector("#stats-trend");
+    this.taskListElement = this.container.querySelector("#stats-task-list");
+    this.projectListElement = this.container.querySelector("#stats-project-list");
+    this.interruptionListElement = this.container.querySelector("#stats-interruption-list");
   }
 
   /**
-   * 处理撤销删除操作
+   * 订阅服务事件
    */
-  async handleUndoDelete(domain) {
-    if (!this.whitelistManager) return;
-
-    try {
-      const success = await this.whitelistManager.addDomain(domain);
+  bindServices() {
+    this.unsubscribeEvents = this.eventBus.onMany(this.REFRESH_EVENTS, () => this.render());
+  }
 
-      if (success) {
-        this.showFeedback(`已恢复域名: ${domain}`, "success");
-        this.hideUndoToast();
-      } else {
-        this.showFeedback("恢复失败，请重试", "error");
-      }
-    } catch (error) {
-      console.error("[SettingsPanel] Failed to undo delete:", error);
-      this.showFeedback("恢复失败，请重试", "error");
-    }
+  /**
+   * 渲染全部统计内容
+   */
+  render() {
+    if (!this.statsService || !this.summaryElement) return;
+
+    const stats = this.statsService.getStatistics();
+    this.renderSummary(stats);
+    this.renderTrend(stats.daily);
+    this.renderTaskCounts(stats.perTask);
+    this.renderProjectSummary(stats.perProject);
+    this.renderInterruptions(stats.interruptions);
   }
 
   /**
-   * 隐藏撤销Toast
+   * 渲染汇总卡片
+   * @param {Object} stats - 统计报告
    */
-  hideUndoToast() {
-    if (this.undoTimeout) {
-      clearTimeout(this.undoTimeout);
-      this.undoTimeout = null;
-    }
+  renderSummary(stats) {
+    const taskStats = stats.tasks || { completionRate: 0, completed: 0, total: 0 };
+    const archived = taskStats.archived || 0;
+    const estimation = taskStats.estimation || { accuracy: null, taskCount: 0 };
+    const interruptions = stats.interruptions;
 
-    if (this.undoToast) {
-      this.undoToast.classList.remove("show");
+    const cards = [
+      {
+        label: "今日专注",
+        value: this.formatDuration(stats.today.focusSeconds),
+        detail: `🍅 ${stats.today.pomodoros}`,
+      },
+      {
+        label: "本周专注",
+        value: this.formatDuration(stats.week.focusSeconds),
+        detail: `🍅 ${stats.week.pomodoros}`,
+      },
+      {
+        label: "连续专注",
+        value: `${stats.streak} 天`,
+        detail: stats.streak > 0 ? "继续保持" : "今天开始吧",
+      },
+      {
+        label: "任务完成率",
+        value: `${taskStats.completionRate}%`,
+        detail: `${taskStats.completed + archived}/${taskStats.total + archived} 个任务`,
+      },
+      {
+        label: "预估准确度",
+        value: estimation.accuracy === null ? "-" : `${estimation.accuracy}%`,
+        detail:
+          estimation.taskCount > 0
+            ? `实际 ${estimation.totalActual}/预估 ${estimation.totalEstimated} 🍅`
+            : "完成带预估的任务后显示",
+      },
+      {
+        label: "本周中断",
+        value: `${interruptions.perSession} 次/会话`,
+        detail:
+          interruptions.total > 0
+            ? `共 ${interruptions.total} 次 · 内部 ${interruptions.byCategory.internal} · 外部 ${interruptions.byCategory.external}`
+            : "本周专注没有中断",
+      },
+    ];
 
-      setTimeout(() => {
-        if (this.undoToast && this.undoToast.parentNode) {
-          this.undoToast.parentNode.removeChild(this.undoToast);
-        }
-        this.undoToast = null;
-      }, 300);
-    }
+    this.summaryElement.innerHTML = cards
+      .map(
+        (card) => `
+            <div class="stats-card">
+                <span class="stats-card-label">${card.label}</span>
+                <span class="stats-card-value">${this.escapeHtml(card.value)}</span>
+                <span class="stats-card-detail">${this.escapeHtml(card.detail)}</span>
+            </div>
+        `,
+      )
+      .join("");
   }
 
   /**
-   * 验证域名输入
+   * 渲染每日趋势（柱高为专注时长，标注为会话完成率）
+   * @param {Array<Object>} daily - 每日汇总
    */
-  validateDomainInput() {
-    if (!this.whitelistManager || !this.whitelistElements) return;
-
-    const { input } = this.whitelistElements;
-    const domain = input.value.trim();
+  renderTrend(daily) {
+    const maxSeconds = Math.max(1, ...daily.map((day) => day.focusSeconds));
+
+    this.trendElement.innerHTML = daily
+      .map((day) => {
+        const date = new Date(day.dayStart);
+        const label = `${date.getMonth() + 1}/${date.getDate()}`;
+        const height = Math.round((day.focusSeconds / maxSeconds) * 100);
+        const rate = day.sessions > 0 ? `${day.completionRate}%` : "-";
+
+        return `
+            <div class="stats-trend-day" role="listitem"
+                 title="${label}: ${this.formatDuration(day.focusSeconds)}, 完成率 ${rate}">
+                <span class="stats-trend-rate">${rate}</span>
+                <div class="stats-trend-bar-track">
+                    <div class="stats-trend-bar" style="height: ${height}%"></div>
+                </div>
+                <span class="stats-trend-label">${label}</span>
+            </div>
+        `;
+      })
+      .join("");
+  }
 
-    if (!domain) {
-      this.showFeedback("", "");
+  /**
+   * 渲染任务番茄钟统计
+   * @param {Array<Object>} perTask - 任务统计
+   */
+  renderTaskCounts(perTask) {
+    if (perTask.length === 0) {
+      this.taskListElement.innerHTML = `
+            <li class="stats-empty">完成一次专注后即可看到任务统计</li>
+        `;
       return;
     }
 
-    const cleanDomain = this.whitelistManager.validateAndCleanDomain(domain);
-    if (cleanDomain) {
-      this.showFeedback("域名格式有效", "success");
-    } else {
-      this.showFeedback("域名格式无效", "error");
-    }
+    this.taskListElement.innerHTML = perTask
+      .slice(0, 10)
+      .map(
+        (entry) => `
+            <li class="stats-task-item" role="listitem">
+                <span class="stats-task-title">${this.escapeHtml(entry.taskTitle)}</span>
+                <span class="stats-task-duration">${this.formatDuration(entry.focusSeconds)}${entry.interruptions > 0 ? ` · 中断 ${entry.interruptionsPerSession} 次/会话` : ""}</span>
+                <span class="stats-task-count">🍅 ${entry.pomodoros}</span>
+            </li>
+        `,
+      )
+      .join("");
   }
 
   /**
-   * 显示反馈信息
+   * 渲染本周最近填写了原因的中断
+   * @param {Object} interruptions - StatsService.getInterruptionSummary 结果
    */
-  showFeedback(message, type = "") {
-    if (!this.whitelistElements) return;
+  renderInterruptions(interruptions) {
+    if (interruptions.recent.length === 0) {
+      this.interruptionListElement.innerHTML = `
+            <li class="stats-empty">暂停、跳过拦截或提前结束时填写原因后显示</li>
+        `;
+      return;
+    }
 
-    const { feedback } = this.whitelistElements;
-    feedback.textContent = message;
-    feedback.className = `input-feedback ${type}`;
+    this.interruptionListElement.innerHTML = interruptions.recent
+      .map((interruption) => {
+        const date = new Date(interruption.at);
+        const time = `${date.getMonth() + 1}/${date.getDate()} ${String(date.getHours()).padStart(2, "0")}:${String(date.getMinutes()).padStart(2, "0")}`;
+        const labels = [
+          this.INTERRUPTION_TYPE_LABELS[interruption.type] || interruption.type,
+          this.INTERRUPTION_CATEGORY_LABELS[interruption.category],
+          interruption.taskTitle,
+        ].filter(Boolean);
+
+        return `
+            <li class="stats-task-item" role="listitem">
+                <span class="stats-task-title">${this.escapeHtml(interruption.reason)}</span>
+                <span class="stats-task-duration">${this.escapeHtml(labels.join(" · "))}</span>
+                <span class="stats-task-count">${time}</span>
+            </li>
+        `;
+      })
+      .join("");
+  }
 
-    // 自动清除成功信息
-    if (type === "success") {
-      setTimeout(() => {
-        if (feedback.textContent === message) {
-          feedback.textContent = "";
-          feedback.className = "input-feedback";
-        }
-      }, 3000);
+  /**
+   * 渲染项目统计
+   * @param {Array<Object>} perProject - 项目统计
+   */
+  renderProjectSummary(perProject) {
+    if (perProject.length === 0) {
+      this.projectListElement.innerHTML = `
+            <li class="stats-empty">添加任务后即可看到项目统计</li>
+        `;
+      return;
     }
+
+    this.projectListElement.innerHTML = perProject
+      .map(
+        (entry) => `
+            <li class="stats-task-item" role="listitem">
+                <span class="stats-task-title">${entry.project ? this.escapeHtml(entry.project) : "未分配项目"}</span>
+                <span class="stats-task-duration">${entry.completed}/${entry.total} 个任务 · ${this.formatDuration(entry.focusSeconds)}</span>
+                <span class="stats-task-count">🍅 ${entry.pomodoros}</span>
+            </li>
+        `,
+      )
+      .join("");
   }
 
   /**
-   * 刷新白名单UI显示
+   * 格式化时长显示
+   * @param {number} seconds - 秒数
+   * @returns {string} 如 "1小时25分" 或 "25分"
    */
-  async refreshWhitelistUI() {
-    if (!this.whitelistManager || !this.whitelistElements) return;
+  formatDuration(seconds) {
+    const totalMinutes = Math.round(seconds / 60);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}小时${minutes}分` : `${minutes}分`;
+  }
 
-    try {
-      const domains = this.whitelistManager.getDomains();
-      const { domainList, domainCount, emptyState } = this.whitelistElements;
+  /**
+   * HTML转义函数
+   */
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
 
-      // 更新域名数量
-      domainCount.textContent = `${domains.length} 个域名`;
+  /**
+   * 刷新组件
+   */
+  refresh() {
+    this.render();
+  }
 
-      // 清空列表
-      domainList.innerHTML = "";
+  /**
+   * 销毁组件
+   */
+  destroy() {
+    if (this.unsubscribeEvents) {
+      this.unsubscribeEvents();
+      this.unsubscribeEvents = null;
+    }
 
-      if (domains.length === 0) {
-        // 显示空状态
-        domainList.appendChild(emptyState);
-      } else {
-        // 显示域名列表
-        domains.forEach((domain) => {
-          const domainItem = this.createDomainItem(domain);
-          domainList.appendChild(domainItem);
-        });
-      }
-    } catch (error) {
-      console.error("[SettingsPanel] Failed to refresh whitelist UI:", error);
+    if (this.container) {
+      this.container.innerHTML = "";
     }
+
+    console.log("[StatisticsPanel] Destroyed");
   }
+}
 
-  /**
-   * 创建域名列表项
-   */
-  createDomainItem(domain) {
-    const item = document.createElement("div");
-    item.className = "domain-item";
-    item.setAttribute("role", "listitem");
+    /**
+     * TimerSettingsPanel - 计时设置UI组件
+     */
+    class TimerSettingsPanel {
+  constructor(container, timerService, eventBus) {
+    this.container = container;
+    this.timerService = timerService;
+    this.eventBus = eventBus;
+    this.isInitialized = false;
 
-    item.innerHTML = `
-      <span class="domain-text">${this.escapeHtml(domain)}</span>
-      <div class="domain-actions">
-        <button 
-          type="button" 
-          class="remove-domain-button" 
-          data-domain="${this.escapeHtml(domain)}"
-          aria-label="删除域名 ${this.escapeHtml(domain)}"
-        >
-          删除
-        </button>
-      </div>
-    `;
+    // 设置字段：与 Storage.validateSettingsData 的范围一致，界面只接受整数
+    this.FIELDS = [
+      { field: "pomodoroDuration", label: "专注时长", unit: "分钟", min: 1, max: 120 },
+      { field: "shortBreakDuration", label: "短休息时长", unit: "分钟", min: 1, max: 60 },
+      { field: "longBreakDuration", label: "长休息时长", unit: "分钟", min: 1, max: 120 },
+      { field: "longBreakInterval", label: "长休息间隔", unit: "个番茄钟", min: 1, max: 12 },
+      { field: "extendDuration", label: "延长专注时长", unit: "分钟", min: 1, max: 60 },
+    ];
 
-    // 绑定删除事件
-    const removeButton = item.querySelector(".remove-domain-button");
-    removeButton.addEventListener("click", (e) => {
-      e.stopPropagation();
-      const domainToRemove = removeButton.dataset.domain;
-      this.handleRemoveDomain(domainToRemove);
-    });
+    // UI元素引用
+    this.elements = null;
 
-    return item;
+    // 事件总线订阅
+    this.unsubscribeEvents = null;
+
+    this.initialize();
   }
 
   /**
-   * HTML转义函数
+   * 初始化组件
    */
-  escapeHtml(text) {
-    const div = document.createElement("div");
-    div.textContent = text;
-    return div.innerHTML;
+  initialize() {
+    if (this.isInitialized) {
+      return;
+    }
+
+    try {
+      this.createUI();
+      this.bindEvents();
+      this.unsubscribeEvents = this.eventBus.on(
+        EventBus.EVENTS.TIMER_SETTINGS_CHANGED,
+        () => this.render(),
+      );
+      this.render();
+
+      this.isInitialized = true;
+      console.log("[TimerSettingsPanel] Initialized successfully");
+    } catch (error) {
+      console.error("[TimerSettingsPanel] Failed to initialize:", error);
+    }
   }
 
   /**
-   * 应用基础样式
+   * 创建UI界面
    */
-  applyBaseStyles() {
-    const styles = `
-            .tomato-monkey-overlay {
-                position: fixed;
-                top: 0;
-                left: 0;
-                width: 100vw;
-                height: 100vh;
-                background: rgba(0, 0, 0, 0.5);
-                z-index: 9999;
-                opacity: 0;
-                transition: opacity 0.3s ease;
-            }
-            
-            .tomato-monkey-overlay.show {
-                opacity: 1;
-            }
-            
-            .tomato-monkey-settings-panel {
-                position: fixed;
-                top: 50%;
-                left: 50%;
-                transform: translate(-50%, -50%) scale(0.9);
-                width: 90vw;
-                max-width: 800px;
-                height: 80vh;
-                max-height: 600px;
-                background: white;
-                border-radius: 12px;
-                box-shadow: 0 20px 40px rgba(0, 0, 0, 0.15);
-                z-index: 10000;
-                display: flex;
-                flex-direction: column;
-                opacity: 0;
-                transition: all 0.3s ease;
-            }
-            
-            .tomato-monkey-settings-panel.show {
-                transform: translate(-50%, -50%) scale(1);
-                opacity: 1;
-            }
-            
-            .tomato-monkey-hidden {
-                display: none !important;
-            }
+  createUI() {
+    const rows = this.FIELDS.map(
+      ({ field, label, unit, min, max }) => `
+                <div class="data-options timer-setting-row">
+                    <label class="data-option timer-setting-label" for="timer-setting-${field}">${label}</label>
+                    <input
+                        type="number"
+                        id="timer-setting-${field}"
+                        class="timer-setting-input"
+                        data-field="${field}"
+                        min="${min}"
+                        max="${max}"
+                        step="1"
+                    />
+                    <span class="timer-setting-unit">${unit}</span>
+                </div>
+            `,
+    ).join("");
+
+    this.container.innerHTML = `
+            <div class="data-section">
+                <h4>番茄钟时长</h4>
+                <p class="data-hint">修改在下一次开始计时时生效，正在进行的计时不受影响</p>
+                <form class="timer-settings-form" id="timer-settings-form" novalidate>
+                    ${rows}
+                    <div class="data-options">
+                        <button type="submit" class="data-button">保存</button>
+                    </div>
+                </form>
+                <div class="input-feedback" id="timer-settings-feedback" role="alert" aria-live="polite"></div>
+            </div>
         `;
 
-    GM_addStyle(styles);
+    this.elements = {
+      form: this.container.querySelector("#timer-settings-form"),
+      inputs: Array.from(this.container.querySelectorAll(".timer-setting-input")),
+      feedback: this.container.querySelector("#timer-settings-feedback"),
+    };
   }
 
   /**
-   * 触发自定义事件
-   * @param {string} eventType - 事件类型
-   * @param {Object} detail - 事件详情
+   * 绑定事件监听器
    */
-  dispatchEvent(eventType, detail = {}) {
-    const event = new CustomEvent(`tomato-monkey-${eventType}`, {
-      detail,
-      bubbles: false,
-      cancelable: false,
+  bindEvents() {
+    this.elements.form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.handleSave();
     });
-
-    document.dispatchEvent(event);
   }
 
   /**
-   * 创建TodoList组件 - Linus式直接方式
+   * 渲染当前设置
    */
-  createTodoList() {
-    // 如果没有taskService或timerService，无法创建TodoList
-    if (!this.taskService) {
-      console.warn("[SettingsPanel] TaskService not available, skipping TodoList creation");
-      return;
-    }
-    if (!this.timerService) {
-      console.warn("[SettingsPanel] TimerService not available, skipping TodoList creation");
-      return;
-    }
+  render() {
+    if (!this.elements) return;
+
+    const settings = this.timerService.getTimerSettings();
+    this.elements.inputs.forEach((input) => {
+      if (document.activeElement !== input) {
+        input.value = settings[input.dataset.field];
+      }
+    });
+  }
 
-    // 直接获取容器，不使用setTimeout
-    const todoContainer = document.getElementById('todo-container');
-    if (!todoContainer) {
-      console.warn("[SettingsPanel] Todo container not found, TodoList creation skipped");
-      return;
+  /**
+   * 校验并保存设置
+   */
+  async handleSave() {
+    const changes = {};
+
+    for (const { field, label, min, max } of this.FIELDS) {
+      const input = this.elements.inputs.find((el) => el.dataset.field === field);
+      const value = Number(input.value);
+
+      if (!Number.isInteger(value) || value < min || value > max) {
+        this.showFeedback(`${label}必须是 ${min}-${max} 之间的整数`, "error");
+        input.focus();
+        return;
+      }
+      changes[field] = value;
     }
 
     try {
-      // 创建TodoList实例 - 显式依赖注入
-      this.todoList = new TodoList(todoContainer, this.taskService, this.timerService);
-      
-      // 注册到tabConfig
-      const todoTab = this.tabConfig.find(tab => tab.id === 'todo');
-      if (todoTab) {
-        todoTab.component = this.todoList;
+      const success = await this.timerService.updateTimerSettings(changes);
+      if (success) {
+        this.showFeedback("计时设置已保存", "success");
+      } else {
+        this.showFeedback("保存失败，请重试", "error");
       }
-
-      console.log("[SettingsPanel] TodoList created and registered");
     } catch (error) {
-      console.error("[SettingsPanel] Failed to create TodoList:", error);
+      console.error("[TimerSettingsPanel] Failed to save settings:", error);
+      this.showFeedback("保存失败，请检查输入", "error");
     }
   }
 
   /**
-   * 销毁设置面板
+   * 显示反馈信息
+   * @param {string} message - 反馈消息
+   * @param {string} type - 消息类型（success | error）
    */
-  destroy() {
-    // 清理撤销Toast
-    this.hideUndoToast();
+  showFeedback(message, type = "") {
+    const { feedback } = this.elements;
+    feedback.textContent = message;
+    feedback.className = `input-feedback ${type}`;
 
-    // 销毁TodoList组件
-    if (this.todoList) {
-      this.todoList.destroy();
-      this.todoList = null;
+    if (type === "success") {
+      setTimeout(() => {
+        if (feedback.textContent === message) {
+          feedback.textContent = "";
+          feedback.className = "input-feedback";
+        }
+      }, 3000);
     }
+  }
 
-    if (this.panel) {
-      this.panel.remove();
+  /**
+   * 刷新组件
+   */
+  refresh() {
+    this.render();
+  }
+
+  /**
+   * 销毁组件
+   */
+  destroy() {
+    if (this.unsubscribeEvents) {
+      this.unsubscribeEvents();
+      this.unsubscribeEvents = null;
     }
-    if (this.overlay) {
-      this.overlay.remove();
+
+    if (this.container) {
+      this.container.innerHTML = "";
     }
 
-    this.tabs.clear();
-    console.log("[SettingsPanel] Destroyed");
+    console.log("[TimerSettingsPanel] Destroyed");
   }
 }
 
@@ -4533,14 +12738,17 @@ class SettingsPanel {
  * ToDo列表组件类
  */
 class TodoList {
-  constructor(container, taskManager, timerService) {
+  constructor(container, taskManager, timerService, eventBus) {
     this.container = container;
     this.taskManager = taskManager;
     this.timerService = timerService;
+    this.eventBus = eventBus;
+    this.unsubscribeEvents = null;
     this.isInitialized = false;
 
     // UI元素引用
     this.inputField = null;
+    this.estimateField = null;
     this.addButton = null;
     this.taskList = null;
     this.statsDisplay = null;
@@ -4549,6 +12757,37 @@ class TodoList {
     // 状态
     this.tasks = [];
     this.isLoading = false;
+    this.expandedTaskIds = new Set(); // 展开检查项的任务
+    this.filters = { text: "", status: "all", project: "", tag: "", range: "all", due: "" };
+    this.scheduleEditingTaskId = null; // 正在编辑日程的任务
+    this.notesEditingTaskId = null; // 正在编辑备注的任务
+    this.notesDraft = ""; // 备注草稿，列表重新渲染时保留
+    this.focusMenuTaskId = null; // 展开时长预设菜单的任务
+
+    this.markdownRenderer = new MarkdownRenderer();
+
+    this.RECURRENCE_LABELS = {
+      daily: "每天",
+      weekdays: "工作日",
+      weekly: "每周",
+      monthly: "每月",
+    };
+    this.WEEKDAY_LABELS = ["日", "一", "二", "三", "四", "五", "六"];
+
+    this.DUE_VIEWS = [
+      { value: "", label: "全部" },
+      { value: "today", label: "今天" },
+      { value: "upcoming", label: "即将到期" },
+      { value: "overdue", label: "已逾期" },
+    ];
+
+    // 项目筛选中"未分配项目"选项的值
+    this.NO_PROJECT = "__none__";
+
+    // 拖动排序状态
+    this.dragState = null;
+
+    this.PRIORITY_LABELS = { high: "高", medium: "中", low: "低" };
 
     this.initialize();
   }
@@ -4564,7 +12803,7 @@ class TodoList {
     try {
       this.createUI();
       this.setupEventListeners();
-      this.bindTaskManager();
+      this.subscribeEvents();
       await this.loadTasks();
 
       this.isInitialized = true;
@@ -4586,10 +12825,21 @@ class TodoList {
                         type="text" 
                         id="todo-input" 
                         class="todo-input" 
-                        placeholder="输入新任务..." 
+                        placeholder="输入新任务，可用 #标签 +项目 ~预估" 
                         maxlength="200"
                         aria-label="新任务输入"
                     />
+                    <input
+                        type="number"
+                        id="todo-estimate-input"
+                        class="todo-input todo-estimate-input"
+                        placeholder="预估🍅"
+                        min="1"
+                        max="99"
+                        step="1"
+                        title="预估番茄钟数（可选）"
+                        aria-label="预估番茄钟数"
+                    />
                     <button 
                         type="button" 
                         id="add-task-btn" 
@@ -4629,6 +12879,42 @@ class TodoList {
                 </button>
             </div>
             
+            <div class="todo-filter-section">
+                <div class="todo-view-tabs" id="todo-view-tabs" role="tablist" aria-label="日程视图">
+                    ${this.DUE_VIEWS.map(
+                      ({ value, label }) => `
+                        <button type="button" class="todo-view-tab" role="tab" data-view="${value}">
+                            ${label}<span class="view-count"></span>
+                        </button>
+                    `,
+                    ).join("")}
+                </div>
+                <div class="filter-row">
+                    <input
+                        type="search"
+                        id="todo-filter-text"
+                        class="filter-input"
+                        placeholder="搜索任务..."
+                        aria-label="搜索任务"
+                    />
+                    <select id="todo-filter-status" class="filter-select" aria-label="按状态筛选">
+                        <option value="all">全部状态</option>
+                        <option value="pending">待完成</option>
+                        <option value="completed">已完成</option>
+                    </select>
+                    <select id="todo-filter-project" class="filter-select" aria-label="按项目筛选">
+                        <option value="">全部项目</option>
+                    </select>
+                    <select id="todo-filter-range" class="filter-select" aria-label="按创建时间筛选">
+                        <option value="all">全部时间</option>
+                        <option value="1">今天</option>
+                        <option value="7">最近7天</option>
+                        <option value="30">最近30天</option>
+                    </select>
+                </div>
+                <div class="tag-chips hidden" id="todo-tag-chips" aria-label="按标签筛选"></div>
+            </div>
+
             <div class="todo-list-section">
                 <div class="loading-indicator hidden" id="loading-indicator">
                     <span class="loading-spinner"></span>
@@ -4639,12 +12925,17 @@ class TodoList {
                     <h4>暂无任务</h4>
                     <p>添加您的第一个任务来开始管理待办事项</p>
                 </div>
+                <div class="empty-state hidden" id="filter-empty-state">
+                    <p>没有符合筛选条件的任务</p>
+                </div>
                 <ul class="task-list" id="task-list" role="list"></ul>
+                <div class="sr-only" id="todo-live-region" role="status" aria-live="polite"></div>
             </div>
         `;
 
     // 获取UI元素引用
     this.inputField = this.container.querySelector("#todo-input");
+    this.estimateField = this.container.querySelector("#todo-estimate-input");
     this.addButton = this.container.querySelector("#add-task-btn");
     this.taskList = this.container.querySelector("#task-list");
     this.statsDisplay = this.container.querySelector("#stats-display");
@@ -4653,12 +12944,22 @@ class TodoList {
     );
     this.loadingIndicator = this.container.querySelector("#loading-indicator");
     this.emptyState = this.container.querySelector("#empty-state");
+    this.filterEmptyState = this.container.querySelector("#filter-empty-state");
     this.inputError = this.container.querySelector("#input-error");
+    this.liveRegion = this.container.querySelector("#todo-live-region");
 
     // 统计元素
     this.totalCount = this.container.querySelector("#total-count");
     this.pendingCount = this.container.querySelector("#pending-count");
     this.completedCount = this.container.querySelector("#completed-count");
+
+    // 筛选元素
+    this.filterText = this.container.querySelector("#todo-filter-text");
+    this.filterStatus = this.container.querySelector("#todo-filter-status");
+    this.filterProject = this.container.querySelector("#todo-filter-project");
+    this.filterRange = this.container.querySelector("#todo-filter-range");
+    this.tagChips = this.container.querySelector("#todo-tag-chips");
+    this.viewTabs = this.container.querySelector("#todo-view-tabs");
   }
 
   /**
@@ -4675,6 +12976,12 @@ class TodoList {
         this.addTask();
       }
     });
+    this.estimateField.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        this.addTask();
+      }
+    });
 
     // 输入验证
     this.inputField.addEventListener("input", () => {
@@ -4687,6 +12994,32 @@ class TodoList {
       this.clearCompletedTasks();
     });
 
+    // 筛选条件变化
+    this.filterText.addEventListener("input", () => {
+      this.setFilter("text", this.filterText.value);
+    });
+    this.filterStatus.addEventListener("change", () => {
+      this.setFilter("status", this.filterStatus.value);
+    });
+    this.filterProject.addEventListener("change", () => {
+      this.setFilter("project", this.filterProject.value);
+    });
+    this.filterRange.addEventListener("change", () => {
+      this.setFilter("range", this.filterRange.value);
+    });
+    this.viewTabs.addEventListener("click", (e) => {
+      const tab = e.target.closest(".todo-view-tab");
+      if (tab) {
+        this.setFilter("due", tab.dataset.view);
+      }
+    });
+    this.tagChips.addEventListener("click", (e) => {
+      const chip = e.target.closest(".tag-chip");
+      if (chip) {
+        this.toggleTagFilter(chip.querySelector(".tag-chip-name").textContent);
+      }
+    });
+
     // 任务列表事件委托
     this.taskList.addEventListener("click", (e) => {
       this.handleTaskListClick(e);
@@ -4696,83 +13029,428 @@ class TodoList {
     this.taskList.addEventListener("keydown", (e) => {
       this.handleTaskListKeydown(e);
     });
+
+    // 备注输入时更新草稿和预览
+    this.taskList.addEventListener("input", (e) => {
+      if (!e.target.classList.contains("task-notes-input")) return;
+      this.notesDraft = e.target.value;
+      const preview = e.target
+        .closest(".task-notes-drawer")
+        .querySelector(".task-notes-preview");
+      preview.innerHTML = this.renderNotesPreview(this.notesDraft);
+    });
+
+    // 优先级选择、重复规则类型切换
+    this.taskList.addEventListener("change", (e) => {
+      const taskItem = e.target.closest(".task-item");
+      if (e.target.classList.contains("task-priority-select")) {
+        this.setPriority(taskItem.dataset.taskId, e.target.value);
+      } else if (e.target.classList.contains("schedule-recurrence-select")) {
+        taskItem
+          .querySelector(".schedule-weekdays")
+          .classList.toggle("hidden", e.target.value !== "weekly");
+      }
+    });
+
+    // 拖动排序
+    this.taskList.addEventListener("pointerdown", (e) => {
+      this.handleDragStart(e);
+    });
   }
 
   /**
-   * 绑定TaskManager事件
+   * 通过事件总线订阅任务变化和计时设置变化
    */
-  bindTaskManager() {
-    if (!this.taskManager) return;
-
-    // 监听TaskManager事件
-    this.taskManager.addObserver((event, data) => {
-      this.handleTaskManagerEvent(event, data);
-    });
+  subscribeEvents() {
+    const { EVENTS } = EventBus;
+    this.unsubscribeEvents = this.eventBus.onMany(
+      [
+        EVENTS.TASK_CREATED,
+        EVENTS.TASK_TOGGLED,
+        EVENTS.TASK_DELETED,
+        EVENTS.COMPLETED_TASKS_CLEARED,
+        EVENTS.TASKS_RELOADED,
+        EVENTS.TASK_UPDATED,
+        EVENTS.TASK_POMODORO_UPDATED,
+        EVENTS.TASK_CHECKLIST_UPDATED,
+        EVENTS.TASK_REORDERED,
+        EVENTS.TASK_RESTORED,
+        EVENTS.TASKS_ARCHIVED,
+        EVENTS.TASKS_IMPORTED,
+        EVENTS.TASKS_MERGED,
+        EVENTS.TASK_CONFLICT,
+        EVENTS.TIMER_SETTINGS_CHANGED,
+      ],
+      (event, data) => this.handleServiceEvent(event, data),
+    );
   }
 
   /**
-   * 处理TaskManager事件
-   * @param {string} event - 事件类型
+   * 处理任务服务和计时器服务事件
+   * @param {string} event - EventBus.EVENTS 中的事件名称
    * @param {Object} data - 事件数据
    */
-  handleTaskManagerEvent(event, data) {
+  handleServiceEvent(event, data) {
     switch (event) {
-      case "taskCreated":
-      case "taskToggled":
-      case "taskDeleted":
-      case "completedTasksCleared":
+      case EventBus.EVENTS.TASK_CONFLICT:
+        this.showConflict(data.conflicts);
+        break;
+      case EventBus.EVENTS.TIMER_SETTINGS_CHANGED:
+        // 默认专注时长变化时刷新开始按钮
+        this.renderTaskList();
+        break;
+      default:
         this.loadTasks();
         break;
     }
   }
 
   /**
-   * 加载任务数据
+   * 提示保存时与其他标签页的修改冲突
+   * @param {Array<Object>} conflicts - {type, taskId, title, fields}
+   */
+  showConflict(conflicts) {
+    const [first] = conflicts;
+    const more = conflicts.length > 1 ? `等 ${conflicts.length} 个任务` : "";
+    const message =
+      first.type === "deleted"
+        ? `任务「${first.title}」${more}已在其他标签页删除，修改未保留`
+        : `任务「${first.title}」${more}也在其他标签页修改过，已合并并保留本次修改`;
+    this.showError(message);
+  }
+
+  /**
+   * 加载任务数据
+   */
+  async loadTasks() {
+    if (!this.taskManager || this.isLoading) return;
+
+    this.isLoading = true;
+    this.showLoading(true);
+
+    try {
+      this.tasks = this.taskManager.filterTasks(this.getFilterCriteria());
+      this.renderFilterBar();
+      this.renderTaskList();
+      this.updateStats();
+      this.updateUI();
+    } catch (error) {
+      console.error("[TodoList] Failed to load tasks:", error);
+      this.showError("加载任务失败");
+    } finally {
+      this.isLoading = false;
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * 设置筛选条件并刷新列表
+   * @param {string} key - 筛选字段
+   * @param {string} value - 筛选值
+   */
+  setFilter(key, value) {
+    this.filters[key] = value;
+    this.loadTasks();
+  }
+
+  /**
+   * 切换标签筛选（再次点击同一标签取消筛选）
+   * @param {string} tag - 标签
+   */
+  toggleTagFilter(tag) {
+    this.setFilter("tag", this.filters.tag === tag ? "" : tag);
+  }
+
+  /**
+   * 将界面筛选状态转换为 TaskService.filterTasks 的条件
+   * @returns {Object} 筛选条件
+   */
+  getFilterCriteria() {
+    const { text, status, project, tag, range, due } = this.filters;
+    const criteria = { text, status };
+
+    if (due) {
+      criteria.due = due;
+    }
+    if (tag) {
+      criteria.tag = tag;
+    }
+    if (project === this.NO_PROJECT) {
+      criteria.project = null;
+    } else if (project) {
+      criteria.project = project;
+    }
+    if (range !== "all") {
+      const from = new Date();
+      from.setHours(0, 0, 0, 0);
+      from.setDate(from.getDate() - (Number(range) - 1));
+      criteria.from = from.getTime();
+    }
+
+    return criteria;
+  }
+
+  /**
+   * 渲染筛选栏的项目选项和标签
+   */
+  renderFilterBar() {
+    const projects = this.taskManager.getAllProjects();
+    const tags = this.taskManager.getAllTags();
+
+    // 已选项目或标签不存在时（如任务被删除）取消该筛选
+    if (
+      this.filters.project &&
+      this.filters.project !== this.NO_PROJECT &&
+      !projects.includes(this.filters.project)
+    ) {
+      this.filters.project = "";
+    }
+    if (this.filters.tag && !tags.some((entry) => entry.tag === this.filters.tag)) {
+      this.filters.tag = "";
+    }
+
+    this.filterProject.innerHTML = `
+            <option value="">全部项目</option>
+            ${projects.map((project) => `<option>${this.escapeHtml(project)}</option>`).join("")}
+            <option value="${this.NO_PROJECT}">未分配项目</option>
+        `;
+    this.filterProject.value = this.filters.project;
+
+    const dueCounts = this.taskManager.getDueCounts();
+    this.viewTabs.querySelectorAll(".todo-view-tab").forEach((tab) => {
+      const view = tab.dataset.view;
+      const isActive = view === this.filters.due;
+      tab.classList.toggle("active", isActive);
+      tab.setAttribute("aria-selected", String(isActive));
+      tab.classList.toggle("has-overdue", view === "overdue" && dueCounts.overdue > 0);
+      tab.querySelector(".view-count").textContent = view && dueCounts[view] ? ` ${dueCounts[view]}` : "";
+    });
+
+    this.tagChips.classList.toggle("hidden", tags.length === 0);
+    this.tagChips.innerHTML = tags
+      .map(
+        ({ tag, count }) => `
+                <button type="button" class="tag-chip ${tag === this.filters.tag ? "active" : ""}" aria-pressed="${tag === this.filters.tag}">
+                    #<span class="tag-chip-name">${this.escapeHtml(tag)}</span>
+                    <span class="tag-chip-count">${count}</span>
+                </button>
+            `,
+      )
+      .join("");
+  }
+
+  /**
+   * 从输入文本中提取 #标签、+项目 和 ~预估番茄钟数
+   * 以数字开头的 #123 视为普通文本（如工单号）
+   * @param {string} text - 输入文本
+   * @returns {{title: string, project: string|null, tags: Array<string>, estimatedPomodoros: number|null}}
+   */
+  parseLabels(text) {
+    return this.taskManager.parseTaskLine(text);
+  }
+
+
+  /**
+   * 格式化任务的标签和项目，用于编辑
+   * @param {Task} task - 任务对象
+   * @returns {string} 如 "+工作 #bug #紧急"
+   */
+  formatLabels(task) {
+    return [
+      task.project ? `+${task.project}` : "",
+      ...(task.tags || []).map((tag) => `#${tag}`),
+    ]
+      .filter(Boolean)
+      .join(" ");
+  }
+
+  /**
+   * 编辑任务的标签和项目
+   * @param {string} taskId - 任务ID
+   */
+  async editLabels(taskId) {
+    const task = this.taskManager.getTaskById(taskId);
+    if (!task) return;
+
+    const input = prompt(
+      `设置 "${task.title}" 的项目和标签（如 +项目 #标签1 #标签2，留空清除）`,
+      this.formatLabels(task),
+    );
+    if (input === null) return;
+
+    const { project, tags } = this.parseLabels(` ${input}`);
+
+    try {
+      this.clearError();
+      await this.taskManager.updateTaskLabels(taskId, { project, tags });
+    } catch (error) {
+      console.error("[TodoList] Failed to update labels:", error);
+      this.showError(error.message || "更新标签失败，请重试");
+    }
+  }
+
+  /**
+   * 添加新任务
+   */
+  async addTask() {
+    const { title, project, tags, estimatedPomodoros } = this.parseLabels(
+      this.inputField.value,
+    );
+
+    if (!this.validateTaskTitle(title)) {
+      return;
+    }
+
+    // 预估输入框为空时使用标题中的 ~N 标记
+    const estimate = this.parseEstimate(
+      this.estimateField.value.trim() || estimatedPomodoros,
+    );
+    if (estimate === undefined) {
+      this.showError("预估番茄钟数需为 1-99 的整数");
+      this.estimateField.focus();
+      return;
+    }
+
+    this.setButtonLoading(this.addButton, true);
+    this.clearError();
+
+    try {
+      await this.taskManager.createTask(title, {
+        estimatedPomodoros: estimate,
+        project,
+        tags,
+      });
+      this.inputField.value = "";
+      this.estimateField.value = "";
+      this.updateAddButtonState();
+      this.inputField.focus();
+    } catch (error) {
+      console.error("[TodoList] Failed to add task:", error);
+      this.showError("添加任务失败，请重试");
+    } finally {
+      this.setButtonLoading(this.addButton, false);
+    }
+  }
+
+  /**
+   * 解析预估番茄钟数输入
+   * @param {string} value - 输入值
+   * @returns {number|null|undefined} 预估数，留空为null，无效为undefined
+   */
+  parseEstimate(value) {
+    const trimmed = String(value ?? "").trim();
+    if (trimmed === "") {
+      return null;
+    }
+
+    const estimate = Number(trimmed);
+    return Number.isInteger(estimate) && estimate >= 1 && estimate <= 99
+      ? estimate
+      : undefined;
+  }
+
+  /**
+   * 解析专注时长输入（分钟）
+   * @param {string} value - 输入值
+   * @returns {number|null|undefined} 分钟数，留空为null，无效为undefined
+   */
+  parseFocusDuration(value) {
+    const trimmed = String(value ?? "").trim();
+    if (trimmed === "") {
+      return null;
+    }
+
+    const minutes = Number(trimmed);
+    return Number.isInteger(minutes) && minutes >= 1 && minutes <= 120
+      ? minutes
+      : undefined;
+  }
+
+  /**
+   * 编辑任务的专注时长偏好
+   * @param {string} taskId - 任务ID
+   */
+  async editFocusDuration(taskId) {
+    const task = this.taskManager.getTaskById(taskId);
+    if (!task) return;
+
+    const input = prompt(
+      `设置 "${task.title}" 每次专注的时长（1-120分钟，留空使用默认的 ${this.getDefaultMinutes()} 分钟）`,
+      task.focusDuration ?? "",
+    );
+    if (input === null) return;
+
+    const minutes = this.parseFocusDuration(input);
+    if (minutes === undefined) {
+      this.showError("专注时长需为 1-120 的整数分钟");
+      return;
+    }
+
+    try {
+      this.clearError();
+      await this.taskManager.updateTaskFocusDuration(taskId, minutes);
+    } catch (error) {
+      console.error("[TodoList] Failed to update focus duration:", error);
+      this.showError("更新专注时长失败，请重试");
+    }
+  }
+
+  /**
+   * 获取计时设置中的默认专注时长
+   * @returns {number} 分钟
+   */
+  getDefaultMinutes() {
+    return this.timerService ? this.timerService.getDefaultDuration() / 60 : 25;
+  }
+
+  /**
+   * 获取任务的专注时长：任务偏好优先，否则使用默认时长
+   * @param {Task} task - 任务对象
+   * @returns {number} 分钟
+   */
+  getFocusMinutes(task) {
+    return task.focusDuration || this.getDefaultMinutes();
+  }
+
+  /**
+   * 编辑任务的预估番茄钟数
+   * @param {string} taskId - 任务ID
    */
-  async loadTasks() {
-    if (!this.taskManager || this.isLoading) return;
+  async editEstimate(taskId) {
+    const task = this.taskManager.getTaskById(taskId);
+    if (!task) return;
 
-    this.isLoading = true;
-    this.showLoading(true);
+    const input = prompt(
+      `设置 "${task.title}" 的预估番茄钟数（1-99，留空清除）`,
+      task.estimatedPomodoros ?? "",
+    );
+    if (input === null) return;
+
+    const estimate = this.parseEstimate(input);
+    if (estimate === undefined) {
+      this.showError("预估番茄钟数需为 1-99 的整数");
+      return;
+    }
 
     try {
-      this.tasks = this.taskManager.getAllTasks();
-      this.renderTaskList();
-      this.updateStats();
-      this.updateUI();
+      this.clearError();
+      await this.taskManager.updateTaskEstimate(taskId, estimate);
     } catch (error) {
-      console.error("[TodoList] Failed to load tasks:", error);
-      this.showError("加载任务失败");
-    } finally {
-      this.isLoading = false;
-      this.showLoading(false);
+      console.error("[TodoList] Failed to update estimate:", error);
+      this.showError("更新预估失败，请重试");
     }
   }
 
   /**
-   * 添加新任务
+   * 格式化任务的番茄钟进度
+   * @param {Task} task - 任务对象
+   * @returns {string} 如 "3/5 🍅"、"🍅 3"，无记录且未预估时为 "🍅 预估"
    */
-  async addTask() {
-    const title = this.inputField.value.trim();
-
-    if (!this.validateTaskTitle(title)) {
-      return;
-    }
-
-    this.setButtonLoading(this.addButton, true);
-    this.clearError();
-
-    try {
-      await this.taskManager.createTask(title);
-      this.inputField.value = "";
-      this.updateAddButtonState();
-      this.inputField.focus();
-    } catch (error) {
-      console.error("[TodoList] Failed to add task:", error);
-      this.showError("添加任务失败，请重试");
-    } finally {
-      this.setButtonLoading(this.addButton, false);
+  formatPomodoroProgress(task) {
+    if (task.estimatedPomodoros) {
+      return `${task.pomodoroCount}/${task.estimatedPomodoros} 🍅`;
     }
+    return task.pomodoroCount > 0 ? `🍅 ${task.pomodoroCount}` : "🍅 预估";
   }
 
   /**
@@ -4794,7 +13472,7 @@ class TodoList {
    * @param {string} taskTitle - 任务标题（用于确认）
    */
   async deleteTask(taskId, taskTitle) {
-    const confirmed = confirm(`确定要删除任务 "${taskTitle}" 吗？`);
+    const confirmed = confirm(`确定要将任务 "${taskTitle}" 移到回收站吗？`);
     if (!confirmed) return;
 
     try {
@@ -4809,8 +13487,9 @@ class TodoList {
    * 开始专注会话
    * @param {string} taskId - 任务ID
    * @param {string} taskTitle - 任务标题
+   * @param {number|null} minutes - 本次专注时长（分钟），默认使用任务偏好或计时设置
    */
-  async startFocusSession(taskId, taskTitle) {
+  async startFocusSession(taskId, taskTitle, minutes = null) {
     try {
       // 使用依赖注入的 timerService
       if (!this.timerService) {
@@ -4819,17 +13498,21 @@ class TodoList {
         return;
       }
 
-      // 检查是否已有计时器在运行
+      // 检查是否已有计时器在运行（休息阶段可直接开始新的专注）
       const timerState = this.timerService.getTimerState();
-      if (timerState.status === "running") {
+      if (timerState.status === "running" && timerState.phase === "focus") {
         const confirmed = confirm("已有计时器在运行中，是否要停止当前计时器并开始新的专注会话？");
         if (!confirmed) return;
         
         this.timerService.stopTimer(true);
       }
 
-      // 启动计时器 (默认25分钟) - 现在是异步调用，会在此时请求通知权限
-      const started = await this.timerService.startTimer(taskId, taskTitle, 1500);
+      // 时长优先级：本次选择的预设 > 任务偏好 > 计时设置中的默认时长
+      const task = this.taskManager.getTaskById(taskId);
+      const duration = (minutes || (task ? this.getFocusMinutes(task) : this.getDefaultMinutes())) * 60;
+
+      // 启动计时器 - 异步调用，会在此时请求通知权限
+      const started = await this.timerService.startTimer(taskId, taskTitle, duration);
       
       if (started) {
         console.log(`[TodoList] Started focus session for task: ${taskTitle}`);
@@ -4848,10 +13531,10 @@ class TodoList {
    * 清除所有已完成任务
    */
   async clearCompletedTasks() {
-    const completedCount = this.tasks.filter((task) => task.isCompleted).length;
+    const completedCount = this.taskManager.getCompletedTasks().length;
     if (completedCount === 0) return;
 
-    const confirmed = confirm(`确定要清除 ${completedCount} 个已完成任务吗？`);
+    const confirmed = confirm(`确定要将 ${completedCount} 个已完成任务移到回收站吗？`);
     if (!confirmed) return;
 
     try {
@@ -4887,10 +13570,24 @@ class TodoList {
     const completedDate = task.completedAt
       ? new Date(task.completedAt).toLocaleDateString()
       : "";
+    const checklist = task.checklist || [];
+    const isExpanded = this.expandedTaskIds.has(task.id);
+    const priorityClass = task.priority ? `priority-${task.priority}` : "";
+    const isEditingSchedule = this.scheduleEditingTaskId === task.id;
+    const isEditingNotes = this.notesEditingTaskId === task.id;
+    const isFocusMenuOpen = this.focusMenuTaskId === task.id && !task.isCompleted;
 
     return `
-            <li class="task-item ${completedClass}" data-task-id="${task.id}" role="listitem">
+            <li class="task-item ${completedClass} ${priorityClass}" data-task-id="${this.escapeHtml(task.id)}" role="listitem">
                 <div class="task-content">
+                    ${!task.isCompleted ? `
+                        <button
+                            type="button"
+                            class="task-drag-handle"
+                            title="拖动或按 ↑/↓ 调整顺序"
+                            aria-label="调整顺序: ${this.escapeHtml(task.title)}，按上下方向键移动"
+                        >⋮⋮</button>
+                    ` : ""}
                     <label class="task-checkbox-label">
                         <input 
                             type="checkbox" 
@@ -4902,12 +13599,65 @@ class TodoList {
                     </label>
                     
                     <div class="task-details">
-                        <div class="task-title">${task.title}</div>
+                        <div class="task-title">${this.escapeHtml(task.title)}</div>
+                        ${this.createLabelsElement(task)}
                         <div class="task-meta">
                             <span class="task-date">创建于 ${createdDate}</span>
                             ${task.isCompleted ? `<span class="task-completed-date">完成于 ${completedDate}</span>` : ""}
-                            ${task.pomodoroCount > 0 ? `<span class="pomodoro-count">🍅 ${task.pomodoroCount}</span>` : ""}
+                            <button
+                                type="button"
+                                class="pomodoro-count ${task.estimatedPomodoros ? "has-estimate" : ""} ${task.estimatedPomodoros && task.pomodoroCount > task.estimatedPomodoros ? "over-estimate" : ""}"
+                                title="已完成/预估番茄钟数，点击设置预估"
+                                aria-label="设置预估番茄钟数"
+                            >${this.formatPomodoroProgress(task)}</button>
+                            ${task.focusDuration ? `
+                                <button
+                                    type="button"
+                                    class="task-focus-duration"
+                                    title="每次专注 ${task.focusDuration} 分钟，点击修改"
+                                    aria-label="设置专注时长"
+                                >⏱ ${task.focusDuration}分钟</button>
+                            ` : ""}
+                            <button
+                                type="button"
+                                class="checklist-toggle ${isExpanded ? "expanded" : ""}"
+                                title="${isExpanded ? "收起检查项" : "展开检查项"}"
+                                aria-expanded="${isExpanded}"
+                            >${this.formatChecklistProgress(checklist)}</button>
+                            <button
+                                type="button"
+                                class="task-labels-edit"
+                                title="设置项目和标签"
+                                aria-label="设置项目和标签"
+                            >🏷</button>
+                            ${this.createScheduleBadges(task)}
+                            <button
+                                type="button"
+                                class="task-schedule-toggle ${isEditingSchedule ? "expanded" : ""}"
+                                title="设置截止日期和提醒"
+                                aria-label="设置截止日期和提醒"
+                                aria-expanded="${isEditingSchedule}"
+                            >📅</button>
+                            <button
+                                type="button"
+                                class="task-notes-toggle ${task.notes ? "has-notes" : ""} ${isEditingNotes ? "expanded" : ""}"
+                                title="${task.notes ? "编辑备注" : "添加备注"}"
+                                aria-label="${task.notes ? "编辑备注" : "添加备注"}"
+                                aria-expanded="${isEditingNotes}"
+                            >📝</button>
+                            <select class="task-priority-select" aria-label="优先级">
+                                <option value="">无优先级</option>
+                                ${Object.entries(this.PRIORITY_LABELS)
+                                  .map(
+                                    ([value, label]) =>
+                                      `<option value="${value}" ${task.priority === value ? "selected" : ""}>优先级：${label}</option>`,
+                                  )
+                                  .join("")}
+                            </select>
                         </div>
+                        ${isEditingSchedule ? this.createScheduleEditor(task) : ""}
+                        ${isEditingNotes ? this.createNotesDrawer() : ""}
+                        ${isExpanded ? this.createChecklistElement(checklist) : ""}
                     </div>
                 </div>
                 
@@ -4916,17 +13666,26 @@ class TodoList {
                         <button 
                             type="button" 
                             class="start-focus-button" 
-                            title="开始专注"
-                            aria-label="开始专注: ${task.title}"
+                            title="开始专注（${this.getFocusMinutes(task)}分钟）"
+                            aria-label="开始专注${this.getFocusMinutes(task)}分钟: ${this.escapeHtml(task.title)}"
                         >
                             🍅
                         </button>
+                        <button
+                            type="button"
+                            class="start-focus-menu-button ${isFocusMenuOpen ? "expanded" : ""}"
+                            title="选择专注时长"
+                            aria-label="选择专注时长: ${this.escapeHtml(task.title)}"
+                            aria-haspopup="menu"
+                            aria-expanded="${isFocusMenuOpen}"
+                        >▾</button>
+                        ${isFocusMenuOpen ? this.createFocusPresetMenu(task) : ""}
                     ` : ""}
                     <button 
                         type="button" 
                         class="delete-task-button" 
                         title="删除任务"
-                        aria-label="删除任务: ${task.title}"
+                        aria-label="删除任务: ${this.escapeHtml(task.title)}"
                     >
                         🗑️
                     </button>
@@ -4935,18 +13694,561 @@ class TodoList {
         `;
   }
 
+  /**
+   * 创建专注时长预设菜单HTML
+   * 预设与专注页面"修改时间"的预设相同（TimerService.DURATION_PRESETS）
+   * @param {Task} task - 任务对象
+   * @returns {string} HTML字符串
+   */
+  createFocusPresetMenu(task) {
+    const current = this.getFocusMinutes(task);
+    const presets = this.timerService ? this.timerService.DURATION_PRESETS : [];
+
+    return `
+            <div class="focus-preset-menu" role="menu" aria-label="专注时长">
+                ${presets
+                  .map(
+                    (minutes) => `
+                        <button
+                            type="button"
+                            class="focus-preset-option ${minutes === current ? "current" : ""}"
+                            role="menuitem"
+                            data-minutes="${minutes}"
+                        >${minutes} 分钟</button>
+                    `,
+                  )
+                  .join("")}
+                <button type="button" class="focus-preset-custom" role="menuitem">自定义…</button>
+                <button type="button" class="focus-duration-edit" role="menuitem">设置任务时长…</button>
+            </div>
+        `;
+  }
+
+  /**
+   * 展开/收起任务的时长预设菜单
+   * @param {string} taskId - 任务ID
+   */
+  toggleFocusMenu(taskId) {
+    this.focusMenuTaskId = this.focusMenuTaskId === taskId ? null : taskId;
+    this.renderTaskList();
+
+    const option = this.taskList.querySelector(
+      `${this.getTaskSelector(taskId)} .focus-preset-menu button`,
+    );
+    if (option) option.focus();
+  }
+
+  /**
+   * 收起时长预设菜单（不重新渲染列表，避免打断其他输入）
+   */
+  closeFocusMenu() {
+    if (!this.focusMenuTaskId) return;
+
+    this.focusMenuTaskId = null;
+    this.taskList.querySelectorAll(".focus-preset-menu").forEach((menu) => menu.remove());
+    this.taskList
+      .querySelectorAll(".start-focus-menu-button.expanded")
+      .forEach((button) => {
+        button.classList.remove("expanded");
+        button.setAttribute("aria-expanded", "false");
+      });
+  }
+
+  /**
+   * 以自定义时长开始专注
+   * @param {string} taskId - 任务ID
+   * @param {string} taskTitle - 任务标题
+   */
+  startCustomFocusSession(taskId, taskTitle) {
+    const task = this.taskManager.getTaskById(taskId);
+    const input = prompt(
+      `本次专注 "${taskTitle}" 多少分钟？（1-120）`,
+      task ? this.getFocusMinutes(task) : this.getDefaultMinutes(),
+    );
+    if (input === null) return;
+
+    const minutes = this.parseFocusDuration(input);
+    if (!minutes) {
+      this.showError("专注时长需为 1-120 的整数分钟");
+      return;
+    }
+    this.startFocusSession(taskId, taskTitle, minutes);
+  }
+
+  /**
+   * 创建任务的项目和标签HTML
+   * @param {Task} task - 任务对象
+   * @returns {string} HTML字符串，没有项目和标签时为空
+   */
+  createLabelsElement(task) {
+    const tags = task.tags || [];
+    if (!task.project && tags.length === 0) {
+      return "";
+    }
+
+    return `
+            <div class="task-labels">
+                ${task.project ? `<span class="task-project">📁 ${this.escapeHtml(task.project)}</span>` : ""}
+                ${tags
+                  .map(
+                    (tag) => `<button type="button" class="task-tag ${tag === this.filters.tag ? "active" : ""}" title="按此标签筛选">#<span class="task-tag-name">${this.escapeHtml(tag)}</span></button>`,
+                  )
+                  .join("")}
+            </div>
+        `;
+  }
+
+  /**
+   * 创建截止日期和提醒标记HTML
+   * @param {Task} task - 任务对象
+   * @returns {string} HTML字符串
+   */
+  createScheduleBadges(task) {
+    const badges = [];
+
+    if (task.dueDate) {
+      const today = this.taskManager.getDateKey(Date.now());
+      let state = "";
+      if (!task.isCompleted && task.dueDate < today) {
+        state = "overdue";
+      } else if (task.dueDate === today) {
+        state = "due-today";
+      }
+      badges.push(
+        `<span class="task-due ${state}" title="截止日期 ${task.dueDate}">${state === "overdue" ? "已逾期 " : "截止 "}${this.formatDueDate(task.dueDate)}</span>`,
+      );
+    }
+
+    if (task.recurrence) {
+      badges.push(
+        `<span class="task-recurrence" title="重复任务">🔁 ${this.formatRecurrence(task.recurrence)}</span>`,
+      );
+    }
+
+    if (task.reminderAt && !task.reminderSent && !task.isCompleted) {
+      const time = new Date(task.reminderAt);
+      badges.push(
+        `<span class="task-reminder" title="提醒时间 ${time.toLocaleString()}">⏰ ${time.getMonth() + 1}/${time.getDate()} ${time.toTimeString().slice(0, 5)}</span>`,
+      );
+    }
+
+    return badges.join("");
+  }
+
+  /**
+   * 格式化重复规则
+   * @param {Object} recurrence - 重复规则
+   * @returns {string} 如 "每天"、"每周一、三"、"每月15日"
+   */
+  formatRecurrence(recurrence) {
+    switch (recurrence.type) {
+      case "weekly":
+        return `每周${recurrence.days.map((day) => this.WEEKDAY_LABELS[day]).join("、")}`;
+      case "monthly":
+        return `每月${recurrence.dayOfMonth}日`;
+      default:
+        return this.RECURRENCE_LABELS[recurrence.type];
+    }
+  }
+
+  /**
+   * 格式化截止日期
+   * @param {string} dueDate - YYYY-MM-DD
+   * @returns {string} "今天"、"明天" 或 "M/D"
+   */
+  formatDueDate(dueDate) {
+    const now = Date.now();
+    if (dueDate === this.taskManager.getDateKey(now)) return "今天";
+    if (dueDate === this.taskManager.getDateKey(now + 24 * 60 * 60 * 1000)) return "明天";
+
+    const [, month, day] = dueDate.split("-").map(Number);
+    return `${month}/${day}`;
+  }
+
+  /**
+   * 时间戳转换为 datetime-local 输入框的值
+   * @param {number|null} timestamp - 时间戳
+   * @returns {string} YYYY-MM-DDTHH:MM，无时间戳时为空
+   */
+  toDateTimeLocal(timestamp) {
+    if (!timestamp) return "";
+    const date = new Date(timestamp);
+    return `${this.taskManager.getDateKey(timestamp)}T${date.toTimeString().slice(0, 5)}`;
+  }
+
+  /**
+   * 创建日程编辑区HTML
+   * @param {Task} task - 任务对象
+   * @returns {string} HTML字符串
+   */
+  createScheduleEditor(task) {
+    const recurrenceType = task.recurrence ? task.recurrence.type : "";
+    const weeklyDays = recurrenceType === "weekly" ? task.recurrence.days : [];
+
+    return `
+            <div class="task-schedule-editor">
+                <label class="schedule-field">
+                    截止日期
+                    <input type="date" class="schedule-due-input" value="${task.dueDate || ""}" />
+                </label>
+                <label class="schedule-field">
+                    提醒时间
+                    <input type="datetime-local" class="schedule-reminder-input" value="${this.toDateTimeLocal(task.reminderAt)}" />
+                </label>
+                <label class="schedule-field">
+                    重复
+                    <select class="schedule-recurrence-select">
+                        <option value="">不重复</option>
+                        ${Object.entries(this.RECURRENCE_LABELS)
+                          .map(
+                            ([value, label]) =>
+                              `<option value="${value}" ${recurrenceType === value ? "selected" : ""}>${label}</option>`,
+                          )
+                          .join("")}
+                    </select>
+                </label>
+                <div class="schedule-weekdays ${recurrenceType === "weekly" ? "" : "hidden"}" role="group" aria-label="每周重复的日期">
+                    ${[1, 2, 3, 4, 5, 6, 0]
+                      .map(
+                        (day) => `
+                            <label class="schedule-weekday">
+                                <input type="checkbox" value="${day}" ${weeklyDays.includes(day) ? "checked" : ""} />
+                                ${this.WEEKDAY_LABELS[day]}
+                            </label>
+                        `,
+                      )
+                      .join("")}
+                </div>
+                <div class="schedule-actions">
+                    <button type="button" class="schedule-save-button">保存</button>
+                    <button type="button" class="schedule-clear-button">清除</button>
+                </div>
+            </div>
+        `;
+  }
+
+  /**
+   * 展开/收起任务的日程编辑区
+   * @param {string} taskId - 任务ID
+   */
+  toggleScheduleEditor(taskId) {
+    this.scheduleEditingTaskId = this.scheduleEditingTaskId === taskId ? null : taskId;
+    this.renderTaskList();
+
+    const input = this.taskList.querySelector(
+      `${this.getTaskSelector(taskId)} .schedule-due-input`,
+    );
+    if (input) input.focus();
+  }
+
+  /**
+   * 保存任务的截止日期和提醒时间
+   * @param {HTMLElement} taskItem - 任务元素
+   * @param {boolean} clear - 是否清除
+   */
+  async saveSchedule(taskItem, clear = false) {
+    const taskId = taskItem.dataset.taskId;
+    const dueValue = clear ? "" : taskItem.querySelector(".schedule-due-input").value;
+    const reminderValue = clear
+      ? ""
+      : taskItem.querySelector(".schedule-reminder-input").value;
+    const reminderAt = reminderValue ? new Date(reminderValue).getTime() : null;
+    const recurrenceType = clear
+      ? ""
+      : taskItem.querySelector(".schedule-recurrence-select").value;
+    const recurrence = recurrenceType
+      ? {
+          type: recurrenceType,
+          days: Array.from(
+            taskItem.querySelectorAll(".schedule-weekday input:checked"),
+          ).map((input) => Number(input.value)),
+        }
+      : null;
+
+    if (reminderValue && isNaN(reminderAt)) {
+      this.showError("提醒时间无效");
+      return;
+    }
+
+    try {
+      this.clearError();
+
+      // 设置提醒时请求通知权限（需要用户操作触发）
+      if (reminderAt && this.timerService) {
+        await this.timerService.checkNotificationPermission();
+      }
+
+      this.scheduleEditingTaskId = null;
+      await this.taskManager.updateTaskSchedule(taskId, {
+        dueDate: dueValue || null,
+        reminderAt,
+        recurrence,
+      });
+    } catch (error) {
+      console.error("[TodoList] Failed to update schedule:", error);
+      this.showError("保存日程失败，请重试");
+    }
+  }
+
+  /**
+   * 创建备注编辑抽屉HTML
+   * 内容取自 notesDraft，预览由 MarkdownRenderer 生成（已转义）
+   * @returns {string} HTML字符串
+   */
+  createNotesDrawer() {
+    return `
+            <div class="task-notes-drawer">
+                <textarea
+                    class="task-notes-input"
+                    rows="5"
+                    maxlength="${this.taskManager.MAX_NOTES_LENGTH}"
+                    placeholder="支持 Markdown：**粗体**、*斜体*、\`代码\`、- 列表、- [ ] 待办、[链接](https://...)"
+                    aria-label="任务备注"
+                >${this.escapeHtml(this.notesDraft)}</textarea>
+                <div class="task-notes-preview" aria-label="备注预览">${this.renderNotesPreview(this.notesDraft)}</div>
+                <div class="task-notes-actions">
+                    <span class="task-notes-hint">Ctrl+Enter 保存，Esc 取消</span>
+                    <button type="button" class="notes-save-button">保存</button>
+                    <button type="button" class="notes-cancel-button">取消</button>
+                </div>
+            </div>
+        `;
+  }
+
+  /**
+   * 渲染备注预览
+   * @param {string} notes - 备注文本
+   * @returns {string} HTML字符串
+   */
+  renderNotesPreview(notes) {
+    return notes.trim()
+      ? this.markdownRenderer.render(notes)
+      : '<p class="task-notes-empty">暂无备注</p>';
+  }
+
+  /**
+   * 展开/收起任务的备注编辑抽屉
+   * @param {string} taskId - 任务ID
+   */
+  toggleNotesEditor(taskId) {
+    if (this.notesEditingTaskId === taskId) {
+      this.notesEditingTaskId = null;
+    } else {
+      const task = this.taskManager.getTaskById(taskId);
+      this.notesEditingTaskId = taskId;
+      this.notesDraft = (task && task.notes) || "";
+    }
+    this.renderTaskList();
+
+    const input = this.taskList.querySelector(
+      `${this.getTaskSelector(taskId)} .task-notes-input`,
+    );
+    if (input) input.focus();
+  }
+
+  /**
+   * 保存任务备注
+   * @param {string} taskId - 任务ID
+   */
+  async saveNotes(taskId) {
+    try {
+      this.clearError();
+      const notes = this.notesDraft;
+      this.notesEditingTaskId = null;
+      this.notesDraft = "";
+      await this.taskManager.updateTaskNotes(taskId, notes);
+    } catch (error) {
+      console.error("[TodoList] Failed to update notes:", error);
+      this.showError("保存备注失败，请重试");
+    }
+  }
+
+  /**
+   * 格式化检查项进度
+   * @param {Array<Object>} checklist - 检查项列表
+   * @returns {string} 如 "☑ 2/5"，无检查项时为 "☑ 检查项"
+   */
+  formatChecklistProgress(checklist) {
+    if (checklist.length === 0) {
+      return "☑ 检查项";
+    }
+    const done = checklist.filter((item) => item.isCompleted).length;
+    return `☑ ${done}/${checklist.length}`;
+  }
+
+  /**
+   * 创建展开后的检查项列表HTML
+   * @param {Array<Object>} checklist - 检查项列表
+   * @returns {string} HTML字符串
+   */
+  createChecklistElement(checklist) {
+    const items = checklist
+      .map(
+        (item) => `
+                <li class="checklist-item ${item.isCompleted ? "completed" : ""}" data-item-id="${this.escapeHtml(item.id)}">
+                    <label class="checklist-item-label">
+                        <input
+                            type="checkbox"
+                            class="checklist-checkbox"
+                            ${item.isCompleted ? "checked" : ""}
+                        />
+                        <span class="checklist-item-title">${this.escapeHtml(item.title)}</span>
+                    </label>
+                    <button
+                        type="button"
+                        class="checklist-remove-button"
+                        title="删除检查项"
+                        aria-label="删除检查项"
+                    >×</button>
+                </li>
+            `,
+      )
+      .join("");
+
+    return `
+            <div class="task-checklist">
+                <ul class="checklist-items" role="list">${items}</ul>
+                <div class="checklist-add">
+                    <input
+                        type="text"
+                        class="checklist-input"
+                        placeholder="添加检查项..."
+                        maxlength="200"
+                        aria-label="新检查项"
+                    />
+                    <button type="button" class="checklist-add-button" title="添加检查项 (Enter)">+</button>
+                </div>
+            </div>
+        `;
+  }
+
+  /**
+   * 展开/收起任务的检查项
+   * @param {string} taskId - 任务ID
+   */
+  toggleChecklistExpanded(taskId) {
+    if (this.expandedTaskIds.has(taskId)) {
+      this.expandedTaskIds.delete(taskId);
+    } else {
+      this.expandedTaskIds.add(taskId);
+    }
+    this.renderTaskList();
+
+    const input = this.taskList.querySelector(
+      `${this.getTaskSelector(taskId)} .checklist-input`,
+    );
+    if (input) input.focus();
+  }
+
+  /**
+   * 从任务的输入框添加检查项
+   * @param {HTMLElement} taskItem - 任务元素
+   */
+  async addChecklistItem(taskItem) {
+    const input = taskItem.querySelector(".checklist-input");
+    const title = input ? input.value.trim() : "";
+    if (!title) return;
+
+    try {
+      this.clearError();
+      await this.taskManager.addChecklistItem(taskItem.dataset.taskId, title);
+
+      // 列表已重新渲染，焦点回到新的输入框以便连续添加
+      const newInput = this.taskList.querySelector(
+        `${this.getTaskSelector(taskItem.dataset.taskId)} .checklist-input`,
+      );
+      if (newInput) newInput.focus();
+    } catch (error) {
+      console.error("[TodoList] Failed to add checklist item:", error);
+      this.showError("添加检查项失败，请重试");
+    }
+  }
+
+  /**
+   * 处理检查项的勾选和删除
+   * @param {string} taskId - 任务ID
+   * @param {string} itemId - 检查项ID
+   * @param {boolean} remove - 是否删除
+   */
+  async updateChecklistItem(taskId, itemId, remove = false) {
+    try {
+      if (remove) {
+        await this.taskManager.removeChecklistItem(taskId, itemId);
+      } else {
+        await this.taskManager.toggleChecklistItem(taskId, itemId);
+      }
+    } catch (error) {
+      console.error("[TodoList] Failed to update checklist item:", error);
+      this.showError("操作失败，请重试");
+    }
+  }
+
   /**
    * 处理任务列表点击事件
    * @param {Event} e - 点击事件
    */
   handleTaskListClick(e) {
+    // 点击菜单以外的位置时收起时长预设菜单
+    if (!e.target.closest(".focus-preset-menu, .start-focus-menu-button")) {
+      this.closeFocusMenu();
+    }
+
     const taskItem = e.target.closest(".task-item");
     if (!taskItem) return;
 
     const taskId = taskItem.dataset.taskId;
+    const checklistItem = e.target.closest(".checklist-item");
+
+    // 检查项勾选/删除
+    if (checklistItem) {
+      if (e.target.classList.contains("checklist-checkbox")) {
+        this.updateChecklistItem(taskId, checklistItem.dataset.itemId);
+      } else if (e.target.classList.contains("checklist-remove-button")) {
+        this.updateChecklistItem(taskId, checklistItem.dataset.itemId, true);
+      }
+    }
+
+    // 添加检查项
+    else if (e.target.classList.contains("checklist-add-button")) {
+      this.addChecklistItem(taskItem);
+    }
+
+    // 标签点击 - 按标签筛选
+    else if (e.target.closest(".task-tag")) {
+      const tagName = e.target.closest(".task-tag").querySelector(".task-tag-name");
+      this.toggleTagFilter(tagName.textContent);
+    }
+
+    // 编辑项目和标签
+    else if (e.target.classList.contains("task-labels-edit")) {
+      this.editLabels(taskId);
+    }
+
+    // 截止日期和提醒
+    else if (e.target.classList.contains("task-schedule-toggle")) {
+      this.toggleScheduleEditor(taskId);
+    } else if (e.target.classList.contains("schedule-save-button")) {
+      this.saveSchedule(taskItem);
+    } else if (e.target.classList.contains("schedule-clear-button")) {
+      this.saveSchedule(taskItem, true);
+    }
+
+    // 备注
+    else if (e.target.classList.contains("task-notes-toggle")) {
+      this.toggleNotesEditor(taskId);
+    } else if (e.target.classList.contains("notes-save-button")) {
+      this.saveNotes(taskId);
+    } else if (e.target.classList.contains("notes-cancel-button")) {
+      this.toggleNotesEditor(taskId);
+    }
+
+    // 展开/收起检查项
+    else if (e.target.classList.contains("checklist-toggle")) {
+      this.toggleChecklistExpanded(taskId);
+    }
 
     // 复选框点击
-    if (e.target.classList.contains("task-checkbox")) {
+    else if (e.target.classList.contains("task-checkbox")) {
       this.toggleTask(taskId);
     }
 
@@ -4956,11 +14258,36 @@ class TodoList {
       this.startFocusSession(taskId, taskTitle);
     }
 
+    // 专注时长预设菜单
+    else if (e.target.classList.contains("start-focus-menu-button")) {
+      this.toggleFocusMenu(taskId);
+    } else if (e.target.closest(".focus-preset-menu")) {
+      const taskTitle = taskItem.querySelector(".task-title").textContent;
+      this.closeFocusMenu();
+      if (e.target.classList.contains("focus-preset-option")) {
+        this.startFocusSession(taskId, taskTitle, Number(e.target.dataset.minutes));
+      } else if (e.target.classList.contains("focus-preset-custom")) {
+        this.startCustomFocusSession(taskId, taskTitle);
+      } else if (e.target.classList.contains("focus-duration-edit")) {
+        this.editFocusDuration(taskId);
+      }
+    }
+
+    // 专注时长标记点击 - 修改任务时长
+    else if (e.target.classList.contains("task-focus-duration")) {
+      this.editFocusDuration(taskId);
+    }
+
     // 删除按钮点击
     else if (e.target.classList.contains("delete-task-button")) {
       const taskTitle = taskItem.querySelector(".task-title").textContent;
       this.deleteTask(taskId, taskTitle);
     }
+
+    // 番茄钟进度点击 - 设置预估
+    else if (e.target.classList.contains("pomodoro-count")) {
+      this.editEstimate(taskId);
+    }
   }
 
   /**
@@ -4973,6 +14300,41 @@ class TodoList {
 
     const taskId = taskItem.dataset.taskId;
 
+    if (
+      e.target.classList.contains("task-drag-handle") &&
+      (e.key === "ArrowUp" || e.key === "ArrowDown")
+    ) {
+      e.preventDefault();
+      this.moveTaskByOffset(taskId, e.key === "ArrowUp" ? -1 : 1);
+      return;
+    }
+
+    if (e.target.closest(".focus-preset-menu") && e.key === "Escape") {
+      e.preventDefault();
+      this.closeFocusMenu();
+      taskItem.querySelector(".start-focus-menu-button").focus();
+      return;
+    }
+
+    if (e.target.classList.contains("task-notes-input")) {
+      if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        this.saveNotes(taskId);
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        this.toggleNotesEditor(taskId);
+      }
+      return;
+    }
+
+    if (e.target.classList.contains("checklist-input")) {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        this.addChecklistItem(taskItem);
+      }
+      return;
+    }
+
     if (e.target.classList.contains("delete-task-button")) {
       if (e.key === "Enter" || e.key === " ") {
         e.preventDefault();
@@ -4982,6 +14344,170 @@ class TodoList {
     }
   }
 
+  /**
+   * 设置任务优先级
+   * @param {string} taskId - 任务ID
+   * @param {string} priority - 优先级，空字符串表示无
+   */
+  async setPriority(taskId, priority) {
+    try {
+      this.clearError();
+      await this.taskManager.updateTaskPriority(taskId, priority || null);
+    } catch (error) {
+      console.error("[TodoList] Failed to update priority:", error);
+      this.showError("更新优先级失败，请重试");
+    }
+  }
+
+  /**
+   * 将任务与当前列表中相邻的待完成任务交换位置
+   * @param {string} taskId - 任务ID
+   * @param {number} offset - -1 上移，1 下移
+   */
+  async moveTaskByOffset(taskId, offset) {
+    const visible = this.tasks.filter((task) => !task.isCompleted);
+    const index = visible.findIndex((task) => task.id === taskId);
+    const neighbor = visible[index + offset];
+
+    if (index === -1 || !neighbor) {
+      this.announce(offset < 0 ? "已在最前" : "已在最后");
+      return;
+    }
+
+    await this.moveTaskRelative(taskId, neighbor.id, offset < 0 ? "before" : "after");
+  }
+
+  /**
+   * 将任务移动到另一个待完成任务的前面或后面
+   * 筛选时只显示部分任务，因此按完整的待完成列表计算目标位置
+   * @param {string} taskId - 要移动的任务ID
+   * @param {string} targetTaskId - 参照任务ID
+   * @param {string} position - "before" | "after"
+   */
+  async moveTaskRelative(taskId, targetTaskId, position) {
+    const pendingIds = this.taskManager
+      .getAllTasks()
+      .filter((task) => !task.isCompleted && task.id !== taskId)
+      .map((task) => task.id);
+    const targetIndex = pendingIds.indexOf(targetTaskId);
+    if (targetIndex === -1) return;
+
+    const newIndex = position === "after" ? targetIndex + 1 : targetIndex;
+
+    try {
+      const moved = await this.taskManager.reorderTask(taskId, newIndex);
+      if (!moved) return;
+
+      const task = this.taskManager.getTaskById(taskId);
+      this.announce(
+        `已将"${task.title}"移动到第 ${newIndex + 1} 位，共 ${pendingIds.length + 1} 个待完成任务`,
+      );
+
+      // 列表已重新渲染，焦点回到被移动任务的拖动手柄，便于连续移动
+      const handle = this.taskList.querySelector(
+        `${this.getTaskSelector(taskId)} .task-drag-handle`,
+      );
+      if (handle) handle.focus();
+    } catch (error) {
+      console.error("[TodoList] Failed to reorder task:", error);
+      this.showError("调整顺序失败，请重试");
+    }
+  }
+
+  /**
+   * 开始拖动排序（仅响应拖动手柄）
+   * @param {PointerEvent} e - 指针事件
+   */
+  handleDragStart(e) {
+    const handle = e.target.closest(".task-drag-handle");
+    if (!handle || e.button !== 0 || this.dragState) return;
+
+    e.preventDefault();
+    const taskItem = handle.closest(".task-item");
+    const onMove = (event) => this.handleDragMove(event);
+    const onUp = () => this.handleDragEnd(true);
+    const onCancel = () => this.handleDragEnd(false);
+
+    this.dragState = {
+      taskId: taskItem.dataset.taskId,
+      taskItem,
+      handle,
+      target: null,
+      position: null,
+      listeners: { pointermove: onMove, pointerup: onUp, pointercancel: onCancel },
+    };
+
+    taskItem.classList.add("dragging");
+    handle.setPointerCapture(e.pointerId);
+    Object.entries(this.dragState.listeners).forEach(([type, listener]) =>
+      handle.addEventListener(type, listener),
+    );
+  }
+
+  /**
+   * 拖动过程中标记放置位置
+   * @param {PointerEvent} e - 指针事件
+   */
+  handleDragMove(e) {
+    const state = this.dragState;
+    if (!state) return;
+
+    const element = document.elementFromPoint(e.clientX, e.clientY);
+    const target = element && element.closest(".task-item:not(.completed)");
+
+    this.clearDropIndicator();
+    if (!target || target === state.taskItem || !this.taskList.contains(target)) {
+      state.target = null;
+      return;
+    }
+
+    const rect = target.getBoundingClientRect();
+    state.target = target;
+    state.position = e.clientY < rect.top + rect.height / 2 ? "before" : "after";
+    target.classList.add(`drop-${state.position}`);
+  }
+
+  /**
+   * 结束拖动，必要时提交新的顺序
+   * @param {boolean} commit - 是否在当前位置放下
+   */
+  handleDragEnd(commit) {
+    const state = this.dragState;
+    if (!state) return;
+
+    this.dragState = null;
+    Object.entries(state.listeners).forEach(([type, listener]) =>
+      state.handle.removeEventListener(type, listener),
+    );
+    state.taskItem.classList.remove("dragging");
+    this.clearDropIndicator();
+
+    if (commit && state.target) {
+      this.moveTaskRelative(state.taskId, state.target.dataset.taskId, state.position);
+    }
+  }
+
+  /**
+   * 清除放置位置标记
+   */
+  clearDropIndicator() {
+    this.taskList
+      .querySelectorAll(".drop-before, .drop-after")
+      .forEach((item) => item.classList.remove("drop-before", "drop-after"));
+  }
+
+  /**
+   * 通过ARIA live区域播报信息
+   * @param {string} message - 播报内容
+   */
+  announce(message) {
+    // 先清空再写入，确保重复的内容也会被播报
+    this.liveRegion.textContent = "";
+    setTimeout(() => {
+      this.liveRegion.textContent = message;
+    }, 50);
+  }
+
   /**
    * 更新统计信息
    */
@@ -5003,14 +14529,16 @@ class TodoList {
    * 更新UI状态
    */
   updateUI() {
-    const hasCompletedTasks = this.tasks.some((task) => task.isCompleted);
+    const hasCompletedTasks = this.taskManager.getCompletedTasks().length > 0;
+    const hasAnyTasks = this.taskManager.getAllTasks().length > 0;
     const hasTasks = this.tasks.length > 0;
 
     // 显示/隐藏清除已完成按钮
     this.clearCompletedButton.classList.toggle("hidden", !hasCompletedTasks);
 
-    // 显示/隐藏空状态
-    this.emptyState.classList.toggle("hidden", hasTasks);
+    // 显示/隐藏空状态（区分没有任务和筛选后没有结果）
+    this.emptyState.classList.toggle("hidden", hasAnyTasks);
+    this.filterEmptyState.classList.toggle("hidden", !hasAnyTasks || hasTasks);
     this.taskList.classList.toggle("hidden", !hasTasks);
 
     this.updateAddButtonState();
@@ -5100,6 +14628,24 @@ class TodoList {
     }
   }
 
+  /**
+   * HTML转义函数（含引号，可用于属性值）
+   */
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+  }
+
+  /**
+   * 任务元素的选择器（任务ID可能来自导入的备份文件，需转义后才能放入选择器）
+   * @param {string} taskId - 任务ID
+   * @returns {string}
+   */
+  getTaskSelector(taskId) {
+    return `.task-item[data-task-id="${CSS.escape(taskId)}"]`;
+  }
+
   /**
    * 获取任务统计
    * @returns {Object} 统计信息
@@ -5111,23 +14657,338 @@ class TodoList {
   /**
    * 刷新组件
    */
-  async refresh() {
-    await this.loadTasks();
+  async refresh() {
+    await this.loadTasks();
+  }
+
+  /**
+   * 销毁组件
+   */
+  destroy() {
+    if (this.unsubscribeEvents) {
+      this.unsubscribeEvents();
+      this.unsubscribeEvents = null;
+    }
+
+    if (this.container) {
+      this.container.innerHTML = "";
+    }
+
+    console.log("[TodoList] Destroyed");
+  }
+}
+
+    /**
+     * TrashPanel - 任务回收站UI组件
+     */
+    class TrashPanel {
+  constructor(container, taskService, eventBus) {
+    this.container = container;
+    this.taskService = taskService;
+    this.eventBus = eventBus;
+    this.isInitialized = false;
+
+    // UI元素引用
+    this.elements = null;
+
+    // 删除方式的显示名称
+    this.REASON_LABELS = {
+      deleted: "手动删除",
+      clearedCompleted: "清除已完成",
+    };
+
+    // 事件总线订阅：回收站内容或保留期限变化时重新渲染
+    this.unsubscribeEvents = null;
+
+    this.initialize();
+  }
+
+  /**
+   * 初始化组件
+   */
+  initialize() {
+    if (this.isInitialized) {
+      return;
+    }
+
+    try {
+      this.createUI();
+      this.bindEvents();
+      this.unsubscribeEvents = this.eventBus.onMany(
+        [
+          EventBus.EVENTS.TASK_DELETED,
+          EventBus.EVENTS.COMPLETED_TASKS_CLEARED,
+          EventBus.EVENTS.TASK_RESTORED,
+          EventBus.EVENTS.TASK_PURGED,
+          EventBus.EVENTS.TASKS_RELOADED,
+          EventBus.EVENTS.TRASH_RETENTION_CHANGED,
+        ],
+        () => this.render(),
+      );
+      this.render();
+
+      this.isInitialized = true;
+      console.log("[TrashPanel] Initialized successfully");
+    } catch (error) {
+      console.error("[TrashPanel] Failed to initialize:", error);
+    }
+  }
+
+  /**
+   * 创建UI界面
+   */
+  createUI() {
+    this.container.innerHTML = `
+            <div class="data-section">
+                <h4>保留期限</h4>
+                <p class="data-hint">超过保留期限的任务将被永久删除，其专注记录仍保留在统计中</p>
+                <div class="data-options">
+                    <label class="data-option" for="trash-retention-input">保留天数</label>
+                    <input
+                        type="number"
+                        id="trash-retention-input"
+                        class="trash-retention-input"
+                        min="1"
+                        max="365"
+                        step="1"
+                    />
+                    <button type="button" id="trash-retention-save" class="data-button">
+                        保存
+                    </button>
+                </div>
+            </div>
+
+            <div class="data-section">
+                <div class="trash-header">
+                    <h4>已删除的任务 <span id="trash-count" class="trash-count"></span></h4>
+                    <button type="button" id="trash-empty-button" class="data-button">
+                        清空回收站
+                    </button>
+                </div>
+                <ul class="trash-list" id="trash-list" role="list"></ul>
+                <p class="data-hint hidden" id="trash-empty-state">回收站是空的</p>
+                <div class="input-feedback" id="trash-feedback" role="alert" aria-live="polite"></div>
+            </div>
+        `;
+
+    this.elements = {
+      retentionInput: this.container.querySelector("#trash-retention-input"),
+      retentionSave: this.container.querySelector("#trash-retention-save"),
+      count: this.container.querySelector("#trash-count"),
+      emptyButton: this.container.querySelector("#trash-empty-button"),
+      list: this.container.querySelector("#trash-list"),
+      emptyState: this.container.querySelector("#trash-empty-state"),
+      feedback: this.container.querySelector("#trash-feedback"),
+    };
+  }
+
+  /**
+   * 绑定事件监听器
+   */
+  bindEvents() {
+    const { retentionInput, retentionSave, emptyButton, list } = this.elements;
+
+    retentionSave.addEventListener("click", () => this.handleRetentionSave());
+    retentionInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        this.handleRetentionSave();
+      }
+    });
+    emptyButton.addEventListener("click", () => this.handleEmptyTrash());
+
+    // 列表按钮使用事件委托，渲染后无需重新绑定
+    list.addEventListener("click", (e) => {
+      const button = e.target.closest("button[data-action]");
+      const item = button?.closest(".trash-item");
+      if (!item) return;
+
+      if (button.dataset.action === "restore") {
+        this.handleRestore(item.dataset.taskId);
+      } else if (button.dataset.action === "purge") {
+        this.handlePurge(item.dataset.taskId);
+      }
+    });
+  }
+
+  /**
+   * 渲染保留天数和回收站列表
+   */
+  render() {
+    if (!this.elements) return;
+
+    const { retentionInput, count, emptyButton, list, emptyState } = this.elements;
+    const entries = this.taskService.getTrashedTasks();
+
+    if (document.activeElement !== retentionInput) {
+      retentionInput.value = this.taskService.trashRetentionDays;
+    }
+    count.textContent = entries.length > 0 ? `(${entries.length})` : "";
+    emptyButton.disabled = entries.length === 0;
+    emptyState.classList.toggle("hidden", entries.length > 0);
+
+    list.innerHTML = "";
+    entries.forEach((entry) => list.appendChild(this.createTrashItem(entry)));
+  }
+
+  /**
+   * 创建回收站条目元素
+   * @param {Object} entry - 回收站条目 {task, deletedAt, reason}
+   * @returns {HTMLElement}
+   */
+  createTrashItem(entry) {
+    const { task } = entry;
+    const li = document.createElement("li");
+    li.className = "trash-item";
+    li.dataset.taskId = task.id;
+
+    const meta = [
+      this.formatDeletedAt(entry.deletedAt),
+      this.REASON_LABELS[entry.reason] || entry.reason,
+    ];
+    if (task.pomodoroCount > 0) {
+      meta.push(`🍅 ${task.pomodoroCount}`);
+    }
+
+    li.innerHTML = `
+            <div class="trash-item-info">
+                <span class="trash-item-title${task.isCompleted ? " completed" : ""}">${this.escapeHtml(task.title)}</span>
+                <span class="trash-item-meta">${this.escapeHtml(meta.join(" · "))}</span>
+            </div>
+            <div class="trash-item-actions">
+                <button type="button" class="data-button" data-action="restore">恢复</button>
+                <button type="button" class="data-button danger" data-action="purge">永久删除</button>
+            </div>
+        `;
+
+    li.querySelectorAll("button").forEach((button) =>
+      button.setAttribute("aria-label", `${button.textContent.trim()}：${task.title}`),
+    );
+    return li;
+  }
+
+  /**
+   * 格式化删除时间
+   * @param {number} timestamp - 时间戳
+   * @returns {string}
+   */
+  formatDeletedAt(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())} 删除`;
+  }
+
+  /**
+   * 保存保留天数
+   */
+  async handleRetentionSave() {
+    const { retentionInput } = this.elements;
+    const days = Number(retentionInput.value);
+
+    try {
+      const success = await this.taskService.setTrashRetention(days);
+      if (success) {
+        this.showFeedback(`回收站保留 ${days} 天`, "success");
+      } else {
+        this.showFeedback("保存失败，请重试", "error");
+      }
+    } catch (error) {
+      retentionInput.value = this.taskService.trashRetentionDays;
+      this.showFeedback("保留天数必须是 1-365 之间的整数", "error");
+    }
+  }
+
+  /**
+   * 恢复任务
+   * @param {string} taskId - 任务ID
+   */
+  async handleRestore(taskId) {
+    const success = await this.taskService.restoreTask(taskId);
+    this.showFeedback(
+      success ? "任务已恢复到待办列表" : "恢复失败，请重试",
+      success ? "success" : "error",
+    );
+  }
+
+  /**
+   * 永久删除单个任务
+   * @param {string} taskId - 任务ID
+   */
+  async handlePurge(taskId) {
+    if (!confirm("永久删除后无法恢复，确定继续吗？")) {
+      return;
+    }
+
+    const success = await this.taskService.purgeTask(taskId);
+    this.showFeedback(
+      success ? "任务已永久删除" : "删除失败，请重试",
+      success ? "success" : "error",
+    );
+  }
+
+  /**
+   * 清空回收站
+   */
+  async handleEmptyTrash() {
+    const count = this.taskService.getTrashedTasks().length;
+    if (count === 0 || !confirm(`确定永久删除回收站中的 ${count} 个任务吗？`)) {
+      return;
+    }
+
+    const removed = await this.taskService.emptyTrash();
+    this.showFeedback(`已永久删除 ${removed} 个任务`, "success");
+  }
+
+  /**
+   * 显示反馈信息
+   * @param {string} message - 反馈消息
+   * @param {string} type - 消息类型（success | error）
+   */
+  showFeedback(message, type = "") {
+    const { feedback } = this.elements;
+    feedback.textContent = message;
+    feedback.className = `input-feedback ${type}`;
+
+    if (type === "success") {
+      setTimeout(() => {
+        if (feedback.textContent === message) {
+          feedback.textContent = "";
+          feedback.className = "input-feedback";
+        }
+      }, 3000);
+    }
+  }
+
+  /**
+   * HTML转义函数
+   */
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * 刷新组件
+   */
+  refresh() {
+    this.render();
   }
 
   /**
    * 销毁组件
    */
   destroy() {
-    if (this.taskManager) {
-      this.taskManager.removeObserver(this.handleTaskManagerEvent);
+    if (this.unsubscribeEvents) {
+      this.unsubscribeEvents();
+      this.unsubscribeEvents = null;
     }
 
     if (this.container) {
       this.container.innerHTML = "";
     }
 
-    console.log("[TodoList] Destroyed");
+    console.log("[TrashPanel] Destroyed");
   }
 }
 
@@ -5226,6 +15087,11 @@ class TodoList {
       this.settingsPanel?.activateTab('todo');
     }, 'n');
     
+    GM_registerMenuCommand('💾 备份与恢复数据', () => {
+      this.settingsPanel?.show();
+      this.settingsPanel?.activateTab('data');
+    }, 'b');
+    
     console.log("[UIWidgets] GM menu commands registered");
   }
 
@@ -5261,12 +15127,18 @@ class Application {
     this.eventBus = null;
     
     // 业务服务层
+    this.leaderService = null;
     this.taskService = null;
     this.timerService = null;
     this.whitelistManager = null;
+    this.blacklistManager = null;
+    this.statsService = null;
+    this.reminderService = null;
     
     // 功能层
     this.blockerFeature = null;
+    this.backupService = null;
+    this.todoTxtService = null;
     
     // UI层
     this.settingsPanel = null;
@@ -5302,6 +15174,7 @@ class Application {
       await this.initializeServices();
       
       this.initialized = true;
+      this.eventBus.emit(EventBus.EVENTS.APP_INITIALIZED);
       console.log("[Application] DI container initialized successfully");
       
     } catch (error) {
@@ -5319,7 +15192,7 @@ class Application {
     // Storage - 数据持久化服务
     this.storage = new Storage();
     
-    // EventBus - 事件总线
+    // EventBus - 事件总线：各服务发布 EventBus.EVENTS 中的类型化事件，UI组件通过它订阅
     this.eventBus = new EventBus();
     
     console.log("[Application] Core services created");
@@ -5332,13 +15205,30 @@ class Application {
     console.log("[Application] Creating business services...");
     
     // TaskService - 任务管理服务
-    this.taskService = new TaskService(this.storage);
+    this.taskService = new TaskService(this.storage, this.eventBus);
+    
+    // LeaderService - 标签页选主，主标签页负责倒计时和通知
+    this.leaderService = new LeaderService(this.storage, this.eventBus);
     
-    // TimerService - 计时器服务
-    this.timerService = new TimerService(this.storage);
+    // TimerService - 计时器服务（依赖选主服务）
+    this.timerService = new TimerService(this.storage, this.leaderService, this.eventBus);
+    
+    // WhitelistManager - 白名单管理
+    this.whitelistManager = new WhitelistManager("whitelist", this.eventBus);
+    
+    // BlacklistManager - 黑名单模式下的拦截规则（与白名单共用同一实现）
+    this.blacklistManager = new WhitelistManager("blacklist", this.eventBus);
+    
+    // StatsService - 专注会话统计（依赖计时器和任务服务）
+    this.statsService = new StatsService(
+      this.storage,
+      this.timerService,
+      this.taskService,
+      this.eventBus
+    );
     
-    // WhitelistManager - 白名单管理（暂时保持原样）
-    this.whitelistManager = new WhitelistManager();
+    // ReminderService - 任务提醒（依赖任务服务，通过计时器服务发送通知）
+    this.reminderService = new ReminderService(this.taskService, this.timerService);
     
     console.log("[Application] Business services created");
   }
@@ -5357,9 +15247,24 @@ class Application {
       this.timerService,
       this.whitelistManager, 
       this.focusPage,
-      this.storage
+      this.storage,
+      this.blacklistManager,
+      this.eventBus
     );
     
+    // BackupService - 数据备份与恢复（导入后通知各服务重新加载）
+    this.backupService = new BackupService(this.storage, {
+      taskService: this.taskService,
+      timerService: this.timerService,
+      whitelistManager: this.whitelistManager,
+      blacklistManager: this.blacklistManager,
+      statsService: this.statsService,
+      blockerFeature: this.blockerFeature,
+    });
+    
+    // TodoTxtService - Todo.txt 导入导出（依赖任务服务）
+    this.todoTxtService = new TodoTxtService(this.storage, this.taskService);
+    
     console.log("[Application] Feature modules created");
   }
 
@@ -5369,8 +15274,19 @@ class Application {
   createUIComponents() {
     console.log("[Application] Creating UI components...");
     
-    // SettingsPanel - 设置面板（传入taskService、timerService、storage和whitelistManager依赖）
-    this.settingsPanel = new SettingsPanel(this.taskService, this.timerService, this.storage, this.whitelistManager);
+    // SettingsPanel - 设置面板（传入业务服务、黑白名单、blockerFeature、backupService和todoTxtService依赖）
+    this.settingsPanel = new SettingsPanel(
+      this.taskService,
+      this.timerService,
+      this.storage,
+      this.whitelistManager,
+      this.statsService,
+      this.blacklistManager,
+      this.blockerFeature,
+      this.backupService,
+      this.todoTxtService,
+      this.eventBus
+    );
     
     // UIWidgets - 全局UI小部件
     this.uiWidgets = new UIWidgets();
@@ -5389,14 +15305,25 @@ class Application {
     // 初始化核心服务
     // Storage 无需初始化
     
-    // 初始化业务服务
+    // 初始化业务服务（先选主，计时器恢复状态时据此决定是否完成到时的计时；
+    // 统计服务在计时器恢复前订阅，离开期间到时的计时才会记录为完成的会话并计入任务番茄钟数）
+    this.leaderService.initialize();
     await this.taskService.initialize();
+    await this.statsService.initialize();
     await this.timerService.initialize();
     await this.whitelistManager.initialize(this.storage);
+    await this.blacklistManager.initialize(this.storage);
+    await this.reminderService.initialize();
     
     // 初始化功能层
     await this.blockerFeature.initialize();
-    this.focusPage.initialize(this.timerService, this.taskService, this.blockerFeature);
+    this.focusPage.initialize(
+      this.timerService,
+      this.taskService,
+      this.blockerFeature,
+      this.statsService,
+      this.eventBus,
+    );
     
     // 初始化UI层
     this.uiWidgets.initialize(this.settingsPanel);
@@ -5428,8 +15355,20 @@ class Application {
     if (this.blockerFeature) this.blockerFeature.destroy();
     if (this.focusPage) this.focusPage.destroy();
     
+    if (this.whitelistManager) this.whitelistManager.destroy();
+    if (this.blacklistManager) this.blacklistManager.destroy();
+    
+    if (this.reminderService) this.reminderService.destroy();
+    if (this.statsService) this.statsService.destroy();
     if (this.timerService) this.timerService.destroy();
-    // TaskService 和 Storage 无需特殊销毁
+    if (this.taskService) this.taskService.destroy();
+    if (this.leaderService) this.leaderService.destroy();
+    // Storage 无需特殊销毁
+    
+    if (this.eventBus) {
+      this.eventBus.emit(EventBus.EVENTS.APP_DESTROYED);
+      this.eventBus.destroy();
+    }
     
     this.initialized = false;
     console.log("[Application] DI container destroyed");
@@ -5524,6 +15463,10 @@ color: #70A85C;
 color: #D95550;
 font-weight: 600;
 }
+.focus-status.break {
+color: #70A85C;
+font-weight: 600;
+}
 .focus-settings-icon {
 position: absolute;
 top: 0;
@@ -5593,6 +15536,17 @@ transition: width 0.8s cubic-bezier(0.4, 0, 0.2, 1);
 width: 0%;
 box-shadow: 0 1px 3px rgba(217, 85, 80, 0.3);
 }
+.focus-page-container[data-break-mode="true"] .countdown-display {
+color: #70A85C;
+text-shadow: 0 2px 10px rgba(112, 168, 92, 0.2);
+}
+.focus-page-container[data-break-mode="true"] .countdown-progress {
+background: rgba(112, 168, 92, 0.1);
+}
+.focus-page-container[data-break-mode="true"] .progress-bar {
+background: linear-gradient(90deg, #70A85C, #8BC079);
+box-shadow: 0 1px 3px rgba(112, 168, 92, 0.3);
+}
 .focus-actions {
 margin-bottom: 30px;
 display: flex;
@@ -5642,6 +15596,15 @@ border-color: #E65100;
 transform: translateY(0);
 box-shadow: 0 3px 8px rgba(255, 152, 0, 0.4);
 }
+.focus-action-btn.skip-break-btn {
+border-color: #70A85C;
+color: #70A85C;
+}
+.focus-action-btn.skip-break-btn:hover {
+background: #70A85C;
+color: #ffffff;
+box-shadow: 0 4px 12px rgba(112, 168, 92, 0.3);
+}
 .focus-action-btn.end-focus-btn {
 background: #F44336;
 color: white;
@@ -5723,6 +15686,106 @@ color: #757575;
 opacity: 0.8;
 line-height: 1.5;
 }
+.focus-checklist {
+max-width: 420px;
+margin: 16px auto 0;
+text-align: left;
+}
+.focus-checklist.hidden {
+display: none;
+}
+.focus-checklist-header {
+font-size: 14px;
+font-weight: 600;
+color: #666666;
+margin-bottom: 8px;
+}
+.focus-checklist-progress {
+font-weight: 400;
+color: #999999;
+}
+.focus-checklist-items {
+list-style: none;
+margin: 0;
+padding: 0;
+max-height: 180px;
+overflow-y: auto;
+}
+.focus-checklist-item label {
+display: flex;
+align-items: center;
+gap: 8px;
+padding: 4px 0;
+font-size: 15px;
+color: #424242;
+cursor: pointer;
+}
+.focus-checklist-item.completed span {
+text-decoration: line-through;
+color: #9e9e9e;
+}
+.focus-notes {
+max-width: 420px;
+margin: 16px auto 0;
+text-align: left;
+}
+.focus-notes.hidden {
+display: none;
+}
+.focus-notes-header {
+font-size: 14px;
+font-weight: 600;
+color: #666666;
+margin-bottom: 8px;
+}
+.focus-notes-content {
+max-height: 200px;
+overflow-y: auto;
+font-size: 14px;
+line-height: 1.6;
+color: #424242;
+word-break: break-word;
+}
+.focus-notes-content p,
+.focus-notes-content ul,
+.focus-notes-content ol,
+.focus-notes-content blockquote,
+.focus-notes-content pre {
+margin: 0 0 8px;
+}
+.focus-notes-content h4,
+.focus-notes-content h5,
+.focus-notes-content h6 {
+margin: 0 0 6px;
+}
+.focus-notes-content ul,
+.focus-notes-content ol {
+padding-left: 20px;
+}
+.focus-notes-content blockquote {
+padding-left: 8px;
+border-left: 3px solid #e0e0e0;
+color: #757575;
+}
+.focus-notes-content code,
+.focus-notes-content pre {
+font-family: monospace;
+background: #f0f0f0;
+border-radius: 3px;
+}
+.focus-notes-content code {
+padding: 0 3px;
+}
+.focus-notes-content pre {
+padding: 6px 8px;
+overflow-x: auto;
+}
+.focus-notes-content pre code {
+padding: 0;
+}
+.focus-notes-content a {
+color: #d95550;
+}
 .completion-message {
 text-align: center;
 }
@@ -5908,573 +15971,927 @@ padding: 24px 12px;
 margin: 20px 0;
 border-radius: 16px;
 }
-.focus-header {
-margin-bottom: 30px;
+.focus-header {
+margin-bottom: 30px;
+}
+.countdown-display {
+font-size: 56px;
+margin-bottom: 16px;
+}
+.focus-task-title {
+font-size: 18px;
+margin-bottom: 8px;
+}
+.focus-status {
+font-size: 14px;
+}
+.countdown-progress {
+height: 4px;
+margin-bottom: 16px;
+}
+.focus-timer {
+margin-bottom: 30px;
+}
+.focus-actions {
+flex-direction: column;
+align-items: center;
+gap: 8px;
+}
+.focus-action-btn {
+font-size: 14px;
+padding: 10px 20px;
+width: 140px;
+}
+.focus-hint {
+font-size: 14px;
+}
+.completion-icon {
+font-size: 40px;
+margin-bottom: 12px;
+}
+.completion-text {
+font-size: 20px;
+margin-bottom: 8px;
+}
+.completion-task {
+font-size: 16px;
+}
+.modal-content {
+width: 360px;
+margin: 16px;
+}
+.modal-header {
+padding: 20px 20px 12px 20px;
+}
+.modal-header h3 {
+font-size: 18px;
+}
+.modal-body {
+padding: 16px 20px;
+}
+.time-presets {
+grid-template-columns: 1fr 1fr;
+gap: 6px;
+}
+.preset-btn {
+padding: 8px 12px;
+font-size: 13px;
+}
+.modal-actions {
+padding: 12px 20px 20px 20px;
+}
+}
+@media (max-width: 360px) {
+.countdown-display {
+font-size: 48px;
+}
+.focus-task-title {
+font-size: 16px;
+}
+.focus-action-btn {
+width: 120px;
+}
+}
+@media (min-width: 1200px) {
+.focus-page-content {
+max-width: 700px;
+padding: 60px 40px;
+}
+.countdown-display {
+font-size: 84px;
+}
+.focus-task-title {
+font-size: 28px;
+}
+.focus-status {
+font-size: 18px;
+}
+.focus-hint {
+font-size: 18px;
+}
+.modal-content {
+width: calc(100vw - 32px);
+margin: 16px;
+}
+.modal-header {
+padding: 16px 16px 8px 16px;
+}
+.modal-body {
+padding: 12px 16px;
+}
+.time-presets {
+grid-template-columns: 1fr;
+gap: 8px;
+}
+.modal-actions {
+padding: 8px 16px 16px 16px;
+flex-direction: column;
+}
+.modal-btn {
+width: 100%;
+margin-bottom: 8px;
+}
+.modal-btn:last-child {
+margin-bottom: 0;
+}
+}
+@media (prefers-contrast: high) {
+.focus-page-overlay {
+background: rgba(255, 255, 255, 0.99);
+}
+.focus-page-content {
+background: #ffffff;
+border: 2px solid #000000;
+}
+.countdown-display {
+text-shadow: none;
+}
+.focus-action-btn {
+border-width: 3px;
+}
+}
+@media (prefers-reduced-motion: reduce) {
+.focus-page-container,
+.countdown-display,
+.progress-bar,
+.focus-action-btn {
+transition: none;
+}
+.countdown-display.warning,
+.countdown-display.urgent {
+animation: none;
+}
+}
+@media (prefers-color-scheme: dark) {
+.focus-page-overlay {
+background: rgba(30, 30, 30, 0.98);
+}
+.focus-page-content {
+background: rgba(40, 40, 40, 0.95);
+border-color: rgba(255, 255, 255, 0.1);
+}
+.focus-task-title {
+color: #e0e0e0;
+}
+.focus-status {
+color: #b0b0b0;
+}
+.focus-hint {
+color: #a0a0a0;
+}
+.focus-action-btn {
+background: rgba(60, 60, 60, 0.8);
 }
-.countdown-display {
-font-size: 56px;
-margin-bottom: 16px;
 }
-.focus-task-title {
-font-size: 18px;
-margin-bottom: 8px;
+.tomato-monkey-panel *,
+.tomato-monkey-panel *::before,
+.tomato-monkey-panel *::after {
+box-sizing: border-box;
 }
-.focus-status {
+.tomato-monkey-panel {
+font-family: "Inter", "Lato", "Helvetica Neue", "Arial", sans-serif;
 font-size: 14px;
+line-height: 1.5;
+color: #666666;
+-webkit-font-smoothing: antialiased;
+-moz-osx-font-smoothing: grayscale;
 }
-.countdown-progress {
-height: 4px;
-margin-bottom: 16px;
+.hidden {
+display: none !important;
 }
-.focus-timer {
-margin-bottom: 30px;
+.tomato-monkey-panel .hidden {
+display: none !important;
 }
-.focus-actions {
+.tomato-monkey-panel .sr-only {
+position: absolute;
+width: 1px;
+height: 1px;
+padding: 0;
+margin: -1px;
+overflow: hidden;
+clip: rect(0, 0, 0, 0);
+white-space: nowrap;
+border: 0;
+}
+.tomato-monkey-settings-panel {
+position: fixed;
+top: 50%;
+left: 50%;
+transform: translate(-50%, -50%) scale(0.9);
+width: 90vw;
+max-width: 800px;
+height: 80vh;
+max-height: 600px;
+background: #ffffff;
+border-radius: 12px;
+box-shadow: 0 20px 40px rgba(0, 0, 0, 0.15);
+z-index: 10000;
+display: flex;
 flex-direction: column;
+opacity: 0;
+transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+overflow: hidden;
+}
+.tomato-monkey-settings-panel.show {
+transform: translate(-50%, -50%) scale(1);
+opacity: 1;
+}
+.settings-header {
+display: flex;
 align-items: center;
-gap: 8px;
+justify-content: space-between;
+padding: 20px 24px;
+background: #ffffff;
+border-bottom: 1px solid #f5f5f5;
+flex-shrink: 0;
 }
-.focus-action-btn {
-font-size: 14px;
-padding: 10px 20px;
-width: 140px;
+.header-title {
+display: flex;
+align-items: center;
+gap: 12px;
 }
-.focus-hint {
-font-size: 14px;
+.header-icon {
+font-size: 24px;
+line-height: 1;
 }
-.completion-icon {
-font-size: 40px;
-margin-bottom: 12px;
+.header-title h2 {
+margin: 0;
+font-size: 18px;
+font-weight: 600;
+color: #666666;
 }
-.completion-text {
-font-size: 20px;
-margin-bottom: 8px;
+.close-button {
+background: none;
+border: none;
+font-size: 18px;
+color: #757575;
+cursor: pointer;
+padding: 8px;
+border-radius: 4px;
+transition: all 0.2s ease;
+line-height: 1;
 }
-.completion-task {
-font-size: 16px;
+.close-button:hover {
+color: #d95550;
+background: #f5f5f5;
 }
-.modal-content {
-width: 360px;
-margin: 16px;
+.close-button:focus {
+outline: 2px solid #d95550;
+outline-offset: 2px;
 }
-.modal-header {
-padding: 20px 20px 12px 20px;
+.settings-body {
+display: flex;
+flex: 1;
+overflow: hidden;
 }
-.modal-header h3 {
-font-size: 18px;
+.settings-navigation {
+width: 200px;
+background: #f5f5f5;
+border-right: 1px solid #757575;
+flex-shrink: 0;
 }
-.modal-body {
-padding: 16px 20px;
+.tab-list {
+list-style: none;
+margin: 0;
+padding: 16px 0;
 }
-.time-presets {
-grid-template-columns: 1fr 1fr;
-gap: 6px;
+.tab-item {
+margin: 0;
 }
-.preset-btn {
-padding: 8px 12px;
-font-size: 13px;
+.tab-button {
+display: flex;
+align-items: center;
+gap: 12px;
+width: 100%;
+padding: 12px 20px;
+background: none;
+border: none;
+color: #666666;
+font-size: 14px;
+text-align: left;
+cursor: pointer;
+transition: all 0.2s ease;
+border-left: 3px solid transparent;
 }
-.modal-actions {
-padding: 12px 20px 20px 20px;
+.tab-button:hover {
+background: rgba(217, 85, 80, 0.1);
+color: #d95550;
 }
+.tab-button.active {
+background: #ffffff;
+color: #d95550;
+border-left-color: #d95550;
+font-weight: 500;
 }
-@media (max-width: 360px) {
-.countdown-display {
-font-size: 48px;
+.tab-button:focus {
+outline: 2px solid #d95550;
+outline-offset: -2px;
 }
-.focus-task-title {
+.tab-icon {
 font-size: 16px;
+line-height: 1;
 }
-.focus-action-btn {
-width: 120px;
+.tab-name {
+font-size: 14px;
 }
+.settings-content {
+flex: 1;
+background: #ffffff;
+overflow-y: auto;
+scroll-behavior: smooth;
 }
-@media (min-width: 1200px) {
-.focus-page-content {
-max-width: 700px;
-padding: 60px 40px;
+.content-panel {
+display: none;
+padding: 24px;
+height: 100%;
 }
-.countdown-display {
-font-size: 84px;
+.content-panel.active {
+display: block;
 }
-.focus-task-title {
-font-size: 28px;
+.panel-header {
+margin-bottom: 24px;
+padding-bottom: 16px;
+border-bottom: 1px solid #f5f5f5;
 }
-.focus-status {
+.panel-header h3 {
+margin: 0 0 8px 0;
 font-size: 18px;
+font-weight: 600;
+color: #666666;
 }
-.focus-hint {
-font-size: 18px;
+.panel-header p {
+margin: 0;
+color: #757575;
+font-size: 14px;
 }
-.modal-content {
-width: calc(100vw - 32px);
-margin: 16px;
+.placeholder-content {
+display: flex;
+flex-direction: column;
+align-items: center;
+justify-content: center;
+height: 200px;
+text-align: center;
 }
-.modal-header {
-padding: 16px 16px 8px 16px;
+.placeholder-icon {
+font-size: 48px;
+margin-bottom: 16px;
+opacity: 0.5;
 }
-.modal-body {
-padding: 12px 16px;
+.todo-container {
+display: flex;
+flex-direction: column;
+height: calc(100% - 80px);
 }
-.time-presets {
-grid-template-columns: 1fr;
+.todo-input-section {
+margin-bottom: 20px;
+}
+.input-group {
+display: flex;
 gap: 8px;
+margin-bottom: 8px;
+}
+.todo-input {
+flex: 1;
+padding: 12px 16px;
+border: 2px solid #f5f5f5;
+border-radius: 8px;
+font-size: 14px;
+color: #666666;
+transition: all 0.2s ease;
+background: #ffffff;
 }
-.modal-actions {
-padding: 8px 16px 16px 16px;
-flex-direction: column;
+.todo-input:focus {
+outline: none;
+border-color: #d95550;
+box-shadow: 0 0 0 3px rgba(217, 85, 80, 0.1);
 }
-.modal-btn {
-width: 100%;
-margin-bottom: 8px;
+.todo-input.error {
+border-color: #e53935;
 }
-.modal-btn:last-child {
-margin-bottom: 0;
+.todo-input::placeholder {
+color: #757575;
 }
+.add-task-button {
+display: flex;
+align-items: center;
+gap: 6px;
+padding: 12px 20px;
+background: #d95550;
+color: #ffffff;
+border: none;
+border-radius: 8px;
+font-size: 14px;
+font-weight: 500;
+cursor: pointer;
+transition: all 0.2s ease;
+white-space: nowrap;
 }
-@media (prefers-contrast: high) {
-.focus-page-overlay {
-background: rgba(255, 255, 255, 0.99);
+.add-task-button:hover:not(:disabled) {
+background: #c94943;
+transform: translateY(-1px);
+box-shadow: 0 4px 12px rgba(217, 85, 80, 0.3);
 }
-.focus-page-content {
-background: #ffffff;
-border: 2px solid #000000;
+.add-task-button:focus {
+outline: 2px solid #d95550;
+outline-offset: 2px;
 }
-.countdown-display {
-text-shadow: none;
+.add-task-button:disabled {
+background: #757575;
+cursor: not-allowed;
+transform: none;
+box-shadow: none;
 }
-.focus-action-btn {
-border-width: 3px;
+.add-task-button.loading {
+opacity: 0.7;
 }
+.button-icon {
+font-size: 16px;
+font-weight: bold;
+line-height: 1;
 }
-@media (prefers-reduced-motion: reduce) {
-.focus-page-container,
-.countdown-display,
-.progress-bar,
-.focus-action-btn {
-transition: none;
+.input-error-message {
+color: #e53935;
+font-size: 12px;
+margin-top: 4px;
+padding-left: 4px;
 }
-.countdown-display.warning,
-.countdown-display.urgent {
-animation: none;
+.todo-stats-section {
+display: flex;
+align-items: center;
+justify-content: space-between;
+margin-bottom: 20px;
+padding: 16px;
+background: #f5f5f5;
+border-radius: 8px;
 }
+.stats-display {
+display: flex;
+gap: 24px;
 }
-@media (prefers-color-scheme: dark) {
-.focus-page-overlay {
-background: rgba(30, 30, 30, 0.98);
+.stats-item {
+display: flex;
+align-items: center;
+gap: 6px;
+font-size: 13px;
 }
-.focus-page-content {
-background: rgba(40, 40, 40, 0.95);
-border-color: rgba(255, 255, 255, 0.1);
+.stats-label {
+color: #757575;
+font-weight: 400;
 }
-.focus-task-title {
-color: #e0e0e0;
+.stats-value {
+color: #666666;
+font-weight: 600;
+font-size: 14px;
 }
-.focus-status {
-color: #b0b0b0;
+.clear-completed-button {
+padding: 6px 12px;
+background: #e53935;
+color: #ffffff;
+border: none;
+border-radius: 6px;
+font-size: 12px;
+cursor: pointer;
+transition: all 0.2s ease;
 }
-.focus-hint {
-color: #a0a0a0;
+.clear-completed-button:hover {
+background: #d32f2f;
+transform: translateY(-1px);
 }
-.focus-action-btn {
-background: rgba(60, 60, 60, 0.8);
+.clear-completed-button:focus {
+outline: 2px solid #e53935;
+outline-offset: 2px;
 }
+.todo-filter-section {
+margin-bottom: 16px;
 }
-.tomato-monkey-panel *,
-.tomato-monkey-panel *::before,
-.tomato-monkey-panel *::after {
-box-sizing: border-box;
+.filter-row {
+display: flex;
+gap: 8px;
+flex-wrap: wrap;
 }
-.tomato-monkey-panel {
-font-family: "Inter", "Lato", "Helvetica Neue", "Arial", sans-serif;
-font-size: 14px;
-line-height: 1.5;
-color: #666666;
--webkit-font-smoothing: antialiased;
--moz-osx-font-smoothing: grayscale;
+.filter-input {
+flex: 1 1 160px;
+padding: 6px 10px;
+border: 1px solid #e0e0e0;
+border-radius: 6px;
+font-size: 13px;
 }
-.hidden {
-display: none !important;
+.filter-select {
+padding: 6px 8px;
+border: 1px solid #e0e0e0;
+border-radius: 6px;
+background: #ffffff;
+font-size: 13px;
 }
-.tomato-monkey-panel .hidden {
-display: none !important;
+.tag-chips {
+display: flex;
+gap: 6px;
+flex-wrap: wrap;
+margin-top: 8px;
 }
-.tomato-monkey-panel .sr-only {
-position: absolute;
-width: 1px;
-height: 1px;
-padding: 0;
-margin: -1px;
-overflow: hidden;
-clip: rect(0, 0, 0, 0);
-white-space: nowrap;
-border: 0;
+.tag-chips.hidden {
+display: none;
 }
-.tomato-monkey-settings-panel {
-position: fixed;
-top: 50%;
-left: 50%;
-transform: translate(-50%, -50%) scale(0.9);
-width: 90vw;
-max-width: 800px;
-height: 80vh;
-max-height: 600px;
-background: #ffffff;
+.tag-chip,
+.task-tag {
+padding: 2px 8px;
+border: 1px solid #e0e0e0;
 border-radius: 12px;
-box-shadow: 0 20px 40px rgba(0, 0, 0, 0.15);
-z-index: 10000;
-display: flex;
-flex-direction: column;
-opacity: 0;
-transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-overflow: hidden;
+background: #ffffff;
+color: #666666;
+font-size: 12px;
+font-family: inherit;
+cursor: pointer;
 }
-.tomato-monkey-settings-panel.show {
-transform: translate(-50%, -50%) scale(1);
-opacity: 1;
+.tag-chip.active,
+.task-tag.active {
+border-color: #d95550;
+background: #fdecea;
+color: #d95550;
 }
-.settings-header {
+.tag-chip-count {
+margin-left: 4px;
+color: #999999;
+}
+.task-labels {
 display: flex;
+gap: 6px;
+flex-wrap: wrap;
 align-items: center;
-justify-content: space-between;
-padding: 20px 24px;
-background: #ffffff;
-border-bottom: 1px solid #f5f5f5;
-flex-shrink: 0;
+margin-bottom: 4px;
 }
-.header-title {
+.task-project {
+font-size: 12px;
+color: #555555;
+}
+.task-labels-edit {
+padding: 0 4px;
+background: none;
+border: 1px dashed transparent;
+border-radius: 4px;
+font-size: inherit;
+cursor: pointer;
+}
+.task-labels-edit:hover,
+.task-labels-edit:focus-visible {
+border-color: #999999;
+outline: none;
+}
+.todo-list-section {
+flex: 1;
+overflow-y: auto;
+}
+.loading-indicator {
 display: flex;
 align-items: center;
+justify-content: center;
 gap: 12px;
+padding: 40px;
+color: #757575;
 }
-.header-icon {
-font-size: 24px;
-line-height: 1;
-}
-.header-title h2 {
-margin: 0;
-font-size: 18px;
-font-weight: 600;
-color: #666666;
+.loading-spinner {
+width: 20px;
+height: 20px;
+border: 2px solid #f5f5f5;
+border-top: 2px solid #d95550;
+border-radius: 50%;
+animation: spin 1s linear infinite;
 }
-.close-button {
-background: none;
-border: none;
-font-size: 18px;
-color: #757575;
-cursor: pointer;
-padding: 8px;
-border-radius: 4px;
-transition: all 0.2s ease;
-line-height: 1;
+@keyframes spin {
+0% {
+transform: rotate(0deg);
 }
-.close-button:hover {
-color: #d95550;
-background: #f5f5f5;
+100% {
+transform: rotate(360deg);
 }
-.close-button:focus {
-outline: 2px solid #d95550;
-outline-offset: 2px;
 }
-.settings-body {
+.empty-state {
 display: flex;
-flex: 1;
-overflow: hidden;
+flex-direction: column;
+align-items: center;
+justify-content: center;
+padding: 60px 40px;
+text-align: center;
 }
-.settings-navigation {
-width: 200px;
-background: #f5f5f5;
-border-right: 1px solid #757575;
-flex-shrink: 0;
+.empty-icon {
+font-size: 48px;
+margin-bottom: 16px;
+opacity: 0.5;
 }
-.tab-list {
-list-style: none;
+.empty-state h4 {
+margin: 0 0 8px 0;
+font-size: 16px;
+font-weight: 500;
+color: #666666;
+}
+.empty-state p {
 margin: 0;
-padding: 16px 0;
+color: #757575;
+font-size: 14px;
 }
-.tab-item {
+.task-list {
+list-style: none;
 margin: 0;
+padding: 0;
 }
-.tab-button {
+.task-item {
+display: flex;
+align-items: center;
+justify-content: space-between;
+padding: 16px;
+border-bottom: 1px solid #f5f5f5;
+transition: all 0.2s ease;
+background: #ffffff;
+}
+.task-item:hover {
+background: #fafafa;
+}
+.task-item.completed {
+opacity: 0.7;
+}
+.task-content {
 display: flex;
 align-items: center;
 gap: 12px;
-width: 100%;
-padding: 12px 20px;
+flex: 1;
+}
+.todo-view-tabs {
+display: flex;
+gap: 4px;
+margin-bottom: 8px;
+border-bottom: 1px solid #eeeeee;
+}
+.todo-view-tab {
+padding: 6px 12px;
 background: none;
 border: none;
-color: #666666;
-font-size: 14px;
-text-align: left;
+border-bottom: 2px solid transparent;
+color: #757575;
+font-size: 13px;
+font-family: inherit;
 cursor: pointer;
-transition: all 0.2s ease;
-border-left: 3px solid transparent;
 }
-.tab-button:hover {
-background: rgba(217, 85, 80, 0.1);
+.todo-view-tab.active {
+border-bottom-color: #d95550;
 color: #d95550;
+font-weight: 600;
 }
-.tab-button.active {
-background: #ffffff;
-color: #d95550;
-border-left-color: #d95550;
-font-weight: 500;
+.todo-view-tab.has-overdue .view-count {
+color: #e53935;
+font-weight: 600;
 }
-.tab-button:focus {
-outline: 2px solid #d95550;
-outline-offset: -2px;
+.task-due,
+.task-reminder {
+display: inline-flex;
+align-items: center;
 }
-.tab-icon {
-font-size: 16px;
-line-height: 1;
+.task-due.due-today {
+color: #fb8c00;
+font-weight: 500;
 }
-.tab-name {
-font-size: 14px;
+.task-due.overdue {
+color: #e53935;
+font-weight: 500;
 }
-.settings-content {
-flex: 1;
-background: #ffffff;
-overflow-y: auto;
-scroll-behavior: smooth;
+.task-schedule-toggle {
+padding: 0 4px;
+background: none;
+border: 1px dashed transparent;
+border-radius: 4px;
+font-size: inherit;
+cursor: pointer;
 }
-.content-panel {
-display: none;
-padding: 24px;
-height: 100%;
+.task-schedule-toggle:hover,
+.task-schedule-toggle:focus-visible,
+.task-schedule-toggle.expanded {
+border-color: #999999;
+outline: none;
 }
-.content-panel.active {
-display: block;
+.task-schedule-editor {
+display: flex;
+flex-wrap: wrap;
+align-items: flex-end;
+gap: 8px;
+margin-top: 8px;
+font-size: 12px;
+color: #666666;
 }
-.panel-header {
-margin-bottom: 24px;
-padding-bottom: 16px;
-border-bottom: 1px solid #f5f5f5;
+.schedule-field {
+display: flex;
+flex-direction: column;
+gap: 2px;
 }
-.panel-header h3 {
-margin: 0 0 8px 0;
-font-size: 18px;
-font-weight: 600;
-color: #666666;
+.schedule-field input {
+padding: 4px 6px;
+border: 1px solid #e0e0e0;
+border-radius: 4px;
+font-size: 12px;
 }
-.panel-header p {
-margin: 0;
-color: #757575;
-font-size: 14px;
+.schedule-field select {
+padding: 4px 6px;
+border: 1px solid #e0e0e0;
+border-radius: 4px;
+background: #ffffff;
+font-size: 12px;
 }
-.placeholder-content {
+.schedule-weekdays {
 display: flex;
-flex-direction: column;
+gap: 6px;
 align-items: center;
-justify-content: center;
-height: 200px;
-text-align: center;
 }
-.placeholder-icon {
-font-size: 48px;
-margin-bottom: 16px;
-opacity: 0.5;
+.schedule-weekdays.hidden {
+display: none;
 }
-.todo-container {
-display: flex;
-flex-direction: column;
-height: calc(100% - 80px);
+.schedule-weekday {
+display: inline-flex;
+align-items: center;
+gap: 2px;
+cursor: pointer;
 }
-.todo-input-section {
-margin-bottom: 20px;
+.task-recurrence {
+display: inline-flex;
+align-items: center;
+color: #5c6bc0;
 }
-.input-group {
+.schedule-actions {
 display: flex;
-gap: 8px;
-margin-bottom: 8px;
+gap: 6px;
 }
-.todo-input {
-flex: 1;
-padding: 12px 16px;
-border: 2px solid #f5f5f5;
-border-radius: 8px;
-font-size: 14px;
-color: #666666;
-transition: all 0.2s ease;
+.schedule-actions button {
+padding: 4px 10px;
+border: 1px solid #e0e0e0;
+border-radius: 4px;
 background: #ffffff;
+font-size: 12px;
+cursor: pointer;
 }
-.todo-input:focus {
-outline: none;
+.schedule-actions .schedule-save-button {
 border-color: #d95550;
-box-shadow: 0 0 0 3px rgba(217, 85, 80, 0.1);
-}
-.todo-input.error {
-border-color: #e53935;
-}
-.todo-input::placeholder {
-color: #757575;
+color: #d95550;
 }
-.add-task-button {
-display: flex;
-align-items: center;
-gap: 6px;
-padding: 12px 20px;
-background: #d95550;
-color: #ffffff;
-border: none;
-border-radius: 8px;
-font-size: 14px;
-font-weight: 500;
+.task-notes-toggle {
+padding: 0 4px;
+background: none;
+border: 1px dashed transparent;
+border-radius: 4px;
+font-size: inherit;
 cursor: pointer;
-transition: all 0.2s ease;
-white-space: nowrap;
-}
-.add-task-button:hover:not(:disabled) {
-background: #c94943;
-transform: translateY(-1px);
-box-shadow: 0 4px 12px rgba(217, 85, 80, 0.3);
+opacity: 0.5;
 }
-.add-task-button:focus {
-outline: 2px solid #d95550;
-outline-offset: 2px;
+.task-notes-toggle.has-notes {
+opacity: 1;
 }
-.add-task-button:disabled {
-background: #757575;
-cursor: not-allowed;
-transform: none;
-box-shadow: none;
+.task-notes-toggle:hover,
+.task-notes-toggle:focus-visible,
+.task-notes-toggle.expanded {
+border-color: #999999;
+outline: none;
+opacity: 1;
 }
-.add-task-button.loading {
-opacity: 0.7;
+.task-notes-drawer {
+display: flex;
+flex-direction: column;
+gap: 6px;
+margin-top: 8px;
+font-size: 12px;
+color: #666666;
 }
-.button-icon {
-font-size: 16px;
-font-weight: bold;
-line-height: 1;
+.task-notes-input {
+width: 100%;
+box-sizing: border-box;
+padding: 6px 8px;
+border: 1px solid #e0e0e0;
+border-radius: 4px;
+font-family: inherit;
+font-size: 13px;
+resize: vertical;
 }
-.input-error-message {
-color: #e53935;
-font-size: 12px;
-margin-top: 4px;
-padding-left: 4px;
+.task-notes-input:focus {
+border-color: #d95550;
+outline: none;
 }
-.todo-stats-section {
-display: flex;
-align-items: center;
-justify-content: space-between;
-margin-bottom: 20px;
-padding: 16px;
-background: #f5f5f5;
-border-radius: 8px;
+.task-notes-preview {
+max-height: 200px;
+overflow-y: auto;
+padding: 6px 8px;
+background: #fafafa;
+border-radius: 4px;
+color: #424242;
+word-break: break-word;
 }
-.stats-display {
-display: flex;
-gap: 24px;
+.task-notes-empty {
+color: #9e9e9e;
 }
-.stats-item {
+.task-notes-actions {
 display: flex;
 align-items: center;
 gap: 6px;
-font-size: 13px;
-}
-.stats-label {
-color: #757575;
-font-weight: 400;
 }
-.stats-value {
-color: #666666;
-font-weight: 600;
-font-size: 14px;
+.task-notes-hint {
+margin-right: auto;
+color: #9e9e9e;
 }
-.clear-completed-button {
-padding: 6px 12px;
-background: #e53935;
-color: #ffffff;
-border: none;
-border-radius: 6px;
+.task-notes-actions button {
+padding: 4px 10px;
+border: 1px solid #e0e0e0;
+border-radius: 4px;
+background: #ffffff;
 font-size: 12px;
 cursor: pointer;
-transition: all 0.2s ease;
 }
-.clear-completed-button:hover {
-background: #d32f2f;
-transform: translateY(-1px);
+.task-notes-actions .notes-save-button {
+border-color: #d95550;
+color: #d95550;
 }
-.clear-completed-button:focus {
-outline: 2px solid #e53935;
-outline-offset: 2px;
+.task-notes-preview p,
+.task-notes-preview ul,
+.task-notes-preview ol,
+.task-notes-preview blockquote,
+.task-notes-preview pre {
+margin: 0 0 6px;
+}
+.task-notes-preview h4,
+.task-notes-preview h5,
+.task-notes-preview h6 {
+margin: 0 0 4px;
+}
+.task-notes-preview ul,
+.task-notes-preview ol {
+padding-left: 20px;
+}
+.task-notes-preview blockquote {
+padding-left: 8px;
+border-left: 3px solid #e0e0e0;
+color: #757575;
 }
-.todo-list-section {
-flex: 1;
-overflow-y: auto;
+.task-notes-preview code,
+.task-notes-preview pre {
+font-family: monospace;
+background: #eeeeee;
+border-radius: 3px;
 }
-.loading-indicator {
-display: flex;
-align-items: center;
-justify-content: center;
-gap: 12px;
-padding: 40px;
-color: #757575;
+.task-notes-preview code {
+padding: 0 3px;
 }
-.loading-spinner {
-width: 20px;
-height: 20px;
-border: 2px solid #f5f5f5;
-border-top: 2px solid #d95550;
-border-radius: 50%;
-animation: spin 1s linear infinite;
+.task-notes-preview pre {
+padding: 6px 8px;
+overflow-x: auto;
 }
-@keyframes spin {
-0% {
-transform: rotate(0deg);
+.task-notes-preview pre code {
+padding: 0;
 }
-100% {
-transform: rotate(360deg);
+.task-notes-preview a {
+color: #d95550;
 }
+.task-item.priority-high {
+box-shadow: inset 3px 0 0 #e53935;
 }
-.empty-state {
-display: flex;
-flex-direction: column;
-align-items: center;
-justify-content: center;
-padding: 60px 40px;
-text-align: center;
+.task-item.priority-medium {
+box-shadow: inset 3px 0 0 #fb8c00;
 }
-.empty-icon {
-font-size: 48px;
-margin-bottom: 16px;
-opacity: 0.5;
+.task-item.priority-low {
+box-shadow: inset 3px 0 0 #90a4ae;
 }
-.empty-state h4 {
-margin: 0 0 8px 0;
-font-size: 16px;
-font-weight: 500;
-color: #666666;
+.task-item.dragging {
+opacity: 0.5;
 }
-.empty-state p {
-margin: 0;
-color: #757575;
-font-size: 14px;
+.task-item.drop-before {
+border-top: 2px solid #d95550;
 }
-.task-list {
-list-style: none;
-margin: 0;
-padding: 0;
+.task-item.drop-after {
+border-bottom: 2px solid #d95550;
 }
-.task-item {
-display: flex;
-align-items: center;
-justify-content: space-between;
-padding: 16px;
-border-bottom: 1px solid #f5f5f5;
-transition: all 0.2s ease;
-background: #ffffff;
+.task-drag-handle {
+padding: 4px 2px;
+background: none;
+border: none;
+border-radius: 4px;
+color: #bdbdbd;
+font-size: 14px;
+line-height: 1;
+cursor: grab;
+touch-action: none;
 }
-.task-item:hover {
-background: #fafafa;
+.task-drag-handle:hover,
+.task-drag-handle:focus-visible {
+color: #666666;
+outline: 2px solid #d95550;
+outline-offset: 1px;
 }
-.task-item.completed {
-opacity: 0.7;
+.task-priority-select {
+padding: 0 2px;
+border: 1px solid transparent;
+border-radius: 4px;
+background: none;
+color: inherit;
+font-size: inherit;
+font-family: inherit;
+cursor: pointer;
 }
-.task-content {
-display: flex;
-align-items: center;
-gap: 12px;
-flex: 1;
+.task-priority-select:hover,
+.task-priority-select:focus-visible {
+border-color: #999999;
+outline: none;
 }
 .task-checkbox-label {
 display: flex;
@@ -6549,6 +16966,99 @@ gap: 4px;
 .pomodoro-count {
 color: #d95550;
 font-weight: 500;
+padding: 0 4px;
+background: none;
+border: 1px dashed transparent;
+border-radius: 4px;
+font-size: inherit;
+font-family: inherit;
+cursor: pointer;
+}
+.pomodoro-count:hover,
+.pomodoro-count:focus-visible {
+border-color: #d95550;
+outline: none;
+}
+.pomodoro-count.over-estimate {
+color: #e65100;
+}
+.todo-estimate-input {
+flex: 0 0 96px;
+padding: 12px 10px;
+}
+.checklist-toggle {
+color: #666666;
+padding: 0 4px;
+background: none;
+border: 1px dashed transparent;
+border-radius: 4px;
+font-size: inherit;
+font-family: inherit;
+cursor: pointer;
+}
+.checklist-toggle:hover,
+.checklist-toggle:focus-visible,
+.checklist-toggle.expanded {
+border-color: #999999;
+outline: none;
+}
+.task-checklist {
+margin-top: 8px;
+padding-left: 4px;
+}
+.checklist-items {
+list-style: none;
+margin: 0;
+padding: 0;
+}
+.checklist-item {
+display: flex;
+align-items: center;
+justify-content: space-between;
+gap: 8px;
+padding: 2px 0;
+font-size: 13px;
+}
+.checklist-item-label {
+display: flex;
+align-items: center;
+gap: 6px;
+cursor: pointer;
+word-break: break-word;
+}
+.checklist-item.completed .checklist-item-title {
+text-decoration: line-through;
+color: #999999;
+}
+.checklist-remove-button {
+background: none;
+border: none;
+color: #999999;
+cursor: pointer;
+font-size: 14px;
+padding: 0 4px;
+}
+.checklist-remove-button:hover {
+color: #d95550;
+}
+.checklist-add {
+display: flex;
+gap: 6px;
+margin-top: 4px;
+}
+.checklist-input {
+flex: 1;
+padding: 4px 8px;
+border: 1px solid #e0e0e0;
+border-radius: 4px;
+font-size: 13px;
+}
+.checklist-add-button {
+padding: 0 10px;
+border: 1px solid #e0e0e0;
+border-radius: 4px;
+background: #ffffff;
+cursor: pointer;
 }
 .task-actions {
 display: flex;
@@ -6604,6 +17114,79 @@ outline-offset: 2px;
 .start-focus-button:active {
 transform: scale(0.95);
 }
+.task-actions {
+position: relative;
+}
+.start-focus-menu-button {
+width: 18px;
+height: 32px;
+margin-left: -10px;
+padding: 0;
+background: none;
+border: none;
+border-radius: 4px;
+color: #9e9e9e;
+font-size: 12px;
+cursor: pointer;
+}
+.start-focus-menu-button:hover,
+.start-focus-menu-button.expanded {
+background: rgba(217, 85, 80, 0.1);
+color: #d95550;
+}
+.start-focus-menu-button:focus-visible {
+outline: 2px solid #d95550;
+outline-offset: 2px;
+}
+.focus-preset-menu {
+position: absolute;
+top: 100%;
+right: 0;
+z-index: 10;
+display: flex;
+flex-direction: column;
+min-width: 140px;
+padding: 4px 0;
+background: #ffffff;
+border: 1px solid #e0e0e0;
+border-radius: 6px;
+box-shadow: 0 4px 12px rgba(0, 0, 0, 0.12);
+}
+.focus-preset-menu button {
+padding: 6px 12px;
+background: none;
+border: none;
+text-align: left;
+font-size: 13px;
+color: #424242;
+cursor: pointer;
+}
+.focus-preset-menu button:hover,
+.focus-preset-menu button:focus-visible {
+background: #f5f5f5;
+outline: none;
+}
+.focus-preset-menu .focus-preset-option.current {
+color: #d95550;
+font-weight: 600;
+}
+.focus-preset-menu .focus-preset-custom {
+border-top: 1px solid #eeeeee;
+}
+.task-focus-duration {
+padding: 0 4px;
+background: none;
+border: 1px dashed transparent;
+border-radius: 4px;
+color: #5c6bc0;
+font-size: inherit;
+cursor: pointer;
+}
+.task-focus-duration:hover,
+.task-focus-duration:focus-visible {
+border-color: #999999;
+outline: none;
+}
 @media (max-width: 768px) {
 .tomato-monkey-settings-panel {
 width: 95vw;
@@ -6699,6 +17282,40 @@ flex-direction: column;
 gap: 24px;
 padding: 20px;
 }
+.blocking-mode-section {
+display: flex;
+gap: 12px;
+}
+.blocking-mode-option {
+flex: 1;
+display: grid;
+grid-template-columns: auto 1fr;
+column-gap: 8px;
+align-items: center;
+padding: 12px 16px;
+border: 2px solid #e0e0e0;
+border-radius: 8px;
+cursor: pointer;
+transition: border-color 0.2s ease;
+}
+.blocking-mode-option:has(input:checked) {
+border-color: #d95550;
+background: rgba(217, 85, 80, 0.04);
+}
+.blocking-mode-option input {
+accent-color: #d95550;
+margin: 0;
+}
+.blocking-mode-name {
+font-size: 14px;
+font-weight: 500;
+color: #333333;
+}
+.blocking-mode-option small {
+grid-column: 2;
+font-size: 12px;
+color: #999999;
+}
 .whitelist-input-section {
 display: flex;
 flex-direction: column;
@@ -6733,8 +17350,23 @@ box-shadow: 0 0 0 3px rgba(217, 85, 80, 0.1);
 .domain-input:invalid {
 border-color: #e53935;
 }
-.domain-input:invalid:focus {
-box-shadow: 0 0 0 3px rgba(229, 57, 53, 0.1);
+.domain-input:invalid:focus {
+box-shadow: 0 0 0 3px rgba(229, 57, 53, 0.1);
+}
+.rule-type-select {
+padding: 0 12px;
+border: 2px solid #e0e0e0;
+border-radius: 8px;
+font-size: 13px;
+font-family: inherit;
+background: #ffffff;
+color: #666666;
+cursor: pointer;
+}
+.rule-type-select:focus {
+outline: none;
+border-color: #d95550;
+box-shadow: 0 0 0 3px rgba(217, 85, 80, 0.1);
 }
 .add-domain-button {
 padding: 12px 24px;
@@ -6833,6 +17465,28 @@ border-color: #d0d0d0;
 opacity: 0.5;
 transform: translateX(-8px);
 }
+.rule-type-badge {
+flex-shrink: 0;
+margin-right: 10px;
+padding: 2px 8px;
+border-radius: 10px;
+font-size: 11px;
+font-weight: 500;
+background: #eeeeee;
+color: #757575;
+}
+.rule-type-badge.rule-type-wildcard {
+background: rgba(112, 168, 92, 0.12);
+color: #5a8a49;
+}
+.rule-type-badge.rule-type-path {
+background: rgba(52, 152, 219, 0.12);
+color: #2a7ab0;
+}
+.rule-type-badge.rule-type-regex {
+background: rgba(230, 126, 34, 0.12);
+color: #b8641b;
+}
 .domain-text {
 font-family: "Monaco", "Menlo", "Ubuntu Mono", monospace;
 font-size: 13px;
@@ -7088,6 +17742,366 @@ border: 1px solid #70a85c;
 border: 1px solid #cccccc;
 }
 }
+.statistics-container {
+display: flex;
+flex-direction: column;
+gap: 20px;
+}
+.stats-summary {
+display: grid;
+grid-template-columns: repeat(auto-fit, minmax(120px, 1fr));
+gap: 12px;
+}
+.stats-card {
+display: flex;
+flex-direction: column;
+gap: 4px;
+padding: 16px;
+background: #f5f5f5;
+border-radius: 8px;
+}
+.stats-card-label {
+font-size: 12px;
+color: #757575;
+}
+.stats-card-value {
+font-size: 20px;
+font-weight: 600;
+color: #d95550;
+}
+.stats-card-detail {
+font-size: 12px;
+color: #999999;
+}
+.stats-section h4 {
+margin: 0 0 12px 0;
+font-size: 14px;
+font-weight: 600;
+color: #666666;
+}
+.stats-trend {
+display: flex;
+align-items: flex-end;
+gap: 8px;
+height: 140px;
+}
+.stats-trend-day {
+flex: 1;
+display: flex;
+flex-direction: column;
+align-items: center;
+height: 100%;
+gap: 4px;
+}
+.stats-trend-rate,
+.stats-trend-label {
+font-size: 11px;
+color: #757575;
+}
+.stats-trend-bar-track {
+flex: 1;
+width: 100%;
+display: flex;
+align-items: flex-end;
+background: rgba(217, 85, 80, 0.06);
+border-radius: 4px;
+}
+.stats-trend-bar {
+width: 100%;
+min-height: 2px;
+background: linear-gradient(180deg, #e06b66, #d95550);
+border-radius: 4px;
+transition: height 0.3s ease;
+}
+.stats-task-list {
+list-style: none;
+margin: 0;
+padding: 0;
+}
+.stats-task-item {
+display: flex;
+align-items: center;
+gap: 12px;
+padding: 10px 12px;
+border-bottom: 1px solid #eeeeee;
+font-size: 13px;
+}
+.stats-task-title {
+flex: 1;
+color: #666666;
+overflow: hidden;
+text-overflow: ellipsis;
+white-space: nowrap;
+}
+.stats-task-duration {
+color: #999999;
+}
+.stats-task-count {
+color: #d95550;
+font-weight: 600;
+}
+.stats-empty {
+padding: 16px;
+color: #999999;
+font-size: 13px;
+text-align: center;
+}
+@media (max-width: 768px) {
+.stats-summary {
+grid-template-columns: repeat(2, 1fr);
+}
+}
+.data-container {
+display: flex;
+flex-direction: column;
+gap: 20px;
+}
+.data-section {
+display: flex;
+flex-direction: column;
+gap: 10px;
+padding: 16px;
+border: 1px solid #eeeeee;
+border-radius: 8px;
+}
+.data-section h4 {
+margin: 0;
+font-size: 15px;
+color: #333333;
+}
+.data-hint {
+margin: 0;
+font-size: 13px;
+color: #757575;
+}
+.data-button {
+align-self: flex-start;
+padding: 10px 20px;
+background: #ffffff;
+color: #666666;
+border: 2px solid #e0e0e0;
+border-radius: 8px;
+font-size: 14px;
+cursor: pointer;
+transition: all 0.2s ease;
+}
+.data-button.primary {
+background: #d95550;
+border-color: #d95550;
+color: #ffffff;
+}
+.data-button:hover:not(:disabled) {
+border-color: #d95550;
+}
+.data-button:disabled {
+opacity: 0.5;
+cursor: not-allowed;
+}
+.data-options {
+display: flex;
+flex-wrap: wrap;
+gap: 12px;
+align-items: center;
+font-size: 13px;
+}
+.data-option {
+display: flex;
+gap: 6px;
+align-items: center;
+cursor: pointer;
+}
+.data-option input {
+accent-color: #d95550;
+}
+.data-text-import {
+padding: 10px 12px;
+border: 2px solid #e0e0e0;
+border-radius: 8px;
+font-family: inherit;
+font-size: 14px;
+resize: vertical;
+}
+.data-text-import:focus {
+outline: none;
+border-color: #d95550;
+}
+.data-file-input {
+font-size: 13px;
+}
+.data-actions {
+display: flex;
+gap: 12px;
+}
+.data-preview:empty {
+display: none;
+}
+.data-preview {
+padding: 12px 16px;
+background: #f5f5f5;
+border-radius: 8px;
+font-size: 13px;
+}
+.data-preview-title {
+margin: 0 0 8px;
+color: #757575;
+}
+.data-preview-list {
+margin: 0;
+padding-left: 18px;
+display: flex;
+flex-direction: column;
+gap: 4px;
+}
+.data-preview-detail {
+color: #999999;
+list-style: circle;
+}
+.data-warning {
+padding: 12px 16px;
+background: #fff3e0;
+border: 1px solid #ffcc80;
+border-radius: 8px;
+font-size: 13px;
+color: #e65100;
+}
+.data-warning p {
+margin: 0;
+}
+.timer-settings-container {
+display: flex;
+flex-direction: column;
+gap: 20px;
+}
+.timer-settings-form {
+display: flex;
+flex-direction: column;
+gap: 10px;
+}
+.timer-setting-label {
+width: 96px;
+cursor: default;
+}
+.timer-setting-input {
+width: 80px;
+padding: 8px 10px;
+border: 2px solid #e0e0e0;
+border-radius: 8px;
+font-size: 14px;
+}
+.timer-setting-input:focus {
+outline: none;
+border-color: #d95550;
+}
+.timer-setting-unit {
+color: #757575;
+}
+.trash-container,
+.archive-container {
+display: flex;
+flex-direction: column;
+gap: 20px;
+}
+.trash-retention-input,
+.archive-days-input,
+.archive-search {
+width: 80px;
+padding: 8px 10px;
+border: 2px solid #e0e0e0;
+border-radius: 8px;
+font-size: 14px;
+}
+.trash-retention-input:focus,
+.archive-days-input:focus,
+.archive-search:focus {
+outline: none;
+border-color: #d95550;
+}
+.trash-header,
+.archive-header {
+display: flex;
+justify-content: space-between;
+align-items: center;
+gap: 12px;
+}
+.trash-count,
+.archive-count {
+font-weight: normal;
+color: #757575;
+}
+.trash-list,
+.archive-list {
+list-style: none;
+margin: 0;
+padding: 0;
+display: flex;
+flex-direction: column;
+gap: 8px;
+}
+.trash-list:empty {
+display: none;
+}
+.trash-item,
+.archive-item {
+display: flex;
+justify-content: space-between;
+align-items: center;
+gap: 12px;
+padding: 10px 12px;
+background: #fafafa;
+border-radius: 8px;
+}
+.trash-item-info,
+.archive-item-info {
+display: flex;
+flex-direction: column;
+gap: 4px;
+min-width: 0;
+}
+.trash-item-title,
+.archive-item-title {
+font-size: 14px;
+color: #333333;
+overflow-wrap: anywhere;
+}
+.trash-item-title.completed {
+text-decoration: line-through;
+color: #999999;
+}
+.trash-item-meta,
+.archive-item-meta {
+font-size: 12px;
+color: #999999;
+}
+.trash-item-actions {
+display: flex;
+flex-shrink: 0;
+gap: 8px;
+}
+.trash-item-actions .data-button {
+padding: 6px 12px;
+font-size: 13px;
+}
+.archive-search {
+width: auto;
+}
+.archive-groups {
+display: flex;
+flex-direction: column;
+gap: 16px;
+}
+.archive-groups:empty {
+display: none;
+}
+.archive-group-title {
+margin: 0 0 8px;
+font-size: 13px;
+font-weight: 600;
+color: #757575;
+}
+.data-button.danger:hover:not(:disabled) {
+border-color: #c62828;
+color: #c62828;
+}
 @media (prefers-reduced-motion: reduce) {
 * {
 animation-duration: 0.01ms !important;